@@ -99,10 +99,33 @@ const validateGroupUpdate = [
       }
       return true;
     }),
+  body('ballot_veto_limit')
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage('Ballot veto limit must be a whole number between 0 and 10'),
+  body('ballot_veto_effect')
+    .optional()
+    .isIn(['exclude', 'penalize'])
+    .withMessage('Ballot veto effect must be one of: exclude, penalize'),
   validate
 ];
 
 // Event validators
+// { category key: points } on a participant; points may be negative
+const scoreBreakdownValidator = (field) => body(field)
+  .optional({ nullable: true })
+  .custom((value) => {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error('score_breakdown must be an object of category -> points');
+    }
+    for (const points of Object.values(value)) {
+      if (typeof points !== 'number' || !Number.isFinite(points)) {
+        throw new Error('score_breakdown points must be numbers');
+      }
+    }
+    return true;
+  });
+
 const validateEventCreate = [
   body('group_id')
     .isUUID()
@@ -123,6 +146,22 @@ const validateEventCreate = [
     .optional({ nullable: true })
     .isInt({ min: 1, max: 1440 })
     .withMessage('Duration must be between 1 and 1440 minutes when provided'),
+  body('capacity')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Capacity must be between 1 and 100 when provided'),
+  body('venue_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Venue ID must be a valid UUID when provided'),
+  body('host_user_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Host user ID must be a valid UUID when provided'),
+  body('location')
+    .optional({ nullable: true })
+    .isLength({ max: 500 })
+    .withMessage('Location must be less than 500 characters'),
   body('comments')
     .optional()
     .isLength({ max: 2000 })
@@ -155,6 +194,18 @@ const validateEventCreate = [
     .optional()
     .isLength({ max: 255 })
     .withMessage('Faction must be less than 255 characters'),
+  scoreBreakdownValidator('participants.*.score_breakdown'),
+  scoreBreakdownValidator('custom_participants.*.score_breakdown'),
+  body(['participants.*.team', 'custom_participants.*.team'])
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('Team must be text of at most 50 characters'),
+  body('winning_team')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('winning_team must be text of at most 50 characters'),
   body('ballot_options')
     .optional()
     .isArray()
@@ -169,6 +220,29 @@ const validateEventCreate = [
     .trim()
     .isLength({ min: 1, max: 255 })
     .withMessage('Ballot option game_name must be between 1 and 255 characters'),
+  body('ballot_mode')
+    .optional()
+    .isIn(['plurality', 'approval', 'ranked_choice', 'borda'])
+    .withMessage('Ballot mode must be one of: plurality, approval, ranked_choice, borda'),
+  body('ballot_deadline')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Ballot deadline must be an ISO 8601 date'),
+  body('ballot_quorum')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Ballot quorum must be a whole number between 1 and 100'),
+  body('ballot_tie_rule')
+    .optional()
+    .isIn(['organizer', 'random', 'group_rating'])
+    .withMessage('Ballot tie rule must be one of: organizer, random, group_rating'),
+  body('expansion_ids')
+    .optional({ nullable: true })
+    .isArray({ max: 20 })
+    .withMessage('expansion_ids must be an array of at most 20 game IDs'),
+  body('expansion_ids.*')
+    .isUUID()
+    .withMessage('Each expansion ID must be a valid UUID'),
   validate
 ];
 
@@ -199,10 +273,63 @@ const validateEventUpdate = [
       }
       return true;
     }),
+  body('capacity')
+    .optional({ nullable: true })
+    .custom((value) => {
+      if (value === null || value === '') return true;
+      const num = Number(value);
+      if (!Number.isInteger(num) || num < 1 || num > 100) {
+        throw new Error('Capacity must be between 1 and 100 when provided');
+      }
+      return true;
+    }),
+  body('venue_id')
+    .optional({ nullable: true })
+    .custom((value) => {
+      if (value === null || value === '') return true;
+      const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+      return uuidRegex.test(value);
+    })
+    .withMessage('Venue ID must be a valid UUID'),
+  body('host_user_id')
+    .optional({ nullable: true })
+    .custom((value) => {
+      if (value === null || value === '') return true;
+      const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+      return uuidRegex.test(value);
+    })
+    .withMessage('Host user ID must be a valid UUID'),
+  body('location')
+    .optional({ nullable: true })
+    .isLength({ max: 500 })
+    .withMessage('Location must be less than 500 characters'),
   body('comments')
     .optional()
     .isLength({ max: 2000 })
     .withMessage('Comments must be less than 2000 characters'),
+  body('scope')
+    .optional()
+    .isIn(['this', 'future'])
+    .withMessage('scope must be one of: this, future'),
+  scoreBreakdownValidator('participants.*.score_breakdown'),
+  scoreBreakdownValidator('custom_participants.*.score_breakdown'),
+  body(['participants.*.team', 'custom_participants.*.team'])
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('Team must be text of at most 50 characters'),
+  body('winning_team')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('winning_team must be text of at most 50 characters'),
+  body('expansion_ids')
+    .optional({ nullable: true })
+    .isArray({ max: 20 })
+    .withMessage('expansion_ids must be an array of at most 20 game IDs'),
+  body('expansion_ids.*')
+    .isUUID()
+    .withMessage('Each expansion ID must be a valid UUID'),
   validate
 ];
 
@@ -242,6 +369,186 @@ const validateUserSearch = [
   validate
 ];
 
+// Host rotation validators
+const validateHostRotationQuery = [
+  param('group_id')
+    .isUUID()
+    .withMessage('group_id must be a valid UUID'),
+  query('event_id')
+    .optional()
+    .isUUID()
+    .withMessage('event_id must be a valid UUID'),
+  validate
+];
+
+// Player rating validators
+const validateRatingsQuery = [
+  param('group_id')
+    .isUUID()
+    .withMessage('group_id must be a valid UUID'),
+  query('game_id')
+    .optional()
+    .isUUID()
+    .withMessage('game_id must be a valid UUID'),
+  query('min_games')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('min_games must be a positive integer'),
+  query('include_guests')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('include_guests must be true or false'),
+  query('player')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('player must be a User ID or guest:<name>'),
+  validate
+];
+
+// Group stats validators
+const validateGroupStatsQuery = [
+  param('group_id')
+    .isUUID()
+    .withMessage('group_id must be a valid UUID'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid ISO 8601 date')
+    .custom((value, { req }) => {
+      if (req.query.from && new Date(value) < new Date(req.query.from)) {
+        throw new Error('to must not be before from');
+      }
+      return true;
+    }),
+  query('timezone')
+    .optional()
+    .custom((value) => {
+      Intl.DateTimeFormat(undefined, { timeZone: value });
+      return true;
+    })
+    .withMessage('timezone must be a valid IANA timezone'),
+  validate
+];
+
+// Group data export query
+const validateGroupExportQuery = [
+  param('group_id')
+    .isUUID()
+    .withMessage('group_id must be a valid UUID'),
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('format must be json or csv'),
+  validate
+];
+
+// Achievements query (defaults to the requesting member)
+const validateAchievementsQuery = [
+  param('group_id')
+    .isUUID()
+    .withMessage('group_id must be a valid UUID'),
+  query('user_id')
+    .optional()
+    .isUUID()
+    .withMessage('user_id must be a valid UUID'),
+  validate
+];
+
+// Scoring sheet for a game (keys are derived from names when omitted)
+const validateScoringTemplate = [
+  param('group_id')
+    .isUUID()
+    .withMessage('group_id must be a valid UUID'),
+  param('game_id')
+    .isUUID()
+    .withMessage('game_id must be a valid UUID'),
+  body('categories')
+    .isArray({ min: 1, max: 30 })
+    .withMessage('categories must be an array of 1 to 30 categories'),
+  body('categories.*.name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Category name must be between 1 and 100 characters'),
+  body('categories.*.key')
+    .optional()
+    .matches(/^[a-z0-9_]{1,50}$/)
+    .withMessage('Category key must be 1-50 lowercase letters, digits or underscores'),
+  body('lower_wins')
+    .optional()
+    .isBoolean()
+    .withMessage('lower_wins must be a boolean'),
+  body('tiebreakers')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('tiebreakers must be an array of at most 10 rules'),
+  body('tiebreakers.*.category')
+    .isString()
+    .withMessage('Each tiebreaker needs a category key'),
+  body('tiebreakers.*.lower_wins')
+    .optional()
+    .isBoolean()
+    .withMessage('Tiebreaker lower_wins must be a boolean'),
+  validate
+];
+
+// BGG plays import: exactly one source -- a BGG username or an uploaded plays XML
+const validateBggPlaysImport = [
+  param('group_id')
+    .isUUID()
+    .withMessage('group_id must be a valid UUID'),
+  body()
+    .custom((value) => {
+      const hasUsername = typeof value.bgg_username === 'string' && value.bgg_username.trim() !== '';
+      const hasXml = typeof value.plays_xml === 'string' && value.plays_xml.trim() !== '';
+      if (hasUsername === hasXml) {
+        throw new Error('Provide either bgg_username or plays_xml');
+      }
+      return true;
+    }),
+  body('bgg_username')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('BGG username must be between 1 and 50 characters')
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('BGG username can only contain letters, numbers, hyphens, and underscores'),
+  body(['mindate', 'maxdate'])
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('mindate/maxdate must be YYYY-MM-DD dates'),
+  body('player_map')
+    .optional()
+    .custom((value) => {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        throw new Error('player_map must be an object of BGG name -> member user_id or username (null for guest)');
+      }
+      for (const target of Object.values(value)) {
+        if (target !== null && typeof target !== 'string') {
+          throw new Error('player_map values must be strings or null');
+        }
+      }
+      return true;
+    }),
+  body(['dry_run', 'include_incomplete'])
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('dry_run and include_incomplete must be booleans'),
+  body('timezone')
+    .optional()
+    .custom((value) => {
+      Intl.DateTimeFormat(undefined, { timeZone: value });
+      return true;
+    })
+    .withMessage('timezone must be a valid IANA timezone'),
+  validate
+];
+
 // BGG username validators
 const validateBGGUsername = [
   body('bgg_username')
@@ -319,11 +626,56 @@ const validateRsvpCreate = [
   validate
 ];
 
+// Collection statuses for a UserGame (owned, wishlist, ...)
+const validateCollectionStatuses = [
+  body('statuses')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('statuses must be an array'),
+  body('statuses.*')
+    .isIn(['owned', 'wishlist', 'want_to_play', 'previously_owned', 'for_trade'])
+    .withMessage('Each status must be one of: owned, wishlist, want_to_play, previously_owned, for_trade'),
+  validate
+];
+
+// Subscribable calendar feeds: omit group_id for the user's own feed
+const validateCalendarFeedCreate = [
+  body('group_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('group_id must be a valid UUID'),
+  validate
+];
+
 // Ballot validators
+// options, or auto to seed them from the event's suggestions
 const validateBallotOptions = [
   body('options')
+    .if(body('auto').not().exists())
     .isArray({ min: 2, max: 10 })
     .withMessage('Ballot must have between 2 and 10 options'),
+  body('auto')
+    .optional()
+    .isObject()
+    .withMessage('auto must be an object')
+    .custom((value, { req }) => {
+      if (req.body.options !== undefined) {
+        throw new Error('Send either options or auto, not both');
+      }
+      return true;
+    }),
+  body('auto.count')
+    .optional()
+    .isInt({ min: 2, max: 10 })
+    .withMessage('auto.count must be a whole number between 2 and 10'),
+  body('auto.source')
+    .optional()
+    .isIn(['collections', 'bringing'])
+    .withMessage('auto.source must be one of: collections, bringing'),
+  body('auto.max_per_weight_band')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('auto.max_per_weight_band must be a whole number between 1 and 10'),
   body('options.*.game_name')
     .isString()
     .trim()
@@ -333,13 +685,166 @@ const validateBallotOptions = [
     .optional({ nullable: true })
     .isUUID()
     .withMessage('Game ID must be a valid UUID when provided'),
+  body('mode')
+    .optional()
+    .isIn(['plurality', 'approval', 'ranked_choice', 'borda'])
+    .withMessage('mode must be one of: plurality, approval, ranked_choice, borda'),
+  body('deadline')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('deadline must be an ISO 8601 date'),
+  body('quorum')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 100 })
+    .withMessage('quorum must be a whole number between 1 and 100'),
+  body('tie_rule')
+    .optional()
+    .isIn(['organizer', 'random', 'group_rating'])
+    .withMessage('tie_rule must be one of: organizer, random, group_rating'),
   validate
 ];
 
+// option_id for plurality/approval, rankings for ranked modes -- the route
+// checks which one the ballot's mode needs. vetoes can ride along or stand alone.
 const validateBallotVote = [
   body('option_id')
+    .optional()
     .isUUID()
     .withMessage('Option ID must be a valid UUID'),
+  body('rankings')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('rankings must be an array of at most 10 option IDs')
+    .custom((value) => {
+      if (new Set(value).size !== value.length) {
+        throw new Error('rankings must not repeat an option');
+      }
+      return true;
+    }),
+  body('rankings.*')
+    .isUUID()
+    .withMessage('Each ranking must be a valid option UUID'),
+  body('vetoes')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('vetoes must be an array of at most 10 option IDs')
+    .custom((value) => {
+      if (new Set(value).size !== value.length) {
+        throw new Error('vetoes must not repeat an option');
+      }
+      return true;
+    }),
+  body('vetoes.*')
+    .isUUID()
+    .withMessage('Each veto must be a valid option UUID'),
+  body()
+    .custom((value) => {
+      if (!value.option_id && !Array.isArray(value.rankings) && !Array.isArray(value.vetoes)) {
+        throw new Error('Provide option_id, rankings or vetoes');
+      }
+      return true;
+    }),
+  validate
+];
+
+// Event series validators (recurring game nights)
+const validateEventSeriesCreate = [
+  body('group_id')
+    .isUUID()
+    .withMessage('Group ID must be a valid UUID'),
+  body('game_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Game ID must be a valid UUID when provided'),
+  body('frequency')
+    .isIn(['weekly', 'biweekly', 'monthly'])
+    .withMessage('Frequency must be one of: weekly, biweekly, monthly'),
+  body('by_weekday')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 6 })
+    .withMessage('by_weekday must be between 0 (Sunday) and 6 (Saturday)'),
+  body('week_of_month')
+    .optional({ nullable: true })
+    .isIn([1, 2, 3, 4, -1])
+    .withMessage('week_of_month must be 1-4, or -1 for the last week'),
+  body('starts_on')
+    .isISO8601({ strict: true })
+    .withMessage('starts_on must be a valid YYYY-MM-DD date'),
+  body('until')
+    .optional({ nullable: true })
+    .isISO8601({ strict: true })
+    .withMessage('until must be a valid YYYY-MM-DD date when provided'),
+  body('start_time')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('start_time must be HH:MM (24-hour)'),
+  body('timezone')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 64 })
+    .withMessage('timezone must be an IANA timezone string'),
+  body('exceptions')
+    .optional()
+    .isArray()
+    .withMessage('exceptions must be an array of YYYY-MM-DD dates'),
+  body('exceptions.*')
+    .isISO8601({ strict: true })
+    .withMessage('Each exception must be a valid YYYY-MM-DD date'),
+  body('duration_minutes')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 1440 })
+    .withMessage('Duration must be between 1 and 1440 minutes when provided'),
+  body('horizon_days')
+    .optional({ nullable: true })
+    .isInt({ min: 7, max: 180 })
+    .withMessage('horizon_days must be between 7 and 180'),
+  body('comments')
+    .optional({ nullable: true })
+    .isLength({ max: 2000 })
+    .withMessage('Comments must be less than 2000 characters'),
+  validate
+];
+
+// Venue validators (per-group places to play)
+const venueFieldValidators = [
+  body('address')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Address must be less than 500 characters'),
+  body('host_user_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Host user ID must be a valid UUID when provided'),
+  body('capacity')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Capacity must be between 1 and 100 when provided'),
+  body('notes')
+    .optional({ nullable: true })
+    .isLength({ max: 2000 })
+    .withMessage('Notes must be less than 2000 characters'),
+];
+
+const validateVenueCreate = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Venue name must be between 1 and 255 characters'),
+  ...venueFieldValidators,
+  validate
+];
+
+const validateVenueUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Venue name must be between 1 and 255 characters'),
+  ...venueFieldValidators,
+  body('is_archived')
+    .optional()
+    .isBoolean()
+    .withMessage('is_archived must be a boolean'),
   validate
 ];
 
@@ -356,7 +861,19 @@ module.exports = {
   validateUUID,
   validateAuth0UserId,
   validateRsvpCreate,
+  validateCollectionStatuses,
+  validateCalendarFeedCreate,
   validateBallotOptions,
   validateBallotVote,
+  validateEventSeriesCreate,
+  validateVenueCreate,
+  validateVenueUpdate,
+  validateHostRotationQuery,
+  validateRatingsQuery,
+  validateGroupStatsQuery,
+  validateGroupExportQuery,
+  validateBggPlaysImport,
+  validateAchievementsQuery,
+  validateScoringTemplate,
 };
 
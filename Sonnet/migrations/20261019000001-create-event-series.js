@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * Recurring game-night series.
+ *
+ * Creates the `EventSeries` table (one row per recurrence rule) and adds the
+ * three columns Events need to point back at the series slot they fill:
+ *   - series_id              nullable FK to EventSeries (SET NULL on delete so
+ *                            past occurrences survive as one-off history)
+ *   - series_occurrence_date the local date of the slot; together with
+ *                            series_id it is the generator's dedupe key
+ *   - is_series_exception    true once an occurrence is edited on its own
+ *
+ * Idempotent so the standalone runner is safe to re-run.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const seriesTable = await queryInterface.describeTable('EventSeries').catch(() => null);
+    if (seriesTable) {
+      console.log('EventSeries table already exists, skipping creation.');
+    } else {
+      await queryInterface.createTable('EventSeries', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true,
+          allowNull: false,
+        },
+        group_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'Groups', key: 'id' },
+          onDelete: 'CASCADE',
+        },
+        created_by_user_id: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        game_id: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'Games', key: 'id' },
+          onDelete: 'SET NULL',
+        },
+        frequency: {
+          type: Sequelize.ENUM('weekly', 'biweekly', 'monthly'),
+          allowNull: false,
+        },
+        by_weekday: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+        },
+        week_of_month: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+        },
+        start_time: {
+          type: Sequelize.STRING(5),
+          allowNull: false,
+        },
+        timezone: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          defaultValue: 'UTC',
+        },
+        starts_on: {
+          type: Sequelize.DATEONLY,
+          allowNull: false,
+        },
+        until: {
+          type: Sequelize.DATEONLY,
+          allowNull: true,
+        },
+        exceptions: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: [],
+        },
+        duration_minutes: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+        },
+        comments: {
+          type: Sequelize.TEXT,
+          allowNull: true,
+        },
+        horizon_days: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 56,
+        },
+        generated_through: {
+          type: Sequelize.DATEONLY,
+          allowNull: true,
+        },
+        status: {
+          type: Sequelize.ENUM('active', 'cancelled'),
+          allowNull: false,
+          defaultValue: 'active',
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      });
+      await queryInterface.addIndex('EventSeries', ['group_id'], { name: 'event_series_group_id' });
+      await queryInterface.addIndex('EventSeries', ['status'], { name: 'event_series_status' });
+      console.log('Created EventSeries table.');
+    }
+
+    const eventsTable = await queryInterface.describeTable('Events');
+    if (!eventsTable.series_id) {
+      await queryInterface.addColumn('Events', 'series_id', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'EventSeries', key: 'id' },
+        onDelete: 'SET NULL',
+      });
+    }
+    if (!eventsTable.series_occurrence_date) {
+      await queryInterface.addColumn('Events', 'series_occurrence_date', {
+        type: Sequelize.DATEONLY,
+        allowNull: true,
+      });
+    }
+    if (!eventsTable.is_series_exception) {
+      await queryInterface.addColumn('Events', 'is_series_exception', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      });
+    }
+
+    // Postgres treats NULLs as distinct, so one-off events (series_id NULL)
+    // never collide on this index.
+    await queryInterface.sequelize.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS "events_series_id_series_occurrence_date"
+      ON "Events" ("series_id", "series_occurrence_date")
+    `);
+    console.log('Added series columns + unique [series_id, series_occurrence_date] index to Events.');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query('DROP INDEX IF EXISTS "events_series_id_series_occurrence_date"');
+    await queryInterface.removeColumn('Events', 'is_series_exception');
+    await queryInterface.removeColumn('Events', 'series_occurrence_date');
+    await queryInterface.removeColumn('Events', 'series_id');
+    await queryInterface.dropTable('EventSeries');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_EventSeries_frequency"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_EventSeries_status"');
+  },
+};
+
+// Standalone runner (allow direct invocation via `railway run node migrations/<file>.js`).
+if (require.main === module) {
+  const sequelize = require('../config/database');
+  const { Sequelize } = require('sequelize');
+  module.exports.up(sequelize.getQueryInterface(), Sequelize)
+    .then(() => { return sequelize.close(); })
+    .catch(err => { console.error(err); process.exit(1); });
+}
@@ -0,0 +1,49 @@
+// migrations/20261019000002-add-event-capacity-and-rsvp-waitlist.js
+// Event capacity + RSVP waitlist:
+//   - Events.capacity            nullable; null falls back to Game.max_players
+//   - enum_EventRsvps_status     gains 'waitlist'
+//   - EventRsvps.waitlisted_at   queue position (earliest is promoted first)
+// NOTE: ALTER TYPE ... ADD VALUE is non-transactional in PostgreSQL and cannot
+// be rolled back. The down() migration leaves the enum value in place.
+const sequelize = require('../config/database');
+const { DataTypes } = require('sequelize');
+
+async function up() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  const eventsTable = await queryInterface.describeTable('Events');
+  if (!eventsTable.capacity) {
+    await queryInterface.addColumn('Events', 'capacity', {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    });
+  }
+
+  // ADD VALUE IF NOT EXISTS is idempotent -- safe to re-run
+  await sequelize.query(
+    `ALTER TYPE "enum_EventRsvps_status" ADD VALUE IF NOT EXISTS 'waitlist';`
+  );
+
+  const rsvpsTable = await queryInterface.describeTable('EventRsvps');
+  if (!rsvpsTable.waitlisted_at) {
+    await queryInterface.addColumn('EventRsvps', 'waitlisted_at', {
+      type: DataTypes.DATE,
+      allowNull: true,
+    });
+  }
+  console.log('Added Events.capacity, EventRsvps.waitlisted_at and waitlist RSVP status.');
+}
+
+async function down() {
+  const queryInterface = sequelize.getQueryInterface();
+  await queryInterface.removeColumn('EventRsvps', 'waitlisted_at');
+  await queryInterface.removeColumn('Events', 'capacity');
+  // PostgreSQL cannot remove individual ENUM values without recreating the type.
+  console.log('NOTE: waitlist value remains in enum_EventRsvps_status (PostgreSQL cannot remove ENUM values easily).');
+}
+
+if (require.main === module) {
+  up().then(() => sequelize.close()).catch(err => { console.error(err); process.exit(1); });
+}
+
+module.exports = { up, down };
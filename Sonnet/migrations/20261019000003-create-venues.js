@@ -0,0 +1,104 @@
+'use strict';
+
+/**
+ * Per-group venues + event location.
+ *
+ * Creates the `Venues` table and adds two columns to Events:
+ *   - venue_id  nullable FK to Venues (SET NULL on delete; archive instead of
+ *               deleting to keep history readable)
+ *   - location  free-text fallback for one-off places without a saved venue
+ *
+ * Idempotent so the standalone runner is safe to re-run.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const venuesTable = await queryInterface.describeTable('Venues').catch(() => null);
+    if (venuesTable) {
+      console.log('Venues table already exists, skipping creation.');
+    } else {
+      await queryInterface.createTable('Venues', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true,
+          allowNull: false,
+        },
+        group_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'Groups', key: 'id' },
+          onDelete: 'CASCADE',
+        },
+        name: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        address: {
+          type: Sequelize.STRING(500),
+          allowNull: true,
+        },
+        host_user_id: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'Users', key: 'id' },
+          onDelete: 'SET NULL',
+        },
+        capacity: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+        },
+        notes: {
+          type: Sequelize.TEXT,
+          allowNull: true,
+        },
+        is_archived: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      });
+      await queryInterface.addIndex('Venues', ['group_id'], { name: 'venues_group_id' });
+      console.log('Created Venues table.');
+    }
+
+    const eventsTable = await queryInterface.describeTable('Events');
+    if (!eventsTable.venue_id) {
+      await queryInterface.addColumn('Events', 'venue_id', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'Venues', key: 'id' },
+        onDelete: 'SET NULL',
+      });
+    }
+    if (!eventsTable.location) {
+      await queryInterface.addColumn('Events', 'location', {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+      });
+    }
+    console.log('Added venue_id + location columns to Events.');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('Events', 'location');
+    await queryInterface.removeColumn('Events', 'venue_id');
+    await queryInterface.dropTable('Venues');
+  },
+};
+
+// Standalone runner (allow direct invocation via `railway run node migrations/<file>.js`).
+if (require.main === module) {
+  const sequelize = require('../config/database');
+  const { Sequelize } = require('sequelize');
+  module.exports.up(sequelize.getQueryInterface(), Sequelize)
+    .then(() => { return sequelize.close(); })
+    .catch(err => { console.error(err); process.exit(1); });
+}
@@ -0,0 +1,34 @@
+// migrations/20261019000004-add-event-host.js
+// Host rotation: Events.host_user_id records whose place a game night is at.
+// Nullable FK to Users.id (UUID, like winner_id / picked_by_id); SET NULL when
+// the user is deleted so the event itself survives.
+const sequelize = require('../config/database');
+const { DataTypes } = require('sequelize');
+
+async function up() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  const eventsTable = await queryInterface.describeTable('Events');
+  if (!eventsTable.host_user_id) {
+    await queryInterface.addColumn('Events', 'host_user_id', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'Users', key: 'id' },
+      onDelete: 'SET NULL',
+    });
+    await queryInterface.addIndex('Events', ['group_id', 'host_user_id'], { name: 'events_group_id_host_user_id' });
+  }
+  console.log('Added Events.host_user_id.');
+}
+
+async function down() {
+  const queryInterface = sequelize.getQueryInterface();
+  await queryInterface.removeIndex('Events', 'events_group_id_host_user_id');
+  await queryInterface.removeColumn('Events', 'host_user_id');
+}
+
+if (require.main === module) {
+  up().then(() => sequelize.close()).catch(err => { console.error(err); process.exit(1); });
+}
+
+module.exports = { up, down };
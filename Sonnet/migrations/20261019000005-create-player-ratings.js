@@ -0,0 +1,141 @@
+'use strict';
+
+/**
+ * Player ratings.
+ *
+ * Creates `PlayerRatings` (current rating per group / game / player) and
+ * `RatingHistory` (before/after per rated event). Both tables hold derived
+ * data -- services/ratingService.js can rebuild them from Events at any time,
+ * so the down migration simply drops them.
+ *
+ * Idempotent so the standalone runner is safe to re-run.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const common = {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      group_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'Groups', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      game_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'Games', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      player_key: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'Users', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      guest_name: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+    };
+    const timestamps = {
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    };
+
+    const ratingsTable = await queryInterface.describeTable('PlayerRatings').catch(() => null);
+    if (ratingsTable) {
+      console.log('PlayerRatings table already exists, skipping creation.');
+    } else {
+      await queryInterface.createTable('PlayerRatings', {
+        ...common,
+        rating: {
+          type: Sequelize.FLOAT,
+          allowNull: false,
+          defaultValue: 1500,
+        },
+        games_played: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        wins: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        last_played_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        ...timestamps,
+      });
+      await queryInterface.addIndex('PlayerRatings', ['group_id', 'game_id', 'rating'], { name: 'player_ratings_group_game_rating' });
+      await queryInterface.addIndex('PlayerRatings', ['group_id', 'player_key'], { name: 'player_ratings_group_player' });
+      console.log('Created PlayerRatings table.');
+    }
+
+    const historyTable = await queryInterface.describeTable('RatingHistory').catch(() => null);
+    if (historyTable) {
+      console.log('RatingHistory table already exists, skipping creation.');
+    } else {
+      await queryInterface.createTable('RatingHistory', {
+        ...common,
+        event_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'Events', key: 'id' },
+          onDelete: 'CASCADE',
+        },
+        rank: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+        },
+        rating_before: {
+          type: Sequelize.FLOAT,
+          allowNull: false,
+        },
+        rating_after: {
+          type: Sequelize.FLOAT,
+          allowNull: false,
+        },
+        played_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        ...timestamps,
+      });
+      await queryInterface.addIndex('RatingHistory', ['group_id', 'player_key', 'played_at'], { name: 'rating_history_group_player_played' });
+      await queryInterface.addIndex('RatingHistory', ['event_id'], { name: 'rating_history_event_id' });
+      console.log('Created RatingHistory table.');
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('RatingHistory');
+    await queryInterface.dropTable('PlayerRatings');
+  },
+};
+
+// Standalone runner (allow direct invocation via `railway run node migrations/<file>.js`).
+if (require.main === module) {
+  const sequelize = require('../config/database');
+  const { Sequelize } = require('sequelize');
+  module.exports.up(sequelize.getQueryInterface(), Sequelize)
+    .then(() => { return sequelize.close(); })
+    .catch(err => { console.error(err); process.exit(1); });
+}
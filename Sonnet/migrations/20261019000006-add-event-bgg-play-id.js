@@ -0,0 +1,35 @@
+// migrations/20261019000006-add-event-bgg-play-id.js
+// BGG plays import: Events.bgg_play_id remembers which BoardGameGeek play an
+// event came from, so importing the same plays again is a no-op. Unique per
+// group -- two groups may import the same logged play.
+const sequelize = require('../config/database');
+const { DataTypes } = require('sequelize');
+
+async function up() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  const eventsTable = await queryInterface.describeTable('Events');
+  if (!eventsTable.bgg_play_id) {
+    await queryInterface.addColumn('Events', 'bgg_play_id', {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    });
+    await queryInterface.addIndex('Events', ['group_id', 'bgg_play_id'], {
+      name: 'events_group_id_bgg_play_id',
+      unique: true,
+    });
+  }
+  console.log('Added Events.bgg_play_id.');
+}
+
+async function down() {
+  const queryInterface = sequelize.getQueryInterface();
+  await queryInterface.removeIndex('Events', 'events_group_id_bgg_play_id');
+  await queryInterface.removeColumn('Events', 'bgg_play_id');
+}
+
+if (require.main === module) {
+  up().then(() => sequelize.close()).catch(err => { console.error(err); process.exit(1); });
+}
+
+module.exports = { up, down };
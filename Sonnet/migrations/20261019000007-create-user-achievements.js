@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * Achievements.
+ *
+ * Creates `UserAchievements`: one row per badge a member earned in a group.
+ * Badge rules live in services/achievementService.js; this table only keeps
+ * when each badge was first earned.
+ *
+ * Idempotent so the standalone runner is safe to re-run.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const table = await queryInterface.describeTable('UserAchievements').catch(() => null);
+    if (!table) {
+      await queryInterface.createTable('UserAchievements', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true,
+          allowNull: false,
+        },
+        group_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'Groups', key: 'id' },
+          onDelete: 'CASCADE',
+        },
+        user_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'Users', key: 'id' },
+          onDelete: 'CASCADE',
+        },
+        achievement_key: {
+          type: Sequelize.STRING(64),
+          allowNull: false,
+        },
+        event_id: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'Events', key: 'id' },
+          onDelete: 'SET NULL',
+        },
+        earned_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.fn('NOW'),
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      });
+      await queryInterface.addIndex('UserAchievements', ['group_id', 'user_id', 'achievement_key'], {
+        name: 'user_achievements_group_user_key',
+        unique: true,
+      });
+      await queryInterface.addIndex('UserAchievements', ['user_id'], { name: 'user_achievements_user_id' });
+      console.log('Created UserAchievements table.');
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('UserAchievements');
+  },
+};
+
+// Standalone runner (allow direct invocation via `railway run node migrations/<file>.js`).
+if (require.main === module) {
+  const sequelize = require('../config/database');
+  const { Sequelize } = require('sequelize');
+  module.exports.up(sequelize.getQueryInterface(), Sequelize)
+    .then(() => { return sequelize.close(); })
+    .catch(err => { console.error(err); process.exit(1); });
+}
@@ -0,0 +1,42 @@
+// migrations/20261019000008-add-ballot-modes.js
+// Ballot modes: Events.ballot_mode picks the tally (plurality, approval,
+// ranked_choice, borda) and EventBallotVotes.rank stores each voter's
+// preference order for the ranked modes. Existing ballots keep 'approval',
+// which is how they were already counted.
+const sequelize = require('../config/database');
+const { DataTypes } = require('sequelize');
+
+async function up() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  const eventsTable = await queryInterface.describeTable('Events');
+  if (!eventsTable.ballot_mode) {
+    await queryInterface.addColumn('Events', 'ballot_mode', {
+      type: DataTypes.ENUM('plurality', 'approval', 'ranked_choice', 'borda'),
+      allowNull: false,
+      defaultValue: 'approval',
+    });
+  }
+
+  const votesTable = await queryInterface.describeTable('EventBallotVotes');
+  if (!votesTable.rank) {
+    await queryInterface.addColumn('EventBallotVotes', 'rank', {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    });
+  }
+  console.log('Added Events.ballot_mode and EventBallotVotes.rank.');
+}
+
+async function down() {
+  const queryInterface = sequelize.getQueryInterface();
+  await queryInterface.removeColumn('EventBallotVotes', 'rank');
+  await queryInterface.removeColumn('Events', 'ballot_mode');
+  await sequelize.query('DROP TYPE IF EXISTS "enum_Events_ballot_mode";');
+}
+
+if (require.main === module) {
+  up().then(() => sequelize.close()).catch(err => { console.error(err); process.exit(1); });
+}
+
+module.exports = { up, down };
@@ -0,0 +1,59 @@
+// migrations/20261019000009-add-ballot-auto-close.js
+// Automatic ballot closing: a ballot deadline (falls back to rsvp_deadline),
+// an optional quorum of voters, the rule that settles a tie when the ballot
+// closes itself, and a record of when and how the ballot was closed.
+const sequelize = require('../config/database');
+const { DataTypes } = require('sequelize');
+
+async function up() {
+  const queryInterface = sequelize.getQueryInterface();
+  const table = await queryInterface.describeTable('Events');
+
+  if (!table.ballot_deadline) {
+    await queryInterface.addColumn('Events', 'ballot_deadline', {
+      type: DataTypes.DATE,
+      allowNull: true,
+    });
+  }
+  if (!table.ballot_quorum) {
+    await queryInterface.addColumn('Events', 'ballot_quorum', {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    });
+  }
+  if (!table.ballot_tie_rule) {
+    await queryInterface.addColumn('Events', 'ballot_tie_rule', {
+      type: DataTypes.ENUM('organizer', 'random', 'group_rating'),
+      allowNull: false,
+      defaultValue: 'organizer',
+    });
+  }
+  if (!table.ballot_closed_at) {
+    await queryInterface.addColumn('Events', 'ballot_closed_at', {
+      type: DataTypes.DATE,
+      allowNull: true,
+    });
+  }
+  if (!table.ballot_outcome) {
+    await queryInterface.addColumn('Events', 'ballot_outcome', {
+      type: DataTypes.ENUM('winner', 'random', 'group_rating', 'tie', 'no_votes', 'no_quorum'),
+      allowNull: true,
+    });
+  }
+  console.log('Added ballot deadline, quorum, tie rule and close outcome to Events.');
+}
+
+async function down() {
+  const queryInterface = sequelize.getQueryInterface();
+  for (const column of ['ballot_outcome', 'ballot_closed_at', 'ballot_tie_rule', 'ballot_quorum', 'ballot_deadline']) {
+    await queryInterface.removeColumn('Events', column);
+  }
+  await sequelize.query('DROP TYPE IF EXISTS "enum_Events_ballot_tie_rule";');
+  await sequelize.query('DROP TYPE IF EXISTS "enum_Events_ballot_outcome";');
+}
+
+if (require.main === module) {
+  up().then(() => sequelize.close()).catch(err => { console.error(err); process.exit(1); });
+}
+
+module.exports = { up, down };
@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * Ballot vetoes and won't-play preferences.
+ *
+ * - `EventBallotVetoes`: a voter's veto on one ballot option.
+ * - `UserWontPlays`: games a user never wants suggested.
+ * - `Groups.ballot_veto_limit` / `ballot_veto_effect`: how many options a
+ *   voter may veto and whether a veto excludes or penalizes the option.
+ * - `all_vetoed` ballot outcome, for a ballot whose every option was vetoed.
+ *
+ * Idempotent so the standalone runner is safe to re-run.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const vetoes = await queryInterface.describeTable('EventBallotVetoes').catch(() => null);
+    if (!vetoes) {
+      await queryInterface.createTable('EventBallotVetoes', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true,
+          allowNull: false,
+        },
+        option_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'EventBallotOptions', key: 'id' },
+          onDelete: 'CASCADE',
+        },
+        user_id: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      });
+      await queryInterface.addIndex('EventBallotVetoes', ['option_id', 'user_id'], {
+        name: 'event_ballot_vetoes_option_user',
+        unique: true,
+      });
+      await queryInterface.addIndex('EventBallotVetoes', ['user_id'], { name: 'event_ballot_vetoes_user_id' });
+      console.log('Created EventBallotVetoes table.');
+    }
+
+    const wontPlay = await queryInterface.describeTable('UserWontPlays').catch(() => null);
+    if (!wontPlay) {
+      await queryInterface.createTable('UserWontPlays', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true,
+          allowNull: false,
+        },
+        user_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'Users', key: 'id' },
+          onDelete: 'CASCADE',
+        },
+        game_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'Games', key: 'id' },
+          onDelete: 'CASCADE',
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      });
+      await queryInterface.addIndex('UserWontPlays', ['user_id', 'game_id'], {
+        name: 'user_wont_plays_user_game',
+        unique: true,
+      });
+      console.log('Created UserWontPlays table.');
+    }
+
+    const groups = await queryInterface.describeTable('Groups');
+    if (!groups.ballot_veto_limit) {
+      await queryInterface.addColumn('Groups', 'ballot_veto_limit', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+      });
+    }
+    if (!groups.ballot_veto_effect) {
+      await queryInterface.addColumn('Groups', 'ballot_veto_effect', {
+        type: Sequelize.ENUM('exclude', 'penalize'),
+        allowNull: false,
+        defaultValue: 'exclude',
+      });
+    }
+
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_Events_ballot_outcome" ADD VALUE IF NOT EXISTS 'all_vetoed';`
+    );
+  },
+
+  async down(queryInterface) {
+    // Postgres can't drop a single enum value; 'all_vetoed' stays on the type.
+    await queryInterface.removeColumn('Groups', 'ballot_veto_effect');
+    await queryInterface.removeColumn('Groups', 'ballot_veto_limit');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_Groups_ballot_veto_effect";');
+    await queryInterface.dropTable('UserWontPlays');
+    await queryInterface.dropTable('EventBallotVetoes');
+  },
+};
+
+// Standalone runner (allow direct invocation via `railway run node migrations/<file>.js`).
+if (require.main === module) {
+  const sequelize = require('../config/database');
+  const { Sequelize } = require('sequelize');
+  module.exports.up(sequelize.getQueryInterface(), Sequelize)
+    .then(() => { return sequelize.close(); })
+    .catch(err => { console.error(err); process.exit(1); });
+}
@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * Group taste similarity.
+ *
+ * Creates `GroupSimilarities`, each group's nearest neighbours by game taste
+ * for the discover recommendations. The table holds derived data --
+ * services/recommendationService.js rebuilds it nightly -- so the down
+ * migration simply drops it.
+ *
+ * Idempotent so the standalone runner is safe to re-run.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const table = await queryInterface.describeTable('GroupSimilarities').catch(() => null);
+    if (table) {
+      console.log('GroupSimilarities table already exists, skipping creation.');
+      return;
+    }
+
+    await queryInterface.createTable('GroupSimilarities', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      group_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'Groups', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      similar_group_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'Groups', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      similarity: {
+        type: Sequelize.FLOAT,
+        allowNull: false,
+      },
+      shared_games: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+    await queryInterface.addIndex('GroupSimilarities', ['group_id', 'similarity'], { name: 'group_similarities_group_similarity' });
+    console.log('Created GroupSimilarities table.');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('GroupSimilarities');
+  },
+};
+
+// Standalone runner (allow direct invocation via `railway run node migrations/<file>.js`).
+if (require.main === module) {
+  const sequelize = require('../config/database');
+  const { Sequelize } = require('sequelize');
+  module.exports.up(sequelize.getQueryInterface(), Sequelize)
+    .then(() => { return sequelize.close(); })
+    .catch(err => { console.error(err); process.exit(1); });
+}
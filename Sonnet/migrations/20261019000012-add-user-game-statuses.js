@@ -0,0 +1,53 @@
+'use strict';
+
+/**
+ * Collection statuses on UserGames.
+ *
+ * A UserGame row used to mean "owns this game". It now carries BGG-style
+ * status flags -- owned, wishlist, want_to_play, previously_owned,
+ * for_trade -- any combination of which can be set. Existing rows were all
+ * owned copies, so `owned` defaults to true and the rest to false.
+ *
+ * Idempotent so the standalone runner is safe to re-run.
+ */
+const FLAGS = {
+  owned: true,
+  wishlist: false,
+  want_to_play: false,
+  previously_owned: false,
+  for_trade: false,
+};
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const table = await queryInterface.describeTable('UserGames');
+
+    for (const [column, defaultValue] of Object.entries(FLAGS)) {
+      if (table[column]) {
+        console.log(`UserGames.${column} already exists, skipping.`);
+        continue;
+      }
+      await queryInterface.addColumn('UserGames', column, {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue,
+      });
+      console.log(`Added UserGames.${column}.`);
+    }
+  },
+
+  async down(queryInterface) {
+    for (const column of Object.keys(FLAGS)) {
+      await queryInterface.removeColumn('UserGames', column);
+    }
+  },
+};
+
+// Standalone runner (allow direct invocation via `railway run node migrations/<file>.js`).
+if (require.main === module) {
+  const sequelize = require('../config/database');
+  const { Sequelize } = require('sequelize');
+  module.exports.up(sequelize.getQueryInterface(), Sequelize)
+    .then(() => { return sequelize.close(); })
+    .catch(err => { console.error(err); process.exit(1); });
+}
@@ -0,0 +1,119 @@
+'use strict';
+
+/**
+ * Game expansions.
+ *
+ * - `Games.is_expansion`: the game is a BGG boardgameexpansion and can't be
+ *   played on its own.
+ * - `GameExpansions`: which expansions belong to which base games (an
+ *   expansion can fit several bases, e.g. a big-box bundle).
+ * - `EventExpansions`: the expansions played at an event, on top of its game.
+ *
+ * Relations are filled in from BGG links as games are imported, so existing
+ * games pick them up the next time they (or a related game) are imported.
+ *
+ * Idempotent so the standalone runner is safe to re-run.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const games = await queryInterface.describeTable('Games');
+    if (!games.is_expansion) {
+      await queryInterface.addColumn('Games', 'is_expansion', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      });
+      console.log('Added Games.is_expansion.');
+    }
+
+    const expansions = await queryInterface.describeTable('GameExpansions').catch(() => null);
+    if (!expansions) {
+      await queryInterface.createTable('GameExpansions', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true,
+          allowNull: false,
+        },
+        base_game_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'Games', key: 'id' },
+          onDelete: 'CASCADE',
+        },
+        expansion_game_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'Games', key: 'id' },
+          onDelete: 'CASCADE',
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      });
+      await queryInterface.addIndex('GameExpansions', ['base_game_id', 'expansion_game_id'], {
+        name: 'game_expansions_base_expansion',
+        unique: true,
+      });
+      await queryInterface.addIndex('GameExpansions', ['expansion_game_id'], { name: 'game_expansions_expansion_game_id' });
+      console.log('Created GameExpansions table.');
+    }
+
+    const eventExpansions = await queryInterface.describeTable('EventExpansions').catch(() => null);
+    if (!eventExpansions) {
+      await queryInterface.createTable('EventExpansions', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true,
+          allowNull: false,
+        },
+        event_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'Events', key: 'id' },
+          onDelete: 'CASCADE',
+        },
+        game_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'Games', key: 'id' },
+          onDelete: 'CASCADE',
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      });
+      await queryInterface.addIndex('EventExpansions', ['event_id', 'game_id'], {
+        name: 'event_expansions_event_game',
+        unique: true,
+      });
+      console.log('Created EventExpansions table.');
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('EventExpansions');
+    await queryInterface.dropTable('GameExpansions');
+    await queryInterface.removeColumn('Games', 'is_expansion');
+  },
+};
+
+// Standalone runner (allow direct invocation via `railway run node migrations/<file>.js`).
+if (require.main === module) {
+  const sequelize = require('../config/database');
+  const { Sequelize } = require('sequelize');
+  module.exports.up(sequelize.getQueryInterface(), Sequelize)
+    .then(() => { return sequelize.close(); })
+    .catch(err => { console.error(err); process.exit(1); });
+}
@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * Per-game scoring sheets.
+ *
+ * - `ScoringTemplates`: a group's score categories, win direction and
+ *   tiebreakers for one game.
+ * - `EventParticipations.score_breakdown`: points per category for a
+ *   participant; score and placement are computed from it.
+ *
+ * Idempotent so the standalone runner is safe to re-run.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const templates = await queryInterface.describeTable('ScoringTemplates').catch(() => null);
+    if (!templates) {
+      await queryInterface.createTable('ScoringTemplates', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true,
+          allowNull: false,
+        },
+        group_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'Groups', key: 'id' },
+          onDelete: 'CASCADE',
+        },
+        game_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'Games', key: 'id' },
+          onDelete: 'CASCADE',
+        },
+        categories: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: [],
+        },
+        lower_wins: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
+        },
+        tiebreakers: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: [],
+        },
+        created_by_user_id: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'Users', key: 'id' },
+          onDelete: 'SET NULL',
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      });
+      await queryInterface.addIndex('ScoringTemplates', ['group_id', 'game_id'], {
+        name: 'scoring_templates_group_game',
+        unique: true,
+      });
+      console.log('Created ScoringTemplates table.');
+    }
+
+    const participations = await queryInterface.describeTable('EventParticipations');
+    if (!participations.score_breakdown) {
+      await queryInterface.addColumn('EventParticipations', 'score_breakdown', {
+        type: Sequelize.JSONB,
+        allowNull: true,
+      });
+      console.log('Added EventParticipations.score_breakdown.');
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('EventParticipations', 'score_breakdown');
+    await queryInterface.dropTable('ScoringTemplates');
+  },
+};
+
+// Standalone runner (allow direct invocation via `railway run node migrations/<file>.js`).
+if (require.main === module) {
+  const sequelize = require('../config/database');
+  const { Sequelize } = require('sequelize');
+  module.exports.up(sequelize.getQueryInterface(), Sequelize)
+    .then(() => { return sequelize.close(); })
+    .catch(err => { console.error(err); process.exit(1); });
+}
@@ -0,0 +1,47 @@
+'use strict';
+
+/**
+ * Team game results.
+ *
+ * - `EventParticipations.team`: the team a participant played on (custom
+ *   participants carry `team` in their JSONB entry).
+ * - `Events.winning_team`: the team that won; everyone on it is credited
+ *   with the win.
+ *
+ * Idempotent so the standalone runner is safe to re-run.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const participations = await queryInterface.describeTable('EventParticipations');
+    if (!participations.team) {
+      await queryInterface.addColumn('EventParticipations', 'team', {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+      });
+      console.log('Added EventParticipations.team.');
+    }
+
+    const events = await queryInterface.describeTable('Events');
+    if (!events.winning_team) {
+      await queryInterface.addColumn('Events', 'winning_team', {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+      });
+      console.log('Added Events.winning_team.');
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('Events', 'winning_team');
+    await queryInterface.removeColumn('EventParticipations', 'team');
+  },
+};
+
+// Standalone runner (allow direct invocation via `railway run node migrations/<file>.js`).
+if (require.main === module) {
+  const sequelize = require('../config/database');
+  const { Sequelize } = require('sequelize');
+  module.exports.up(sequelize.getQueryInterface(), Sequelize)
+    .then(() => { return sequelize.close(); })
+    .catch(err => { console.error(err); process.exit(1); });
+}
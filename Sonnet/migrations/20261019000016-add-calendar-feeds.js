@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * Subscribable ICS feeds.
+ *
+ * - `CalendarFeeds`: a tokenized webcal:// feed per user, or per user and
+ *   group, revoked by setting revoked_at.
+ *
+ * Idempotent so the standalone runner is safe to re-run.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const feeds = await queryInterface.describeTable('CalendarFeeds').catch(() => null);
+    if (!feeds) {
+      await queryInterface.createTable('CalendarFeeds', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true,
+          allowNull: false,
+        },
+        token: {
+          type: Sequelize.STRING(64),
+          allowNull: false,
+          unique: true,
+        },
+        user_id: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        group_id: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'Groups', key: 'id' },
+          onDelete: 'CASCADE',
+        },
+        revoked_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        last_fetched_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      });
+      await queryInterface.addIndex('CalendarFeeds', ['user_id'], {
+        name: 'calendar_feeds_user_id',
+      });
+      console.log('Created CalendarFeeds table.');
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('CalendarFeeds');
+  },
+};
+
+// Standalone runner (allow direct invocation via `railway run node migrations/<file>.js`).
+if (require.main === module) {
+  const sequelize = require('../config/database');
+  const { Sequelize } = require('sequelize');
+  module.exports.up(sequelize.getQueryInterface(), Sequelize)
+    .then(() => { return sequelize.close(); })
+    .catch(err => { console.error(err); process.exit(1); });
+}
@@ -0,0 +1,35 @@
+'use strict';
+
+/**
+ * ICS calendars as an availability source.
+ *
+ * - `Users.ics_calendar_url`: a calendar URL the user registered; its busy
+ *   times feed availability like Google Calendar's.
+ *
+ * Idempotent so the standalone runner is safe to re-run.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const users = await queryInterface.describeTable('Users');
+    if (!users.ics_calendar_url) {
+      await queryInterface.addColumn('Users', 'ics_calendar_url', {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      });
+      console.log('Added Users.ics_calendar_url.');
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('Users', 'ics_calendar_url');
+  },
+};
+
+// Standalone runner (allow direct invocation via `railway run node migrations/<file>.js`).
+if (require.main === module) {
+  const sequelize = require('../config/database');
+  const { Sequelize } = require('sequelize');
+  module.exports.up(sequelize.getQueryInterface(), Sequelize)
+    .then(() => { return sequelize.close(); })
+    .catch(err => { console.error(err); process.exit(1); });
+}
@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * Google Calendar push notifications.
+ *
+ * - `GoogleCalendarChannels`: one events.watch channel per connected member,
+ *   replaced before it expires.
+ *
+ * Idempotent so the standalone runner is safe to re-run.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const channels = await queryInterface.describeTable('GoogleCalendarChannels').catch(() => null);
+    if (!channels) {
+      await queryInterface.createTable('GoogleCalendarChannels', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true,
+          allowNull: false,
+        },
+        user_id: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          references: { model: 'Users', key: 'user_id' },
+          onDelete: 'CASCADE',
+        },
+        resource_id: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        token: {
+          type: Sequelize.STRING(64),
+          allowNull: false,
+        },
+        expires_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        last_notified_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      });
+      await queryInterface.addIndex('GoogleCalendarChannels', ['user_id'], {
+        name: 'google_calendar_channels_user_id',
+      });
+      await queryInterface.addIndex('GoogleCalendarChannels', ['expires_at'], {
+        name: 'google_calendar_channels_expires_at',
+      });
+      console.log('Created GoogleCalendarChannels table.');
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('GoogleCalendarChannels');
+  },
+};
+
+// Standalone runner (allow direct invocation via `railway run node migrations/<file>.js`).
+if (require.main === module) {
+  const sequelize = require('../config/database');
+  const { Sequelize } = require('sequelize');
+  module.exports.up(sequelize.getQueryInterface(), Sequelize)
+    .then(() => { return sequelize.close(); })
+    .catch(err => { console.error(err); process.exit(1); });
+}
@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * Microsoft Outlook (Graph) as a second calendar provider.
+ *
+ * - `Users.microsoft_calendar_token` / `microsoft_calendar_refresh_token` /
+ *   `microsoft_calendar_enabled`: the Google Calendar columns' counterparts.
+ * - `EventParticipations.calendar_provider`: which provider the row's
+ *   `google_calendar_event_id` belongs to. Null on rows written before this
+ *   migration, which are all Google.
+ *
+ * Idempotent so the standalone runner is safe to re-run.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const users = await queryInterface.describeTable('Users');
+    if (!users.microsoft_calendar_token) {
+      await queryInterface.addColumn('Users', 'microsoft_calendar_token', {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      });
+    }
+    if (!users.microsoft_calendar_refresh_token) {
+      await queryInterface.addColumn('Users', 'microsoft_calendar_refresh_token', {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      });
+    }
+    if (!users.microsoft_calendar_enabled) {
+      await queryInterface.addColumn('Users', 'microsoft_calendar_enabled', {
+        type: Sequelize.BOOLEAN,
+        allowNull: true,
+        defaultValue: false,
+      });
+      console.log('Added Users.microsoft_calendar_* columns.');
+    }
+
+    const participations = await queryInterface.describeTable('EventParticipations');
+    if (!participations.calendar_provider) {
+      await queryInterface.addColumn('EventParticipations', 'calendar_provider', {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+      });
+      console.log('Added EventParticipations.calendar_provider.');
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('EventParticipations', 'calendar_provider');
+    await queryInterface.removeColumn('Users', 'microsoft_calendar_enabled');
+    await queryInterface.removeColumn('Users', 'microsoft_calendar_refresh_token');
+    await queryInterface.removeColumn('Users', 'microsoft_calendar_token');
+  },
+};
+
+// Standalone runner (allow direct invocation via `railway run node migrations/<file>.js`).
+if (require.main === module) {
+  const sequelize = require('../config/database');
+  const { Sequelize } = require('sequelize');
+  module.exports.up(sequelize.getQueryInterface(), Sequelize)
+    .then(() => { return sequelize.close(); })
+    .catch(err => { console.error(err); process.exit(1); });
+}
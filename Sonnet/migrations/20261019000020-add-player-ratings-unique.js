@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * One PlayerRatings row per (group, game, player) scope.
+ *
+ * Concurrent incremental updates could each insert a row for a player who
+ * had none yet. Group-wide rows have a null game_id, which a plain unique
+ * index treats as distinct, so each scope gets its own partial index.
+ *
+ * Existing duplicates are removed first, keeping the most recently updated
+ * row. Ratings are derived data, so a group rebuild (POST
+ * /api/groups/:group_id/ratings/rebuild) restores exact values afterwards.
+ *
+ * Idempotent so the standalone runner is safe to re-run.
+ */
+module.exports = {
+  async up(queryInterface) {
+    const [, deleted] = await queryInterface.sequelize.query(`
+      DELETE FROM "PlayerRatings" a
+      USING "PlayerRatings" b
+      WHERE a."group_id" = b."group_id"
+        AND a."player_key" = b."player_key"
+        AND a."game_id" IS NOT DISTINCT FROM b."game_id"
+        AND (a."updatedAt", a."id") < (b."updatedAt", b."id")
+    `);
+    if (deleted && deleted.rowCount) {
+      console.log(`Removed ${deleted.rowCount} duplicate PlayerRatings rows.`);
+    }
+
+    await queryInterface.sequelize.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS "player_ratings_group_game_player_unique"
+      ON "PlayerRatings" ("group_id", "game_id", "player_key")
+      WHERE "game_id" IS NOT NULL
+    `);
+    await queryInterface.sequelize.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS "player_ratings_group_player_overall_unique"
+      ON "PlayerRatings" ("group_id", "player_key")
+      WHERE "game_id" IS NULL
+    `);
+    console.log('Added unique PlayerRatings scope indexes.');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query('DROP INDEX IF EXISTS "player_ratings_group_player_overall_unique"');
+    await queryInterface.sequelize.query('DROP INDEX IF EXISTS "player_ratings_group_game_player_unique"');
+  },
+};
+
+// Standalone runner (allow direct invocation via `railway run node migrations/<file>.js`).
+if (require.main === module) {
+  const sequelize = require('../config/database');
+  const { Sequelize } = require('sequelize');
+  module.exports.up(sequelize.getQueryInterface(), Sequelize)
+    .then(() => { return sequelize.close(); })
+    .catch(err => { console.error(err); process.exit(1); });
+}
@@ -63,7 +63,8 @@ const AvailabilitySuggestion = sequelize.define('AvailabilitySuggestion', {
     allowNull: false,
     defaultValue: 0,
     // Ranking score: higher = better suggestion
-    // Algorithm: participant_count * 1.0 + preferred_count * 0.5
+    // Algorithm: participant_count * 1.0 + preferred_count * 0.5, counting
+    // only responders whose Google Calendar is free (heatmapService)
     // Suggestions with meets_minimum=true are boosted
   },
   converted_to_event_id: {
@@ -81,8 +82,9 @@ const AvailabilitySuggestion = sequelize.define('AvailabilitySuggestion', {
     type: DataTypes.JSONB,
     allowNull: true,
     defaultValue: null,
-    // Maps user_id to Google Calendar event ID for tentative holds
-    // Format: {"user_id_1": "calendar_event_id_1", ...}
+    // Maps user_id to the tentative hold in their calendar
+    // Format: {"user_id_1": "google_event_id", "user_id_2": {"provider": "microsoft", "id": "..."}}
+    // (plain strings are Google holds; see services/calendarProviders.js)
   },
 }, {
   timestamps: true,
@@ -0,0 +1,47 @@
+// models/CalendarFeed.js
+// A subscribable webcal:// feed. The token in the URL is the only credential
+// (calendar clients can't send auth headers), so revoking a feed sets
+// revoked_at and the URL stops working; a new feed gets a new token.
+// group_id null = the user's feed (events they RSVPed to in any group);
+// set = that group's events. Served by services/calendarFeedService.js.
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const CalendarFeed = sequelize.define('CalendarFeed', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  token: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+  },
+  user_id: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    // Auth0 string ID -- matches EventRsvp, UserGroup
+  },
+  group_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  last_fetched_at: {
+    type: DataTypes.DATE,
+    allowNull: true, // last time a calendar client pulled the feed
+  },
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+module.exports = CalendarFeed;
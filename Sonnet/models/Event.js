@@ -25,6 +25,19 @@ const Event = sequelize.define('Event', {
     type: DataTypes.INTEGER,
     allowNull: true,
   },
+  capacity: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    // Max 'yes' RSVPs. Null falls back to Game.max_players / Venue.capacity; all null = unlimited.
+  },
+  venue_id: {
+    type: DataTypes.UUID,
+    allowNull: true, // references Venues.id; SET NULL if the venue is deleted
+  },
+  location: {
+    type: DataTypes.STRING(500),
+    allowNull: true, // free-text location for one-off places without a saved venue
+  },
   winner_id: {
     type: DataTypes.UUID,
     allowNull: true, // references User.id
@@ -33,6 +46,10 @@ const Event = sequelize.define('Event', {
     type: DataTypes.UUID,
     allowNull: true, // references User.id
   },
+  host_user_id: {
+    type: DataTypes.UUID,
+    allowNull: true, // references User.id; whose place it's at (host rotation)
+  },
   winner_name: {
     type: DataTypes.STRING,
     allowNull: true, // For custom participants (non-group members) who won
@@ -43,13 +60,17 @@ const Event = sequelize.define('Event', {
   },
   custom_participants: {
     type: DataTypes.JSONB,
-    allowNull: true, // Array of { username, score, faction, is_new_player, placement }
+    allowNull: true, // Array of { username, score, score_breakdown, faction, team, is_new_player, placement }
     defaultValue: [],
   },
   is_group_win: {
     type: DataTypes.BOOLEAN,
     defaultValue: false,
   },
+  winning_team: {
+    type: DataTypes.STRING(50),
+    allowNull: true, // team games: every participant with this team won
+  },
   comments: {
     type: DataTypes.TEXT,
     allowNull: true,
@@ -67,11 +88,54 @@ const Event = sequelize.define('Event', {
     allowNull: true,
     defaultValue: null, // null = no ballot on this event
   },
+  ballot_mode: {
+    type: DataTypes.ENUM('plurality', 'approval', 'ranked_choice', 'borda'),
+    allowNull: false,
+    defaultValue: 'approval', // how ballot votes are tallied (services/ballotTallyService.js)
+  },
+  ballot_deadline: {
+    type: DataTypes.DATE,
+    allowNull: true, // null = close at rsvp_deadline
+  },
+  ballot_quorum: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // minimum voters for the result to count; null = no quorum
+  },
+  ballot_tie_rule: {
+    type: DataTypes.ENUM('organizer', 'random', 'group_rating'),
+    allowNull: false,
+    defaultValue: 'organizer', // how an automatic close settles a tie (services/ballotService.js)
+  },
+  ballot_closed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  ballot_outcome: {
+    type: DataTypes.ENUM('winner', 'random', 'group_rating', 'tie', 'no_votes', 'no_quorum', 'all_vetoed'),
+    allowNull: true, // how the ballot was decided; set when it closes
+  },
   invite_token: {
     type: DataTypes.STRING(64),
     allowNull: true,
     unique: true,
   },
+  series_id: {
+    type: DataTypes.UUID,
+    allowNull: true, // references EventSeries.id; null = one-off event
+  },
+  series_occurrence_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true, // local date of the series slot this row fills (stable identity)
+  },
+  is_series_exception: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false, // true once edited as "this occurrence only"
+  },
+  bgg_play_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // BoardGameGeek play this event was imported from
+  },
 }, {
   timestamps: true,
   indexes: [
@@ -80,6 +144,17 @@ const Event = sequelize.define('Event', {
     },
     {
       fields: ['group_id', 'start_date']
+    },
+    {
+      fields: ['group_id', 'host_user_id']
+    },
+    {
+      fields: ['series_id', 'series_occurrence_date'],
+      unique: true
+    },
+    {
+      fields: ['group_id', 'bgg_play_id'],
+      unique: true
     }
   ]
 });
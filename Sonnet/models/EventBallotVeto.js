@@ -0,0 +1,41 @@
+// models/EventBallotVeto.js
+// A voter's veto on one ballot option ("I won't play this"). How vetoes
+// count is a group setting (Group.ballot_veto_effect): 'exclude' drops a
+// vetoed option from the tally, 'penalize' takes one vote's worth off it per
+// veto. Group.ballot_veto_limit caps how many options one voter can veto.
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const EventBallotVeto = sequelize.define('EventBallotVeto', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  option_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'EventBallotOptions',
+      key: 'id',
+    },
+    onDelete: 'CASCADE',
+  },
+  user_id: {
+    type: DataTypes.STRING,
+    allowNull: false, // Auth0 string ID -- matches EventBallotVote
+  },
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['option_id', 'user_id'],
+      unique: true, // one veto per option per user
+    },
+    {
+      fields: ['user_id'],
+    },
+  ],
+});
+
+module.exports = EventBallotVeto;
@@ -1,5 +1,7 @@
 // models/EventBallotVote.js
-// Ballot vote model: stores per-user approval votes linked to ballot options
+// Ballot vote model: stores per-user votes linked to ballot options.
+// Ranked ballot modes (ranked_choice, borda) store one row per ranked option
+// with its rank; plurality/approval rows leave rank null.
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
 
@@ -24,6 +26,10 @@ const EventBallotVote = sequelize.define('EventBallotVote', {
     // Auth0 string ID (e.g., "google-oauth2|107459289778553956693")
     // NOT UUID -- matches EventRsvp, UserGroup, MagicToken pattern
   },
+  rank: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // 1 = first choice; null outside ranked modes
+  },
 }, {
   timestamps: true,
   indexes: [
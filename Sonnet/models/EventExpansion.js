@@ -0,0 +1,31 @@
+// models/EventExpansion.js
+// An expansion played at an event, on top of the event's game. Only
+// expansions of that game (GameExpansion) are accepted.
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const EventExpansion = sequelize.define('EventExpansion', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  event_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  game_id: {
+    type: DataTypes.UUID,
+    allowNull: false, // the expansion's Game.id
+  },
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['event_id', 'game_id'],
+      unique: true
+    }
+  ]
+});
+
+module.exports = EventExpansion;
@@ -21,10 +21,18 @@ const EventParticipation = sequelize.define('EventParticipation', {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: true,
   },
+  score_breakdown: {
+    type: DataTypes.JSONB,
+    allowNull: true, // { category key: points } from the game's ScoringTemplate
+  },
   faction: {
     type: DataTypes.STRING,
     allowNull: true,
   },
+  team: {
+    type: DataTypes.STRING(50),
+    allowNull: true, // team games (2v2, one-vs-many); see Event.winning_team
+  },
   is_new_player: {
     type: DataTypes.BOOLEAN,
     defaultValue: false,
@@ -40,7 +48,11 @@ const EventParticipation = sequelize.define('EventParticipation', {
   },
   google_calendar_event_id: {
     type: DataTypes.STRING,
-    allowNull: true,
+    allowNull: true, // event id in the attendee's calendar, whichever provider
+  },
+  calendar_provider: {
+    type: DataTypes.STRING(20),
+    allowNull: true, // 'google' | 'microsoft'; null = google (rows from before Outlook)
   },
 }, {
   timestamps: true,
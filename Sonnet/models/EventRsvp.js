@@ -24,9 +24,16 @@ const EventRsvp = sequelize.define('EventRsvp', {
     // NOT UUID -- matches UserGroup, MagicToken, AvailabilityResponse pattern
   },
   status: {
-    type: DataTypes.ENUM('yes', 'no', 'maybe'),
+    // 'waitlist' is never sent by clients -- a 'yes' past Event capacity
+    // is stored as 'waitlist' and promoted when a seat frees up.
+    type: DataTypes.ENUM('yes', 'no', 'maybe', 'waitlist'),
     allowNull: false,
   },
+  waitlisted_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    defaultValue: null,
+  },
   note: {
     type: DataTypes.TEXT,
     allowNull: true,
@@ -0,0 +1,101 @@
+// models/EventSeries.js
+// Recurring game-night series. One row per recurrence rule; concrete Event
+// rows are generated ahead of time by services/eventSeriesService.js and
+// point back here via Event.series_id.
+//
+// The rule is stored as structured columns rather than a raw RRULE string so
+// the generator never has to parse user input. eventSeriesService.toRrule()
+// renders the RRULE-style equivalent for clients and calendar feeds.
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const EventSeries = sequelize.define('EventSeries', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  group_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  created_by_user_id: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    // Auth0 string ID. NOT UUID -- matches UserGroup, EventRsvp pattern.
+  },
+  game_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+  },
+  frequency: {
+    type: DataTypes.ENUM('weekly', 'biweekly', 'monthly'),
+    allowNull: false,
+    // 'monthly' is monthly-by-weekday (e.g. "2nd Thursday"), never by day-of-month.
+  },
+  by_weekday: {
+    type: DataTypes.INTEGER,
+    allowNull: false, // 0 = Sunday ... 6 = Saturday (JS getUTCDay convention)
+  },
+  week_of_month: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // monthly only: 1-4, or -1 for "last"
+  },
+  start_time: {
+    type: DataTypes.STRING(5),
+    allowNull: false, // 'HH:MM' wall-clock time in `timezone`
+  },
+  timezone: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'UTC',
+  },
+  starts_on: {
+    type: DataTypes.DATEONLY,
+    allowNull: false, // first local date the rule may produce
+  },
+  until: {
+    type: DataTypes.DATEONLY,
+    allowNull: true, // inclusive last local date; null = open-ended
+  },
+  exceptions: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [], // Array of 'YYYY-MM-DD' local dates to skip (EXDATE)
+  },
+  duration_minutes: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  comments: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  horizon_days: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 56, // how far ahead occurrences are materialized as Event rows
+  },
+  generated_through: {
+    type: DataTypes.DATEONLY,
+    allowNull: true, // last local date the generator has covered
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'active',
+  },
+}, {
+  tableName: 'EventSeries',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['group_id'],
+    },
+    {
+      fields: ['status'],
+    },
+  ],
+});
+
+module.exports = EventSeries;
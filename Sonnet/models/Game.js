@@ -54,6 +54,11 @@ const Game = sequelize.define('Game', {
     type: DataTypes.BOOLEAN,
     defaultValue: false,
   },
+  is_expansion: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false, // BGG boardgameexpansion; see models/GameExpansion.js
+  },
   theme: {
     type: DataTypes.STRING,
     allowNull: true,
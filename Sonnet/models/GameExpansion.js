@@ -0,0 +1,35 @@
+// models/GameExpansion.js
+// An expansion of a base game, from BGG's boardgameexpansion links. Both
+// sides are Game rows; an expansion can belong to more than one base game.
+// Written by services/gameExpansionService.js when games are imported.
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const GameExpansion = sequelize.define('GameExpansion', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  base_game_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  expansion_game_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['base_game_id', 'expansion_game_id'],
+      unique: true
+    },
+    {
+      fields: ['expansion_game_id']
+    }
+  ]
+});
+
+module.exports = GameExpansion;
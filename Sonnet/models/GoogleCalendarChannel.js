@@ -0,0 +1,49 @@
+// models/GoogleCalendarChannel.js
+// A Google Calendar push-notification channel (events.watch) on a member's
+// primary calendar. The row id is the channel id Google echoes back in
+// X-Goog-Channel-ID; token is our shared secret (X-Goog-Channel-Token).
+// Channels expire, so schedulers/gcalWatchScheduler.js opens a replacement
+// before expires_at and stops the old one. See services/gcalWatchService.js.
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const GoogleCalendarChannel = sequelize.define('GoogleCalendarChannel', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  user_id: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    // Auth0 string ID -- matches the availability cache keys
+  },
+  resource_id: {
+    type: DataTypes.STRING,
+    allowNull: false, // Google's id for the watched calendar; needed to stop the channel
+  },
+  token: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  last_notified_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['user_id']
+    },
+    {
+      fields: ['expires_at']
+    }
+  ]
+});
+
+module.exports = GoogleCalendarChannel;
@@ -35,6 +35,16 @@ const Group = sequelize.define('Group', {
     allowNull: true,
     unique: true,
   },
+  ballot_veto_limit: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1, // options each voter may veto per ballot; 0 turns vetoes off
+  },
+  ballot_veto_effect: {
+    type: DataTypes.ENUM('exclude', 'penalize'),
+    allowNull: false,
+    defaultValue: 'exclude', // how vetoes count in the tally (services/ballotTallyService.js)
+  },
 }, {
   timestamps: true,
   indexes: [
@@ -0,0 +1,41 @@
+// models/GroupSimilarity.js
+// How alike two groups' game tastes are, for "groups like yours also loved"
+// recommendations. Derived data: services/recommendationService.js rebuilds
+// the whole table in a nightly batch (schedulers/recommendationScheduler.js)
+// and nothing else writes here. Only each group's closest neighbours are
+// kept, so a pair may be stored in one direction only.
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const GroupSimilarity = sequelize.define('GroupSimilarity', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  group_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  similar_group_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  similarity: {
+    type: DataTypes.FLOAT,
+    allowNull: false, // adjusted cosine, 0 < similarity <= 1
+  },
+  shared_games: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['group_id', 'similarity']
+    }
+  ]
+});
+
+module.exports = GroupSimilarity;
@@ -0,0 +1,80 @@
+// models/PlayerRating.js
+// Current skill rating per player within a group, either across all games
+// (game_id null) or for one game. Rows are derived data: services/
+// ratingService.js rebuilds them from completed events and nothing else
+// writes here.
+const { DataTypes, Op } = require('sequelize');
+const sequelize = require('../config/database');
+
+const PlayerRating = sequelize.define('PlayerRating', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  group_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  game_id: {
+    type: DataTypes.UUID,
+    allowNull: true, // null = group-wide rating across every game
+  },
+  player_key: {
+    type: DataTypes.STRING,
+    allowNull: false, // User.id for members, 'guest:<name>' for custom participants
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: true, // references User.id; null for guests
+  },
+  guest_name: {
+    type: DataTypes.STRING,
+    allowNull: true, // display name for custom participants without an account
+  },
+  rating: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    defaultValue: 1500,
+  },
+  games_played: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  wins: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  last_played_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['group_id', 'game_id', 'rating']
+    },
+    {
+      fields: ['group_id', 'player_key']
+    },
+    // One row per scope. Two partial indexes because Postgres treats NULL
+    // game_ids as distinct in a plain unique index.
+    {
+      unique: true,
+      fields: ['group_id', 'game_id', 'player_key'],
+      where: { game_id: { [Op.ne]: null } },
+      name: 'player_ratings_group_game_player_unique'
+    },
+    {
+      unique: true,
+      fields: ['group_id', 'player_key'],
+      where: { game_id: null },
+      name: 'player_ratings_group_player_overall_unique'
+    }
+  ]
+});
+
+module.exports = PlayerRating;
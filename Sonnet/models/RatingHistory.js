@@ -0,0 +1,67 @@
+// models/RatingHistory.js
+// One row per (rated event, player, scope): the rating before and after that
+// game night. Powers the rating-over-time chart; rebuilt alongside
+// PlayerRating.
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const RatingHistory = sequelize.define('RatingHistory', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  group_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  game_id: {
+    type: DataTypes.UUID,
+    allowNull: true, // null = group-wide scope (same as PlayerRating.game_id)
+  },
+  event_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  player_key: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+  },
+  guest_name: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  rank: {
+    type: DataTypes.INTEGER,
+    allowNull: false, // 1 = best; equal ranks are ties
+  },
+  rating_before: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+  },
+  rating_after: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+  },
+  played_at: {
+    type: DataTypes.DATE,
+    allowNull: false, // Event.start_date, denormalized for ordering
+  },
+}, {
+  tableName: 'RatingHistory',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['group_id', 'player_key', 'played_at']
+    },
+    {
+      fields: ['event_id']
+    }
+  ]
+});
+
+module.exports = RatingHistory;
@@ -0,0 +1,56 @@
+// models/ScoringTemplate.js
+// A group's scoring sheet for one game: the categories a score is made of
+// (Wingspan's birds, bonus cards, eggs...), whether the highest or lowest
+// total wins and how ties are broken. When a template exists, participants'
+// EventParticipation.score_breakdown is summed into score and placement by
+// services/scoringService.js.
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const ScoringTemplate = sequelize.define('ScoringTemplate', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  group_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  game_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  // [{ key: 'birds', name: 'Birds' }, ...] in sheet order
+  categories: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+  },
+  lower_wins: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  // [{ category: 'eggs', lower_wins: false }, ...] applied in order to tied
+  // totals; anyone still level shares the placement
+  tiebreakers: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+  },
+  created_by_user_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+  },
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['group_id', 'game_id'],
+      unique: true
+    }
+  ]
+});
+
+module.exports = ScoringTemplate;
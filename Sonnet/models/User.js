@@ -36,6 +36,25 @@ const User = sequelize.define('User', {
     type: DataTypes.BOOLEAN,
     defaultValue: false,
   },
+  microsoft_calendar_token: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    // Microsoft Graph (Outlook) counterpart of google_calendar_token
+  },
+  microsoft_calendar_refresh_token: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  microsoft_calendar_enabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+  },
+  ics_calendar_url: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    // Private ICS/webcal URL (iCloud, Outlook.com, ...) read for busy times
+    // by services/icsCalendarService.js. Treat like a credential.
+  },
   email_notifications_enabled: {
     type: DataTypes.BOOLEAN,
     defaultValue: true,
@@ -0,0 +1,49 @@
+// models/UserAchievement.js
+// A badge a member earned in a group. The badge definitions live in code
+// (services/achievementService.js ACHIEVEMENTS); a row here only records
+// when each one was first earned, so badges are never taken away even if
+// the data behind them is later edited.
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const UserAchievement = sequelize.define('UserAchievement', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  group_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false, // references User.id (like EventParticipation.user_id)
+  },
+  achievement_key: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+  },
+  event_id: {
+    type: DataTypes.UUID,
+    allowNull: true, // event whose completion unlocked it; null for backfills
+  },
+  earned_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['group_id', 'user_id', 'achievement_key'],
+      unique: true
+    },
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+module.exports = UserAchievement;
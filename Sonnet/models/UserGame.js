@@ -1,4 +1,8 @@
 // models/UserGame.js
+// A game in a user's collection. The status flags mirror BGG's collection
+// statuses and combine freely (an owned copy can be for trade and on the
+// want-to-play list); anything that means "has the game" must filter on
+// owned. A row with no flag set is deleted rather than kept.
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
 
@@ -16,6 +20,31 @@ const UserGame = sequelize.define('UserGame', {
     type: DataTypes.UUID,
     allowNull: false,
   },
+  owned: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
+  wishlist: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  want_to_play: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  previously_owned: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  for_trade: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
 }, {
   timestamps: true,
   indexes: [
@@ -30,8 +59,3 @@ const UserGame = sequelize.define('UserGame', {
 });
 
 module.exports = UserGame;
-
-
-
-
-
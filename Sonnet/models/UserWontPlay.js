@@ -0,0 +1,32 @@
+// models/UserWontPlay.js
+// A game a user never wants suggested ("won't play"). Kept across groups and
+// events; services/suggestionService.js leaves out any game that one of the
+// players being suggested for won't play.
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const UserWontPlay = sequelize.define('UserWontPlay', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false, // references User.id (like UserGame.user_id)
+  },
+  game_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['user_id', 'game_id'],
+      unique: true
+    }
+  ]
+});
+
+module.exports = UserWontPlay;
@@ -0,0 +1,53 @@
+// models/Venue.js
+// Reusable per-group places to play (someone's living room, the FLGS back
+// room). Events reference a venue via Event.venue_id; services/venueService.js
+// turns the pair into the single location string used by ICS, Google
+// Calendar, email and SMS.
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const Venue = sequelize.define('Venue', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  group_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  address: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+  },
+  host_user_id: {
+    type: DataTypes.UUID,
+    allowNull: true, // Users.id (UUID) -- same convention as Event.picked_by_id
+  },
+  capacity: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // seats at the venue; caps RSVP capacity alongside Game.max_players
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true, // e.g. "bring snacks", "park on the street"
+  },
+  is_archived: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false, // archived venues stay on past events but leave the picker
+  },
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['group_id'],
+    },
+  ],
+});
+
+module.exports = Venue;
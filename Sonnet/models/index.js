@@ -25,9 +25,22 @@ const EventRsvp = require('./EventRsvp');
 const EventBring = require('./EventBring');
 const EventBallotOption = require('./EventBallotOption');
 const EventBallotVote = require('./EventBallotVote');
+const EventBallotVeto = require('./EventBallotVeto');
 const SentNotification = require('./SentNotification');
 const SchedulerRun = require('./SchedulerRun');
 const EventAuditLog = require('./EventAuditLog');
+const EventSeries = require('./EventSeries');
+const Venue = require('./Venue');
+const PlayerRating = require('./PlayerRating');
+const RatingHistory = require('./RatingHistory');
+const UserAchievement = require('./UserAchievement');
+const UserWontPlay = require('./UserWontPlay');
+const GroupSimilarity = require('./GroupSimilarity');
+const GameExpansion = require('./GameExpansion');
+const EventExpansion = require('./EventExpansion');
+const ScoringTemplate = require('./ScoringTemplate');
+const CalendarFeed = require('./CalendarFeed');
+const GoogleCalendarChannel = require('./GoogleCalendarChannel');
 const sequelize = require('../config/database');
 
 
@@ -74,9 +87,10 @@ User.hasMany(EventParticipation, { foreignKey: 'user_id' });
 EventParticipation.belongsTo(User, { foreignKey: 'user_id' });
 
 
-// Winner and Picker associations
+// Winner, Picker and Host associations
 Event.belongsTo(User, { as: 'Winner', foreignKey: 'winner_id' });
 Event.belongsTo(User, { as: 'PickedBy', foreignKey: 'picked_by_id' });
+Event.belongsTo(User, { as: 'Host', foreignKey: 'host_user_id' });
 
 
 // Game Reviews
@@ -194,6 +208,10 @@ EventBallotVote.belongsTo(EventBallotOption, { foreignKey: 'option_id' });
 User.hasMany(EventBallotVote, { foreignKey: 'user_id', sourceKey: 'user_id' });
 EventBallotVote.belongsTo(User, { foreignKey: 'user_id', targetKey: 'user_id' });
 
+// Event Ballot Vetoes (per-user "won't play" marks on ballot options)
+EventBallotOption.hasMany(EventBallotVeto, { foreignKey: 'option_id' });
+EventBallotVeto.belongsTo(EventBallotOption, { foreignKey: 'option_id' });
+
 // Sent Notifications (outbound SMS log for inbound reply resolution)
 Event.hasMany(SentNotification, { foreignKey: 'event_id' });
 SentNotification.belongsTo(Event, { foreignKey: 'event_id' });
@@ -201,6 +219,72 @@ SentNotification.belongsTo(Event, { foreignKey: 'event_id' });
 User.hasMany(SentNotification, { foreignKey: 'user_id', sourceKey: 'user_id' });
 SentNotification.belongsTo(User, { foreignKey: 'user_id', targetKey: 'user_id' });
 
+// Event Series (recurring game nights; occurrences are materialized Event rows)
+Group.hasMany(EventSeries, { foreignKey: 'group_id' });
+EventSeries.belongsTo(Group, { foreignKey: 'group_id' });
+Game.hasMany(EventSeries, { foreignKey: 'game_id' });
+EventSeries.belongsTo(Game, { foreignKey: 'game_id' });
+EventSeries.hasMany(Event, { foreignKey: 'series_id' });
+Event.belongsTo(EventSeries, { foreignKey: 'series_id' });
+
+// Venues (per-group places to play; events point at one via venue_id)
+Group.hasMany(Venue, { foreignKey: 'group_id' });
+Venue.belongsTo(Group, { foreignKey: 'group_id' });
+Venue.belongsTo(User, { as: 'Host', foreignKey: 'host_user_id' });
+Venue.hasMany(Event, { foreignKey: 'venue_id' });
+Event.belongsTo(Venue, { foreignKey: 'venue_id' });
+
+// Player ratings (derived from completed events by services/ratingService.js)
+Group.hasMany(PlayerRating, { foreignKey: 'group_id' });
+PlayerRating.belongsTo(Group, { foreignKey: 'group_id' });
+PlayerRating.belongsTo(Game, { foreignKey: 'game_id' });
+PlayerRating.belongsTo(User, { foreignKey: 'user_id' });
+RatingHistory.belongsTo(Event, { foreignKey: 'event_id' });
+RatingHistory.belongsTo(Game, { foreignKey: 'game_id' });
+
+// Achievements (badge definitions live in services/achievementService.js)
+Group.hasMany(UserAchievement, { foreignKey: 'group_id' });
+UserAchievement.belongsTo(Group, { foreignKey: 'group_id' });
+User.hasMany(UserAchievement, { foreignKey: 'user_id' });
+UserAchievement.belongsTo(User, { foreignKey: 'user_id' });
+UserAchievement.belongsTo(Event, { foreignKey: 'event_id' });
+
+// Won't-play preferences (games a user never wants suggested)
+User.hasMany(UserWontPlay, { foreignKey: 'user_id' });
+UserWontPlay.belongsTo(User, { foreignKey: 'user_id' });
+Game.hasMany(UserWontPlay, { foreignKey: 'game_id' });
+UserWontPlay.belongsTo(Game, { foreignKey: 'game_id' });
+
+// Group taste similarity (derived nightly by services/recommendationService.js)
+Group.hasMany(GroupSimilarity, { foreignKey: 'group_id' });
+GroupSimilarity.belongsTo(Group, { foreignKey: 'group_id' });
+
+// Game expansions (base game -> expansions, from BGG links)
+Game.belongsToMany(Game, { through: GameExpansion, as: 'Expansions', foreignKey: 'base_game_id', otherKey: 'expansion_game_id' });
+Game.belongsToMany(Game, { through: GameExpansion, as: 'BaseGames', foreignKey: 'expansion_game_id', otherKey: 'base_game_id' });
+
+// Expansions played at an event
+Event.belongsToMany(Game, { through: EventExpansion, as: 'Expansions', foreignKey: 'event_id', otherKey: 'game_id' });
+Event.hasMany(EventExpansion, { foreignKey: 'event_id' });
+EventExpansion.belongsTo(Event, { foreignKey: 'event_id' });
+
+// Scoring sheets (per-group, per-game score categories)
+Group.hasMany(ScoringTemplate, { foreignKey: 'group_id' });
+ScoringTemplate.belongsTo(Group, { foreignKey: 'group_id' });
+Game.hasMany(ScoringTemplate, { foreignKey: 'game_id' });
+ScoringTemplate.belongsTo(Game, { foreignKey: 'game_id' });
+ScoringTemplate.belongsTo(User, { as: 'Creator', foreignKey: 'created_by_user_id' });
+
+// Subscribable ICS feeds (user_id is the Auth0 string ID)
+User.hasMany(CalendarFeed, { foreignKey: 'user_id', sourceKey: 'user_id' });
+CalendarFeed.belongsTo(User, { foreignKey: 'user_id', targetKey: 'user_id' });
+Group.hasMany(CalendarFeed, { foreignKey: 'group_id' });
+CalendarFeed.belongsTo(Group, { foreignKey: 'group_id' });
+
+// Google Calendar push-notification channels (user_id is the Auth0 string ID)
+User.hasMany(GoogleCalendarChannel, { foreignKey: 'user_id', sourceKey: 'user_id' });
+GoogleCalendarChannel.belongsTo(User, { foreignKey: 'user_id', targetKey: 'user_id' });
+
 
 module.exports = {
   User,
@@ -226,8 +310,21 @@ module.exports = {
   EventBring,
   EventBallotOption,
   EventBallotVote,
+  EventBallotVeto,
   SentNotification,
   SchedulerRun,
   EventAuditLog,
+  EventSeries,
+  Venue,
+  PlayerRating,
+  RatingHistory,
+  UserAchievement,
+  UserWontPlay,
+  GroupSimilarity,
+  GameExpansion,
+  EventExpansion,
+  ScoringTemplate,
+  CalendarFeed,
+  GoogleCalendarChannel,
   sequelize,
 };
\ No newline at end of file
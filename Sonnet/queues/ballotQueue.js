@@ -0,0 +1,25 @@
+// queues/ballotQueue.js
+// BullMQ queue for closing ballots at their deadline. One delayed job per
+// event (jobId ballot-close-<eventId>), queued by
+// services/ballotService.scheduleBallotClose whenever a ballot opens or its
+// deadline moves. Closing is claimed atomically, so a retry after a partial
+// failure never announces a result twice.
+const { Queue } = require('bullmq');
+const Redis = require('ioredis');
+
+const connection = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', {
+  maxRetriesPerRequest: null, // REQUIRED for BullMQ blocking commands
+  enableReadyCheck: false
+});
+
+const ballotQueue = new Queue('ballot-close', {
+  connection,
+  defaultJobOptions: {
+    attempts: 2,              // Fewer retries — closing is time-sensitive
+    backoff: { type: 'fixed', delay: 10000 },
+    removeOnComplete: 500,
+    removeOnFail: false       // Keep all failed jobs for debugging
+  }
+});
+
+module.exports = ballotQueue;
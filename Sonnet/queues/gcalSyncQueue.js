@@ -1,6 +1,7 @@
 // queues/gcalSyncQueue.js
 // Phase 75 / GCAL-01: dedicated BullMQ queue for outbound Google Calendar
-// removal jobs (event cancel, event hard-delete, RSVP yes->no per Plan 75-04).
+// removal jobs (event cancel, event hard-delete, RSVP yes->no per Plan 75-04)
+// and `update` jobs that patch attendees' entries after an event is edited.
 //
 // Plan 75-02 ships ONLY the queue infrastructure. The worker handler is a
 // scaffold no-op (see workers/gcalSyncWorker.js); real removal logic ships
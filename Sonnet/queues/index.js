@@ -19,11 +19,15 @@ const promptQueue = require('./promptQueue');
 const deadlineQueue = require('./deadlineQueue');
 const reminderQueue = require('./reminderQueue');
 const gcalSyncQueue = require('./gcalSyncQueue');
+const ratingQueue = require('./ratingQueue');
+const ballotQueue = require('./ballotQueue');
 
 module.exports = {
   connection,
   promptQueue,
   deadlineQueue,
   reminderQueue,
-  gcalSyncQueue
+  gcalSyncQueue,
+  ratingQueue,
+  ballotQueue
 };
@@ -0,0 +1,25 @@
+// queues/ratingQueue.js
+// BullMQ queue for player-rating rebuilds. A job recomputes one group's
+// ratings from scratch (services/ratingService.rebuildGroupRatings); it is
+// enqueued whenever an older event is edited, deleted or back-dated, since
+// every later rating depends on it. Rebuilds are idempotent, so duplicate
+// jobs for the same group are harmless -- the last one wins.
+const { Queue } = require('bullmq');
+const Redis = require('ioredis');
+
+const connection = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', {
+  maxRetriesPerRequest: null, // REQUIRED for BullMQ blocking commands
+  enableReadyCheck: false
+});
+
+const ratingQueue = new Queue('rating-rebuild', {
+  connection,
+  defaultJobOptions: {
+    attempts: 3,
+    backoff: { type: 'exponential', delay: 5000 },
+    removeOnComplete: 1000,
+    removeOnFail: false       // Keep all failed jobs for debugging
+  }
+});
+
+module.exports = ratingQueue;
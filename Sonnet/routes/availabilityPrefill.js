@@ -10,6 +10,8 @@
 // specific overrides, override-beats-recurring) intersecting the requested
 // week. Filters out source:'default' so users with zero saved patterns do
 // NOT get the entire grid painted (research Pitfall 3).
+// POST /ics: same as /gcal for any other calendar -- an uploaded .ics file or
+// the user's registered ICS URL (services/icsCalendarService.js).
 
 const express = require('express');
 const router = express.Router();
@@ -18,6 +20,7 @@ const { User } = require('../models');
 const { validateToken } = require('../services/magicTokenService');
 const googleCalendarService = require('../services/googleCalendarService');
 const availabilityService = require('../services/availabilityService');
+const icsCalendarService = require('../services/icsCalendarService');
 const { magicTokenLimiter } = require('../middleware/rateLimiter');
 
 /**
@@ -195,10 +198,10 @@ router.post('/saved', magicTokenLimiter, async (req, res) => {
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
-    // Spread clone so we don't mutate the Sequelize instance. Setting
-    // google_calendar_enabled:false makes calculateUserAvailability skip its
-    // GCal branch entirely — we get pure recurring + override output.
-    const userForCalc = { ...user.toJSON(), google_calendar_enabled: false };
+    // Spread clone so we don't mutate the Sequelize instance. Disabling both
+    // calendar providers makes calculateUserAvailability skip its connected-
+    // calendar branch entirely — we get pure recurring + override output.
+    const userForCalc = { ...user.toJSON(), google_calendar_enabled: false, microsoft_calendar_enabled: false };
 
     // ---- Compute date range ----
     // start_date is the window anchor the client received from /magic-auth/validate; we
@@ -224,4 +227,109 @@ router.post('/saved', magicTokenLimiter, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/availability-prefill/ics
+ *
+ * Magic-token authenticated (NOT Auth0). Returns slot IDs for slots where the
+ * user is free according to an ICS calendar: the `ics` text of an uploaded
+ * file when given, otherwise the calendar URL saved on their profile
+ * (User.ics_calendar_url). Busy times go through
+ * `availabilityService.calculateUserAvailability` as preloaded ICS busy
+ * slots -- the same path a registered URL takes on the heatmap -- so saved
+ * specific overrides still win. GCal is forced off on the clone, as in
+ * /saved, so only the ICS calendar decides.
+ *
+ * Token is NOT consumed (consume: false).
+ *
+ * Request body: {
+ *   magic_token: string,            // Required
+ *   start_date: "YYYY-MM-DD",       // Required
+ *   num_days: number (1-14),        // Required
+ *   timezone: string,               // Required - IANA; floating and all-day times use it
+ *   ics: string                     // Optional - contents of an .ics file
+ * }
+ *
+ * Response:
+ *   Success: { slot_ids: [...], count: N, source: 'upload' | 'url' }
+ *   Validation / calendar error: { error: string }
+ *   Token error: { error: string, action: 'request_new' }
+ */
+router.post('/ics', magicTokenLimiter, async (req, res) => {
+  try {
+    const { magic_token, start_date, num_days, timezone, ics } = req.body;
+
+    // ---- Input validation (same shape as /gcal) ----
+    if (!magic_token || typeof magic_token !== 'string') {
+      return res.status(400).json({ error: 'magic_token is required' });
+    }
+    if (!start_date || typeof start_date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(start_date)) {
+      return res.status(400).json({ error: 'start_date must be YYYY-MM-DD' });
+    }
+    const numDaysInt = parseInt(num_days, 10);
+    if (!Number.isFinite(numDaysInt) || numDaysInt < 1 || numDaysInt > 14) {
+      return res.status(400).json({ error: 'num_days must be an integer 1-14' });
+    }
+    if (!timezone || !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: 'timezone must be a valid IANA timezone' });
+    }
+    if (ics !== undefined && ics !== null) {
+      if (typeof ics !== 'string' || ics.trim().length === 0) {
+        return res.status(400).json({ error: 'ics must be the text of an .ics file' });
+      }
+      if (Buffer.byteLength(ics, 'utf8') > icsCalendarService.MAX_ICS_BYTES) {
+        return res.status(400).json({ error: 'ics file is too large (5 MB max)' });
+      }
+    }
+
+    // ---- Magic-token validation (consume: false — DO NOT invalidate the token) ----
+    const tokenResult = await validateToken(magic_token, null, { consume: false });
+    if (!tokenResult.valid) {
+      return res.status(400).json({
+        error: 'This link is no longer valid.',
+        action: 'request_new'
+      });
+    }
+    const userId = tokenResult.decoded.sub;
+
+    const user = await User.findOne({ where: { user_id: userId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!ics && !user.ics_calendar_url) {
+      return res.status(400).json({ error: 'Upload an .ics file or add a calendar URL to your profile' });
+    }
+
+    // ---- Compute date range (start_date trusted verbatim, as in /gcal) ----
+    const startDate = new Date(`${start_date}T00:00:00.000Z`);
+    const endDate = new Date(startDate);
+    endDate.setUTCDate(endDate.getUTCDate() + numDaysInt);
+
+    // ---- Busy slots from the calendar; errors here are the user's to fix ----
+    let busySlots;
+    try {
+      busySlots = ics
+        ? icsCalendarService.getBusyTimesFromIcs(ics, startDate, endDate, timezone)
+        : await icsCalendarService.getBusyTimesForUrl(user.ics_calendar_url, startDate, endDate, timezone);
+    } catch (error) {
+      if (error instanceof icsCalendarService.IcsCalendarError) {
+        return res.status(400).json({ error: error.message, ...error.details });
+      }
+      throw error;
+    }
+
+    const userForCalc = { ...user.toJSON(), google_calendar_enabled: false, microsoft_calendar_enabled: false };
+    const slots = await availabilityService.calculateUserAvailability(
+      userForCalc, startDate, endDate, timezone, undefined, busySlots
+    );
+    const freeSlotIds = slots
+      .filter(s => s.isAvailable && s.source !== 'default')
+      .map(s => new Date(`${s.date}T${s.startTime}:00.000Z`).toISOString());
+
+    return res.json({ slot_ids: freeSlotIds, count: freeSlotIds.length, source: ics ? 'upload' : 'url' });
+  } catch (err) {
+    console.error('[availability-prefill/ics] error:', err);
+    return res.status(500).json({ error: 'Failed to compute calendar pre-fill' });
+  }
+});
+
 module.exports = router;
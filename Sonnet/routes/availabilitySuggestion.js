@@ -194,7 +194,8 @@ router.post('/suggestions/:suggestionId/convert', verifyAuth0Token, async (req,
       userId,
       {
         comments: req.body.comments,  // Optional override
-        sendEmails: req.body.send_emails !== false  // Default true
+        sendEmails: req.body.send_emails !== false,  // Default true
+        hostUserId: req.body.host_user_id  // Optional User.id of the host
       }
     );
 
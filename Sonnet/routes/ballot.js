@@ -6,8 +6,11 @@ const {
   Event,
   EventBallotOption,
   EventBallotVote,
+  EventBallotVeto,
   EventRsvp,
   Game,
+  Group,
+  sequelize,
 } = require('../models');
 const { validateBallotOptions, validateBallotVote } = require('../middleware/validators');
 const {
@@ -15,47 +18,71 @@ const {
   isMemberOrHigher,
   canReadEventScopedSurface,
 } = require('../services/authorizationService');
+const { isRankedMode, DEFAULT_MODE } = require('../services/ballotTallyService');
+const ballotService = require('../services/ballotService');
+const { getBallotSuggestions } = require('../services/suggestionService');
 const router = express.Router();
 
-/**
- * Close the ballot: count votes, determine winner or tie, update event
- * @param {Object} event - Event Sequelize instance
- * @param {Array} options - EventBallotOption instances with EventBallotVotes included
- */
-async function closeBallot(event, options) {
-  // Count votes per option
-  const voteCounts = options.map(opt => ({
-    option: opt,
-    count: opt.EventBallotVotes ? opt.EventBallotVotes.length : 0,
-  }));
-
-  const maxVotes = Math.max(...voteCounts.map(v => v.count), 0);
-
-  if (maxVotes === 0) {
-    // No votes cast -- organizer must pick fallback
-    event.ballot_status = 'closed';
-    await event.save();
-    return { tied: false, noVotes: true };
-  }
-
-  const winners = voteCounts.filter(v => v.count === maxVotes);
+// The requesting user's rank for an option (ranked modes), else null
+const userRank = (opt, userId) => {
+  const vote = (opt.EventBallotVotes || []).find(v => v.user_id === userId);
+  return vote && vote.rank !== undefined ? vote.rank : null;
+};
+
+const userVetoed = (opt, userId) => (opt.EventBallotVetoes || []).some(v => v.user_id === userId);
+
+// Apply the closing settings from a POST/PUT /options body. Omitted fields
+// keep their current value; null clears deadline and quorum.
+const applyCloseSettings = (event, { deadline, quorum, tie_rule }) => {
+  if (deadline !== undefined) event.ballot_deadline = deadline || null;
+  if (quorum !== undefined) event.ballot_quorum = quorum || null;
+  if (tie_rule !== undefined) event.ballot_tie_rule = tie_rule;
+};
+
+const closeSettingsOf = (event) => ({
+  ballot_deadline: ballotService.ballotDeadline(event),
+  ballot_quorum: event.ballot_quorum || null,
+  ballot_tie_rule: event.ballot_tie_rule || 'organizer',
+});
 
-  if (winners.length === 1) {
-    // Single winner
-    const winner = winners[0].option;
-    if (winner.game_id) {
-      event.game_id = winner.game_id;
-    }
-    event.ballot_status = 'closed';
-    await event.save();
-    return { tied: false, noVotes: false, winner: winner };
+const DEFAULT_AUTO_COUNT = 5;
+const DEFAULT_MAX_PER_WEIGHT_BAND = 2;
+
+// Options for a POST/PUT /options body: the ones sent, or with `auto`, the
+// event's top suggestions (games attendees bring first; `seed` says how they
+// were picked). Games longer than the event are left out.
+const resolveOptions = async (event, { options, auto }) => {
+  if (!auto) return { options };
+
+  const source = auto.source || 'collections';
+  const result = await getBallotSuggestions({
+    groupId: event.group_id,
+    eventId: event.id,
+    count: auto.count || DEFAULT_AUTO_COUNT,
+    source,
+    maxPerWeightBand: auto.max_per_weight_band || DEFAULT_MAX_PER_WEIGHT_BAND,
+    maxPlayTime: event.duration_minutes || undefined,
+  });
+  const seed = {
+    source,
+    player_count: result.playerCount,
+    candidates: result.candidates,
+    relaxed_diversity: result.relaxedDiversity,
+    picks: result.options.map(s => ({ game_id: s.id, weight_band: s.weight_band, brought: s.brought })),
+  };
+  if (result.options.length < 2) {
+    return {
+      error: source === 'bringing'
+        ? 'Not enough games being brought to fill a ballot'
+        : 'Not enough suggested games to fill a ballot',
+      seed,
+    };
   }
-
-  // Tie -- organizer must resolve
-  event.ballot_status = 'closed';
-  await event.save();
-  return { tied: true, noVotes: false, tiedOptions: winners.map(w => w.option) };
-}
+  return {
+    options: result.options.map(s => ({ game_id: s.id, game_name: s.name })),
+    seed,
+  };
+};
 
 // ============================================
 // GET /:eventId -- Get ballot for an event
@@ -72,10 +99,12 @@ router.get('/:eventId', async (req, res) => {
           model: EventBallotOption,
           include: [
             { model: EventBallotVote },
+            { model: EventBallotVeto },
             { model: Game, attributes: ['id', 'name', 'thumbnail_url'] },
           ],
           order: [['display_order', 'ASC']],
         },
+        { model: Group, attributes: ['id', 'name', 'ballot_veto_limit', 'ballot_veto_effect'] },
       ],
     });
 
@@ -97,10 +126,15 @@ router.get('/:eventId', async (req, res) => {
       return res.json({ ballot_status: null });
     }
 
-    // Lazy auto-close: if rsvp_deadline passed and ballot is still open
+    // Lazy auto-close: if the ballot deadline passed and the close job hasn't
+    // run yet (Redis down, job delayed), close it here
     let closeResult = null;
-    if (event.rsvp_deadline && new Date(event.rsvp_deadline) < new Date() && event.ballot_status === 'open') {
-      closeResult = await closeBallot(event, event.EventBallotOptions || []);
+    const deadline = ballotService.ballotDeadline(event);
+    if (deadline && deadline < new Date() && event.ballot_status === 'open') {
+      closeResult = await ballotService.closeBallot(event, event.EventBallotOptions || []);
+      if (closeResult) {
+        ballotService.notifyBallotClosed(event, closeResult);
+      }
       // Reload event to get updated values
       await event.reload({
         include: [
@@ -108,9 +142,11 @@ router.get('/:eventId', async (req, res) => {
             model: EventBallotOption,
             include: [
               { model: EventBallotVote },
+              { model: EventBallotVeto },
               { model: Game, attributes: ['id', 'name', 'thumbnail_url'] },
             ],
           },
+          { model: Group, attributes: ['id', 'name', 'ballot_veto_limit', 'ballot_veto_effect'] },
         ],
       });
     }
@@ -119,6 +155,8 @@ router.get('/:eventId', async (req, res) => {
     const isOrganizer = await isOwnerOrAdmin(userId, event.group_id);
 
     const options = event.EventBallotOptions || [];
+    const mode = event.ballot_mode || DEFAULT_MODE;
+    const tally = closeResult?.tally || ballotService.tallyEvent(event, options);
 
     // Determine winner info
     let winner = null;
@@ -138,25 +176,43 @@ router.get('/:eventId', async (req, res) => {
 
     // Determine tie-break / fallback state
     const needsTieBreak = event.ballot_status === 'closed' && !event.game_id && closeResult?.tied === true;
-    const needsFallbackPick = event.ballot_status === 'closed' && !event.game_id && closeResult?.noVotes === true;
+    const needsFallbackPick = event.ballot_status === 'closed' && !event.game_id
+      && (closeResult?.noVotes === true || closeResult?.noQuorum === true || closeResult?.allVetoed === true);
 
     // Also detect tie/fallback from persisted state (not just fresh close)
     const persistedNeedsTieBreak = event.ballot_status === 'closed' && !event.game_id && !needsFallbackPick;
-    const persistedNeedsFallbackPick = event.ballot_status === 'closed' && !event.game_id && options.every(opt => !opt.EventBallotVotes || opt.EventBallotVotes.length === 0);
+    const persistedNeedsFallbackPick = event.ballot_status === 'closed' && !event.game_id
+      && (tally.no_votes || tally.all_vetoed || event.ballot_outcome === 'no_quorum');
+
+    // Deadline, quorum and how the ballot ended, shown to everyone
+    const settings = {
+      ballot_deadline: deadline,
+      ballot_quorum: event.ballot_quorum || null,
+      ballot_tie_rule: event.ballot_tie_rule || 'organizer',
+      ballot_outcome: event.ballot_outcome || null,
+      ballot_closed_at: event.ballot_closed_at || null,
+      veto_limit: event.Group?.ballot_veto_limit ?? 0,
+      veto_effect: tally.veto_effect,
+    };
 
     if (isOrganizer) {
-      // Organizer response: includes vote counts
+      // Organizer response: includes vote counts and the live tally
       const tiedOptions = (needsTieBreak || persistedNeedsTieBreak) ? (() => {
-        const maxVotes = Math.max(...options.map(opt => (opt.EventBallotVotes || []).length), 0);
-        if (maxVotes === 0) return null;
+        // A free-text winner has no game_id to set, so it is offered alone
+        const ids = tally.tied_option_ids.length > 0
+          ? tally.tied_option_ids
+          : (tally.winner_option_id ? [tally.winner_option_id] : []);
+        if (ids.length === 0) return null;
         return options
-          .filter(opt => (opt.EventBallotVotes || []).length === maxVotes)
+          .filter(opt => ids.includes(opt.id))
           .map(opt => ({ id: opt.id, game_id: opt.game_id, game_name: opt.game_name }));
       })() : null;
 
       return res.json({
         ballot_status: event.ballot_status,
+        ballot_mode: mode,
         rsvp_deadline: event.rsvp_deadline,
+        ...settings,
         options: options
           .sort((a, b) => a.display_order - b.display_order)
           .map(opt => ({
@@ -165,19 +221,26 @@ router.get('/:eventId', async (req, res) => {
             game_name: opt.game_name,
             display_order: opt.display_order,
             vote_count: (opt.EventBallotVotes || []).length,
+            veto_count: (opt.EventBallotVetoes || []).length,
             user_voted: (opt.EventBallotVotes || []).some(v => v.user_id === userId),
+            user_rank: userRank(opt, userId),
+            user_vetoed: userVetoed(opt, userId),
           })),
         winner,
         needs_tie_break: needsTieBreak || (persistedNeedsTieBreak && !persistedNeedsFallbackPick),
         needs_fallback_pick: needsFallbackPick || persistedNeedsFallbackPick,
         tied_options: tiedOptions,
+        results: tally,
       });
     }
 
-    // Non-organizer voter response: own vote state only, no vote counts
+    // Non-organizer voter response: own vote state only; counts and rounds
+    // are shown once the ballot has closed
     return res.json({
       ballot_status: event.ballot_status,
+      ballot_mode: mode,
       rsvp_deadline: event.rsvp_deadline,
+      ...settings,
       options: options
         .sort((a, b) => a.display_order - b.display_order)
         .map(opt => ({
@@ -186,8 +249,11 @@ router.get('/:eventId', async (req, res) => {
           game_name: opt.game_name,
           display_order: opt.display_order,
           user_voted: (opt.EventBallotVotes || []).some(v => v.user_id === userId),
+          user_rank: userRank(opt, userId),
+          user_vetoed: userVetoed(opt, userId),
         })),
       winner,
+      results: event.ballot_status === 'closed' ? tally : null,
     });
   } catch (error) {
     console.error('Error fetching ballot:', error.message);
@@ -197,12 +263,13 @@ router.get('/:eventId', async (req, res) => {
 
 // ============================================
 // POST /:eventId/options -- Create/set ballot options (organizer only)
+//   { options: [...] } or { auto: { count, source, max_per_weight_band } }
 // ============================================
 router.post('/:eventId/options', validateBallotOptions, async (req, res) => {
   try {
     const { eventId } = req.params;
     const userId = req.user.user_id;
-    const { options } = req.body;
+    const { mode } = req.body;
 
     // Find event
     const event = await Event.findByPk(eventId);
@@ -216,9 +283,15 @@ router.post('/:eventId/options', validateBallotOptions, async (req, res) => {
       return res.status(403).json({ error: 'Pending members cannot create ballot options', required_role: 'member' });
     }
 
-    // Require rsvp_deadline
-    if (!event.rsvp_deadline) {
-      return res.status(400).json({ error: 'Event must have an RSVP deadline to create a ballot' });
+    // Require a deadline: rsvp_deadline, or a ballot deadline of its own
+    applyCloseSettings(event, req.body);
+    if (!ballotService.ballotDeadline(event)) {
+      return res.status(400).json({ error: 'Event must have an RSVP or ballot deadline to create a ballot' });
+    }
+
+    const { options, seed, error } = await resolveOptions(event, req.body);
+    if (error) {
+      return res.status(400).json({ error, seed });
     }
 
     // Delete existing options (CASCADE deletes votes)
@@ -234,20 +307,28 @@ router.post('/:eventId/options', validateBallotOptions, async (req, res) => {
 
     const created = await EventBallotOption.bulkCreate(optionRows);
 
-    // Set ballot_status to open
-    if (event.ballot_status !== 'open') {
-      event.ballot_status = 'open';
+    // Set ballot_status to open (and the tally mode when one was picked);
+    // a reopened ballot starts over
+    event.ballot_status = 'open';
+    event.ballot_outcome = null;
+    event.ballot_closed_at = null;
+    if (mode) event.ballot_mode = mode;
+    if (event.changed()) {
       await event.save();
     }
+    await ballotService.scheduleBallotClose(event);
 
     return res.status(201).json({
       ballot_status: 'open',
+      ballot_mode: event.ballot_mode || DEFAULT_MODE,
+      ...closeSettingsOf(event),
       options: created.map(opt => ({
         id: opt.id,
         game_id: opt.game_id,
         game_name: opt.game_name,
         display_order: opt.display_order,
       })),
+      ...(seed && { seed }),
     });
   } catch (error) {
     console.error('Error creating ballot options:', error.message);
@@ -262,7 +343,7 @@ router.put('/:eventId/options', validateBallotOptions, async (req, res) => {
   try {
     const { eventId } = req.params;
     const userId = req.user.user_id;
-    const { options } = req.body;
+    const { mode } = req.body;
 
     // Find event
     const event = await Event.findByPk(eventId);
@@ -281,6 +362,16 @@ router.put('/:eventId/options', validateBallotOptions, async (req, res) => {
       return res.status(403).json({ error: 'Pending members cannot update ballot options', required_role: 'member' });
     }
 
+    applyCloseSettings(event, req.body);
+    if (!ballotService.ballotDeadline(event)) {
+      return res.status(400).json({ error: 'Event must have an RSVP or ballot deadline to create a ballot' });
+    }
+
+    const { options, seed, error } = await resolveOptions(event, req.body);
+    if (error) {
+      return res.status(400).json({ error, seed });
+    }
+
     // Delete all existing options (CASCADE deletes votes on removed options)
     await EventBallotOption.destroy({ where: { event_id: eventId } });
 
@@ -294,14 +385,27 @@ router.put('/:eventId/options', validateBallotOptions, async (req, res) => {
 
     const created = await EventBallotOption.bulkCreate(optionRows);
 
+    // Votes went with the old options, so switching mode here is safe
+    if (mode) event.ballot_mode = mode;
+    if (event.changed()) {
+      const deadlineMoved = event.changed('ballot_deadline');
+      await event.save();
+      if (deadlineMoved) {
+        await ballotService.scheduleBallotClose(event);
+      }
+    }
+
     return res.json({
       ballot_status: 'open',
+      ballot_mode: event.ballot_mode || DEFAULT_MODE,
+      ...closeSettingsOf(event),
       options: created.map(opt => ({
         id: opt.id,
         game_id: opt.game_id,
         game_name: opt.game_name,
         display_order: opt.display_order,
       })),
+      ...(seed && { seed }),
     });
   } catch (error) {
     console.error('Error updating ballot options:', error.message);
@@ -310,13 +414,19 @@ router.put('/:eventId/options', validateBallotOptions, async (req, res) => {
 });
 
 // ============================================
-// POST /:eventId/vote -- Toggle vote on an option (approval voting)
+// POST /:eventId/vote -- Cast a vote
+//   approval:  { option_id } toggles a vote on that option
+//   plurality: { option_id } moves the voter's single vote (same option = un-vote)
+//   ranked_choice / borda: { rankings: [option_id, ...] } replaces the
+//   voter's ranking, first choice first ([] withdraws it)
+//   any mode: { vetoes: [option_id, ...] } replaces the voter's vetoes
+//   (up to the group's ballot_veto_limit); may be sent alone or with a vote
 // ============================================
 router.post('/:eventId/vote', validateBallotVote, async (req, res) => {
   try {
     const { eventId } = req.params;
     const userId = req.user.user_id;
-    const { option_id } = req.body;
+    const { option_id, rankings, vetoes } = req.body;
 
     // Find event
     const event = await Event.findByPk(eventId);
@@ -329,6 +439,16 @@ router.post('/:eventId/vote', validateBallotVote, async (req, res) => {
       return res.status(400).json({ error: 'Voting is closed for this ballot' });
     }
 
+    const mode = event.ballot_mode || DEFAULT_MODE;
+    const hasVote = isRankedMode(mode) ? Array.isArray(rankings) : Boolean(option_id);
+    if (!hasVote && !Array.isArray(vetoes)) {
+      return res.status(400).json({
+        error: isRankedMode(mode)
+          ? 'This ballot is ranked -- send rankings as option IDs in order of preference'
+          : 'option_id is required',
+      });
+    }
+
     // POLL-06 (D-BALLOT-02 + D-BALLOT-06 + D-BALLOT-07):
     // Belt-and-suspenders gate. Apply to ALL ballots immediately, NO flag.
     //
@@ -357,26 +477,99 @@ router.post('/:eventId/vote', validateBallotVote, async (req, res) => {
       });
     }
 
-    // Verify the option belongs to this event
-    const option = await EventBallotOption.findOne({
-      where: { id: option_id, event_id: eventId },
-    });
-    if (!option) {
+    // Verify the option(s) belong to this event
+    const eventOptionIds = (await EventBallotOption.findAll({
+      where: { event_id: eventId },
+      attributes: ['id'],
+    })).map(opt => opt.id);
+    const votedFor = hasVote ? (isRankedMode(mode) ? rankings : [option_id]) : [];
+    if ([...votedFor, ...(vetoes || [])].some(id => !eventOptionIds.includes(id))) {
       return res.status(404).json({ error: 'Ballot option not found for this event' });
     }
 
-    // Toggle vote: if exists, delete; if not, create
-    const existingVote = await EventBallotVote.findOne({
-      where: { option_id, user_id: userId },
-    });
+    // Vetoes: a new set replaces the voter's old one, within the group's limit
+    let vetoed;
+    if (Array.isArray(vetoes)) {
+      const group = await Group.findByPk(event.group_id, { attributes: ['ballot_veto_limit'] });
+      const limit = group?.ballot_veto_limit ?? 0;
+      if (vetoes.length > limit) {
+        return res.status(400).json({
+          error: limit === 0
+            ? 'Vetoes are turned off for this group'
+            : `You can veto at most ${limit} option${limit === 1 ? '' : 's'} on a ballot`,
+          veto_limit: limit,
+        });
+      }
+      vetoed = vetoes;
+    } else {
+      vetoed = (await EventBallotVeto.findAll({
+        where: { user_id: userId, option_id: { [Op.in]: eventOptionIds } },
+        attributes: ['option_id'],
+      })).map(v => v.option_id);
+    }
+    if (votedFor.some(id => vetoed.includes(id))) {
+      return res.status(400).json({ error: 'You cannot vote for an option you vetoed' });
+    }
 
-    if (existingVote) {
-      await existingVote.destroy();
-      return res.json({ voted: false });
+    let nextVotes = [];
+    let replaceBallot = false;
+    let withdrawnVote = null;
+    let voted;
+    if (hasVote && isRankedMode(mode)) {
+      nextVotes = rankings.map((id, index) => ({ option_id: id, rank: index + 1 }));
+      replaceBallot = true;
+      voted = nextVotes.length > 0;
+    } else if (hasVote) {
+      // Toggle vote: if exists, delete; if not, create
+      withdrawnVote = await EventBallotVote.findOne({
+        where: { option_id, user_id: userId },
+      });
+      if (!withdrawnVote) {
+        nextVotes = [{ option_id, rank: null }];
+        // Plurality: one vote per voter, so a new pick replaces the old one
+        replaceBallot = mode === 'plurality';
+      }
+      voted = !withdrawnVote;
     }
 
-    await EventBallotVote.create({ option_id, user_id: userId });
-    return res.json({ voted: true });
+    await sequelize.transaction(async (transaction) => {
+      if (withdrawnVote) {
+        await withdrawnVote.destroy({ transaction });
+      }
+      if (replaceBallot) {
+        await EventBallotVote.destroy({
+          where: { user_id: userId, option_id: { [Op.in]: eventOptionIds } },
+          transaction,
+        });
+      }
+      for (const vote of nextVotes) {
+        await EventBallotVote.create({ ...vote, user_id: userId }, { transaction });
+      }
+      if (Array.isArray(vetoes)) {
+        await EventBallotVeto.destroy({
+          where: { user_id: userId, option_id: { [Op.in]: eventOptionIds } },
+          transaction,
+        });
+        if (vetoes.length > 0) {
+          await EventBallotVeto.bulkCreate(
+            vetoes.map(id => ({ option_id: id, user_id: userId })),
+            { transaction }
+          );
+          // Vetoing an option withdraws the voter's own vote on it
+          await EventBallotVote.destroy({
+            where: { user_id: userId, option_id: { [Op.in]: vetoes } },
+            transaction,
+          });
+        }
+      }
+    });
+
+    const response = { vetoes: vetoed };
+    if (hasVote) {
+      response.voted = voted;
+      if (isRankedMode(mode)) response.rankings = rankings;
+    }
+    return res.json(response);
   } catch (error) {
     console.error('Error toggling vote:', error.message);
     return res.status(500).json({ error: error.message });
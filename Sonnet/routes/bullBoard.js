@@ -5,7 +5,7 @@ const { BullMQAdapter } = require('@bull-board/api/bullMQAdapter');
 const { ExpressAdapter } = require('@bull-board/express');
 const { verifyAuth0Token } = require('../middleware/auth0');
 const { requireGroupAdmin } = require('../middleware/adminAuth');
-const { promptQueue, deadlineQueue, reminderQueue, gcalSyncQueue } = require('../queues');
+const { promptQueue, deadlineQueue, reminderQueue, gcalSyncQueue, ratingQueue, ballotQueue } = require('../queues');
 
 /**
  * Mount Bull Board dashboard with Auth0 protection
@@ -23,7 +23,9 @@ function mountBullBoard(app) {
       new BullMQAdapter(deadlineQueue),
       new BullMQAdapter(reminderQueue),
       // Phase 75 / GCAL-01: register gcal-sync queue in Bull Board for ops visibility (D-CONTEXT)
-      new BullMQAdapter(gcalSyncQueue)
+      new BullMQAdapter(gcalSyncQueue),
+      new BullMQAdapter(ratingQueue),
+      new BullMQAdapter(ballotQueue)
     ],
     serverAdapter,
     options: {
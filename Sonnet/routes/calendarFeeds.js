@@ -0,0 +1,116 @@
+// routes/calendarFeeds.js
+// Subscribable ICS feeds. GET /:token.ics is public -- calendar clients poll
+// it without auth headers, so the token is the credential -- everything else
+// requires Auth0 (see conditional auth in server.js).
+const express = require('express');
+const { validateCalendarFeedCreate, validateUUID } = require('../middleware/validators');
+const { isActiveMember } = require('../services/authorizationService');
+const calendarFeedService = require('../services/calendarFeedService');
+const router = express.Router();
+
+// API origin for feed URLs; behind Railway's proxy the request host is ours
+const apiBaseUrl = (req) => (process.env.RAILWAY_PUBLIC_DOMAIN
+  ? `https://${process.env.RAILWAY_PUBLIC_DOMAIN}`
+  : `${req.protocol}://${req.get('host')}`);
+
+const formatFeed = (feed, req) => ({
+  id: feed.id,
+  group_id: feed.group_id,
+  group_name: feed.Group?.name || null,
+  ...calendarFeedService.feedUrls(feed, apiBaseUrl(req)),
+  last_fetched_at: feed.last_fetched_at,
+  createdAt: feed.createdAt,
+});
+
+/**
+ * GET /api/calendar-feeds/:token.ics
+ * The live VCALENDAR (public, token-authenticated).
+ */
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const ics = await calendarFeedService.renderFeed(req.params.token);
+    if (!ics) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="nextgamenight.ics"');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(ics);
+  } catch (error) {
+    console.error('Error serving calendar feed:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/calendar-feeds
+ * The requester's live feeds.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const feeds = await calendarFeedService.listFeeds(userId);
+    res.json(feeds.map(feed => formatFeed(feed, req)));
+  } catch (error) {
+    console.error('Error listing calendar feeds:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/calendar-feeds
+ * Body: { group_id? } -- the requester's feed for that scope, created on
+ * first use. Revoke it and POST again for a new URL.
+ */
+router.post('/', validateCalendarFeedCreate, async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const groupId = req.body.group_id || null;
+    if (groupId) {
+      const isMember = await isActiveMember(userId, groupId);
+      if (!isMember) {
+        return res.status(403).json({ error: 'You must be a group member to subscribe to its calendar' });
+      }
+    }
+
+    const { feed, created } = await calendarFeedService.getOrCreateFeed(userId, groupId);
+    res.status(created ? 201 : 200).json(formatFeed(feed, req));
+  } catch (error) {
+    console.error('Error creating calendar feed:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/calendar-feeds/:feed_id
+ * Revokes a feed; subscribed calendars stop receiving updates.
+ */
+router.delete('/:feed_id', validateUUID('feed_id'), async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const revoked = await calendarFeedService.revokeFeed(userId, req.params.feed_id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    res.json({ message: 'Calendar feed revoked' });
+  } catch (error) {
+    console.error('Error revoking calendar feed:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
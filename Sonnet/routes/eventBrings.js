@@ -81,7 +81,7 @@ router.put('/event/:event_id/my-brings', verifyAuth0Token, async (req, res) => {
 
     // Verify ownership: UserGame.user_id is UUID (User.id), NOT Auth0 string
     const ownedGames = await UserGame.findAll({
-      where: { user_id: user.id, game_id: game_ids },
+      where: { user_id: user.id, game_id: game_ids, owned: true },
       attributes: ['game_id'],
     });
     const ownedGameIds = ownedGames.map(ug => ug.game_id);
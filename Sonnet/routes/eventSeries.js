@@ -0,0 +1,267 @@
+// routes/eventSeries.js
+// Recurring game-night series: create, list, skip a date, cancel.
+// Individual occurrences are ordinary Events -- edit them through
+// PUT /api/events/:id with scope=this|future.
+const express = require('express');
+const { Op } = require('sequelize');
+const { EventSeries, Event, Game, User } = require('../models');
+const { validateEventSeriesCreate, validateUUID } = require('../middleware/validators');
+const { isOwnerOrAdmin, isActiveMember } = require('../services/authorizationService');
+const eventSeriesService = require('../services/eventSeriesService');
+const router = express.Router();
+
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Helper: series row + its RRULE rendering for API responses
+const formatSeries = (series) => ({
+  ...(series.toJSON ? series.toJSON() : series),
+  rrule: eventSeriesService.toRrule(series),
+});
+
+// POST / -- Create a series and generate its first occurrences (owner/admin)
+router.post('/', validateEventSeriesCreate, async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const {
+      group_id,
+      game_id,
+      frequency,
+      by_weekday,
+      week_of_month,
+      starts_on,
+      until,
+      start_time,
+      timezone,
+      exceptions,
+      duration_minutes,
+      horizon_days,
+      comments,
+    } = req.body;
+
+    const hasPermission = await isOwnerOrAdmin(userId, group_id);
+    if (!hasPermission) {
+      return res.status(403).json({ error: 'Only group owners and admins can create recurring game nights' });
+    }
+
+    if (until && until < starts_on) {
+      return res.status(400).json({ error: 'until must be on or after starts_on' });
+    }
+
+    // Fall back to the creator's saved timezone, then UTC.
+    let seriesTimezone = timezone;
+    if (!seriesTimezone) {
+      const creator = await User.findOne({ where: { user_id: userId }, attributes: ['timezone'] });
+      seriesTimezone = creator?.timezone || 'UTC';
+    }
+    try {
+      Intl.DateTimeFormat(undefined, { timeZone: seriesTimezone });
+    } catch {
+      return res.status(400).json({ error: `Invalid timezone: ${seriesTimezone}` });
+    }
+
+    // Default the weekday to the one starts_on falls on ("every other Thursday
+    // starting this Thursday").
+    const startsOnWeekday = new Date(`${starts_on}T00:00:00Z`).getUTCDay();
+
+    const series = await EventSeries.create({
+      group_id,
+      created_by_user_id: userId,
+      game_id: game_id || null,
+      frequency,
+      by_weekday: by_weekday !== undefined && by_weekday !== null ? by_weekday : startsOnWeekday,
+      week_of_month: frequency === 'monthly'
+        ? (week_of_month || eventSeriesService.weekOfMonthFor(starts_on, null))
+        : null,
+      start_time,
+      timezone: seriesTimezone,
+      starts_on,
+      until: until || null,
+      exceptions: [...new Set(exceptions || [])].sort(),
+      duration_minutes: duration_minutes || null,
+      horizon_days: horizon_days || undefined,
+      comments: comments || null,
+    });
+
+    const generated = await eventSeriesService.generateOccurrences(series);
+
+    return res.status(201).json({
+      series: formatSeries(series),
+      generated: generated.created,
+    });
+  } catch (error) {
+    console.error('Error creating event series:', error.message);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /group/:group_id -- List a group's series (active members)
+router.get('/group/:group_id', validateUUID('group_id'), async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const hasAccess = await isActiveMember(userId, req.params.group_id);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied to this group' });
+    }
+
+    const where = { group_id: req.params.group_id };
+    if (!req.query.include_cancelled) {
+      where.status = 'active';
+    }
+
+    const seriesList = await EventSeries.findAll({
+      where,
+      include: [{ model: Game, attributes: ['id', 'name', 'image_url'] }],
+      order: [['createdAt', 'DESC']],
+    });
+
+    return res.json(seriesList.map(formatSeries));
+  } catch (error) {
+    console.error('Error listing event series:', error.message);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /:id -- Series detail with upcoming occurrences (active members)
+router.get('/:id', validateUUID('id'), async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const series = await EventSeries.findByPk(req.params.id, {
+      include: [{ model: Game, attributes: ['id', 'name', 'image_url'] }],
+    });
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    const hasAccess = await isActiveMember(userId, series.group_id);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied to this group' });
+    }
+
+    const occurrences = await Event.findAll({
+      where: {
+        series_id: series.id,
+        start_date: { [Op.gte]: new Date() },
+      },
+      attributes: ['id', 'start_date', 'duration_minutes', 'game_id', 'status', 'series_occurrence_date', 'is_series_exception'],
+      order: [['start_date', 'ASC']],
+    });
+
+    return res.json({
+      ...formatSeries(series),
+      upcoming_occurrences: occurrences,
+    });
+  } catch (error) {
+    console.error('Error fetching event series:', error.message);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /:id/exceptions -- Skip one date (EXDATE); removes the occurrence if generated
+router.post('/:id/exceptions', validateUUID('id'), async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { date } = req.body;
+    if (!date || !DATE_ONLY_REGEX.test(date)) {
+      return res.status(400).json({ error: 'date must be a YYYY-MM-DD string' });
+    }
+
+    const series = await EventSeries.findByPk(req.params.id);
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    const hasPermission = await isOwnerOrAdmin(userId, series.group_id);
+    if (!hasPermission) {
+      return res.status(403).json({ error: 'Only group owners and admins can edit recurring game nights' });
+    }
+
+    const { removed } = await eventSeriesService.skipOccurrence(series, date, { actorUserId: userId });
+
+    return res.json({ exceptions: series.exceptions, removed_occurrence: removed });
+  } catch (error) {
+    console.error('Error adding series exception:', error.message);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /:id/exceptions/:date -- Un-skip a date and regenerate it if in range
+router.delete('/:id/exceptions/:date', validateUUID('id'), async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { date } = req.params;
+    if (!DATE_ONLY_REGEX.test(date)) {
+      return res.status(400).json({ error: 'date must be a YYYY-MM-DD string' });
+    }
+
+    const series = await EventSeries.findByPk(req.params.id);
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    const hasPermission = await isOwnerOrAdmin(userId, series.group_id);
+    if (!hasPermission) {
+      return res.status(403).json({ error: 'Only group owners and admins can edit recurring game nights' });
+    }
+
+    await series.update({ exceptions: (series.exceptions || []).filter(d => d !== date) });
+    const generated = await eventSeriesService.generateOccurrences(series);
+
+    return res.json({ exceptions: series.exceptions, generated: generated.created });
+  } catch (error) {
+    console.error('Error removing series exception:', error.message);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /:id -- Cancel the series and every occurrence that has not started
+router.delete('/:id', validateUUID('id'), async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const series = await EventSeries.findByPk(req.params.id);
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    const hasPermission = await isOwnerOrAdmin(userId, series.group_id);
+    if (!hasPermission) {
+      return res.status(403).json({ error: 'Only group owners and admins can cancel recurring game nights' });
+    }
+
+    if (series.status === 'cancelled') {
+      return res.json({ message: 'Series already cancelled', cancelled_occurrences: 0 });
+    }
+
+    const { cancelled } = await eventSeriesService.cancelSeries(series, { actorUserId: userId });
+
+    return res.json({ message: 'Series cancelled', cancelled_occurrences: cancelled });
+  } catch (error) {
+    console.error('Error cancelling event series:', error.message);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
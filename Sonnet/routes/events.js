@@ -1,15 +1,26 @@
 // routes/events.js
 const express = require('express');
 const crypto = require('crypto');
-const { Event, Game, User, Group, EventParticipation, UserGroup, EventRsvp, EventBring, EventBallotOption, EventBallotVote, EventAuditLog } = require('../models');
+const { Event, Game, User, Group, EventParticipation, UserGroup, EventRsvp, EventBring, EventBallotOption, EventBallotVote, EventAuditLog, EventSeries } = require('../models');
 const { Op } = require('sequelize');
 const sequelize = require('../config/database');
 const router = express.Router();
 const auth0Service = require('../services/auth0Service');
 const googleCalendarService = require('../services/googleCalendarService');
+const calendarProviders = require('../services/calendarProviders');
 const emailService = require('../services/emailService');
 const icsService = require('../services/icsService');
 const notificationService = require('../services/notificationService');
+const eventNotificationService = require('../services/eventNotificationService');
+const eventSeriesService = require('../services/eventSeriesService');
+const rsvpWaitlistService = require('../services/rsvpWaitlistService');
+const venueService = require('../services/venueService');
+const hostRotationService = require('../services/hostRotationService');
+const ratingService = require('../services/ratingService');
+const achievementService = require('../services/achievementService');
+const ballotService = require('../services/ballotService');
+const gameExpansionService = require('../services/gameExpansionService');
+const scoringService = require('../services/scoringService');
 const { generateRsvpUrl } = require('./rsvp');
 
 // MAIL-05 lifecycle constant: cancellation emails fire within 15 minutes
@@ -17,6 +28,18 @@ const { generateRsvpUrl } = require('./rsvp');
 // window, deletes are silent (audit log still written).
 const FIFTEEN_MIN_MS = 15 * 60 * 1000;
 
+// Team names are stored trimmed so a team win (Event.winning_team) matches
+// its members exactly
+const teamName = (team) => (team && String(team).trim() ? String(team).trim() : null);
+const withTeamNames = (entries) => entries && entries.map(e => ({ ...e, team: teamName(e.team) }));
+
+// winning_team has to be one of the teams someone played on
+const checkWinningTeam = (winningTeam, participants, customParticipants) => {
+  if (!winningTeam) return null;
+  const teams = new Set([...(participants || []), ...(customParticipants || [])].map(p => p.team).filter(Boolean));
+  return teams.has(winningTeam) ? null : 'winning_team must be one of the participants\' teams';
+};
+
 // Helper function to format event with custom participants
 const formatEventWithCustomParticipants = (event) => {
   const eventData = event.toJSON ? event.toJSON() : event;
@@ -27,7 +50,9 @@ const formatEventWithCustomParticipants = (event) => {
     username: ep.User?.username,
     email: ep.User?.email,
     score: ep.score,
+    score_breakdown: ep.score_breakdown || null,
     faction: ep.faction,
+    team: ep.team || null,
     is_new_player: ep.is_new_player,
     placement: ep.placement,
     is_guest: ep.is_guest || false,
@@ -38,7 +63,9 @@ const formatEventWithCustomParticipants = (event) => {
     user_id: null,
     username: cp.username,
     score: cp.score,
+    score_breakdown: cp.score_breakdown || null,
     faction: cp.faction,
+    team: cp.team || null,
     is_new_player: cp.is_new_player || false,
     placement: cp.placement,
     is_custom: true
@@ -87,7 +114,9 @@ const formatEventWithCustomParticipants = (event) => {
     ...eventData,
     EventParticipations: allParticipants, // Replace with combined participants
     Winner: winner,
-    PickedBy: pickedBy
+    PickedBy: pickedBy,
+    // Venue "Name, Address" when linked (and included), else free-text location
+    display_location: venueService.resolveEventLocation(eventData)
   };
 };
 const { validateEventCreate, validateEventUpdate, validateUUID } = require('../middleware/validators');
@@ -295,6 +324,7 @@ router.get('/user/:user_id', async (req, res) => {
         },
         { model: User, as: 'Winner', attributes: ['id', 'username', 'user_id'] },
         { model: User, as: 'PickedBy', attributes: ['id', 'username'] },
+        { model: User, as: 'Host', attributes: ['id', 'username'] },
         {
           model: EventParticipation,
           include: [{ model: User, attributes: ['id', 'username', 'user_id', 'email'] }]
@@ -339,6 +369,7 @@ router.get('/group/:group_id', async (req, res) => {
         },
         { model: User, as: 'Winner', attributes: ['id', 'username', 'user_id'] },
         { model: User, as: 'PickedBy', attributes: ['id', 'username'] },
+        { model: User, as: 'Host', attributes: ['id', 'username'] },
         {
           model: EventParticipation,
           include: [{ model: User, attributes: ['id', 'username', 'user_id', 'email'] }]
@@ -395,9 +426,12 @@ router.get('/:event_id', async (req, res) => {
     const event = await Event.findByPk(req.params.event_id, {
       include: [
         { model: Game, attributes: ['name', 'image_url', 'theme'] },
+        { model: Game, as: 'Expansions', attributes: ['id', 'name', 'thumbnail_url'], through: { attributes: [] } },
         { model: Group, attributes: ['id', 'name'] },
+        venueService.venueInclude(),
         { model: User, as: 'Winner', attributes: ['id', 'username', 'user_id'] },
         { model: User, as: 'PickedBy', attributes: ['id', 'username'] },
+        { model: User, as: 'Host', attributes: ['id', 'username'] },
         {
           model: EventParticipation,
           include: [{ model: User, attributes: ['id', 'username', 'user_id', 'email'] }]
@@ -429,17 +463,27 @@ router.post('/', validateEventCreate, async (req, res) => {
       game_id,
       start_date,
       duration_minutes,
+      capacity, // Optional max 'yes' RSVPs; null falls back to Game.max_players
+      venue_id, // Optional saved group venue
+      location, // Optional free-text location when no venue is picked
+      host_user_id, // Optional User.id of the host; defaults to the venue's host
       winner_id,
       picked_by_id,
       winner_name,
       picked_by_name,
       is_group_win,
       comments,
-      participants, // Array of { user_id, score, faction, is_new_player, placement }
-      custom_participants, // Array of { username, score, faction, is_new_player, placement }
+      participants, // Array of { user_id, score, score_breakdown, faction, team, is_new_player, placement }
+      custom_participants, // Array of { username, score, score_breakdown, faction, team, is_new_player, placement }
+      winning_team, // Team games: the team whose members all won
       timezone, // User's timezone (e.g., 'America/Los_Angeles')
       rsvp_deadline, // ISO date string for RSVP/ballot close
-      ballot_options // Optional array of { game_id, game_name } for atomic ballot creation
+      ballot_options, // Optional array of { game_id, game_name } for atomic ballot creation
+      ballot_mode, // Optional: plurality | approval | ranked_choice | borda (default approval)
+      ballot_deadline, // Optional ISO date; the ballot closes at rsvp_deadline when omitted
+      ballot_quorum, // Optional minimum number of voters
+      ballot_tie_rule, // Optional: organizer | random | group_rating (default organizer)
+      expansion_ids // Optional Game ids of expansions of game_id that were played
     } = req.body;
 
     const hasPermission = await isMemberOrHigher(userId, group_id);
@@ -447,17 +491,66 @@ router.post('/', validateEventCreate, async (req, res) => {
       return res.status(403).json({ error: 'Pending members cannot perform this action', required_role: 'member' });
     }
 
+    if (expansion_ids && expansion_ids.length > 0) {
+      const invalid = await gameExpansionService.invalidExpansionIds(game_id, expansion_ids);
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: "Expansions must belong to the event's game", invalid_expansion_ids: invalid });
+      }
+    }
+
+    const teamParticipants = withTeamNames(participants);
+    const teamCustomParticipants = withTeamNames(custom_participants);
+    const winningTeam = teamName(winning_team);
+    const teamError = checkWinningTeam(winningTeam, teamParticipants, teamCustomParticipants);
+    if (teamError) {
+      return res.status(400).json({ error: teamError });
+    }
+
+    // Scoring sheet: breakdowns set each participant's total and placement
+    let scored;
+    try {
+      scored = await scoringService.applyScoringSheet({
+        groupId: group_id,
+        gameId: game_id,
+        participants: teamParticipants,
+        customParticipants: teamCustomParticipants,
+      });
+    } catch (error) {
+      if (error instanceof scoringService.ScoringSheetError) {
+        return res.status(400).json({ error: error.message, ...error.details });
+      }
+      throw error;
+    }
+
+    let venue = null;
+    if (venue_id) {
+      venue = await venueService.findUsableVenue(venue_id, group_id);
+      if (!venue) {
+        return res.status(400).json({ error: 'Venue not found in this group' });
+      }
+    }
+
+    const hostError = await hostRotationService.validateHost(host_user_id, group_id);
+    if (hostError) {
+      return res.status(400).json({ error: hostError });
+    }
+
     const event = await Event.create({
       group_id,
       game_id,
       start_date,
       duration_minutes,
+      capacity: capacity || null,
+      venue_id: venue_id || null,
+      location: location || null,
+      host_user_id: host_user_id || venue?.host_user_id || null,
       winner_id,
       picked_by_id,
       winner_name: winner_name || null,
       picked_by_name: picked_by_name || null,
-      custom_participants: custom_participants || [],
+      custom_participants: scored.customParticipants || [],
       is_group_win,
+      winning_team: winningTeam,
       comments,
       status: 'completed',
       rsvp_deadline: rsvp_deadline || null,
@@ -465,14 +558,16 @@ router.post('/', validateEventCreate, async (req, res) => {
     });
     
     // Create participations for group members (with user_id)
-    if (participants && participants.length > 0) {
-      const participationData = participants
+    if (scored.participants && scored.participants.length > 0) {
+      const participationData = scored.participants
         .filter(p => p.user_id) // Only include participants with user_id
         .map(p => ({
           event_id: event.id,
           user_id: p.user_id,
           score: p.score,
+          score_breakdown: p.score_breakdown || null,
           faction: p.faction,
+          team: p.team,
           is_new_player: p.is_new_player || false,
           placement: p.placement
         }));
@@ -482,10 +577,14 @@ router.post('/', validateEventCreate, async (req, res) => {
       }
     }
 
+    if (expansion_ids && expansion_ids.length > 0) {
+      await gameExpansionService.replaceEventExpansions(event.id, expansion_ids);
+    }
+
     // Create ballot options atomically with the event (if provided)
     // This ensures ballot exists BEFORE notifications fire
     let hasBallot = false;
-    if (ballot_options && Array.isArray(ballot_options) && ballot_options.length >= 2 && rsvp_deadline) {
+    if (ballot_options && Array.isArray(ballot_options) && ballot_options.length >= 2 && (rsvp_deadline || ballot_deadline)) {
       const validOptions = ballot_options.filter(o => o.game_name && o.game_name.trim());
       if (validOptions.length >= 2) {
         const optionRows = validOptions.map((opt, index) => ({
@@ -496,8 +595,13 @@ router.post('/', validateEventCreate, async (req, res) => {
         }));
         await EventBallotOption.bulkCreate(optionRows);
         event.ballot_status = 'open';
+        if (ballot_mode) event.ballot_mode = ballot_mode;
+        if (ballot_deadline) event.ballot_deadline = ballot_deadline;
+        if (ballot_quorum) event.ballot_quorum = ballot_quorum;
+        if (ballot_tie_rule) event.ballot_tie_rule = ballot_tie_rule;
         await event.save();
         hasBallot = true;
+        ballotService.scheduleBallotClose(event);
       }
     }
 
@@ -505,8 +609,11 @@ router.post('/', validateEventCreate, async (req, res) => {
     const completeEvent = await Event.findByPk(event.id, {
       include: [
         { model: Game, attributes: ['name', 'image_url'] },
+        { model: Game, as: 'Expansions', attributes: ['id', 'name', 'thumbnail_url'], through: { attributes: [] } },
+        venueService.venueInclude(),
         { model: User, as: 'Winner', attributes: ['id', 'username', 'user_id'] },
         { model: User, as: 'PickedBy', attributes: ['id', 'username'] },
+        { model: User, as: 'Host', attributes: ['id', 'username'] },
         {
           model: EventParticipation,
           include: [{ model: User, attributes: ['id', 'username', 'user_id', 'email'] }]
@@ -516,6 +623,7 @@ router.post('/', validateEventCreate, async (req, res) => {
 
     // Format event with custom participants
     const formattedEvent = formatEventWithCustomParticipants(completeEvent);
+    const eventLocation = formattedEvent.display_location;
 
     // Check if event is in the future (for Google Calendar and email notifications)
     const isFutureEvent = googleCalendarService.isFutureEvent(start_date);
@@ -525,7 +633,7 @@ router.post('/', validateEventCreate, async (req, res) => {
       const group = await Group.findByPk(group_id, {
         include: [{
           model: User,
-          attributes: ['id', 'user_id', 'username', 'email', 'email_notifications_enabled', 'google_calendar_token', 'google_calendar_refresh_token', 'google_calendar_enabled', 'sms_enabled', 'phone', 'phone_verified', 'notification_preferences', 'timezone'],
+          attributes: ['id', 'user_id', 'username', 'email', 'email_notifications_enabled', ...calendarProviders.CALENDAR_USER_ATTRIBUTES, 'sms_enabled', 'phone', 'phone_verified', 'notification_preferences', 'timezone'],
           through: { where: { status: 'active' }, attributes: ['role'] }
         }]
       });
@@ -533,8 +641,8 @@ router.post('/', validateEventCreate, async (req, res) => {
       if (group && group.Users) {
         const game = await Game.findByPk(game_id, { attributes: ['name'] });
         
-        // Add to Google Calendar if event is in the future
-        // NOTE: This requires users to have Google Calendar tokens stored
+        // Add to participants' calendars (Google or Outlook) if event is in the future
+        // NOTE: This requires users to have calendar tokens stored
         // See GOOGLE_CALENDAR_SETUP.md for setup instructions
         try {
           const eventDataForCalendar = {
@@ -542,10 +650,11 @@ router.post('/', validateEventCreate, async (req, res) => {
             duration_minutes: duration_minutes || 60,
             game_name: game?.name || 'Game Night',
             comments: comments || '',
+            location: eventLocation,
             timezone: timezone || 'UTC' // Use user's timezone, fallback to UTC
           };
           
-          // Create calendar events for event participants with Google Calendar connected
+          // Create calendar events for event participants with a calendar connected
           // Get participant user IDs from EventParticipations (exclude custom participants)
           const participantUserIds = completeEvent.EventParticipations
             .filter(ep => ep.User && ep.User.id)
@@ -556,35 +665,37 @@ router.post('/', validateEventCreate, async (req, res) => {
             participantUserIds.includes(user.id)
           );
           
-          // Create calendar events for participants with Google Calendar connected
-          // This will silently fail if no users have tokens, which is expected
-          const calendarResults = await googleCalendarService.createCalendarEventsForGroup(
+          // Create calendar events for participants with a calendar connected,
+          // each through their own provider. Empty when no users have tokens,
+          // which is expected
+          const calendarResults = await calendarProviders.createEventForParticipants(
             eventDataForCalendar,
             participantMembers
           );
 
-          // Phase 75 / GCAL-01 (Plan 75-01): persist the GCal event id on
+          // Phase 75 / GCAL-01 (Plan 75-01): persist the calendar event id on
           // every connected attendee's EventParticipation row so the cleanup
           // worker (Plan 75-03) can find what to remove on cancel/delete/
           // RSVP-no. The same GCal event id is shared across host + invitee
           // calendars (Google's invitation propagation), so each user's own
           // token + this id identifies the event on their primary calendar.
-          if (calendarResults.length > 0 && calendarResults[0].gcal_event_id) {
-            const gcalEventId = calendarResults[0].gcal_event_id;
-            const connectedUserUuids = calendarResults[0].connected_member_ids || [];
-            if (connectedUserUuids.length > 0) {
-              await EventParticipation.update(
-                { google_calendar_event_id: gcalEventId },
-                { where: { event_id: completeEvent.id, user_id: connectedUserUuids } }
-              );
-            }
+          // Outlook members each get their own entry, so theirs is one id each.
+          for (const calendarResult of calendarResults) {
+            if (calendarResult.memberIds.length === 0) continue;
+            await EventParticipation.update(
+              {
+                google_calendar_event_id: calendarResult.calendarEventId,
+                calendar_provider: calendarResult.provider,
+              },
+              { where: { event_id: completeEvent.id, user_id: calendarResult.memberIds } }
+            );
           }
         } catch (calendarError) {
           // Log error but don't fail the event creation
           if (process.env.NODE_ENV === 'development') {
-            console.error('Error adding event to Google Calendar (non-fatal):', calendarError.message);
+            console.error('Error adding event to calendars (non-fatal):', calendarError.message);
           } else {
-            console.error('Error adding event to Google Calendar (non-fatal)');
+            console.error('Error adding event to calendars (non-fatal)');
           }
         }
         
@@ -657,7 +768,7 @@ router.post('/', validateEventCreate, async (req, res) => {
                   groupName: group.name,
                   startDate: start_date,
                   durationMinutes: duration_minutes || 60,
-                  location: null,
+                  location: eventLocation,
                   comments: comments || null,
                   eventUrl,
                   recipientName: user.username,
@@ -706,6 +817,17 @@ router.post('/', validateEventCreate, async (req, res) => {
         }
       }
     }
+
+    // Logged results update player ratings. Fire-and-forget; recordEvent
+    // never throws and queues a rebuild itself for back-dated events.
+    if (ratingService.isRatable(event)) {
+      ratingService.recordEvent(event.id);
+    }
+
+    // Played game nights can unlock badges; announced in the background
+    if (ratingService.isRatable(event)) {
+      achievementService.onEventCompleted(event.id);
+    }
     
     res.json(formattedEvent);
   } catch (error) {
@@ -738,6 +860,10 @@ router.put('/:id', validateUUID('id'), validateEventUpdate, async (req, res) =>
       game_id,
       start_date,
       duration_minutes,
+      capacity,
+      venue_id,
+      location,
+      host_user_id,
       winner_id,
       picked_by_id,
       winner_name,
@@ -746,26 +872,165 @@ router.put('/:id', validateUUID('id'), validateEventUpdate, async (req, res) =>
       comments,
       participants,
       custom_participants,
-      rsvp_deadline
+      winning_team, // Team games: replaces the winning team like the other result fields
+      rsvp_deadline,
+      expansion_ids, // Replaces the event's expansions; cleared when the game changes without them
+      scope // Recurring series only: 'this' (default) | 'future'
     } = req.body;
 
+    const nextGameId = game_id !== undefined ? (game_id || null) : event.game_id;
+    if (expansion_ids && expansion_ids.length > 0) {
+      const invalid = await gameExpansionService.invalidExpansionIds(nextGameId, expansion_ids);
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: "Expansions must belong to the event's game", invalid_expansion_ids: invalid });
+      }
+    }
+
+    const teamParticipants = withTeamNames(participants);
+    const teamCustomParticipants = withTeamNames(custom_participants);
+    const winningTeam = teamName(winning_team);
+    if (winningTeam) {
+      // Participants left out of the edit keep the teams they already have
+      const registered = teamParticipants || await EventParticipation.findAll({
+        where: { event_id: event.id },
+        attributes: ['team'],
+      });
+      const teamError = checkWinningTeam(winningTeam, registered, teamCustomParticipants);
+      if (teamError) {
+        return res.status(400).json({ error: teamError });
+      }
+    }
+
+    // Scoring sheet: breakdowns set each participant's total and placement
+    let scored;
+    try {
+      scored = await scoringService.applyScoringSheet({
+        groupId: event.group_id,
+        gameId: nextGameId,
+        eventId: event.id,
+        participants: teamParticipants,
+        customParticipants: teamCustomParticipants,
+      });
+    } catch (error) {
+      if (error instanceof scoringService.ScoringSheetError) {
+        return res.status(400).json({ error: error.message, ...error.details });
+      }
+      throw error;
+    }
+
+    let newVenue = null;
+    if (venue_id && venue_id !== event.venue_id) {
+      newVenue = await venueService.findUsableVenue(venue_id, event.group_id);
+      if (!newVenue) {
+        return res.status(400).json({ error: 'Venue not found in this group' });
+      }
+    }
+
+    if (host_user_id && host_user_id !== event.host_user_id) {
+      const hostError = await hostRotationService.validateHost(host_user_id, event.group_id);
+      if (hostError) {
+        return res.status(400).json({ error: hostError });
+      }
+    }
+
+    // Explicit host wins; moving an unhosted event to a venue with a host
+    // records that host.
+    let nextHostUserId = event.host_user_id;
+    if (host_user_id !== undefined) {
+      nextHostUserId = host_user_id || null;
+    } else if (!event.host_user_id && newVenue?.host_user_id) {
+      nextHostUserId = newVenue.host_user_id;
+    }
+
     // Capture old start_date before update to detect date changes
     const oldStartDate = event.start_date;
+    const wasRatable = ratingService.isRatable(event);
+    const oldCapacity = event.capacity;
+    const oldVenueId = event.venue_id;
+    const oldLocation = event.location;
+    const oldBallotDeadline = ballotService.ballotDeadline(event);
+    // Series template fields, captured so we only detach an occurrence when
+    // one of them actually changed (recording scores is not an exception).
+    const oldSeriesFields = {
+      start_date: event.start_date,
+      duration_minutes: event.duration_minutes,
+      game_id: event.game_id,
+      comments: event.comments,
+    };
 
     await event.update({
-      game_id: game_id !== undefined ? (game_id || null) : event.game_id,
+      game_id: nextGameId,
       start_date,
       duration_minutes,
+      capacity: capacity !== undefined ? (capacity || null) : event.capacity,
+      venue_id: venue_id !== undefined ? (venue_id || null) : event.venue_id,
+      location: location !== undefined ? (location || null) : event.location,
+      host_user_id: nextHostUserId,
       winner_id: winner_id || null,
       picked_by_id: picked_by_id || null,
       winner_name: winner_name || null,
       picked_by_name: picked_by_name || null,
-      custom_participants: custom_participants || [],
+      custom_participants: scored.customParticipants || [],
       is_group_win,
+      winning_team: winningTeam,
       comments,
       rsvp_deadline: rsvp_deadline || null
     });
 
+    if (expansion_ids !== undefined) {
+      await gameExpansionService.replaceEventExpansions(event.id, expansion_ids || []);
+    } else if (event.game_id !== oldSeriesFields.game_id) {
+      // Another game's expansions no longer apply
+      await gameExpansionService.replaceEventExpansions(event.id, []);
+    }
+
+    // An open ballot without its own deadline closes at rsvp_deadline, so
+    // moving that moves the close job too
+    const newBallotDeadline = ballotService.ballotDeadline(event);
+    if (event.ballot_status === 'open' && newBallotDeadline?.getTime() !== oldBallotDeadline?.getTime()) {
+      ballotService.scheduleBallotClose(event);
+    }
+
+    // More seats (explicit capacity, a bigger game or venue) promotes waitlisted
+    // RSVPs. Fire-and-forget; promotion is a no-op when nothing opened up.
+    if (event.capacity !== oldCapacity || event.game_id !== oldSeriesFields.game_id || event.venue_id !== oldVenueId) {
+      rsvpWaitlistService.promoteFromWaitlist(event.id).catch((err) =>
+        console.error('[events:PUT] Waitlist promotion error (non-fatal):', err.message)
+      );
+    }
+
+    // Recurring series: scope=future rewrites the rule and every later
+    // occurrence; otherwise a change to a series field detaches this
+    // occurrence (is_series_exception) so later "all future" edits skip it.
+    let seriesUpdate = null;
+    if (event.series_id) {
+      const seriesChanges = {};
+      if (start_date !== undefined && new Date(start_date).getTime() !== new Date(oldSeriesFields.start_date).getTime()) {
+        seriesChanges.start_date = start_date;
+      }
+      const newDuration = duration_minutes === null || duration_minutes === '' ? null : Number(duration_minutes);
+      if (duration_minutes !== undefined && newDuration !== oldSeriesFields.duration_minutes) {
+        seriesChanges.duration_minutes = newDuration;
+      }
+      if (game_id !== undefined && (game_id || null) !== oldSeriesFields.game_id) {
+        seriesChanges.game_id = game_id || null;
+      }
+      if (comments !== undefined && comments !== oldSeriesFields.comments) {
+        seriesChanges.comments = comments;
+      }
+
+      if (scope === 'future') {
+        seriesUpdate = await eventSeriesService.applyToFutureOccurrences({
+          event,
+          oldStartDate,
+          changes: seriesChanges,
+          actorUserId: userId,
+        });
+      } else if (Object.keys(seriesChanges).length > 0 && !event.is_series_exception) {
+        await event.update({ is_series_exception: true });
+      }
+    }
+
     // Update participations if provided.
     //
     // Phase 71.1-02: this PUT path was the "Edit Event → remove participant"
@@ -782,9 +1047,10 @@ router.put('/:id', validateUUID('id'), validateEventUpdate, async (req, res) =>
     if (participants) {
       const oldParticipations = await EventParticipation.findAll({
         where: { event_id: event.id },
-        attributes: ['user_id'],
+        attributes: ['id', 'user_id', 'google_calendar_event_id', 'calendar_provider'],
       });
-      const oldUserIds = new Set(oldParticipations.map(p => p.user_id));
+      const oldByUserId = new Map(oldParticipations.map(p => [p.user_id, p]));
+      const oldUserIds = new Set(oldByUserId.keys());
       const newUserIds = new Set(
         participants.filter(p => p.user_id).map(p => p.user_id)
       );
@@ -793,16 +1059,22 @@ router.put('/:id', validateUUID('id'), validateEventUpdate, async (req, res) =>
       await sequelize.transaction(async (t) => {
         await EventParticipation.destroy({ where: { event_id: event.id }, transaction: t });
 
-        if (participants.length > 0) {
-          const participationData = participants
+        if (scored.participants.length > 0) {
+          const participationData = scored.participants
             .filter(p => p.user_id)
             .map(p => ({
               event_id: event.id,
               user_id: p.user_id,
               score: p.score,
+              score_breakdown: p.score_breakdown || null,
               faction: p.faction,
+              team: p.team,
               is_new_player: p.is_new_player || false,
               placement: p.placement,
+              // Attendees who stay keep their calendar entry, so later
+              // update and cleanup jobs can still find it
+              google_calendar_event_id: oldByUserId.get(p.user_id)?.google_calendar_event_id || null,
+              calendar_provider: oldByUserId.get(p.user_id)?.calendar_provider || null,
             }));
           if (participationData.length > 0) {
             await EventParticipation.bulkCreate(participationData, { transaction: t });
@@ -818,6 +1090,26 @@ router.put('/:id', validateUUID('id'), validateEventUpdate, async (req, res) =>
         }
       });
 
+      // Removed attendees' calendar entries go too. The jobs carry the entry
+      // id, so the destroyed rows aren't needed. Non-fatal.
+      if (removedUserIds.length > 0) {
+        try {
+          const { enqueueCleanupJobForAttendee } = require('../services/gcalCleanupService');
+          for (const removedUuid of removedUserIds) {
+            const old = oldByUserId.get(removedUuid);
+            await enqueueCleanupJobForAttendee({
+              eventId: event.id,
+              eventParticipationId: old.id,
+              userId: removedUuid,
+              googleCalendarEventId: old.google_calendar_event_id,
+              calendarProvider: old.calendar_provider,
+            });
+          }
+        } catch (gcalEnqueueErr) {
+          console.error('[events:put-participants] GCal cleanup enqueue failed (non-fatal):', gcalEnqueueErr.message);
+        }
+      }
+
       // Audit-log writes — non-fatal, outside the transaction (mirrors the
       // DELETE endpoint pattern). One row per removed user so EVT-08
       // silent-welcome-back suppression on QR re-join works the same whether
@@ -851,14 +1143,59 @@ router.put('/:id', validateUUID('id'), validateEventUpdate, async (req, res) =>
           console.error('[events:put-participants] audit log write failed (non-fatal):', auditErr.message);
         }
       }
+    } else if (scored.storedParticipants) {
+      // Only custom participants were sent; the saved registered ones were
+      // ranked against them and take their new totals and placements
+      await sequelize.transaction(async (t) => {
+        for (const p of scored.storedParticipants) {
+          await EventParticipation.update(
+            { score: p.score, score_breakdown: p.score_breakdown || null, placement: p.placement },
+            { where: { id: p.id }, transaction: t }
+          );
+        }
+      });
+    }
+
+    // Attendees' calendar entries were written at create time; patch them
+    // when anything they show changed. Enqueued after the participant rewrite
+    // above so removed attendees get only their cleanup job. Non-fatal.
+    const calendarFieldsChanged =
+      new Date(event.start_date).getTime() !== new Date(oldSeriesFields.start_date).getTime() ||
+      Number(event.duration_minutes) !== Number(oldSeriesFields.duration_minutes) ||
+      event.game_id !== oldSeriesFields.game_id ||
+      event.comments !== oldSeriesFields.comments ||
+      event.venue_id !== oldVenueId ||
+      event.location !== oldLocation;
+    if (calendarFieldsChanged) {
+      try {
+        const { enqueueUpdateJobsForEvent } = require('../services/gcalCleanupService');
+        const updateCounters = await enqueueUpdateJobsForEvent({ eventId: event.id, version: event.updatedAt });
+        console.log(
+          `[events:PUT] Enqueued ${updateCounters.enqueued} GCal update jobs ` +
+          `(${updateCounters.skipped} skipped null, ${updateCounters.errors} enqueue errors)`
+        );
+      } catch (gcalEnqueueErr) {
+        console.error('[events:PUT] GCal update enqueue failed (non-fatal):', gcalEnqueueErr.message);
+      }
+    }
+
+    // Editing a played game night can change every later rating in the
+    // group, so replay the whole group in the background. Queued only now
+    // that the participant rewrite above has committed, so the rebuild
+    // never replays the old placements.
+    if (wasRatable || ratingService.isRatable(event)) {
+      ratingService.scheduleRebuild(event.group_id, 'event_edited');
     }
 
     // Fetch updated event
     const updatedEvent = await Event.findByPk(event.id, {
       include: [
         { model: Game, attributes: ['name', 'image_url'] },
+        { model: Game, as: 'Expansions', attributes: ['id', 'name', 'thumbnail_url'], through: { attributes: [] } },
+        venueService.venueInclude(),
         { model: User, as: 'Winner', attributes: ['id', 'username', 'user_id'] },
         { model: User, as: 'PickedBy', attributes: ['id', 'username'] },
+        { model: User, as: 'Host', attributes: ['id', 'username'] },
         {
           model: EventParticipation,
           include: [{ model: User, attributes: ['id', 'username', 'user_id', 'email'] }]
@@ -868,6 +1205,9 @@ router.put('/:id', validateUUID('id'), validateEventUpdate, async (req, res) =>
 
     // Format event with custom participants
     const formattedEvent = formatEventWithCustomParticipants(updatedEvent);
+    if (seriesUpdate) {
+      formattedEvent.series_update = seriesUpdate;
+    }
 
     // MAIL-05 update lifecycle gate: stop firing update emails AT old start_time
     // (no grace window). Use the OLD start time as the cutoff — once an event has
@@ -879,117 +1219,17 @@ router.put('/:id', validateUUID('id'), validateEventUpdate, async (req, res) =>
     const updateEmailsAllowed = oldStartMs > 0 && updateNowMs < oldStartMs;
 
     if (dateChanged && updateEmailsAllowed) {
-      try {
-        // Find members who RSVPed yes or maybe
-        const rsvpMembers = await EventRsvp.findAll({
-          where: {
-            event_id: event.id,
-            status: { [Op.in]: ['yes', 'maybe'] },
-          },
-          include: [{
-            model: User,
-            attributes: ['id', 'user_id', 'username', 'email', 'email_notifications_enabled', 'sms_enabled', 'phone', 'phone_verified', 'notification_preferences', 'timezone'],
-          }],
-        });
-
-        const rsvpUsers = rsvpMembers.filter(r => r.User).map(r => r.User);
-
-        // Email recipients: RSVP'd users with valid email (matches current behavior)
-        const emailUpdateRecipients = rsvpUsers.filter(user => {
-          const hasValidEmail = user.email && !user.email.includes('@auth0.local') && !user.email.includes('@auth0');
-          return hasValidEmail && user.email_notifications_enabled !== false;
-        });
-
-        // SMS recipients: RSVP'd users with SMS enabled
-        const smsUpdateRecipients = rsvpUsers.filter(user => user.sms_enabled && user.phone);
-
-        // Merge (same dedup pattern as event creation)
-        const updateRecipientMap = new Map();
-        emailUpdateRecipients.forEach(u => updateRecipientMap.set(u.user_id, { ...u.dataValues, _emailEligible: true }));
-        smsUpdateRecipients.forEach(u => {
-          if (updateRecipientMap.has(u.user_id)) {
-            updateRecipientMap.get(u.user_id)._smsEligible = true;
-          } else {
-            updateRecipientMap.set(u.user_id, { ...u.dataValues, _smsEligible: true });
-          }
-        });
-        const updateRecipients = Array.from(updateRecipientMap.values());
-
-        if (updateRecipients.length > 0) {
-          const frontendUrl = process.env.FRONTEND_URL || process.env.AUTH0_BASE_URL || 'http://localhost:3000';
-          const eventUrl = `${frontendUrl}/gameDetail?event_id=${event.id}&group_id=${event.group_id}`;
-          const game = updatedEvent.Game || await Game.findByPk(event.game_id, { attributes: ['name'] });
-          const group = await Group.findByPk(event.group_id, { attributes: ['name'] });
-          const notifyPromises = notificationService.sendToMany(updateRecipients, 'event_updated', (user) => {
-            const recipientTz = user.timezone || 'UTC';
-            const newEventDate = new Date(start_date);
-
-            // Format dateTime for SMS templates (recipient's timezone, 12h with TZ).
-            // Email template formats its own time internally via formatEventTime12h (MAIL-04).
-            const formattedNewDateTime = newEventDate.toLocaleDateString('en-US', {
-              weekday: 'short',
-              month: 'short',
-              day: 'numeric',
-              hour: '2-digit',
-              minute: '2-digit',
-              hour12: true,
-              timeZone: recipientTz,
-              timeZoneName: 'short',
-            });
-
-            // emailParams: ONLY set for email-eligible users
-            let emailParams = null;
-            if (user._emailEligible && user.email) {
-              const rsvpUrls = {
-                yesUrl: generateRsvpUrl(frontendUrl, event.id, user.user_id, 'yes'),
-                maybeUrl: generateRsvpUrl(frontendUrl, event.id, user.user_id, 'maybe'),
-                noUrl: generateRsvpUrl(frontendUrl, event.id, user.user_id, 'no'),
-              };
-
-              const { html, text } = emailService.generateDateChangeEmailTemplate({
-                gameName: game?.name || 'Game Session',
-                groupName: group?.name || '',
-                newDate: start_date,
-                durationMinutes: duration_minutes || event.duration_minutes || 60,
-                eventUrl,
-                recipientName: user.username,
-                rsvpUrls,
-                timezone: recipientTz,
-              });
-
-              emailParams = {
-                to: user.email,
-                subject: `Date Changed: ${game?.name || 'Game Session'} - ${group?.name || ''}`,
-                html,
-                text,
-                groupName: group?.name || ''
-              };
-            }
-
-            return {
-              emailParams,
-              // eventId required for SentNotification logging (notificationService.js:97).
-              // Update SMS does not prompt for RSVP, but logging keeps the row uniform
-              // with event_created and lets future webhook flows (e.g. "still coming?"
-              // confirmations) resolve the event.
-              eventId: event.id,
-              data: {
-                eventName: game?.name || 'Game Night',
-                groupName: group?.name || '',
-                dateTime: formattedNewDateTime,
-                eventUrl,
-                rsvpPrompt: false  // update SMS does NOT include RSVP prompt
-              }
-            };
-          });
+      await eventNotificationService.notifyEventDateChanged(event, {
+        newStartDate: start_date,
+        durationMinutes: duration_minutes,
+        game: updatedEvent.Game,
+      });
+    }
 
-          Promise.allSettled([notifyPromises]).catch(err => {
-            console.error('Error sending update notifications (non-fatal):', err.message);
-          });
-        }
-      } catch (dateChangeError) {
-        console.error('Error sending date-change notifications (non-fatal):', dateChangeError.message);
-      }
+    // Logging results after the fact can unlock badges (already-earned ones
+    // are skipped, so re-saving an event announces nothing twice)
+    if (ratingService.isRatable(event)) {
+      achievementService.onEventCompleted(event.id);
     }
 
     res.json(formattedEvent);
@@ -1199,19 +1439,17 @@ router.post('/join-game-by-token', async (req, res) => {
           : null;
         const group = event.Group || await Group.findByPk(event.group_id, { attributes: ['id', 'name'] });
 
-        // Resolve host: Event model has no `created_by` field (verified) so we
-        // fall back to the group name. If/when MAIL-04 or another phase adds a
-        // creator/host attribution to events, swap this to use it.
-        const hostName = group?.name || 'your group';
+        // Location + host come from the event's venue when it has one. Event
+        // model has no `created_by` field (verified), so without a venue host
+        // we fall back to the group name.
+        const { location, venue } = await venueService.loadEventLocation(event);
+        const hostName = venue?.Host?.username || group?.name || 'your group';
 
         const frontendUrl = process.env.FRONTEND_URL || process.env.AUTH0_BASE_URL || 'http://localhost:3000';
         const eventUrl = `${frontendUrl}/gameDetail?event_id=${event.id}&group_id=${event.group_id}`;
         const recipientTz = fullUser.timezone || 'UTC';
         const startUtc = new Date(event.start_date);
         const durationMinutes = event.duration_minutes || 120;
-        // Event model has no `location` field today; pass null so ICS/template
-        // gracefully omit it. Future location field would be transparent.
-        const location = event.location || null;
         const gameName = game?.name || 'Game Night';
         const groupName = group?.name || 'your group';
 
@@ -1351,6 +1589,11 @@ router.delete('/:event_id/participations/:user_id', validateUUID('event_id'), va
       console.error('[events:remove-participant] audit log write failed (non-fatal):', auditErr.message);
     }
 
+    // A removed player drops out of a rated result -- replay the group.
+    if (ratingService.isRatable(event)) {
+      ratingService.scheduleRebuild(event.group_id, 'participant_removed');
+    }
+
     return res.json({ success: true });
   } catch (error) {
     console.error('Error removing participant:', error);
@@ -1391,108 +1634,7 @@ router.delete('/:id', async (req, res) => {
 
     if (cancellationEmailsAllowed) {
       // Send cancellation notifications to members who RSVPed yes or maybe (before deleting data)
-      try {
-        const rsvpMembers = await EventRsvp.findAll({
-          where: {
-            event_id: event.id,
-            status: { [Op.in]: ['yes', 'maybe'] },
-          },
-          include: [{
-            model: User,
-            attributes: ['id', 'user_id', 'username', 'email', 'email_notifications_enabled', 'sms_enabled', 'phone', 'phone_verified', 'notification_preferences'],
-          }],
-        });
-
-        const rsvpUsers = rsvpMembers.filter(r => r.User).map(r => r.User);
-
-        // Email recipients: RSVP'd users with valid email (matches current behavior)
-        const emailCancelRecipients = rsvpUsers.filter(user => {
-          const hasValidEmail = user.email && !user.email.includes('@auth0.local') && !user.email.includes('@auth0');
-          return hasValidEmail && user.email_notifications_enabled !== false;
-        });
-
-        // SMS recipients: RSVP'd users with SMS enabled
-        const smsCancelRecipients = rsvpUsers.filter(user => user.sms_enabled && user.phone);
-
-        // Merge (same dedup pattern)
-        const cancelRecipientMap = new Map();
-        emailCancelRecipients.forEach(u => cancelRecipientMap.set(u.user_id, { ...u.dataValues, _emailEligible: true }));
-        smsCancelRecipients.forEach(u => {
-          if (cancelRecipientMap.has(u.user_id)) {
-            cancelRecipientMap.get(u.user_id)._smsEligible = true;
-          } else {
-            cancelRecipientMap.set(u.user_id, { ...u.dataValues, _smsEligible: true });
-          }
-        });
-        const cancellationRecipients = Array.from(cancelRecipientMap.values());
-
-        if (cancellationRecipients.length > 0) {
-          const frontendUrl = process.env.FRONTEND_URL || process.env.AUTH0_BASE_URL || 'http://localhost:3000';
-          const game = await Game.findByPk(event.game_id, { attributes: ['name'] });
-          const group = await Group.findByPk(event.group_id, { attributes: ['id', 'name'] });
-          const groupUrl = `${frontendUrl}/groupHomePage?id=${group?.id || event.group_id}`;
-
-          const notifyPromises = notificationService.sendToMany(cancellationRecipients, 'event_cancelled', (user) => {
-            const recipientTz = user.timezone || 'UTC';
-            const cancelDate = new Date(event.start_date);
-
-            // Format dateTime for SMS templates (recipient's timezone, 12h with TZ).
-            const formattedCancelDateTime = cancelDate.toLocaleDateString('en-US', {
-              weekday: 'short',
-              month: 'short',
-              day: 'numeric',
-              hour: '2-digit',
-              minute: '2-digit',
-              hour12: true,
-              timeZone: recipientTz,
-              timeZoneName: 'short',
-            });
-
-            // emailParams: ONLY set for email-eligible users
-            let emailParams = null;
-            if (user._emailEligible && user.email) {
-              const { html, text } = emailService.generateCancellationEmailTemplate({
-                gameName: game?.name || 'Game Session',
-                groupName: group?.name || '',
-                eventDate: event.start_date,
-                recipientName: user.username,
-                groupUrl,
-                timezone: recipientTz,
-              });
-
-              emailParams = {
-                to: user.email,
-                subject: `Cancelled: ${game?.name || 'Game Session'} - ${group?.name || ''}`,
-                html,
-                text,
-                groupName: group?.name || ''
-              };
-            }
-
-            return {
-              emailParams,
-              // eventId required for SentNotification logging (notificationService.js:97).
-              // Cancellation rows will be filtered out by the webhook lookup (which
-              // excludes cancelled events), but writing them keeps dispatch logic
-              // uniform across the three event-lifecycle SMS types.
-              eventId: event.id,
-              data: {
-                eventName: game?.name || 'Game Night',
-                groupName: group?.name || '',
-                dateTime: formattedCancelDateTime,
-                rsvpPrompt: false  // cancellation SMS does NOT include RSVP prompt
-              }
-            };
-          });
-
-          // Fire-and-forget: don't block deletion on notification sends
-          Promise.allSettled([notifyPromises]).catch(err => {
-            console.error('Error sending cancellation notifications (non-fatal):', err.message);
-          });
-        }
-      } catch (cancelNotifyError) {
-        console.error('Error sending cancellation notifications (non-fatal):', cancelNotifyError.message);
-      }
+      await eventNotificationService.notifyEventCancelled(event);
     }
 
     // MAIL-05 audit log: write a row for EVERY delete, regardless of timing.
@@ -1539,6 +1681,19 @@ router.delete('/:id', async (req, res) => {
       console.error('[events:delete] GCal cleanup enqueue failed (non-fatal):', gcalEnqueueErr.message);
     }
 
+    // Recurring series: record the deleted slot as an exception so the
+    // series generator does not recreate it on its next run. Non-fatal.
+    if (event.series_id && event.series_occurrence_date) {
+      try {
+        const series = await EventSeries.findByPk(event.series_id);
+        if (series) {
+          await eventSeriesService.recordException(series, event.series_occurrence_date);
+        }
+      } catch (seriesErr) {
+        console.error('[events:delete] series exception write failed (non-fatal):', seriesErr.message);
+      }
+    }
+
     // Delete RSVPs for this event
     await EventRsvp.destroy({ where: { event_id: event.id } });
 
@@ -1546,8 +1701,15 @@ router.delete('/:id', async (req, res) => {
     await EventParticipation.destroy({ where: { event_id: event.id } });
 
     // Delete event
+    const wasRatable = ratingService.isRatable(event);
     await event.destroy();
 
+    // Its RatingHistory rows cascade away; replay the group so the ratings
+    // built on top of them follow.
+    if (wasRatable) {
+      ratingService.scheduleRebuild(event.group_id, 'event_deleted');
+    }
+
     res.json({ message: 'Event deleted successfully' });
   } catch (error) {
     res.status(500).json({ error: error.message });
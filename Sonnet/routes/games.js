@@ -9,6 +9,7 @@ const router = express.Router();
 const bggService = require('../services/bggService');
 // BGG CSV service for local game searches (faster, no rate limits)
 const bggCsvService = require('../services/bggCsvService');
+const { linkFromBgg } = require('../services/gameExpansionService');
 
 
 // Get all games (with optional search)
@@ -260,6 +261,7 @@ router.post('/import-bgg/:bgg_id', async (req, res) => {
             image_url: bggData.image_url || existingGame.image_url,
             thumbnail_url: bggData.thumbnail_url || existingGame.thumbnail_url,
           });
+          await linkFromBgg(existingGame, bggData);
         } catch (backfillError) {
           console.warn('BGG backfill failed (non-fatal):', backfillError.message);
         }
@@ -280,8 +282,10 @@ router.post('/import-bgg/:bgg_id', async (req, res) => {
       description: bggData.description,
       image_url: bggData.image_url,
       thumbnail_url: bggData.thumbnail_url,
-      is_custom: false
+      is_custom: false,
+      is_expansion: bggData.is_expansion
     });
+    await linkFromBgg(game, bggData);
 
     res.json(game);
   } catch (error) {
@@ -372,7 +376,7 @@ router.get('/for-event/:group_id/:user_id', async (req, res) => {
     
     // Get games owned by user
     const userOwnedGames = await UserGame.findAll({
-      where: { user_id: user.id },
+      where: { user_id: user.id, owned: true },
       include: [{ model: Game }]
     });
     const ownedGameIds = userOwnedGames.map(ug => ug.game_id);
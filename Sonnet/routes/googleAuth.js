@@ -3,6 +3,7 @@
 const express = require('express');
 const { google } = require('googleapis');
 const { User } = require('../models');
+const gcalWatchService = require('../services/gcalWatchService');
 const router = express.Router();
 
 // Initialize OAuth2 client
@@ -216,6 +217,15 @@ router.get('/google/callback', async (req, res) => {
     
     await user.update(updateData);
 
+    // Push notifications keep cached availability fresh; the hourly renewal
+    // job retries if this fails, so it must not fail the connect
+    try {
+      await gcalWatchService.stopWatchesForUser(user);
+      await gcalWatchService.startWatch(user);
+    } catch (watchError) {
+      console.error('Error watching Google Calendar (non-fatal):', watchError.message);
+    }
+
     // Redirect to frontend success page using the frontend URL from state
     res.redirect(`${frontendUrl}/userProfile/?google_calendar=connected`);
   } catch (error) {
@@ -249,6 +259,13 @@ router.post('/google/disconnect', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    // Stop push notifications while we still have the tokens to do it
+    try {
+      await gcalWatchService.stopWatchesForUser(user);
+    } catch (watchError) {
+      console.error('Error stopping Google Calendar watch (non-fatal):', watchError.message);
+    }
+
     // Clear Google Calendar tokens
     await user.update({
       google_calendar_token: null,
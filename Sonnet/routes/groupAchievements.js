@@ -0,0 +1,52 @@
+// routes/groupAchievements.js
+// Achievements / badges. Mounted under /api/groups alongside groupStats.
+const express = require('express');
+const { User } = require('../models');
+const { validateAchievementsQuery } = require('../middleware/validators');
+const { isActiveMember } = require('../services/authorizationService');
+const achievementService = require('../services/achievementService');
+const router = express.Router();
+
+/**
+ * GET /api/groups/:group_id/achievements
+ * Earned and unearned badges (with progress) for the requesting member, or
+ * for another member with ?user_id=<User.id>.
+ */
+router.get('/:group_id/achievements', validateAchievementsQuery, async (req, res) => {
+  try {
+    const { group_id } = req.params;
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const isMember = await isActiveMember(userId, group_id);
+    if (!isMember) {
+      return res.status(403).json({ error: 'You must be a group member to view achievements' });
+    }
+
+    const target = req.query.user_id
+      ? await User.findByPk(req.query.user_id, { attributes: ['id', 'user_id', 'username'] })
+      : await User.findOne({ where: { user_id: userId }, attributes: ['id', 'user_id', 'username'] });
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (target.user_id !== userId && !(await isActiveMember(target.user_id, group_id))) {
+      return res.status(404).json({ error: 'User is not a member of this group' });
+    }
+
+    const { earned, unearned, stats } = await achievementService.getUserAchievements(group_id, target.id);
+
+    res.json({
+      user: { id: target.id, username: target.username },
+      earned,
+      unearned,
+      stats,
+    });
+  } catch (error) {
+    console.error('Error fetching achievements:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
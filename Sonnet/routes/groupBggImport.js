@@ -0,0 +1,85 @@
+// routes/groupBggImport.js
+// Import BoardGameGeek logged plays into a group's history. Mounted under
+// /api/groups alongside groupStats.
+const express = require('express');
+const { Group } = require('../models');
+const { validateBggPlaysImport } = require('../middleware/validators');
+const { isOwnerOrAdmin } = require('../services/authorizationService');
+const bggService = require('../services/bggService');
+const bggPlaysImportService = require('../services/bggPlaysImportService');
+const ratingService = require('../services/ratingService');
+const achievementService = require('../services/achievementService');
+const router = express.Router();
+
+/**
+ * POST /api/groups/:group_id/import/bgg-plays
+ * Imports plays either fetched live (bgg_username, optional mindate/maxdate)
+ * or from an uploaded plays XML export (plays_xml) -- owners/admins.
+ *
+ * dry_run defaults to true and only returns the plan: what would be created,
+ * what is skipped as a duplicate and how each BGG player maps to a member.
+ * Send the same request with dry_run=false (and any player_map fixes) to
+ * commit it.
+ */
+router.post('/:group_id/import/bgg-plays', validateBggPlaysImport, async (req, res) => {
+  try {
+    const { group_id } = req.params;
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const group = await Group.findByPk(group_id, { attributes: ['id'] });
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const hasPermission = await isOwnerOrAdmin(userId, group_id);
+    if (!hasPermission) {
+      return res.status(403).json({ error: 'Only group owners and admins can import play history' });
+    }
+
+    const {
+      bgg_username, plays_xml, mindate, maxdate, player_map, timezone, include_incomplete,
+    } = req.body;
+    const dryRun = req.body.dry_run !== false;
+
+    let plays;
+    let truncated = false;
+    try {
+      if (plays_xml) {
+        ({ plays } = await bggService.parsePlaysXml(plays_xml));
+      } else {
+        ({ plays, truncated } = await bggService.getUserPlays(bgg_username.trim(), { mindate, maxdate }));
+      }
+    } catch (sourceError) {
+      const status = plays_xml ? 400 : 502;
+      return res.status(status).json({ error: sourceError.message });
+    }
+
+    const plan = await bggPlaysImportService.buildImportPlan(group_id, plays, {
+      playerMap: player_map || {},
+      timezone: timezone || 'UTC',
+      includeIncomplete: include_incomplete === true,
+    });
+
+    if (dryRun) {
+      return res.json({ dry_run: true, truncated, ...plan });
+    }
+
+    const result = await bggPlaysImportService.applyImportPlan(group_id, plan, plays);
+    if (result.created > 0) {
+      // Imported plays are back-dated, so ratings are replayed from scratch
+      ratingService.scheduleRebuild(group_id, 'bgg_import');
+      // Award badges for the imported history without announcing each one
+      achievementService.backfillGroup(group_id);
+    }
+
+    res.status(result.created > 0 ? 201 : 200).json({ dry_run: false, truncated, ...plan, result });
+  } catch (error) {
+    console.error('Error importing BGG plays:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
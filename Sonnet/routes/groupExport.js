@@ -0,0 +1,48 @@
+// routes/groupExport.js
+// Full group data export. Mounted under /api/groups alongside groupStats.
+const express = require('express');
+const { Group } = require('../models');
+const { validateGroupExportQuery } = require('../middleware/validators');
+const { isOwnerOrAdmin } = require('../services/authorizationService');
+const groupExportService = require('../services/groupExportService');
+const router = express.Router();
+
+/**
+ * GET /api/groups/:group_id/export?format=json|csv
+ * Downloads events, participations and scores, reviews, brings, RSVPs and
+ * the members' game library (owners/admins). The body is streamed, so large
+ * groups are not limited by the JSON body size.
+ */
+router.get('/:group_id/export', validateGroupExportQuery, async (req, res) => {
+  try {
+    const { group_id } = req.params;
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const group = await Group.findByPk(group_id, { attributes: ['id', 'name'] });
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const hasPermission = await isOwnerOrAdmin(userId, group_id);
+    if (!hasPermission) {
+      return res.status(403).json({ error: 'Only group owners and admins can export group data' });
+    }
+
+    await groupExportService.streamGroupExport(res, group, req.query.format || 'json');
+  } catch (error) {
+    if (error instanceof groupExportService.ExportAbortedError) {
+      return;
+    }
+    console.error('Error exporting group data:', error.message);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: error.message });
+    }
+    // Mid-stream failure: cut the download so it can't be mistaken for complete
+    res.destroy(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,51 @@
+// routes/groupHostRotation.js
+// Host rotation for a group. Mounted under /api/groups alongside groupVenues.
+const express = require('express');
+const { Event } = require('../models');
+const { validateHostRotationQuery } = require('../middleware/validators');
+const { isActiveMember } = require('../services/authorizationService');
+const hostRotationService = require('../services/hostRotationService');
+const router = express.Router();
+
+/**
+ * GET /api/groups/:group_id/host-rotation
+ * Every active member in turn order (hosted_count, last_hosted_at) and the
+ * suggested next host. With ?event_id= the suggestion is limited to members
+ * who RSVPed yes to that event.
+ */
+router.get('/:group_id/host-rotation', validateHostRotationQuery, async (req, res) => {
+  try {
+    const { group_id } = req.params;
+    const { event_id } = req.query;
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const isMember = await isActiveMember(userId, group_id);
+    if (!isMember) {
+      return res.status(403).json({ error: 'You must be a group member to view the host rotation' });
+    }
+
+    if (event_id) {
+      const event = await Event.findOne({ where: { id: event_id, group_id }, attributes: ['id'] });
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found in this group' });
+      }
+    }
+
+    const { suggested_host, rotation } = await hostRotationService.getRotation(group_id, { eventId: event_id });
+
+    res.json({
+      group_id,
+      event_id: event_id || null,
+      suggested_host,
+      rotation,
+    });
+  } catch (error) {
+    console.error('Error fetching host rotation:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+// routes/groupRatings.js
+// Player rating leaderboards and history. Mounted under /api/groups alongside
+// groupVenues. Ratings are derived from completed events by
+// services/ratingService.js.
+const express = require('express');
+const { Group, User } = require('../models');
+const { validateRatingsQuery, validateUUID } = require('../middleware/validators');
+const { isOwnerOrAdmin, isActiveMember } = require('../services/authorizationService');
+const ratingService = require('../services/ratingService');
+const router = express.Router();
+
+/**
+ * GET /api/groups/:group_id/ratings
+ * Leaderboard, highest rating first. Group-wide unless ?game_id= is given.
+ * Guests are hidden unless ?include_guests=true; ?min_games= hides players
+ * with too few rated games (default 1).
+ */
+router.get('/:group_id/ratings', validateRatingsQuery, async (req, res) => {
+  try {
+    const { group_id } = req.params;
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const isMember = await isActiveMember(userId, group_id);
+    if (!isMember) {
+      return res.status(403).json({ error: 'You must be a group member to view ratings' });
+    }
+
+    const leaderboard = await ratingService.getLeaderboard(group_id, {
+      gameId: req.query.game_id || null,
+      includeGuests: req.query.include_guests === 'true',
+      minGames: req.query.min_games ? parseInt(req.query.min_games, 10) : 1,
+    });
+
+    res.json({
+      group_id,
+      game_id: req.query.game_id || null,
+      leaderboard,
+    });
+  } catch (error) {
+    console.error('Error fetching rating leaderboard:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/groups/:group_id/ratings/history
+ * One player's rating after each rated event. ?player= is a User.id or
+ * 'guest:<name>' and defaults to the requesting user.
+ */
+router.get('/:group_id/ratings/history', validateRatingsQuery, async (req, res) => {
+  try {
+    const { group_id } = req.params;
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const isMember = await isActiveMember(userId, group_id);
+    if (!isMember) {
+      return res.status(403).json({ error: 'You must be a group member to view ratings' });
+    }
+
+    let playerKey = req.query.player;
+    if (!playerKey) {
+      const requester = await User.findOne({ where: { user_id: userId }, attributes: ['id'] });
+      if (!requester) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      playerKey = requester.id;
+    } else if (playerKey.startsWith('guest:')) {
+      playerKey = ratingService.guestKey(playerKey.slice('guest:'.length));
+    }
+
+    const history = await ratingService.getRatingHistory(group_id, playerKey, {
+      gameId: req.query.game_id || null,
+    });
+
+    res.json({
+      group_id,
+      game_id: req.query.game_id || null,
+      player_key: playerKey,
+      history,
+    });
+  } catch (error) {
+    console.error('Error fetching rating history:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/groups/:group_id/ratings/rebuild
+ * Queue a full recompute of the group's ratings (owners/admins).
+ */
+router.post('/:group_id/ratings/rebuild', validateUUID('group_id'), async (req, res) => {
+  try {
+    const { group_id } = req.params;
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const group = await Group.findByPk(group_id, { attributes: ['id'] });
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const hasPermission = await isOwnerOrAdmin(userId, group_id);
+    if (!hasPermission) {
+      return res.status(403).json({ error: 'Only group owners and admins can rebuild ratings' });
+    }
+
+    const queued = await ratingService.scheduleRebuild(group_id, 'manual');
+    if (!queued) {
+      return res.status(503).json({ error: 'Rating rebuild queue is unavailable' });
+    }
+
+    res.status(202).json({ message: 'Rating rebuild queued' });
+  } catch (error) {
+    console.error('Error queueing rating rebuild:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,197 @@
+// routes/groupScoring.js
+// Per-game scoring sheets and their category stats. Mounted under /api/groups
+// alongside groupStats.
+const express = require('express');
+const { Game, ScoringTemplate, User } = require('../models');
+const { validateScoringTemplate, validateUUID } = require('../middleware/validators');
+const { isOwnerOrAdmin, isActiveMember, isMemberOrHigher } = require('../services/authorizationService');
+const scoringService = require('../services/scoringService');
+const router = express.Router();
+
+const formatTemplate = (template) => {
+  const data = template.toJSON ? template.toJSON() : template;
+  return {
+    id: data.id,
+    group_id: data.group_id,
+    game_id: data.game_id,
+    game_name: data.Game?.name,
+    categories: data.categories,
+    lower_wins: data.lower_wins,
+    tiebreakers: data.tiebreakers,
+    updatedAt: data.updatedAt,
+  };
+};
+
+/**
+ * GET /api/groups/:group_id/scoring-templates
+ * The group's scoring sheets (active members).
+ */
+router.get('/:group_id/scoring-templates', validateUUID('group_id'), async (req, res) => {
+  try {
+    const { group_id } = req.params;
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const isMember = await isActiveMember(userId, group_id);
+    if (!isMember) {
+      return res.status(403).json({ error: 'You must be a group member to view scoring sheets' });
+    }
+
+    const templates = await ScoringTemplate.findAll({
+      where: { group_id },
+      include: [{ model: Game, attributes: ['name'] }],
+      order: [[Game, 'name', 'ASC']],
+    });
+
+    res.json(templates.map(formatTemplate));
+  } catch (error) {
+    console.error('Error listing scoring sheets:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/groups/:group_id/scoring-templates/:game_id
+ * One game's scoring sheet (active members).
+ */
+router.get('/:group_id/scoring-templates/:game_id', validateUUID('group_id'), validateUUID('game_id'), async (req, res) => {
+  try {
+    const { group_id, game_id } = req.params;
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const isMember = await isActiveMember(userId, group_id);
+    if (!isMember) {
+      return res.status(403).json({ error: 'You must be a group member to view scoring sheets' });
+    }
+
+    const template = await ScoringTemplate.findOne({
+      where: { group_id, game_id },
+      include: [{ model: Game, attributes: ['name'] }],
+    });
+    if (!template) {
+      return res.status(404).json({ error: 'No scoring sheet for this game' });
+    }
+
+    res.json(formatTemplate(template));
+  } catch (error) {
+    console.error('Error fetching scoring sheet:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/groups/:group_id/scoring-templates/:game_id
+ * Creates or replaces a game's scoring sheet (full members). Scores already
+ * recorded are not recomputed; the sheet applies the next time an event is
+ * saved.
+ */
+router.put('/:group_id/scoring-templates/:game_id', validateScoringTemplate, async (req, res) => {
+  try {
+    const { group_id, game_id } = req.params;
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const hasPermission = await isMemberOrHigher(userId, group_id);
+    if (!hasPermission) {
+      return res.status(403).json({ error: 'Pending members cannot perform this action', required_role: 'member' });
+    }
+
+    const game = await Game.findByPk(game_id, { attributes: ['id', 'name'] });
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    let sheet;
+    try {
+      sheet = scoringService.normalizeTemplate(req.body);
+    } catch (error) {
+      if (error instanceof scoringService.ScoringSheetError) {
+        return res.status(400).json({ error: error.message, ...error.details });
+      }
+      throw error;
+    }
+
+    const existing = await ScoringTemplate.findOne({ where: { group_id, game_id } });
+    let template;
+    if (existing) {
+      template = await existing.update(sheet);
+    } else {
+      const requester = await User.findOne({ where: { user_id: userId }, attributes: ['id'] });
+      template = await ScoringTemplate.create({ group_id, game_id, ...sheet, created_by_user_id: requester?.id || null });
+    }
+
+    res.status(existing ? 200 : 201).json(formatTemplate({ ...template.toJSON(), Game: game }));
+  } catch (error) {
+    console.error('Error saving scoring sheet:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/groups/:group_id/scoring-templates/:game_id
+ * Removes a scoring sheet (owners/admins). Recorded breakdowns are kept.
+ */
+router.delete('/:group_id/scoring-templates/:game_id', validateUUID('group_id'), validateUUID('game_id'), async (req, res) => {
+  try {
+    const { group_id, game_id } = req.params;
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const hasPermission = await isOwnerOrAdmin(userId, group_id);
+    if (!hasPermission) {
+      return res.status(403).json({ error: 'Only group owners and admins can remove scoring sheets' });
+    }
+
+    const deleted = await ScoringTemplate.destroy({ where: { group_id, game_id } });
+    if (deleted === 0) {
+      return res.status(404).json({ error: 'No scoring sheet for this game' });
+    }
+
+    res.json({ message: 'Scoring sheet deleted' });
+  } catch (error) {
+    console.error('Error deleting scoring sheet:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/groups/:group_id/games/:game_id/scoring-stats
+ * Category-level stats over the group's scored plays of a game: average,
+ * winners' average, share of the total and the best score per category, and
+ * each player's category averages.
+ */
+router.get('/:group_id/games/:game_id/scoring-stats', validateUUID('group_id'), validateUUID('game_id'), async (req, res) => {
+  try {
+    const { group_id, game_id } = req.params;
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const isMember = await isActiveMember(userId, group_id);
+    if (!isMember) {
+      return res.status(403).json({ error: 'You must be a group member to view stats' });
+    }
+
+    const stats = await scoringService.getCategoryStats(group_id, game_id);
+    if (!stats) {
+      return res.status(404).json({ error: 'No scoring sheet for this game' });
+    }
+
+    res.json(stats);
+  } catch (error) {
+    console.error('Error fetching scoring stats:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
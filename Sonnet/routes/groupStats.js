@@ -0,0 +1,42 @@
+// routes/groupStats.js
+// Group statistics dashboard. Mounted under /api/groups alongside groupVenues.
+const express = require('express');
+const { validateGroupStatsQuery } = require('../middleware/validators');
+const { isActiveMember } = require('../services/authorizationService');
+const groupStatsService = require('../services/groupStatsService');
+const router = express.Router();
+
+/**
+ * GET /api/groups/:group_id/stats
+ * Plays per month, unique games, average session length, new-player rates,
+ * faction win rates and the player-vs-player win matrix.
+ * Optional ?from= / ?to= (ISO 8601) narrow the range; ?timezone= buckets
+ * months in the group's local time (default UTC).
+ */
+router.get('/:group_id/stats', validateGroupStatsQuery, async (req, res) => {
+  try {
+    const { group_id } = req.params;
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const isMember = await isActiveMember(userId, group_id);
+    if (!isMember) {
+      return res.status(403).json({ error: 'You must be a group member to view stats' });
+    }
+
+    const stats = await groupStatsService.getGroupStats(group_id, {
+      from: req.query.from || null,
+      to: req.query.to || null,
+      timezone: req.query.timezone || 'UTC',
+    });
+
+    res.json(stats);
+  } catch (error) {
+    console.error('Error fetching group stats:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,187 @@
+// routes/groupVenues.js
+// Per-group venue list. Mounted under /api/groups alongside groupPromptSettings.
+const express = require('express');
+const { Group, User, Venue, Event } = require('../models');
+const { validateVenueCreate, validateVenueUpdate, validateUUID } = require('../middleware/validators');
+const { isOwnerOrAdmin, isActiveMember, isMemberOrHigher } = require('../services/authorizationService');
+const { formatVenueLocation } = require('../services/venueService');
+const { validateHost } = require('../services/hostRotationService');
+const router = express.Router();
+
+// Helper: venue row + its one-line location for API responses
+const formatVenue = (venue) => ({
+  ...(venue.toJSON ? venue.toJSON() : venue),
+  location: formatVenueLocation(venue),
+});
+
+/**
+ * GET /api/groups/:group_id/venues
+ * Lists the group's venues (active members). Archived venues are hidden
+ * unless ?include_archived=true.
+ */
+router.get('/:group_id/venues', validateUUID('group_id'), async (req, res) => {
+  try {
+    const { group_id } = req.params;
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const isMember = await isActiveMember(userId, group_id);
+    if (!isMember) {
+      return res.status(403).json({ error: 'You must be a group member to view venues' });
+    }
+
+    const where = { group_id };
+    if (req.query.include_archived !== 'true') {
+      where.is_archived = false;
+    }
+
+    const venues = await Venue.findAll({
+      where,
+      include: [{ model: User, as: 'Host', attributes: ['id', 'username'] }],
+      order: [['name', 'ASC']],
+    });
+
+    res.json(venues.map(formatVenue));
+  } catch (error) {
+    console.error('Error listing venues:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/groups/:group_id/venues
+ * Adds a venue (full members; pending members cannot).
+ */
+router.post('/:group_id/venues', validateUUID('group_id'), validateVenueCreate, async (req, res) => {
+  try {
+    const { group_id } = req.params;
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const group = await Group.findByPk(group_id);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const hasPermission = await isMemberOrHigher(userId, group_id);
+    if (!hasPermission) {
+      return res.status(403).json({ error: 'Pending members cannot perform this action', required_role: 'member' });
+    }
+
+    const { name, address, host_user_id, capacity, notes } = req.body;
+
+    const hostError = await validateHost(host_user_id, group_id);
+    if (hostError) {
+      return res.status(400).json({ error: hostError });
+    }
+
+    const venue = await Venue.create({
+      group_id,
+      name,
+      address: address || null,
+      host_user_id: host_user_id || null,
+      capacity: capacity || null,
+      notes: notes || null,
+    });
+
+    res.status(201).json(formatVenue(venue));
+  } catch (error) {
+    console.error('Error creating venue:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/groups/:group_id/venues/:venue_id
+ * Edits a venue (owners/admins, or the venue's host).
+ */
+router.put('/:group_id/venues/:venue_id', validateUUID('group_id'), validateUUID('venue_id'), validateVenueUpdate, async (req, res) => {
+  try {
+    const { group_id, venue_id } = req.params;
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const venue = await Venue.findOne({ where: { id: venue_id, group_id } });
+    if (!venue) {
+      return res.status(404).json({ error: 'Venue not found' });
+    }
+
+    const isAdmin = await isOwnerOrAdmin(userId, group_id);
+    let isHost = false;
+    if (!isAdmin && venue.host_user_id) {
+      const requester = await User.findOne({ where: { user_id: userId }, attributes: ['id'] });
+      isHost = requester?.id === venue.host_user_id;
+    }
+    if (!isAdmin && !isHost) {
+      return res.status(403).json({ error: 'Only group owners, admins, or the venue host can edit this venue' });
+    }
+
+    const { name, address, host_user_id, capacity, notes, is_archived } = req.body;
+
+    if (host_user_id !== undefined && host_user_id !== venue.host_user_id) {
+      const hostError = await validateHost(host_user_id, group_id);
+      if (hostError) {
+        return res.status(400).json({ error: hostError });
+      }
+    }
+
+    await venue.update({
+      name: name !== undefined ? name : venue.name,
+      address: address !== undefined ? (address || null) : venue.address,
+      host_user_id: host_user_id !== undefined ? (host_user_id || null) : venue.host_user_id,
+      capacity: capacity !== undefined ? (capacity || null) : venue.capacity,
+      notes: notes !== undefined ? (notes || null) : venue.notes,
+      is_archived: is_archived !== undefined ? is_archived : venue.is_archived,
+    });
+
+    res.json(formatVenue(venue));
+  } catch (error) {
+    console.error('Error updating venue:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/groups/:group_id/venues/:venue_id
+ * Removes a venue (owners/admins). Venues already used by events are archived
+ * instead so those events keep their location.
+ */
+router.delete('/:group_id/venues/:venue_id', validateUUID('group_id'), validateUUID('venue_id'), async (req, res) => {
+  try {
+    const { group_id, venue_id } = req.params;
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const venue = await Venue.findOne({ where: { id: venue_id, group_id } });
+    if (!venue) {
+      return res.status(404).json({ error: 'Venue not found' });
+    }
+
+    const hasPermission = await isOwnerOrAdmin(userId, group_id);
+    if (!hasPermission) {
+      return res.status(403).json({ error: 'Only group owners and admins can remove venues' });
+    }
+
+    const usedByEvents = await Event.count({ where: { venue_id } });
+    if (usedByEvents > 0) {
+      await venue.update({ is_archived: true });
+      return res.json({ message: 'Venue archived', archived: true });
+    }
+
+    await venue.destroy();
+    res.json({ message: 'Venue deleted', archived: false });
+  } catch (error) {
+    console.error('Error deleting venue:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
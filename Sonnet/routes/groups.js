@@ -26,6 +26,7 @@ const {
   isActiveMember,
   stripMemberPII,
 } = require('../services/authorizationService');
+const { withNestedExpansions } = require('../services/gameExpansionService');
 
 // Phase 71.1-02 (post-checkpoint scope expansion): when a user leaves a group
 // (voluntary self-leave OR admin/owner removal), cascade-delete their per-user
@@ -890,7 +891,7 @@ router.delete('/:group_id/users/:target_user_id', async (req, res) => {
   }
 });
 
-// Update group settings (profile picture, background) - owner or admin only
+// Update group settings (profile picture, background, ballot vetoes) - owner or admin only
 router.put('/:group_id/settings', validateUUID('group_id'), validateGroupUpdate, async (req, res) => {
   try {
     // Use verified user_id from token
@@ -899,7 +900,7 @@ router.put('/:group_id/settings', validateUUID('group_id'), validateGroupUpdate,
       return res.status(401).json({ error: 'Unauthorized' });
     }
     
-    const { profile_picture_url, background_color, background_image_url } = req.body;
+    const { profile_picture_url, background_color, background_image_url, ballot_veto_limit, ballot_veto_effect } = req.body;
     const { group_id } = req.params;
     
     // Check if user has permission (owner or admin)
@@ -918,6 +919,8 @@ router.put('/:group_id/settings', validateUUID('group_id'), validateGroupUpdate,
     if (profile_picture_url !== undefined) updateData.profile_picture_url = profile_picture_url;
     if (background_color !== undefined) updateData.background_color = background_color;
     if (background_image_url !== undefined) updateData.background_image_url = background_image_url;
+    if (ballot_veto_limit !== undefined) updateData.ballot_veto_limit = ballot_veto_limit;
+    if (ballot_veto_effect !== undefined) updateData.ballot_veto_effect = ballot_veto_effect;
     
     await group.update(updateData);
     
@@ -980,11 +983,11 @@ router.get('/:group_id/library', async (req, res) => {
     // 5. Query all games owned by these members
     // CRITICAL: UserGame.user_id is UUID, NOT Auth0 string
     const userGames = await UserGame.findAll({
-      where: { user_id: { [Op.in]: userUuids } },
+      where: { user_id: { [Op.in]: userUuids }, owned: true },
       include: [{
         model: Game,
         required: true, // INNER JOIN - skip orphaned UserGame records
-        attributes: ['id', 'name', 'thumbnail_url', 'image_url', 'min_players', 'max_players', 'playing_time', 'weight'],
+        attributes: ['id', 'name', 'thumbnail_url', 'image_url', 'min_players', 'max_players', 'playing_time', 'weight', 'is_expansion'],
       }],
     });
 
@@ -1004,6 +1007,7 @@ router.get('/:group_id/library', async (req, res) => {
           max_players: game.max_players,
           playing_time: game.playing_time,
           weight: game.weight != null ? parseFloat(game.weight) : null,
+          is_expansion: game.is_expansion,
           owners: [],
         });
       }
@@ -1017,11 +1021,11 @@ router.get('/:group_id/library', async (req, res) => {
       }
     }
 
-    // 7. Sort owners alphabetically, build response
-    const games = Array.from(gameMap.values());
-    for (const game of games) {
+    // 7. Sort owners alphabetically, nest expansions under their base games
+    for (const game of gameMap.values()) {
       game.owners.sort((a, b) => a.username.localeCompare(b.username));
     }
+    const games = await withNestedExpansions(Array.from(gameMap.values()));
 
     // 8. Build member list sorted alphabetically
     const members = users
@@ -3,8 +3,24 @@ const express = require('express');
 const { Event, Game, Group, User, EventParticipation, GameReview } = require('../models');
 const { Op, fn, col, literal } = require('sequelize');
 const { isActiveMember } = require('../services/authorizationService');
+const { buildHeadToHead } = require('../services/headToHeadService');
+const { withNestedExpansions } = require('../services/gameExpansionService');
+const { validateUUID } = require('../middleware/validators');
 const router = express.Router();
 
+// Did the participant matching `isPlayer` win? In a team game (winning_team)
+// everyone on the winning team did; otherwise only the recorded winner.
+// Guests (custom participants) can only win as part of a team.
+const playerWonEvent = (event, isPlayer) => {
+  const participation = (event.EventParticipations || []).find(p => p.User && isPlayer(p.User));
+  if (participation) {
+    if (event.winning_team && participation.team) return participation.team === event.winning_team;
+    return Boolean(event.Winner && isPlayer(event.Winner));
+  }
+  const guest = (event.custom_participants || []).find(cp => cp && isPlayer({ username: cp.username }));
+  return Boolean(guest && event.winning_team && guest.team === event.winning_team);
+};
+
 // 1. Games won by a specific player in a group (by name)
 router.get('/player-wins/:group_id/:player_name/:user_id', async (req, res) => {
   try {
@@ -28,16 +44,10 @@ router.get('/player-wins/:group_id/:player_name/:user_id', async (req, res) => {
       order: [['start_date', 'DESC']]
     });
     
-    // Filter to only include events where this player actually won
-    const winningEvents = events.filter(event => {
-      if (event.Winner && event.EventParticipations) {
-        const playerParticipation = event.EventParticipations.find(p => 
-          p.User.username === player_name
-        );
-        return playerParticipation && event.Winner.username === player_name;
-      }
-      return false;
-    });
+    // Filter to only include events where this player (or their team) won
+    const winningEvents = events.filter(event =>
+      playerWonEvent(event, user => user.username === player_name)
+    );
     
     res.json(winningEvents);
   } catch (error) {
@@ -59,25 +69,19 @@ router.get('/player-wins-by-id/:group_id/:player_user_id/:user_id', async (req,
       where: { group_id },
       include: [
         { model: Game, attributes: ['name', 'theme', 'url'] },
-        { model: User, as: 'Winner', attributes: ['id', 'username'] },
+        { model: User, as: 'Winner', attributes: ['id', 'username', 'user_id'] },
         {
           model: EventParticipation,
-          include: [{ model: User, attributes: ['id', 'username'] }]
+          include: [{ model: User, attributes: ['id', 'username', 'user_id'] }]
         }
       ],
       order: [['start_date', 'DESC']]
     });
     
-    // Filter to only include events where this player actually won
-    const winningEvents = events.filter(event => {
-      if (event.Winner && event.EventParticipations) {
-        const playerParticipation = event.EventParticipations.find(p => 
-          p.User.user_id === player_user_id
-        );
-        return playerParticipation && event.Winner.user_id === player_user_id;
-      }
-      return false;
-    });
+    // Filter to only include events where this player (or their team) won
+    const winningEvents = events.filter(event =>
+      playerWonEvent(event, user => user.user_id === player_user_id)
+    );
     
     res.json(winningEvents);
   } catch (error) {
@@ -262,7 +266,16 @@ router.get('/games/:group_id/:user_id', async (req, res) => {
       include: [
         {
           model: Game,
-          attributes: ['id', 'name', 'image_url', 'theme', 'year_published', 'min_players', 'max_players', 'playing_time', 'description']
+          attributes: ['id', 'name', 'image_url', 'theme', 'year_published', 'min_players', 'max_players', 'playing_time', 'description', 'is_expansion']
+        },
+        { model: Game, as: 'Expansions', attributes: ['id', 'name', 'image_url'], through: { attributes: [] } },
+        {
+          // Team members, to credit a team win to each of them
+          model: EventParticipation,
+          required: false,
+          where: { team: { [Op.ne]: null } },
+          attributes: ['user_id', 'team'],
+          include: [{ model: User, attributes: ['id', 'username', 'user_id'] }]
         },
         { model: User, as: 'Winner', attributes: ['id', 'username', 'user_id'] },
         { model: User, as: 'PickedBy', attributes: ['id', 'username', 'user_id'] }
@@ -315,18 +328,30 @@ router.get('/games/:group_id/:user_id', async (req, res) => {
           max_players: event.Game.max_players,
           playing_time: event.Game.playing_time,
           description: event.Game.description,
+          is_expansion: event.Game.is_expansion,
           play_count: 0,
           last_played: null,
           first_played: null,
           avg_rating: ratingMap[gameId]?.avg_rating || null,
           review_count: ratingMap[gameId]?.review_count || 0,
           winners: [],
-          pickers: []
+          pickers: [],
+          expansions_used: []
         });
       }
       
       const game = gameMap.get(gameId);
       game.play_count++;
+
+      // Expansions played on top of the game
+      for (const expansion of event.Expansions || []) {
+        const used = game.expansions_used.find(e => e.id === expansion.id);
+        if (used) {
+          used.play_count++;
+        } else {
+          game.expansions_used.push({ id: expansion.id, name: expansion.name, image_url: expansion.image_url, play_count: 1 });
+        }
+      }
       
       // Update last played
       if (!game.last_played || eventDate > new Date(game.last_played)) {
@@ -338,21 +363,32 @@ router.get('/games/:group_id/:user_id', async (req, res) => {
         game.first_played = eventDate.toISOString();
       }
 
-      // Track winner for this event
-      if (event.Winner) {
-        const existing = game.winners.find(w => w.user_id === event.Winner.user_id);
+      // Track winner(s) for this event: a team win credits every member
+      const creditWinner = (winner) => {
+        const existing = game.winners.find(w => (winner.is_custom
+          ? w.is_custom && w.username === winner.username
+          : w.user_id === winner.user_id));
         if (existing) {
           existing.count++;
         } else {
-          game.winners.push({ id: event.Winner.id, username: event.Winner.username, user_id: event.Winner.user_id, count: 1, is_custom: false });
+          game.winners.push({ ...winner, count: 1 });
         }
-      } else if (event.winner_name) {
-        const existing = game.winners.find(w => w.is_custom && w.username === event.winner_name);
-        if (existing) {
-          existing.count++;
-        } else {
-          game.winners.push({ id: null, username: event.winner_name, user_id: null, count: 1, is_custom: true });
+      };
+      if (event.winning_team) {
+        for (const p of event.EventParticipations || []) {
+          if (p.team === event.winning_team && p.User) {
+            creditWinner({ id: p.User.id, username: p.User.username, user_id: p.User.user_id, is_custom: false });
+          }
+        }
+        for (const cp of event.custom_participants || []) {
+          if (cp && cp.username && cp.team === event.winning_team) {
+            creditWinner({ id: null, username: cp.username, user_id: null, is_custom: true });
+          }
         }
+      } else if (event.Winner) {
+        creditWinner({ id: event.Winner.id, username: event.Winner.username, user_id: event.Winner.user_id, is_custom: false });
+      } else if (event.winner_name) {
+        creditWinner({ id: null, username: event.winner_name, user_id: null, is_custom: true });
       }
 
       // Track picker for this event
@@ -413,6 +449,9 @@ router.get('/games/:group_id/:user_id', async (req, res) => {
         });
         break;
     }
+
+    // Events logged with an expansion as their game list under its base game
+    games = await withNestedExpansions(games);
     
     res.json(games);
   } catch (error) {
@@ -550,8 +589,11 @@ router.get('/players/:group_id/:user_id', async (req, res) => {
           }
           playerStats[playerKey].games_played++;
           
-          // Check if this player won
-          if (event.Winner && event.Winner.user_id === player.user_id) {
+          // Check if this player (or their team) won
+          const won = event.winning_team && participation.team
+            ? participation.team === event.winning_team
+            : Boolean(event.Winner && event.Winner.user_id === player.user_id);
+          if (won) {
             playerStats[playerKey].games_won++;
           }
           
@@ -579,4 +621,48 @@ router.get('/players/:group_id/:user_id', async (req, res) => {
   }
 });
 
+// 9. Head-to-head record between two players
+// player_a / player_b: Auth0 user_id or username for members, the name used
+// in custom_participants for guests (same matching as player-wins*).
+router.get('/head-to-head/:group_id/:player_a/:player_b', validateUUID('group_id'), async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { group_id, player_a, player_b } = req.params;
+
+    const hasAccess = await isActiveMember(userId, group_id);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied to this group' });
+    }
+
+    if (player_a === player_b) {
+      return res.status(400).json({ error: 'Pick two different players' });
+    }
+
+    const events = await Event.findAll({
+      where: {
+        group_id,
+        status: 'completed',
+        start_date: { [Op.lte]: new Date() }
+      },
+      include: [
+        { model: Game, attributes: ['id', 'name'] },
+        {
+          model: EventParticipation,
+          attributes: ['user_id', 'score', 'placement', 'team'],
+          include: [{ model: User, attributes: ['id', 'username', 'user_id'] }]
+        }
+      ],
+      order: [['start_date', 'ASC']]
+    });
+
+    res.json(buildHeadToHead(events, player_a, player_b));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,189 @@
+// routes/microsoftAuth.js
+// Microsoft OAuth 2.0 routes for Outlook calendar integration (Microsoft Graph)
+// Mirrors routes/googleAuth.js; mounted under /api/auth next to it.
+//
+// The OAuth state is signed: the callback is public, so an unsigned user_id in
+// it would let anyone attach their own Outlook calendar to someone else's account.
+const express = require('express');
+const crypto = require('crypto');
+const { User } = require('../models');
+const microsoftCalendarService = require('../services/microsoftCalendarService');
+const router = express.Router();
+
+const DEFAULT_FRONTEND_URL = 'http://localhost:3000';
+
+const signState = (payload) => crypto
+  .createHmac('sha256', process.env.MICROSOFT_CLIENT_SECRET || '')
+  .update(payload)
+  .digest('base64url');
+
+/**
+ * Encode user_id and frontend URL into a signed, URL-safe state string
+ * @param {Object} stateData - { user_id, frontend_url }
+ * @returns {string}
+ */
+function encodeState(stateData) {
+  const payload = Buffer.from(JSON.stringify(stateData)).toString('base64url');
+  return `${payload}.${signState(payload)}`;
+}
+
+/**
+ * Verify and decode a state string from encodeState
+ * @param {string} state
+ * @returns {Object|null} { user_id, frontend_url }, or null when tampered or malformed
+ */
+function decodeState(state) {
+  const [payload, signature] = String(state || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(signState(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+  try {
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Get Microsoft OAuth URL as JSON (for authenticated API calls)
+router.get('/microsoft/url', async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // Create the user if this is their first request, like /google/url
+    const email = req.user?.email || null;
+    const username = req.user?.name || req.user?.nickname || null;
+    await User.findOrCreate({
+      where: { user_id: userId },
+      defaults: {
+        user_id: userId,
+        email,
+        username: username || email?.split('@')[0] || 'User',
+      }
+    });
+
+    // Frontend URL from query param, request origin or environment, so the
+    // callback redirects to the frontend that started the flow
+    const frontendUrl = req.query.frontend_url ||
+                       (req.headers.origin ? req.headers.origin.replace(/\/$/, '') : null) ||
+                       process.env.FRONTEND_URL ||
+                       DEFAULT_FRONTEND_URL;
+
+    const authUrl = microsoftCalendarService.getAuthUrl(
+      encodeState({ user_id: userId, frontend_url: frontendUrl })
+    );
+    res.json({ authUrl });
+  } catch (error) {
+    console.error('Error generating Microsoft OAuth URL:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Handle OAuth callback from Microsoft (PUBLIC - no auth required)
+router.get('/microsoft/callback', async (req, res) => {
+  const stateData = decodeState(req.query.state);
+  const frontendUrl = stateData?.frontend_url || process.env.FRONTEND_URL || DEFAULT_FRONTEND_URL;
+
+  try {
+    const { code, error: consentError, error_description: consentErrorDescription } = req.query;
+
+    if (!stateData || !stateData.user_id) {
+      return res.status(400).json({ error: 'Invalid state parameter' });
+    }
+
+    // User declined consent, or the tenant blocked the app
+    if (consentError) {
+      throw new Error(consentErrorDescription || consentError);
+    }
+
+    if (!code) {
+      return res.status(400).json({ error: 'Authorization code is required' });
+    }
+
+    const user = await User.findOne({ where: { user_id: stateData.user_id } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const tokens = await microsoftCalendarService.getTokensFromCode(code);
+    if (!tokens.access_token) {
+      throw new Error('Failed to get access token from Microsoft');
+    }
+
+    const updateData = {
+      microsoft_calendar_token: tokens.access_token,
+      microsoft_calendar_enabled: true,
+    };
+    // Keep the existing refresh token if Microsoft didn't send a new one
+    if (tokens.refresh_token) {
+      updateData.microsoft_calendar_refresh_token = tokens.refresh_token;
+    }
+    await user.update(updateData);
+
+    res.redirect(`${frontendUrl}/userProfile/?microsoft_calendar=connected`);
+  } catch (error) {
+    console.error('Error handling Microsoft OAuth callback:', error.message);
+    res.redirect(`${frontendUrl}/userProfile/?microsoft_calendar=error&message=${encodeURIComponent(error.message)}`);
+  }
+});
+
+// Disconnect Microsoft calendar
+router.post('/microsoft/disconnect', async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const user = await User.findOne({ where: { user_id: userId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await user.update({
+      microsoft_calendar_token: null,
+      microsoft_calendar_refresh_token: null,
+      microsoft_calendar_enabled: false,
+    });
+
+    res.json({ message: 'Microsoft calendar disconnected successfully' });
+  } catch (error) {
+    console.error('Error disconnecting Microsoft calendar:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get Microsoft calendar connection status
+router.get('/microsoft/status/:user_id', async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (req.params.user_id !== userId) {
+      return res.status(403).json({ error: 'Forbidden: Cannot access other users\' calendar status' });
+    }
+
+    const user = await User.findOne({
+      where: { user_id: userId },
+      attributes: ['microsoft_calendar_enabled', 'microsoft_calendar_token']
+    });
+
+    // Flag AND token, same as /google/status
+    res.json({
+      connected: !!(user && user.microsoft_calendar_enabled && user.microsoft_calendar_token)
+    });
+  } catch (error) {
+    console.error('Error getting Microsoft calendar status:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,12 @@
 // routes/rsvp.js
-// RSVP CRUD API endpoints for event responses (yes/no/maybe)
+// RSVP CRUD API endpoints for event responses (yes/no/maybe, plus waitlist past capacity)
 const express = require('express');
 const crypto = require('crypto');
-const { EventRsvp, EventBring, Event, User, Game, Group, EventParticipation } = require('../models');
+const { EventRsvp, EventBring, Event, User, Game, Group, EventParticipation, Venue } = require('../models');
 const { validateRsvpCreate } = require('../middleware/validators');
 const { verifyAuth0Token } = require('../middleware/auth0');
 const { enqueueCleanupJobForAttendee } = require('../services/gcalCleanupService');
+const rsvpWaitlistService = require('../services/rsvpWaitlistService');
 const router = express.Router();
 
 // ============================================
@@ -33,8 +34,8 @@ const router = express.Router();
  * @param {Object} params
  * @param {string} params.eventId
  * @param {string} params.authUserId  Auth0 user_id string (from token or magic-link payload)
- * @param {string|null} params.oldStatus   'yes' | 'no' | 'maybe' | null
- * @param {string} params.newStatus   'yes' | 'no' | 'maybe'
+ * @param {string|null} params.oldStatus   'yes' | 'no' | 'maybe' | 'waitlist' | null
+ * @param {string} params.newStatus   'yes' | 'no' | 'maybe' | 'waitlist'
  */
 async function maybeDispatchGcalCleanup({ eventId, authUserId, oldStatus, newStatus }) {
   // Fire on any transition INTO 'no' from a non-'no' state. The no->no
@@ -51,7 +52,7 @@ async function maybeDispatchGcalCleanup({ eventId, authUserId, oldStatus, newSta
 
     const participation = await EventParticipation.findOne({
       where: { event_id: eventId, user_id: user.id },
-      attributes: ['id', 'google_calendar_event_id'],
+      attributes: ['id', 'google_calendar_event_id', 'calendar_provider'],
     });
     if (!participation || !participation.google_calendar_event_id) {
       // No GCal entry to clean up — silent skip per CONTEXT D-FAILURE.
@@ -63,6 +64,7 @@ async function maybeDispatchGcalCleanup({ eventId, authUserId, oldStatus, newSta
       eventParticipationId: participation.id,
       userId: user.id,
       googleCalendarEventId: participation.google_calendar_event_id,
+      calendarProvider: participation.calendar_provider,
     });
   } catch (err) {
     // Best-effort + non-blocking — never let a cleanup-dispatch issue
@@ -135,8 +137,9 @@ router.get('/respond', async (req, res) => {
     // Look up the event
     const event = await Event.findByPk(eventId, {
       include: [
-        { model: Game, attributes: ['name'] },
+        { model: Game, attributes: ['name', 'max_players'] },
         { model: Group, attributes: ['id', 'name'] },
+        { model: Venue, attributes: ['capacity'] },
       ],
     });
     if (!event) {
@@ -161,23 +164,14 @@ router.get('/respond', async (req, res) => {
       });
     }
 
-    // Upsert RSVP: find existing or create
-    const existing = await EventRsvp.findOne({
-      where: { event_id: eventId, user_id: userId },
-    });
-    // Phase 75 / GCAL-01: capture old status BEFORE the update so we can
+    // Upsert RSVP. A 'yes' past capacity lands on the waitlist instead.
+    // Phase 75 / GCAL-01: oldStatus is the status BEFORE the update so we can
     // detect yes->no transitions (the only case that triggers GCal cleanup).
-    const oldStatus = existing ? existing.status : null;
-
-    if (existing) {
-      await existing.update({ status });
-    } else {
-      await EventRsvp.create({
-        event_id: eventId,
-        user_id: userId,
-        status,
-      });
-    }
+    const { oldStatus, status: resolvedStatus } = await rsvpWaitlistService.saveRsvp({
+      event,
+      userId,
+      requestedStatus: status,
+    });
 
     // Phase 75 / GCAL-01: yes -> no triggers GCal cleanup for this attendee.
     // Fire-and-forget; never blocks the RSVP response.
@@ -185,11 +179,18 @@ router.get('/respond', async (req, res) => {
       eventId,
       authUserId: userId,
       oldStatus,
-      newStatus: status,
+      newStatus: resolvedStatus,
     }).catch((err) =>
       console.error('[rsvp:GET /respond] GCal cleanup dispatch error (non-fatal):', err.message)
     );
 
+    // Giving up a seat promotes the next waitlisted RSVP. Fire-and-forget.
+    if (oldStatus === 'yes' && resolvedStatus !== 'yes') {
+      rsvpWaitlistService.promoteFromWaitlist(eventId).catch((err) =>
+        console.error('[rsvp:GET /respond] Waitlist promotion error (non-fatal):', err.message)
+      );
+    }
+
     // Format event date for display
     const formattedDate = eventDate.toLocaleDateString('en-US', {
       weekday: 'long',
@@ -200,7 +201,8 @@ router.get('/respond', async (req, res) => {
 
     return res.status(200).json({
       success: true,
-      status,
+      status: resolvedStatus,
+      waitlisted: resolvedStatus === 'waitlist',
       event_name: event.Game?.name || 'Game Session',
       event_date: formattedDate,
       group_id: event.Group?.id || event.group_id,
@@ -234,7 +236,14 @@ router.post('/', verifyAuth0Token, validateRsvpCreate, async (req, res) => {
     // also resolved the event but downstream code reads event.status, and the
     // helper's bare event lacks any includes — keep the dedicated findByPk so
     // future include additions stay co-located with their consumer.
-    const event = await Event.findByPk(event_id);
+    // Game.max_players / Venue.capacity are the capacity fallback for the
+    // waitlist check.
+    const event = await Event.findByPk(event_id, {
+      include: [
+        { model: Game, attributes: ['max_players'] },
+        { model: Venue, attributes: ['capacity'] },
+      ],
+    });
     if (!event) {
       return res.status(404).json({ error: 'Event not found' });
     }
@@ -242,34 +251,25 @@ router.post('/', verifyAuth0Token, validateRsvpCreate, async (req, res) => {
       return res.status(400).json({ error: 'Cannot RSVP to a cancelled event' });
     }
 
-    // Upsert: find existing RSVP or create new
-    const existing = await EventRsvp.findOne({
-      where: { event_id, user_id: userId },
-    });
-
-    let rsvp;
-    let isCreate = false;
-    // Phase 75 / GCAL-01: capture old status BEFORE the update so we can
+    // Upsert: update the existing RSVP or create one. A 'yes' past capacity
+    // lands on the waitlist instead.
+    // Phase 75 / GCAL-01: oldStatus is the status BEFORE the update so we can
     // detect yes->no transitions (the only case that triggers GCal cleanup).
-    const oldStatus = existing ? existing.status : null;
-
-    if (existing) {
-      // Update existing RSVP
-      await existing.update({ status, note: note || null });
-      rsvp = existing;
-    } else {
-      // Create new RSVP
-      rsvp = await EventRsvp.create({
-        event_id,
-        user_id: userId,
-        status,
-        note: note || null,
-      });
-      isCreate = true;
-    }
+    const {
+      rsvp,
+      created: isCreate,
+      oldStatus,
+      status: resolvedStatus,
+    } = await rsvpWaitlistService.saveRsvp({
+      event,
+      userId,
+      requestedStatus: status,
+      fields: { note: note || null },
+    });
 
-    // Hard-delete bring commitments when RSVP changes to 'no' or 'maybe'
-    if (status === 'no' || status === 'maybe') {
+    // Hard-delete bring commitments when RSVP changes to anything but a
+    // confirmed seat ('no', 'maybe', or waitlisted)
+    if (resolvedStatus !== 'yes') {
       await EventBring.destroy({ where: { event_id, user_id: userId } });
     }
 
@@ -279,16 +279,28 @@ router.post('/', verifyAuth0Token, validateRsvpCreate, async (req, res) => {
       eventId: event_id,
       authUserId: userId,
       oldStatus,
-      newStatus: status,
+      newStatus: resolvedStatus,
     }).catch((err) =>
       console.error('[rsvp:POST] GCal cleanup dispatch error (non-fatal):', err.message)
     );
 
+    // Giving up a seat promotes the next waitlisted RSVP. Fire-and-forget.
+    if (oldStatus === 'yes' && resolvedStatus !== 'yes') {
+      rsvpWaitlistService.promoteFromWaitlist(event_id).catch((err) =>
+        console.error('[rsvp:POST] Waitlist promotion error (non-fatal):', err.message)
+      );
+    }
+
     // Re-fetch with User include for response
     const result = await EventRsvp.findByPk(rsvp.id, {
       include: [{ model: User, attributes: ['id', 'username', 'user_id'] }],
     });
 
+    if (resolvedStatus === 'waitlist') {
+      const waitlistPosition = await rsvpWaitlistService.getWaitlistPosition(result);
+      return res.status(isCreate ? 201 : 200).json({ ...result.toJSON(), waitlist_position: waitlistPosition });
+    }
+
     return res.status(isCreate ? 201 : 200).json(result);
   } catch (error) {
     console.error('Error creating/updating RSVP:', error.message);
@@ -317,21 +329,32 @@ router.get('/event/:event_id', verifyAuth0Token, async (req, res) => {
       where: { event_id },
       include: [{ model: User, attributes: ['id', 'username', 'user_id'] }],
       order: [
-        // Custom order: yes first, maybe second, no third
-        [EventRsvp.sequelize.literal(`CASE WHEN "EventRsvp"."status" = 'yes' THEN 0 WHEN "EventRsvp"."status" = 'maybe' THEN 1 WHEN "EventRsvp"."status" = 'no' THEN 2 END`), 'ASC'],
+        // Custom order: yes first, maybe second, waitlist (queue order) third, no last
+        [EventRsvp.sequelize.literal(`CASE WHEN "EventRsvp"."status" = 'yes' THEN 0 WHEN "EventRsvp"."status" = 'maybe' THEN 1 WHEN "EventRsvp"."status" = 'waitlist' THEN 2 WHEN "EventRsvp"."status" = 'no' THEN 3 END`), 'ASC'],
+        ['waitlisted_at', 'ASC'],
         ['createdAt', 'ASC'],
       ],
     });
 
     // Compute summary counts
-    const summary = { yes: 0, maybe: 0, no: 0 };
+    const summary = { yes: 0, maybe: 0, no: 0, waitlist: 0 };
     rsvps.forEach((r) => {
       if (summary.hasOwnProperty(r.status)) {
         summary[r.status]++;
       }
     });
 
-    return res.json({ rsvps, summary });
+    // Capacity (null = unlimited) so clients can render "3 of 4 seats"
+    const eventWithGame = await Event.findByPk(event_id, {
+      attributes: ['id', 'capacity', 'game_id', 'venue_id'],
+      include: [
+        { model: Game, attributes: ['max_players'] },
+        { model: Venue, attributes: ['capacity'] },
+      ],
+    });
+    const capacity = rsvpWaitlistService.getEffectiveCapacity(eventWithGame);
+
+    return res.json({ rsvps, summary, capacity });
   } catch (error) {
     console.error('Error fetching event RSVPs:', error.message);
     return res.status(500).json({ error: error.message });
@@ -410,6 +433,13 @@ router.delete('/:rsvp_id', verifyAuth0Token, async (req, res) => {
       console.error('[rsvp:DELETE] GCal cleanup dispatch error (non-fatal):', err.message)
     );
 
+    // Removing a confirmed RSVP frees a seat for the waitlist. Fire-and-forget.
+    if (priorStatus === 'yes') {
+      rsvpWaitlistService.promoteFromWaitlist(eventId).catch((err) =>
+        console.error('[rsvp:DELETE] Waitlist promotion error (non-fatal):', err.message)
+      );
+    }
+
     return res.status(200).json({ message: 'RSVP removed' });
   } catch (error) {
     console.error('Error removing RSVP:', error.message);
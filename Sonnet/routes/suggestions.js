@@ -1,10 +1,12 @@
 // routes/suggestions.js
 // REST API endpoints for smart game suggestions.
 // Mounted at /api/suggestions (auth required via server.js verifyAuth0Token).
+// sort=score adds a `score` (total, factors, explanation) to each suggestion.
 
 const express = require('express');
 const { Event } = require('../models');
 const { getSuggestions } = require('../services/suggestionService');
+const { getDiscoverRecommendations } = require('../services/recommendationService');
 const { isActiveMember, canReadEventScopedSurface } = require('../services/authorizationService');
 const router = express.Router();
 
@@ -42,6 +44,7 @@ router.get('/event/:eventId', async (req, res) => {
     return res.json({
       suggestions: result.suggestions,
       player_count: result.playerCount,
+      wont_play_excluded: result.wontPlayExcluded || 0,
     });
   } catch (err) {
     console.warn('Suggestions service degraded:', err.message);
@@ -88,6 +91,7 @@ router.get('/group/:groupId', async (req, res) => {
     return res.json({
       suggestions: result.suggestions,
       player_count: result.playerCount,
+      wont_play_excluded: result.wontPlayExcluded || 0,
     });
   } catch (err) {
     console.warn('Suggestions service degraded:', err.message);
@@ -96,4 +100,41 @@ router.get('/group/:groupId', async (req, res) => {
   }
 });
 
+// ============================================
+// GET /group/:groupId/discover
+// Games the group doesn't own that groups with similar taste love
+// (similarity is precomputed nightly -- see services/recommendationService.js)
+// ============================================
+
+router.get('/group/:groupId/discover', async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const userId = req.user.user_id;
+
+    let limit = 10;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit, 10);
+      if (isNaN(limit) || limit < 1 || limit > 50) {
+        return res.status(400).json({ error: 'limit must be an integer between 1 and 50' });
+      }
+    }
+
+    const isMember = await isActiveMember(userId, groupId);
+    if (!isMember) {
+      return res.status(403).json({ error: 'You must be an active group member to view recommendations' });
+    }
+
+    const result = await getDiscoverRecommendations(groupId, { limit });
+
+    return res.json({
+      recommendations: result.recommendations,
+      similar_groups: result.similarGroups,
+      computed_at: result.computedAt,
+    });
+  } catch (err) {
+    console.error('Discover recommendations error:', err);
+    return res.status(500).json({ error: 'Failed to fetch recommendations' });
+  }
+});
+
 module.exports = router;
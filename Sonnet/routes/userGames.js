@@ -1,11 +1,24 @@
 // routes/userGames.js
 const express = require('express');
-const { UserGame, User, Game } = require('../models');
+const { UserGame, UserWontPlay, User, Game } = require('../models');
 const bggService = require('../services/bggService');
+const { linkFromBgg } = require('../services/gameExpansionService');
 const router = express.Router();
-const { validateBGGUsername, validateAuth0UserId } = require('../middleware/validators');
+const {
+  validateBGGUsername,
+  validateAuth0UserId,
+  validateUUID,
+  validateCollectionStatuses,
+} = require('../middleware/validators');
 
-// Get all games owned by a user
+// Collection status flags on UserGame (see models/UserGame.js)
+const COLLECTION_STATUSES = ['owned', 'wishlist', 'want_to_play', 'previously_owned', 'for_trade'];
+
+const statusesOf = (userGame) => COLLECTION_STATUSES.filter(status => userGame[status]);
+const flagsFor = (statuses) => Object.fromEntries(COLLECTION_STATUSES.map(status => [status, statuses.includes(status)]));
+
+// Get the games in a user's collection with one status (?status=, default
+// owned; 'all' for everything), each with its collection_statuses
 router.get('/user/:user_id', async (req, res) => {
   try {
     // Use verified user_id from token
@@ -19,13 +32,18 @@ router.get('/user/:user_id', async (req, res) => {
       return res.status(403).json({ error: 'Forbidden: Cannot access other users\' games' });
     }
     
+    const status = req.query.status || 'owned';
+    if (status !== 'all' && !COLLECTION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: all, ${COLLECTION_STATUSES.join(', ')}` });
+    }
+
     const user = await User.findOne({ where: { user_id: userId } });
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
     
     const ownedGames = await UserGame.findAll({
-      where: { user_id: user.id },
+      where: { user_id: user.id, ...(status !== 'all' && { [status]: true }) },
       include: [{ 
         model: Game,
         required: true  // Use INNER JOIN to exclude orphaned records where Game doesn't exist
@@ -35,8 +53,8 @@ router.get('/user/:user_id', async (req, res) => {
     
     // Filter out any null Games (shouldn't happen with required: true, but safety check)
     const games = ownedGames
-      .map(ug => ug.Game)
-      .filter(game => game !== null && game !== undefined);
+      .filter(ug => ug.Game !== null && ug.Game !== undefined)
+      .map(ug => ({ ...ug.Game.toJSON(), collection_statuses: statusesOf(ug) }));
     
     res.json(games);
   } catch (error) {
@@ -44,8 +62,9 @@ router.get('/user/:user_id', async (req, res) => {
   }
 });
 
-// Add game to user's owned games
-router.post('/user/:user_id/game/:game_id', async (req, res) => {
+// Add game to user's collection -- owned unless body.statuses says otherwise;
+// statuses are added to any the game already has
+router.post('/user/:user_id/game/:game_id', validateCollectionStatuses, async (req, res) => {
   try {
     const user = await User.findOne({ where: { user_id: req.params.user_id } });
     const game = await Game.findByPk(req.params.game_id);
@@ -53,23 +72,67 @@ router.post('/user/:user_id/game/:game_id', async (req, res) => {
     if (!user || !game) {
       return res.status(404).json({ error: 'User or Game not found' });
     }
-    
+
+    const statuses = req.body.statuses && req.body.statuses.length > 0 ? req.body.statuses : ['owned'];
     const [userGame, created] = await UserGame.findOrCreate({
       where: { user_id: user.id, game_id: game.id },
-      defaults: { user_id: user.id, game_id: game.id }
+      defaults: { user_id: user.id, game_id: game.id, ...flagsFor(statuses) }
     });
     
     if (!created) {
-      return res.json({ message: 'Game already in your collection', game });
+      const added = statuses.filter(status => !userGame[status]);
+      if (added.length === 0) {
+        return res.json({ message: 'Game already in your collection', game, collection_statuses: statusesOf(userGame) });
+      }
+      await userGame.update(Object.fromEntries(added.map(status => [status, true])));
     }
     
-    res.json({ message: 'Game added to your collection', game });
+    res.json({ message: 'Game added to your collection', game, collection_statuses: statusesOf(userGame) });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Remove game from user's owned games
+// Replace a game's collection statuses; an empty list removes the game
+router.put('/user/:user_id/game/:game_id', validateUUID('game_id'), validateCollectionStatuses, async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    if (req.params.user_id !== userId) {
+      return res.status(403).json({ error: 'Forbidden: Cannot modify other users\' games' });
+    }
+
+    const { statuses } = req.body;
+    if (!Array.isArray(statuses)) {
+      return res.status(400).json({ error: 'statuses is required' });
+    }
+
+    const user = await User.findOne({ where: { user_id: userId } });
+    const game = await Game.findByPk(req.params.game_id);
+    if (!user || !game) {
+      return res.status(404).json({ error: 'User or Game not found' });
+    }
+
+    const userGame = await UserGame.findOne({ where: { user_id: user.id, game_id: game.id } });
+    if (statuses.length === 0) {
+      if (userGame) await userGame.destroy();
+      return res.json({ message: 'Game removed from your collection', game, collection_statuses: [] });
+    }
+
+    if (userGame) {
+      await userGame.update(flagsFor(statuses));
+    } else {
+      await UserGame.create({ user_id: user.id, game_id: game.id, ...flagsFor(statuses) });
+    }
+    res.json({ message: 'Collection updated', game, collection_statuses: COLLECTION_STATUSES.filter(s => statuses.includes(s)) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove game from user's collection (every status)
 router.delete('/user/:user_id/game/:game_id', async (req, res) => {
   try {
     // Use verified user_id from token
@@ -134,8 +197,8 @@ router.post('/user/:user_id/import-bgg-collection', validateAuth0UserId('user_id
     try {
       // Make both API calls in parallel instead of sequentially for better performance
       const [baseGames, expansions] = await Promise.all([
-        bggService.getUserCollection(bgg_username.trim(), 'boardgame'),
-        bggService.getUserCollection(bgg_username.trim(), 'boardgameexpansion')
+        bggService.getUserCollection(bgg_username.trim(), 'boardgame', { ownedOnly: false }),
+        bggService.getUserCollection(bgg_username.trim(), 'boardgameexpansion', { ownedOnly: false })
       ]);
       
       console.log(`BGG base games fetched: ${baseGames.length} games found`);
@@ -155,17 +218,25 @@ router.post('/user/:user_id/import-bgg-collection', validateAuth0UserId('user_id
       return res.json({ 
         message: 'No games found in your BGG collection',
         imported: 0,
+        updated: 0,
         skipped: 0,
         total: 0
       });
     }
 
     let imported = 0;
+    let updated = 0;
     let skipped = 0;
+    const byStatus = Object.fromEntries(COLLECTION_STATUSES.map(status => [status, 0]));
     const errors = [];
 
     // Import each game
     for (const item of collection) {
+      // Rated or logged on BGG but not in any collection list we track
+      if (!item.statuses || item.statuses.length === 0) {
+        skipped++;
+        continue;
+      }
       try {
         // Check if game already exists in our database
         let game = await Game.findOne({ where: { bgg_id: item.bgg_id } });
@@ -184,21 +255,29 @@ router.post('/user/:user_id/import-bgg-collection', validateAuth0UserId('user_id
             description: gameData.description,
             image_url: gameData.image_url,
             thumbnail_url: gameData.thumbnail_url,
-            is_custom: false
+            is_custom: false,
+            is_expansion: gameData.is_expansion
           });
+          await linkFromBgg(game, gameData);
         }
 
-        // Add to user's collection (findOrCreate to avoid duplicates)
+        // Add to user's collection (findOrCreate to avoid duplicates); BGG's
+        // statuses replace ours for games it knows about
+        const flags = flagsFor(item.statuses);
         const [userGame, created] = await UserGame.findOrCreate({
           where: { user_id: user.id, game_id: game.id },
-          defaults: { user_id: user.id, game_id: game.id }
+          defaults: { user_id: user.id, game_id: game.id, ...flags }
         });
 
         if (created) {
           imported++;
+        } else if (COLLECTION_STATUSES.some(status => userGame[status] !== flags[status])) {
+          await userGame.update(flags);
+          updated++;
         } else {
           skipped++;
         }
+        for (const status of item.statuses) byStatus[status]++;
       } catch (error) {
         console.error(`Error importing game ${item.bgg_id}:`, error.message);
         errors.push({ bgg_id: item.bgg_id, name: item.name, error: error.message });
@@ -208,8 +287,10 @@ router.post('/user/:user_id/import-bgg-collection', validateAuth0UserId('user_id
     res.json({
       message: `Imported ${imported} games from your BGG collection`,
       imported,
+      updated,
       skipped,
       total: collection.length,
+      by_status: byStatus,
       errors: errors.length > 0 ? errors : undefined
     });
   } catch (error) {
@@ -220,6 +301,96 @@ router.post('/user/:user_id/import-bgg-collection', validateAuth0UserId('user_id
   }
 });
 
+// ============================================
+// Won't-play list: games the user never wants suggested
+// (services/suggestionService.js leaves them out)
+// ============================================
+
+// Get the user's won't-play games
+router.get('/user/:user_id/wont-play', validateAuth0UserId('user_id'), async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    if (req.params.user_id !== userId) {
+      return res.status(403).json({ error: 'Forbidden: Cannot access other users\' preferences' });
+    }
+
+    const user = await User.findOne({ where: { user_id: userId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const rows = await UserWontPlay.findAll({
+      where: { user_id: user.id },
+      include: [{ model: Game, attributes: ['id', 'name', 'thumbnail_url'], required: true }],
+      order: [[Game, 'name', 'ASC']],
+    });
+
+    res.json(rows.map(row => row.Game));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark a game as won't-play
+router.put('/user/:user_id/wont-play/:game_id', validateAuth0UserId('user_id'), validateUUID('game_id'), async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    if (req.params.user_id !== userId) {
+      return res.status(403).json({ error: 'Forbidden: Cannot modify other users\' preferences' });
+    }
+
+    const user = await User.findOne({ where: { user_id: userId } });
+    const game = await Game.findByPk(req.params.game_id, { attributes: ['id', 'name', 'thumbnail_url'] });
+    if (!user || !game) {
+      return res.status(404).json({ error: 'User or Game not found' });
+    }
+
+    const [, created] = await UserWontPlay.findOrCreate({
+      where: { user_id: user.id, game_id: game.id },
+      defaults: { user_id: user.id, game_id: game.id },
+    });
+
+    res.status(created ? 201 : 200).json({ message: `${game.name} won't be suggested to you`, game });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a game from the won't-play list
+router.delete('/user/:user_id/wont-play/:game_id', validateAuth0UserId('user_id'), validateUUID('game_id'), async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    if (req.params.user_id !== userId) {
+      return res.status(403).json({ error: 'Forbidden: Cannot modify other users\' preferences' });
+    }
+
+    const user = await User.findOne({ where: { user_id: userId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const removed = await UserWontPlay.destroy({
+      where: { user_id: user.id, game_id: req.params.game_id },
+    });
+    if (removed === 0) {
+      return res.status(404).json({ error: 'Game not found in your won\'t-play list' });
+    }
+
+    res.json({ message: 'Game removed from your won\'t-play list' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
 
 
@@ -6,6 +6,7 @@ const { validateUserSearch } = require('../middleware/validators');
 const { writeOperationLimiter } = require('../middleware/rateLimiter');
 const auth0Service = require('../services/auth0Service');
 const smsService = require('../services/smsService');
+const icsCalendarService = require('../services/icsCalendarService');
 
 // Sentry SDK is initialized in server.js when SENTRY_DSN is set. Use a defensive
 // require so dev / test envs without the DSN don't blow up — addBreadcrumb /
@@ -484,7 +485,7 @@ router.patch('/:user_id/notification-preferences', async (req, res) => {
     }
 
     // Validate shape: each key must have boolean email/sms values
-    const validTypes = ['event_created', 'reminder', 'event_updated', 'event_cancelled'];
+    const validTypes = ['event_created', 'reminder', 'event_updated', 'event_cancelled', 'waitlist_promoted'];
     for (const [type, channels] of Object.entries(preferences)) {
       if (!validTypes.includes(type)) {
         return res.status(400).json({ error: `Unknown notification type: ${type}` });
@@ -590,6 +591,73 @@ router.patch('/:user_id/timezone', writeOperationLimiter, async (req, res) => {
   }
 });
 
+// Register an ICS calendar URL (iCloud, Outlook.com, webcal://...) whose busy
+// times feed availability. The calendar is downloaded once here so a typo or
+// a private URL is caught now rather than silently ignored on every render.
+router.put('/:user_id/ics-calendar', writeOperationLimiter, async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (req.params.user_id !== userId) {
+      return res.status(403).json({ error: 'Forbidden: Cannot update other users\' calendars' });
+    }
+
+    const { url } = req.body;
+    if (!url || typeof url !== 'string' || url.trim().length === 0 || url.length > 2000) {
+      return res.status(400).json({ error: 'url is required and must be at most 2000 characters' });
+    }
+
+    const user = await User.findOne({ where: { user_id: userId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    let normalizedUrl;
+    try {
+      normalizedUrl = await icsCalendarService.validateCalendarUrl(url);
+      const now = new Date();
+      await icsCalendarService.getBusyTimesForUrl(normalizedUrl, now, now, user.timezone || 'UTC');
+    } catch (error) {
+      if (error instanceof icsCalendarService.IcsCalendarError) {
+        return res.status(400).json({ error: error.message, ...error.details });
+      }
+      throw error;
+    }
+
+    await user.update({ ics_calendar_url: normalizedUrl });
+    res.json({ ics_calendar_url: user.ics_calendar_url });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stop reading busy times from the registered ICS calendar
+router.delete('/:user_id/ics-calendar', writeOperationLimiter, async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (req.params.user_id !== userId) {
+      return res.status(403).json({ error: 'Forbidden: Cannot update other users\' calendars' });
+    }
+
+    const user = await User.findOne({ where: { user_id: userId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await user.update({ ics_calendar_url: null });
+    res.json({ ics_calendar_url: null });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Save phone number and initiate Twilio Verify verification
 router.post('/:user_id/phone', async (req, res) => {
   try {
@@ -1,12 +1,15 @@
 // routes/webhooks.js
-// Webhook handlers for external service callbacks (Resend delivery events, Twilio inbound SMS)
+// Webhook handlers for external service callbacks (Resend delivery events, Twilio inbound SMS,
+// Google Calendar push notifications)
 const express = require('express');
 const crypto = require('crypto');
 const twilio = require('twilio');
 const { Op } = require('sequelize');
 const router = express.Router();
-const { EmailMetrics, User, Event, EventRsvp, SentNotification, Game } = require('../models');
+const { EmailMetrics, User, Event, SentNotification, Game, Venue } = require('../models');
 const { parseReply } = require('../services/smsReplyParser');
+const rsvpWaitlistService = require('../services/rsvpWaitlistService');
+const gcalWatchService = require('../services/gcalWatchService');
 const { smsInboundLimiter } = require('../middleware/rateLimiter');
 
 /**
@@ -203,6 +206,33 @@ function maskEmail(email) {
   }
 }
 
+// ============================================================
+// Google Calendar Push Notifications
+// ============================================================
+
+/**
+ * Handle a Google Calendar watch-channel notification.
+ * Google sends the channel id, our channel token and the resource state in
+ * X-Goog-* headers with an empty body; any non-2xx makes it retry with
+ * backoff, so unknown (stopped or replaced) channels are acknowledged.
+ *
+ * POST /api/webhooks/google-calendar
+ */
+router.post('/google-calendar', async (req, res) => {
+  try {
+    const { status } = await gcalWatchService.handleNotification(req.headers);
+    if (status === 'unauthorized') {
+      console.warn(`[Webhooks] Google Calendar notification with a bad token for channel ${req.headers['x-goog-channel-id']}`);
+      return res.status(401).json({ error: 'Invalid channel token' });
+    }
+
+    res.status(200).json({ received: true, status });
+  } catch (error) {
+    console.error('[Webhooks] Google Calendar notification error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================================
 // Twilio Inbound SMS Webhook
 // ============================================================
@@ -266,7 +296,10 @@ router.post('/twilio/sms', smsInboundLimiter, twilioWebhookValidation, async (re
       include: [{
         model: Event,
         where: { status: { [Op.ne]: 'cancelled' } },
-        include: [{ model: Game, attributes: ['name'] }],
+        include: [
+          { model: Game, attributes: ['name', 'max_players'] },
+          { model: Venue, attributes: ['capacity'] },
+        ],
         required: true,
       }],
       order: [['sent_at', 'DESC']],
@@ -285,28 +318,33 @@ router.post('/twilio/sms', smsInboundLimiter, twilioWebhookValidation, async (re
       return res.type('text/xml').send(twiml.toString());
     }
 
-    // 4. RSVP upsert (matching existing pattern from routes/rsvp.js)
-    const existing = await EventRsvp.findOne({
-      where: { event_id: notification.Event.id, user_id: user.user_id },
+    // 4. RSVP upsert (same as routes/rsvp.js). A 'yes' past capacity lands
+    // on the waitlist instead.
+    const { oldStatus, status: resolvedStatus } = await rsvpWaitlistService.saveRsvp({
+      event: notification.Event,
+      userId: user.user_id,
+      requestedStatus: parsed.status,
     });
 
-    if (existing) {
-      await existing.update({ status: parsed.status });
-    } else {
-      await EventRsvp.create({
-        event_id: notification.Event.id,
-        user_id: user.user_id,
-        status: parsed.status,
-      });
+    // Giving up a seat promotes the next waitlisted RSVP. Fire-and-forget.
+    if (oldStatus === 'yes' && resolvedStatus !== 'yes') {
+      rsvpWaitlistService.promoteFromWaitlist(notification.Event.id).catch((err) =>
+        console.error('[Webhooks] Waitlist promotion error (non-fatal):', err.message)
+      );
     }
 
     // 5. Build confirmation TwiML. No link — game name + date in the body is
     // enough verification, and the original SMS the user replied to already
     // carries the event-detail link if they want to navigate there.
-    const statusLabel = parsed.status.charAt(0).toUpperCase() + parsed.status.slice(1);
     const eventName = notification.Event.Game ? notification.Event.Game.name : 'Game Night';
     const dateStr = eventDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
 
+    if (resolvedStatus === 'waitlist') {
+      twiml.message(`${eventName} (${dateStr}) is full - you're on the waitlist. We'll let you know if a seat opens up.`);
+      return res.type('text/xml').send(twiml.toString());
+    }
+
+    const statusLabel = resolvedStatus.charAt(0).toUpperCase() + resolvedStatus.slice(1);
     twiml.message(`RSVP recorded: ${statusLabel} for ${eventName} (${dateStr}).`);
     return res.type('text/xml').send(twiml.toString());
 
@@ -0,0 +1,38 @@
+// schedulers/gcalWatchScheduler.js
+// Renews Google Calendar watch channels before they expire and opens them for
+// connected members who have none (services/gcalWatchService.js)
+const cron = require('node-cron');
+const { renewExpiringChannels } = require('../services/gcalWatchService');
+const { recordRun } = require('../services/schedulerHealthService');
+
+// Check interval - default hourly at :20, configurable via env. Channels are
+// renewed a day ahead, so a few missed runs never let one lapse.
+const GCAL_WATCH_INTERVAL = process.env.GCAL_WATCH_INTERVAL || '20 * * * *';
+
+/**
+ * One renewal pass.
+ * @returns {Promise<{ sent: number, skipped: number }>}
+ */
+async function processGcalWatchRenewal() {
+  const result = await renewExpiringChannels();
+  console.log(`[gcalWatchScheduler] Opened ${result.sent} channels (${result.skipped} skipped)`);
+  // sent = channels opened (the generic produced-output metric used by the anomaly detector).
+  return result;
+}
+
+const gcalWatchJob = cron.schedule(GCAL_WATCH_INTERVAL, async () => {
+  console.log(`[${new Date().toISOString()}] Running Google Calendar watch renewal...`);
+  try {
+    await recordRun('gcal_watch', () => processGcalWatchRenewal());
+  } catch (error) {
+    console.error('Google Calendar watch scheduler error:', error);
+  }
+}, {
+  scheduled: false, // Don't start automatically - server.js will start it
+  timezone: 'UTC',
+});
+
+module.exports = {
+  gcalWatchJob,
+  processGcalWatchRenewal, // Export for testing
+};
@@ -0,0 +1,35 @@
+// schedulers/recommendationScheduler.js
+// Nightly rebuild of group taste similarity for discover recommendations
+const cron = require('node-cron');
+const { rebuildSimilarities } = require('../services/recommendationService');
+const { recordRun } = require('../services/schedulerHealthService');
+
+// Check interval - default daily at 4am UTC, configurable via env
+const RECOMMENDATION_REBUILD_INTERVAL = process.env.RECOMMENDATION_REBUILD_INTERVAL || '0 4 * * *';
+
+/**
+ * Recompute every group's nearest neighbours.
+ * @returns {Promise<{ sent: number, skipped: number }>}
+ */
+async function processSimilarityRebuild() {
+  const { pairs } = await rebuildSimilarities();
+  // sent = neighbour pairs stored (the generic produced-output metric used by the anomaly detector).
+  return { sent: pairs, skipped: 0 };
+}
+
+const recommendationJob = cron.schedule(RECOMMENDATION_REBUILD_INTERVAL, async () => {
+  console.log(`[${new Date().toISOString()}] Running group similarity rebuild...`);
+  try {
+    await recordRun('recommendations', () => processSimilarityRebuild());
+  } catch (error) {
+    console.error('Recommendation scheduler error:', error);
+  }
+}, {
+  scheduled: false, // Don't start automatically - server.js will start it
+  timezone: 'UTC',
+});
+
+module.exports = {
+  recommendationJob,
+  processSimilarityRebuild, // Export for testing
+};
@@ -1,10 +1,11 @@
 // schedulers/reminderScheduler.js
 // SMS reminder scheduler for upcoming events
 const cron = require('node-cron');
-const { Event, EventRsvp, User, Game, Group } = require('../models');
+const { Event, EventRsvp, User, Game, Group, Venue } = require('../models');
 const { Op } = require('sequelize');
 const smsService = require('../services/smsService');
 const notificationService = require('../services/notificationService');
+const { resolveEventLocation } = require('../services/venueService');
 const { recordRun } = require('../services/schedulerHealthService');
 
 // Check interval - default every 5 minutes, configurable via env
@@ -70,6 +71,7 @@ async function processUpcomingReminders() {
     include: [
       { model: Game, attributes: ['name'] },
       { model: Group, attributes: ['id', 'name'] },
+      { model: Venue, attributes: ['name', 'address'] },
       {
         model: EventRsvp,
         where: {
@@ -98,6 +100,7 @@ async function processUpcomingReminders() {
     const eventName = event.Game ? event.Game.name : 'Game Night';
     const groupName = event.Group ? event.Group.name : 'your group';
     const groupId = event.Group ? event.Group.id : null;
+    const location = resolveEventLocation(event);
     const eventUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/groupHomePage?group_id=${groupId}`;
 
     for (const rsvp of event.EventRsvps) {
@@ -141,6 +144,7 @@ async function processUpcomingReminders() {
             groupName,
             timeUntil,
             eventUrl,
+            location,
             rsvpPrompt: true
           }
         });
@@ -0,0 +1,53 @@
+// schedulers/seriesScheduler.js
+// Keeps recurring event series materialized a rolling horizon ahead
+const cron = require('node-cron');
+const { EventSeries } = require('../models');
+const { generateOccurrences } = require('../services/eventSeriesService');
+const { recordRun } = require('../services/schedulerHealthService');
+
+// Check interval - default daily at 3am UTC, configurable via env
+const SERIES_GENERATION_INTERVAL = process.env.SERIES_GENERATION_INTERVAL || '0 3 * * *';
+
+/**
+ * Generate missing occurrences for every active series.
+ * One series failing never blocks the others.
+ * @returns {Promise<{ sent: number, skipped: number }>}
+ */
+async function processSeriesGeneration() {
+  const activeSeries = await EventSeries.findAll({ where: { status: 'active' } });
+
+  let createdCount = 0;
+  let skippedCount = 0;
+
+  for (const series of activeSeries) {
+    try {
+      const result = await generateOccurrences(series);
+      createdCount += result.created;
+      skippedCount += result.skipped;
+    } catch (error) {
+      console.error(`[seriesScheduler] Failed to generate occurrences for series ${series.id}:`, error.message);
+      skippedCount++;
+    }
+  }
+
+  console.log(`[seriesScheduler] Created ${createdCount} occurrences across ${activeSeries.length} series`);
+  // sent = occurrences created (the generic produced-output metric used by the anomaly detector).
+  return { sent: createdCount, skipped: skippedCount };
+}
+
+const seriesJob = cron.schedule(SERIES_GENERATION_INTERVAL, async () => {
+  console.log(`[${new Date().toISOString()}] Running series generation...`);
+  try {
+    await recordRun('series', () => processSeriesGeneration());
+  } catch (error) {
+    console.error('Series scheduler error:', error);
+  }
+}, {
+  scheduled: false, // Don't start automatically - server.js will start it
+  timezone: 'UTC',
+});
+
+module.exports = {
+  seriesJob,
+  processSeriesGeneration, // Export for testing
+};
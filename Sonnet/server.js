@@ -49,6 +49,7 @@ const gameReviewRoutes = require('./routes/gameReviews');
 const userGameRoutes = require('./routes/userGames');
 const feedbackRoutes = require('./routes/feedback');
 const googleAuthRoutes = require('./routes/googleAuth');
+const microsoftAuthRoutes = require('./routes/microsoftAuth');
 const availabilityRoutes = require('./routes/availability');
 const webhooksRoutes = require('./routes/webhooks');
 const magicAuthRoutes = require('./routes/magicAuth');
@@ -65,6 +66,16 @@ const rsvpRoutes = require('./routes/rsvp');
 const eventBringRoutes = require('./routes/eventBrings');
 const ballotRoutes = require('./routes/ballot');
 const suggestionRoutes = require('./routes/suggestions');
+const eventSeriesRoutes = require('./routes/eventSeries');
+const calendarFeedRoutes = require('./routes/calendarFeeds');
+const groupVenueRoutes = require('./routes/groupVenues');
+const groupHostRotationRoutes = require('./routes/groupHostRotation');
+const groupRatingRoutes = require('./routes/groupRatings');
+const groupStatsRoutes = require('./routes/groupStats');
+const groupExportRoutes = require('./routes/groupExport');
+const groupBggImportRoutes = require('./routes/groupBggImport');
+const groupAchievementRoutes = require('./routes/groupAchievements');
+const groupScoringRoutes = require('./routes/groupScoring');
 
 // Scheduler for deadline-based auto-scheduling
 const { deadlineJob } = require('./schedulers/deadlineScheduler');
@@ -72,6 +83,12 @@ const { deadlineJob } = require('./schedulers/deadlineScheduler');
 const { autoPromotionJob } = require('./schedulers/autoPromotionScheduler');
 // Scheduler for SMS reminders before upcoming events
 const { reminderJob } = require('./schedulers/reminderScheduler');
+// Scheduler for topping up recurring event series occurrences
+const { seriesJob } = require('./schedulers/seriesScheduler');
+// Scheduler for rebuilding group similarity (discover recommendations)
+const { recommendationJob } = require('./schedulers/recommendationScheduler');
+// Scheduler for renewing Google Calendar push-notification channels
+const { gcalWatchJob } = require('./schedulers/gcalWatchScheduler');
 
 const app = express();
 const PORT = process.env.PORT || 4000;
@@ -185,9 +202,12 @@ app.use((req, res, next) => {
     '/api/auth/google/url', // Google auth URL generation (requires auth)
     '/api/auth/google/disconnect', // Google disconnect (requires auth)
     '/api/auth/google/refresh', // Token refresh (requires auth)
+    '/api/auth/microsoft/url', // Microsoft auth URL generation (requires auth)
+    '/api/auth/microsoft/disconnect', // Microsoft disconnect (requires auth)
     '/api/users',
     '/api/groups',
     '/api/events',
+    '/api/event-series',
     '/api/availability',
     '/api/lists',
     '/api/game-reviews',
@@ -199,6 +219,7 @@ app.use((req, res, next) => {
   // Exclude public routes that don't require auth
   const publicRoutes = [
     '/api/auth/google/callback', // Google OAuth callback (public - Google redirects to it)
+    '/api/auth/microsoft/callback', // Microsoft OAuth callback (public - Microsoft redirects to it)
     '/api/games', // Game search is public
     '/api/feedback', // Feedback is public (or optional auth)
     '/health', // Health check is public
@@ -261,6 +282,14 @@ const conditionalGroupAuth = (req, res, next) => {
 };
 app.use('/api/groups', writeOperationLimiter, conditionalGroupAuth, groupRoutes);
 app.use('/api/groups', writeOperationLimiter, verifyAuth0Token, groupPromptSettingsRoutes);
+app.use('/api/groups', writeOperationLimiter, verifyAuth0Token, groupVenueRoutes);
+app.use('/api/groups', writeOperationLimiter, verifyAuth0Token, groupHostRotationRoutes);
+app.use('/api/groups', writeOperationLimiter, verifyAuth0Token, groupRatingRoutes);
+app.use('/api/groups', writeOperationLimiter, verifyAuth0Token, groupStatsRoutes);
+app.use('/api/groups', writeOperationLimiter, verifyAuth0Token, groupExportRoutes);
+app.use('/api/groups', writeOperationLimiter, verifyAuth0Token, groupBggImportRoutes);
+app.use('/api/groups', writeOperationLimiter, verifyAuth0Token, groupAchievementRoutes);
+app.use('/api/groups', writeOperationLimiter, verifyAuth0Token, groupScoringRoutes);
 // Events: public QR invite preview, auth for everything else
 const conditionalEventAuth = (req, res, next) => {
   if (req.method === 'GET' && req.path.match(/^\/invite-preview\//)) return next();
@@ -270,18 +299,21 @@ app.use('/api/events', writeOperationLimiter, conditionalEventAuth, eventRoutes)
 app.use('/api/lists', verifyAuth0Token, listRoutes);
 app.use('/api/game-reviews', writeOperationLimiter, verifyAuth0Token, gameReviewRoutes);
 app.use('/api/user-games', writeOperationLimiter, verifyAuth0Token, userGameRoutes);
-// Google Auth routes - callback is public (Google redirects to it), others require auth
-// Conditional middleware: skip auth for callback route
+// Google and Microsoft Auth routes - callbacks are public (the provider redirects to them), others require auth
+// Conditional middleware: skip auth for callback routes
 const conditionalAuth = (req, res, next) => {
-  // Skip auth for callback route (Google redirects to it without auth header)
+  // Skip auth for callback routes (the provider redirects to them without auth header)
   // req.path will be '/google/callback' when router is mounted at '/api/auth'
   if (req.path === '/google/callback' || req.originalUrl.includes('/google/callback')) {
     return next();
   }
+  if (req.path === '/microsoft/callback' || req.originalUrl.includes('/microsoft/callback')) {
+    return next();
+  }
   // Apply auth for all other routes
   return verifyAuth0Token(req, res, next);
 };
-app.use('/api/auth', authLimiter, conditionalAuth, googleAuthRoutes);
+app.use('/api/auth', authLimiter, conditionalAuth, googleAuthRoutes, microsoftAuthRoutes);
 app.use('/api/availability', writeOperationLimiter, verifyAuth0Token, availabilityRoutes);
 // Availability suggestion routes (protected by Auth0 in the route handlers)
 app.use('/api', writeOperationLimiter, availabilitySuggestionRoutes);
@@ -303,6 +335,14 @@ app.use('/api/friendships', writeOperationLimiter, verifyAuth0Token, friendshipR
 app.use('/api/ballot', writeOperationLimiter, verifyAuth0Token, ballotRoutes);
 // Suggestion routes (smart game suggestions based on group collections)
 app.use('/api/suggestions', verifyAuth0Token, suggestionRoutes);
+// Recurring game-night series (occurrences are regular events)
+app.use('/api/event-series', writeOperationLimiter, verifyAuth0Token, eventSeriesRoutes);
+// Subscribable ICS feeds: GET /:token.ics is public (calendar clients send no auth), the rest require auth
+const conditionalCalendarFeedAuth = (req, res, next) => {
+  if (req.method === 'GET' && req.path.match(/^\/[a-f0-9]+\.ics$/)) return next();
+  return verifyAuth0Token(req, res, next);
+};
+app.use('/api/calendar-feeds', writeOperationLimiter, conditionalCalendarFeedAuth, calendarFeedRoutes);
 // RSVP routes moved to public section above (per-route auth inside rsvp.js)
 
 // Health check
@@ -443,6 +483,36 @@ const startServer = async () => {
         }
       }
 
+      // Start series scheduler (materializes recurring event occurrences ahead of time)
+      if (process.env.NODE_ENV === 'production' || process.env.ENABLE_SCHEDULER === 'true') {
+        try {
+          seriesJob.start();
+          console.log('Series scheduler started (daily, 3am UTC)');
+        } catch (err) {
+          console.error('Series scheduler failed to start:', err.message);
+        }
+      }
+
+      // Start recommendation scheduler (precomputes group similarity for discover)
+      if (process.env.NODE_ENV === 'production' || process.env.ENABLE_SCHEDULER === 'true') {
+        try {
+          recommendationJob.start();
+          console.log('Recommendation scheduler started (daily, 4am UTC)');
+        } catch (err) {
+          console.error('Recommendation scheduler failed to start:', err.message);
+        }
+      }
+
+      // Start Google Calendar watch scheduler (renews push-notification channels)
+      if (process.env.NODE_ENV === 'production' || process.env.ENABLE_SCHEDULER === 'true') {
+        try {
+          gcalWatchJob.start();
+          console.log('Google Calendar watch scheduler started (hourly)');
+        } catch (err) {
+          console.error('Google Calendar watch scheduler failed to start:', err.message);
+        }
+      }
+
       // Start BullMQ workers (only in production or if explicitly enabled)
       if (process.env.NODE_ENV === 'production' || process.env.ENABLE_WORKERS === 'true') {
         try {
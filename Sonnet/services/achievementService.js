@@ -0,0 +1,315 @@
+// services/achievementService.js
+// Game-night achievements: badges a member earns within a group.
+//
+// Each badge is a threshold on one per-member stat. Stats are SQL aggregates
+// over the same data the stats dashboard uses (completed events that already
+// happened), plus the member's reviews in the group and their game library.
+// "Won" has the groupStatsService meaning: placement 1, or being the
+// event's winner when no placements were recorded.
+//
+// Awards are recorded once in UserAchievements and never revoked.
+//
+// ID note: user ids here are User.id (UUID), as in EventParticipation.
+
+const { QueryTypes, Op } = require('sequelize');
+const { sequelize, Event, EventParticipation, User, UserAchievement, Group, Game } = require('../models');
+const { WON_SQL } = require('./groupStatsService');
+
+// Games heavier than this on BGG's 1-5 weight scale count as "heavy"
+const HEAVY_WEIGHT = 3.5;
+
+// Display order is list order
+const ACHIEVEMENTS = [
+  { key: 'first_game', name: 'First Roll', description: 'Play your first game with the group', stat: 'plays', target: 1 },
+  { key: 'regular', name: 'Regular', description: 'Play 25 games with the group', stat: 'plays', target: 25 },
+  { key: 'veteran', name: 'Veteran', description: 'Play 100 games with the group', stat: 'plays', target: 100 },
+  { key: 'explorer', name: 'Explorer', description: 'Play 10 different games', stat: 'distinct_games', target: 10 },
+  { key: 'connoisseur', name: 'Connoisseur', description: 'Play 25 different games', stat: 'distinct_games', target: 25 },
+  { key: 'quick_learner', name: 'Quick Learner', description: 'Learn 10 games you had never played', stat: 'new_game_plays', target: 10 },
+  { key: 'first_win', name: 'Winner Winner', description: 'Win your first game', stat: 'wins', target: 1 },
+  { key: 'champion', name: 'Champion', description: 'Win 25 games', stat: 'wins', target: 25 },
+  { key: 'beginners_luck', name: 'Beginner\'s Luck', description: 'Win a game the first time you play it', stat: 'beginner_wins', target: 1 },
+  { key: 'heavyweight', name: 'Heavyweight', description: `Win a heavy game (weight above ${HEAVY_WEIGHT})`, stat: 'heavy_wins', target: 1 },
+  { key: 'host', name: 'Host with the Most', description: 'Host 5 game nights', stat: 'nights_hosted', target: 5 },
+  { key: 'critic', name: 'Critic', description: 'Review 5 games for the group', stat: 'reviews', target: 5 },
+  { key: 'collector', name: 'Collector', description: 'Own 50 games', stat: 'games_owned', target: 50 },
+];
+
+const STATS = ['plays', 'distinct_games', 'new_game_plays', 'wins', 'beginner_wins', 'heavy_wins', 'nights_hosted', 'reviews', 'games_owned'];
+
+const toInt = (v) => (v === null || v === undefined ? 0 : parseInt(v, 10));
+
+const emptyStats = () => Object.fromEntries(STATS.map(s => [s, 0]));
+
+/**
+ * Badge stats for members of a group.
+ * @param {string} groupId
+ * @param {string[]} userIds - User.id values
+ * @returns {Promise<Map<string, Object>>} userId -> { plays, wins, ... }
+ */
+async function getMemberStats(groupId, userIds) {
+  const stats = new Map(userIds.map(id => [id, emptyStats()]));
+  if (userIds.length === 0) return stats;
+
+  const replacements = { groupId, userIds, heavy: HEAVY_WEIGHT };
+  const select = (sql) => sequelize.query(sql, { replacements, type: QueryTypes.SELECT });
+  const played = `e.group_id = :groupId AND e.status = 'completed' AND e.start_date <= NOW()`;
+
+  const [playRows, hostRows, reviewRows, libraryRows] = await Promise.all([
+    select(`
+      SELECT ep.user_id,
+             COUNT(*) AS plays,
+             COUNT(DISTINCT e.game_id) AS distinct_games,
+             SUM(CASE WHEN ep.is_new_player THEN 1 ELSE 0 END) AS new_game_plays,
+             SUM(CASE WHEN ${WON_SQL} THEN 1 ELSE 0 END) AS wins,
+             SUM(CASE WHEN ${WON_SQL} AND ep.is_new_player THEN 1 ELSE 0 END) AS beginner_wins,
+             SUM(CASE WHEN ${WON_SQL} AND g.weight > :heavy THEN 1 ELSE 0 END) AS heavy_wins
+        FROM "EventParticipations" ep
+        JOIN "Events" e ON e.id = ep.event_id
+        LEFT JOIN "Games" g ON g.id = e.game_id
+       WHERE ${played} AND ep.user_id IN (:userIds)
+       GROUP BY ep.user_id`),
+    select(`
+      SELECT e.host_user_id AS user_id, COUNT(*) AS nights_hosted
+        FROM "Events" e
+       WHERE ${played} AND e.host_user_id IN (:userIds)
+       GROUP BY e.host_user_id`),
+    select(`
+      SELECT r.user_id, COUNT(*) AS reviews
+        FROM "GameReviews" r
+       WHERE r.group_id = :groupId AND r.user_id IN (:userIds)
+       GROUP BY r.user_id`),
+    select(`
+      SELECT ug.user_id, COUNT(*) AS games_owned
+        FROM "UserGames" ug
+       WHERE ug.user_id IN (:userIds) AND ug.owned
+       GROUP BY ug.user_id`),
+  ]);
+
+  for (const rows of [playRows, hostRows, reviewRows, libraryRows]) {
+    for (const row of rows) {
+      const entry = stats.get(row.user_id);
+      if (!entry) continue;
+      for (const stat of STATS) {
+        if (row[stat] !== undefined) entry[stat] = toInt(row[stat]);
+      }
+    }
+  }
+  return stats;
+}
+
+/**
+ * Badges a member's stats qualify for.
+ * @param {Object} stats - from getMemberStats
+ * @returns {Object[]} ACHIEVEMENTS entries
+ */
+function qualifyingAchievements(stats) {
+  return ACHIEVEMENTS.filter(a => (stats[a.stat] || 0) >= a.target);
+}
+
+/**
+ * Award any badges the given members now qualify for.
+ * @param {string} groupId
+ * @param {string[]} userIds - User.id values
+ * @param {Object} [options]
+ * @param {string} [options.eventId] - event that triggered the check
+ * @returns {Promise<Array<{ user_id: string, achievement: Object }>>} newly earned
+ */
+async function evaluateAchievements(groupId, userIds, { eventId = null } = {}) {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (ids.length === 0) return [];
+
+  const [stats, existing] = await Promise.all([
+    getMemberStats(groupId, ids),
+    UserAchievement.findAll({
+      where: { group_id: groupId, user_id: { [Op.in]: ids } },
+      attributes: ['user_id', 'achievement_key'],
+    }),
+  ]);
+  const have = new Set(existing.map(a => `${a.user_id}|${a.achievement_key}`));
+
+  const earned = [];
+  for (const [userId, userStats] of stats) {
+    for (const achievement of qualifyingAchievements(userStats)) {
+      if (!have.has(`${userId}|${achievement.key}`)) {
+        earned.push({ user_id: userId, achievement });
+      }
+    }
+  }
+  if (earned.length === 0) return [];
+
+  const now = new Date();
+  // ignoreDuplicates: a concurrent evaluation may have awarded the same badge
+  await UserAchievement.bulkCreate(earned.map(e => ({
+    group_id: groupId,
+    user_id: e.user_id,
+    achievement_key: e.achievement.key,
+    event_id: eventId,
+    earned_at: now,
+  })), { ignoreDuplicates: true });
+
+  return earned;
+}
+
+/**
+ * Every badge with its earned state and progress for one member.
+ * @param {string} groupId
+ * @param {string} userId - User.id
+ * @returns {Promise<{ earned: Object[], unearned: Object[], stats: Object }>}
+ */
+async function getUserAchievements(groupId, userId) {
+  const [statsByUser, rows] = await Promise.all([
+    getMemberStats(groupId, [userId]),
+    UserAchievement.findAll({
+      where: { group_id: groupId, user_id: userId },
+      attributes: ['achievement_key', 'earned_at', 'event_id'],
+    }),
+  ]);
+  const stats = statsByUser.get(userId) || emptyStats();
+  const awarded = new Map(rows.map(r => [r.achievement_key, r]));
+
+  const earned = [];
+  const unearned = [];
+  for (const a of ACHIEVEMENTS) {
+    const current = stats[a.stat] || 0;
+    const badge = {
+      key: a.key,
+      name: a.name,
+      description: a.description,
+      progress: { current: Math.min(current, a.target), target: a.target },
+    };
+    const row = awarded.get(a.key);
+    if (row) {
+      earned.push({ ...badge, earned_at: row.earned_at, event_id: row.event_id });
+    } else {
+      unearned.push(badge);
+    }
+  }
+  return { earned, unearned, stats };
+}
+
+/**
+ * Tell a member about badges they just earned. Never throws.
+ * @param {Object} user - User instance
+ * @param {Object[]} achievements - ACHIEVEMENTS entries
+ * @param {Object} context - { groupId, groupName, eventId }
+ */
+async function notifyEarned(user, achievements, { groupId, groupName, eventId }) {
+  try {
+    // Lazy require: notificationService pulls in email + SMS clients.
+    const notificationService = require('./notificationService');
+    const emailService = require('./emailService');
+
+    const frontendUrl = process.env.FRONTEND_URL || process.env.AUTH0_BASE_URL || 'http://localhost:3000';
+    const achievementsUrl = `${frontendUrl}/groupDetail?group_id=${groupId}`;
+    const names = achievements.map(a => a.name);
+
+    let emailParams = null;
+    if (user.email) {
+      const { html, text } = emailService.generateAchievementEarnedEmailTemplate({
+        recipientName: user.username,
+        groupName,
+        achievements,
+        achievementsUrl,
+      });
+      emailParams = {
+        to: user.email,
+        subject: achievements.length === 1
+          ? `Badge unlocked: ${names[0]} - ${groupName}`
+          : `${achievements.length} badges unlocked - ${groupName}`,
+        html,
+        text,
+        groupName,
+      };
+    }
+
+    await notificationService.send(user, 'achievement_earned', {
+      emailParams,
+      eventId,
+      data: { achievementNames: names, groupName, achievementsUrl },
+    });
+  } catch (error) {
+    console.error(`[achievements] Notification failed for user=${user.user_id}:`, error.message);
+  }
+}
+
+/**
+ * Hook for a game night that has been played (completed, start in the past):
+ * evaluate its players and host, then announce new badges.
+ * Fire-and-forget -- never throws.
+ * @param {string} eventId
+ * @returns {Promise<Array<{ user_id: string, achievement: Object }>>}
+ */
+async function onEventCompleted(eventId) {
+  try {
+    const event = await Event.findByPk(eventId, {
+      attributes: ['id', 'group_id', 'status', 'start_date', 'host_user_id'],
+      include: [
+        { model: EventParticipation, attributes: ['user_id'] },
+        { model: Group, attributes: ['id', 'name'] },
+        { model: Game, attributes: ['name'] },
+      ],
+    });
+    if (!event || event.status !== 'completed' || new Date(event.start_date).getTime() > Date.now()) {
+      return [];
+    }
+
+    const userIds = [
+      ...(event.EventParticipations || []).map(p => p.user_id),
+      event.host_user_id,
+    ];
+    const earned = await evaluateAchievements(event.group_id, userIds, { eventId: event.id });
+    if (earned.length === 0) return [];
+
+    const byUser = new Map();
+    for (const e of earned) {
+      if (!byUser.has(e.user_id)) byUser.set(e.user_id, []);
+      byUser.get(e.user_id).push(e.achievement);
+    }
+    const users = await User.findAll({ where: { id: { [Op.in]: [...byUser.keys()] } } });
+    await Promise.allSettled(users.map(user => notifyEarned(user, byUser.get(user.id), {
+      groupId: event.group_id,
+      groupName: event.Group?.name || '',
+      eventId: event.id,
+    })));
+
+    return earned;
+  } catch (error) {
+    console.error(`[achievements] Evaluation failed for event ${eventId} (non-fatal):`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Award badges to every player in a group without announcing them -- used
+ * after bulk history imports so members aren't sent a notification per badge
+ * for games played years ago. Never throws.
+ * @param {string} groupId
+ * @returns {Promise<number>} badges awarded
+ */
+async function backfillGroup(groupId) {
+  try {
+    const players = await EventParticipation.findAll({
+      attributes: ['user_id'],
+      include: [{ model: Event, attributes: [], where: { group_id: groupId }, required: true }],
+      group: ['EventParticipation.user_id'],
+      raw: true,
+    });
+    const earned = await evaluateAchievements(groupId, players.map(p => p.user_id));
+    return earned.length;
+  } catch (error) {
+    console.error(`[achievements] Backfill failed for group ${groupId} (non-fatal):`, error.message);
+    return 0;
+  }
+}
+
+module.exports = {
+  ACHIEVEMENTS,
+  HEAVY_WEIGHT,
+  getMemberStats,
+  qualifyingAchievements,
+  evaluateAchievements,
+  getUserAchievements,
+  onEventCompleted,
+  backfillGroup,
+};
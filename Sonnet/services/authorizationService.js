@@ -146,6 +146,7 @@ const canReadEventScopedSurface = async (auth0UserId, eventId) => {
  * Omitted fields (per CONTEXT "PII stripping for game-only callers"):
  *   email, phone, calendar_connected, google_calendar_token,
  *   google_calendar_refresh_token, google_calendar_email,
+ *   microsoft_calendar_token, microsoft_calendar_refresh_token,
  *   notification_preferences
  *
  * Preserved fields (everything else, including):
@@ -170,6 +171,8 @@ const stripMemberPII = (memberRow) => {
     google_calendar_token,
     google_calendar_refresh_token,
     google_calendar_email,
+    microsoft_calendar_token,
+    microsoft_calendar_refresh_token,
     notification_preferences,
     ...safe
   } = json;
@@ -1,12 +1,19 @@
 // services/availabilityService.js
-// Service for calculating user availability by merging manual patterns and Google Calendar data
+// Service for calculating user availability by merging manual patterns and connected calendar
+// data -- Google Calendar or Outlook (services/calendarProviders.js) -- plus any
+// ICS calendar the user registered (services/icsCalendarService.js)
 
 const { UserAvailability, User } = require('../models');
-const googleCalendarService = require('./googleCalendarService');
+const calendarProviders = require('./calendarProviders');
+const icsCalendarService = require('./icsCalendarService');
 
-// Process-local cache for Google Calendar busy results. Same user reloading
-// the same week within ~30s skips the network round trip; concurrent fetches
+const { CALENDAR_USER_ATTRIBUTES } = calendarProviders;
+
+// Process-local cache for connected-calendar busy results. Same user reloading
+// the same week within ~60s skips the network round trip; concurrent fetches
 // for the same key share one in-flight promise instead of duplicating calls.
+// Members with a Google Calendar watch channel also get their entries dropped
+// as soon as Google reports a change (invalidateGcalBusyCache).
 const __gcalBusyCache = new Map(); // cacheKey -> { value, expiresAt } | { promise, expiresAt }
 const __GCAL_CACHE_TTL_MS = 60 * 1000;
 
@@ -24,7 +31,7 @@ async function getGcalBusyCached(user, startDate, endDate, timezone) {
     if (hit.promise) return hit.promise;
     return hit.value;
   }
-  const promise = googleCalendarService.getBusyTimesForDateRange(user, startDate, endDate, timezone)
+  const promise = calendarProviders.getBusyTimes(user, startDate, endDate, timezone)
     .then(value => {
       __gcalBusyCache.set(key, { value, expiresAt: Date.now() + __GCAL_CACHE_TTL_MS });
       return value;
@@ -37,6 +44,67 @@ async function getGcalBusyCached(user, startDate, endDate, timezone) {
   return promise;
 }
 
+// Members whose Google Calendar is watched (services/gcalWatchService.js) keep
+// their busy data until Google says it changed: invalidateGcalBusyCache drops
+// it, so poll re-scoring doesn't hit the calendar API on every response.
+// One UTC entry per member, widened to cover every range asked for; the max
+// age only guards against a notification lost while a channel lapsed.
+const __watchedBusyCache = new Map(); // userId -> { from, to, promise, expiresAt }
+const __WATCHED_CACHE_MAX_AGE_MS = 6 * 60 * 60 * 1000;
+const __BUSY_SLOT_MS = 30 * 60 * 1000;
+
+async function getWatchedGcalBusy(user, startDate, endDate) {
+  const from = startDate.getTime();
+  const to = endDate.getTime();
+  const now = Date.now();
+  let entry = __watchedBusyCache.get(user.user_id);
+  if (entry && entry.expiresAt <= now) entry = null;
+
+  if (!entry || entry.from > from || entry.to < to) {
+    const wideFrom = entry ? Math.min(entry.from, from) : from;
+    const wideTo = entry ? Math.max(entry.to, to) : to;
+    const fresh = { from: wideFrom, to: wideTo, expiresAt: now + __WATCHED_CACHE_MAX_AGE_MS };
+    fresh.promise = calendarProviders.getBusyTimes(user, new Date(wideFrom), new Date(wideTo), 'UTC')
+      .catch(err => {
+        if (__watchedBusyCache.get(user.user_id) === fresh) __watchedBusyCache.delete(user.user_id);
+        throw err;
+      });
+    __watchedBusyCache.set(user.user_id, fresh);
+    entry = fresh;
+  }
+
+  const busy = await entry.promise;
+  return busy.filter(b => {
+    const slotStart = Date.parse(`${b.date}T${b.startTime}:00Z`);
+    return slotStart < to && slotStart + __BUSY_SLOT_MS > from;
+  });
+}
+
+// Same cache for busy slots from a registered ICS calendar URL; the fetch
+// downloads the whole calendar, so repeat renders matter even more here.
+const __icsBusyCache = new Map();
+
+async function getIcsBusyCached(user, startDate, endDate, timezone) {
+  const key = `${user.ics_calendar_url}|${__gcalCacheKey(user.user_id, startDate, endDate, timezone)}`;
+  const now = Date.now();
+  const hit = __icsBusyCache.get(key);
+  if (hit && hit.expiresAt > now) {
+    if (hit.promise) return hit.promise;
+    return hit.value;
+  }
+  const promise = icsCalendarService.getBusyTimesForUrl(user.ics_calendar_url, startDate, endDate, timezone)
+    .then(value => {
+      __icsBusyCache.set(key, { value, expiresAt: Date.now() + __GCAL_CACHE_TTL_MS });
+      return value;
+    })
+    .catch(err => {
+      __icsBusyCache.delete(key);
+      throw err;
+    });
+  __icsBusyCache.set(key, { promise, expiresAt: now + __GCAL_CACHE_TTL_MS });
+  return promise;
+}
+
 /**
  * Validate an IANA timezone string.
  * @param {string} tz
@@ -106,6 +174,50 @@ function localToUtc(localDateStr, localHour, timezone) {
 }
 
 class AvailabilityService {
+  /**
+   * A member's connected-calendar (Google or Outlook) busy slots, through
+   * the in-process cache.
+   * @param {Object} user - User with calendar tokens
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @param {string} timezone
+   * @returns {Promise<Array<{date: string, startTime: string, endTime: string}>>}
+   */
+  getCachedGcalBusy(user, startDate, endDate, timezone = 'UTC') {
+    return getGcalBusyCached(user, startDate, endDate, timezone);
+  }
+
+  /**
+   * A watched member's Google Calendar busy slots (UTC), cached until a push
+   * notification invalidates them. Only for members with an open watch
+   * channel -- anyone else would never see their calendar changes.
+   * @param {Object} user - User with calendar tokens
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {Promise<Array<{date: string, startTime: string, endTime: string}>>}
+   */
+  getWatchedGcalBusy(user, startDate, endDate) {
+    return getWatchedGcalBusy(user, startDate, endDate);
+  }
+
+  /**
+   * Forget a member's cached Google Calendar busy results, e.g. when a push
+   * notification says their calendar changed (services/gcalWatchService.js).
+   * @param {string} userId - Auth0 user ID
+   * @returns {number} Number of cache entries dropped
+   */
+  invalidateGcalBusyCache(userId) {
+    let dropped = 0;
+    for (const key of __gcalBusyCache.keys()) {
+      if (key.startsWith(`${userId}|`)) {
+        __gcalBusyCache.delete(key);
+        dropped++;
+      }
+    }
+    if (__watchedBusyCache.delete(userId)) dropped++;
+    return dropped;
+  }
+
   /**
    * Generate all 30-minute time slots for a date range
    * @param {Date} startDate - Start date
@@ -310,14 +422,16 @@ class AvailabilityService {
 
   /**
    * Calculate user's availability for a date range
-   * Merges manual availability patterns with Google Calendar busy times
+   * Merges manual availability patterns with connected-calendar busy times
    * @param {Object} user - User object
    * @param {Date|string} startDate - Start date
    * @param {Date|string} endDate - End date
    * @param {string} timezone - Timezone string
+   * @param {Array} [preloadedGcalBusy] - Connected-calendar busy slots already fetched
+   * @param {Array} [preloadedIcsBusy] - ICS busy slots already computed (e.g. from an uploaded file)
    * @returns {Promise<Array>} Array of time slots with availability status
    */
-  async calculateUserAvailability(user, startDate, endDate, timezone = 'UTC', preloadedGcalBusy) {
+  async calculateUserAvailability(user, startDate, endDate, timezone = 'UTC', preloadedGcalBusy, preloadedIcsBusy) {
     try {
       // Generate all time slots for the date range
       const allSlots = this.generateTimeSlots(startDate, endDate, timezone);
@@ -365,7 +479,7 @@ class AvailabilityService {
         availabilityMap.set(`${slot.date}_${slot.startTime}`, {
           ...slot,
           isAvailable: defaultAvailability,
-          source: defaultAvailability ? 'default' : 'unavailable_by_default', // 'default', 'recurring_pattern', 'specific_override', 'google_calendar', 'unavailable_by_default'
+          source: defaultAvailability ? 'default' : 'unavailable_by_default', // 'default', 'recurring_pattern', 'specific_override', 'google_calendar', 'microsoft_calendar', 'ics_calendar', 'unavailable_by_default'
         });
       });
 
@@ -403,12 +517,15 @@ class AvailabilityService {
         }
       }
 
-      // If Google Calendar is enabled, use it as full availability override (gcal > recurring in priority)
-      // Free on calendar = available, busy on calendar = unavailable.
+      // If a calendar is connected (Google or Outlook), use it as full availability override
+      // (calendar > recurring in priority). Free on calendar = available, busy on calendar = unavailable.
       // Caller may pass `preloadedGcalBusy` (already-fetched busy slots) so we
       // don't fan out N parallel gcal calls when the parent already paid for
       // them; falls back to the cached helper otherwise.
-      if (user.google_calendar_enabled && user.google_calendar_token) {
+      let gcalApplied = false;
+      const calendarProvider = calendarProviders.getCalendarProvider(user);
+      if (calendarProvider) {
+        const calendarSource = `${calendarProvider.name}_calendar`;
         try {
           const busySlots = preloadedGcalBusy !== undefined
             ? preloadedGcalBusy
@@ -424,15 +541,47 @@ class AvailabilityService {
             if (slotData && slotData.source !== 'specific_override') {
               if (busyKeys.has(key)) {
                 slotData.isAvailable = false;
-                slotData.source = 'google_calendar';
+                slotData.source = calendarSource;
               } else {
                 slotData.isAvailable = true;
-                slotData.source = 'google_calendar';
+                slotData.source = calendarSource;
+              }
+            }
+          });
+          gcalApplied = true;
+        } catch (error) {
+          console.error(`Error fetching ${calendarProvider.name} calendar busy times for user ${user.user_id}:`, error.message);
+          // Continue without calendar data if there's an error
+        }
+      }
+
+      // An ICS calendar (registered URL, or busy slots the caller computed
+      // from an uploaded file) applies the same way. Busy on either calendar
+      // = unavailable; free slots only become available here when the
+      // connected calendar didn't already decide them.
+      if (preloadedIcsBusy !== undefined || user.ics_calendar_url) {
+        try {
+          const busySlots = preloadedIcsBusy !== undefined
+            ? preloadedIcsBusy
+            : await getIcsBusyCached(user, startDate, endDate, timezone);
+
+          const busyKeys = new Set(busySlots.map(s => `${s.date}_${s.startTime}`));
+
+          allSlots.forEach(slot => {
+            const key = `${slot.date}_${slot.startTime}`;
+            const slotData = availabilityMap.get(key);
+            if (slotData && slotData.source !== 'specific_override') {
+              if (busyKeys.has(key)) {
+                slotData.isAvailable = false;
+                slotData.source = 'ics_calendar';
+              } else if (!gcalApplied) {
+                slotData.isAvailable = true;
+                slotData.source = 'ics_calendar';
               }
             }
           });
         } catch (error) {
-          console.error(`Error fetching Google Calendar busy times for user ${user.user_id}:`, error.message);
+          console.error(`Error fetching ICS calendar busy times for user ${user.user_id}:`, error.message);
           // Continue without calendar data if there's an error
         }
       }
@@ -466,7 +615,7 @@ class AvailabilityService {
             include: [{
               model: User,
               through: UserGroup,
-              attributes: ['id', 'user_id', 'username', 'email', 'google_calendar_enabled', 'google_calendar_token', 'google_calendar_refresh_token', 'timezone'],
+              attributes: ['id', 'user_id', 'username', 'email', ...CALENDAR_USER_ATTRIBUTES, 'ics_calendar_url', 'timezone'],
             }],
           });
         } catch (dbError) {
@@ -608,18 +757,18 @@ class AvailabilityService {
       include: [{
         model: User,
         through: UserGroup,
-        attributes: ['id', 'user_id', 'username', 'email', 'google_calendar_enabled', 'google_calendar_token', 'google_calendar_refresh_token', 'timezone'],
+        attributes: ['id', 'user_id', 'username', 'email', ...CALENDAR_USER_ATTRIBUTES, 'ics_calendar_url', 'timezone'],
       }],
     });
     const members = group ? group.Users || [] : [];
     const totalMembers = members.length;
 
-    // 3.5. Pre-fetch Google Calendar busy slots for every gcal-enabled member
+    // 3.5. Pre-fetch calendar busy slots for every member with Google or Outlook connected
     //      ONCE in parallel, before calculateGroupOverlaps runs. This:
     //      (a) lets calculateUserAvailability skip its own gcal fetch,
     //      (b) eliminates the redundant `gcalBusyMap` second-fetch loop below,
     //      (c) hits the 60s in-process cache for warm reloads of the same week.
-    const gcalEnabledMembers = members.filter(m => m.google_calendar_enabled && m.google_calendar_token);
+    const gcalEnabledMembers = members.filter(m => calendarProviders.isCalendarConnected(m));
     const gcalBusyByUser = new Map(); // user_id -> Array<{date,startTime,endTime}>
     if (gcalEnabledMembers.length > 0) {
       const results = await Promise.all(gcalEnabledMembers.map(member =>
@@ -705,7 +854,7 @@ class AvailabilityService {
     // was N+1, one findAll per member; now O(1) regardless of member count).
     const { Op } = require('sequelize');
     const candidatesNeedingDbCheck = members.filter(m => {
-      const hasGcal = m.google_calendar_enabled && m.google_calendar_token;
+      const hasGcal = calendarProviders.isCalendarConnected(m);
       const hasPollResponse = pollResponseMap.has(m.user_id);
       return !hasGcal && !hasPollResponse;
     });
@@ -722,7 +871,7 @@ class AvailabilityService {
 
     const membersWithoutData = [];
     for (const member of members) {
-      const hasGcal = member.google_calendar_enabled && member.google_calendar_token;
+      const hasGcal = calendarProviders.isCalendarConnected(member);
       const hasPollResponse = pollResponseMap.has(member.user_id);
       const hasRecurring = recurringByUser.has(member.user_id);
       if (!hasGcal && !hasRecurring && !hasPollResponse) {
@@ -0,0 +1,337 @@
+// services/ballotService.js
+// Ballot lifecycle: closing a ballot (by its deadline job, or lazily when
+// someone loads it after the deadline) and telling voters the result.
+//
+// Closing flow:
+//   scheduleBallotClose() -> ballot-close queue (delayed to the deadline)
+//     -> workers/ballotWorker.js -> closeDueBallot() -> closeBallot()
+//
+// The deadline is Event.ballot_deadline, else rsvp_deadline. When a quorum is
+// set and fewer voters took part, the ballot closes without a result and the
+// organizer picks, same as a ballot nobody voted on. A tie the tally's own
+// tie-breaks can't settle is handled by Event.ballot_tie_rule:
+//   organizer    - leave it for the organizer (resolve-tie endpoint)
+//   random       - draw one of the tied options
+//   group_rating - the tied game the group rates highest (GameReview average);
+//                  if that is level too, the organizer decides
+//
+// Vetoes are tallied per the group's ballot_veto_effect; a ballot whose every
+// option was vetoed closes as 'all_vetoed' and the organizer picks.
+//
+// Event.ballot_outcome records which of these happened.
+
+const crypto = require('crypto');
+const { Op, fn, col } = require('sequelize');
+const {
+  Event,
+  EventBallotOption,
+  EventBallotVote,
+  EventBallotVeto,
+  Game,
+  GameReview,
+  Group,
+  User,
+} = require('../models');
+const { tallyBallot } = require('./ballotTallyService');
+
+const TIE_RULES = ['organizer', 'random', 'group_rating'];
+
+// Delayed jobs can fire a touch early; don't treat that as a moved deadline
+const DEADLINE_GRACE_MS = 5000;
+
+/**
+ * When an event's ballot closes.
+ * @param {Object} event
+ * @returns {Date|null}
+ */
+function ballotDeadline(event) {
+  const deadline = event.ballot_deadline || event.rsvp_deadline;
+  return deadline ? new Date(deadline) : null;
+}
+
+/**
+ * Tally an event's ballot with its mode and its group's veto effect.
+ * @param {Object} event - Event, with Group included for the veto effect
+ * @param {Array<Object>} options - EventBallotOptions with EventBallotVotes (+ EventBallotVetoes)
+ * @returns {Object} tallyBallot result
+ */
+function tallyEvent(event, options) {
+  return tallyBallot(event.ballot_mode, options, { vetoEffect: event.Group?.ballot_veto_effect });
+}
+
+/**
+ * The tied option the group rates highest, or null when ratings don't
+ * separate them (free-text options have no ratings).
+ * @param {string} groupId
+ * @param {Array<Object>} tiedOptions - EventBallotOption rows
+ * @returns {Promise<Object|null>}
+ */
+async function highestRatedOption(groupId, tiedOptions) {
+  const gameIds = tiedOptions.map(opt => opt.game_id).filter(Boolean);
+  if (gameIds.length === 0) return null;
+
+  const rows = await GameReview.findAll({
+    where: { group_id: groupId, game_id: { [Op.in]: gameIds }, rating: { [Op.ne]: null } },
+    attributes: ['game_id', [fn('AVG', col('rating')), 'avg_rating']],
+    group: ['game_id'],
+    raw: true,
+  });
+  if (rows.length === 0) return null;
+
+  const averages = rows.map(r => ({ game_id: r.game_id, avg: parseFloat(r.avg_rating) }));
+  const best = Math.max(...averages.map(a => a.avg));
+  const top = averages.filter(a => a.avg === best);
+  if (top.length > 1) return null;
+  return tiedOptions.find(opt => opt.game_id === top[0].game_id) || null;
+}
+
+/**
+ * Settle a tie with the event's tie rule.
+ * @param {Object} event
+ * @param {Array<Object>} tiedOptions
+ * @returns {Promise<{ option: Object|null, outcome: string }>}
+ */
+async function breakTie(event, tiedOptions) {
+  switch (event.ballot_tie_rule) {
+    case 'random':
+      return { option: tiedOptions[crypto.randomInt(tiedOptions.length)], outcome: 'random' };
+    case 'group_rating': {
+      const option = await highestRatedOption(event.group_id, tiedOptions);
+      return option ? { option, outcome: 'group_rating' } : { option: null, outcome: 'tie' };
+    }
+    case 'organizer':
+    default:
+      return { option: null, outcome: 'tie' };
+  }
+}
+
+/**
+ * Decide a ballot's outcome from its votes, quorum and tie rule. Writes nothing.
+ * @param {Object} event
+ * @param {Array} options - EventBallotOption instances with EventBallotVotes included
+ * @returns {Promise<{ outcome: string, winner: Object|null, tiedOptions: Array, tally: Object }>}
+ */
+async function decideOutcome(event, options) {
+  const tally = tallyEvent(event, options);
+  const decided = (outcome, winner = null, tiedOptions = []) => ({ outcome, winner, tiedOptions, tally });
+
+  if (tally.all_vetoed) {
+    // Every option was vetoed -- organizer must pick fallback
+    return decided('all_vetoed');
+  }
+
+  if (tally.no_votes) {
+    // No votes cast -- organizer must pick fallback
+    return decided('no_votes');
+  }
+
+  if (event.ballot_quorum && tally.total_ballots < event.ballot_quorum) {
+    // Too few voters for the result to count -- organizer picks, as above
+    return decided('no_quorum');
+  }
+
+  if (tally.winner_option_id) {
+    // Single winner (possibly after runoff rounds or a tie-break)
+    return decided('winner', options.find(opt => opt.id === tally.winner_option_id));
+  }
+
+  const tiedOptions = options.filter(opt => tally.tied_option_ids.includes(opt.id));
+  if (tiedOptions.length === 0) {
+    return decided('tie');
+  }
+  const { option, outcome } = await breakTie(event, tiedOptions);
+  // No option: tie left for the organizer -- resolve-tie endpoint
+  return decided(outcome, option, tiedOptions);
+}
+
+/**
+ * Close the ballot: tally votes with the event's ballot mode, apply the
+ * quorum and tie rule, and update the event. The outcome is decided first
+ * and written by the same conditional update that claims the close, so the
+ * deadline job and a lazy close on read can't both close (and announce) the
+ * same ballot, and a failed write leaves it open for the retry.
+ * @param {Object} event - Event Sequelize instance
+ * @param {Array} options - EventBallotOption instances with EventBallotVotes included
+ * @param {Object} [opts]
+ * @param {Date} [opts.now]
+ * @returns {Promise<Object|null>} { outcome, tied, noVotes, noQuorum, allVetoed, winner, tiedOptions, tally },
+ *   or null when the ballot was already closed
+ */
+async function closeBallot(event, options, { now = new Date() } = {}) {
+  const { outcome, winner, tiedOptions, tally } = await decideOutcome(event, options);
+
+  const changes = { ballot_status: 'closed', ballot_closed_at: now, ballot_outcome: outcome };
+  if (winner?.game_id) {
+    changes.game_id = winner.game_id;
+  }
+  const [claimed] = await Event.update(changes, { where: { id: event.id, ballot_status: 'open' } });
+  if (claimed === 0) return null;
+  Object.assign(event, changes);
+
+  return {
+    outcome,
+    tied: outcome === 'tie',
+    noVotes: outcome === 'no_votes',
+    noQuorum: outcome === 'no_quorum',
+    allVetoed: outcome === 'all_vetoed',
+    winner,
+    tiedOptions,
+    tally,
+  };
+}
+
+/**
+ * Queue (or re-queue) the job that closes an event's ballot at its deadline.
+ * Call whenever a ballot opens or its deadline changes. Never throws.
+ * @param {Object} event
+ * @returns {Promise<{ scheduled: boolean, delayMs?: number, reason?: string }>}
+ */
+async function scheduleBallotClose(event) {
+  try {
+    // Lazy-require so routes that load this service don't open a Redis
+    // connection at import time (and tests don't need to mock queues).
+    const { ballotQueue } = require('../queues');
+    const jobId = `ballot-close-${event.id}`;
+
+    // A job id is only reusable once the old job is gone (including a
+    // completed one kept for the dashboard)
+    const existing = await ballotQueue.getJob(jobId);
+    if (existing) {
+      try {
+        await existing.remove();
+      } catch (err) {
+        console.log(`[ballotService] Could not remove job ${jobId}:`, err.message);
+      }
+    }
+
+    const deadline = ballotDeadline(event);
+    if (event.ballot_status !== 'open' || !deadline) {
+      return { scheduled: false, reason: 'no_open_ballot' };
+    }
+
+    const delay = Math.max(deadline.getTime() - Date.now(), 0);
+    await ballotQueue.add('close-ballot', { eventId: event.id }, { delay, jobId });
+    console.log(`[ballotService] Scheduled ballot close for event ${event.id} in ${Math.round(delay / 60000)} min`);
+    return { scheduled: true, delayMs: delay };
+  } catch (err) {
+    console.error(`[ballotService] Failed to schedule ballot close for event ${event.id} (non-fatal):`, err.message);
+    return { scheduled: false, reason: 'queue_error' };
+  }
+}
+
+/**
+ * Tell everyone who voted how the ballot ended. Never throws.
+ * @param {Object} event - closed Event
+ * @param {Object} result - from closeBallot
+ */
+async function notifyBallotClosed(event, result) {
+  try {
+    const votes = await EventBallotVote.findAll({
+      attributes: ['user_id'],
+      include: [{ model: EventBallotOption, attributes: [], where: { event_id: event.id }, required: true }],
+      raw: true,
+    });
+    const voterIds = [...new Set(votes.map(v => v.user_id))];
+    if (voterIds.length === 0) return;
+
+    const users = await User.findAll({ where: { user_id: { [Op.in]: voterIds } } });
+    if (users.length === 0) return;
+
+    // Lazy require: notificationService pulls in email + SMS clients.
+    const notificationService = require('./notificationService');
+    const emailService = require('./emailService');
+
+    const group = event.Group || await Group.findByPk(event.group_id, { attributes: ['name'] });
+    const groupName = group?.name || '';
+    const frontendUrl = process.env.FRONTEND_URL || process.env.AUTH0_BASE_URL || 'http://localhost:3000';
+    const eventUrl = `${frontendUrl}/gameDetail?event_id=${event.id}&group_id=${event.group_id}`;
+    const gameName = result.winner?.game_name || null;
+    const tiedNames = (result.tiedOptions || []).map(opt => opt.game_name);
+
+    await notificationService.sendToMany(users, 'ballot_closed', (user) => {
+      let emailParams = null;
+      if (user.email) {
+        const { html, text } = emailService.generateBallotClosedEmailTemplate({
+          recipientName: user.username,
+          groupName,
+          outcome: result.outcome,
+          gameName,
+          tiedNames,
+          totalBallots: result.tally.total_ballots,
+          quorum: event.ballot_quorum,
+          eventUrl,
+        });
+        emailParams = {
+          to: user.email,
+          subject: gameName ? `The votes are in: ${gameName} - ${groupName}` : `Voting closed - ${groupName}`,
+          html,
+          text,
+          groupName,
+        };
+      }
+      return {
+        emailParams,
+        eventId: event.id,
+        data: { groupName, outcome: result.outcome, gameName, eventUrl },
+      };
+    });
+  } catch (error) {
+    console.error(`[ballotService] Close notification failed for event ${event.id}:`, error.message);
+  }
+}
+
+/**
+ * Close an event's ballot if its deadline has passed, then notify voters.
+ * Used by the ballot-close worker; errors propagate so BullMQ retries.
+ * @param {string} eventId
+ * @param {Object} [opts]
+ * @param {Date} [opts.now]
+ * @returns {Promise<Object>}
+ */
+async function closeDueBallot(eventId, { now = new Date() } = {}) {
+  const event = await Event.findByPk(eventId, {
+    include: [
+      { model: EventBallotOption, include: [{ model: EventBallotVote }, { model: EventBallotVeto }] },
+      { model: Group, attributes: ['id', 'name', 'ballot_veto_effect'] },
+      { model: Game, attributes: ['name'] },
+    ],
+  });
+  if (!event) {
+    return { skipped: true, reason: 'event_not_found' };
+  }
+  if (event.ballot_status !== 'open') {
+    return { skipped: true, reason: 'ballot_not_open' };
+  }
+  const deadline = ballotDeadline(event);
+  if (!deadline) {
+    return { skipped: true, reason: 'no_deadline' };
+  }
+  if (deadline.getTime() > now.getTime() + DEADLINE_GRACE_MS) {
+    // Deadline was pushed back; the rescheduled job will close it
+    return { skipped: true, reason: 'deadline_moved' };
+  }
+
+  const result = await closeBallot(event, event.EventBallotOptions || [], { now });
+  if (!result) {
+    return { skipped: true, reason: 'already_closed' };
+  }
+  await notifyBallotClosed(event, result);
+
+  return {
+    eventId,
+    outcome: result.outcome,
+    game_id: event.game_id || null,
+    total_ballots: result.tally.total_ballots,
+  };
+}
+
+module.exports = {
+  TIE_RULES,
+  ballotDeadline,
+  breakTie,
+  tallyEvent,
+  closeBallot,
+  scheduleBallotClose,
+  notifyBallotClosed,
+  closeDueBallot,
+};
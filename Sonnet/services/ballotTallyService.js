@@ -0,0 +1,218 @@
+// services/ballotTallyService.js
+// Tally engine for game ballots. Pure functions over the options of one
+// event (EventBallotOption rows with their EventBallotVotes), so the same
+// result is shown while voting, when the ballot closes and afterwards.
+//
+// Modes (Event.ballot_mode):
+//   plurality     - one vote per voter; most votes wins
+//   approval      - vote for any number of options; most approvals wins
+//   ranked_choice - instant runoff: voters rank options; the option with the
+//                   fewest first choices is eliminated and its ballots move to
+//                   their next choice until one option has a majority
+//   borda         - voters rank options; rank r of n options scores n - r
+//                   points, most points wins
+//
+// Every mode returns its rounds (one for the single-round modes) so the UI
+// can show how the winner was reached. A tie is only reported when the
+// mode's own tie-breaks can't separate the leaders; the organizer then
+// picks via resolve-tie as before.
+//
+// Vetoes (EventBallotVetoes on each option) count per the group's veto
+// effect: 'exclude' removes any vetoed option before counting (ranked
+// ballots skip it, as if it had never been listed); 'penalize' keeps it but
+// takes one vote's worth off per veto -- one vote, or n - 1 Borda points.
+
+const BALLOT_MODES = ['plurality', 'approval', 'ranked_choice', 'borda'];
+const RANKED_MODES = ['ranked_choice', 'borda'];
+const DEFAULT_MODE = 'approval';
+
+const isRankedMode = (mode) => RANKED_MODES.includes(mode);
+
+const VETO_EFFECTS = ['exclude', 'penalize'];
+const DEFAULT_VETO_EFFECT = 'exclude';
+
+const votesOf = (option) => option.EventBallotVotes || [];
+const vetoesOf = (option) => option.EventBallotVetoes || [];
+
+/**
+ * Each voter's ballot: option ids in preference order. Unranked votes (from
+ * before the ballot switched to a ranked mode) sort after ranked ones.
+ * @param {Array<Object>} options
+ * @returns {Map<string, string[]>} user_id -> option ids
+ */
+function collectBallots(options) {
+  const byUser = new Map();
+  for (const option of options) {
+    for (const vote of votesOf(option)) {
+      if (!byUser.has(vote.user_id)) byUser.set(vote.user_id, []);
+      byUser.get(vote.user_id).push({ option_id: option.id, rank: vote.rank ?? Number.MAX_SAFE_INTEGER });
+    }
+  }
+  const ballots = new Map();
+  for (const [userId, prefs] of byUser) {
+    ballots.set(userId, prefs.sort((a, b) => a.rank - b.rank).map(p => p.option_id));
+  }
+  return ballots;
+}
+
+function roundEntry(round, options, values, { eliminated = [], exhausted = 0 } = {}) {
+  return {
+    round,
+    tallies: options
+      .map(o => ({ option_id: o.id, game_name: o.game_name, value: values.get(o.id) || 0 }))
+      .sort((a, b) => b.value - a.value || a.game_name.localeCompare(b.game_name)),
+    eliminated,
+    exhausted,
+  };
+}
+
+// Options sharing the top value
+function leaders(values, ids) {
+  const max = Math.max(...ids.map(id => values.get(id) || 0));
+  return { max, ids: ids.filter(id => (values.get(id) || 0) === max) };
+}
+
+function result(mode, metric, ballots, rounds, winnerIds) {
+  const noVotes = ballots === 0;
+  return {
+    mode,
+    metric,
+    total_ballots: ballots,
+    no_votes: noVotes,
+    winner_option_id: !noVotes && winnerIds.length === 1 ? winnerIds[0] : null,
+    tied_option_ids: !noVotes && winnerIds.length > 1 ? winnerIds : [],
+    rounds,
+  };
+}
+
+// plurality / approval: one round of vote counts
+function tallyCounts(mode, options, penalties) {
+  const counts = new Map(options.map(o => [o.id, votesOf(o).length - (penalties.get(o.id) || 0)]));
+  const voters = new Set(options.flatMap(o => votesOf(o).map(v => v.user_id)));
+  const { ids } = leaders(counts, options.map(o => o.id));
+  return result(mode, 'votes', voters.size, [roundEntry(1, options, counts)], ids);
+}
+
+function tallyBorda(options, penalties) {
+  const n = options.length;
+  const ballots = collectBallots(options);
+  const points = new Map(options.map(o => [o.id, -(penalties.get(o.id) || 0) * Math.max(n - 1, 1)]));
+  const firsts = new Map(options.map(o => [o.id, 0]));
+  for (const prefs of ballots.values()) {
+    prefs.forEach((optionId, i) => {
+      points.set(optionId, points.get(optionId) + Math.max(n - 1 - i, 0));
+    });
+    if (prefs.length > 0) firsts.set(prefs[0], firsts.get(prefs[0]) + 1);
+  }
+
+  const rounds = [roundEntry(1, options, points)];
+  let { ids } = leaders(points, options.map(o => o.id));
+  // Tie-break: most first choices among the tied leaders
+  if (ids.length > 1 && ballots.size > 0) {
+    const tied = ids;
+    ids = leaders(firsts, tied).ids;
+    rounds.push({ ...roundEntry(2, options.filter(o => tied.includes(o.id)), firsts), tie_break: 'first_choices' });
+  }
+  return result('borda', 'points', ballots.size, rounds, ids);
+}
+
+function tallyInstantRunoff(options, penalties) {
+  const ballots = collectBallots(options);
+  const active = new Set(options.map(o => o.id));
+  const rounds = [];
+  const history = []; // first-choice counts per round, for elimination tie-breaks
+
+  for (let round = 1; active.size > 0; round++) {
+    const counts = new Map([...active].map(id => [id, -(penalties.get(id) || 0)]));
+    let exhausted = 0;
+    for (const prefs of ballots.values()) {
+      const choice = prefs.find(id => active.has(id));
+      if (choice) counts.set(choice, counts.get(choice) + 1);
+      else exhausted++;
+    }
+    history.push(counts);
+    const continuing = ballots.size - exhausted;
+    const activeOptions = options.filter(o => active.has(o.id));
+    const entry = roundEntry(round, activeOptions, counts, { exhausted });
+    rounds.push(entry);
+
+    if (continuing === 0) return result('ranked_choice', 'votes', 0, rounds, []);
+
+    const top = leaders(counts, [...active]);
+    if (top.max * 2 > continuing || active.size === 1) {
+      return result('ranked_choice', 'votes', ballots.size, rounds, top.ids);
+    }
+
+    const min = Math.min(...counts.values());
+    let lowest = [...active].filter(id => counts.get(id) === min);
+    if (lowest.length === active.size) {
+      // Everyone left is level: a genuine tie
+      return result('ranked_choice', 'votes', ballots.size, rounds, lowest);
+    }
+    // Tie for last: eliminate whoever had fewer votes in earlier rounds
+    for (let back = history.length - 2; back >= 0 && lowest.length > 1; back--) {
+      const earlier = history[back];
+      const fewest = Math.min(...lowest.map(id => earlier.get(id) || 0));
+      lowest = lowest.filter(id => (earlier.get(id) || 0) === fewest);
+    }
+    // Still level after looking back: drop them together
+    for (const id of lowest) active.delete(id);
+    entry.eliminated = lowest;
+  }
+  return result('ranked_choice', 'votes', ballots.size, rounds, []);
+}
+
+/**
+ * Tally a ballot.
+ * @param {string} mode - one of BALLOT_MODES (defaults to approval)
+ * @param {Array<Object>} options - EventBallotOption rows with EventBallotVotes ({ user_id, rank })
+ *   and optionally EventBallotVetoes ({ user_id })
+ * @param {Object} [settings]
+ * @param {string} [settings.vetoEffect='exclude'] - one of VETO_EFFECTS
+ * @returns {{ mode: string, metric: string, total_ballots: number, no_votes: boolean,
+ *   winner_option_id: string|null, tied_option_ids: string[], rounds: Array,
+ *   veto_effect: string, vetoes: Array, excluded_option_ids: string[], all_vetoed: boolean }}
+ */
+function tallyBallot(mode, options, { vetoEffect } = {}) {
+  const effect = VETO_EFFECTS.includes(vetoEffect) ? vetoEffect : DEFAULT_VETO_EFFECT;
+  const ordered = [...(options || [])].sort((a, b) => (a.display_order || 0) - (b.display_order || 0));
+
+  const vetoCounts = new Map(ordered.map(o => [o.id, vetoesOf(o).length]));
+  const excluded = effect === 'exclude' ? ordered.filter(o => vetoCounts.get(o.id) > 0).map(o => o.id) : [];
+  const eligible = ordered.filter(o => !excluded.includes(o.id));
+  const penalties = effect === 'penalize' ? vetoCounts : new Map();
+
+  let tally;
+  switch (mode || DEFAULT_MODE) {
+    case 'plurality':
+      tally = tallyCounts('plurality', eligible, penalties);
+      break;
+    case 'ranked_choice':
+      tally = tallyInstantRunoff(eligible, penalties);
+      break;
+    case 'borda':
+      tally = tallyBorda(eligible, penalties);
+      break;
+    case 'approval':
+    default:
+      tally = tallyCounts('approval', eligible, penalties);
+  }
+
+  return {
+    ...tally,
+    veto_effect: effect,
+    vetoes: ordered
+      .filter(o => vetoCounts.get(o.id) > 0)
+      .map(o => ({ option_id: o.id, game_name: o.game_name, count: vetoCounts.get(o.id) })),
+    excluded_option_ids: excluded,
+    all_vetoed: ordered.length > 0 && eligible.length === 0,
+  };
+}
+
+module.exports = {
+  BALLOT_MODES,
+  DEFAULT_MODE,
+  VETO_EFFECTS,
+  isRankedMode,
+  tallyBallot,
+};
@@ -0,0 +1,316 @@
+// services/bggPlaysImportService.js
+// Imports BoardGameGeek logged plays as historical group events.
+//
+// Two steps so the UI can show a diff first:
+//   buildImportPlan() - maps every play to an action without writing anything
+//   applyImportPlan() - creates the Events + EventParticipations in one transaction
+//
+// Player mapping, per BGG player: an explicit player_map entry (keyed by BGG
+// name or BGG username) wins, then a group member whose username matches the
+// BGG username or name (case-insensitive); everyone else becomes a guest in
+// Event.custom_participants. Map a name to null to force a guest.
+//
+// De-duplication: a play whose bgg_play_id was already imported into the
+// group is skipped -- even if that event was since cancelled, since the
+// unique (group_id, bgg_play_id) index still holds it -- as is a play of the
+// same game on the same local date as an existing, non-cancelled event (most
+// likely the same night logged in both places).
+//
+// Imported events start at noon UTC on the logged date -- BGG plays have no
+// time of day, and noon keeps the calendar date right in nearly every zone.
+// A play logged with quantity > 1 becomes a single event.
+
+const { Op } = require('sequelize');
+const { sequelize, Event, EventParticipation, Game, User, UserGroup } = require('../models');
+
+const SKIP_REASONS = {
+  incomplete: 'Marked incomplete on BGG',
+  no_date: 'Play has no date',
+  future: 'Play date is in the future',
+  no_game: 'Play is not linked to a BGG game',
+  already_imported: 'Already imported into this group',
+  duplicate_event: 'An event for this game already exists on that date',
+  duplicate_in_import: 'Same BGG play appears twice in the import',
+};
+
+/**
+ * YYYY-MM-DD of a date in a timezone.
+ * @param {Date} date
+ * @param {string} timezone - IANA zone
+ * @returns {string}
+ */
+function localDate(date, timezone) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit',
+  }).format(date);
+}
+
+const normalize = (s) => String(s || '').trim().toLowerCase();
+
+/**
+ * Resolve one BGG player to a member or a guest.
+ * @param {Object} player - parsed BGG player
+ * @param {Array<Object>} members - [{ id, user_id, username }]
+ * @param {Object} playerMap - { [bggNameOrUsername]: auth0 user_id | username | null }
+ * @returns {{ name: string, member: Object|null }}
+ */
+function matchPlayer(player, members, playerMap = {}) {
+  const name = player.name || player.bgg_username;
+  const byIdentifier = (value) => members.find(m => m.user_id === value || normalize(m.username) === normalize(value)) || null;
+
+  for (const key of [player.name, player.bgg_username]) {
+    if (key && Object.prototype.hasOwnProperty.call(playerMap, key)) {
+      const target = playerMap[key];
+      return { name, member: target ? byIdentifier(target) : null };
+    }
+  }
+
+  const member = (player.bgg_username && members.find(m => normalize(m.username) === normalize(player.bgg_username)))
+    || (player.name && members.find(m => normalize(m.username) === normalize(player.name)))
+    || null;
+  return { name, member };
+}
+
+/**
+ * Confirmed group members as { id, user_id, username }.
+ * @param {string} groupId
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadMembers(groupId) {
+  const memberships = await UserGroup.findAll({
+    where: { group_id: groupId, status: 'active', role: { [Op.in]: ['member', 'admin', 'owner'] } },
+    attributes: ['user_id'],
+  });
+  if (memberships.length === 0) return [];
+  const users = await User.findAll({
+    where: { user_id: { [Op.in]: memberships.map(m => m.user_id) } },
+    attributes: ['id', 'user_id', 'username'],
+  });
+  return users.map(u => ({ id: u.id, user_id: u.user_id, username: u.username }));
+}
+
+/**
+ * Work out what importing `plays` into a group would do. Read-only.
+ * @param {string} groupId
+ * @param {Array<Object>} plays - from bggService.parsePlaysXml / getUserPlays
+ * @param {Object} [options]
+ * @param {Object} [options.playerMap] - BGG name/username -> member (or null for guest)
+ * @param {string} [options.timezone='UTC'] - zone used to compare dates with existing events
+ * @param {boolean} [options.includeIncomplete=false]
+ * @returns {Promise<Object>} plan: { summary, plays, players, new_games }
+ */
+async function buildImportPlan(groupId, plays, { playerMap = {}, timezone = 'UTC', includeIncomplete = false } = {}) {
+  const members = await loadMembers(groupId);
+  const today = localDate(new Date(), timezone);
+
+  const bggIds = [...new Set(plays.map(p => p.game.bgg_id).filter(Boolean))];
+  const games = bggIds.length > 0
+    ? await Game.findAll({ where: { bgg_id: { [Op.in]: bggIds } }, attributes: ['id', 'bgg_id', 'name', 'playing_time'] })
+    : [];
+  const gameByBggId = new Map(games.map(g => [g.bgg_id, g]));
+
+  const playIds = plays.map(p => p.bgg_play_id).filter(Boolean);
+  const gameIds = games.map(g => g.id);
+  const existing = playIds.length > 0 || gameIds.length > 0
+    ? await Event.findAll({
+      where: {
+        group_id: groupId,
+        [Op.or]: [
+          ...(playIds.length > 0 ? [{ bgg_play_id: { [Op.in]: playIds } }] : []),
+          ...(gameIds.length > 0 ? [{ game_id: { [Op.in]: gameIds } }] : []),
+        ],
+      },
+      attributes: ['id', 'game_id', 'start_date', 'bgg_play_id', 'status'],
+    })
+    : [];
+  const importedPlayIds = new Map(existing.filter(e => e.bgg_play_id).map(e => [e.bgg_play_id, e.id]));
+  const eventsByGameDate = new Map();
+  for (const e of existing) {
+    if (e.status === 'cancelled') continue;
+    eventsByGameDate.set(`${e.game_id}|${localDate(new Date(e.start_date), timezone)}`, e.id);
+  }
+
+  const seen = new Set();
+  const newGames = new Map();
+  const playerSummary = new Map();
+  const summary = { total: plays.length, to_create: 0, skipped: 0 };
+
+  const planned = plays.map(play => {
+    const entry = {
+      bgg_play_id: play.bgg_play_id,
+      date: play.date,
+      game: { bgg_id: play.game.bgg_id, name: play.game.name, game_id: null, is_new: false },
+      quantity: play.quantity,
+      action: 'create',
+      reason: null,
+      existing_event_id: null,
+      players: [],
+    };
+    const skip = (reason, existingEventId = null) => {
+      entry.action = 'skip';
+      entry.reason = reason;
+      entry.message = SKIP_REASONS[reason];
+      entry.existing_event_id = existingEventId;
+    };
+
+    const game = gameByBggId.get(play.game.bgg_id);
+    if (game) entry.game.game_id = game.id;
+
+    if (play.bgg_play_id && seen.has(play.bgg_play_id)) skip('duplicate_in_import');
+    else if (play.bgg_play_id && importedPlayIds.has(play.bgg_play_id)) skip('already_imported', importedPlayIds.get(play.bgg_play_id));
+    else if (!play.date || !/^\d{4}-\d{2}-\d{2}$/.test(play.date) || play.date === '0000-00-00') skip('no_date');
+    else if (play.date > today) skip('future');
+    else if (!play.game.bgg_id) skip('no_game');
+    else if (play.incomplete && !includeIncomplete) skip('incomplete');
+    else if (game && eventsByGameDate.has(`${game.id}|${play.date}`)) skip('duplicate_event', eventsByGameDate.get(`${game.id}|${play.date}`));
+    if (play.bgg_play_id) seen.add(play.bgg_play_id);
+
+    if (entry.action === 'create' && !game) {
+      entry.game.is_new = true;
+      newGames.set(play.game.bgg_id, { bgg_id: play.game.bgg_id, name: play.game.name });
+    }
+
+    const usedMembers = new Set();
+    for (const player of play.players) {
+      const { name, member } = matchPlayer(player, members, playerMap);
+      if (!name) continue;
+      // The same member can't sit at one table twice -- keep the second as a guest
+      const asMember = member && !usedMembers.has(member.id) ? member : null;
+      if (asMember) usedMembers.add(asMember.id);
+
+      entry.players.push({
+        name,
+        bgg_username: player.bgg_username,
+        member: asMember ? { id: asMember.id, user_id: asMember.user_id, username: asMember.username } : null,
+        score: player.score,
+        faction: player.color,
+        is_new_player: player.is_new,
+        win: player.win,
+      });
+
+      const key = asMember ? `m:${asMember.id}` : `g:${normalize(name)}`;
+      if (!playerSummary.has(key)) {
+        playerSummary.set(key, {
+          name,
+          bgg_username: player.bgg_username,
+          member: asMember ? { id: asMember.id, user_id: asMember.user_id, username: asMember.username } : null,
+          plays: 0,
+        });
+      }
+      playerSummary.get(key).plays++;
+    }
+
+    if (entry.action === 'create') summary.to_create++;
+    else summary.skipped++;
+    return entry;
+  });
+
+  summary.skipped_by_reason = planned
+    .filter(p => p.action === 'skip')
+    .reduce((acc, p) => ({ ...acc, [p.reason]: (acc[p.reason] || 0) + 1 }), {});
+
+  return {
+    summary,
+    plays: planned,
+    players: [...playerSummary.values()].sort((a, b) => b.plays - a.plays),
+    new_games: [...newGames.values()],
+  };
+}
+
+/**
+ * Winner fields for an imported play. Everyone winning a multi-player play
+ * is a co-op win; otherwise the first winning member (or guest) is recorded.
+ */
+function winnerFields(players) {
+  const winners = players.filter(p => p.win);
+  if (winners.length === 0) return { winner_id: null, winner_name: null, is_group_win: false };
+  if (players.length > 1 && winners.length === players.length) {
+    return { winner_id: null, winner_name: null, is_group_win: true };
+  }
+  const memberWinner = winners.find(p => p.member);
+  if (memberWinner) return { winner_id: memberWinner.member.id, winner_name: null, is_group_win: false };
+  return { winner_id: null, winner_name: winners[0].name, is_group_win: false };
+}
+
+/**
+ * Create the events a plan marks 'create'. All-or-nothing.
+ * @param {string} groupId
+ * @param {Object} plan - from buildImportPlan
+ * @param {Array<Object>} plays - the same plays the plan was built from
+ * @returns {Promise<{ created: number, event_ids: string[], games_created: number }>}
+ */
+async function applyImportPlan(groupId, plan, plays) {
+  const playById = new Map(plays.map(p => [p.bgg_play_id, p]));
+  const toCreate = plan.plays.filter(p => p.action === 'create');
+  if (toCreate.length === 0) return { created: 0, event_ids: [], games_created: 0 };
+
+  const transaction = await sequelize.transaction();
+  try {
+    const gameIds = new Map();
+    let gamesCreated = 0;
+    for (const entry of toCreate) {
+      if (gameIds.has(entry.game.bgg_id)) continue;
+      if (entry.game.game_id) {
+        gameIds.set(entry.game.bgg_id, entry.game.game_id);
+        continue;
+      }
+      const [game, created] = await Game.findOrCreate({
+        where: { bgg_id: entry.game.bgg_id },
+        defaults: { bgg_id: entry.game.bgg_id, name: entry.game.name || `BGG #${entry.game.bgg_id}`, is_custom: false },
+        transaction,
+      });
+      if (created) gamesCreated++;
+      gameIds.set(entry.game.bgg_id, game.id);
+    }
+
+    const eventIds = [];
+    for (const entry of toCreate) {
+      const play = playById.get(entry.bgg_play_id) || {};
+      const members = entry.players.filter(p => p.member);
+      const guests = entry.players.filter(p => !p.member);
+
+      const event = await Event.create({
+        group_id: groupId,
+        game_id: gameIds.get(entry.game.bgg_id),
+        start_date: new Date(`${entry.date}T12:00:00Z`),
+        duration_minutes: play.length_minutes || null,
+        location: play.location || null,
+        comments: play.comments || null,
+        custom_participants: guests.map(g => ({
+          username: g.name,
+          score: g.score,
+          faction: g.faction,
+          is_new_player: g.is_new_player,
+        })),
+        ...winnerFields(entry.players),
+        status: 'completed',
+        ballot_status: null,
+        bgg_play_id: entry.bgg_play_id,
+      }, { transaction });
+
+      if (members.length > 0) {
+        await EventParticipation.bulkCreate(members.map(p => ({
+          event_id: event.id,
+          user_id: p.member.id,
+          score: p.score,
+          faction: p.faction,
+          is_new_player: p.is_new_player || false,
+        })), { transaction });
+      }
+      eventIds.push(event.id);
+    }
+
+    await transaction.commit();
+    return { created: eventIds.length, event_ids: eventIds, games_created: gamesCreated };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+module.exports = {
+  SKIP_REASONS,
+  matchPlayer,
+  buildImportPlan,
+  applyImportPlan,
+};
@@ -2,6 +2,14 @@
 const axios = require('axios');
 const xml2js = require('xml2js');
 
+// BGG collection status flags (<status own="1" .../>) -> UserGame flags
+const COLLECTION_STATUS_FLAGS = {
+  own: 'owned',
+  wishlist: 'wishlist',
+  wanttoplay: 'want_to_play',
+  prevowned: 'previously_owned',
+  fortrade: 'for_trade',
+};
 
 class BGGService {
   constructor() {
@@ -122,6 +130,18 @@ class BGGService {
         // Weight extraction failed -- not critical, continue without it
       }
 
+      // <link type="boardgameexpansion"> points from a base game to its
+      // expansions, and from an expansion back to its base games (inbound="true")
+      const isExpansion = item.$?.type === 'boardgameexpansion';
+      const expansionLinks = (item.link || [])
+        .map(link => link.$ || {})
+        .filter(link => link.type === 'boardgameexpansion')
+        .map(link => ({ bgg_id: parseInt(link.id), name: link.value, inbound: link.inbound === 'true' }))
+        .filter(link => !isNaN(link.bgg_id));
+      const related = (inbound) => expansionLinks
+        .filter(link => link.inbound === inbound)
+        .map(({ bgg_id, name }) => ({ bgg_id, name }));
+
       return {
         name: this.extractValue(item.name),
         year_published: parseInt(this.extractValue(item.yearpublished)) || null,
@@ -132,6 +152,9 @@ class BGGService {
         image_url: this.extractValue(item.image) || null,
         thumbnail_url: this.extractValue(item.thumbnail) || null,
         weight,
+        is_expansion: isExpansion,
+        base_games: isExpansion ? related(true) : [],
+        expansions: isExpansion ? [] : related(false),
       };
     } catch (error) {
       throw new Error(`Failed to fetch game from BGG: ${error.message}`);
@@ -229,9 +252,12 @@ class BGGService {
    * We need to poll until we get a 200 response
    * @param {string} bggUsername - BGG username
    * @param {string} subtype - Collection subtype: 'boardgame', 'boardgameexpansion', or null/undefined for all types (optional)
-   * @returns {Promise<Array>} Array of collection items with subtype information
+   * @param {Object} [options]
+   * @param {boolean} [options.ownedOnly=true] - false to include wishlist, want-to-play, previously owned and for-trade items
+   * @returns {Promise<Array>} Array of collection items with subtype information and `statuses`
+   *   (UserGame flag names: owned, wishlist, want_to_play, previously_owned, for_trade)
    */
-  async getUserCollection(bggUsername, subtype = null) {
+  async getUserCollection(bggUsername, subtype = null, { ownedOnly = true } = {}) {
     try {
       // Rate limiting: ensure minimum time between requests
       const now = Date.now();
@@ -245,8 +271,10 @@ class BGGService {
       const collectionUrl = `${this.baseURL}/collection`;
       const params = {
         username: bggUsername,
-        own: 1, // Only get games they own
       };
+      if (ownedOnly) {
+        params.own = 1; // Only get games they own
+      }
       
       // Only include subtype parameter if specified (omit to get all types)
       // If subtype is not specified, BGG API returns all collection items (boardgames, expansions, etc.)
@@ -348,6 +376,11 @@ class BGGService {
             itemSubtype = item.$.objecttype === 'boardgameexpansion' ? 'boardgameexpansion' : 'boardgame';
           }
           // Default to 'boardgame' if no subtype can be determined (will be handled by fallback in getGameById)
+
+          const statusAttrs = (item.status && item.status[0] && item.status[0].$) || {};
+          const statuses = Object.entries(COLLECTION_STATUS_FLAGS)
+            .filter(([flag]) => statusAttrs[flag] === '1')
+            .map(([, status]) => status);
           
           return {
             bgg_id: bgg_id,
@@ -357,6 +390,7 @@ class BGGService {
             numplays: parseInt(this.extractValue(item.numplays)) || 0,
             rating: rating,
             subtype: itemSubtype || 'boardgame', // Include subtype so we know if it's an expansion
+            statuses,
           };
         } catch (itemError) {
           console.error('Error parsing collection item:', itemError, 'Item:', item);
@@ -381,6 +415,135 @@ class BGGService {
     }
   }
 
+  /**
+   * Parse BGG plays XML (the xmlapi2 /plays response, or a saved copy of it)
+   * @param {string} xml - plays XML
+   * @returns {Promise<{ username: string|null, total: number, page: number, plays: Array }>}
+   */
+  async parsePlaysXml(xml) {
+    const result = await this.parser.parseStringPromise(xml);
+
+    if (result.errors && result.errors.error) {
+      const errorMsg = Array.isArray(result.errors.error)
+        ? result.errors.error[0].$.message
+        : result.errors.error.$.message;
+      throw new Error(`BGG API error: ${errorMsg}`);
+    }
+    if (!result.plays) {
+      throw new Error('Not a BGG plays document (missing <plays> root)');
+    }
+
+    const attrs = result.plays.$ || {};
+    const plays = (result.plays.play || []).map(play => {
+      const p = play.$ || {};
+      const item = play.item && play.item[0] ? play.item[0].$ || {} : {};
+      const players = play.players && play.players[0] && play.players[0].player
+        ? play.players[0].player
+        : [];
+      const comments = Array.isArray(play.comments) ? play.comments[0] : null;
+
+      return {
+        bgg_play_id: parseInt(p.id) || null,
+        date: p.date || null, // YYYY-MM-DD as logged
+        quantity: parseInt(p.quantity) || 1,
+        length_minutes: parseInt(p.length) || null,
+        incomplete: p.incomplete === '1',
+        location: p.location || null,
+        comments: typeof comments === 'string' ? comments.trim() || null : null,
+        game: {
+          bgg_id: parseInt(item.objectid) || null,
+          name: item.name || null,
+        },
+        players: players.map(pl => {
+          const a = pl.$ || {};
+          const score = a.score !== undefined && a.score !== '' ? parseFloat(a.score) : null;
+          return {
+            name: (a.name || '').trim() || null,
+            bgg_username: (a.username || '').trim() || null,
+            score: Number.isFinite(score) ? score : null,
+            color: (a.color || '').trim() || null,
+            is_new: a.new === '1',
+            win: a.win === '1',
+          };
+        }),
+      };
+    });
+
+    return {
+      username: attrs.username || null,
+      total: parseInt(attrs.total) || plays.length,
+      page: parseInt(attrs.page) || 1,
+      plays,
+    };
+  }
+
+  /**
+   * Get a user's logged plays (newest first), following BGG's 100-per-page paging
+   * @param {string} bggUsername - BGG username
+   * @param {Object} [options]
+   * @param {string} [options.mindate] - YYYY-MM-DD
+   * @param {string} [options.maxdate] - YYYY-MM-DD
+   * @param {number} [options.maxPages=20] - stop after this many pages
+   * @returns {Promise<{ total: number, plays: Array, truncated: boolean }>}
+   */
+  async getUserPlays(bggUsername, { mindate = null, maxdate = null, maxPages = 20 } = {}) {
+    try {
+      const plays = [];
+      let total = 0;
+      let page = 1;
+
+      for (; page <= maxPages; page++) {
+        // Rate limiting: ensure minimum time between requests
+        const timeSinceLastRequest = Date.now() - this.lastRequestTime;
+        if (timeSinceLastRequest < this.minRequestInterval) {
+          await new Promise(resolve => setTimeout(resolve, this.minRequestInterval - timeSinceLastRequest));
+        }
+        this.lastRequestTime = Date.now();
+
+        const params = { username: bggUsername, type: 'thing', page };
+        if (mindate) params.mindate = mindate;
+        if (maxdate) params.maxdate = maxdate;
+
+        const response = await axios.get(`${this.baseURL}/plays`, {
+          params,
+          headers: this.getHeaders(),
+          timeout: 30000,
+          maxRedirects: 5,
+          validateStatus: function (status) {
+            return status >= 200 && status < 500;
+          }
+        });
+
+        if (response.status === 401 || response.status === 403) {
+          throw new Error(`BGG API returned ${response.status}. This may be due to rate limiting. Please try again in a few moments.`);
+        }
+        if (response.status !== 200) {
+          throw new Error(`BGG API returned status ${response.status}`);
+        }
+
+        const parsed = await this.parsePlaysXml(response.data);
+        total = parsed.total;
+        plays.push(...parsed.plays);
+
+        if (parsed.plays.length === 0 || plays.length >= total) break;
+      }
+
+      return { total, plays, truncated: plays.length < total };
+    } catch (error) {
+      console.error('BGG Plays Error:', {
+        status: error.response?.status,
+        statusText: error.response?.statusText,
+        message: error.message,
+        url: error.config?.url
+      });
+
+      if (error.code === 'ECONNABORTED') {
+        throw new Error('BGG API request timed out. Please try again.');
+      }
+      throw new Error(`Failed to fetch BGG plays: ${error.message}`);
+    }
+  }
+
   extractValue(element) {
     if (!element) return null;
     try {
@@ -0,0 +1,219 @@
+// services/calendarFeedService.js
+// Subscribable ICS feeds (CalendarFeed): a webcal:// URL per user, or per
+// user and group, that calendar clients poll for a live VCALENDAR. For users
+// without Google Calendar connected this is the ongoing sync; the one-off
+// .ics attachment (icsService.buildEventIcs) only covers a single event.
+//
+// What a feed holds:
+//   - user feed  - events the user RSVPed yes/maybe (or is waitlisted for),
+//                  in groups they are still an active member of
+//   - group feed - every event of the group; the user must still be an
+//                  active member or the feed serves nothing
+// Events from the last FEED_LOOKBACK_DAYS stay in the feed so a game night
+// doesn't vanish from the calendar the moment it starts.
+//
+// Keeping clients in sync: each VEVENT's UID is the event id (the same UID
+// the attachment uses), SEQUENCE grows whenever the event row is updated, and
+// cancelled events stay in the feed with STATUS:CANCELLED. Apple Calendar and
+// Outlook only apply a changed date when SEQUENCE hasn't gone backwards.
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const {
+  CalendarFeed,
+  Event,
+  EventRsvp,
+  Game,
+  Group,
+  User,
+  UserGroup,
+} = require('../models');
+const icsService = require('./icsService');
+const venueService = require('./venueService');
+
+const FEED_LOOKBACK_DAYS = 30;
+const FEED_RSVP_STATUSES = ['yes', 'maybe', 'waitlist'];
+
+/**
+ * SEQUENCE for an event: whole seconds between creation and the last
+ * update. Grows with every save (including bulk Event.update, which also
+ * bumps updatedAt) and never goes backwards, without a counter column that
+ * every write path would have to remember to increment.
+ * @param {Object} event - with createdAt and updatedAt
+ * @returns {number}
+ */
+function sequenceFor(event) {
+  const created = new Date(event.createdAt).getTime();
+  const updated = new Date(event.updatedAt || event.createdAt).getTime();
+  if (isNaN(created) || isNaN(updated)) return 0;
+  return Math.max(Math.floor((updated - created) / 1000), 0);
+}
+
+/**
+ * buildCalendarIcs params for one event. Pure.
+ * @param {Object} event - Event with Game, Group, Host and Venue included
+ * @param {string} frontendUrl
+ * @returns {Object}
+ */
+function toFeedEvent(event, frontendUrl) {
+  const groupName = event.Group?.name || 'your group';
+  const eventUrl = `${frontendUrl}/gameDetail?event_id=${event.id}&group_id=${event.group_id}`;
+  return {
+    eventId: event.id,
+    gameName: event.Game?.name || 'Game Night',
+    groupName,
+    startUtc: new Date(event.start_date),
+    durationMinutes: event.duration_minutes || 120,
+    location: venueService.resolveEventLocation(event),
+    description: `Game night with ${groupName} on Nextgamenight. View: ${eventUrl}`,
+    hostName: event.Host?.username || event.Venue?.Host?.username || groupName,
+    sequence: sequenceFor(event),
+    lastModified: new Date(event.updatedAt || event.createdAt),
+    cancelled: event.status === 'cancelled',
+    url: eventUrl,
+  };
+}
+
+/**
+ * https:// and webcal:// URLs for a feed.
+ * @param {Object} feed
+ * @param {string} baseUrl - API origin, e.g. https://api.example.com
+ * @returns {{ url: string, webcal_url: string }}
+ */
+function feedUrls(feed, baseUrl) {
+  const url = `${baseUrl}/api/calendar-feeds/${feed.token}.ics`;
+  return { url, webcal_url: url.replace(/^https?:\/\//, 'webcal://') };
+}
+
+/**
+ * The user's live feeds, newest first.
+ * @param {string} userId - Auth0 user ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function listFeeds(userId) {
+  return CalendarFeed.findAll({
+    where: { user_id: userId, revoked_at: null },
+    include: [{ model: Group, attributes: ['id', 'name'] }],
+    order: [['createdAt', 'DESC']],
+  });
+}
+
+/**
+ * The user's live feed for a scope, creating it if there is none. One URL
+ * per scope: subscribing on a second device reuses it.
+ * @param {string} userId - Auth0 user ID
+ * @param {string|null} [groupId] - null for the user feed
+ * @returns {Promise<{ feed: Object, created: boolean }>}
+ */
+async function getOrCreateFeed(userId, groupId = null) {
+  const existing = await CalendarFeed.findOne({
+    where: { user_id: userId, group_id: groupId, revoked_at: null },
+  });
+  if (existing) return { feed: existing, created: false };
+
+  const feed = await CalendarFeed.create({
+    token: crypto.randomBytes(32).toString('hex'),
+    user_id: userId,
+    group_id: groupId,
+  });
+  return { feed, created: true };
+}
+
+/**
+ * Revoke one of the user's feeds; its URL stops serving events.
+ * @param {string} userId - Auth0 user ID
+ * @param {string} feedId
+ * @returns {Promise<boolean>} false when the user has no such live feed
+ */
+async function revokeFeed(userId, feedId) {
+  const [revoked] = await CalendarFeed.update(
+    { revoked_at: new Date() },
+    { where: { id: feedId, user_id: userId, revoked_at: null } }
+  );
+  return revoked > 0;
+}
+
+/**
+ * Events a feed serves.
+ * @param {Object} feed
+ * @param {Object} [opts]
+ * @param {Date} [opts.now]
+ * @returns {Promise<Array<Object>>} Event instances
+ */
+async function feedEvents(feed, { now = new Date() } = {}) {
+  const memberships = await UserGroup.findAll({
+    where: { user_id: feed.user_id, status: 'active' },
+    attributes: ['group_id'],
+  });
+  const groupIds = memberships.map(m => m.group_id);
+  if (feed.group_id && !groupIds.includes(feed.group_id)) return [];
+  if (groupIds.length === 0) return [];
+
+  const since = new Date(now.getTime() - FEED_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const include = [
+    { model: Game, attributes: ['name'] },
+    { model: Group, attributes: ['id', 'name'] },
+    { model: User, as: 'Host', attributes: ['username'] },
+    venueService.venueInclude(),
+  ];
+  if (!feed.group_id) {
+    include.push({
+      model: EventRsvp,
+      attributes: [],
+      where: { user_id: feed.user_id, status: { [Op.in]: FEED_RSVP_STATUSES } },
+      required: true,
+    });
+  }
+
+  return Event.findAll({
+    where: {
+      group_id: feed.group_id || { [Op.in]: groupIds },
+      start_date: { [Op.gte]: since },
+    },
+    include,
+    order: [['start_date', 'ASC']],
+  });
+}
+
+/**
+ * Render the VCALENDAR for a feed token.
+ * @param {string} token
+ * @param {Object} [opts]
+ * @param {Date} [opts.now]
+ * @returns {Promise<string|null>} null when the token is unknown or revoked
+ */
+async function renderFeed(token, { now = new Date() } = {}) {
+  const feed = await CalendarFeed.findOne({
+    where: { token },
+    include: [{ model: Group, attributes: ['id', 'name'] }],
+  });
+  if (!feed || feed.revoked_at) return null;
+
+  const events = await feedEvents(feed, { now });
+  const frontendUrl = process.env.FRONTEND_URL || process.env.AUTH0_BASE_URL || 'http://localhost:3000';
+
+  // Bookkeeping only; a failed write must not break the client's poll
+  try {
+    await feed.update({ last_fetched_at: now });
+  } catch (err) {
+    console.error(`[calendarFeedService] Could not record fetch for feed ${feed.id}:`, err.message);
+  }
+
+  return icsService.buildCalendarIcs({
+    name: feed.Group ? `${feed.Group.name} game nights` : 'My game nights',
+    events: events.map(event => toFeedEvent(event, frontendUrl)),
+  });
+}
+
+module.exports = {
+  FEED_LOOKBACK_DAYS,
+  FEED_RSVP_STATUSES,
+  sequenceFor,
+  toFeedEvent,
+  feedUrls,
+  listFeeds,
+  getOrCreateFeed,
+  revokeFeed,
+  feedEvents,
+  renderFeed,
+};
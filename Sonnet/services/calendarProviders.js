@@ -0,0 +1,268 @@
+// services/calendarProviders.js
+// The calendar providers a member can connect -- Google Calendar and
+// Microsoft Outlook -- behind one interface, so availability, tentative
+// holds and the gcal-sync worker don't care which one a member uses.
+//
+// Both provider services expose the same methods (getBusyTimesForDateRange,
+// createTentativeHold, deleteTentativeHold, createCalendarEventsForGroup,
+// updateCalendarEventForUser, deleteCalendarEventForUser) taking the
+// provider's own tokens. This module picks the provider, passes the tokens
+// and persists any the provider refreshed.
+//
+// A member normally connects one provider; if they connect both, Google is
+// the one used (it was here first, and watch channels keep it fresh).
+// Stored calendar entries remember their provider -- EventParticipation.
+// calendar_provider, and { provider, id } hold entries in
+// AvailabilitySuggestion.tentative_calendar_event_ids -- so switching
+// providers never sends an id to the wrong API. Entries from before Outlook
+// support carry no provider and are Google's.
+
+const { Op } = require('sequelize');
+const googleCalendarService = require('./googleCalendarService');
+const microsoftCalendarService = require('./microsoftCalendarService');
+
+const PROVIDERS = {
+  google: {
+    name: 'google',
+    service: googleCalendarService,
+    tokenField: 'google_calendar_token',
+    refreshTokenField: 'google_calendar_refresh_token',
+    enabledField: 'google_calendar_enabled',
+  },
+  microsoft: {
+    name: 'microsoft',
+    service: microsoftCalendarService,
+    tokenField: 'microsoft_calendar_token',
+    refreshTokenField: 'microsoft_calendar_refresh_token',
+    enabledField: 'microsoft_calendar_enabled',
+  },
+};
+
+// Preference order when a member connected more than one
+const PROVIDER_ORDER = ['google', 'microsoft'];
+
+// Every User attribute the providers read; add to `attributes` lists
+const CALENDAR_USER_ATTRIBUTES = PROVIDER_ORDER.flatMap(name => [
+  PROVIDERS[name].tokenField,
+  PROVIDERS[name].refreshTokenField,
+  PROVIDERS[name].enabledField,
+]);
+
+/**
+ * Provider by name; null/undefined means Google (legacy rows).
+ * @param {string|null} name
+ * @returns {Object} provider
+ * @throws {Error} for an unknown name
+ */
+function getProvider(name) {
+  const provider = PROVIDERS[name || 'google'];
+  if (!provider) {
+    throw new Error(`Unknown calendar provider: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * Whether the member connected this provider (flag AND a usable token,
+ * like /api/auth/google/status).
+ * @param {Object} user
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isConnected(user, name) {
+  const provider = getProvider(name);
+  return !!(user && user[provider.enabledField] && user[provider.tokenField]);
+}
+
+/**
+ * The provider used for the member's calendar, or null when none is connected.
+ * @param {Object} user
+ * @returns {Object|null}
+ */
+function getCalendarProvider(user) {
+  const name = PROVIDER_ORDER.find(n => isConnected(user, n));
+  return name ? PROVIDERS[name] : null;
+}
+
+/**
+ * @param {Object} user
+ * @returns {boolean} true when any provider is connected
+ */
+function isCalendarConnected(user) {
+  return getCalendarProvider(user) !== null;
+}
+
+/**
+ * Sequelize `where` fragment matching Users with any calendar connected.
+ * @returns {Object}
+ */
+function connectedUserWhere() {
+  return {
+    [Op.or]: PROVIDER_ORDER.map(name => ({
+      [PROVIDERS[name].enabledField]: true,
+      [PROVIDERS[name].tokenField]: { [Op.ne]: null },
+    })),
+  };
+}
+
+/**
+ * Save tokens the provider refreshed mid-call, and strip them from the result.
+ * @param {Object} user - User instance
+ * @param {Object} provider
+ * @param {Object} result - provider call result
+ * @returns {Promise<Object>} result without the token fields
+ */
+async function persistRefreshedTokens(user, provider, result) {
+  if (!result || !result._new_access_token) return result;
+  const { _new_access_token: accessToken, _new_refresh_token: refreshToken, ...rest } = result;
+  const update = { [provider.tokenField]: accessToken };
+  if (refreshToken) update[provider.refreshTokenField] = refreshToken;
+  await user.update(update);
+  return rest;
+}
+
+const tokensOf = (user, provider) => [user[provider.tokenField], user[provider.refreshTokenField]];
+
+/**
+ * Busy slots from the member's connected calendar ([] when none).
+ * @param {Object} user
+ * @param {Date|string} startDate
+ * @param {Date|string} endDate
+ * @param {string} timezone
+ * @returns {Promise<Array<{date: string, startTime: string, endTime: string}>>}
+ */
+async function getBusyTimes(user, startDate, endDate, timezone = 'UTC') {
+  const provider = getCalendarProvider(user);
+  if (!provider) return [];
+  const result = await provider.service.getBusyTimesForDateRange(user, startDate, endDate, timezone);
+  // Google refreshes behind its client and returns the slots; Outlook rotates
+  // the refresh token and returns { slots } with any new tokens
+  if (Array.isArray(result)) return result;
+  const { slots } = await persistRefreshedTokens(user, provider, result);
+  return slots;
+}
+
+/**
+ * Put a tentative hold in the member's calendar.
+ * @param {Object} user - User instance
+ * @param {Object} eventData - groupName, gameName, startDateTime, endDateTime, timezone
+ * @returns {Promise<string|{provider: string, id: string}>} the entry to store in
+ *   tentative_calendar_event_ids: a bare id for Google (the original format)
+ * @throws {Error} when no calendar is connected or the provider fails
+ */
+async function createTentativeHold(user, eventData) {
+  const provider = getCalendarProvider(user);
+  if (!provider) {
+    throw new Error('No calendar connected');
+  }
+  const created = await provider.service.createTentativeHold(eventData, ...tokensOf(user, provider));
+  await persistRefreshedTokens(user, provider, created);
+  return provider.name === 'google' ? created.id : { provider: provider.name, id: created.id };
+}
+
+/**
+ * Remove a tentative hold created by createTentativeHold.
+ * @param {Object} user - User instance
+ * @param {string|{provider: string, id: string}} hold - stored entry
+ * @returns {Promise<boolean|null>} provider's result; null when the member
+ *   no longer has that provider connected (nothing we can do)
+ */
+async function deleteTentativeHold(user, hold) {
+  const { provider: name, id } = typeof hold === 'string' ? { provider: 'google', id: hold } : hold;
+  if (!isConnected(user, name)) return null;
+  const provider = getProvider(name);
+  return provider.service.deleteTentativeHold(id, ...tokensOf(user, provider));
+}
+
+/**
+ * Create a new game in the participants' calendars, each member's entry
+ * through the provider they connected. Google shares one event id across
+ * every connected attendee, so one Google event covers all of them; Outlook
+ * only reports the organizer's copy, so each Outlook member gets their own.
+ * Members without a calendar are invited once, by the first entry created.
+ * @param {Object} eventData - see googleCalendarService.createCalendarEventForUser
+ * @param {Array} members - participating Users with email and calendar attributes
+ * @returns {Promise<Array<{ provider: string, calendarEventId: string, memberIds: string[] }>>}
+ *   one per entry created; empty when no participant has a calendar
+ */
+async function createEventForParticipants(eventData, members) {
+  const connectedBy = Object.fromEntries(PROVIDER_ORDER.map(name => [name, []]));
+  let invitees = [];
+  for (const member of members) {
+    const provider = getCalendarProvider(member);
+    if (provider) {
+      connectedBy[provider.name].push(member);
+    } else {
+      invitees.push(member);
+    }
+  }
+
+  const created = [];
+  for (const name of PROVIDER_ORDER) {
+    const connected = connectedBy[name];
+    const batches = name === 'google' ? [connected] : connected.map(member => [member]);
+
+    for (const batch of batches) {
+      if (batch.length === 0) continue;
+      const results = await PROVIDERS[name].service.createCalendarEventsForGroup(eventData, [...batch, ...invitees]);
+      const result = results[0];
+      const calendarEventId = result && (result.calendar_event_id || result.gcal_event_id);
+      if (calendarEventId) {
+        created.push({ provider: name, calendarEventId, memberIds: result.connected_member_ids || [] });
+        invitees = [];
+      }
+    }
+  }
+  return created;
+}
+
+/**
+ * Patch an entry in a member's calendar (gcal-sync `update` jobs).
+ * Errors carry the GCAL_* codes documented in workers/gcalSyncWorker.js.
+ * @param {Object} user - User instance
+ * @param {string|null} providerName - EventParticipation.calendar_provider
+ * @param {string} calendarEventId
+ * @param {Object} eventData
+ * @returns {Promise<{ updated: boolean, alreadyGone?: boolean }>}
+ */
+async function updateEventForUser(user, providerName, calendarEventId, eventData) {
+  const provider = getProvider(providerName);
+  const result = await provider.service.updateCalendarEventForUser(
+    calendarEventId,
+    eventData,
+    ...tokensOf(user, provider)
+  );
+  return persistRefreshedTokens(user, provider, result);
+}
+
+/**
+ * Remove an entry from a member's calendar (gcal-sync `cleanup` jobs).
+ * @param {Object} user - User instance
+ * @param {string|null} providerName - EventParticipation.calendar_provider
+ * @param {string} calendarEventId
+ * @returns {Promise<{ deleted: boolean, alreadyGone?: boolean }>}
+ */
+async function deleteEventForUser(user, providerName, calendarEventId) {
+  const provider = getProvider(providerName);
+  const result = await provider.service.deleteCalendarEventForUser(
+    calendarEventId,
+    ...tokensOf(user, provider)
+  );
+  return persistRefreshedTokens(user, provider, result);
+}
+
+module.exports = {
+  PROVIDERS,
+  CALENDAR_USER_ATTRIBUTES,
+  getProvider,
+  isConnected,
+  getCalendarProvider,
+  isCalendarConnected,
+  connectedUserWhere,
+  getBusyTimes,
+  createTentativeHold,
+  deleteTentativeHold,
+  createEventForParticipants,
+  updateEventForUser,
+  deleteEventForUser,
+};
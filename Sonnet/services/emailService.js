@@ -1076,6 +1076,274 @@ Event Details:
 
 Go to group: ${groupUrl}
 
+---
+This is an automated notification from PeriodicTableTop.
+You can manage your notification preferences in your profile: ${this.frontendUrl}/userProfile
+    `.trim();
+
+    return { html, text };
+  }
+
+  // ============================================
+  // Waitlist Promotion Email Template
+  // ============================================
+
+  /**
+   * Generate email template for a waitlisted RSVP that was promoted to 'yes'
+   * Sent when a confirmed attendee drops out or the event's capacity is raised
+   * @param {Object} params - Template parameters
+   * @param {string} params.gameName - Name of the game
+   * @param {string} params.groupName - Name of the group
+   * @param {string} params.eventDate - Event start date
+   * @param {string} params.recipientName - Recipient display name
+   * @param {string} params.eventUrl - URL to the event detail page
+   * @param {string} [params.timezone] - IANA timezone string for display
+   * @returns {{html: string, text: string}} Email content
+   */
+  generateWaitlistPromotedEmailTemplate({ gameName, groupName, eventDate, recipientName, eventUrl, timezone }) {
+    const formattedDate = this.formatEventDate(eventDate, timezone);
+
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background-color: #10B981; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+    .content { background-color: #f9fafb; padding: 30px; border-radius: 0 0 5px 5px; }
+    .event-details { background-color: white; padding: 20px; margin: 20px 0; border-radius: 5px; border-left: 4px solid #10B981; }
+    .event-detail-row { margin: 10px 0; }
+    .event-detail-label { font-weight: bold; color: #6B7280; }
+    .event-detail-value { color: #111827; margin-left: 10px; }
+    .button { display: inline-block; padding: 12px 24px; background-color: #4F46E5; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+    .footer { text-align: center; color: #6B7280; font-size: 12px; margin-top: 30px; padding-top: 20px; border-top: 1px solid #E5E7EB; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>You're In!</h1>
+    </div>
+    <div class="content">
+      <p>Hi ${recipientName || 'there'},</p>
+
+      <p>A seat opened up for <strong>${gameName}</strong> on <strong>${formattedDate}</strong>. You've been moved off the waitlist and your RSVP is now <strong>yes</strong>.</p>
+
+      <div class="event-details">
+        <div class="event-detail-row">
+          <span class="event-detail-label">Game:</span>
+          <span class="event-detail-value">${gameName}</span>
+        </div>
+        <div class="event-detail-row">
+          <span class="event-detail-label">Date:</span>
+          <span class="event-detail-value">${formattedDate}</span>
+        </div>
+        <div class="event-detail-row">
+          <span class="event-detail-label">Group:</span>
+          <span class="event-detail-value">${groupName}</span>
+        </div>
+      </div>
+
+      <p>Can't make it after all? Update your RSVP so the next person on the waitlist gets the seat.</p>
+
+      <div style="text-align: center;">
+        <a href="${eventUrl}" class="button">View Event</a>
+      </div>
+
+      <div class="footer">
+        <p>This is an automated notification from PeriodicTableTop.</p>
+        <p>You can manage your notification preferences in your <a href="${this.frontendUrl}/userProfile">profile settings</a>.</p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>
+    `.trim();
+
+    const text = `
+You're In!
+
+Hi ${recipientName || 'there'},
+
+A seat opened up for "${gameName}" on ${formattedDate}. You've been moved off the waitlist and your RSVP is now yes.
+
+Event Details:
+- Game: ${gameName}
+- Date: ${formattedDate}
+- Group: ${groupName}
+
+Can't make it after all? Update your RSVP so the next person on the waitlist gets the seat.
+
+View event: ${eventUrl}
+
+---
+This is an automated notification from PeriodicTableTop.
+You can manage your notification preferences in your profile: ${this.frontendUrl}/userProfile
+    `.trim();
+
+    return { html, text };
+  }
+
+  /**
+   * Email announcing badges a member just earned in a group.
+   * @param {Object} params
+   * @param {string} [params.recipientName]
+   * @param {string} params.groupName
+   * @param {Array<{name: string, description: string}>} params.achievements
+   * @param {string} params.achievementsUrl
+   * @returns {{html: string, text: string}}
+   */
+  generateAchievementEarnedEmailTemplate({ recipientName, groupName, achievements, achievementsUrl }) {
+    const safeGroup = this.escapeHtml(groupName);
+    const heading = achievements.length === 1 ? 'Badge Unlocked!' : `${achievements.length} Badges Unlocked!`;
+
+    const badgeRows = achievements.map(a => `
+        <div class="event-detail-row">
+          <span class="event-detail-label">${this.escapeHtml(a.name)}</span>
+          <span class="event-detail-value">${this.escapeHtml(a.description)}</span>
+        </div>`).join('');
+
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background-color: #F59E0B; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+    .content { background-color: #f9fafb; padding: 30px; border-radius: 0 0 5px 5px; }
+    .event-details { background-color: white; padding: 20px; margin: 20px 0; border-radius: 5px; border-left: 4px solid #F59E0B; }
+    .event-detail-row { margin: 10px 0; }
+    .event-detail-label { font-weight: bold; color: #6B7280; }
+    .event-detail-value { color: #111827; margin-left: 10px; }
+    .button { display: inline-block; padding: 12px 24px; background-color: #4F46E5; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+    .footer { text-align: center; color: #6B7280; font-size: 12px; margin-top: 30px; padding-top: 20px; border-top: 1px solid #E5E7EB; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>${heading}</h1>
+    </div>
+    <div class="content">
+      <p>Hi ${this.escapeHtml(recipientName) || 'there'},</p>
+
+      <p>Your last game night with <strong>${safeGroup}</strong> earned you something new:</p>
+
+      <div class="event-details">${badgeRows}
+      </div>
+
+      <div style="text-align: center;">
+        <a href="${achievementsUrl}" class="button">See Your Badges</a>
+      </div>
+
+      <div class="footer">
+        <p>This is an automated notification from PeriodicTableTop.</p>
+        <p>You can manage your notification preferences in your <a href="${this.frontendUrl}/userProfile">profile settings</a>.</p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>
+    `.trim();
+
+    const text = `
+${heading}
+
+Hi ${recipientName || 'there'},
+
+Your last game night with ${groupName} earned you something new:
+
+${achievements.map(a => `- ${a.name}: ${a.description}`).join('\n')}
+
+See your badges: ${achievementsUrl}
+
+---
+This is an automated notification from PeriodicTableTop.
+You can manage your notification preferences in your profile: ${this.frontendUrl}/userProfile
+    `.trim();
+
+    return { html, text };
+  }
+
+  // ============================================
+  // Ballot Closed Email
+  // ============================================
+
+  generateBallotClosedEmailTemplate({ recipientName, groupName, outcome, gameName, tiedNames = [], totalBallots, quorum, eventUrl }) {
+    const tieNotes = {
+      random: 'The top games were tied, so the winner was drawn at random.',
+      group_rating: 'The top games were tied, so the one your group rates highest won.',
+    };
+    // Built twice: with <strong> names for HTML, bare for the text part
+    const describe = (em) => {
+      if (gameName) return `The votes are in for ${em(groupName)}: you're playing ${em(gameName)}.`;
+      if (outcome === 'tie') {
+        return `Voting for ${em(groupName)} ended in a tie between ${tiedNames.map(em).join(' and ')}. The organizer will pick the game.`;
+      }
+      if (outcome === 'all_vetoed') {
+        return `Every game on the ${em(groupName)} ballot was vetoed, so the organizer will pick something else.`;
+      }
+      if (outcome === 'no_quorum') {
+        return `Voting for ${em(groupName)} closed with ${totalBallots} of the ${quorum} votes needed, so the organizer will pick the game.`;
+      }
+      return `Voting for ${em(groupName)} closed without any votes, so the organizer will pick the game.`;
+    };
+    const summary = describe(name => `<strong>${this.escapeHtml(name)}</strong>`);
+    const note = tieNotes[outcome] || '';
+
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background-color: #4F46E5; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+    .content { background-color: #f9fafb; padding: 30px; border-radius: 0 0 5px 5px; }
+    .button { display: inline-block; padding: 12px 24px; background-color: #4F46E5; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+    .footer { text-align: center; color: #6B7280; font-size: 12px; margin-top: 30px; padding-top: 20px; border-top: 1px solid #E5E7EB; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>Voting Closed</h1>
+    </div>
+    <div class="content">
+      <p>Hi ${this.escapeHtml(recipientName) || 'there'},</p>
+
+      <p>${summary}</p>
+${note ? `
+      <p>${note}</p>
+` : ''}
+      <div style="text-align: center;">
+        <a href="${eventUrl}" class="button">View Game Night</a>
+      </div>
+
+      <div class="footer">
+        <p>This is an automated notification from PeriodicTableTop.</p>
+        <p>You can manage your notification preferences in your <a href="${this.frontendUrl}/userProfile">profile settings</a>.</p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>
+    `.trim();
+
+    const text = `
+Voting Closed
+
+Hi ${recipientName || 'there'},
+
+${describe(name => name)}
+${note ? `\n${note}\n` : ''}
+View game night: ${eventUrl}
+
 ---
 This is an automated notification from PeriodicTableTop.
 You can manage your notification preferences in your profile: ${this.frontendUrl}/userProfile
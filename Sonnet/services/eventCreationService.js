@@ -13,6 +13,7 @@ const {
 } = require('../models');
 const emailService = require('./emailService');
 const tentativeHoldService = require('./tentativeHoldService');
+const hostRotationService = require('./hostRotationService');
 
 /**
  * Calculate duration in minutes between two dates
@@ -95,6 +96,8 @@ function formatTimeForEmail(date, timezone) {
  * @param {Object} options - Optional configuration
  * @param {string} [options.comments] - Override comments for the event
  * @param {boolean} [options.sendEmails=true] - Whether to send confirmation emails
+ * @param {string} [options.hostUserId] - User.id (UUID) of the host; the result's
+ *   event.suggested_host is the least-recently-hosted participant either way
  * @returns {Promise<{success: boolean, event_id?: string, message: string, event?: Object}>}
  */
 async function convertSuggestionToEvent(suggestionId, creatorUserId, options = {}) {
@@ -156,13 +159,25 @@ async function convertSuggestionToEvent(suggestionId, creatorUserId, options = {
       prompt.custom_message ||
       'Created from availability poll';
 
+    if (options.hostUserId) {
+      const hostError = await hostRotationService.validateHost(options.hostUserId, prompt.group_id);
+      if (hostError) {
+        await transaction.rollback();
+        return {
+          success: false,
+          message: hostError
+        };
+      }
+    }
+
     const event = await Event.create({
       group_id: prompt.group_id,
       game_id: prompt.game_id,
       start_date: suggestion.suggested_start,
       duration_minutes: durationMinutes,
       status: 'scheduled',
-      comments: eventComments
+      comments: eventComments,
+      host_user_id: options.hostUserId || null
     }, { transaction });
 
     // 4. Fetch users from participant_user_ids
@@ -192,6 +207,12 @@ async function convertSuggestionToEvent(suggestionId, creatorUserId, options = {
       );
     }
 
+    // 5b. Host rotation: whose turn it is among the available participants
+    const suggestedHost = await hostRotationService.suggestHost(prompt.group_id, users, {
+      excludeEventId: event.id,
+      transaction
+    });
+
     // 6. Mark suggestion as converted
     await suggestion.update(
       { converted_to_event_id: event.id },
@@ -234,7 +255,9 @@ async function convertSuggestionToEvent(suggestionId, creatorUserId, options = {
         start_date: event.start_date,
         duration_minutes: event.duration_minutes,
         status: event.status,
-        participant_count: users.length
+        participant_count: users.length,
+        host_user_id: event.host_user_id,
+        suggested_host: suggestedHost
       }
     };
 
@@ -0,0 +1,221 @@
+// services/eventNotificationService.js
+// Cancellation and date-change notices for members who RSVPed yes or maybe.
+//
+// Shared by the single-event routes (routes/events.js PUT + DELETE) and the
+// series flows in services/eventSeriesService.js, so a cancelled series or a
+// re-timed occurrence reaches attendees exactly like a one-off edit does.
+// Lifecycle gates (MAIL-05) stay with the callers; these functions only
+// resolve recipients and dispatch.
+//
+// Recipients are loaded before returning, so callers may destroy the RSVPs
+// right afterwards. The sends themselves are fire-and-forget.
+
+const { Op } = require('sequelize');
+const { EventRsvp, Game, Group, User } = require('../models');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+
+const frontendUrl = () => process.env.FRONTEND_URL || process.env.AUTH0_BASE_URL || 'http://localhost:3000';
+
+// Format dateTime for SMS templates (recipient's timezone, 12h with TZ).
+// Email templates format their own time internally via formatEventTime12h (MAIL-04).
+const formatSmsDateTime = (date, timeZone) => new Date(date).toLocaleDateString('en-US', {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  hour12: true,
+  timeZone,
+  timeZoneName: 'short',
+});
+
+/**
+ * Members who RSVPed yes or maybe, merged into one entry per user with
+ * `_emailEligible` / `_smsEligible` flags (same dedup as event creation).
+ * @param {string} eventId
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadRsvpRecipients(eventId) {
+  const rsvpMembers = await EventRsvp.findAll({
+    where: {
+      event_id: eventId,
+      status: { [Op.in]: ['yes', 'maybe'] },
+    },
+    include: [{
+      model: User,
+      attributes: ['id', 'user_id', 'username', 'email', 'email_notifications_enabled', 'sms_enabled', 'phone', 'phone_verified', 'notification_preferences', 'timezone'],
+    }],
+  });
+
+  const rsvpUsers = rsvpMembers.filter(r => r.User).map(r => r.User);
+
+  // Email recipients: RSVP'd users with a real (non-Auth0-placeholder) address
+  const emailRecipients = rsvpUsers.filter(user => {
+    const hasValidEmail = user.email && !user.email.includes('@auth0.local') && !user.email.includes('@auth0');
+    return hasValidEmail && user.email_notifications_enabled !== false;
+  });
+
+  // SMS recipients: RSVP'd users with SMS enabled
+  const smsRecipients = rsvpUsers.filter(user => user.sms_enabled && user.phone);
+
+  const recipientMap = new Map();
+  emailRecipients.forEach(u => recipientMap.set(u.user_id, { ...u.dataValues, _emailEligible: true }));
+  smsRecipients.forEach(u => {
+    if (recipientMap.has(u.user_id)) {
+      recipientMap.get(u.user_id)._smsEligible = true;
+    } else {
+      recipientMap.set(u.user_id, { ...u.dataValues, _smsEligible: true });
+    }
+  });
+  return Array.from(recipientMap.values());
+}
+
+/**
+ * Tell yes/maybe attendees that an event was cancelled. Call before the
+ * event's RSVPs are destroyed. Never throws.
+ * @param {Object} event - Event instance (id, group_id, game_id, start_date)
+ * @returns {Promise<number>} recipients notified
+ */
+async function notifyEventCancelled(event) {
+  try {
+    const recipients = await loadRsvpRecipients(event.id);
+    if (recipients.length === 0) return 0;
+
+    const game = await Game.findByPk(event.game_id, { attributes: ['name'] });
+    const group = await Group.findByPk(event.group_id, { attributes: ['id', 'name'] });
+    const groupUrl = `${frontendUrl()}/groupHomePage?id=${group?.id || event.group_id}`;
+
+    const notifyPromises = notificationService.sendToMany(recipients, 'event_cancelled', (user) => {
+      const recipientTz = user.timezone || 'UTC';
+
+      // emailParams: ONLY set for email-eligible users
+      let emailParams = null;
+      if (user._emailEligible && user.email) {
+        const { html, text } = emailService.generateCancellationEmailTemplate({
+          gameName: game?.name || 'Game Session',
+          groupName: group?.name || '',
+          eventDate: event.start_date,
+          recipientName: user.username,
+          groupUrl,
+          timezone: recipientTz,
+        });
+
+        emailParams = {
+          to: user.email,
+          subject: `Cancelled: ${game?.name || 'Game Session'} - ${group?.name || ''}`,
+          html,
+          text,
+          groupName: group?.name || ''
+        };
+      }
+
+      return {
+        emailParams,
+        // eventId required for SentNotification logging (notificationService.js:97).
+        // Cancellation rows will be filtered out by the webhook lookup (which
+        // excludes cancelled events), but writing them keeps dispatch logic
+        // uniform across the three event-lifecycle SMS types.
+        eventId: event.id,
+        data: {
+          eventName: game?.name || 'Game Night',
+          groupName: group?.name || '',
+          dateTime: formatSmsDateTime(event.start_date, recipientTz),
+          rsvpPrompt: false  // cancellation SMS does NOT include RSVP prompt
+        }
+      };
+    });
+
+    // Fire-and-forget: don't block deletion on notification sends
+    Promise.allSettled([notifyPromises]).catch(err => {
+      console.error('Error sending cancellation notifications (non-fatal):', err.message);
+    });
+    return recipients.length;
+  } catch (error) {
+    console.error('Error sending cancellation notifications (non-fatal):', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Tell yes/maybe attendees that an event moved to a new date. Never throws.
+ * @param {Object} event - Event instance (id, group_id, game_id, duration_minutes)
+ * @param {Object} params
+ * @param {Date|string} params.newStartDate
+ * @param {number} [params.durationMinutes]
+ * @param {Object} [params.game] - already-loaded Game ({ name }), if any
+ * @returns {Promise<number>} recipients notified
+ */
+async function notifyEventDateChanged(event, { newStartDate, durationMinutes, game } = {}) {
+  try {
+    const recipients = await loadRsvpRecipients(event.id);
+    if (recipients.length === 0) return 0;
+
+    // Lazy require: routes/rsvp owns the signed RSVP link format
+    const { generateRsvpUrl } = require('../routes/rsvp');
+    const baseUrl = frontendUrl();
+    const eventUrl = `${baseUrl}/gameDetail?event_id=${event.id}&group_id=${event.group_id}`;
+    const eventGame = game || await Game.findByPk(event.game_id, { attributes: ['name'] });
+    const group = await Group.findByPk(event.group_id, { attributes: ['name'] });
+
+    const notifyPromises = notificationService.sendToMany(recipients, 'event_updated', (user) => {
+      const recipientTz = user.timezone || 'UTC';
+
+      // emailParams: ONLY set for email-eligible users
+      let emailParams = null;
+      if (user._emailEligible && user.email) {
+        const rsvpUrls = {
+          yesUrl: generateRsvpUrl(baseUrl, event.id, user.user_id, 'yes'),
+          maybeUrl: generateRsvpUrl(baseUrl, event.id, user.user_id, 'maybe'),
+          noUrl: generateRsvpUrl(baseUrl, event.id, user.user_id, 'no'),
+        };
+
+        const { html, text } = emailService.generateDateChangeEmailTemplate({
+          gameName: eventGame?.name || 'Game Session',
+          groupName: group?.name || '',
+          newDate: newStartDate,
+          durationMinutes: durationMinutes || event.duration_minutes || 60,
+          eventUrl,
+          recipientName: user.username,
+          rsvpUrls,
+          timezone: recipientTz,
+        });
+
+        emailParams = {
+          to: user.email,
+          subject: `Date Changed: ${eventGame?.name || 'Game Session'} - ${group?.name || ''}`,
+          html,
+          text,
+          groupName: group?.name || ''
+        };
+      }
+
+      return {
+        emailParams,
+        // eventId required for SentNotification logging (notificationService.js:97).
+        eventId: event.id,
+        data: {
+          eventName: eventGame?.name || 'Game Night',
+          groupName: group?.name || '',
+          dateTime: formatSmsDateTime(newStartDate, recipientTz),
+          eventUrl,
+          rsvpPrompt: false  // update SMS does NOT include RSVP prompt
+        }
+      };
+    });
+
+    Promise.allSettled([notifyPromises]).catch(err => {
+      console.error('Error sending update notifications (non-fatal):', err.message);
+    });
+    return recipients.length;
+  } catch (error) {
+    console.error('Error sending date-change notifications (non-fatal):', error.message);
+    return 0;
+  }
+}
+
+module.exports = {
+  loadRsvpRecipients,
+  notifyEventCancelled,
+  notifyEventDateChanged,
+};
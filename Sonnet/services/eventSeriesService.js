@@ -0,0 +1,615 @@
+// services/eventSeriesService.js
+// Recurring game-night series: rule expansion, occurrence generation, and
+// the "this occurrence" / "all future occurrences" / cancel flows.
+//
+// Occurrences are materialized as ordinary Event rows (status 'scheduled')
+// so every existing surface -- RSVPs, brings, ballots, reminders, GCal --
+// works on them unchanged. The generator is idempotent: the
+// (series_id, series_occurrence_date) pair is unique, and a slot that was
+// deleted is recorded in EventSeries.exceptions so it is never recreated.
+//
+// Called from:
+//   - routes/eventSeries.js          (create / skip / cancel)
+//   - routes/events.js PUT + DELETE  (scope=future, exception bookkeeping)
+//   - schedulers/seriesScheduler.js  (rolling horizon top-up)
+
+const { Op } = require('sequelize');
+const {
+  Event,
+  EventSeries,
+  EventRsvp,
+  EventParticipation,
+  EventAuditLog,
+  sequelize,
+} = require('../models');
+const eventNotificationService = require('./eventNotificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FIFTEEN_MIN_MS = 15 * 60 * 1000;
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const SERIES_TEMPLATE_FIELDS = ['duration_minutes', 'game_id', 'comments'];
+
+// ============================================
+// Date-only helpers ('YYYY-MM-DD' strings, calendar arithmetic in UTC)
+// ============================================
+
+function parseDateOnly(dateStr) {
+  const [y, m, d] = String(dateStr).slice(0, 10).split('-').map(Number);
+  return Date.UTC(y, m - 1, d);
+}
+
+function formatDateOnly(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function addDays(dateStr, days) {
+  return formatDateOnly(parseDateOnly(dateStr) + days * DAY_MS);
+}
+
+function weekdayOf(dateStr) {
+  return new Date(parseDateOnly(dateStr)).getUTCDay();
+}
+
+/**
+ * Date of the nth weekday in a month, or null when it does not exist
+ * (e.g. a 5th Thursday). n = -1 means the last such weekday.
+ *
+ * @param {number} year
+ * @param {number} monthIndex - 0-11
+ * @param {number} weekday - 0 (Sunday) - 6 (Saturday)
+ * @param {number} n - 1-4, or -1 for last
+ * @returns {string|null} 'YYYY-MM-DD'
+ */
+function nthWeekdayOfMonth(year, monthIndex, weekday, n) {
+  if (n === -1) {
+    const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0));
+    const back = (lastDay.getUTCDay() - weekday + 7) % 7;
+    return formatDateOnly(lastDay.getTime() - back * DAY_MS);
+  }
+  const firstDay = new Date(Date.UTC(year, monthIndex, 1));
+  const forward = (weekday - firstDay.getUTCDay() + 7) % 7;
+  const day = 1 + forward + (n - 1) * 7;
+  const candidate = new Date(Date.UTC(year, monthIndex, day));
+  if (candidate.getUTCMonth() !== monthIndex) return null;
+  return formatDateOnly(candidate.getTime());
+}
+
+// ============================================
+// Timezone helpers (Intl offset measurement -- same approach as
+// availabilityService.localToUtc, but minute-precision)
+// ============================================
+
+function zonedParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  const get = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second'),
+  };
+}
+
+function getTimezoneOffsetMs(date, timezone) {
+  const p = zonedParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock local date + time in `timezone` to a UTC Date.
+ * Re-measures the offset at the candidate instant so DST transitions land on
+ * the correct side.
+ *
+ * @param {string} dateStr - 'YYYY-MM-DD'
+ * @param {string} timeStr - 'HH:MM'
+ * @param {string} timezone - IANA timezone
+ * @returns {Date}
+ */
+function zonedTimeToUtc(dateStr, timeStr, timezone) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const [hh, mm] = timeStr.split(':').map(Number);
+  const naive = Date.UTC(y, m - 1, d, hh, mm);
+  const firstOffset = getTimezoneOffsetMs(new Date(naive), timezone);
+  let utc = naive - firstOffset;
+  const secondOffset = getTimezoneOffsetMs(new Date(utc), timezone);
+  if (secondOffset !== firstOffset) {
+    utc = naive - secondOffset;
+  }
+  return new Date(utc);
+}
+
+/**
+ * Local date / time / weekday of a UTC instant in `timezone`.
+ * @param {Date} date
+ * @param {string} timezone
+ * @returns {{ date: string, time: string, weekday: number }}
+ */
+function utcToZoned(date, timezone) {
+  const p = zonedParts(date, timezone);
+  const dateStr = `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+  return {
+    date: dateStr,
+    time: `${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`,
+    weekday: weekdayOf(dateStr),
+  };
+}
+
+// ============================================
+// Rule expansion (pure)
+// ============================================
+
+/**
+ * Expand a series rule into concrete occurrences between two local dates.
+ * Honors starts_on, until and exceptions. Biweekly parity is anchored on the
+ * first matching weekday on/after starts_on, so the window never shifts it.
+ *
+ * @param {Object} series - EventSeries instance or plain object
+ * @param {Object} range
+ * @param {string} range.from - inclusive 'YYYY-MM-DD'
+ * @param {string} range.to - inclusive 'YYYY-MM-DD'
+ * @returns {Array<{ occurrenceDate: string, startUtc: Date }>}
+ */
+function expandOccurrences(series, { from, to }) {
+  const startsOn = String(series.starts_on).slice(0, 10);
+  const lower = from > startsOn ? from : startsOn;
+  const until = series.until ? String(series.until).slice(0, 10) : null;
+  const upper = until && until < to ? until : to;
+  if (lower > upper) return [];
+
+  const exceptions = new Set(series.exceptions || []);
+  const timezone = series.timezone || 'UTC';
+  const dates = [];
+
+  if (series.frequency === 'monthly') {
+    const upperMs = parseDateOnly(upper);
+    const cursor = new Date(parseDateOnly(startsOn));
+    let year = cursor.getUTCFullYear();
+    let month = cursor.getUTCMonth();
+    while (Date.UTC(year, month, 1) <= upperMs) {
+      const date = nthWeekdayOfMonth(year, month, series.by_weekday, series.week_of_month || 1);
+      if (date && date >= lower && date <= upper) dates.push(date);
+      month += 1;
+      if (month === 12) {
+        month = 0;
+        year += 1;
+      }
+    }
+  } else {
+    const stepDays = series.frequency === 'biweekly' ? 14 : 7;
+    const anchorOffset = (series.by_weekday - weekdayOf(startsOn) + 7) % 7;
+    let date = addDays(startsOn, anchorOffset);
+    if (date < lower) {
+      // Jump close to the window instead of walking every step from starts_on.
+      const gapDays = Math.round((parseDateOnly(lower) - parseDateOnly(date)) / DAY_MS);
+      date = addDays(date, Math.floor(gapDays / stepDays) * stepDays);
+    }
+    while (date <= upper) {
+      if (date >= lower) dates.push(date);
+      date = addDays(date, stepDays);
+    }
+  }
+
+  return dates
+    .filter(date => !exceptions.has(date))
+    .map(date => ({
+      occurrenceDate: date,
+      startUtc: zonedTimeToUtc(date, series.start_time, timezone),
+    }));
+}
+
+/**
+ * Render the series rule as an RFC 5545 RRULE value
+ * (e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=TH").
+ * @param {Object} series
+ * @returns {string}
+ */
+function toRrule(series) {
+  const parts = [];
+  if (series.frequency === 'monthly') {
+    parts.push('FREQ=MONTHLY');
+    parts.push(`BYDAY=${series.week_of_month || 1}${WEEKDAY_CODES[series.by_weekday]}`);
+  } else {
+    parts.push('FREQ=WEEKLY');
+    if (series.frequency === 'biweekly') parts.push('INTERVAL=2');
+    parts.push(`BYDAY=${WEEKDAY_CODES[series.by_weekday]}`);
+  }
+  if (series.until) {
+    // UNTIL must be UTC when DTSTART carries a TZID; use the last local minute.
+    const untilUtc = zonedTimeToUtc(String(series.until).slice(0, 10), '23:59', series.timezone || 'UTC');
+    parts.push(`UNTIL=${untilUtc.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  }
+  return parts.join(';');
+}
+
+/**
+ * Which "nth weekday" slot a local date falls in: 1-4, or -1 when it is the
+ * last such weekday and the rule asked for "last" (or it is a 5th weekday).
+ * @param {string} dateStr
+ * @param {number|null} previous - the series' prior week_of_month
+ * @returns {number}
+ */
+function weekOfMonthFor(dateStr, previous) {
+  const day = parseInt(dateStr.slice(8, 10), 10);
+  const ms = parseDateOnly(dateStr);
+  const d = new Date(ms);
+  const daysInMonth = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  const isLast = day + 7 > daysInMonth;
+  const nth = Math.ceil(day / 7);
+  if (nth === 5 || (isLast && previous === -1)) return -1;
+  return nth;
+}
+
+// ============================================
+// Persistence flows
+// ============================================
+
+/**
+ * Materialize missing occurrences from today through today + horizon_days.
+ * Safe to call repeatedly; existing slots and exceptions are skipped, and the
+ * bulk insert ignores unique-index conflicts from a concurrent run.
+ *
+ * @param {Object} series - EventSeries instance
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {Object} [options.transaction]
+ * @returns {Promise<{ created: number, skipped: number }>}
+ */
+async function generateOccurrences(series, { now = new Date(), transaction } = {}) {
+  if (series.status !== 'active') return { created: 0, skipped: 0 };
+
+  const today = utcToZoned(now, series.timezone || 'UTC').date;
+  const horizonEnd = addDays(today, series.horizon_days || 56);
+  const occurrences = expandOccurrences(series, { from: today, to: horizonEnd })
+    .filter(o => o.startUtc.getTime() > now.getTime());
+
+  let created = 0;
+  if (occurrences.length > 0) {
+    const existing = await Event.findAll({
+      where: {
+        series_id: series.id,
+        series_occurrence_date: { [Op.in]: occurrences.map(o => o.occurrenceDate) },
+      },
+      attributes: ['series_occurrence_date'],
+      transaction,
+    });
+    const existingDates = new Set(existing.map(e => String(e.series_occurrence_date).slice(0, 10)));
+    const rows = occurrences
+      .filter(o => !existingDates.has(o.occurrenceDate))
+      .map(o => ({
+        group_id: series.group_id,
+        game_id: series.game_id || null,
+        start_date: o.startUtc,
+        duration_minutes: series.duration_minutes,
+        comments: series.comments,
+        custom_participants: [],
+        is_group_win: false,
+        status: 'scheduled',
+        series_id: series.id,
+        series_occurrence_date: o.occurrenceDate,
+      }));
+    if (rows.length > 0) {
+      const attempted = await Event.bulkCreate(rows, { ignoreDuplicates: true, transaction });
+      // ignoreDuplicates skips slots a concurrent run inserted first without
+      // saying which. Ids are generated client-side, so count the ones that
+      // actually landed.
+      created = await Event.count({ where: { id: { [Op.in]: attempted.map(e => e.id) } }, transaction });
+    }
+  }
+
+  await series.update({ generated_through: horizonEnd }, { transaction });
+  return { created, skipped: occurrences.length - created };
+}
+
+/**
+ * Add a local date to the series' exception list (EXDATE) so the generator
+ * never recreates that slot. No-op when already present.
+ *
+ * @param {Object} series - EventSeries instance
+ * @param {string} occurrenceDate - 'YYYY-MM-DD'
+ * @param {Object} [options]
+ * @param {Object} [options.transaction]
+ */
+async function recordException(series, occurrenceDate, { transaction } = {}) {
+  const date = String(occurrenceDate).slice(0, 10);
+  const current = series.exceptions || [];
+  if (current.includes(date)) return;
+  // Assign a fresh array -- Sequelize does not detect in-place JSONB mutation.
+  await series.update({ exceptions: [...current, date].sort() }, { transaction });
+}
+
+/**
+ * Remove one materialized occurrence through the same path DELETE
+ * /api/events/:id uses: cancellation notices to yes/maybe RSVPs (same
+ * MAIL-05 window as the route), audit-log row, per-attendee GCal cleanup
+ * enqueue (BEFORE participations are destroyed), then RSVP / participation /
+ * event destroy.
+ *
+ * @param {Object} event - Event instance
+ * @param {Object} params
+ * @param {string} params.actorUserId - Auth0 user_id string
+ * @param {string} params.action - EventAuditLog action ('cancel_series', 'skip_occurrence', ...)
+ * @param {Date} [params.now]
+ */
+async function teardownOccurrence(event, { actorUserId, action, now = new Date() }) {
+  const nowMs = now.getTime();
+  const startMs = event.start_date ? new Date(event.start_date).getTime() : 0;
+  const wasAfterStart = startMs > 0 && nowMs >= startMs;
+  const cancellationEmailsAllowed = startMs === 0 || nowMs < startMs + FIFTEEN_MIN_MS;
+
+  if (cancellationEmailsAllowed) {
+    await eventNotificationService.notifyEventCancelled(event);
+  }
+
+  try {
+    await EventAuditLog.create({
+      event_id: event.id,
+      group_id: event.group_id,
+      actor_user_id: actorUserId,
+      action,
+      was_after_start: wasAfterStart,
+      was_within_15min_grace: wasAfterStart && nowMs < startMs + FIFTEEN_MIN_MS,
+      suppressed_email: !cancellationEmailsAllowed,
+      event_snapshot: {
+        id: event.id,
+        group_id: event.group_id,
+        game_id: event.game_id,
+        start_date: event.start_date,
+        duration_minutes: event.duration_minutes,
+        location: event.location || null,
+        comments: event.comments || null,
+        series_id: event.series_id,
+        series_occurrence_date: event.series_occurrence_date,
+      },
+    });
+  } catch (auditErr) {
+    console.error(`[eventSeriesService:${action}] audit log write failed (non-fatal):`, auditErr.message);
+  }
+
+  try {
+    // Lazy-require: gcalCleanupService opens a Redis connection at import.
+    const { enqueueCleanupJobsForEvent } = require('./gcalCleanupService');
+    await enqueueCleanupJobsForEvent({ eventId: event.id });
+  } catch (gcalEnqueueErr) {
+    console.error(`[eventSeriesService:${action}] GCal cleanup enqueue failed (non-fatal):`, gcalEnqueueErr.message);
+  }
+
+  await EventRsvp.destroy({ where: { event_id: event.id } });
+  await EventParticipation.destroy({ where: { event_id: event.id } });
+  await event.destroy();
+}
+
+/**
+ * Patch attendees' calendar entries for occurrences rewritten by a series
+ * edit, as PUT /api/events/:id does for the edited event itself. Non-fatal.
+ *
+ * @param {Array<Object>} occurrences - updated Event instances
+ */
+async function enqueueCalendarUpdates(occurrences) {
+  if (occurrences.length === 0) return;
+  try {
+    // Lazy-require: gcalCleanupService opens a Redis connection at import.
+    const { enqueueUpdateJobsForEvent } = require('./gcalCleanupService');
+    for (const occurrence of occurrences) {
+      await enqueueUpdateJobsForEvent({ eventId: occurrence.id, version: occurrence.updatedAt });
+    }
+  } catch (gcalEnqueueErr) {
+    console.error('[eventSeriesService:future] GCal update enqueue failed (non-fatal):', gcalEnqueueErr.message);
+  }
+}
+
+/**
+ * Cancel a series: tear down every occurrence that has not started yet and
+ * stop generation. Past occurrences stay as history.
+ *
+ * @param {Object} series - EventSeries instance
+ * @param {Object} params
+ * @param {string} params.actorUserId
+ * @param {Date} [params.now]
+ * @returns {Promise<{ cancelled: number }>}
+ */
+async function cancelSeries(series, { actorUserId, now = new Date() }) {
+  const upcoming = await Event.findAll({
+    where: {
+      series_id: series.id,
+      start_date: { [Op.gt]: now },
+    },
+  });
+
+  await series.update({ status: 'cancelled' });
+
+  for (const occurrence of upcoming) {
+    await teardownOccurrence(occurrence, { actorUserId, action: 'cancel_series', now });
+  }
+
+  return { cancelled: upcoming.length };
+}
+
+/**
+ * Skip a single slot: record the exception and, if that slot was already
+ * materialized and has not started, tear it down.
+ *
+ * @param {Object} series - EventSeries instance
+ * @param {string} occurrenceDate - 'YYYY-MM-DD'
+ * @param {Object} params
+ * @param {string} params.actorUserId
+ * @param {Date} [params.now]
+ * @returns {Promise<{ removed: boolean }>}
+ */
+async function skipOccurrence(series, occurrenceDate, { actorUserId, now = new Date() }) {
+  await recordException(series, occurrenceDate);
+
+  const occurrence = await Event.findOne({
+    where: { series_id: series.id, series_occurrence_date: occurrenceDate },
+  });
+  if (!occurrence || new Date(occurrence.start_date).getTime() <= now.getTime()) {
+    return { removed: false };
+  }
+  await teardownOccurrence(occurrence, { actorUserId, action: 'skip_occurrence', now });
+  return { removed: true };
+}
+
+/**
+ * "Edit all future occurrences" for PUT /api/events/:id?scope=future.
+ * `event` has already been updated by the route with the new values.
+ *
+ * - Template-only changes (duration, game, comments) are written to the series
+ *   and to every later, non-detached, not-yet-started occurrence in place.
+ * - Every occurrence whose time or template fields changed gets the same GCal
+ *   update jobs a single-event edit enqueues.
+ * - A start_date change splits the series RFC-style: the old rule ends the day
+ *   before this occurrence and a new rule starts on the new local date/time.
+ *   Later occurrences are re-timed onto the new rule in order (keeping their
+ *   RSVPs, who get the usual date-change notice); any the new rule has no
+ *   slot for are torn down, and the generator fills the rest of the horizon.
+ *
+ * @param {Object} params
+ * @param {Object} params.event - updated Event instance (must have series_id)
+ * @param {Date|string} params.oldStartDate - start_date before the update
+ * @param {Object} params.changes - subset of { start_date, duration_minutes, game_id, comments }
+ * @param {string} params.actorUserId
+ * @param {Date} [params.now]
+ * @returns {Promise<{ series_id: string, split: boolean, updated: number, removed: number }>}
+ */
+async function applyToFutureOccurrences({ event, oldStartDate, changes, actorUserId, now = new Date() }) {
+  const series = await EventSeries.findByPk(event.series_id);
+  if (!series) return { series_id: null, split: false, updated: 0, removed: 0 };
+
+  const templateUpdates = {};
+  for (const field of SERIES_TEMPLATE_FIELDS) {
+    if (changes[field] !== undefined) templateUpdates[field] = changes[field];
+  }
+
+  const later = await Event.findAll({
+    where: {
+      series_id: series.id,
+      series_occurrence_date: { [Op.gt]: event.series_occurrence_date },
+      is_series_exception: false,
+      start_date: { [Op.gt]: now },
+    },
+    order: [['series_occurrence_date', 'ASC']],
+  });
+
+  const timingChanged = changes.start_date !== undefined &&
+    new Date(changes.start_date).getTime() !== new Date(oldStartDate).getTime();
+
+  if (!timingChanged) {
+    await sequelize.transaction(async (t) => {
+      await series.update(templateUpdates, { transaction: t });
+      await event.update({ is_series_exception: false }, { transaction: t });
+      for (const occurrence of later) {
+        await occurrence.update(templateUpdates, { transaction: t });
+      }
+    });
+    if (Object.keys(templateUpdates).length > 0) {
+      await enqueueCalendarUpdates(later);
+    }
+    return { series_id: series.id, split: false, updated: later.length, removed: 0 };
+  }
+
+  const local = utcToZoned(new Date(changes.start_date), series.timezone || 'UTC');
+  const previousUntil = series.until ? String(series.until).slice(0, 10) : null;
+  const oldUntil = addDays(String(event.series_occurrence_date).slice(0, 10), -1);
+
+  const orphans = [];
+  const moved = [];
+  let newSeries;
+  await sequelize.transaction(async (t) => {
+    await series.update({ until: oldUntil }, { transaction: t });
+
+    newSeries = await EventSeries.create({
+      group_id: series.group_id,
+      created_by_user_id: actorUserId,
+      game_id: series.game_id,
+      frequency: series.frequency,
+      by_weekday: local.weekday,
+      week_of_month: series.frequency === 'monthly' ? weekOfMonthFor(local.date, series.week_of_month) : null,
+      start_time: local.time,
+      timezone: series.timezone,
+      starts_on: local.date,
+      until: previousUntil,
+      exceptions: (series.exceptions || []).filter(date => date > local.date),
+      duration_minutes: series.duration_minutes,
+      comments: series.comments,
+      horizon_days: series.horizon_days,
+      status: 'active',
+      ...templateUpdates,
+    }, { transaction: t });
+
+    await event.update({
+      series_id: newSeries.id,
+      series_occurrence_date: local.date,
+      is_series_exception: false,
+    }, { transaction: t });
+
+    // Enough runway for `later.length` slots at the sparsest (monthly) cadence.
+    const slots = expandOccurrences(newSeries, {
+      from: addDays(local.date, 1),
+      to: addDays(local.date, (later.length + 1) * 35),
+    });
+
+    for (let i = 0; i < later.length; i++) {
+      const slot = slots[i];
+      if (!slot) {
+        orphans.push(later[i]);
+        continue;
+      }
+      const previousStart = new Date(later[i].start_date).getTime();
+      await later[i].update({
+        series_id: newSeries.id,
+        series_occurrence_date: slot.occurrenceDate,
+        start_date: slot.startUtc,
+        ...templateUpdates,
+      }, { transaction: t });
+      if (new Date(slot.startUtc).getTime() !== previousStart) moved.push([later[i], slot.startUtc]);
+    }
+  });
+
+  await enqueueCalendarUpdates(Object.keys(templateUpdates).length > 0
+    ? later.filter(occurrence => !orphans.includes(occurrence))
+    : moved.map(([occurrence]) => occurrence));
+  for (const [occurrence, newStartDate] of moved) {
+    await eventNotificationService.notifyEventDateChanged(occurrence, {
+      newStartDate,
+      durationMinutes: occurrence.duration_minutes,
+    });
+  }
+
+  for (const orphan of orphans) {
+    await teardownOccurrence(orphan, { actorUserId, action: 'cancel_occurrence', now });
+  }
+  await generateOccurrences(newSeries, { now });
+
+  return {
+    series_id: newSeries.id,
+    split: true,
+    updated: later.length - orphans.length,
+    removed: orphans.length,
+  };
+}
+
+module.exports = {
+  expandOccurrences,
+  toRrule,
+  zonedTimeToUtc,
+  utcToZoned,
+  nthWeekdayOfMonth,
+  weekOfMonthFor,
+  generateOccurrences,
+  recordException,
+  teardownOccurrence,
+  cancelSeries,
+  skipOccurrence,
+  applyToFutureOccurrences,
+};
@@ -0,0 +1,152 @@
+// services/gameExpansionService.js
+// Base game <-> expansion relations (GameExpansion) and the expansions played
+// at events (EventExpansion).
+//
+// Relations come from BGG's boardgameexpansion links when a game is imported.
+// Only links to games we already have are stored; the other side's import
+// fills in the rest, since BGG lists the link from both ends.
+//
+// Lists of games (group library, a user's played games) show expansions
+// nested under their base game; an expansion whose base isn't in the list
+// stays at the top level, flagged is_expansion.
+
+const { Op } = require('sequelize');
+const { Game, GameExpansion, EventExpansion } = require('../models');
+
+/**
+ * Record an imported game's expansion relations from its BGG data. Never
+ * throws -- a game without its relations is still a usable game.
+ * @param {Object} game - Game instance
+ * @param {Object} bggData - from bggService.getGameById
+ * @returns {Promise<number>} relations linked
+ */
+async function linkFromBgg(game, bggData) {
+  try {
+    if (bggData.is_expansion && !game.is_expansion) {
+      await game.update({ is_expansion: true });
+    }
+
+    const related = bggData.is_expansion ? bggData.base_games : bggData.expansions;
+    const bggIds = (related || []).map(r => r.bgg_id);
+    if (bggIds.length === 0) return 0;
+
+    const known = await Game.findAll({
+      where: { bgg_id: { [Op.in]: bggIds } },
+      attributes: ['id'],
+      raw: true,
+    });
+    if (known.length === 0) return 0;
+
+    const rows = known.map(other => (bggData.is_expansion
+      ? { base_game_id: other.id, expansion_game_id: game.id }
+      : { base_game_id: game.id, expansion_game_id: other.id }));
+    await GameExpansion.bulkCreate(rows, { ignoreDuplicates: true });
+    if (!bggData.is_expansion) {
+      // Expansions imported before BGG data carried the flag
+      await Game.update(
+        { is_expansion: true },
+        { where: { id: { [Op.in]: known.map(k => k.id) }, is_expansion: false } }
+      );
+    }
+    return rows.length;
+  } catch (error) {
+    console.error(`[gameExpansionService] Linking expansions for game ${game.id} failed (non-fatal):`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Expansion relations among a set of games.
+ * @param {string[]} gameIds
+ * @returns {Promise<Array<{ base_game_id: string, expansion_game_id: string }>>}
+ */
+async function loadRelations(gameIds) {
+  if (gameIds.length === 0) return [];
+  return GameExpansion.findAll({
+    where: {
+      base_game_id: { [Op.in]: gameIds },
+      expansion_game_id: { [Op.in]: gameIds },
+    },
+    attributes: ['base_game_id', 'expansion_game_id'],
+    raw: true,
+  });
+}
+
+/**
+ * Nest expansions under their base games. Each game gets an `expansions`
+ * array (base games) and expansions listed under a base are dropped from the
+ * top level. An expansion with several bases in the list appears under each.
+ * Order is kept.
+ * @param {Array<Object>} games - plain objects with at least id
+ * @param {Array<Object>} relations - from loadRelations
+ * @returns {Array<Object>}
+ */
+function nestExpansions(games, relations) {
+  const byId = new Map(games.map(g => [g.id, g]));
+  const nested = new Set();
+  const expansionsOf = new Map();
+  for (const { base_game_id: baseId, expansion_game_id: expansionId } of relations) {
+    if (!byId.has(baseId) || !byId.has(expansionId) || baseId === expansionId) continue;
+    if (!expansionsOf.has(baseId)) expansionsOf.set(baseId, []);
+    expansionsOf.get(baseId).push(byId.get(expansionId));
+    nested.add(expansionId);
+  }
+
+  return games
+    .filter(g => !nested.has(g.id))
+    .map(g => ({ ...g, expansions: expansionsOf.get(g.id) || [] }));
+}
+
+/**
+ * Nest expansions in a list of games, loading the relations.
+ * @param {Array<Object>} games - plain objects with at least id
+ * @returns {Promise<Array<Object>>}
+ */
+async function withNestedExpansions(games) {
+  const relations = await loadRelations(games.map(g => g.id));
+  return nestExpansions(games, relations);
+}
+
+/**
+ * Which of the given ids aren't expansions of the base game.
+ * @param {string|null} baseGameId
+ * @param {string[]} expansionIds
+ * @returns {Promise<string[]>}
+ */
+async function invalidExpansionIds(baseGameId, expansionIds) {
+  const ids = [...new Set(expansionIds)];
+  if (ids.length === 0) return [];
+  if (!baseGameId) return ids;
+
+  const rows = await GameExpansion.findAll({
+    where: { base_game_id: baseGameId, expansion_game_id: { [Op.in]: ids } },
+    attributes: ['expansion_game_id'],
+    raw: true,
+  });
+  const valid = new Set(rows.map(r => r.expansion_game_id));
+  return ids.filter(id => !valid.has(id));
+}
+
+/**
+ * Replace the expansions recorded for an event.
+ * @param {string} eventId
+ * @param {string[]} expansionIds - already checked with invalidExpansionIds
+ * @param {Object} [options]
+ * @param {Object} [options.transaction]
+ */
+async function replaceEventExpansions(eventId, expansionIds, { transaction } = {}) {
+  await EventExpansion.destroy({ where: { event_id: eventId }, transaction });
+  const ids = [...new Set(expansionIds)];
+  if (ids.length > 0) {
+    await EventExpansion.bulkCreate(ids.map(game_id => ({ event_id: eventId, game_id })), { transaction });
+  }
+}
+
+module.exports = {
+  linkFromBgg,
+  loadRelations,
+  nestExpansions,
+  withNestedExpansions,
+  invalidExpansionIds,
+  replaceEventExpansions,
+};
@@ -4,6 +4,8 @@
 // Called from:
 //   - DELETE /api/events/:id            (this plan, 75-03)
 //   - RSVP yes->no / RSVP DELETE flow   (Plan 75-04)
+//   - PUT /api/events/:id               (`update` jobs: time, game, notes or
+//                                        location changed)
 //
 // Best-effort + non-blocking:
 //   - Never throws to the caller. The caller's primary action (event delete /
@@ -15,10 +17,15 @@
 // Job granularity:
 //   - One job per (event_id, event_participation_id) pair (CONTEXT D-JOB-GRANULARITY).
 //   - Each job carries the googleCalendarEventId in the payload so the worker
-//     does not need a second DB lookup.
+//     does not need a second DB lookup, and the calendarProvider it belongs
+//     to (null = Google; the id may be an Outlook one despite its name).
 //   - Deterministic jobId of `gcal-cleanup-${eventParticipationId}` enables
 //     BullMQ's built-in jobId-dedupe so duplicate enqueue calls (e.g. retried
 //     DELETE request, double-fired RSVP change) don't create duplicate jobs.
+//   - Update jobs can't dedupe on the participation alone -- a completed job
+//     keeps its id, so the next edit would be dropped -- so their jobId also
+//     carries the event's updatedAt. The worker reads the event fresh, so a
+//     late-running job still patches in the latest values.
 
 const { EventParticipation } = require('../models');
 const { gcalSyncQueue } = require('../queues');
@@ -42,7 +49,7 @@ async function enqueueCleanupJobsForEvent({ eventId }) {
   try {
     participations = await EventParticipation.findAll({
       where: { event_id: eventId },
-      attributes: ['id', 'event_id', 'user_id', 'google_calendar_event_id'],
+      attributes: ['id', 'event_id', 'user_id', 'google_calendar_event_id', 'calendar_provider'],
     });
   } catch (queryErr) {
     // DB unavailable — best-effort, return zeros instead of throwing.
@@ -66,6 +73,7 @@ async function enqueueCleanupJobsForEvent({ eventId }) {
           eventParticipationId: p.id,
           userId: p.user_id,
           googleCalendarEventId: p.google_calendar_event_id,
+          calendarProvider: p.calendar_provider,
         },
         { jobId: `gcal-cleanup-${p.id}` } // dedupe-on-retry safety
       );
@@ -93,6 +101,7 @@ async function enqueueCleanupJobsForEvent({ eventId }) {
  * @param {string} params.eventParticipationId
  * @param {string} params.userId
  * @param {string|null} params.googleCalendarEventId
+ * @param {string|null} [params.calendarProvider] - EventParticipation.calendar_provider
  * @returns {Promise<{ enqueued: number, skipped: number, errors?: number }>}
  */
 async function enqueueCleanupJobForAttendee({
@@ -100,6 +109,7 @@ async function enqueueCleanupJobForAttendee({
   eventParticipationId,
   userId,
   googleCalendarEventId,
+  calendarProvider,
 }) {
   if (!googleCalendarEventId) {
     return { enqueued: 0, skipped: 1 };
@@ -107,7 +117,7 @@ async function enqueueCleanupJobForAttendee({
   try {
     await gcalSyncQueue.add(
       'cleanup',
-      { eventId, eventParticipationId, userId, googleCalendarEventId },
+      { eventId, eventParticipationId, userId, googleCalendarEventId, calendarProvider },
       { jobId: `gcal-cleanup-${eventParticipationId}` }
     );
     return { enqueued: 1, skipped: 0 };
@@ -120,7 +130,66 @@ async function enqueueCleanupJobForAttendee({
   }
 }
 
+/**
+ * Enqueue per-attendee GCal update jobs after an event's time, game, notes
+ * or location changed. Same best-effort contract as the cleanup helpers:
+ * never throws, returns counters.
+ *
+ * @param {Object} params
+ * @param {string} params.eventId - Event UUID
+ * @param {Date|string|number} params.version - the event's updatedAt after the edit
+ * @returns {Promise<{ enqueued: number, skipped: number, errors: number }>}
+ */
+async function enqueueUpdateJobsForEvent({ eventId, version }) {
+  const counters = { enqueued: 0, skipped: 0, errors: 0 };
+  const versionMs = new Date(version).getTime() || Date.now();
+
+  let participations;
+  try {
+    participations = await EventParticipation.findAll({
+      where: { event_id: eventId },
+      attributes: ['id', 'event_id', 'user_id', 'google_calendar_event_id', 'calendar_provider'],
+    });
+  } catch (queryErr) {
+    console.error(
+      `[gcalCleanupService] Failed to query EventParticipations for event ${eventId} (non-fatal):`,
+      queryErr.message
+    );
+    return counters;
+  }
+
+  for (const p of participations) {
+    if (!p.google_calendar_event_id) {
+      counters.skipped++;
+      continue;
+    }
+    try {
+      await gcalSyncQueue.add(
+        'update',
+        {
+          eventId: p.event_id,
+          eventParticipationId: p.id,
+          userId: p.user_id,
+          googleCalendarEventId: p.google_calendar_event_id,
+          calendarProvider: p.calendar_provider,
+        },
+        { jobId: `gcal-update-${p.id}-${versionMs}` }
+      );
+      counters.enqueued++;
+    } catch (enqueueErr) {
+      counters.errors++;
+      console.error(
+        `[gcalCleanupService] Failed to enqueue update job for EP ${p.id} (non-fatal):`,
+        enqueueErr.message
+      );
+    }
+  }
+
+  return counters;
+}
+
 module.exports = {
   enqueueCleanupJobsForEvent,
   enqueueCleanupJobForAttendee,
+  enqueueUpdateJobsForEvent,
 };
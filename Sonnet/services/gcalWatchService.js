@@ -0,0 +1,289 @@
+// services/gcalWatchService.js
+// Google Calendar push notifications (events.watch) for members who connected
+// Google Calendar. Without them availabilityService only sees calendar changes
+// when its 60s busy cache expires, and suggestions already aggregated for an
+// open poll never notice the member booked something else.
+//
+// Lifecycle:
+//   - connect (routes/googleAuth.js callback)  -> startWatch
+//   - disconnect                               -> stopWatchesForUser
+//   - hourly (schedulers/gcalWatchScheduler.js) -> renewExpiringChannels:
+//     channels expiring within RENEW_BEFORE_MS get a replacement first, then
+//     the old one is stopped; connected members without a channel (connected
+//     before this shipped, or whose watch failed) get one
+//
+// Google POSTs to /api/webhooks/google-calendar (handleNotification) with the
+// channel id and our per-channel token in headers and no body. A change drops
+// the member's cached busy data at once and re-aggregates the open polls they
+// answered; bursts of notifications are debounced into one re-score.
+//
+// Watching needs a public HTTPS address: GCAL_WEBHOOK_URL, else the Railway
+// domain. Without either (local dev) channels are simply not opened.
+
+const crypto = require('crypto');
+const { Op, literal } = require('sequelize');
+const {
+  AvailabilityPrompt,
+  AvailabilityResponse,
+  GoogleCalendarChannel,
+  User,
+} = require('../models');
+const googleCalendarService = require('./googleCalendarService');
+const availabilityService = require('./availabilityService');
+const heatmapService = require('./heatmapService');
+
+const WATCH_TTL_SECONDS = 7 * 24 * 60 * 60; // Google caps calendar channels around a week
+const RENEW_BEFORE_MS = 24 * 60 * 60 * 1000;
+const RESCORE_DEBOUNCE_MS = 15 * 1000;
+const BACKFILL_BATCH_SIZE = 50;
+const OPEN_PROMPT_STATUSES = ['pending', 'active'];
+// Channel ids are ours (GoogleCalendarChannel.id); anything else is junk
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// user_id -> pending re-score timer
+const pendingRescores = new Map();
+
+/**
+ * Public webhook URL Google should call, or null when there is none.
+ * @returns {string|null}
+ */
+function webhookAddress() {
+  if (process.env.GCAL_WEBHOOK_URL) return process.env.GCAL_WEBHOOK_URL;
+  if (process.env.RAILWAY_PUBLIC_DOMAIN) {
+    return `https://${process.env.RAILWAY_PUBLIC_DOMAIN}/api/webhooks/google-calendar`;
+  }
+  return null;
+}
+
+const isConnected = (user) => !!(user && user.google_calendar_enabled && user.google_calendar_token);
+
+// Persist an access token the Google helper refreshed mid-call
+async function persistRefreshedToken(user, result) {
+  if (result && result._new_access_token) {
+    await user.update({ google_calendar_token: result._new_access_token });
+  }
+}
+
+/**
+ * Open a channel on the member's primary calendar.
+ * @param {Object} user - User instance with Google Calendar tokens
+ * @returns {Promise<Object|null>} GoogleCalendarChannel, or null when not
+ *   connected or there is no public webhook address
+ */
+async function startWatch(user) {
+  const address = webhookAddress();
+  if (!address || !isConnected(user)) return null;
+
+  const id = crypto.randomUUID();
+  const token = crypto.randomBytes(32).toString('hex');
+  const result = await googleCalendarService.watchCalendarEvents(
+    { id, token, address, ttlSeconds: WATCH_TTL_SECONDS },
+    user.google_calendar_token,
+    user.google_calendar_refresh_token
+  );
+  await persistRefreshedToken(user, result);
+
+  return GoogleCalendarChannel.create({
+    id,
+    user_id: user.user_id,
+    resource_id: result.resourceId,
+    token,
+    expires_at: result.expiration,
+  });
+}
+
+/**
+ * Stop a channel and forget it. The row goes even if Google can't be
+ * reached: the channel lapses on its own and notifications for unknown
+ * channels are ignored.
+ * @param {Object} channel - GoogleCalendarChannel
+ * @param {Object|null} user - Owner; without tokens only the row is removed
+ * @returns {Promise<void>}
+ */
+async function stopWatch(channel, user) {
+  if (isConnected(user)) {
+    try {
+      const result = await googleCalendarService.stopChannel(
+        { id: channel.id, resourceId: channel.resource_id },
+        user.google_calendar_token,
+        user.google_calendar_refresh_token
+      );
+      await persistRefreshedToken(user, result);
+    } catch (err) {
+      console.error(`[gcalWatchService] Could not stop channel ${channel.id} (non-fatal):`, err.message);
+    }
+  }
+  await channel.destroy();
+}
+
+/**
+ * Stop every channel of a member, e.g. before their tokens are cleared.
+ * @param {Object} user - User instance
+ * @returns {Promise<number>} Channels stopped
+ */
+async function stopWatchesForUser(user) {
+  const channels = await GoogleCalendarChannel.findAll({ where: { user_id: user.user_id } });
+  for (const channel of channels) {
+    await stopWatch(channel, user);
+  }
+  return channels.length;
+}
+
+/**
+ * Replace channels that are about to expire, drop those whose member
+ * disconnected, and open channels for connected members who have none.
+ * One member failing never blocks the others.
+ * @param {Object} [opts]
+ * @param {Date} [opts.now]
+ * @returns {Promise<{ sent: number, skipped: number }>} sent = channels opened
+ */
+async function renewExpiringChannels({ now = new Date() } = {}) {
+  if (!webhookAddress()) return { sent: 0, skipped: 0 };
+
+  let opened = 0;
+  let skipped = 0;
+
+  const expiring = await GoogleCalendarChannel.findAll({
+    where: { expires_at: { [Op.lt]: new Date(now.getTime() + RENEW_BEFORE_MS) } },
+    include: [{ model: User }],
+  });
+
+  for (const channel of expiring) {
+    try {
+      if (!isConnected(channel.User)) {
+        await channel.destroy();
+        skipped++;
+        continue;
+      }
+      // New channel first so no change slips through between the two
+      await startWatch(channel.User);
+      await stopWatch(channel, channel.User);
+      opened++;
+    } catch (err) {
+      console.error(`[gcalWatchService] Failed to renew channel ${channel.id}:`, err.message);
+      skipped++;
+    }
+  }
+
+  const watched = await GoogleCalendarChannel.findAll({ attributes: ['user_id'] });
+  const watchedUserIds = [...new Set(watched.map(c => c.user_id))];
+  const unwatchedWhere = {
+    google_calendar_enabled: true,
+    google_calendar_token: { [Op.ne]: null },
+  };
+  if (watchedUserIds.length > 0) {
+    unwatchedWhere.user_id = { [Op.notIn]: watchedUserIds };
+  }
+  // Random order so members whose watch keeps failing can't starve the rest
+  const unwatched = await User.findAll({
+    where: unwatchedWhere,
+    order: literal('RANDOM()'),
+    limit: BACKFILL_BATCH_SIZE,
+  });
+
+  for (const user of unwatched) {
+    try {
+      await startWatch(user);
+      opened++;
+    } catch (err) {
+      console.error(`[gcalWatchService] Failed to watch calendar for ${user.user_id}:`, err.message);
+      skipped++;
+    }
+  }
+
+  return { sent: opened, skipped };
+}
+
+/**
+ * Re-aggregate suggestions for every open poll the member answered.
+ * @param {string} userId - Auth0 user ID
+ * @returns {Promise<number>} Prompts re-scored
+ */
+async function rescoreOpenPrompts(userId) {
+  const responses = await AvailabilityResponse.findAll({
+    where: { user_id: userId },
+    attributes: ['prompt_id'],
+    include: [{
+      model: AvailabilityPrompt,
+      attributes: [],
+      where: { status: { [Op.in]: OPEN_PROMPT_STATUSES } },
+    }],
+  });
+
+  const promptIds = [...new Set(responses.map(r => r.prompt_id))];
+  for (const promptId of promptIds) {
+    try {
+      await heatmapService.aggregateResponses(promptId);
+    } catch (err) {
+      console.error(`[gcalWatchService] Failed to re-score prompt ${promptId}:`, err.message);
+    }
+  }
+  return promptIds.length;
+}
+
+/**
+ * Re-score once RESCORE_DEBOUNCE_MS after the last change notification
+ * for the member.
+ * @param {string} userId - Auth0 user ID
+ */
+function scheduleRescore(userId) {
+  clearTimeout(pendingRescores.get(userId));
+  const timer = setTimeout(() => {
+    pendingRescores.delete(userId);
+    rescoreOpenPrompts(userId).catch(err =>
+      console.error(`[gcalWatchService] Re-score failed for ${userId}:`, err.message)
+    );
+  }, RESCORE_DEBOUNCE_MS);
+  if (timer.unref) timer.unref();
+  pendingRescores.set(userId, timer);
+}
+
+/**
+ * Handle a push notification from Google.
+ * @param {Object} headers - Request headers (lower-cased, as Express gives them)
+ * @param {Object} [opts]
+ * @param {Date} [opts.now]
+ * @returns {Promise<{ status: 'ignored'|'unauthorized'|'sync'|'changed' }>}
+ */
+async function handleNotification(headers, { now = new Date() } = {}) {
+  const channelId = headers['x-goog-channel-id'];
+  const channelToken = headers['x-goog-channel-token'] || '';
+  const state = headers['x-goog-resource-state'];
+
+  // Stopped or replaced channels can still deliver a last message or two
+  const channel = UUID_RE.test(channelId || '') ? await GoogleCalendarChannel.findByPk(channelId) : null;
+  if (!channel) return { status: 'ignored' };
+
+  const expected = Buffer.from(channel.token);
+  const received = Buffer.from(channelToken);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { status: 'unauthorized' };
+  }
+
+  // 'sync' is the handshake Google sends when a channel opens
+  if (state === 'sync') return { status: 'sync' };
+
+  availabilityService.invalidateGcalBusyCache(channel.user_id);
+  scheduleRescore(channel.user_id);
+
+  try {
+    await channel.update({ last_notified_at: now });
+  } catch (err) {
+    console.error(`[gcalWatchService] Could not record notification for channel ${channel.id}:`, err.message);
+  }
+
+  return { status: 'changed' };
+}
+
+module.exports = {
+  WATCH_TTL_SECONDS,
+  RENEW_BEFORE_MS,
+  RESCORE_DEBOUNCE_MS,
+  webhookAddress,
+  startWatch,
+  stopWatch,
+  stopWatchesForUser,
+  renewExpiringChannels,
+  rescoreOpenPrompts,
+  handleNotification,
+};
@@ -59,6 +59,70 @@ function formatDateAndTimeInTimezone(date, timezone = 'UTC') {
   }
 }
 
+// Google Calendar API expects dateTime as "YYYY-MM-DDTHH:mm:ss" (no timezone
+// indicator) alongside timeZone as the IANA timezone name, so convert the UTC
+// instant to wall-clock time in that timezone
+function formatDateTimeForTimezone(dateUTC, timezone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false
+  });
+
+  const parts = formatter.formatToParts(dateUTC);
+  const year = parts.find(p => p.type === 'year').value;
+  const month = parts.find(p => p.type === 'month').value;
+  const day = parts.find(p => p.type === 'day').value;
+  const hour = parts.find(p => p.type === 'hour').value.padStart(2, '0');
+  const minute = parts.find(p => p.type === 'minute').value.padStart(2, '0');
+  const second = parts.find(p => p.type === 'second').value.padStart(2, '0');
+
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}`;
+}
+
+// Classify a Google API failure for the gcal-sync worker (see
+// deleteCalendarEventForUser). Callers handle 404/410 and 401 themselves
+// first; this returns the error to throw for everything else.
+function classifyGcalError(error) {
+  const httpCode = error.code || error.response?.status;
+
+  // 403: forbidden — permanent, no retry.
+  if (httpCode === 403) {
+    const err = new Error(`Forbidden: ${error.message}`);
+    err.code = 'GCAL_PERMANENT';
+    return err;
+  }
+
+  // 429: rate limited — transient (BullMQ will retry per the queue's exponential backoff).
+  if (httpCode === 429) {
+    const err = new Error(`Rate limited: ${error.message}`);
+    err.code = 'GCAL_RATE_LIMITED';
+    return err;
+  }
+
+  // 5xx: transient — the ORIGINAL error so BullMQ retries.
+  if (httpCode >= 500 && httpCode < 600) {
+    return error;
+  }
+
+  // Other 4xx (including 400): permanent.
+  if (httpCode >= 400 && httpCode < 500) {
+    const err = new Error(`Permanent error: ${error.message}`);
+    err.code = 'GCAL_PERMANENT';
+    return err;
+  }
+
+  // Unknown / no httpCode: treat as permanent so we don't retry blindly.
+  const err = new Error(`Unknown error: ${error.message}`);
+  err.code = 'GCAL_PERMANENT';
+  return err;
+}
+
 class GoogleCalendarService {
   /**
    * Check if event is in the future (only future events should be added to calendars)
@@ -129,35 +193,6 @@ class GoogleCalendarService {
       // The timezone should be the user's local timezone, not the server's
       const eventTimezone = eventData.timezone || 'UTC';
       
-      // Convert UTC dates to local time strings in the user's timezone
-      // Google Calendar API expects dateTime as "YYYY-MM-DDTHH:mm:ss" (no timezone indicator)
-      // and timeZone as the IANA timezone name
-      const formatDateTimeForTimezone = (dateUTC, timezone) => {
-        // Create a date formatter for the specified timezone
-        const formatter = new Intl.DateTimeFormat('en-US', {
-          timeZone: timezone,
-          year: 'numeric',
-          month: '2-digit',
-          day: '2-digit',
-          hour: '2-digit',
-          minute: '2-digit',
-          second: '2-digit',
-          hour12: false
-        });
-        
-        // FormatToParts gives us structured parts
-        const parts = formatter.formatToParts(dateUTC);
-        const year = parts.find(p => p.type === 'year').value;
-        const month = parts.find(p => p.type === 'month').value;
-        const day = parts.find(p => p.type === 'day').value;
-        const hour = parts.find(p => p.type === 'hour').value.padStart(2, '0');
-        const minute = parts.find(p => p.type === 'minute').value.padStart(2, '0');
-        const second = parts.find(p => p.type === 'second').value.padStart(2, '0');
-        
-        // Return in ISO format without timezone: "YYYY-MM-DDTHH:mm:ss"
-        return `${year}-${month}-${day}T${hour}:${minute}:${second}`;
-      };
-
       const calendarEvent = {
         summary: eventData.game_name ? `Board Game: ${eventData.game_name}` : 'Board Game Session',
         description: eventData.comments || `Game session with ${participantEmails.length} players`,
@@ -176,6 +211,11 @@ class GoogleCalendarService {
         },
       };
 
+      // Venue "Name, Address" (or free-text location) when the event has one
+      if (eventData.location) {
+        calendarEvent.location = eventData.location;
+      }
+
       const response = await calendar.events.insert({
         calendarId: 'primary',
         resource: calendarEvent,
@@ -660,36 +700,103 @@ class GoogleCalendarService {
         throw err;
       }
 
-      // 403: forbidden — permanent, no retry.
-      if (httpCode === 403) {
-        const err = new Error(`Forbidden: ${error.message}`);
-        err.code = 'GCAL_PERMANENT';
-        throw err;
-      }
+      throw classifyGcalError(error);
+    }
+  }
 
-      // 429: rate limited — transient (BullMQ will retry per the queue's exponential backoff).
-      if (httpCode === 429) {
-        const err = new Error(`Rate limited: ${error.message}`);
-        err.code = 'GCAL_RATE_LIMITED';
-        throw err;
+  /**
+   * Patch an attendee's existing Google Calendar entry after the event's
+   * time, game, notes or location changed (gcal-sync `update` jobs).
+   *
+   * Same error classification as deleteCalendarEventForUser, except a
+   * 404 / 410 resolves { updated: false, alreadyGone: true }: the attendee
+   * deleted the entry themselves and we don't put it back.
+   *
+   * @param {string} calendarEventId - GCal event id stored on EventParticipation.google_calendar_event_id
+   * @param {Object} eventData - start_date, duration_minutes, game_name, comments, location, timezone, player_count
+   * @param {string} accessToken     - Attendee's Google OAuth access token
+   * @param {string|null} refreshToken - Attendee's Google OAuth refresh token (enables one-shot retry)
+   * @returns {Promise<{ updated: boolean, alreadyGone?: boolean, _new_access_token?: string }>}
+   */
+  async updateCalendarEventForUser(calendarEventId, eventData, accessToken, refreshToken = null) {
+    if (!accessToken) {
+      const err = new Error('Google Calendar access token is required');
+      err.code = 'GCAL_DISCONNECTED';
+      throw err;
+    }
+    if (!calendarEventId) {
+      return { skipped: true, reason: 'no_event_id' };
+    }
+
+    try {
+      const oauth2Client = new google.auth.OAuth2(
+        process.env.GOOGLE_CLIENT_ID,
+        process.env.GOOGLE_CLIENT_SECRET,
+        getGoogleRedirectUri()
+      );
+      oauth2Client.setCredentials({
+        access_token: accessToken,
+        refresh_token: refreshToken,
+      });
+
+      const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+
+      const startDateUTC = new Date(eventData.start_date);
+      const endDateUTC = new Date(startDateUTC.getTime() + (eventData.duration_minutes || 60) * 60 * 1000);
+      const eventTimezone = eventData.timezone || 'UTC';
+
+      await calendar.events.patch({
+        calendarId: 'primary',
+        eventId: calendarEventId,
+        sendUpdates: 'none',         // The app already notifies attendees of date changes
+        resource: {
+          summary: eventData.game_name ? `Board Game: ${eventData.game_name}` : 'Board Game Session',
+          description: eventData.comments || `Game session with ${eventData.player_count || 0} players`,
+          start: {
+            dateTime: formatDateTimeForTimezone(startDateUTC, eventTimezone),
+            timeZone: eventTimezone,
+          },
+          end: {
+            dateTime: formatDateTimeForTimezone(endDateUTC, eventTimezone),
+            timeZone: eventTimezone,
+          },
+          // Empty string clears a location the event no longer has
+          location: eventData.location || '',
+        },
+      });
+
+      return { updated: true };
+    } catch (error) {
+      const httpCode = error.code || error.response?.status;
+
+      if (httpCode === 404 || httpCode === 410) {
+        return { updated: false, alreadyGone: true };
       }
 
-      // 5xx: transient — re-throw the ORIGINAL error so BullMQ retries.
-      if (httpCode >= 500 && httpCode < 600) {
-        throw error;
+      if (httpCode === 401 && refreshToken) {
+        try {
+          const newAccessToken = await this.refreshAccessToken(refreshToken);
+          const retryResult = await this.updateCalendarEventForUser(
+            calendarEventId,
+            eventData,
+            newAccessToken,
+            null
+          );
+          return { ...retryResult, _new_access_token: newAccessToken };
+        } catch (refreshErr) {
+          const err = new Error(`Token refresh failed: ${refreshErr.message}`);
+          err.code = 'GCAL_DISCONNECTED';
+          throw err;
+        }
       }
 
-      // Other 4xx (including 400): permanent.
-      if (httpCode >= 400 && httpCode < 500) {
-        const err = new Error(`Permanent error: ${error.message}`);
-        err.code = 'GCAL_PERMANENT';
+      if (httpCode === 401) {
+        const err = new Error('User has disconnected Google Calendar');
+        err.code = 'GCAL_DISCONNECTED';
         throw err;
       }
 
-      // Unknown / no httpCode: treat as permanent so we don't retry blindly.
-      const err = new Error(`Unknown error: ${error.message}`);
-      err.code = 'GCAL_PERMANENT';
-      throw err;
+      throw classifyGcalError(error);
     }
   }
 
@@ -724,6 +831,107 @@ class GoogleCalendarService {
 
     return result;
   }
+
+  /**
+   * Open a push-notification channel (events.watch) on the user's primary
+   * calendar. Google POSTs to `address` whenever an event on it changes.
+   * @param {Object} channel
+   * @param {string} channel.id - Our channel id (GoogleCalendarChannel.id)
+   * @param {string} channel.token - Shared secret echoed in X-Goog-Channel-Token
+   * @param {string} channel.address - Public HTTPS webhook URL
+   * @param {number} channel.ttlSeconds - Requested lifetime; Google may shorten it
+   * @param {string} accessToken - User's Google OAuth access token
+   * @param {string} refreshToken - User's Google OAuth refresh token (optional, for auto-refresh)
+   * @returns {Promise<{ resourceId: string, expiration: Date, _new_access_token?: string }>}
+   */
+  async watchCalendarEvents(channel, accessToken, refreshToken = null) {
+    if (!accessToken) {
+      throw new Error('Google Calendar access token is required');
+    }
+
+    try {
+      const oauth2Client = new google.auth.OAuth2(
+        process.env.GOOGLE_CLIENT_ID,
+        process.env.GOOGLE_CLIENT_SECRET,
+        getGoogleRedirectUri()
+      );
+      oauth2Client.setCredentials({
+        access_token: accessToken,
+        refresh_token: refreshToken,
+      });
+
+      const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+      const response = await calendar.events.watch({
+        calendarId: 'primary',
+        resource: {
+          id: channel.id,
+          type: 'web_hook',
+          address: channel.address,
+          token: channel.token,
+          params: { ttl: String(channel.ttlSeconds) },
+        },
+      });
+
+      return {
+        resourceId: response.data.resourceId,
+        expiration: new Date(Number(response.data.expiration)),
+      };
+    } catch (error) {
+      if (error.code === 401 && refreshToken) {
+        const newAccessToken = await this.refreshAccessToken(refreshToken);
+        const result = await this.watchCalendarEvents(channel, newAccessToken, null);
+        return { ...result, _new_access_token: newAccessToken };
+      }
+
+      throw new Error(`Failed to watch calendar: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop a push-notification channel. A channel Google no longer knows
+   * (404, already expired or stopped) counts as stopped.
+   * @param {Object} channel
+   * @param {string} channel.id - Channel id
+   * @param {string} channel.resourceId - resourceId returned by watchCalendarEvents
+   * @param {string} accessToken - User's Google OAuth access token
+   * @param {string} refreshToken - User's Google OAuth refresh token (optional, for auto-refresh)
+   * @returns {Promise<{ stopped: boolean, _new_access_token?: string }>}
+   */
+  async stopChannel(channel, accessToken, refreshToken = null) {
+    if (!accessToken) {
+      throw new Error('Google Calendar access token is required');
+    }
+
+    try {
+      const oauth2Client = new google.auth.OAuth2(
+        process.env.GOOGLE_CLIENT_ID,
+        process.env.GOOGLE_CLIENT_SECRET,
+        getGoogleRedirectUri()
+      );
+      oauth2Client.setCredentials({
+        access_token: accessToken,
+        refresh_token: refreshToken,
+      });
+
+      const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+      await calendar.channels.stop({
+        resource: { id: channel.id, resourceId: channel.resourceId },
+      });
+
+      return { stopped: true };
+    } catch (error) {
+      if (error.code === 404) {
+        return { stopped: true };
+      }
+      if (error.code === 401 && refreshToken) {
+        const newAccessToken = await this.refreshAccessToken(refreshToken);
+        const result = await this.stopChannel(channel, newAccessToken, null);
+        return { ...result, _new_access_token: newAccessToken };
+      }
+
+      throw new Error(`Failed to stop calendar channel: ${error.message}`);
+    }
+  }
 }
 
 module.exports = new GoogleCalendarService();
@@ -0,0 +1,410 @@
+// services/groupExportService.js
+// Full data export for a group: events, participations (with scores),
+// reviews, brings, RSVPs and the members' game library.
+//
+// Rows are read in pages and written straight to the response, so the
+// export of a group with years of history never sits in memory (or in one
+// JSON body) at once. Writes wait for 'drain' and stop when the client
+// disconnects.
+//
+// Formats:
+//   json - one document: { group, exported_at, events: [...], ... }
+//   csv  - one file with a section per table: a "# <section>" line, a
+//          header row, then the rows; sections are separated by a blank line
+//
+// ID note: player/library ids are User.id (UUID); RSVPs and brings are keyed
+// by Auth0 user_id -- both are exported alongside the username.
+
+const { Op } = require('sequelize');
+const {
+  Event, EventParticipation, EventRsvp, EventBring, GameReview,
+  Game, User, UserGame, UserGroup, Venue,
+} = require('../models');
+const { resolveEventLocation } = require('./venueService');
+
+const PAGE_SIZE = 500;
+const FORMATS = ['json', 'csv'];
+
+class ExportAbortedError extends Error {
+  constructor() {
+    super('Client disconnected during export');
+    this.name = 'ExportAbortedError';
+  }
+}
+
+const toDate = (value) => (value instanceof Date ? value.toISOString() : value || null);
+
+/**
+ * Yield every row of a query, PAGE_SIZE at a time.
+ * The order must be total (end with a unique column) so pages don't overlap.
+ */
+async function* paginate(model, options) {
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const rows = await model.findAll({ ...options, limit: PAGE_SIZE, offset });
+    for (const row of rows) yield row;
+    if (rows.length < PAGE_SIZE) return;
+  }
+}
+
+// Restricts an event-scoped table to the group's events
+const groupEventInclude = (groupId) => ({
+  model: Event,
+  where: { group_id: groupId },
+  required: true,
+  attributes: ['id', 'start_date', 'game_id'],
+  include: [{ model: Game, attributes: ['name'] }],
+});
+
+async function* eventRows(groupId) {
+  const events = paginate(Event, {
+    where: { group_id: groupId },
+    include: [
+      { model: Game, attributes: ['name', 'bgg_id'] },
+      { model: Venue, attributes: ['name', 'address'] },
+      { model: User, as: 'Host', attributes: ['username'] },
+      { model: User, as: 'Winner', attributes: ['username'] },
+      { model: User, as: 'PickedBy', attributes: ['username'] },
+    ],
+    order: [['start_date', 'ASC'], ['id', 'ASC']],
+  });
+  for await (const e of events) {
+    yield {
+      event_id: e.id,
+      start_date: toDate(e.start_date),
+      status: e.status,
+      game_id: e.game_id,
+      game_name: e.Game ? e.Game.name : null,
+      bgg_id: e.Game ? e.Game.bgg_id : null,
+      duration_minutes: e.duration_minutes,
+      location: resolveEventLocation(e),
+      host: e.Host ? e.Host.username : null,
+      winner: e.Winner ? e.Winner.username : e.winner_name || null,
+      picked_by: e.PickedBy ? e.PickedBy.username : e.picked_by_name || null,
+      is_group_win: !!e.is_group_win,
+      winning_team: e.winning_team || null,
+      comments: e.comments || null,
+      series_id: e.series_id || null,
+    };
+  }
+}
+
+// Registered players first, then guests stored in Event.custom_participants
+async function* participationRows(groupId) {
+  const participations = paginate(EventParticipation, {
+    include: [
+      groupEventInclude(groupId),
+      { model: User, attributes: ['username'] },
+    ],
+    order: [[Event, 'start_date', 'ASC'], ['id', 'ASC']],
+  });
+  for await (const p of participations) {
+    yield {
+      event_id: p.event_id,
+      start_date: toDate(p.Event.start_date),
+      game_name: p.Event.Game ? p.Event.Game.name : null,
+      user_id: p.user_id,
+      player_name: p.User ? p.User.username : null,
+      is_guest: !!p.is_guest,
+      score: p.score ?? null,
+      placement: p.placement ?? null,
+      faction: p.faction || null,
+      team: p.team || null,
+      is_new_player: !!p.is_new_player,
+    };
+  }
+
+  const guestEvents = paginate(Event, {
+    where: { group_id: groupId, custom_participants: { [Op.ne]: null } },
+    attributes: ['id', 'start_date', 'custom_participants'],
+    include: [{ model: Game, attributes: ['name'] }],
+    order: [['start_date', 'ASC'], ['id', 'ASC']],
+  });
+  for await (const e of guestEvents) {
+    for (const cp of e.custom_participants || []) {
+      if (!cp || !cp.username) continue;
+      yield {
+        event_id: e.id,
+        start_date: toDate(e.start_date),
+        game_name: e.Game ? e.Game.name : null,
+        user_id: null,
+        player_name: cp.username,
+        is_guest: true,
+        score: cp.score ?? null,
+        placement: cp.placement ?? null,
+        faction: cp.faction || null,
+        team: cp.team || null,
+        is_new_player: !!cp.is_new_player,
+      };
+    }
+  }
+}
+
+async function* reviewRows(groupId) {
+  const reviews = paginate(GameReview, {
+    where: { group_id: groupId },
+    include: [
+      { model: Game, attributes: ['name'] },
+      { model: User, attributes: ['username'] },
+    ],
+    order: [['createdAt', 'ASC'], ['id', 'ASC']],
+  });
+  for await (const r of reviews) {
+    yield {
+      review_id: r.id,
+      game_id: r.game_id,
+      game_name: r.Game ? r.Game.name : null,
+      user_id: r.user_id,
+      username: r.User ? r.User.username : null,
+      rating: r.rating ?? null,
+      is_recommended: r.is_recommended ?? null,
+      review_text: r.review_text || null,
+      created_at: toDate(r.createdAt),
+    };
+  }
+}
+
+async function* bringRows(groupId) {
+  const brings = paginate(EventBring, {
+    include: [
+      groupEventInclude(groupId),
+      { model: Game, attributes: ['name'] },
+      { model: User, attributes: ['username'] },
+    ],
+    order: [[Event, 'start_date', 'ASC'], ['id', 'ASC']],
+  });
+  for await (const b of brings) {
+    yield {
+      event_id: b.event_id,
+      start_date: toDate(b.Event.start_date),
+      user_id: b.user_id,
+      username: b.User ? b.User.username : null,
+      game_id: b.game_id,
+      game_name: b.Game ? b.Game.name : null,
+    };
+  }
+}
+
+async function* rsvpRows(groupId) {
+  const rsvps = paginate(EventRsvp, {
+    include: [
+      groupEventInclude(groupId),
+      { model: User, attributes: ['username'] },
+    ],
+    order: [[Event, 'start_date', 'ASC'], ['id', 'ASC']],
+  });
+  for await (const r of rsvps) {
+    yield {
+      event_id: r.event_id,
+      start_date: toDate(r.Event.start_date),
+      user_id: r.user_id,
+      username: r.User ? r.User.username : null,
+      status: r.status,
+      note: r.note || null,
+      waitlisted_at: toDate(r.waitlisted_at),
+      updated_at: toDate(r.updatedAt),
+    };
+  }
+}
+
+// Same membership rule as GET /api/groups/:group_id/library: confirmed
+// members (pending excluded), one row per owned copy
+async function* libraryRows(groupId) {
+  const memberships = await UserGroup.findAll({
+    where: { group_id: groupId, status: 'active', role: { [Op.in]: ['member', 'admin', 'owner'] } },
+    attributes: ['user_id'],
+  });
+  const auth0Ids = memberships.map(m => m.user_id);
+  if (auth0Ids.length === 0) return;
+
+  const users = await User.findAll({
+    where: { user_id: { [Op.in]: auth0Ids } },
+    attributes: ['id'],
+  });
+  if (users.length === 0) return;
+
+  const owned = paginate(UserGame, {
+    where: { user_id: { [Op.in]: users.map(u => u.id) }, owned: true },
+    include: [
+      { model: Game, attributes: ['name', 'bgg_id', 'min_players', 'max_players', 'playing_time'] },
+      { model: User, attributes: ['username'] },
+    ],
+    order: [['game_id', 'ASC'], ['id', 'ASC']],
+  });
+  for await (const ug of owned) {
+    yield {
+      game_id: ug.game_id,
+      game_name: ug.Game ? ug.Game.name : null,
+      bgg_id: ug.Game ? ug.Game.bgg_id : null,
+      min_players: ug.Game ? ug.Game.min_players : null,
+      max_players: ug.Game ? ug.Game.max_players : null,
+      playing_time: ug.Game ? ug.Game.playing_time : null,
+      owner_id: ug.user_id,
+      owner_name: ug.User ? ug.User.username : null,
+    };
+  }
+}
+
+// Section order is the export order; columns fix the CSV header
+const SECTIONS = [
+  {
+    name: 'events',
+    rows: eventRows,
+    columns: ['event_id', 'start_date', 'status', 'game_id', 'game_name', 'bgg_id', 'duration_minutes',
+      'location', 'host', 'winner', 'picked_by', 'is_group_win', 'winning_team', 'comments', 'series_id'],
+  },
+  {
+    name: 'participations',
+    rows: participationRows,
+    columns: ['event_id', 'start_date', 'game_name', 'user_id', 'player_name', 'is_guest',
+      'score', 'placement', 'faction', 'team', 'is_new_player'],
+  },
+  {
+    name: 'reviews',
+    rows: reviewRows,
+    columns: ['review_id', 'game_id', 'game_name', 'user_id', 'username', 'rating',
+      'is_recommended', 'review_text', 'created_at'],
+  },
+  {
+    name: 'brings',
+    rows: bringRows,
+    columns: ['event_id', 'start_date', 'user_id', 'username', 'game_id', 'game_name'],
+  },
+  {
+    name: 'rsvps',
+    rows: rsvpRows,
+    columns: ['event_id', 'start_date', 'user_id', 'username', 'status', 'note', 'waitlisted_at', 'updated_at'],
+  },
+  {
+    name: 'library',
+    rows: libraryRows,
+    columns: ['game_id', 'game_name', 'bgg_id', 'min_players', 'max_players', 'playing_time', 'owner_id', 'owner_name'],
+  },
+];
+
+/**
+ * One CSV field. Quotes when needed and neutralises spreadsheet formulas
+ * in free text (a leading =, +, - or @ that isn't a number).
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let s = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@]/.test(s) && !Number.isFinite(Number(s))) {
+    s = `'${s}`;
+  }
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+const csvLine = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+const FORMATTERS = {
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    start: (meta) => `{"group":${JSON.stringify(meta.group)},"exported_at":${JSON.stringify(meta.exported_at)}`,
+    sectionStart: (section) => `,${JSON.stringify(section.name)}:[`,
+    row: (section, row, index) => `${index > 0 ? ',' : ''}${JSON.stringify(row)}`,
+    sectionEnd: () => ']',
+    end: () => '}\n',
+  },
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    start: (meta) => csvLine(['# group', meta.group.name, meta.group.id]) + csvLine(['# exported_at', meta.exported_at]),
+    sectionStart: (section) => `\r\n${csvLine([`# ${section.name}`])}${csvLine(section.columns)}`,
+    row: (section, row) => csvLine(section.columns.map(c => row[c])),
+    sectionEnd: () => '',
+    end: () => '',
+  },
+};
+
+/**
+ * Attachment filename, e.g. "thursday-gamers-export-2026-10-19.csv".
+ * @param {Object} group - { name }
+ * @param {string} format
+ * @param {Date} [now]
+ * @returns {string}
+ */
+function exportFilename(group, format, now = new Date()) {
+  const slug = String(group.name || 'group')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50) || 'group';
+  return `${slug}-export-${now.toISOString().slice(0, 10)}.${format}`;
+}
+
+/**
+ * Write to a stream, waiting for 'drain' when its buffer is full.
+ * Rejects with ExportAbortedError once the client has gone away.
+ */
+function createWriter(stream) {
+  let closed = false;
+  stream.on('close', () => { closed = true; });
+
+  return async (chunk) => {
+    if (closed || stream.destroyed) throw new ExportAbortedError();
+    if (!chunk) return;
+    if (stream.write(chunk)) return;
+    await new Promise((resolve, reject) => {
+      const cleanup = () => {
+        stream.off('drain', onDrain);
+        stream.off('close', onClose);
+      };
+      const onDrain = () => { cleanup(); resolve(); };
+      const onClose = () => { cleanup(); reject(new ExportAbortedError()); };
+      stream.on('drain', onDrain);
+      stream.on('close', onClose);
+    });
+  };
+}
+
+/**
+ * Stream a group's export to `res`. Sets the download headers, writes every
+ * section and ends the response. Callers handle errors; once this has
+ * started writing, a JSON error body can no longer be sent.
+ * @param {Object} res - Express response (any writable with setHeader works)
+ * @param {Object} group - Group instance ({ id, name })
+ * @param {string} [format='json']
+ * @returns {Promise<{ rows: Object<string, number> }>} row count per section
+ */
+async function streamGroupExport(res, group, format = 'json') {
+  const formatter = FORMATTERS[format];
+  if (!formatter) throw new Error(`Unsupported export format: ${format}`);
+
+  res.setHeader('Content-Type', formatter.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(group, format)}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  const write = createWriter(res);
+  const counts = {};
+
+  await write(formatter.start({
+    group: { id: group.id, name: group.name },
+    exported_at: new Date().toISOString(),
+  }));
+
+  for (const section of SECTIONS) {
+    let index = 0;
+    await write(formatter.sectionStart(section));
+    for await (const row of section.rows(group.id)) {
+      await write(formatter.row(section, row, index));
+      index++;
+    }
+    await write(formatter.sectionEnd(section));
+    counts[section.name] = index;
+  }
+
+  await write(formatter.end());
+  res.end();
+  return { rows: counts };
+}
+
+module.exports = {
+  FORMATS,
+  PAGE_SIZE,
+  SECTIONS,
+  ExportAbortedError,
+  csvCell,
+  exportFilename,
+  streamGroupExport,
+};
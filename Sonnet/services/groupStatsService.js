@@ -0,0 +1,189 @@
+// services/groupStatsService.js
+// Group statistics dashboard. Everything is aggregated in Postgres -- a
+// group with years of history never loads its events into memory here.
+//
+// Scope: completed events that already happened (the same set ratingService
+// rates), optionally narrowed to [from, to]. "Won" means being on the
+// winning team in a team game (Event.winning_team), otherwise placement 1
+// when placements were recorded, otherwise being the event's winner_id.
+//
+// ID note: player ids are User.id (EventParticipation.user_id). Custom
+// participants live in Event.custom_participants JSONB and are not part of
+// the player matrix.
+
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../models');
+
+// Shared WHERE for "plays in range" -- alias e = Events
+function eventScope({ from }) {
+  let sql = `e.group_id = :groupId AND e.status = 'completed' AND e.start_date <= :to`;
+  if (from) sql += ' AND e.start_date >= :from';
+  return sql;
+}
+
+// ep won its event
+const WON_SQL = `(CASE
+  WHEN e.winning_team IS NOT NULL AND ep.team IS NOT NULL THEN ep.team = e.winning_team
+  ELSE (ep.placement = 1 OR (ep.placement IS NULL AND e.winner_id = ep.user_id))
+END)`;
+
+const toInt = (v) => (v === null || v === undefined ? 0 : parseInt(v, 10));
+const toRate = (num, den) => (den > 0 ? Math.round((num / den) * 1000) / 1000 : null);
+
+/**
+ * Build the stats payload for a group.
+ * @param {string} groupId
+ * @param {Object} [options]
+ * @param {Date|string} [options.from] - inclusive lower bound on start_date
+ * @param {Date|string} [options.to] - inclusive upper bound (default now; never later than now)
+ * @param {string} [options.timezone='UTC'] - IANA zone used to bucket months
+ * @returns {Promise<Object>}
+ */
+async function getGroupStats(groupId, { from = null, to = null, timezone = 'UTC' } = {}) {
+  const now = new Date();
+  const upper = to && new Date(to) < now ? new Date(to) : now;
+  const replacements = { groupId, from: from ? new Date(from) : null, to: upper, timezone };
+  const where = eventScope(replacements);
+  const select = (sql) => sequelize.query(sql, { replacements, type: QueryTypes.SELECT });
+
+  const [summaryRows, monthRows, newPlayerRows, newPlayerByGameRows, factionRows, teamRows, matrixRows] = await Promise.all([
+    select(`
+      SELECT COUNT(*) AS total_plays,
+             COUNT(DISTINCT e.game_id) AS unique_games,
+             AVG(e.duration_minutes) AS avg_session_minutes,
+             MIN(e.start_date) AS first_play,
+             MAX(e.start_date) AS last_play
+        FROM "Events" e
+       WHERE ${where}`),
+    select(`
+      SELECT to_char(date_trunc('month', e.start_date AT TIME ZONE :timezone), 'YYYY-MM') AS month,
+             COUNT(*) AS plays
+        FROM "Events" e
+       WHERE ${where}
+       GROUP BY 1
+       ORDER BY 1`),
+    select(`
+      SELECT COUNT(*) AS participations,
+             SUM(CASE WHEN ep.is_new_player THEN 1 ELSE 0 END) AS new_player_participations,
+             COUNT(DISTINCT ep.user_id) AS unique_players
+        FROM "EventParticipations" ep
+        JOIN "Events" e ON e.id = ep.event_id
+       WHERE ${where}`),
+    select(`
+      SELECT e.game_id, g.name AS game_name,
+             COUNT(*) AS participations,
+             SUM(CASE WHEN ep.is_new_player THEN 1 ELSE 0 END) AS new_player_participations
+        FROM "EventParticipations" ep
+        JOIN "Events" e ON e.id = ep.event_id
+        LEFT JOIN "Games" g ON g.id = e.game_id
+       WHERE ${where}
+       GROUP BY e.game_id, g.name
+       ORDER BY 4 DESC, 3 DESC`),
+    select(`
+      SELECT e.game_id, g.name AS game_name, ep.faction,
+             COUNT(*) AS plays,
+             SUM(CASE WHEN ${WON_SQL} THEN 1 ELSE 0 END) AS wins
+        FROM "EventParticipations" ep
+        JOIN "Events" e ON e.id = ep.event_id
+        LEFT JOIN "Games" g ON g.id = e.game_id
+       WHERE ${where} AND ep.faction IS NOT NULL AND ep.faction <> ''
+       GROUP BY e.game_id, g.name, ep.faction
+       ORDER BY g.name, 4 DESC`),
+    // Team games: how often each side wins, per game (a team counts once per event)
+    select(`
+      SELECT e.game_id, g.name AS game_name, ep.team,
+             COUNT(DISTINCT e.id) AS plays,
+             COUNT(DISTINCT CASE WHEN ep.team = e.winning_team THEN e.id END) AS wins
+        FROM "EventParticipations" ep
+        JOIN "Events" e ON e.id = ep.event_id
+        LEFT JOIN "Games" g ON g.id = e.game_id
+       WHERE ${where} AND e.winning_team IS NOT NULL AND ep.team IS NOT NULL AND ep.team <> ''
+       GROUP BY e.game_id, g.name, ep.team
+       ORDER BY g.name, 4 DESC`),
+    // Every ordered pair of registered players who sat at the same table.
+    // In a team game a beat b when only a's team won (teammates never beat
+    // each other); otherwise on placement when both have one, else when a is
+    // the winner.
+    select(`
+      SELECT a.user_id AS player_id, ua.username AS player_name,
+             b.user_id AS opponent_id, ub.username AS opponent_name,
+             COUNT(*) AS games,
+             SUM(CASE
+                   WHEN e.winning_team IS NOT NULL AND a.team IS NOT NULL AND b.team IS NOT NULL THEN
+                     CASE WHEN a.team = e.winning_team AND b.team <> e.winning_team THEN 1 ELSE 0 END
+                   WHEN a.placement IS NOT NULL AND b.placement IS NOT NULL THEN
+                     CASE WHEN a.placement < b.placement THEN 1 ELSE 0 END
+                   WHEN e.winner_id = a.user_id THEN 1
+                   ELSE 0
+                 END) AS wins
+        FROM "EventParticipations" a
+        JOIN "EventParticipations" b ON b.event_id = a.event_id AND b.user_id <> a.user_id
+        JOIN "Events" e ON e.id = a.event_id
+        JOIN "Users" ua ON ua.id = a.user_id
+        JOIN "Users" ub ON ub.id = b.user_id
+       WHERE ${where}
+       GROUP BY a.user_id, ua.username, b.user_id, ub.username
+       ORDER BY ua.username, ub.username`),
+  ]);
+
+  const summary = summaryRows[0] || {};
+  const newPlayers = newPlayerRows[0] || {};
+  const participations = toInt(newPlayers.participations);
+  const newParticipations = toInt(newPlayers.new_player_participations);
+
+  return {
+    group_id: groupId,
+    range: { from: replacements.from, to: replacements.to, timezone },
+    total_plays: toInt(summary.total_plays),
+    unique_games: toInt(summary.unique_games),
+    avg_session_minutes: summary.avg_session_minutes !== null && summary.avg_session_minutes !== undefined
+      ? Math.round(Number(summary.avg_session_minutes))
+      : null,
+    first_play: summary.first_play || null,
+    last_play: summary.last_play || null,
+    plays_per_month: monthRows.map(r => ({ month: r.month, plays: toInt(r.plays) })),
+    new_players: {
+      participations,
+      new_player_participations: newParticipations,
+      unique_players: toInt(newPlayers.unique_players),
+      rate: toRate(newParticipations, participations),
+      by_game: newPlayerByGameRows.map(r => ({
+        game_id: r.game_id,
+        game_name: r.game_name,
+        participations: toInt(r.participations),
+        new_player_participations: toInt(r.new_player_participations),
+        rate: toRate(toInt(r.new_player_participations), toInt(r.participations)),
+      })),
+    },
+    faction_win_rates: factionRows.map(r => ({
+      game_id: r.game_id,
+      game_name: r.game_name,
+      faction: r.faction,
+      plays: toInt(r.plays),
+      wins: toInt(r.wins),
+      win_rate: toRate(toInt(r.wins), toInt(r.plays)),
+    })),
+    team_win_rates: teamRows.map(r => ({
+      game_id: r.game_id,
+      game_name: r.game_name,
+      team: r.team,
+      plays: toInt(r.plays),
+      wins: toInt(r.wins),
+      win_rate: toRate(toInt(r.wins), toInt(r.plays)),
+    })),
+    win_matrix: matrixRows.map(r => ({
+      player_id: r.player_id,
+      player_name: r.player_name,
+      opponent_id: r.opponent_id,
+      opponent_name: r.opponent_name,
+      games: toInt(r.games),
+      wins: toInt(r.wins),
+      win_rate: toRate(toInt(r.wins), toInt(r.games)),
+    })),
+  };
+}
+
+module.exports = {
+  WON_SQL,
+  getGroupStats,
+};
@@ -0,0 +1,150 @@
+// services/headToHeadService.js
+// Head-to-head record between two players of a group. Results use the same
+// finishing order as player ratings (ratingService.rankParticipants:
+// placement, else score, else winner; equal ranks tie).
+//
+// A player identifier is matched the way the player-wins endpoints do:
+// a registered member by Auth0 user_id or username, a guest by the
+// username stored in Event.custom_participants.
+
+const { rankParticipants, guestKey } = require('./ratingService');
+
+const RECENT_MEETINGS = 5;
+
+/**
+ * Find a player at an event.
+ * @param {Object} event - Event with EventParticipations (+ User) included
+ * @param {string} identifier - Auth0 user_id, username or guest name
+ * @returns {{ key: string, name: string, is_guest: boolean, score: number|null }|null}
+ */
+function findPlayer(event, identifier) {
+  const wanted = String(identifier).trim();
+  for (const p of event.EventParticipations || []) {
+    if (p.User && (p.User.user_id === wanted || p.User.username === wanted)) {
+      return { key: p.user_id, name: p.User.username, is_guest: false, score: toScore(p.score) };
+    }
+  }
+  const wantedGuest = guestKey(wanted);
+  for (const cp of event.custom_participants || []) {
+    if (cp && cp.username && guestKey(cp.username) === wantedGuest) {
+      return { key: wantedGuest, name: String(cp.username).trim(), is_guest: true, score: toScore(cp.score) };
+    }
+  }
+  return null;
+}
+
+function toScore(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function newRecord() {
+  return { meetings: 0, a_wins: 0, b_wins: 0, ties: 0, undecided: 0, margin_total: 0, margin_count: 0 };
+}
+
+function finishRecord(r) {
+  const { margin_total, margin_count, ...rest } = r;
+  return { ...rest, avg_score_margin: margin_count > 0 ? round2(margin_total / margin_count) : null };
+}
+
+/**
+ * Build the head-to-head summary from a group's events.
+ * @param {Array<Object>} events - chronological (oldest first)
+ * @param {string} playerA - identifier
+ * @param {string} playerB - identifier
+ * @returns {Object}
+ */
+function buildHeadToHead(events, playerA, playerB) {
+  const overall = newRecord();
+  const perGame = new Map();
+  const meetings = [];
+  let players = { a: null, b: null };
+
+  const streak = { a: 0, b: 0 };
+  const longest = { a: 0, b: 0 };
+
+  for (const event of events) {
+    const a = findPlayer(event, playerA);
+    const b = findPlayer(event, playerB);
+    if (!a || !b || a.key === b.key) continue;
+    players = { a, b };
+
+    const ranking = rankParticipants(event);
+    const rankOf = (key) => (ranking ? (ranking.find(r => r.player_key === key) || {}).rank : undefined);
+    const aRank = rankOf(a.key);
+    const bRank = rankOf(b.key);
+
+    let result = null;
+    if (aRank !== undefined && bRank !== undefined) {
+      result = aRank < bRank ? 'a' : aRank > bRank ? 'b' : 'tie';
+    }
+
+    const gameKey = event.game_id || 'none';
+    if (!perGame.has(gameKey)) {
+      perGame.set(gameKey, { game_id: event.game_id || null, game_name: event.Game ? event.Game.name : null, ...newRecord() });
+    }
+    const margin = a.score !== null && b.score !== null ? a.score - b.score : null;
+
+    for (const record of [overall, perGame.get(gameKey)]) {
+      record.meetings++;
+      if (result === 'a') record.a_wins++;
+      else if (result === 'b') record.b_wins++;
+      else if (result === 'tie') record.ties++;
+      else record.undecided++;
+      if (margin !== null) {
+        record.margin_total += margin;
+        record.margin_count++;
+      }
+    }
+
+    // Streaks count consecutive decided meetings; a tie ends both
+    if (result === 'a' || result === 'b') {
+      const other = result === 'a' ? 'b' : 'a';
+      streak[result]++;
+      streak[other] = 0;
+      longest[result] = Math.max(longest[result], streak[result]);
+    } else if (result === 'tie') {
+      streak.a = 0;
+      streak.b = 0;
+    }
+
+    meetings.push({
+      event_id: event.id,
+      start_date: event.start_date,
+      game_id: event.game_id || null,
+      game_name: event.Game ? event.Game.name : null,
+      result,
+      a_score: a.score,
+      b_score: b.score,
+      a_rank: aRank === undefined ? null : aRank,
+      b_rank: bRank === undefined ? null : bRank,
+    });
+  }
+
+  const describe = (found, identifier) => (found
+    ? { identifier, name: found.name, is_guest: found.is_guest }
+    : { identifier, name: null, is_guest: null });
+
+  return {
+    player_a: describe(players.a, playerA),
+    player_b: describe(players.b, playerB),
+    shared_games: overall.meetings,
+    record: finishRecord(overall),
+    per_game: [...perGame.values()]
+      .map(finishRecord)
+      .sort((x, y) => y.meetings - x.meetings),
+    longest_win_streak: { a: longest.a, b: longest.b },
+    current_streak: streak.a > 0
+      ? { player: 'a', length: streak.a }
+      : streak.b > 0 ? { player: 'b', length: streak.b } : { player: null, length: 0 },
+    recent_meetings: meetings.slice(-RECENT_MEETINGS).reverse(),
+  };
+}
+
+module.exports = {
+  findPlayer,
+  buildHeadToHead,
+};
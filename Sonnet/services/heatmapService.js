@@ -1,14 +1,27 @@
 // services/heatmapService.js
 // Service for aggregating availability responses into suggestions with scoring
+//
+// Responders whose connected calendar (Google or Outlook) is busy during a slot stay in
+// participant_user_ids (they did pick it) but don't count toward its score or
+// meets_minimum. services/gcalWatchService.js re-runs aggregateResponses when
+// a responder's Google Calendar changes. Responders with an open watch channel
+// are read from availabilityService's watched cache, which only refetches
+// after such a change; the rest go through the short-lived busy cache.
 
 const {
   AvailabilityResponse,
   AvailabilitySuggestion,
   AvailabilityPrompt,
   Game,
+  GoogleCalendarChannel,
+  User,
   sequelize
 } = require('../models');
 const { Op } = require('sequelize');
+const availabilityService = require('./availabilityService');
+const calendarProviders = require('./calendarProviders');
+
+const BUSY_SLOT_MS = 30 * 60 * 1000;
 
 /**
  * Calculate suggestion score based on participant and preference counts
@@ -21,6 +34,74 @@ function calculateScore(participantCount, preferredCount) {
   return participantCount * 1.0 + preferredCount * 0.5;
 }
 
+/**
+ * Calendar busy slots for every responder with a connected calendar, over
+ * the span of the slots they picked. Read before aggregation opens its
+ * transaction so no connection is held across provider round trips. A member
+ * whose calendar can't be read is treated as having no conflicts.
+ * @param {string} promptId - UUID of the AvailabilityPrompt
+ * @returns {Promise<Map<string, number[]>>} user_id -> busy slot start times (ms)
+ */
+async function loadCalendarBusy(promptId) {
+  const busyByUser = new Map();
+  const responses = await AvailabilityResponse.findAll({
+    where: { prompt_id: promptId },
+    attributes: ['user_id', 'time_slots']
+  });
+
+  let from = Infinity;
+  let to = -Infinity;
+  for (const response of responses) {
+    for (const slot of response.time_slots || []) {
+      from = Math.min(from, new Date(slot.start).getTime());
+      to = Math.max(to, new Date(slot.end).getTime());
+    }
+  }
+  if (!Number.isFinite(from) || !Number.isFinite(to)) return busyByUser;
+
+  const users = await User.findAll({
+    where: {
+      user_id: { [Op.in]: responses.map(r => r.user_id) },
+      ...calendarProviders.connectedUserWhere()
+    }
+  });
+
+  const channels = users.length === 0 ? [] : await GoogleCalendarChannel.findAll({
+    where: {
+      user_id: { [Op.in]: users.map(u => u.user_id) },
+      expires_at: { [Op.gt]: new Date() }
+    },
+    attributes: ['user_id']
+  });
+  const watched = new Set(channels.map(c => c.user_id));
+
+  await Promise.all(users.map(async (user) => {
+    try {
+      const busy = watched.has(user.user_id)
+        ? await availabilityService.getWatchedGcalBusy(user, new Date(from), new Date(to))
+        : await availabilityService.getCachedGcalBusy(user, new Date(from), new Date(to), 'UTC');
+      busyByUser.set(user.user_id, busy.map(b => Date.parse(`${b.date}T${b.startTime}:00Z`)));
+    } catch (error) {
+      console.warn(`Failed to read calendar for ${user.user_id} while scoring prompt ${promptId}:`, error.message);
+    }
+  }));
+
+  return busyByUser;
+}
+
+/**
+ * Whether any 30-minute busy slot overlaps [start, end)
+ * @param {number[]} busyStarts - Busy slot start times (ms)
+ * @param {string|Date} start
+ * @param {string|Date} end
+ * @returns {boolean}
+ */
+function hasCalendarConflict(busyStarts, start, end) {
+  const startMs = new Date(start).getTime();
+  const endMs = new Date(end).getTime();
+  return busyStarts.some(busyStart => busyStart < endMs && busyStart + BUSY_SLOT_MS > startMs);
+}
+
 /**
  * Aggregate all responses for a prompt into availability suggestions
  * Extracts unique time slots, counts participants, calculates scores, and upserts suggestions
@@ -28,6 +109,7 @@ function calculateScore(participantCount, preferredCount) {
  * @returns {Promise<{success: boolean, suggestionCount: number, message: string}>}
  */
 async function aggregateResponses(promptId) {
+  const calendarBusy = await loadCalendarBusy(promptId);
   const transaction = await sequelize.transaction();
 
   try {
@@ -112,8 +194,14 @@ async function aggregateResponses(promptId) {
     for (const [key, slotData] of slotMap) {
       const participantCount = slotData.participants.size;
       const preferredCount = slotData.preferredBy.size;
-      const score = calculateScore(participantCount, preferredCount);
-      const meetsMinimum = participantCount >= minParticipants;
+
+      // Only responders whose calendar is free count toward score and minimum
+      const isFree = (userId) => !calendarBusy.has(userId) ||
+        !hasCalendarConflict(calendarBusy.get(userId), slotData.start, slotData.end);
+      const freeCount = Array.from(slotData.participants).filter(isFree).length;
+      const freePreferredCount = Array.from(slotData.preferredBy).filter(isFree).length;
+      const score = calculateScore(freeCount, freePreferredCount);
+      const meetsMinimum = freeCount >= minParticipants;
 
       suggestions.push({
         prompt_id: promptId,
@@ -213,5 +301,7 @@ async function getSuggestions(promptId, options = {}) {
 module.exports = {
   aggregateResponses,
   calculateScore,
-  getSuggestions
+  getSuggestions,
+  loadCalendarBusy,
+  hasCalendarConflict
 };
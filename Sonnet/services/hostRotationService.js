@@ -0,0 +1,157 @@
+// services/hostRotationService.js
+// Host rotation: who hosted which game night (Event.host_user_id) and whose
+// turn it is next. The suggestion is the least-recently-hosted candidate --
+// members who have never hosted go first, then whoever hosted longest ago.
+//
+// ID note: Event.host_user_id is User.id (UUID) like winner_id, while
+// UserGroup/EventRsvp use the Auth0 user_id string. Everything this service
+// returns is keyed by User.id.
+
+const { Op, fn, col } = require('sequelize');
+const { Event, EventRsvp, User, UserGroup } = require('../models');
+const { isActiveMember } = require('./authorizationService');
+
+/**
+ * Per-host counts for a group. Cancelled events don't count; upcoming events
+ * that already have a host do, so one person isn't suggested twice in a row.
+ * @param {string} groupId
+ * @param {Object} [options]
+ * @param {string} [options.excludeEventId] - Event being planned (ignore its own host)
+ * @param {Object} [options.transaction]
+ * @returns {Promise<Map<string, { hosted_count: number, last_hosted_at: Date }>>}
+ */
+async function getHostHistory(groupId, { excludeEventId, transaction } = {}) {
+  const where = {
+    group_id: groupId,
+    host_user_id: { [Op.ne]: null },
+    status: { [Op.ne]: 'cancelled' },
+  };
+  if (excludeEventId) {
+    where.id = { [Op.ne]: excludeEventId };
+  }
+
+  const rows = await Event.findAll({
+    where,
+    attributes: [
+      'host_user_id',
+      [fn('COUNT', col('id')), 'hosted_count'],
+      [fn('MAX', col('start_date')), 'last_hosted_at'],
+    ],
+    group: ['host_user_id'],
+    raw: true,
+    transaction,
+  });
+
+  const history = new Map();
+  for (const row of rows) {
+    history.set(row.host_user_id, {
+      hosted_count: parseInt(row.hosted_count, 10) || 0,
+      last_hosted_at: row.last_hosted_at ? new Date(row.last_hosted_at) : null,
+    });
+  }
+  return history;
+}
+
+/**
+ * Order users by whose turn it is: never hosted first, then oldest
+ * last_hosted_at, then fewest hosted, then username (stable output).
+ * @param {Array<{id: string, username?: string}>} users
+ * @param {Map} history - from getHostHistory
+ * @returns {Array<{id, username, hosted_count, last_hosted_at}>}
+ */
+function rankByTurn(users, history) {
+  return users
+    .map(u => {
+      const h = history.get(u.id);
+      return {
+        id: u.id,
+        username: u.username || null,
+        hosted_count: h ? h.hosted_count : 0,
+        last_hosted_at: h ? h.last_hosted_at : null,
+      };
+    })
+    .sort((a, b) => {
+      if (!a.last_hosted_at !== !b.last_hosted_at) return a.last_hosted_at ? 1 : -1;
+      if (a.last_hosted_at && b.last_hosted_at) {
+        const diff = a.last_hosted_at.getTime() - b.last_hosted_at.getTime();
+        if (diff !== 0) return diff;
+      }
+      if (a.hosted_count !== b.hosted_count) return a.hosted_count - b.hosted_count;
+      return (a.username || '').localeCompare(b.username || '');
+    });
+}
+
+/**
+ * Next host among the given candidates (e.g. everyone who RSVPed yes).
+ * @param {string} groupId
+ * @param {Array<{id: string, username?: string}>} candidates - User rows
+ * @param {Object} [options] - passed to getHostHistory
+ * @returns {Promise<Object|null>} ranked entry for the suggested host
+ */
+async function suggestHost(groupId, candidates, options = {}) {
+  if (!candidates || candidates.length === 0) return null;
+  const history = await getHostHistory(groupId, options);
+  return rankByTurn(candidates, history)[0] || null;
+}
+
+/**
+ * Full rotation for the group page: every active member in turn order, plus
+ * the suggested host. With an eventId the suggestion is limited to members
+ * who RSVPed yes to that event.
+ * @param {string} groupId
+ * @param {Object} [options]
+ * @param {string} [options.eventId]
+ * @returns {Promise<{ suggested_host: Object|null, rotation: Array }>}
+ */
+async function getRotation(groupId, { eventId } = {}) {
+  const memberships = await UserGroup.findAll({
+    where: { group_id: groupId, status: 'active', role: { [Op.ne]: 'pending' } },
+    include: [{ model: User, attributes: ['id', 'user_id', 'username'] }],
+  });
+  const members = memberships.map(m => m.User).filter(Boolean);
+
+  let candidateIds = null;
+  if (eventId) {
+    const rsvps = await EventRsvp.findAll({
+      where: { event_id: eventId, status: 'yes' },
+      attributes: ['user_id'],
+    });
+    candidateIds = new Set(rsvps.map(r => r.user_id));
+  }
+
+  const history = await getHostHistory(groupId, { excludeEventId: eventId });
+  const rotation = rankByTurn(members, history).map(entry => {
+    const member = members.find(m => m.id === entry.id);
+    return {
+      ...entry,
+      is_candidate: candidateIds ? candidateIds.has(member.user_id) : true,
+    };
+  });
+
+  return {
+    suggested_host: rotation.find(r => r.is_candidate) || null,
+    rotation,
+  };
+}
+
+/**
+ * Check a proposed host (User.id) is an active member of the group.
+ * @param {string|null} hostUserId
+ * @param {string} groupId
+ * @returns {Promise<string|null>} error message, or null when valid/empty
+ */
+async function validateHost(hostUserId, groupId) {
+  if (!hostUserId) return null;
+  const host = await User.findByPk(hostUserId, { attributes: ['id', 'user_id'] });
+  if (!host) return 'Host user not found';
+  const isMember = await isActiveMember(host.user_id, groupId);
+  return isMember ? null : 'Host must be a member of this group';
+}
+
+module.exports = {
+  getHostHistory,
+  rankByTurn,
+  suggestHost,
+  getRotation,
+  validateHost,
+};
@@ -0,0 +1,688 @@
+// services/icsCalendarService.js
+// Busy times from any ICS calendar: an uploaded .ics file or a calendar URL
+// the user registered (User.ics_calendar_url -- iCloud, Outlook.com, Fastmail,
+// Nextcloud and most CalDAV servers publish one). The availability
+// counterpart of googleCalendarService.getBusyTimesForDateRange, and it
+// returns the same shape: 30-minute slots keyed in UTC, start rounded down
+// and end rounded up to the slot grid.
+//
+// Hand-rolled like icsService.js. What is understood:
+//   - VEVENT DTSTART/DTEND/DURATION, as UTC (Z), with a TZID, floating
+//     (no zone: the user's timezone) or all-day (VALUE=DATE, the user's days)
+//   - RRULE FREQ=DAILY|WEEKLY|MONTHLY|YEARLY with INTERVAL, COUNT, UNTIL,
+//     BYDAY (incl. 2TU / -1FR in monthly and yearly rules), BYMONTHDAY,
+//     BYMONTH and WKST; other BY* parts are ignored
+//   - EXDATE, and RECURRENCE-ID instances replacing their occurrence
+//   - STATUS:CANCELLED and TRANSP:TRANSPARENT events are not busy
+// Recurrences are expanded in the event's own wall-clock time and converted
+// to UTC per occurrence, so a 7pm weekly game stays 7pm across DST.
+// TZIDs that aren't IANA names (Outlook's "Pacific Standard Time") fall back
+// to the user's timezone.
+
+const axios = require('axios');
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const SLOT_MS = 30 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ICS_BYTES = 5 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 3;
+// Periods walked per rule. Rules without COUNT start near the requested
+// range, so this only bites COUNT rules and rules that never match.
+const MAX_PERIODS_PER_RULE = 10000;
+// Periods walked per document across all its rules, so one large feed
+// can't hold the event loop for long.
+const MAX_PERIODS_PER_DOCUMENT = 50000;
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+class IcsCalendarError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'IcsCalendarError';
+    this.details = details;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Timezones. Wall-clock times are handled as "floating" epoch ms (the local
+// date and time read as if it were UTC), so date arithmetic never sees DST.
+// ---------------------------------------------------------------------------
+
+const formatters = new Map();
+
+function isValidTimezone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Offset of `timezone` from UTC at an instant, in ms
+function zoneOffsetMs(utcMs, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  const parts = Object.fromEntries(formatters.get(timezone).formatToParts(new Date(utcMs)).map(p => [p.type, p.value]));
+  const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return asUtc - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * Floating wall-clock ms in a timezone -> real UTC ms. Two passes so the
+ * offset is the one in force at the result; a time in the hour skipped at
+ * spring-forward resolves to a neighbouring hour.
+ * @param {number} wallMs
+ * @param {string} timezone
+ * @returns {number}
+ */
+function wallToUtc(wallMs, timezone) {
+  if (timezone === 'UTC') return wallMs;
+  const first = wallMs - zoneOffsetMs(wallMs, timezone);
+  return wallMs - zoneOffsetMs(first, timezone);
+}
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Split a content line into name, params and value. Colons and semicolons
+ * inside quoted params don't count.
+ * @param {string} line
+ * @returns {{ name: string, params: Object, value: string }|null}
+ */
+function parseContentLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ':' && !inQuotes) { colon = i; break; }
+  }
+  if (colon === -1) return null;
+
+  const head = line.slice(0, colon);
+  const segments = head.match(/(?:[^;"]|"[^"]*")+/g) || [];
+  const params = {};
+  for (const segment of segments.slice(1)) {
+    const eq = segment.indexOf('=');
+    if (eq === -1) continue;
+    params[segment.slice(0, eq).toUpperCase()] = segment.slice(eq + 1).replace(/^"|"$/g, '');
+  }
+  return { name: (segments[0] || '').toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Parse a DATE or DATE-TIME value.
+ * @param {string} value - 20261024 | 20261024T190000 | 20261024T190000Z
+ * @param {Object} params - TZID, VALUE
+ * @param {string} defaultTimezone
+ * @returns {{ wall: number, timezone: string, allDay: boolean }|null}
+ */
+function parseDateValue(value, params, defaultTimezone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(value).trim());
+  if (!match) return null;
+  const [, y, mo, d, h, mi, s, z] = match;
+  const wall = Date.UTC(+y, +mo - 1, +d, +(h || 0), +(mi || 0), +(s || 0));
+  const allDay = h === undefined || params.VALUE === 'DATE';
+  let timezone = defaultTimezone;
+  if (z) timezone = 'UTC';
+  else if (!allDay && isValidTimezone(params.TZID)) timezone = params.TZID;
+  return { wall, timezone, allDay };
+}
+
+/**
+ * Parse an ISO 8601 duration (P1W, P1DT2H, PT90M, -PT15M).
+ * @param {string} value
+ * @returns {number|null} ms
+ */
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+  if (!match) return null;
+  const [, sign, w, d, h, mi, s] = match;
+  const ms = ((+(w || 0) * 7 + +(d || 0)) * DAY_MS) + (+(h || 0) * 3600 + +(mi || 0) * 60 + +(s || 0)) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Parse an RRULE value into its parts.
+ * @param {string} value
+ * @returns {Object}
+ */
+function parseRrule(value) {
+  const parts = Object.fromEntries(String(value).split(';')
+    .map(p => p.split('='))
+    .filter(([k, v]) => k && v !== undefined)
+    .map(([k, v]) => [k.toUpperCase(), v]));
+  const list = (v) => (v ? v.split(',').map(x => x.trim()).filter(Boolean) : []);
+  return {
+    freq: (parts.FREQ || '').toUpperCase(),
+    interval: Math.max(parseInt(parts.INTERVAL, 10) || 1, 1),
+    count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+    until: parts.UNTIL || null,
+    byDay: list(parts.BYDAY).map((entry) => {
+      const m = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/i.exec(entry);
+      return m ? { ordinal: m[1] ? parseInt(m[1], 10) : null, weekday: WEEKDAYS.indexOf(m[2].toUpperCase()) } : null;
+    }).filter(Boolean),
+    byMonthDay: list(parts.BYMONTHDAY).map(Number).filter(n => n && Math.abs(n) <= 31),
+    byMonth: list(parts.BYMONTH).map(Number).filter(n => n >= 1 && n <= 12),
+    weekStart: Math.max(WEEKDAYS.indexOf((parts.WKST || 'MO').toUpperCase()), 0),
+  };
+}
+
+/**
+ * Parse the VEVENTs out of an ICS document. Other components (VTIMEZONE,
+ * VTODO, VALARM inside events) are skipped.
+ * @param {string} text
+ * @param {string} defaultTimezone - for floating and all-day times
+ * @returns {Array<Object>} { uid, start, end, duration, rrule, exdates, recurrenceId, cancelled, transparent }
+ */
+function parseIcsEvents(text, defaultTimezone = 'UTC') {
+  // Unfold (RFC 5545 §3.1): a line break followed by a space or tab continues the line
+  const lines = String(text).replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+  const events = [];
+  let current = null;
+  let nested = 0;
+  for (const raw of lines) {
+    const line = raw.trimEnd();
+    if (!line) continue;
+    const upper = line.toUpperCase();
+
+    if (upper === 'BEGIN:VEVENT') {
+      current = { exdates: [] };
+      nested = 0;
+      continue;
+    }
+    if (!current) continue;
+    if (upper === 'END:VEVENT') {
+      if (current.start) events.push(current);
+      current = null;
+      continue;
+    }
+    if (upper.startsWith('BEGIN:')) { nested++; continue; }
+    if (upper.startsWith('END:')) { nested--; continue; }
+    if (nested > 0) continue;
+
+    const prop = parseContentLine(line);
+    if (!prop) continue;
+    switch (prop.name) {
+      case 'UID':
+        current.uid = prop.value;
+        break;
+      case 'DTSTART':
+        current.start = parseDateValue(prop.value, prop.params, defaultTimezone);
+        break;
+      case 'DTEND':
+        current.end = parseDateValue(prop.value, prop.params, defaultTimezone);
+        break;
+      case 'DURATION':
+        current.duration = parseDuration(prop.value);
+        break;
+      case 'RRULE':
+        current.rrule = parseRrule(prop.value);
+        break;
+      case 'EXDATE':
+        for (const value of prop.value.split(',')) {
+          const exdate = parseDateValue(value, prop.params, defaultTimezone);
+          if (exdate) current.exdates.push(exdate);
+        }
+        break;
+      case 'RECURRENCE-ID':
+        current.recurrenceId = parseDateValue(prop.value, prop.params, defaultTimezone);
+        break;
+      case 'STATUS':
+        current.cancelled = prop.value.trim().toUpperCase() === 'CANCELLED';
+        break;
+      case 'TRANSP':
+        current.transparent = prop.value.trim().toUpperCase() === 'TRANSPARENT';
+        break;
+      default:
+        break;
+    }
+  }
+  return events;
+}
+
+// ---------------------------------------------------------------------------
+// Recurrence expansion (floating wall-clock ms throughout)
+// ---------------------------------------------------------------------------
+
+const dayOf = (wall) => Math.floor(wall / DAY_MS) * DAY_MS;
+const timeOf = (wall) => wall - dayOf(wall);
+const weekdayOf = (wall) => new Date(wall).getUTCDay();
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Days (midnight wall ms) in a month matching BYDAY entries; ordinals pick
+// the nth (or nth-from-last) such weekday
+function monthDaysByWeekday(year, month, byDay) {
+  const total = daysInMonth(year, month);
+  const days = [];
+  for (const { ordinal, weekday } of byDay) {
+    const matches = [];
+    for (let d = 1; d <= total; d++) {
+      const day = Date.UTC(year, month, d);
+      if (weekdayOf(day) === weekday) matches.push(day);
+    }
+    if (ordinal === null) days.push(...matches);
+    else {
+      const pick = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+      if (pick !== undefined) days.push(pick);
+    }
+  }
+  return days;
+}
+
+// Days in a month matching BYMONTHDAY (negative counts from the end)
+function monthDaysByNumber(year, month, byMonthDay) {
+  const total = daysInMonth(year, month);
+  return byMonthDay
+    .map(n => (n > 0 ? n : total + n + 1))
+    .filter(n => n >= 1 && n <= total)
+    .map(n => Date.UTC(year, month, n));
+}
+
+/**
+ * The nth period of a rule: when it begins and its candidate days
+ * (midnight wall ms).
+ * @param {Object} rule
+ * @param {number} startWall - DTSTART
+ * @param {number} n - period index
+ * @returns {{ begins: number, days: Array<number> }}
+ */
+function period(rule, startWall, n) {
+  const start = new Date(startWall);
+  const step = n * rule.interval;
+  const inMonths = (day) => rule.byMonth.length === 0 || rule.byMonth.includes(new Date(day).getUTCMonth() + 1);
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const day = dayOf(startWall) + step * DAY_MS;
+      const weekdayOk = rule.byDay.length === 0 || rule.byDay.some(b => b.weekday === weekdayOf(day));
+      return { begins: day, days: weekdayOk && inMonths(day) ? [day] : [] };
+    }
+    case 'WEEKLY': {
+      const offset = (weekdayOf(startWall) - rule.weekStart + 7) % 7;
+      const begins = dayOf(startWall) - offset * DAY_MS + step * 7 * DAY_MS;
+      const weekdays = rule.byDay.length > 0 ? rule.byDay.map(b => b.weekday) : [weekdayOf(startWall)];
+      return {
+        begins,
+        days: weekdays.map(w => begins + ((w - rule.weekStart + 7) % 7) * DAY_MS).filter(inMonths),
+      };
+    }
+    case 'MONTHLY': {
+      const begins = Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + step, 1);
+      const [year, month] = [new Date(begins).getUTCFullYear(), new Date(begins).getUTCMonth()];
+      if (!inMonths(begins)) return { begins, days: [] };
+      if (rule.byDay.length > 0) {
+        const days = monthDaysByWeekday(year, month, rule.byDay);
+        return {
+          begins,
+          days: rule.byMonthDay.length > 0
+            ? days.filter(day => monthDaysByNumber(year, month, rule.byMonthDay).includes(day))
+            : days,
+        };
+      }
+      return { begins, days: monthDaysByNumber(year, month, rule.byMonthDay.length > 0 ? rule.byMonthDay : [start.getUTCDate()]) };
+    }
+    case 'YEARLY': {
+      const year = start.getUTCFullYear() + step;
+      const months = rule.byMonth.length > 0 ? rule.byMonth.map(m => m - 1) : [start.getUTCMonth()];
+      return {
+        begins: Date.UTC(year, 0, 1),
+        days: months.flatMap((month) => {
+          if (rule.byDay.length > 0) return monthDaysByWeekday(year, month, rule.byDay);
+          return monthDaysByNumber(year, month, rule.byMonthDay.length > 0 ? rule.byMonthDay : [start.getUTCDate()]);
+        }),
+      };
+    }
+    default:
+      return { begins: Infinity, days: [] };
+  }
+}
+
+/**
+ * Index of the first period that can hold an occurrence at or after
+ * `fromWall`. Periods are contiguous and in order, so every earlier one
+ * starts before it. COUNT rules have to be counted from DTSTART.
+ * @param {Object} rule
+ * @param {number} startWall - DTSTART
+ * @param {number} fromWall
+ * @returns {number}
+ */
+function firstPeriodFrom(rule, startWall, fromWall) {
+  if (rule.count !== null || !(fromWall > startWall)) return 0;
+  const start = new Date(startWall);
+  const from = new Date(fromWall);
+  let units;
+  switch (rule.freq) {
+    case 'DAILY':
+      units = Math.floor((dayOf(fromWall) - dayOf(startWall)) / DAY_MS);
+      break;
+    case 'WEEKLY':
+      units = Math.floor((fromWall - period(rule, startWall, 0).begins) / (7 * DAY_MS));
+      break;
+    case 'MONTHLY':
+      units = (from.getUTCFullYear() - start.getUTCFullYear()) * 12 + from.getUTCMonth() - start.getUTCMonth();
+      break;
+    case 'YEARLY':
+      units = from.getUTCFullYear() - start.getUTCFullYear();
+      break;
+    default:
+      return 0;
+  }
+  // One period of slack either side of the boundary
+  return Math.max(0, Math.floor(units / rule.interval) - 1);
+}
+
+/**
+ * Occurrence starts (floating wall ms) of a recurring event, up to
+ * `untilWall`, in order. Occurrences before `fromWall` may be skipped.
+ * @param {Object} event - parsed VEVENT with rrule
+ * @param {number} untilWall - stop once occurrences pass this
+ * @param {Object} [options]
+ * @param {number} [options.fromWall] - earliest start the caller needs
+ * @param {{ remaining: number }} [options.budget] - periods left for the document (mutated)
+ * @returns {Array<number>}
+ */
+function expandOccurrences(event, untilWall, { fromWall = -Infinity, budget = { remaining: MAX_PERIODS_PER_DOCUMENT } } = {}) {
+  const { rrule: rule, start } = event;
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.freq)) return [start.wall];
+
+  // UNTIL is UTC (Z) or in DTSTART's zone; compare in DTSTART's wall clock
+  let ruleEnd = untilWall;
+  if (rule.until) {
+    const until = parseDateValue(rule.until, {}, start.timezone);
+    if (until) {
+      const untilInZone = until.timezone === 'UTC' && start.timezone !== 'UTC'
+        ? until.wall + zoneOffsetMs(until.wall, start.timezone)
+        : until.wall + (until.allDay ? DAY_MS - 1 : 0);
+      ruleEnd = Math.min(ruleEnd, untilInZone);
+    }
+  }
+
+  const occurrences = [];
+  const time = timeOf(start.wall);
+  let counted = 0;
+  // Periods only move forward, so the walk ends at the first period that
+  // begins past the end; the caps bound rules that never match
+  const first = firstPeriodFrom(rule, start.wall, fromWall);
+  for (let n = first; n < first + MAX_PERIODS_PER_RULE && budget.remaining > 0; n++) {
+    budget.remaining--;
+    const { begins, days } = period(rule, start.wall, n);
+    if (begins > ruleEnd) break;
+    for (const day of days.sort((a, b) => a - b)) {
+      const wall = day + time;
+      if (wall < start.wall) continue;
+      if (wall > ruleEnd) return occurrences;
+      counted++;
+      if (rule.count !== null && counted > rule.count) return occurrences;
+      occurrences.push(wall);
+    }
+  }
+  return occurrences;
+}
+
+/**
+ * Busy periods (real UTC ms) from parsed events overlapping [rangeStart, rangeEnd).
+ * @param {Array<Object>} events - from parseIcsEvents
+ * @param {Date} rangeStart
+ * @param {Date} rangeEnd
+ * @returns {Array<{ start: number, end: number }>}
+ */
+function busyPeriods(events, rangeStart, rangeEnd) {
+  const from = new Date(rangeStart).getTime();
+  const to = new Date(rangeEnd).getTime();
+  const instantOf = (date) => wallToUtc(date.wall, date.timezone);
+
+  // RECURRENCE-ID instances replace the master's occurrence at that time
+  const overridden = new Map();
+  for (const event of events) {
+    if (event.recurrenceId && event.uid) {
+      if (!overridden.has(event.uid)) overridden.set(event.uid, new Set());
+      overridden.get(event.uid).add(instantOf(event.recurrenceId));
+    }
+  }
+
+  const periods = [];
+  const budget = { remaining: MAX_PERIODS_PER_DOCUMENT };
+  for (const event of events) {
+    if (event.cancelled || event.transparent) continue;
+
+    const { start } = event;
+    let length;
+    if (event.end) length = event.end.wall - start.wall;
+    else if (event.duration !== null && event.duration !== undefined) length = event.duration;
+    else length = start.allDay ? DAY_MS : 0;
+    if (length <= 0) continue;
+
+    const skip = new Set([
+      ...event.exdates.map(instantOf),
+      ...(event.recurrenceId ? [] : overridden.get(event.uid) || []),
+    ]);
+
+    // Expand in wall-clock time with a day of slack for zone offsets; an
+    // occurrence starting up to `length` before the range still overlaps it
+    const untilWall = to + zoneOffsetMs(to, start.timezone) + DAY_MS;
+    const fromWall = from + zoneOffsetMs(from, start.timezone) - length - DAY_MS;
+    const starts = event.rrule && !event.recurrenceId
+      ? expandOccurrences(event, untilWall, { fromWall, budget })
+      : [start.wall];
+    for (const wall of starts) {
+      const begin = wallToUtc(wall, start.timezone);
+      if (skip.has(begin)) continue;
+      const end = wallToUtc(wall + length, start.timezone);
+      if (begin < to && end > from) periods.push({ start: Math.max(begin, from), end: Math.min(end, to) });
+    }
+  }
+  return periods;
+}
+
+/**
+ * Busy periods -> 30-minute UTC slots, same as googleCalendarService.
+ * @param {Array<{ start: number, end: number }>} periods
+ * @returns {Array<{ date: string, startTime: string, endTime: string }>}
+ */
+function periodsToSlots(periods) {
+  const seen = new Set();
+  const slots = [];
+  const pad = (n) => String(n).padStart(2, '0');
+  for (const period of periods) {
+    const slotStart = Math.floor(period.start / SLOT_MS) * SLOT_MS;
+    const slotEnd = Math.ceil(period.end / SLOT_MS) * SLOT_MS;
+    for (let ms = slotStart; ms < slotEnd; ms += SLOT_MS) {
+      if (seen.has(ms)) continue;
+      seen.add(ms);
+      const start = new Date(ms);
+      const end = new Date(ms + SLOT_MS);
+      slots.push({
+        date: `${start.getUTCFullYear()}-${pad(start.getUTCMonth() + 1)}-${pad(start.getUTCDate())}`,
+        startTime: `${pad(start.getUTCHours())}:${pad(start.getUTCMinutes())}`,
+        endTime: `${pad(end.getUTCHours())}:${pad(end.getUTCMinutes())}`,
+      });
+    }
+  }
+  return slots.sort((a, b) => `${a.date}${a.startTime}`.localeCompare(`${b.date}${b.startTime}`));
+}
+
+/**
+ * Busy slots from an ICS document.
+ * @param {string} icsText
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @param {string} [timezone] - the user's timezone, for floating and all-day times
+ * @returns {Array<{ date: string, startTime: string, endTime: string }>}
+ * @throws {IcsCalendarError} when the text isn't a calendar
+ */
+function getBusyTimesFromIcs(icsText, startDate, endDate, timezone = 'UTC') {
+  if (typeof icsText !== 'string' || !/BEGIN:VCALENDAR/i.test(icsText)) {
+    throw new IcsCalendarError('That is not an iCalendar (.ics) file');
+  }
+  const events = parseIcsEvents(icsText, isValidTimezone(timezone) ? timezone : 'UTC');
+  return periodsToSlots(busyPeriods(events, startDate, endDate));
+}
+
+// ---------------------------------------------------------------------------
+// Calendar URLs
+// ---------------------------------------------------------------------------
+
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168)
+      || (a === 100 && b >= 64 && b <= 127);
+  }
+  const lower = address.toLowerCase();
+  if (lower.startsWith('::ffff:')) return isPrivateAddress(lower.slice(7));
+  return lower === '::1' || lower === '::' || lower.startsWith('fc') || lower.startsWith('fd') || lower.startsWith('fe80');
+}
+
+/**
+ * Normalize a calendar URL and resolve its host, refusing private addresses.
+ * @param {string} url
+ * @returns {Promise<{ url: string, protocol: string, addresses: Array<{ address: string, family: number }> }>}
+ * @throws {IcsCalendarError}
+ */
+async function resolveCalendarUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim().replace(/^webcals?:\/\//i, 'https://'));
+  } catch {
+    throw new IcsCalendarError('Calendar URL is not a valid URL');
+  }
+  if (!['https:', 'http:'].includes(parsed.protocol)) {
+    throw new IcsCalendarError('Calendar URL must start with https://, http:// or webcal://');
+  }
+  let addresses;
+  try {
+    addresses = await dns.lookup(parsed.hostname, { all: true });
+  } catch {
+    throw new IcsCalendarError('Calendar URL host could not be found');
+  }
+  if (addresses.length === 0 || addresses.some(a => isPrivateAddress(a.address))) {
+    throw new IcsCalendarError('Calendar URL must point at a public server');
+  }
+  return { url: parsed.toString(), protocol: parsed.protocol, addresses };
+}
+
+/**
+ * Normalize a calendar URL (webcal:// -> https://) and check it points at a
+ * public host, so a registered URL can't be used to probe our network.
+ * @param {string} url
+ * @returns {Promise<string>} normalized URL
+ * @throws {IcsCalendarError}
+ */
+async function validateCalendarUrl(url) {
+  return (await resolveCalendarUrl(url)).url;
+}
+
+/**
+ * An http(s) agent whose DNS lookup answers with the addresses that were
+ * already checked, so the host can't re-resolve to a private address
+ * between validation and connect (DNS rebinding). TLS still verifies the
+ * certificate against the URL's hostname.
+ * @param {string} protocol - 'http:' or 'https:'
+ * @param {Array<{ address: string, family: number }>} addresses
+ * @returns {http.Agent|https.Agent}
+ */
+function pinnedAgent(protocol, addresses) {
+  const lookup = (hostname, options, callback) => {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    if (options.all) return callback(null, addresses);
+    const [first] = addresses;
+    return callback(null, first.address, first.family);
+  };
+  return protocol === 'https:' ? new https.Agent({ lookup }) : new http.Agent({ lookup });
+}
+
+/**
+ * Download an ICS calendar. Redirects are followed by hand so every hop is
+ * checked like the original URL, and each request connects only to the
+ * addresses its check resolved.
+ * @param {string} url
+ * @returns {Promise<string>}
+ * @throws {IcsCalendarError}
+ */
+async function fetchCalendar(url) {
+  let target = await resolveCalendarUrl(url);
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const agent = pinnedAgent(target.protocol, target.addresses);
+    let response;
+    try {
+      response = await axios.get(target.url, {
+        httpAgent: agent,
+        httpsAgent: agent,
+        // An env-configured proxy would do its own DNS lookup
+        proxy: false,
+        timeout: FETCH_TIMEOUT_MS,
+        maxContentLength: MAX_ICS_BYTES,
+        maxRedirects: 0,
+        responseType: 'text',
+        transformResponse: [(data) => data],
+        headers: { Accept: 'text/calendar, */*;q=0.5' },
+        validateStatus: (status) => status < 400,
+      });
+    } catch (error) {
+      const status = error.response?.status;
+      throw new IcsCalendarError(
+        status ? `Calendar server answered ${status}` : `Could not download calendar: ${error.message}`,
+        { status: status || null }
+      );
+    }
+    if (response.status >= 300 && response.headers?.location) {
+      target = await resolveCalendarUrl(new URL(response.headers.location, target.url).toString());
+      continue;
+    }
+    return String(response.data || '');
+  }
+  throw new IcsCalendarError('Calendar URL redirected too many times');
+}
+
+/**
+ * Busy slots from a calendar URL.
+ * @param {string} url
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @param {string} [timezone]
+ * @returns {Promise<Array<{ date: string, startTime: string, endTime: string }>>}
+ * @throws {IcsCalendarError}
+ */
+async function getBusyTimesForUrl(url, startDate, endDate, timezone = 'UTC') {
+  const text = await fetchCalendar(url);
+  return getBusyTimesFromIcs(text, startDate, endDate, timezone);
+}
+
+module.exports = {
+  MAX_ICS_BYTES,
+  IcsCalendarError,
+  parseIcsEvents,
+  busyPeriods,
+  periodsToSlots,
+  getBusyTimesFromIcs,
+  validateCalendarUrl,
+  fetchCalendar,
+  getBusyTimesForUrl,
+  // Exposed for unit tests; not part of the public surface.
+  _internals: { wallToUtc, parseRrule, expandOccurrences, isPrivateAddress, pinnedAgent },
+};
@@ -2,10 +2,9 @@
 // Minimal RFC 5545 ICS string generator + Google Calendar template URL builder.
 // Hand-rolled to avoid adding a new dependency — the ICS surface we need is tiny
 // and the only output target is mainstream calendar clients (Apple Calendar,
-// Google Calendar, Outlook 365). Note: we intentionally do NOT enforce the
-// 75-octet line-fold rule from RFC 5545 §3.1 — modern clients tolerate long
-// lines and our content fields rarely exceed it. Revisit only if a real client
-// rejects an attachment.
+// Google Calendar, Outlook 365). Lines are folded at 75 octets per RFC 5545
+// §3.1: subscribed feeds (services/calendarFeedService.js) carry long venue
+// addresses and descriptions, and Outlook drops unfolded lines from them.
 
 /**
  * Format a Date as an ICS UTC timestamp: YYYYMMDDTHHMMSSZ
@@ -36,20 +35,55 @@ function escapeIcsText(s) {
 }
 
 /**
- * Build a minimal valid VCALENDAR/VEVENT string for an event.
- * @param {Object} params
- * @param {string} params.eventId - Stable event identifier (UUID)
- * @param {string} params.gameName
- * @param {string} params.groupName
- * @param {Date}   params.startUtc - Event start as a JS Date (UTC interpretation)
- * @param {number} params.durationMinutes
- * @param {string} [params.location]
- * @param {string} [params.description]
- * @param {string} [params.hostName]
- * @param {string} [params.organizerEmail]
- * @returns {string} ICS string with CRLF line endings
+ * Fold a content line to 75 octets per RFC 5545 §3.1: CRLF followed by a
+ * single space, which counts toward the next line's 75. Splits only between
+ * characters so multi-byte UTF-8 sequences (the em dash in every SUMMARY)
+ * stay intact.
+ * @param {string} line
+ * @returns {string}
  */
-function buildEventIcs({
+function foldLine(line) {
+  const MAX_OCTETS = 75;
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? MAX_OCTETS : MAX_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Fold and join content lines with the CRLF endings RFC 5545 mandates.
+ * @param {Array<string>} lines
+ * @returns {string}
+ */
+function joinIcsLines(lines) {
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * VEVENT lines for an event. The UID depends only on the event id, so the
+ * one-off attachment and every feed describe the same calendar entry.
+ * @param {Object} params - see buildEventIcs, plus:
+ * @param {number} [params.sequence] - revision number; clients only apply
+ *   updates whose SEQUENCE is at least the one they have
+ * @param {Date}   [params.lastModified]
+ * @param {boolean} [params.cancelled] - STATUS:CANCELLED instead of CONFIRMED
+ * @param {string} [params.url]
+ * @returns {Array<string>} unfolded content lines
+ */
+function buildEventLines({
   eventId,
   gameName,
   groupName,
@@ -59,10 +93,14 @@ function buildEventIcs({
   description,
   hostName,
   organizerEmail,
+  sequence,
+  lastModified,
+  cancelled,
+  url,
 }) {
   const start = startUtc instanceof Date ? startUtc : new Date(startUtc);
   const end = new Date(start.getTime() + (Number(durationMinutes) || 0) * 60000);
-  const stamp = formatIcsDate(new Date());
+  const stamp = formatIcsDate(lastModified ? new Date(lastModified) : new Date());
 
   const summary = `${gameName || 'Game Night'} — ${groupName || ''}`.trim();
   const desc =
@@ -71,29 +109,85 @@ function buildEventIcs({
   const cn = hostName || groupName || 'NextGameNight';
 
   const lines = [
-    'BEGIN:VCALENDAR',
-    'VERSION:2.0',
-    'PRODID:-//NextGameNight//EN',
-    'METHOD:PUBLISH',
     'BEGIN:VEVENT',
     `UID:event-${eventId}@nextgamenight.app`,
     `DTSTAMP:${stamp}`,
+  ];
+  if (sequence !== undefined) {
+    lines.push(`SEQUENCE:${Math.max(Math.floor(Number(sequence) || 0), 0)}`);
+  }
+  if (lastModified) {
+    lines.push(`LAST-MODIFIED:${stamp}`);
+  }
+  lines.push(
     `DTSTART:${formatIcsDate(start)}`,
     `DTEND:${formatIcsDate(end)}`,
     `SUMMARY:${escapeIcsText(summary)}`,
-  ];
+  );
 
   if (location && String(location).trim() !== '') {
     lines.push(`LOCATION:${escapeIcsText(location)}`);
   }
 
   lines.push(`DESCRIPTION:${escapeIcsText(desc)}`);
+  if (url) {
+    lines.push(`URL:${url}`);
+  }
+  if (cancelled !== undefined) {
+    lines.push(`STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`);
+  }
   lines.push(`ORGANIZER;CN=${escapeIcsText(cn)}:mailto:${organizer}`);
   lines.push('END:VEVENT');
-  lines.push('END:VCALENDAR');
+  return lines;
+}
 
-  // RFC 5545 mandates CRLF line endings
-  return lines.join('\r\n') + '\r\n';
+/**
+ * Build a minimal valid VCALENDAR/VEVENT string for an event.
+ * @param {Object} params
+ * @param {string} params.eventId - Stable event identifier (UUID)
+ * @param {string} params.gameName
+ * @param {string} params.groupName
+ * @param {Date}   params.startUtc - Event start as a JS Date (UTC interpretation)
+ * @param {number} params.durationMinutes
+ * @param {string} [params.location]
+ * @param {string} [params.description]
+ * @param {string} [params.hostName]
+ * @param {string} [params.organizerEmail]
+ * @returns {string} ICS string with CRLF line endings
+ */
+function buildEventIcs(params) {
+  return joinIcsLines([
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//NextGameNight//EN',
+    'METHOD:PUBLISH',
+    ...buildEventLines(params),
+    'END:VCALENDAR',
+  ]);
+}
+
+/**
+ * Build a subscribable VCALENDAR holding many events (webcal:// feeds).
+ * Clients re-fetch it on their own schedule; REFRESH-INTERVAL and
+ * X-PUBLISHED-TTL ask for hourly.
+ * @param {Object} params
+ * @param {string} params.name - Calendar name shown in the client
+ * @param {Array<Object>} params.events - buildEventLines params each
+ * @returns {string} ICS string with CRLF line endings
+ */
+function buildCalendarIcs({ name, events }) {
+  return joinIcsLines([
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//NextGameNight//EN',
+    'METHOD:PUBLISH',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...events.flatMap(buildEventLines),
+    'END:VCALENDAR',
+  ]);
 }
 
 /**
@@ -135,7 +229,8 @@ function buildGoogleCalendarUrl({
 
 module.exports = {
   buildEventIcs,
+  buildCalendarIcs,
   buildGoogleCalendarUrl,
   // Exposed for unit tests; not part of the public surface.
-  _internals: { formatIcsDate, escapeIcsText },
+  _internals: { formatIcsDate, escapeIcsText, foldLine },
 };
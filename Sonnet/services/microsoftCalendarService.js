@@ -0,0 +1,543 @@
+// services/microsoftCalendarService.js
+// Microsoft Outlook calendar integration over Microsoft Graph -- the
+// counterpart of googleCalendarService.js, with the same method names,
+// arguments and return shapes so services/calendarProviders.js can treat
+// both alike.
+//
+// Differences from Google worth knowing:
+//   - Graph issues a new refresh token with every refresh; methods that
+//     refreshed mid-call return it as `_new_refresh_token` next to
+//     `_new_access_token`. That includes getBusyTimesForDateRange, which
+//     therefore returns `{ slots }` rather than the bare slot array.
+//   - An invitation lands in each attendee's mailbox under a different event
+//     id, so createCalendarEventsForGroup only reports the organizer's id.
+//   - Graph always notifies attendees of organizer edits and deletes; there
+//     is no sendUpdates switch.
+//   - Errors are classified with the same GCAL_* codes as Google's so the
+//     gcal-sync worker handles both providers the same way.
+//
+// MICROSOFT_GRAPH_URL and MICROSOFT_LOGIN_URL point at Graph and the
+// identity platform; tests aim them at a local mock server.
+
+const axios = require('axios');
+const { periodsToSlots } = require('./icsCalendarService');
+
+const REQUEST_TIMEOUT_MS = 10000;
+const SCOPES = ['offline_access', 'User.Read', 'Calendars.ReadWrite'];
+// Safety limit on calendarView pages (100 events each)
+const MAX_PAGES = 50;
+
+const graphUrl = () => (process.env.MICROSOFT_GRAPH_URL || 'https://graph.microsoft.com/v1.0').replace(/\/$/, '');
+
+function tokenEndpoint(path) {
+  const loginUrl = (process.env.MICROSOFT_LOGIN_URL || 'https://login.microsoftonline.com').replace(/\/$/, '');
+  const tenant = process.env.MICROSOFT_TENANT_ID || 'common';
+  return `${loginUrl}/${tenant}/oauth2/v2.0/${path}`;
+}
+
+// Same resolution order as getGoogleRedirectUri in googleCalendarService.js
+function getMicrosoftRedirectUri() {
+  if (process.env.MICROSOFT_REDIRECT_URI) return process.env.MICROSOFT_REDIRECT_URI;
+  if (process.env.RAILWAY_PUBLIC_DOMAIN) {
+    return `https://${process.env.RAILWAY_PUBLIC_DOMAIN}/api/auth/microsoft/callback`;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('MICROSOFT_REDIRECT_URI environment variable is required in production. Set it to your production backend URL (e.g., https://your-backend.railway.app/api/auth/microsoft/callback)');
+  }
+  return 'http://localhost:4000/api/auth/microsoft/callback';
+}
+
+function getClientCredentials() {
+  const clientId = process.env.MICROSOFT_CLIENT_ID;
+  const clientSecret = process.env.MICROSOFT_CLIENT_SECRET;
+  if (!clientId) {
+    throw new Error('MICROSOFT_CLIENT_ID environment variable is not set');
+  }
+  if (!clientSecret) {
+    throw new Error('MICROSOFT_CLIENT_SECRET environment variable is not set');
+  }
+  return { clientId, clientSecret };
+}
+
+// Graph's error message when there is one, else axios'
+function graphErrorMessage(error) {
+  return error.response?.data?.error?.message
+    || error.response?.data?.error_description
+    || error.message;
+}
+
+// Mirrors classifyGcalError in googleCalendarService.js. Callers handle
+// 404/410 and 401 themselves first.
+function classifyGraphError(error) {
+  const httpCode = error.response?.status;
+  const message = graphErrorMessage(error);
+
+  if (httpCode === 403) {
+    const err = new Error(`Forbidden: ${message}`);
+    err.code = 'GCAL_PERMANENT';
+    return err;
+  }
+  if (httpCode === 429) {
+    const err = new Error(`Rate limited: ${message}`);
+    err.code = 'GCAL_RATE_LIMITED';
+    return err;
+  }
+  // 5xx and network failures (no response): transient, BullMQ retries
+  if (!httpCode || httpCode >= 500) {
+    return error;
+  }
+  const err = new Error(`Permanent error: ${message}`);
+  err.code = 'GCAL_PERMANENT';
+  return err;
+}
+
+// Graph returns dateTime without an offset; with the outlook.timezone
+// preference set to UTC it is UTC
+const graphDateTimeToMs = (value) => Date.parse(/Z$/.test(value) ? value : `${value}Z`);
+
+// "YYYY-MM-DDTHH:mm:ss" in UTC, as Graph's dateTimeTimeZone expects
+const toGraphDateTime = (date) => date.toISOString().replace(/\.\d{3}Z$/, '');
+
+function eventResource(eventData, attendeeCountForDescription) {
+  const start = new Date(eventData.start_date);
+  const end = new Date(start.getTime() + (eventData.duration_minutes || 60) * 60 * 1000);
+  return {
+    subject: eventData.game_name ? `Board Game: ${eventData.game_name}` : 'Board Game Session',
+    body: {
+      contentType: 'text',
+      content: eventData.comments || `Game session with ${attendeeCountForDescription} players`,
+    },
+    // Sent in UTC; Outlook shows it in each reader's own timezone
+    start: { dateTime: toGraphDateTime(start), timeZone: 'UTC' },
+    end: { dateTime: toGraphDateTime(end), timeZone: 'UTC' },
+    // Empty displayName clears a location the event no longer has
+    location: { displayName: eventData.location || '' },
+  };
+}
+
+class MicrosoftCalendarService {
+  /**
+   * Check if event is in the future (only future events should be added to calendars)
+   */
+  isFutureEvent(startDate) {
+    return new Date(startDate) > new Date();
+  }
+
+  /**
+   * Microsoft identity platform consent URL
+   * @param {string} state - Opaque state echoed back to the callback
+   * @returns {string}
+   */
+  getAuthUrl(state) {
+    const { clientId } = getClientCredentials();
+    const params = new URLSearchParams({
+      client_id: clientId,
+      response_type: 'code',
+      redirect_uri: getMicrosoftRedirectUri(),
+      response_mode: 'query',
+      scope: SCOPES.join(' '),
+      prompt: 'select_account',
+      state,
+    });
+    return `${tokenEndpoint('authorize')}?${params.toString()}`;
+  }
+
+  /**
+   * Exchange an authorization code, or refresh, at the token endpoint
+   * @param {Object} grant - { code } or { refresh_token }
+   * @returns {Promise<{ access_token: string, refresh_token?: string }>}
+   */
+  async requestTokens(grant) {
+    const { clientId, clientSecret } = getClientCredentials();
+    const body = new URLSearchParams({
+      client_id: clientId,
+      client_secret: clientSecret,
+      scope: SCOPES.join(' '),
+      redirect_uri: getMicrosoftRedirectUri(),
+      ...(grant.code
+        ? { grant_type: 'authorization_code', code: grant.code }
+        : { grant_type: 'refresh_token', refresh_token: grant.refresh_token }),
+    });
+    const response = await axios.post(tokenEndpoint('token'), body.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: REQUEST_TIMEOUT_MS,
+    });
+    return response.data;
+  }
+
+  /**
+   * Exchange the OAuth callback's authorization code for tokens
+   * @param {string} code
+   * @returns {Promise<{ access_token: string, refresh_token?: string }>}
+   */
+  async getTokensFromCode(code) {
+    try {
+      return await this.requestTokens({ code });
+    } catch (error) {
+      console.error('Error exchanging Microsoft authorization code:', graphErrorMessage(error));
+      throw new Error(`Failed to get access token from Microsoft: ${graphErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Refresh an expired access token using refresh token
+   * @param {string} refreshToken - User's Microsoft refresh token
+   * @returns {Promise<{ accessToken: string, refreshToken: string }>} Graph rotates the refresh token
+   */
+  async refreshAccessToken(refreshToken) {
+    try {
+      const tokens = await this.requestTokens({ refresh_token: refreshToken });
+      return { accessToken: tokens.access_token, refreshToken: tokens.refresh_token || refreshToken };
+    } catch (error) {
+      console.error('Error refreshing Microsoft access token:', graphErrorMessage(error));
+      throw new Error(`Failed to refresh access token: ${graphErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * One Graph request
+   * @param {string} method
+   * @param {string} pathOrUrl - path under MICROSOFT_GRAPH_URL, or an absolute @odata.nextLink
+   * @param {string} accessToken
+   * @param {Object} [options] - { data, params, headers }
+   * @returns {Promise<Object>} response body
+   */
+  async graphRequest(method, pathOrUrl, accessToken, { data, params, headers } = {}) {
+    const response = await axios.request({
+      method,
+      url: /^https?:\/\//.test(pathOrUrl) ? pathOrUrl : `${graphUrl()}${pathOrUrl}`,
+      data,
+      params,
+      headers: { Authorization: `Bearer ${accessToken}`, ...headers },
+      timeout: REQUEST_TIMEOUT_MS,
+    });
+    return response.data;
+  }
+
+  /**
+   * Run a Graph call, refreshing the token once on 401. The result of a
+   * retried call carries the new tokens for the caller to persist.
+   * @param {Function} call - (accessToken) => Promise<Object>
+   * @param {string} accessToken
+   * @param {string|null} refreshToken
+   * @returns {Promise<Object>}
+   */
+  async withTokenRefresh(call, accessToken, refreshToken) {
+    try {
+      return await call(accessToken);
+    } catch (error) {
+      if (error.response?.status !== 401 || !refreshToken) throw error;
+
+      let refreshed;
+      try {
+        refreshed = await this.refreshAccessToken(refreshToken);
+      } catch (refreshErr) {
+        const err = new Error(`Token refresh failed: ${refreshErr.message}`);
+        err.code = 'GCAL_DISCONNECTED';
+        throw err;
+      }
+      const result = await call(refreshed.accessToken);
+      return {
+        ...result,
+        _new_access_token: refreshed.accessToken,
+        _new_refresh_token: refreshed.refreshToken,
+      };
+    }
+  }
+
+  /**
+   * Create a calendar event for a user; Graph sends the invitations
+   * @param {Object} eventData - Event data including start_date, duration_minutes, game_name, comments, location
+   * @param {Array} participantEmails - Array of participant email addresses
+   * @param {string} accessToken - User's Microsoft access token
+   * @param {string} refreshToken - User's Microsoft refresh token (optional, for auto-refresh)
+   * @returns {Promise<Object>} Created Graph event
+   */
+  async createCalendarEventForUser(eventData, participantEmails, accessToken, refreshToken = null) {
+    if (!accessToken) {
+      throw new Error('Microsoft Calendar access token is required');
+    }
+
+    const resource = {
+      ...eventResource(eventData, participantEmails.length),
+      attendees: participantEmails.map(address => ({ emailAddress: { address }, type: 'required' })),
+    };
+    if (!eventData.location) delete resource.location;
+
+    try {
+      return await this.withTokenRefresh(
+        token => this.graphRequest('post', '/me/events', token, { data: resource }),
+        accessToken,
+        refreshToken
+      );
+    } catch (error) {
+      console.error('Error creating Microsoft Calendar event:', graphErrorMessage(error));
+      throw new Error(`Failed to create calendar event: ${graphErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Create the event in the first connected participant's Outlook calendar
+   * and invite everyone else. Same result shape as
+   * googleCalendarService.createCalendarEventsForGroup, but
+   * connected_member_ids is only the organizer: invitees' copies have their
+   * own ids, which Graph doesn't tell us.
+   *
+   * @param {Object} eventData - Event data
+   * @param {Array} groupMembers - Members with email and microsoft_calendar_* tokens
+   * @returns {Promise<Array>} Zero or one result
+   */
+  async createCalendarEventsForGroup(eventData, groupMembers) {
+    const results = [];
+    const isValidEmail = (email) => typeof email === 'string'
+      && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)
+      && !email.includes('@auth0')
+      && !email.includes('|');
+
+    const organizer = groupMembers.find(member =>
+      member.microsoft_calendar_enabled && member.microsoft_calendar_token && member.email
+    );
+    if (!organizer) {
+      return results;
+    }
+
+    const participantEmails = groupMembers
+      .filter(m => m !== organizer && isValidEmail(m.email))
+      .map(m => m.email);
+
+    try {
+      const calendarEvent = await this.createCalendarEventForUser(
+        eventData,
+        participantEmails,
+        organizer.microsoft_calendar_token,
+        organizer.microsoft_calendar_refresh_token
+      );
+
+      if (calendarEvent._new_access_token) {
+        const { User } = require('../models');
+        await User.update(
+          {
+            microsoft_calendar_token: calendarEvent._new_access_token,
+            microsoft_calendar_refresh_token: calendarEvent._new_refresh_token,
+          },
+          { where: { id: organizer.id } }
+        );
+        delete calendarEvent._new_access_token;
+        delete calendarEvent._new_refresh_token;
+      }
+
+      results.push({
+        member_id: organizer.id,
+        calendar_event: calendarEvent,
+        invitations_sent_to: participantEmails,
+        connected_member_ids: [organizer.id],
+        calendar_event_id: calendarEvent.id,
+      });
+      console.log(`Outlook event created and invitations sent to ${participantEmails.length} participants`);
+    } catch (error) {
+      console.error('Failed to create Outlook calendar event:', error.message);
+    }
+
+    return results;
+  }
+
+  /**
+   * Get busy times from the user's Outlook calendar for a date range
+   * @param {Object} user - User with microsoft_calendar_token and microsoft_calendar_refresh_token
+   * @param {Date|string} startDate - Start date for query
+   * @param {Date|string} endDate - End date for query
+   * @param {string} timezone - Unused; slots are keyed in UTC like Google's
+   * @returns {Promise<{ slots: Array, _new_access_token?: string, _new_refresh_token?: string }>}
+   *   slots are [{ date: "YYYY-MM-DD", startTime: "HH:MM", endTime: "HH:MM" }, ...]
+   */
+  async getBusyTimesForDateRange(user, startDate, endDate, timezone = 'UTC') {
+    if (!user.microsoft_calendar_token) {
+      return { slots: [] };
+    }
+
+    const from = new Date(startDate).getTime();
+    const to = new Date(endDate).getTime();
+
+    const fetchPeriods = async (accessToken) => {
+      const periods = [];
+      let url = '/me/calendarView';
+      let params = {
+        startDateTime: new Date(from).toISOString(),
+        endDateTime: new Date(to).toISOString(),
+        $select: 'showAs,start,end,isCancelled',
+        $top: 100,
+      };
+      for (let page = 0; url && page < MAX_PAGES; page++) {
+        const body = await this.graphRequest('get', url, accessToken, {
+          params,
+          headers: { Prefer: 'outlook.timezone="UTC"' },
+        });
+        for (const item of body.value || []) {
+          // Free and working-elsewhere time doesn't block a game night
+          if (item.isCancelled || item.showAs === 'free' || item.showAs === 'workingElsewhere') continue;
+          const start = graphDateTimeToMs(item.start.dateTime);
+          const end = graphDateTimeToMs(item.end.dateTime);
+          if (start < to && end > from) {
+            periods.push({ start: Math.max(start, from), end: Math.min(end, to) });
+          }
+        }
+        url = body['@odata.nextLink'];
+        params = undefined; // nextLink carries its own query
+      }
+      return { periods };
+    };
+
+    try {
+      const result = await this.withTokenRefresh(
+        fetchPeriods,
+        user.microsoft_calendar_token,
+        user.microsoft_calendar_refresh_token
+      );
+      const { periods, ...tokens } = result;
+      return { slots: periodsToSlots(periods), ...tokens };
+    } catch (error) {
+      console.error('Error getting busy times from Microsoft Calendar:', graphErrorMessage(error));
+      throw new Error(`Failed to get busy times: ${graphErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Create a tentative calendar hold for a user (no attendees, no reminder)
+   * @param {Object} eventData - Event data (groupName, gameName, startDateTime, endDateTime, timezone)
+   * @param {string} accessToken - User's Microsoft access token
+   * @param {string} refreshToken - User's Microsoft refresh token (optional, for auto-refresh)
+   * @returns {Promise<Object>} Created Graph event with id
+   */
+  async createTentativeHold(eventData, accessToken, refreshToken = null) {
+    if (!accessToken) {
+      throw new Error('Microsoft Calendar access token is required');
+    }
+
+    const resource = {
+      subject: `${eventData.groupName} - ${eventData.gameName || 'Game Night'} (tentative)`,
+      body: {
+        contentType: 'text',
+        content: 'Tentative hold - pending group confirmation. Will be updated or removed when final decision is made.',
+      },
+      start: { dateTime: eventData.startDateTime, timeZone: eventData.timezone || 'UTC' },
+      end: { dateTime: eventData.endDateTime, timeZone: eventData.timezone || 'UTC' },
+      showAs: 'tentative',
+      isReminderOn: false,
+    };
+
+    try {
+      return await this.withTokenRefresh(
+        token => this.graphRequest('post', '/me/events', token, { data: resource }),
+        accessToken,
+        refreshToken
+      );
+    } catch (error) {
+      console.error('Error creating tentative Outlook hold:', graphErrorMessage(error));
+      throw new Error(`Failed to create tentative hold: ${graphErrorMessage(error)}`);
+    }
+  }
+
+  /**
+   * Delete a single tentative calendar hold
+   * @param {string} calendarEventId - Graph event ID to delete
+   * @param {string} accessToken - User's Microsoft access token
+   * @param {string} refreshToken - User's Microsoft refresh token (optional, for auto-refresh)
+   * @returns {Promise<boolean>} True if deleted (or already gone)
+   */
+  async deleteTentativeHold(calendarEventId, accessToken, refreshToken = null) {
+    if (!calendarEventId) {
+      console.warn('No calendar event ID provided for deletion');
+      return false;
+    }
+    try {
+      const result = await this.deleteCalendarEventForUser(calendarEventId, accessToken, refreshToken);
+      return result.deleted === true;
+    } catch (error) {
+      console.error(`Error deleting tentative hold ${calendarEventId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Delete an event from the user's calendar (gcal-sync `cleanup` jobs).
+   * Same results and error codes as googleCalendarService.deleteCalendarEventForUser.
+   *
+   * @param {string} calendarEventId - Graph event id
+   * @param {string} accessToken
+   * @param {string|null} refreshToken
+   * @returns {Promise<{ deleted: boolean, alreadyGone?: boolean, _new_access_token?: string, _new_refresh_token?: string }>}
+   */
+  async deleteCalendarEventForUser(calendarEventId, accessToken, refreshToken = null) {
+    if (!accessToken) {
+      const err = new Error('Microsoft Calendar access token is required');
+      err.code = 'GCAL_DISCONNECTED';
+      throw err;
+    }
+    if (!calendarEventId) {
+      return { skipped: true, reason: 'no_event_id' };
+    }
+
+    try {
+      return await this.withTokenRefresh(async (token) => {
+        await this.graphRequest('delete', `/me/events/${encodeURIComponent(calendarEventId)}`, token);
+        return { deleted: true };
+      }, accessToken, refreshToken);
+    } catch (error) {
+      if (error.code === 'GCAL_DISCONNECTED') throw error;
+      const httpCode = error.response?.status;
+      if (httpCode === 404 || httpCode === 410) {
+        return { deleted: true, alreadyGone: true };
+      }
+      if (httpCode === 401) {
+        const err = new Error('User has disconnected Microsoft Calendar');
+        err.code = 'GCAL_DISCONNECTED';
+        throw err;
+      }
+      throw classifyGraphError(error);
+    }
+  }
+
+  /**
+   * Patch an event in the user's calendar after the game's time, game,
+   * notes or location changed (gcal-sync `update` jobs). A 404 / 410
+   * resolves { updated: false, alreadyGone: true }.
+   *
+   * @param {string} calendarEventId - Graph event id
+   * @param {Object} eventData - start_date, duration_minutes, game_name, comments, location, player_count
+   * @param {string} accessToken
+   * @param {string|null} refreshToken
+   * @returns {Promise<{ updated: boolean, alreadyGone?: boolean, _new_access_token?: string, _new_refresh_token?: string }>}
+   */
+  async updateCalendarEventForUser(calendarEventId, eventData, accessToken, refreshToken = null) {
+    if (!accessToken) {
+      const err = new Error('Microsoft Calendar access token is required');
+      err.code = 'GCAL_DISCONNECTED';
+      throw err;
+    }
+    if (!calendarEventId) {
+      return { skipped: true, reason: 'no_event_id' };
+    }
+
+    const resource = eventResource(eventData, eventData.player_count || 0);
+    try {
+      return await this.withTokenRefresh(async (token) => {
+        await this.graphRequest('patch', `/me/events/${encodeURIComponent(calendarEventId)}`, token, { data: resource });
+        return { updated: true };
+      }, accessToken, refreshToken);
+    } catch (error) {
+      if (error.code === 'GCAL_DISCONNECTED') throw error;
+      const httpCode = error.response?.status;
+      if (httpCode === 404 || httpCode === 410) {
+        return { updated: false, alreadyGone: true };
+      }
+      if (httpCode === 401) {
+        const err = new Error('User has disconnected Microsoft Calendar');
+        err.code = 'GCAL_DISCONNECTED';
+        throw err;
+      }
+      throw classifyGraphError(error);
+    }
+  }
+}
+
+module.exports = new MicrosoftCalendarService();
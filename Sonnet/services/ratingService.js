@@ -0,0 +1,470 @@
+// services/ratingService.js
+// Player skill ratings (multiplayer Elo) from completed events.
+//
+// Every completed, past event with a usable result is replayed in
+// chronological order. Each event updates two scopes for every player:
+// group-wide (game_id null) and per game. A game night with N players is
+// scored as N-1 pairwise Elo matches per player:
+//   - finishing order comes from placement, else score (higher wins), else
+//     the recorded winner vs. everyone else; equal ranks are draws
+//   - cooperative wins (is_group_win) share rank 1 -- everyone draws
+//   - team games (EventParticipation.team + Event.winning_team) rank the
+//     winning team 1 and everyone else 2, and are rated team against team:
+//     a team plays at its members' average rating and each member takes the
+//     team's rating change, so 1-vs-many games (Scotland Yard) aren't scored
+//     as the lone player beating every opponent separately
+//   - custom participants (no account) are rated as guests, keyed by name,
+//     so beating a guest still counts; leaderboards hide them by default
+//
+// New events that are later than everything already rated are applied
+// incrementally (recordEvent). Anything that rewrites the past -- editing or
+// deleting an older event -- enqueues a full rebuild of the group
+// (scheduleRebuild -> rating-rebuild queue -> workers/ratingWorker.js).
+//
+// ID note: player_key is User.id (UUID, same as EventParticipation.user_id)
+// for members and 'guest:<lowercased name>' for custom participants.
+
+const { Op } = require('sequelize');
+const {
+  Event,
+  EventParticipation,
+  Group,
+  PlayerRating,
+  RatingHistory,
+  User,
+  sequelize,
+} = require('../models');
+
+const DEFAULT_RATING = 1500;
+const K_FACTOR = 32;
+
+const guestKey = (name) => `guest:${String(name).trim().toLowerCase()}`;
+
+// Team names are compared as entered, ignoring surrounding whitespace
+const teamName = (team) => (team && String(team).trim() ? String(team).trim() : null);
+
+/**
+ * Finishing order for an event, or null when it can't be rated (fewer than
+ * two players, or no placement / score / winner recorded).
+ * @param {Object} event - Event with EventParticipations (+ User) included
+ * @returns {Array<{player_key, user_id, guest_name, rank}>|null}
+ */
+function rankParticipants(event) {
+  const entries = [];
+  for (const p of event.EventParticipations || []) {
+    entries.push({
+      player_key: p.user_id,
+      user_id: p.user_id,
+      guest_name: null,
+      username: p.User ? p.User.username : null,
+      score: p.score,
+      placement: p.placement,
+      team: teamName(p.team),
+    });
+  }
+  for (const cp of event.custom_participants || []) {
+    if (!cp || !cp.username || !String(cp.username).trim()) continue;
+    entries.push({
+      player_key: guestKey(cp.username),
+      user_id: null,
+      guest_name: String(cp.username).trim(),
+      username: String(cp.username).trim(),
+      score: cp.score,
+      placement: cp.placement,
+      team: teamName(cp.team),
+    });
+  }
+
+  // The same guest name twice is the same person -- keep the first
+  const seen = new Set();
+  const players = entries.filter(e => {
+    if (seen.has(e.player_key)) return false;
+    seen.add(e.player_key);
+    return true;
+  });
+  if (players.length < 2) return null;
+
+  const isSet = (v) => v !== null && v !== undefined && v !== '';
+  const strip = ({ player_key, user_id, guest_name, team }, rank) => ({ player_key, user_id, guest_name, team, rank });
+
+  if (event.is_group_win) {
+    return players.map(p => strip(p, 1));
+  }
+
+  const winningTeam = teamName(event.winning_team);
+  if (winningTeam && players.some(p => p.team === winningTeam)) {
+    return players.map(p => strip(p, p.team === winningTeam ? 1 : 2));
+  }
+
+  if (players.some(p => isSet(p.placement))) {
+    const unplaced = Math.max(...players.filter(p => isSet(p.placement)).map(p => Number(p.placement))) + 1;
+    return players.map(p => strip(p, isSet(p.placement) ? Number(p.placement) : unplaced));
+  }
+
+  if (players.some(p => isSet(p.score))) {
+    const scoreOf = (p) => (isSet(p.score) ? Number(p.score) : -Infinity);
+    return players.map(p => strip(p, 1 + players.filter(o => scoreOf(o) > scoreOf(p)).length));
+  }
+
+  if (event.winner_id || event.winner_name) {
+    const winnerKey = event.winner_id || guestKey(event.winner_name);
+    const isWinner = (p) => p.player_key === winnerKey
+      || (event.winner_name && p.username && p.username.toLowerCase() === event.winner_name.trim().toLowerCase());
+    if (players.some(isWinner)) {
+      return players.map(p => strip(p, isWinner(p) ? 1 : 2));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Multiplayer Elo: each player is scored against every other player (win 1,
+ * draw 0.5, loss 0) and the K factor is split across the N-1 matches.
+ * @param {Array<{rating: number, rank: number}>} players
+ * @param {number} [k]
+ * @returns {number[]} rating change per player, same order, rounded to 0.01
+ */
+function computeEloDeltas(players, k = K_FACTOR) {
+  const n = players.length;
+  if (n < 2) return players.map(() => 0);
+
+  return players.map((p, i) => {
+    let sum = 0;
+    players.forEach((o, j) => {
+      if (i === j) return;
+      const expected = 1 / (1 + Math.pow(10, (o.rating - p.rating) / 400));
+      const actual = p.rank < o.rank ? 1 : p.rank === o.rank ? 0.5 : 0;
+      sum += actual - expected;
+    });
+    return Math.round((k * sum / (n - 1)) * 100) / 100;
+  });
+}
+
+/**
+ * Elo for a team game: teams play at their members' average rating and rank
+ * (best member's rank), and every member gets the team's change. Players
+ * without a team count as a team of one. With fewer than two teams this is
+ * plain computeEloDeltas.
+ * @param {Array<{rating: number, rank: number, team: string|null}>} players
+ * @param {number} [k]
+ * @returns {number[]} rating change per player, same order
+ */
+function computeTeamEloDeltas(players, k = K_FACTOR) {
+  const teams = new Map();
+  players.forEach((p, i) => {
+    const key = p.team ? `team:${p.team}` : `solo:${i}`;
+    if (!teams.has(key)) teams.set(key, []);
+    teams.get(key).push(i);
+  });
+  if (teams.size < 2) return computeEloDeltas(players, k);
+
+  const members = [...teams.values()];
+  const teamDeltas = computeEloDeltas(members.map(indexes => ({
+    rating: indexes.reduce((sum, i) => sum + players[i].rating, 0) / indexes.length,
+    rank: Math.min(...indexes.map(i => players[i].rank)),
+  })), k);
+
+  const deltas = new Array(players.length);
+  members.forEach((indexes, t) => indexes.forEach(i => { deltas[i] = teamDeltas[t]; }));
+  return deltas;
+}
+
+const stateKey = (gameId, playerKey) => `${gameId || 'all'}|${playerKey}`;
+
+const RATING_FIELDS = ['user_id', 'guest_name', 'rating', 'games_played', 'wins', 'last_played_at'];
+
+/**
+ * Insert or update one rating row. The conflict target matches the partial
+ * unique index for the row's scope (group-wide rows have a null game_id,
+ * which a plain unique index would treat as distinct).
+ * @param {Object} row - PlayerRating instance or PlayerRating-shaped object
+ * @param {Object} transaction
+ */
+function upsertRating(row, transaction) {
+  const values = { group_id: row.group_id, game_id: row.game_id || null, player_key: row.player_key };
+  for (const field of RATING_FIELDS) values[field] = row[field];
+  return PlayerRating.upsert(values, {
+    fields: RATING_FIELDS,
+    conflictFields: row.game_id ? ['group_id', 'game_id', 'player_key'] : ['group_id', 'player_key'],
+    conflictWhere: { game_id: row.game_id ? { [Op.ne]: null } : null },
+    transaction,
+  });
+}
+
+// Serializes rating writes per group (incremental updates and rebuilds) so
+// two of them never compute from the same starting ratings.
+const lockGroup = (groupId, transaction) => Group.findByPk(groupId, {
+  attributes: ['id'],
+  lock: transaction.LOCK.UPDATE,
+  transaction,
+});
+
+/**
+ * Apply one ranked event to the in-memory rating state (both scopes).
+ * @param {Map} state - stateKey -> PlayerRating-shaped object (mutated)
+ * @param {Object} event
+ * @param {Array} ranking - from rankParticipants
+ * @returns {Array<Object>} RatingHistory rows
+ */
+function applyEvent(state, event, ranking) {
+  const scopes = event.game_id ? [null, event.game_id] : [null];
+  const playedAt = new Date(event.start_date);
+  const history = [];
+
+  for (const gameId of scopes) {
+    const rows = ranking.map(r => {
+      const key = stateKey(gameId, r.player_key);
+      if (!state.has(key)) {
+        state.set(key, {
+          group_id: event.group_id,
+          game_id: gameId,
+          player_key: r.player_key,
+          user_id: r.user_id,
+          guest_name: r.guest_name,
+          rating: DEFAULT_RATING,
+          games_played: 0,
+          wins: 0,
+          last_played_at: null,
+        });
+      }
+      return state.get(key);
+    });
+
+    const players = rows.map((row, i) => ({ rating: row.rating, rank: ranking[i].rank, team: ranking[i].team || null }));
+    const deltas = players.some(p => p.team) ? computeTeamEloDeltas(players) : computeEloDeltas(players);
+
+    rows.forEach((row, i) => {
+      const before = row.rating;
+      row.rating = Math.round((before + deltas[i]) * 100) / 100;
+      row.games_played += 1;
+      if (ranking[i].rank === 1) row.wins += 1;
+      row.last_played_at = playedAt;
+      history.push({
+        group_id: event.group_id,
+        game_id: gameId,
+        event_id: event.id,
+        player_key: row.player_key,
+        user_id: row.user_id,
+        guest_name: row.guest_name,
+        rank: ranking[i].rank,
+        rating_before: before,
+        rating_after: row.rating,
+        played_at: playedAt,
+      });
+    });
+  }
+
+  return history;
+}
+
+// Event include for rating replays
+const participationInclude = () => ({
+  model: EventParticipation,
+  attributes: ['user_id', 'score', 'placement', 'team'],
+  include: [{ model: User, attributes: ['id', 'username'] }],
+});
+
+// Only completed game nights that already happened are rated
+const isRatable = (event) => event
+  && event.status === 'completed'
+  && new Date(event.start_date).getTime() <= Date.now();
+
+/**
+ * Recompute every rating in a group from scratch.
+ * @param {string} groupId
+ * @returns {Promise<{ events_rated: number, ratings: number }>}
+ */
+async function rebuildGroupRatings(groupId) {
+  const events = await Event.findAll({
+    where: {
+      group_id: groupId,
+      status: 'completed',
+      start_date: { [Op.lte]: new Date() },
+    },
+    include: [participationInclude()],
+    order: [['start_date', 'ASC'], ['id', 'ASC']],
+  });
+
+  const state = new Map();
+  const history = [];
+  let eventsRated = 0;
+  for (const event of events) {
+    const ranking = rankParticipants(event);
+    if (!ranking) continue;
+    history.push(...applyEvent(state, event, ranking));
+    eventsRated++;
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await lockGroup(groupId, transaction);
+    await RatingHistory.destroy({ where: { group_id: groupId }, transaction });
+    await PlayerRating.destroy({ where: { group_id: groupId }, transaction });
+    if (state.size > 0) {
+      await PlayerRating.bulkCreate([...state.values()], { transaction });
+    }
+    if (history.length > 0) {
+      await RatingHistory.bulkCreate(history, { transaction });
+    }
+  });
+
+  console.log(`[ratingService] Rebuilt group ${groupId}: ${eventsRated} events, ${state.size} ratings`);
+  return { events_rated: eventsRated, ratings: state.size };
+}
+
+/**
+ * Queue a full rebuild for a group. Best-effort: never throws, so the
+ * caller's primary action (event edit/delete) is never blocked by Redis.
+ * @param {string} groupId
+ * @param {string} [reason]
+ * @returns {Promise<boolean>} whether the job was enqueued
+ */
+async function scheduleRebuild(groupId, reason = 'event_changed') {
+  try {
+    // Lazy-require so routes that load this service don't open a Redis
+    // connection at import time (and tests don't need to mock queues).
+    const { ratingQueue } = require('../queues');
+    await ratingQueue.add('rebuild', { groupId, reason });
+    return true;
+  } catch (err) {
+    console.error(`[ratingService] Failed to enqueue rebuild for group ${groupId} (non-fatal):`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Rate a newly recorded event. Applied incrementally when it is the latest
+ * game night in the group; otherwise (or if it was already rated) a rebuild
+ * is queued so the later events are replayed on top of it.
+ * Never throws.
+ * @param {string} eventId
+ * @returns {Promise<{ rated: boolean, rebuild?: boolean }>}
+ */
+async function recordEvent(eventId) {
+  try {
+    const event = await Event.findByPk(eventId, { include: [participationInclude()] });
+    if (!isRatable(event)) return { rated: false };
+    const ranking = rankParticipants(event);
+    if (!ranking) return { rated: false };
+
+    const rated = await sequelize.transaction(async (transaction) => {
+      await lockGroup(event.group_id, transaction);
+      const laterOrSame = await RatingHistory.findOne({
+        where: {
+          group_id: event.group_id,
+          [Op.or]: [
+            { played_at: { [Op.gt]: event.start_date } },
+            { event_id: event.id },
+          ],
+        },
+        attributes: ['id'],
+        transaction,
+      });
+      if (laterOrSame) return false;
+
+      const existing = await PlayerRating.findAll({
+        where: {
+          group_id: event.group_id,
+          player_key: ranking.map(r => r.player_key),
+          game_id: event.game_id ? { [Op.or]: [null, event.game_id] } : null,
+        },
+        transaction,
+      });
+      const state = new Map(existing.map(row => [stateKey(row.game_id, row.player_key), row]));
+      const history = applyEvent(state, event, ranking);
+
+      for (const row of state.values()) {
+        await upsertRating(row, transaction);
+      }
+      await RatingHistory.bulkCreate(history, { transaction });
+      return true;
+    });
+
+    if (!rated) {
+      const queued = await scheduleRebuild(event.group_id, 'backdated_event');
+      return { rated: false, rebuild: queued };
+    }
+    return { rated: true };
+  } catch (err) {
+    console.error(`[ratingService] Failed to rate event ${eventId} (non-fatal):`, err.message);
+    return { rated: false };
+  }
+}
+
+/**
+ * Ranked leaderboard for a group, group-wide or for one game.
+ * @param {string} groupId
+ * @param {Object} [options]
+ * @param {string} [options.gameId]
+ * @param {boolean} [options.includeGuests=false]
+ * @param {number} [options.minGames=1]
+ * @returns {Promise<Array>}
+ */
+async function getLeaderboard(groupId, { gameId = null, includeGuests = false, minGames = 1 } = {}) {
+  const where = {
+    group_id: groupId,
+    game_id: gameId || null,
+    games_played: { [Op.gte]: minGames },
+  };
+  if (!includeGuests) {
+    where.user_id = { [Op.ne]: null };
+  }
+
+  const rows = await PlayerRating.findAll({
+    where,
+    include: [{ model: User, attributes: ['id', 'username'] }],
+    order: [['rating', 'DESC'], ['games_played', 'DESC']],
+  });
+
+  return rows.map((row, i) => ({
+    rank: i + 1,
+    player_key: row.player_key,
+    user_id: row.user_id,
+    username: row.User ? row.User.username : row.guest_name,
+    is_guest: !row.user_id,
+    rating: Math.round(row.rating),
+    games_played: row.games_played,
+    wins: row.wins,
+    last_played_at: row.last_played_at,
+  }));
+}
+
+/**
+ * Rating over time for one player.
+ * @param {string} groupId
+ * @param {string} playerKey - User.id or 'guest:<name>'
+ * @param {Object} [options]
+ * @param {string} [options.gameId]
+ * @returns {Promise<Array>}
+ */
+async function getRatingHistory(groupId, playerKey, { gameId = null } = {}) {
+  const rows = await RatingHistory.findAll({
+    where: { group_id: groupId, player_key: playerKey, game_id: gameId || null },
+    order: [['played_at', 'ASC']],
+  });
+
+  return rows.map(row => ({
+    event_id: row.event_id,
+    played_at: row.played_at,
+    rank: row.rank,
+    rating_before: Math.round(row.rating_before),
+    rating_after: Math.round(row.rating_after),
+    delta: Math.round((row.rating_after - row.rating_before) * 100) / 100,
+  }));
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  K_FACTOR,
+  guestKey,
+  rankParticipants,
+  computeEloDeltas,
+  computeTeamEloDeltas,
+  applyEvent,
+  isRatable,
+  rebuildGroupRatings,
+  scheduleRebuild,
+  recordEvent,
+  getLeaderboard,
+  getRatingHistory,
+};
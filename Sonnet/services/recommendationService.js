@@ -0,0 +1,334 @@
+// services/recommendationService.js
+// "Groups like yours also loved..." -- collaborative filtering across groups.
+//
+// Each group's affinity for a game (0-1) blends its members' ratings
+// (GameReview.rating, 0-5), how many recommend it (is_recommended) and how
+// often the group has played it (completed Events). Two groups are similar
+// when they like and dislike the same games: adjusted cosine over their
+// affinities, each centered on the group's own mean so a group that rates
+// everything highly isn't "similar" to everyone.
+//
+// Similarity is the expensive part, so rebuildSimilarities() runs as a
+// nightly batch (schedulers/recommendationScheduler.js) and keeps each
+// group's closest neighbours in GroupSimilarity. getDiscoverRecommendations()
+// then only reads those neighbours' affinities at request time.
+//
+// Recommendations never name or count back to a single group: a game needs
+// support from at least MIN_SUPPORT similar groups, and responses only carry
+// aggregates.
+
+const { Op, fn, col, literal } = require('sequelize');
+const {
+  sequelize, Event, Game, GameReview, GroupSimilarity, User, UserGame, UserGroup,
+} = require('../models');
+
+const AFFINITY_WEIGHTS = { rating: 0.5, recommended: 0.3, plays: 0.2 };
+// Play count that counts as "plays it all the time"
+const PLAYS_SATURATION = 10;
+// Two groups need this many games in common to be compared at all
+const MIN_SHARED_GAMES = 3;
+// Neighbours kept per group
+const MAX_NEIGHBOURS = 20;
+// Similar groups that must back a game before it is recommended
+const MIN_SUPPORT = 2;
+
+/**
+ * Per-group game affinities from aggregated reviews and play counts. Pure.
+ * @param {Array<Object>} reviewRows - { group_id, game_id, avg_rating, recommended, recommend_votes }
+ * @param {Array<Object>} playRows - { group_id, game_id, plays }
+ * @returns {Map<string, Map<string, number>>} group_id -> game_id -> affinity (0-1)
+ */
+function buildAffinities(reviewRows, playRows) {
+  const signals = new Map(); // `${group}|${game}` -> { group_id, game_id, ... }
+  const entry = (groupId, gameId) => {
+    const key = `${groupId}|${gameId}`;
+    if (!signals.has(key)) signals.set(key, { group_id: groupId, game_id: gameId });
+    return signals.get(key);
+  };
+
+  for (const r of reviewRows) {
+    const e = entry(r.group_id, r.game_id);
+    if (r.avg_rating != null) e.rating = parseFloat(r.avg_rating) / 5;
+    const votes = parseInt(r.recommend_votes, 10) || 0;
+    if (votes > 0) e.recommended = (parseInt(r.recommended, 10) || 0) / votes;
+  }
+  for (const r of playRows) {
+    const plays = parseInt(r.plays, 10) || 0;
+    if (plays > 0) {
+      entry(r.group_id, r.game_id).plays = Math.min(Math.log2(1 + plays) / Math.log2(1 + PLAYS_SATURATION), 1);
+    }
+  }
+
+  const affinities = new Map();
+  for (const e of signals.values()) {
+    // Weighted mean of whichever signals the group has for this game
+    let sum = 0;
+    let weight = 0;
+    for (const [name, w] of Object.entries(AFFINITY_WEIGHTS)) {
+      if (e[name] === undefined) continue;
+      sum += e[name] * w;
+      weight += w;
+    }
+    if (weight === 0) continue;
+    if (!affinities.has(e.group_id)) affinities.set(e.group_id, new Map());
+    affinities.get(e.group_id).set(e.game_id, sum / weight);
+  }
+  return affinities;
+}
+
+/**
+ * Each group's affinities minus its own mean.
+ * @param {Map<string, Map<string, number>>} affinities
+ * @returns {Map<string, { mean: number, norm: number, games: Map<string, number> }>}
+ */
+function centerAffinities(affinities) {
+  const centered = new Map();
+  for (const [groupId, games] of affinities) {
+    const values = [...games.values()];
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const shifted = new Map([...games].map(([gameId, a]) => [gameId, a - mean]));
+    const norm = Math.sqrt([...shifted.values()].reduce((s, v) => s + v * v, 0));
+    centered.set(groupId, { mean, norm, games: shifted });
+  }
+  return centered;
+}
+
+/**
+ * Every group's nearest neighbours. Pure.
+ * @param {Map<string, Map<string, number>>} affinities - from buildAffinities
+ * @param {Object} [options]
+ * @param {number} [options.minShared=MIN_SHARED_GAMES]
+ * @param {number} [options.maxNeighbours=MAX_NEIGHBOURS]
+ * @returns {Array<{ group_id: string, similar_group_id: string, similarity: number, shared_games: number }>}
+ */
+function computeSimilarities(affinities, { minShared = MIN_SHARED_GAMES, maxNeighbours = MAX_NEIGHBOURS } = {}) {
+  const centered = centerAffinities(affinities);
+
+  // Only pairs that share a game can be similar; walk game -> groups
+  const groupsByGame = new Map();
+  for (const [groupId, { games }] of centered) {
+    for (const gameId of games.keys()) {
+      if (!groupsByGame.has(gameId)) groupsByGame.set(gameId, []);
+      groupsByGame.get(gameId).push(groupId);
+    }
+  }
+
+  // One group at a time, so only that group's candidates are held in memory
+  // rather than every pair in the catalogue
+  const rows = [];
+  for (const [groupId, { games, norm }] of centered) {
+    if (norm === 0) continue;
+    const candidates = new Map(); // other group -> { dot, shared }
+    for (const [gameId, value] of games) {
+      for (const otherId of groupsByGame.get(gameId)) {
+        if (otherId === groupId) continue;
+        if (!candidates.has(otherId)) candidates.set(otherId, { dot: 0, shared: 0 });
+        const candidate = candidates.get(otherId);
+        candidate.dot += value * centered.get(otherId).games.get(gameId);
+        candidate.shared++;
+      }
+    }
+
+    const list = [];
+    for (const [otherId, { dot, shared }] of candidates) {
+      if (shared < minShared) continue;
+      const denominator = norm * centered.get(otherId).norm;
+      if (denominator === 0) continue;
+      const similarity = dot / denominator;
+      if (similarity <= 0) continue;
+      list.push({ group_id: groupId, similar_group_id: otherId, similarity, shared_games: shared });
+    }
+    list.sort((x, y) => y.similarity - x.similarity || y.shared_games - x.shared_games);
+    rows.push(...list.slice(0, maxNeighbours));
+  }
+  return rows;
+}
+
+/**
+ * Review and play aggregates per group and game, optionally for some groups only.
+ * @param {string[]} [groupIds]
+ * @returns {Promise<Map<string, Map<string, number>>>}
+ */
+async function loadAffinities(groupIds) {
+  const scope = groupIds ? { group_id: { [Op.in]: groupIds } } : {};
+
+  const reviewRows = await GameReview.findAll({
+    where: scope,
+    attributes: [
+      'group_id',
+      'game_id',
+      [fn('AVG', col('rating')), 'avg_rating'],
+      [fn('SUM', literal('CASE WHEN "is_recommended" THEN 1 ELSE 0 END')), 'recommended'],
+      [fn('COUNT', col('is_recommended')), 'recommend_votes'],
+    ],
+    group: ['group_id', 'game_id'],
+    raw: true,
+  });
+
+  const playRows = await Event.findAll({
+    where: { ...scope, status: 'completed', game_id: { [Op.ne]: null } },
+    attributes: ['group_id', 'game_id', [fn('COUNT', col('id')), 'plays']],
+    group: ['group_id', 'game_id'],
+    raw: true,
+  });
+
+  return buildAffinities(reviewRows, playRows);
+}
+
+/**
+ * Recompute every group's neighbours and replace GroupSimilarity wholesale.
+ * The nightly batch job; errors propagate so the run is recorded as failed.
+ * @returns {Promise<{ groups: number, pairs: number }>}
+ */
+async function rebuildSimilarities() {
+  const affinities = await loadAffinities();
+  const rows = computeSimilarities(affinities);
+
+  await sequelize.transaction(async (transaction) => {
+    await GroupSimilarity.destroy({ where: {}, transaction });
+    if (rows.length > 0) {
+      await GroupSimilarity.bulkCreate(rows, { transaction });
+    }
+  });
+
+  const groups = new Set(rows.map(r => r.group_id)).size;
+  console.log(`[recommendationService] Stored ${rows.length} neighbour pairs for ${groups} of ${affinities.size} groups`);
+  return { groups, pairs: rows.length };
+}
+
+/**
+ * Games owned by the group's active members (User.id-keyed UserGame).
+ * @param {string} groupId
+ * @returns {Promise<Set<string>>}
+ */
+async function ownedGameIds(groupId) {
+  const memberships = await UserGroup.findAll({
+    where: { group_id: groupId, status: 'active' },
+    attributes: ['user_id'],
+  });
+  if (memberships.length === 0) return new Set();
+
+  const users = await User.findAll({
+    where: { user_id: { [Op.in]: memberships.map(m => m.user_id) } },
+    attributes: ['id'],
+  });
+  if (users.length === 0) return new Set();
+
+  const owned = await UserGame.findAll({
+    where: { user_id: { [Op.in]: users.map(u => u.id) }, owned: true },
+    attributes: ['game_id'],
+  });
+  return new Set(owned.map(o => o.game_id));
+}
+
+/**
+ * Predict the group's affinity (as a 0-100 match) for games its neighbours
+ * have, leaving out `exclude`: the group's mean plus its neighbours'
+ * similarity-weighted deviations from theirs. Pure.
+ * @param {string} groupId
+ * @param {Array<{ similar_group_id: string, similarity: number }>} neighbours
+ * @param {Map<string, Map<string, number>>} affinities - for the group and its neighbours
+ * @param {Set<string>} exclude - game ids
+ * @param {Object} [options]
+ * @param {number} [options.minSupport=MIN_SUPPORT]
+ * @returns {Array<{ game_id: string, match: number, similar_groups: number }>} best first
+ */
+function predict(groupId, neighbours, affinities, exclude, { minSupport = MIN_SUPPORT } = {}) {
+  const centered = centerAffinities(affinities);
+  const own = centered.get(groupId);
+  // A group with no history of its own starts from the middle
+  const baseline = own ? own.mean : 0.5;
+
+  const candidates = new Map(); // game_id -> { weighted, weights, support }
+  for (const { similar_group_id: neighbourId, similarity } of neighbours) {
+    const neighbour = centered.get(neighbourId);
+    if (!neighbour) continue;
+    for (const [gameId, deviation] of neighbour.games) {
+      if (exclude.has(gameId)) continue;
+      if (!candidates.has(gameId)) candidates.set(gameId, { weighted: 0, weights: 0, support: 0 });
+      const c = candidates.get(gameId);
+      c.weighted += similarity * deviation;
+      c.weights += Math.abs(similarity);
+      c.support++;
+    }
+  }
+
+  const predictions = [];
+  for (const [gameId, c] of candidates) {
+    // Only games the neighbours like more than their usual
+    if (c.support < minSupport || c.weighted <= 0) continue;
+    const predicted = Math.min(Math.max(baseline + c.weighted / c.weights, 0), 1);
+    predictions.push({
+      game_id: gameId,
+      match: Math.round(predicted * 100),
+      similar_groups: c.support,
+    });
+  }
+  return predictions.sort((a, b) => b.match - a.match || b.similar_groups - a.similar_groups);
+}
+
+/**
+ * Games the group doesn't own that similar groups love.
+ * @param {string} groupId
+ * @param {Object} [options]
+ * @param {number} [options.limit=10]
+ * @returns {Promise<{ recommendations: Array<Object>, similarGroups: number, computedAt: Date|null }>}
+ */
+async function getDiscoverRecommendations(groupId, { limit = 10 } = {}) {
+  const neighbours = await GroupSimilarity.findAll({
+    where: { group_id: groupId },
+    attributes: ['similar_group_id', 'similarity', 'updatedAt'],
+    order: [['similarity', 'DESC']],
+    limit: MAX_NEIGHBOURS,
+  });
+  if (neighbours.length === 0) {
+    return { recommendations: [], similarGroups: 0, computedAt: null };
+  }
+  const computedAt = neighbours[0].updatedAt || null;
+
+  const affinities = await loadAffinities([groupId, ...neighbours.map(n => n.similar_group_id)]);
+  const owned = await ownedGameIds(groupId);
+  const predictions = predict(groupId, neighbours, affinities, owned);
+  if (predictions.length === 0) {
+    return { recommendations: [], similarGroups: neighbours.length, computedAt };
+  }
+
+  const games = await Game.findAll({
+    // Expansions need their base game, so they're never recommended on their own
+    where: { id: { [Op.in]: predictions.map(p => p.game_id) }, is_expansion: false },
+    attributes: ['id', 'bgg_id', 'name', 'thumbnail_url', 'image_url', 'min_players', 'max_players', 'playing_time', 'weight'],
+  });
+  const gameById = new Map(games.map(g => [g.id, g]));
+
+  const recommendations = predictions
+    .filter(p => gameById.has(p.game_id))
+    .slice(0, limit)
+    .map(p => {
+      const game = gameById.get(p.game_id);
+      return {
+        id: game.id,
+        bgg_id: game.bgg_id,
+        name: game.name,
+        thumbnail_url: game.thumbnail_url,
+        image_url: game.image_url,
+        min_players: game.min_players,
+        max_players: game.max_players,
+        playing_time: game.playing_time,
+        weight: game.weight != null ? parseFloat(game.weight) : null,
+        match: p.match,
+        similar_groups: p.similar_groups,
+        explanation: `Loved by ${p.similar_groups} groups with tastes like yours`,
+      };
+    });
+
+  return { recommendations, similarGroups: neighbours.length, computedAt };
+}
+
+module.exports = {
+  MIN_SUPPORT,
+  buildAffinities,
+  computeSimilarities,
+  predict,
+  rebuildSimilarities,
+  getDiscoverRecommendations,
+};
@@ -0,0 +1,282 @@
+// services/rsvpWaitlistService.js
+// Event capacity + RSVP waitlist.
+//
+// Capacity is Event.capacity, falling back to the smaller of the event's
+// Game.max_players and Venue.capacity; when all are null the event is
+// unlimited and none of this applies.
+//
+// A 'yes' that would push the confirmed count past capacity is stored as
+// 'waitlist' with a waitlisted_at timestamp. saveRsvp counts and writes in
+// one transaction holding the event row lock, so two people answering yes
+// for the last seat at once can't both get it. When a confirmed attendee drops
+// (yes -> no/maybe, RSVP deleted) or capacity is raised, the earliest
+// waitlisted RSVPs are promoted to 'yes' and notified.
+//
+// Called from:
+//   - POST /api/rsvp, GET /api/rsvp/respond, DELETE /api/rsvp/:rsvp_id
+//   - POST /api/webhooks/twilio/sms (SMS RSVP replies)
+//   - PUT /api/events/:id (capacity changes)
+
+const { Op } = require('sequelize');
+const { Event, EventRsvp, Game, Group, User, Venue, sequelize } = require('../models');
+
+/**
+ * Effective capacity for an event, or null when unlimited.
+ * @param {Object} event - Event instance with Game (max_players) and Venue
+ *   (capacity) included
+ * @returns {number|null}
+ */
+function getEffectiveCapacity(event) {
+  if (event.capacity) return event.capacity;
+  const limits = [event.Game?.max_players, event.Venue?.capacity].filter(n => n > 0);
+  return limits.length > 0 ? Math.min(...limits) : null;
+}
+
+/**
+ * Count confirmed ('yes') RSVPs for an event, optionally ignoring one user
+ * (the one currently changing their answer).
+ * @param {string} eventId
+ * @param {string} [excludeUserId] - Auth0 user_id
+ * @param {Object} [transaction]
+ * @returns {Promise<number>}
+ */
+async function countConfirmed(eventId, excludeUserId, transaction) {
+  const where = { event_id: eventId, status: 'yes' };
+  if (excludeUserId) {
+    where.user_id = { [Op.ne]: excludeUserId };
+  }
+  return EventRsvp.count({ where, transaction });
+}
+
+/**
+ * Decide what a requested RSVP status becomes once capacity is applied.
+ * Only 'yes' is ever rewritten: an attendee who already holds a seat keeps
+ * it, and anyone else gets 'waitlist' when the event is full.
+ *
+ * @param {Object} params
+ * @param {Object} params.event - Event instance with Game + Venue included
+ * @param {string} params.userId - Auth0 user_id of the responder
+ * @param {string} params.requestedStatus - 'yes' | 'no' | 'maybe'
+ * @param {string|null} params.oldStatus - current RSVP status, null if none
+ * @param {Object} [params.transaction]
+ * @returns {Promise<{ status: string, capacity: number|null }>}
+ */
+async function resolveStatus({ event, userId, requestedStatus, oldStatus, transaction }) {
+  if (requestedStatus !== 'yes' || oldStatus === 'yes') {
+    return { status: requestedStatus, capacity: null };
+  }
+
+  const capacity = getEffectiveCapacity(event);
+  if (!capacity) {
+    return { status: 'yes', capacity: null };
+  }
+
+  const confirmed = await countConfirmed(event.id, userId, transaction);
+  return { status: confirmed >= capacity ? 'waitlist' : 'yes', capacity };
+}
+
+/**
+ * Fields to write alongside a resolved status: waitlisted_at is stamped on
+ * first entry to the waitlist (re-sending 'yes' keeps your place) and cleared
+ * on the way out. Empty when the waitlist is not involved.
+ * @param {string} status - resolved status
+ * @param {Object|null} existing - existing EventRsvp row
+ * @returns {Object}
+ */
+function waitlistFields(status, existing) {
+  const wasWaitlisted = existing?.status === 'waitlist';
+  if (status !== 'waitlist') return wasWaitlisted ? { waitlisted_at: null } : {};
+  if (wasWaitlisted && existing.waitlisted_at) {
+    return { waitlisted_at: existing.waitlisted_at };
+  }
+  return { waitlisted_at: new Date() };
+}
+
+/**
+ * Create or update a user's RSVP with capacity applied. The seat count and
+ * the write happen in one transaction that locks the event row
+ * (SELECT ... FOR UPDATE), so concurrent yes answers are decided one at a
+ * time against an up-to-date count.
+ *
+ * @param {Object} params
+ * @param {Object} params.event - Event instance with Game + Venue included
+ * @param {string} params.userId - Auth0 user_id of the responder
+ * @param {string} params.requestedStatus - 'yes' | 'no' | 'maybe'
+ * @param {Object} [params.fields] - other columns to write (e.g. note)
+ * @returns {Promise<{ rsvp: Object, created: boolean, oldStatus: string|null, status: string }>}
+ */
+async function saveRsvp({ event, userId, requestedStatus, fields = {} }) {
+  return sequelize.transaction(async (transaction) => {
+    await Event.findByPk(event.id, { attributes: ['id'], lock: transaction.LOCK.UPDATE, transaction });
+
+    // Re-read under the lock: the caller's copy may predate a concurrent answer
+    const existing = await EventRsvp.findOne({
+      where: { event_id: event.id, user_id: userId },
+      transaction,
+    });
+    const oldStatus = existing ? existing.status : null;
+    const { status } = await resolveStatus({ event, userId, requestedStatus, oldStatus, transaction });
+    const values = { status, ...fields, ...waitlistFields(status, existing) };
+
+    if (existing) {
+      await existing.update(values, { transaction });
+      return { rsvp: existing, created: false, oldStatus, status };
+    }
+    const rsvp = await EventRsvp.create({ event_id: event.id, user_id: userId, ...values }, { transaction });
+    return { rsvp, created: true, oldStatus, status };
+  });
+}
+
+/**
+ * 1-based position of a waitlisted RSVP in its event's queue.
+ * @param {Object} rsvp - EventRsvp instance with status 'waitlist'
+ * @returns {Promise<number|null>}
+ */
+async function getWaitlistPosition(rsvp) {
+  if (!rsvp || rsvp.status !== 'waitlist') return null;
+  const ahead = await EventRsvp.count({
+    where: {
+      event_id: rsvp.event_id,
+      status: 'waitlist',
+      waitlisted_at: { [Op.lt]: rsvp.waitlisted_at },
+    },
+  });
+  return ahead + 1;
+}
+
+/**
+ * Promote the earliest waitlisted RSVPs into any free seats and notify each
+ * promoted user. Seats are counted and filled in one transaction holding the
+ * same event row lock saveRsvp takes, so a 'yes' arriving mid-promotion waits
+ * and then sees the promoted seats. Notifications go out after the commit.
+ * Never throws -- the caller's RSVP write must not fail because of a
+ * promotion or notification problem.
+ *
+ * @param {string} eventId - Event UUID
+ * @returns {Promise<{ promoted: string[] }>} Auth0 user_ids that were promoted
+ */
+async function promoteFromWaitlist(eventId) {
+  let promoted = [];
+  try {
+    const event = await Event.findByPk(eventId, {
+      include: [
+        { model: Game, attributes: ['name', 'max_players'] },
+        { model: Group, attributes: ['id', 'name'] },
+        { model: Venue, attributes: ['capacity'] },
+      ],
+    });
+    if (!event || event.status === 'cancelled') return { promoted };
+    if (new Date(event.start_date) < new Date()) return { promoted };
+
+    const capacity = getEffectiveCapacity(event);
+    if (!capacity) return { promoted };
+
+    promoted = await sequelize.transaction(async (transaction) => {
+      await Event.findByPk(eventId, { attributes: ['id'], lock: transaction.LOCK.UPDATE, transaction });
+
+      const filled = [];
+      let openSeats = capacity - await countConfirmed(eventId, null, transaction);
+      while (openSeats > 0) {
+        const next = await EventRsvp.findOne({
+          where: { event_id: eventId, status: 'waitlist' },
+          order: [['waitlisted_at', 'ASC'], ['createdAt', 'ASC']],
+          transaction,
+        });
+        if (!next) break;
+
+        await EventRsvp.update(
+          { status: 'yes', waitlisted_at: null },
+          { where: { id: next.id, status: 'waitlist' }, transaction }
+        );
+        filled.push(next.user_id);
+        openSeats--;
+      }
+      return filled;
+    });
+
+    for (const authUserId of promoted) {
+      await notifyPromotion(event, authUserId);
+    }
+    if (promoted.length > 0) {
+      console.log(`[rsvpWaitlist] Promoted ${promoted.length} waitlisted RSVP(s) for event ${eventId}`);
+    }
+  } catch (error) {
+    console.error(`[rsvpWaitlist] Promotion failed for event ${eventId} (non-fatal):`, error.message);
+  }
+  return { promoted };
+}
+
+/**
+ * Tell a user they have been moved off the waitlist.
+ * @param {Object} event - Event with Game + Group included
+ * @param {string} authUserId - Auth0 user_id
+ */
+async function notifyPromotion(event, authUserId) {
+  try {
+    const user = await User.findOne({ where: { user_id: authUserId } });
+    if (!user) return;
+    // Auth0 placeholder addresses can't receive mail
+    const hasValidEmail = user.email && !user.email.includes('@auth0.local') && !user.email.includes('@auth0');
+
+    // Lazy require: notificationService pulls in email + SMS clients.
+    const notificationService = require('./notificationService');
+    const emailService = require('./emailService');
+
+    const frontendUrl = process.env.FRONTEND_URL || process.env.AUTH0_BASE_URL || 'http://localhost:3000';
+    const eventUrl = `${frontendUrl}/gameDetail?event_id=${event.id}&group_id=${event.group_id}`;
+    const gameName = event.Game?.name || 'Game Session';
+    const groupName = event.Group?.name || '';
+    const recipientTz = user.timezone || 'UTC';
+
+    let emailParams = null;
+    if (hasValidEmail) {
+      const { html, text } = emailService.generateWaitlistPromotedEmailTemplate({
+        gameName,
+        groupName,
+        eventDate: event.start_date,
+        recipientName: user.username,
+        eventUrl,
+        timezone: recipientTz,
+      });
+      emailParams = {
+        to: user.email,
+        subject: `You're in: ${gameName} - ${groupName}`,
+        html,
+        text,
+        groupName,
+      };
+    }
+
+    await notificationService.send(user, 'waitlist_promoted', {
+      emailParams,
+      eventId: event.id,
+      data: {
+        eventName: gameName,
+        groupName,
+        dateTime: new Date(event.start_date).toLocaleDateString('en-US', {
+          weekday: 'short',
+          month: 'short',
+          day: 'numeric',
+          hour: '2-digit',
+          minute: '2-digit',
+          hour12: true,
+          timeZone: recipientTz,
+          timeZoneName: 'short',
+        }),
+        eventUrl,
+      },
+    });
+  } catch (error) {
+    console.error(`[rsvpWaitlist] Promotion notification failed for user=${authUserId}:`, error.message);
+  }
+}
+
+module.exports = {
+  getEffectiveCapacity,
+  countConfirmed,
+  resolveStatus,
+  waitlistFields,
+  saveRsvp,
+  getWaitlistPosition,
+  promoteFromWaitlist,
+};
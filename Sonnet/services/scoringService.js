@@ -0,0 +1,300 @@
+// services/scoringService.js
+// Per-game scoring sheets (ScoringTemplate): turning category breakdowns into
+// totals and placements, and category-level stats for a group's plays.
+//
+// A participant's score_breakdown is { category key: points }; categories
+// left out count as 0 and points may be negative (7 Wonders military). When
+// an event is saved with breakdowns and its game has a template, every
+// participant's score and placement are recomputed:
+//   - score     = sum of the categories (participants without a breakdown
+//                 keep the score they were given)
+//   - placement = competition ranking by score (1, 2, 2, 4), highest first
+//                 unless the template says lower wins; tied totals go to the
+//                 template's tiebreakers in order, and anyone still level
+//                 shares the placement. Participants without a score get none.
+// Registered participants (EventParticipation) and custom participants
+// (Event.custom_participants) are ranked together.
+
+const { Op } = require('sequelize');
+const { Event, EventParticipation, ScoringTemplate, User } = require('../models');
+
+const MAX_CATEGORIES = 30;
+
+class ScoringSheetError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ScoringSheetError';
+    this.details = details;
+  }
+}
+
+// "Bonus cards" -> "bonus_cards"
+const categoryKey = (name) => String(name).trim().toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '')
+  .slice(0, 50);
+
+/**
+ * Normalize a template from the API: derive missing category keys from their
+ * names and check keys are unique and tiebreakers refer to real categories.
+ * @param {Object} input - { categories: [{ name, key? }], lower_wins?, tiebreakers? }
+ * @returns {{ categories: Array, lower_wins: boolean, tiebreakers: Array }}
+ * @throws {ScoringSheetError}
+ */
+function normalizeTemplate({ categories = [], lower_wins = false, tiebreakers = [] }) {
+  const normalized = categories.map(c => ({ key: c.key || categoryKey(c.name), name: String(c.name).trim() }));
+  const keys = normalized.map(c => c.key);
+
+  if (normalized.length === 0 || normalized.length > MAX_CATEGORIES) {
+    throw new ScoringSheetError(`A scoring sheet needs between 1 and ${MAX_CATEGORIES} categories`);
+  }
+  if (keys.some(key => !key)) {
+    throw new ScoringSheetError('Every category needs a name with letters or digits');
+  }
+  const duplicates = keys.filter((key, i) => keys.indexOf(key) !== i);
+  if (duplicates.length > 0) {
+    throw new ScoringSheetError('Category keys must be unique', { duplicate_categories: [...new Set(duplicates)] });
+  }
+  const unknown = tiebreakers.map(t => t.category).filter(key => !keys.includes(key));
+  if (unknown.length > 0) {
+    throw new ScoringSheetError('Tiebreakers must refer to categories on the sheet', { unknown_categories: unknown });
+  }
+
+  return {
+    categories: normalized,
+    lower_wins: Boolean(lower_wins),
+    tiebreakers: tiebreakers.map(t => ({ category: t.category, lower_wins: Boolean(t.lower_wins) })),
+  };
+}
+
+const hasBreakdown = (entry) => entry.score_breakdown && typeof entry.score_breakdown === 'object'
+  && Object.keys(entry.score_breakdown).length > 0;
+
+const toScore = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+/**
+ * Totals and placements for one event's participants. Pure.
+ * @param {Object} template - { categories, lower_wins, tiebreakers }
+ * @param {Array<Object>} entries - participants with score and/or score_breakdown
+ * @returns {Array<Object>} copies of entries with score, placement and a
+ *   breakdown holding every category, in the same order
+ * @throws {ScoringSheetError} on categories that aren't on the sheet
+ */
+function scoreEntries(template, entries) {
+  const keys = template.categories.map(c => c.key);
+  const unknown = [...new Set(entries.filter(hasBreakdown)
+    .flatMap(e => Object.keys(e.score_breakdown))
+    .filter(key => !keys.includes(key)))];
+  if (unknown.length > 0) {
+    throw new ScoringSheetError('Score breakdown has categories that are not on the scoring sheet', { unknown_categories: unknown });
+  }
+
+  const scored = entries.map((entry) => {
+    if (!hasBreakdown(entry)) {
+      return { ...entry, score: toScore(entry.score) };
+    }
+    const breakdown = Object.fromEntries(keys.map(key => [key, Number(entry.score_breakdown[key]) || 0]));
+    const total = Object.values(breakdown).reduce((sum, points) => sum + points, 0);
+    return { ...entry, score_breakdown: breakdown, score: Math.round(total * 100) / 100 };
+  });
+
+  const direction = (lowerWins) => (lowerWins ? 1 : -1);
+  const compare = (a, b) => {
+    if (a.score !== b.score) return (a.score - b.score) * direction(template.lower_wins);
+    for (const { category, lower_wins: lowerWins } of template.tiebreakers || []) {
+      const pa = a.score_breakdown?.[category] ?? 0;
+      const pb = b.score_breakdown?.[category] ?? 0;
+      if (pa !== pb) return (pa - pb) * direction(lowerWins);
+    }
+    return 0;
+  };
+
+  const ranked = scored.filter(e => e.score !== null && !isNaN(e.score));
+  return scored.map((entry) => {
+    if (!ranked.includes(entry)) return { ...entry, score: null, placement: null };
+    const ahead = ranked.filter(other => compare(other, entry) < 0).length;
+    return { ...entry, placement: ahead + 1 };
+  });
+}
+
+/**
+ * A group's scoring sheet for a game.
+ * @param {string} groupId
+ * @param {string|null} gameId
+ * @returns {Promise<Object|null>}
+ */
+async function getTemplate(groupId, gameId) {
+  if (!gameId) return null;
+  return ScoringTemplate.findOne({ where: { group_id: groupId, game_id: gameId } });
+}
+
+/**
+ * Apply the game's scoring sheet to an event's participants before they are
+ * saved. Nothing changes unless someone has a breakdown and the game has a
+ * sheet. When an existing event is edited without `participants`, its saved
+ * registered participants are ranked too and come back as
+ * `storedParticipants` for the caller to update.
+ * @param {Object} params
+ * @param {string} params.groupId
+ * @param {string|null} params.gameId
+ * @param {string} [params.eventId] - set when editing an existing event
+ * @param {Array<Object>} [params.participants] - registered participants
+ * @param {Array<Object>} [params.customParticipants]
+ * @returns {Promise<{ participants: Array|undefined, customParticipants: Array|undefined, storedParticipants?: Array, scored: boolean }>}
+ * @throws {ScoringSheetError}
+ */
+async function applyScoringSheet({ groupId, gameId, eventId = null, participants, customParticipants }) {
+  const custom = customParticipants || [];
+  const unchanged = { participants, customParticipants, scored: false };
+  if (![...(participants || []), ...custom].some(hasBreakdown)) return unchanged;
+
+  const template = await getTemplate(groupId, gameId);
+  if (!template) return unchanged;
+
+  const stored = !participants && eventId
+    ? (await EventParticipation.findAll({
+      where: { event_id: eventId },
+      attributes: ['id', 'user_id', 'score', 'score_breakdown'],
+    })).map(p => ({ id: p.id, user_id: p.user_id, score: p.score, score_breakdown: p.score_breakdown }))
+    : null;
+  const registered = participants || stored || [];
+
+  const results = scoreEntries(template, [...registered, ...custom]);
+  return {
+    participants: participants && results.slice(0, registered.length),
+    customParticipants: customParticipants && results.slice(registered.length),
+    ...(stored ? { storedParticipants: results.slice(0, registered.length) } : {}),
+    scored: true,
+  };
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const average = (values) => (values.length > 0 ? round2(values.reduce((a, b) => a + b, 0) / values.length) : null);
+
+/**
+ * Category stats over scored sheets. Pure.
+ * @param {Object} template
+ * @param {Array<Object>} sheets - { event_id, start_date, player_id, username, score, placement, score_breakdown }
+ * @returns {{ sheets: number, plays: number, average_total: number|null, categories: Array, players: Array }}
+ */
+function summarizeCategories(template, sheets) {
+  const totals = sheets.map(s => Number(s.score) || 0);
+  const averageTotal = average(totals);
+
+  const categories = template.categories.map(({ key, name }) => {
+    const points = sheets.map(s => Number(s.score_breakdown[key]) || 0);
+    const winners = sheets.filter(s => s.placement === 1).map(s => Number(s.score_breakdown[key]) || 0);
+    const best = sheets.reduce((top, s) => (!top || (Number(s.score_breakdown[key]) || 0) > (Number(top.score_breakdown[key]) || 0) ? s : top), null);
+    const avg = average(points);
+    return {
+      key,
+      name,
+      average: avg,
+      winner_average: average(winners),
+      share_of_total: avg !== null && averageTotal ? round2(avg / averageTotal) : null,
+      high: best ? {
+        points: Number(best.score_breakdown[key]) || 0,
+        username: best.username,
+        event_id: best.event_id,
+        start_date: best.start_date,
+      } : null,
+    };
+  });
+
+  const byPlayer = new Map();
+  for (const sheet of sheets) {
+    const id = sheet.player_id || `custom:${sheet.username}`;
+    if (!byPlayer.has(id)) byPlayer.set(id, { user_id: sheet.player_id || null, username: sheet.username, sheets: [] });
+    byPlayer.get(id).sheets.push(sheet);
+  }
+  // username is null once a member's account is deleted
+  const players = [...byPlayer.values()].map(p => ({
+    user_id: p.user_id,
+    username: p.username,
+    sheets: p.sheets.length,
+    average_total: average(p.sheets.map(s => Number(s.score) || 0)),
+    averages: Object.fromEntries(template.categories.map(({ key }) =>
+      [key, average(p.sheets.map(s => Number(s.score_breakdown[key]) || 0))])),
+  })).sort((a, b) => b.sheets - a.sheets || (a.username || a.user_id || '').localeCompare(b.username || b.user_id || ''));
+
+  return {
+    sheets: sheets.length,
+    plays: new Set(sheets.map(s => s.event_id)).size,
+    average_total: averageTotal,
+    categories,
+    players,
+  };
+}
+
+/**
+ * Category-level stats for a game in a group: every completed play with
+ * scoring sheets, registered and custom participants alike.
+ * @param {string} groupId
+ * @param {string} gameId
+ * @returns {Promise<Object|null>} null when the game has no scoring sheet
+ */
+async function getCategoryStats(groupId, gameId) {
+  const template = await getTemplate(groupId, gameId);
+  if (!template) return null;
+
+  const events = await Event.findAll({
+    where: { group_id: groupId, game_id: gameId, status: 'completed', start_date: { [Op.lte]: new Date() } },
+    attributes: ['id', 'start_date', 'custom_participants'],
+    include: [{
+      model: EventParticipation,
+      required: false,
+      where: { score_breakdown: { [Op.ne]: null } },
+      attributes: ['user_id', 'score', 'placement', 'score_breakdown'],
+      include: [{ model: User, attributes: ['id', 'username'] }],
+    }],
+    order: [['start_date', 'ASC']],
+  });
+
+  const sheets = [];
+  for (const event of events) {
+    for (const ep of event.EventParticipations || []) {
+      sheets.push({
+        event_id: event.id,
+        start_date: event.start_date,
+        player_id: ep.user_id,
+        username: ep.User?.username || null,
+        score: ep.score,
+        placement: ep.placement,
+        score_breakdown: ep.score_breakdown,
+      });
+    }
+    for (const cp of event.custom_participants || []) {
+      if (!hasBreakdown(cp)) continue;
+      sheets.push({
+        event_id: event.id,
+        start_date: event.start_date,
+        player_id: null,
+        username: cp.username,
+        score: cp.score,
+        placement: cp.placement,
+        score_breakdown: cp.score_breakdown,
+      });
+    }
+  }
+
+  return {
+    template: {
+      categories: template.categories,
+      lower_wins: template.lower_wins,
+      tiebreakers: template.tiebreakers,
+    },
+    ...summarizeCategories(template, sheets),
+  };
+}
+
+module.exports = {
+  MAX_CATEGORIES,
+  ScoringSheetError,
+  categoryKey,
+  normalizeTemplate,
+  scoreEntries,
+  getTemplate,
+  applyScoringSheet,
+  summarizeCategories,
+  getCategoryStats,
+};
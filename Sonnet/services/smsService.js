@@ -120,10 +120,41 @@ class SmsService {
         return `Bummer - ${name} with ${group} on ${d.dateTime} has been cancelled.`;
       },
 
+      waitlist_promoted: () => {
+        const name = sanitizeForSms(d.eventName);
+        const group = sanitizeForSms(d.groupName);
+        return `You're in! A seat opened up for ${name} with ${group} on ${d.dateTime}. Details: ${d.eventUrl}`;
+      },
+
+      achievement_earned: () => {
+        const group = sanitizeForSms(d.groupName);
+        const names = (d.achievementNames || []).map(sanitizeForSms);
+        const what = names.length === 1 ? `the ${names[0]} badge` : `${names.length} badges (${names.join(', ')})`;
+        return `Nice! You earned ${what} in ${group}. See them: ${d.achievementsUrl}`;
+      },
+
+      ballot_closed: () => {
+        const group = sanitizeForSms(d.groupName);
+        if (d.gameName) {
+          const game = sanitizeForSms(d.gameName);
+          const how = d.outcome === 'random' ? ' (tie broken by random draw)'
+            : d.outcome === 'group_rating' ? ' (tie broken by group rating)' : '';
+          return `Votes are in! ${group} is playing ${game}${how}. Details: ${d.eventUrl}`;
+        }
+        const why = d.outcome === 'tie' ? 'ended in a tie'
+          : d.outcome === 'no_quorum' ? "didn't reach quorum"
+            : d.outcome === 'all_vetoed' ? 'had every game vetoed' : 'got no votes';
+        return `Voting for ${group}'s game night ${why} - the organizer will pick the game. Details: ${d.eventUrl}`;
+      },
+
       reminder: () => {
         const name = sanitizeForSms(d.eventName);
         const group = sanitizeForSms(d.groupName);
-        let msg = `Reminder: ${name} with ${group} is ${d.timeUntil}! Details: ${d.eventUrl}`;
+        let msg = `Reminder: ${name} with ${group} is ${d.timeUntil}!`;
+        // Venue addresses can be long -- cap them so the 2-segment budget holds
+        const where = sanitizeForSms(d.location).slice(0, 60).trim();
+        if (where) msg += ` At ${where}.`;
+        msg += ` Details: ${d.eventUrl}`;
         if (d.rsvpPrompt) msg += ' Reply 1=Yes, 2=No, 3=Maybe';
         return msg;
       }
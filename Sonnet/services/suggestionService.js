@@ -1,9 +1,58 @@
 // services/suggestionService.js
 // Smart game suggestion service: queries group members' collections
 // and filters by player count, play time, weight, and group ratings.
+// Games any of those players marked "won't play" (UserWontPlay) are left out;
+// games they flagged want-to-play (UserGame.want_to_play) get a boost -- a
+// factor in score sorting, the tie-break in rating sorting -- and list the
+// players in `wanted_by`. Only owned copies make a game a candidate, and
+// expansions (Game.is_expansion) never are -- they need their base game.
+//
+// sort=score ranks by a blend of factors, each scored 0-1 and weighted by
+// SCORE_WEIGHTS into a 0-100 score:
+//   rating     - the group's average rating (unrated games score middling)
+//   recency    - time since the group last played it (never played scores full)
+//   novelty    - share of the players who have never played it, from their
+//                EventParticipation history; players who have only played it
+//                as a new player (is_new_player, being taught) count half
+//   ownership  - owned by someone who RSVPed yes (it will be on the table),
+//                less for maybe-only owners
+//   weight_fit - how close its weight is to what the group usually plays
+//   want_to_play - share of the players who flagged it want-to-play
+// Each scored suggestion carries its factors and a plain-language
+// explanation, strongest reason first.
+//
+// getBallotSuggestions() turns an event's suggestions into ballot options:
+// games attendees are bringing (EventBring) first, then the rest of their
+// collections, with at most N games per weight band so a ballot isn't all
+// heavy euros.
 
 const { Op, fn, col, literal } = require('sequelize');
-const { User, Game, UserGame, UserGroup, EventRsvp, GameReview } = require('../models');
+const {
+  User, Game, Event, EventParticipation, UserGame, UserGroup, UserWontPlay, EventRsvp, EventBring, GameReview,
+} = require('../models');
+
+const SCORE_WEIGHTS = {
+  rating: 0.25,
+  recency: 0.15,
+  novelty: 0.15,
+  ownership: 0.15,
+  weight_fit: 0.1,
+  want_to_play: 0.2,
+};
+// A game unplayed this long counts as fully "not played recently"
+const RECENCY_FULL_DAYS = 180;
+// How new a game still is to someone who has only played it while being taught
+const LEARNER_NOVELTY = 0.5;
+// Weight history used to find the group's usual weight
+const WEIGHT_HISTORY_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// BGG weight bands for ballot diversity; upper bounds are exclusive
+const WEIGHT_BANDS = [
+  { key: 'light', below: 2.0 },
+  { key: 'medium', below: 3.0 },
+  { key: 'heavy', below: Infinity },
+];
 
 /**
  * Get game suggestions for a group or event.
@@ -15,10 +64,12 @@ const { User, Game, UserGame, UserGroup, EventRsvp, GameReview } = require('../m
  * @param {number}  [params.maxPlayTime] - Maximum playing time in minutes
  * @param {number}  [params.minWeight]   - Minimum BGG weight (1.0-5.0)
  * @param {number}  [params.maxWeight]   - Maximum BGG weight (1.0-5.0)
- * @param {string}  [params.sort]        - Sort: 'rating' (default), 'play_time', 'complexity', 'name'
- * @returns {Promise<Array>} Array of suggestion objects
+ * @param {string}  [params.sort]        - Sort: 'rating' (default), 'score', 'play_time', 'complexity', 'name'
+ * @param {Date}    [params.now]         - reference time for recency scoring
+ * @returns {Promise<Object>} { suggestions, playerCount, wontPlayExcluded } -- wontPlayExcluded counts
+ *   games left out because a player won't play them
  */
-async function getSuggestions({ groupId, eventId, playerCount, maxPlayTime, minWeight, maxWeight, sort = 'rating' }) {
+async function getSuggestions({ groupId, eventId, playerCount, maxPlayTime, minWeight, maxWeight, sort = 'rating', now = new Date() }) {
   let effectivePlayerCount = playerCount;
 
   try {
@@ -26,6 +77,7 @@ async function getSuggestions({ groupId, eventId, playerCount, maxPlayTime, minW
     // a) Determine player count source
     // ------------------------------------------------------------------
     let rsvpUserAuth0Ids = null; // Auth0 string IDs of RSVP'd users
+    let yesAuth0Ids = null; // ...of those who said yes
 
     if (eventId) {
       // Get RSVP'd users for this event (yes + maybe)
@@ -34,7 +86,7 @@ async function getSuggestions({ groupId, eventId, playerCount, maxPlayTime, minW
           event_id: eventId,
           status: { [Op.in]: ['yes', 'maybe'] },
         },
-        attributes: ['user_id'],
+        attributes: ['user_id', 'status'],
       });
 
       if (rsvps.length === 0) {
@@ -42,6 +94,7 @@ async function getSuggestions({ groupId, eventId, playerCount, maxPlayTime, minW
       }
 
       rsvpUserAuth0Ids = rsvps.map(r => r.user_id); // Auth0 string IDs
+      yesAuth0Ids = new Set(rsvps.filter(r => r.status === 'yes').map(r => r.user_id));
       effectivePlayerCount = rsvps.length;
     }
 
@@ -96,6 +149,7 @@ async function getSuggestions({ groupId, eventId, playerCount, maxPlayTime, minW
     const gameWhere = {
       bgg_id: { [Op.ne]: null },
       is_custom: false,
+      is_expansion: false,
       min_players: { [Op.lte]: effectivePlayerCount },
       max_players: { [Op.gte]: effectivePlayerCount },
     };
@@ -110,38 +164,61 @@ async function getSuggestions({ groupId, eventId, playerCount, maxPlayTime, minW
       gameWhere.weight = { ...(gameWhere.weight || {}), [Op.lte]: parseFloat(maxWeight) };
     }
 
-    // Fetch UserGame entries for these users, including Game data
+    // Fetch UserGame entries for these users, including Game data: owned
+    // copies, plus want-to-play flags for the boost
     const userGames = await UserGame.findAll({
-      where: { user_id: { [Op.in]: userUuids } },
+      where: {
+        user_id: { [Op.in]: userUuids },
+        [Op.or]: [{ owned: true }, { want_to_play: true }],
+      },
       include: [{
         model: Game,
         where: gameWhere,
         attributes: ['id', 'name', 'thumbnail_url', 'image_url', 'min_players', 'max_players', 'playing_time', 'weight'],
       }],
-      attributes: ['user_id', 'game_id'],
+      attributes: ['user_id', 'game_id', 'owned', 'want_to_play'],
     });
 
     // ------------------------------------------------------------------
     // d) Deduplicate games and collect owner information
     // ------------------------------------------------------------------
-    const gameMap = new Map(); // game_id -> { game, owners: Set }
+    const gameMap = new Map(); // game_id -> { game, owners: Set, ownerIds: Set }
+    const wantedBy = new Map(); // game_id -> Set of usernames
 
     for (const ug of userGames) {
       const game = ug.Game;
       if (!game) continue;
 
+      if (ug.want_to_play) {
+        if (!wantedBy.has(game.id)) wantedBy.set(game.id, new Set());
+        wantedBy.get(game.id).add(uuidToUsername[ug.user_id] || 'Unknown');
+      }
+      if (!ug.owned) continue;
+
       if (!gameMap.has(game.id)) {
         gameMap.set(game.id, {
           game,
           owners: new Set(),
+          ownerIds: new Set(),
         });
       }
       const ownerName = uuidToUsername[ug.user_id] || 'Unknown';
       gameMap.get(game.id).owners.add(ownerName);
+      gameMap.get(game.id).ownerIds.add(ug.user_id);
+    }
+
+    // Drop games anyone at the table won't play
+    const wontPlay = await UserWontPlay.findAll({
+      where: { user_id: { [Op.in]: userUuids }, game_id: { [Op.in]: Array.from(gameMap.keys()) } },
+      attributes: ['game_id'],
+    });
+    const wontPlayExcluded = new Set(wontPlay.map(w => w.game_id));
+    for (const gameId of wontPlayExcluded) {
+      gameMap.delete(gameId);
     }
 
     if (gameMap.size === 0) {
-      return { suggestions: [], playerCount: effectivePlayerCount };
+      return { suggestions: [], playerCount: effectivePlayerCount, wontPlayExcluded: wontPlayExcluded.size };
     }
 
     // ------------------------------------------------------------------
@@ -172,8 +249,9 @@ async function getSuggestions({ groupId, eventId, playerCount, maxPlayTime, minW
     // f) Build result array
     // ------------------------------------------------------------------
     const suggestions = [];
+    const ownerIdsByGame = new Map();
 
-    for (const [gameId, { game, owners }] of gameMap) {
+    for (const [gameId, { game, owners, ownerIds }] of gameMap) {
       if (!game || !game.name) {
         console.warn('Skipping suggestion with incomplete game data:', gameId);
         continue;
@@ -194,7 +272,9 @@ async function getSuggestions({ groupId, eventId, playerCount, maxPlayTime, minW
         owners: Array.from(owners).sort(),
         avg_group_rating: avgRating,
         review_count: rating ? rating.count : 0,
+        wanted_by: Array.from(wantedBy.get(gameId) || []).sort(),
       });
+      ownerIdsByGame.set(game.id, ownerIds);
     }
 
     // ------------------------------------------------------------------
@@ -221,23 +301,307 @@ async function getSuggestions({ groupId, eventId, playerCount, maxPlayTime, minW
         suggestions.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
         break;
 
+      case 'score': {
+        const yesUuids = new Set(users.filter(u => !yesAuth0Ids || yesAuth0Ids.has(u.user_id)).map(u => u.id));
+        const context = await loadScoringContext({ groupId, gameIds: suggestions.map(s => s.id), userUuids, now });
+        scoreSuggestions(suggestions, {
+          ...context,
+          ownerIdsByGame,
+          yesUuids,
+          uuidToUsername,
+          playerTotal: userUuids.length,
+          eventScoped: Boolean(eventId),
+          now,
+        });
+        suggestions.sort((a, b) => b.score.total - a.score.total || (a.name || '').localeCompare(b.name || ''));
+        suggestions.forEach((s, i) => { s.score.rank = i + 1; });
+        break;
+      }
+
       case 'rating':
       default:
         suggestions.sort((a, b) => {
           // Rated games first, then by rating DESC, then name ASC
-          if (a.avg_group_rating == null && b.avg_group_rating == null) return (a.name || '').localeCompare(b.name || '');
+          // (ties go to the game more players want to play)
+          const byWanted = b.wanted_by.length - a.wanted_by.length;
+          if (a.avg_group_rating == null && b.avg_group_rating == null) return byWanted || (a.name || '').localeCompare(b.name || '');
           if (a.avg_group_rating == null) return 1;
           if (b.avg_group_rating == null) return -1;
-          return b.avg_group_rating - a.avg_group_rating || (a.name || '').localeCompare(b.name || '');
+          return b.avg_group_rating - a.avg_group_rating || byWanted || (a.name || '').localeCompare(b.name || '');
         });
         break;
     }
 
-    return { suggestions, playerCount: effectivePlayerCount };
+    return { suggestions, playerCount: effectivePlayerCount, wontPlayExcluded: wontPlayExcluded.size };
   } catch (err) {
     console.warn('suggestionService.getSuggestions error:', err.message, { groupId, eventId });
     return { suggestions: [], playerCount: effectivePlayerCount || 0 };
   }
 }
 
-module.exports = { getSuggestions };
+/**
+ * What scoring needs beyond the suggestions themselves: when the group last
+ * played each game, who among the players has played each (and who only as
+ * a new player), and the average weight of what the group played over the
+ * last year.
+ * @param {Object} params
+ * @param {string} params.groupId
+ * @param {string[]} params.gameIds
+ * @param {string[]} params.userUuids - the players (User.id)
+ * @param {Date} params.now
+ * @returns {Promise<{ lastPlayed: Map<string, Date>, playedBy: Map<string, Set<string>>, learnedBy: Map<string, Set<string>>, usualWeight: number|null }>}
+ */
+async function loadScoringContext({ groupId, gameIds, userUuids, now }) {
+  const played = { status: { [Op.ne]: 'cancelled' }, start_date: { [Op.lte]: now } };
+
+  const lastRows = await Event.findAll({
+    where: { group_id: groupId, game_id: { [Op.in]: gameIds }, ...played },
+    attributes: ['game_id', [fn('MAX', col('start_date')), 'last_played']],
+    group: ['game_id'],
+    raw: true,
+  });
+  const lastPlayed = new Map(lastRows.map(r => [r.game_id, new Date(r.last_played)]));
+
+  // Any group -- a game someone learned elsewhere isn't new to them
+  const participations = await EventParticipation.findAll({
+    where: { user_id: { [Op.in]: userUuids } },
+    attributes: ['user_id', 'is_new_player'],
+    include: [{ model: Event, attributes: ['game_id'], where: { game_id: { [Op.in]: gameIds }, ...played }, required: true }],
+  });
+  const playedBy = new Map();
+  // Players with a play NOT flagged is_new_player have played it for real
+  const experienced = new Set();
+  for (const p of participations) {
+    const gameId = p.Event.game_id;
+    if (!playedBy.has(gameId)) playedBy.set(gameId, new Set());
+    playedBy.get(gameId).add(p.user_id);
+    if (!p.is_new_player) experienced.add(`${gameId}:${p.user_id}`);
+  }
+  const learnedBy = new Map();
+  for (const [gameId, players] of playedBy) {
+    learnedBy.set(gameId, new Set([...players].filter(id => !experienced.has(`${gameId}:${id}`))));
+  }
+
+  const history = await Event.findAll({
+    where: {
+      group_id: groupId,
+      ...played,
+      start_date: { [Op.lte]: now, [Op.gte]: new Date(now.getTime() - WEIGHT_HISTORY_DAYS * DAY_MS) },
+    },
+    attributes: ['id'],
+    include: [{ model: Game, attributes: ['weight'], where: { weight: { [Op.ne]: null } }, required: true }],
+  });
+  const weights = history.map(e => parseFloat(e.Game.weight)).filter(w => !isNaN(w));
+  const usualWeight = weights.length > 0 ? weights.reduce((sum, w) => sum + w, 0) / weights.length : null;
+
+  return { lastPlayed, playedBy, learnedBy, usualWeight };
+}
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+const listNames = (names) => (names.length <= 2 ? names.join(' and ') : `${names.slice(0, 2).join(', ')} and ${names.length - 2} more`);
+
+/**
+ * Score each suggestion in place (adds `score`). Pure.
+ * @param {Array<Object>} suggestions - from getSuggestions
+ * @param {Object} context
+ * @param {Map<string, Date>} context.lastPlayed - game_id -> last group play
+ * @param {Map<string, Set<string>>} context.playedBy - game_id -> player UUIDs who have played it
+ * @param {Map<string, Set<string>>} [context.learnedBy] - game_id -> those of them who only
+ *   played it as a new player
+ * @param {number|null} context.usualWeight
+ * @param {Map<string, Set<string>>} context.ownerIdsByGame - game_id -> owner UUIDs
+ * @param {Set<string>} context.yesUuids - players who RSVPed yes (everyone, for group suggestions)
+ * @param {Object} context.uuidToUsername
+ * @param {number} context.playerTotal
+ * @param {boolean} context.eventScoped
+ * @param {Date} context.now
+ * @returns {Array<Object>} the same suggestions
+ */
+function scoreSuggestions(suggestions, context) {
+  const { lastPlayed, playedBy, learnedBy = new Map(), usualWeight, ownerIdsByGame, yesUuids, uuidToUsername, playerTotal, eventScoped, now } = context;
+
+  for (const s of suggestions) {
+    const factors = {};
+
+    // rating
+    if (s.avg_group_rating != null) {
+      factors.rating = {
+        value: s.avg_group_rating / 5,
+        reason: `The group rates it ${s.avg_group_rating}/5 (${plural(s.review_count, 'review')})`,
+      };
+    } else {
+      factors.rating = { value: 0.5, reason: 'Nobody in the group has rated it yet' };
+    }
+
+    // recency
+    const last = lastPlayed.get(s.id);
+    if (!last) {
+      factors.recency = { value: 1, reason: 'The group has never played it' };
+    } else {
+      const days = Math.max(Math.floor((now.getTime() - last.getTime()) / DAY_MS), 0);
+      factors.recency = {
+        value: Math.min(days / RECENCY_FULL_DAYS, 1),
+        reason: days === 0 ? 'The group played it today' : `Last played ${plural(days, 'day')} ago`,
+      };
+    }
+
+    // novelty
+    const veterans = playedBy.get(s.id) || new Set();
+    const learners = (learnedBy.get(s.id) || new Set()).size;
+    const newcomers = Math.max(playerTotal - veterans.size, 0);
+    let noveltyReason;
+    if (newcomers === 0 && learners === 0) {
+      noveltyReason = 'Everyone has played it before';
+    } else if (learners === 0) {
+      noveltyReason = `${newcomers} of ${playerTotal} players have never played it`;
+    } else {
+      noveltyReason = `${newcomers} of ${playerTotal} players have never played it, ` +
+        `${learners} only as a new player`;
+    }
+    factors.novelty = {
+      value: playerTotal > 0 ? Math.min((newcomers + learners * LEARNER_NOVELTY) / playerTotal, 1) : 0,
+      reason: noveltyReason,
+    };
+
+    // ownership
+    const ownerIds = [...(ownerIdsByGame.get(s.id) || [])];
+    const yesOwners = ownerIds.filter(id => yesUuids.has(id)).map(id => uuidToUsername[id] || 'Unknown').sort();
+    if (yesOwners.length > 0) {
+      factors.ownership = {
+        value: 1,
+        reason: eventScoped
+          ? `Owned by ${listNames(yesOwners)}, who ${yesOwners.length === 1 ? 'is' : 'are'} coming`
+          : `Owned by ${listNames(yesOwners)}`,
+      };
+    } else {
+      factors.ownership = {
+        value: 0.5,
+        reason: `Owned by ${listNames(s.owners)}, ${s.owners.length === 1 ? 'who is' : 'who are'} only a maybe`,
+      };
+    }
+
+    // weight fit: a full point apart (e.g. 2.0 vs 3.0) halves it
+    if (s.weight == null || usualWeight == null) {
+      factors.weight_fit = {
+        value: 0.5,
+        reason: s.weight == null ? 'Weight unknown' : 'No recent plays to compare its weight with',
+      };
+    } else {
+      const gap = Math.abs(s.weight - usualWeight);
+      const usual = Math.round(usualWeight * 10) / 10;
+      factors.weight_fit = {
+        value: Math.max(1 - gap / 2, 0),
+        reason: gap < 0.5
+          ? `Weight ${s.weight} is close to the group's usual ${usual}`
+          : `Weight ${s.weight} is ${s.weight > usualWeight ? 'heavier' : 'lighter'} than the group's usual ${usual}`,
+      };
+    }
+
+    // want to play: anyone flagging it counts for half, the rest scales with how many
+    const wanters = s.wanted_by || [];
+    factors.want_to_play = wanters.length > 0
+      ? {
+        value: 0.5 + 0.5 * Math.min(wanters.length / Math.max(playerTotal, 1), 1),
+        reason: `${listNames(wanters)} ${wanters.length === 1 ? 'wants' : 'want'} to play it`,
+      }
+      : { value: 0, reason: 'Nobody has flagged it want-to-play' };
+
+    let total = 0;
+    for (const [name, factor] of Object.entries(factors)) {
+      total += factor.value * SCORE_WEIGHTS[name];
+      factor.weight = SCORE_WEIGHTS[name];
+      factor.points = Math.round(factor.value * factor.weight * 1000) / 10;
+      factor.value = Math.round(factor.value * 100) / 100;
+    }
+
+    s.score = {
+      total: Math.round(total * 1000) / 10,
+      factors,
+      // Strongest contribution first
+      explanation: Object.values(factors)
+        .sort((a, b) => b.points - a.points)
+        .map(f => f.reason),
+    };
+  }
+  return suggestions;
+}
+
+/**
+ * Weight band of a game ('unknown' when BGG has no weight).
+ * @param {number|null} weight
+ * @returns {string}
+ */
+function weightBand(weight) {
+  if (weight == null) return 'unknown';
+  return WEIGHT_BANDS.find(band => weight < band.below).key;
+}
+
+/**
+ * Take the first `count` suggestions, at most `maxPerWeightBand` from any one
+ * band. When the cap leaves the ballot short, the skipped games fill it in
+ * rank order (relaxed: true) -- a full ballot beats a perfectly mixed one.
+ * @param {Array<Object>} suggestions - ranked best first
+ * @param {Object} [options]
+ * @param {number} [options.count=5]
+ * @param {number} [options.maxPerWeightBand=2]
+ * @returns {{ picked: Array<Object>, relaxed: boolean }}
+ */
+function pickBallotOptions(suggestions, { count = 5, maxPerWeightBand = 2 } = {}) {
+  const chosen = new Set();
+  const perBand = new Map();
+  for (const suggestion of suggestions) {
+    if (chosen.size >= count) break;
+    const band = weightBand(suggestion.weight);
+    if ((perBand.get(band) || 0) >= maxPerWeightBand) continue;
+    perBand.set(band, (perBand.get(band) || 0) + 1);
+    chosen.add(suggestion);
+  }
+
+  let relaxed = false;
+  for (const suggestion of suggestions) {
+    if (chosen.size >= count) break;
+    if (chosen.has(suggestion)) continue;
+    chosen.add(suggestion);
+    relaxed = true;
+  }
+
+  return { picked: suggestions.filter(s => chosen.has(s)), relaxed };
+}
+
+/**
+ * Ballot options for an event from its suggestions.
+ *
+ * @param {Object} params
+ * @param {string} params.groupId
+ * @param {string} params.eventId
+ * @param {number} [params.count=5] - options wanted
+ * @param {string} [params.source='collections'] - 'bringing' = only games attendees
+ *   are bringing; 'collections' = anything attendees own, brought games first
+ * @param {number} [params.maxPerWeightBand=2]
+ * @param {number} [params.maxPlayTime] - minutes
+ * @returns {Promise<{ options: Array<Object>, playerCount: number, candidates: number, relaxedDiversity: boolean }>}
+ */
+async function getBallotSuggestions({ groupId, eventId, count = 5, source = 'collections', maxPerWeightBand = 2, maxPlayTime }) {
+  const { suggestions, playerCount } = await getSuggestions({ groupId, eventId, maxPlayTime, sort: 'rating' });
+
+  const brings = await EventBring.findAll({ where: { event_id: eventId }, attributes: ['game_id'] });
+  const brought = new Set(brings.map(b => b.game_id));
+  const marked = suggestions.map(s => ({ ...s, weight_band: weightBand(s.weight), brought: brought.has(s.id) }));
+
+  const pool = source === 'bringing'
+    ? marked.filter(s => s.brought)
+    : [...marked.filter(s => s.brought), ...marked.filter(s => !s.brought)];
+
+  const { picked, relaxed } = pickBallotOptions(pool, { count, maxPerWeightBand });
+  return { options: picked, playerCount, candidates: pool.length, relaxedDiversity: relaxed };
+}
+
+module.exports = {
+  SCORE_WEIGHTS,
+  WEIGHT_BANDS,
+  getSuggestions,
+  scoreSuggestions,
+  weightBand,
+  pickBallotOptions,
+  getBallotSuggestions,
+};
@@ -1,16 +1,18 @@
 // services/tentativeHoldService.js
 // Orchestrates tentative calendar holds for top availability suggestions
 // Creates holds during voting period, cleans up when event is confirmed
+// Holds go into whichever calendar each member connected (Google or Outlook,
+// see calendarProviders.js)
 
 const { Op } = require('sequelize');
 const { AvailabilitySuggestion, AvailabilityPrompt, User, Group, Game } = require('../models');
-const googleCalendarService = require('./googleCalendarService');
+const calendarProviders = require('./calendarProviders');
 
 // Environment configuration
 const TENTATIVE_HOLD_LIMIT = parseInt(process.env.TENTATIVE_HOLD_LIMIT || '3', 10);
 
 /**
- * Format a Date object to ISO 8601 datetime string for Google Calendar API
+ * Format a Date object to ISO 8601 datetime string for the Google Calendar and Graph APIs
  * @param {Date} date - Date object to format
  * @returns {string} ISO datetime string (e.g., "2026-02-15T18:00:00")
  */
@@ -20,7 +22,7 @@ function formatDateTimeISO(date) {
   }
 
   // Convert to ISO string and remove the 'Z' and milliseconds
-  // Google Calendar API expects: YYYY-MM-DDTHH:mm:ss
+  // Both APIs expect: YYYY-MM-DDTHH:mm:ss
   const isoString = date.toISOString();
   return isoString.replace(/\.\d{3}Z$/, '');
 }
@@ -95,15 +97,12 @@ async function createHoldsForTopSuggestions(promptId, options = {}) {
           user_id: {
             [Op.in]: participantUserIds
           },
-          google_calendar_enabled: true,
-          google_calendar_token: {
-            [Op.ne]: null
-          }
+          ...calendarProviders.connectedUserWhere()
         }
       });
 
       if (users.length === 0) {
-        console.log(`No users with Google Calendar connected for suggestion ${suggestion.id}`);
+        console.log(`No users with a calendar connected for suggestion ${suggestion.id}`);
         result.suggestions.push(suggestionResult);
         continue;
       }
@@ -119,23 +118,12 @@ async function createHoldsForTopSuggestions(promptId, options = {}) {
             timezone: user.timezone || 'UTC'
           };
 
-          const calendarEvent = await googleCalendarService.createTentativeHold(
-            eventData,
-            user.google_calendar_token,
-            user.google_calendar_refresh_token
-          );
+          // Also saves the user's token if it was refreshed
+          const hold = await calendarProviders.createTentativeHold(user, eventData);
 
           // Track the hold
-          suggestionResult.userHoldIds[user.user_id] = calendarEvent.id;
+          suggestionResult.userHoldIds[user.user_id] = hold;
           suggestionResult.holdsCreated++;
-
-          // Update user's token if it was refreshed
-          if (calendarEvent._new_access_token) {
-            await User.update(
-              { google_calendar_token: calendarEvent._new_access_token },
-              { where: { user_id: user.user_id } }
-            );
-          }
         } catch (error) {
           console.error(`Failed to create tentative hold for user ${user.user_id}:`, error.message);
           suggestionResult.holdsFailed++;
@@ -192,31 +180,25 @@ async function cleanupHoldsOnEventCreation(suggestionId, promptId) {
       }
 
       // For each user with a hold, delete it
-      for (const [userId, calendarEventId] of Object.entries(holdIds)) {
+      for (const [userId, hold] of Object.entries(holdIds)) {
         const user = await User.findOne({
           where: { user_id: userId }
         });
 
-        if (user?.google_calendar_token) {
-          try {
-            const success = await googleCalendarService.deleteTentativeHold(
-              calendarEventId,
-              user.google_calendar_token,
-              user.google_calendar_refresh_token
-            );
-
-            if (success) {
-              result.deleted++;
-            } else {
-              result.failed++;
-            }
-          } catch (error) {
-            console.error(`Failed to delete tentative hold ${calendarEventId}:`, error.message);
+        try {
+          const success = user ? await calendarProviders.deleteTentativeHold(user, hold) : null;
+
+          if (success === null) {
+            // User disconnected that calendar - consider it cleaned up
+            console.log(`User ${userId} no longer has that calendar connected, skipping hold deletion`);
+          } else if (success) {
+            result.deleted++;
+          } else {
             result.failed++;
           }
-        } else {
-          // User doesn't have calendar token anymore - consider it cleaned up
-          console.log(`User ${userId} no longer has calendar token, skipping hold deletion`);
+        } catch (error) {
+          console.error(`Failed to delete tentative hold for user ${userId}:`, error.message);
+          result.failed++;
         }
       }
 
@@ -0,0 +1,92 @@
+// services/venueService.js
+// Venue helpers shared by every surface that prints where a game happens:
+// ICS LOCATION, Google Calendar events, email templates, SMS reminders and
+// the event detail endpoint. Keeping the formatting here means all of them
+// show the same string.
+
+const { Venue, User } = require('../models');
+
+// Attributes callers include on Event queries to resolve a location
+const VENUE_ATTRIBUTES = ['id', 'name', 'address', 'capacity', 'notes', 'host_user_id'];
+
+/**
+ * One-line location for a venue: "Name, Address" (or just the name).
+ * @param {Object|null} venue
+ * @returns {string|null}
+ */
+function formatVenueLocation(venue) {
+  if (!venue) return null;
+  const parts = [venue.name, venue.address]
+    .map(p => (p || '').trim())
+    .filter(Boolean);
+  return parts.length > 0 ? parts.join(', ') : null;
+}
+
+/**
+ * Location string for an event: its venue when one is linked (and included
+ * as event.Venue), otherwise the free-text Event.location.
+ * @param {Object} event - Event instance, optionally with Venue included
+ * @returns {string|null}
+ */
+function resolveEventLocation(event) {
+  if (!event) return null;
+  const fromVenue = formatVenueLocation(event.Venue);
+  if (fromVenue) return fromVenue;
+  const freeText = (event.location || '').trim();
+  return freeText || null;
+}
+
+/**
+ * Async variant of resolveEventLocation for callers that did not include
+ * Venue on their query: loads it (with host) when the event has a venue_id.
+ * @param {Object} event - Event instance
+ * @returns {Promise<{ location: string|null, venue: Object|null }>}
+ */
+async function loadEventLocation(event) {
+  if (!event) return { location: null, venue: null };
+  let venue = event.Venue || null;
+  if (!venue && event.venue_id) {
+    venue = await Venue.findByPk(event.venue_id, {
+      attributes: VENUE_ATTRIBUTES,
+      include: [{ model: User, as: 'Host', attributes: ['id', 'username'] }],
+    });
+  }
+  return {
+    location: formatVenueLocation(venue) || resolveEventLocation(event),
+    venue,
+  };
+}
+
+/**
+ * Look up a venue an event in `groupId` may point at. Venues are group-scoped
+ * and archived ones are hidden from the picker, so both count as "not found".
+ * @param {string} venueId
+ * @param {string} groupId
+ * @returns {Promise<Object|null>}
+ */
+async function findUsableVenue(venueId, groupId) {
+  const venue = await Venue.findByPk(venueId);
+  if (!venue || venue.group_id !== groupId || venue.is_archived) return null;
+  return venue;
+}
+
+/**
+ * Venue include for Event queries, with the host's display name.
+ * @returns {Object} Sequelize include
+ */
+function venueInclude() {
+  return {
+    model: Venue,
+    attributes: VENUE_ATTRIBUTES,
+    include: [{ model: User, as: 'Host', attributes: ['id', 'username'] }],
+  };
+}
+
+module.exports = {
+  VENUE_ATTRIBUTES,
+  formatVenueLocation,
+  resolveEventLocation,
+  loadEventLocation,
+  findUsableVenue,
+  venueInclude,
+};
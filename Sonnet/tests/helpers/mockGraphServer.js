@@ -0,0 +1,142 @@
+// tests/helpers/mockGraphServer.js
+// A local stand-in for Microsoft Graph and the identity platform's token
+// endpoint, for tests of services/microsoftCalendarService.js and what sits
+// on top of it. Point the service at it with:
+//
+//   process.env.MICROSOFT_GRAPH_URL = `${server.url}/v1.0`;
+//   process.env.MICROSOFT_LOGIN_URL = server.url;
+//
+// Understands just what the service uses: the token endpoint
+// (authorization_code and refresh_token grants), /me/calendarView (paged two
+// events at a time via @odata.nextLink) and /me/events create, patch and
+// delete. Requests with an access token not in `validTokens` get 401.
+// `failNext(status)` makes the next Graph call fail with that status.
+
+const http = require('http');
+
+const PAGE_SIZE = 2;
+
+function createMockGraphServer() {
+  const state = {
+    validTokens: new Set(['graph-access']),
+    refreshTokens: new Map([['graph-refresh', 'graph-access-2']]), // refresh token -> access token it yields
+    codes: new Map([['auth-code', { access_token: 'graph-access', refresh_token: 'graph-refresh' }]]),
+    events: new Map(), // id -> event
+    requests: [],
+    failures: [],
+    nextId: 1,
+  };
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+  };
+  const graphError = (res, status, code) => send(res, status, { error: { code, message: `${code} (mock)` } });
+
+  function handleToken(res, form) {
+    if (form.grant_type === 'authorization_code' && state.codes.has(form.code)) {
+      return send(res, 200, { token_type: 'Bearer', expires_in: 3600, ...state.codes.get(form.code) });
+    }
+    if (form.grant_type === 'refresh_token' && state.refreshTokens.has(form.refresh_token)) {
+      const accessToken = state.refreshTokens.get(form.refresh_token);
+      state.validTokens.add(accessToken);
+      return send(res, 200, {
+        token_type: 'Bearer',
+        expires_in: 3600,
+        access_token: accessToken,
+        refresh_token: `${form.refresh_token}-rotated`,
+      });
+    }
+    return send(res, 400, { error: 'invalid_grant', error_description: 'AADSTS70000: invalid grant (mock)' });
+  }
+
+  function handleGraph(req, res, url, body) {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    if (!state.validTokens.has(token)) return graphError(res, 401, 'InvalidAuthenticationToken');
+    if (state.failures.length > 0) return graphError(res, state.failures.shift(), 'MockFailure');
+
+    const path = url.pathname.replace(/^\/v1\.0/, '');
+
+    if (req.method === 'GET' && path === '/me/calendarView') {
+      const from = Date.parse(url.searchParams.get('startDateTime'));
+      const to = Date.parse(url.searchParams.get('endDateTime'));
+      const skip = Number(url.searchParams.get('$skip') || 0);
+      const matching = [...state.events.values()].filter(e =>
+        Date.parse(`${e.start.dateTime}Z`) < to && Date.parse(`${e.end.dateTime}Z`) > from
+      );
+      const page = matching.slice(skip, skip + PAGE_SIZE);
+      const result = { value: page };
+      if (skip + PAGE_SIZE < matching.length) {
+        const next = new URL(url.href);
+        next.searchParams.set('$skip', String(skip + PAGE_SIZE));
+        result['@odata.nextLink'] = `http://${req.headers.host}${next.pathname}${next.search}`;
+      }
+      return send(res, 200, result);
+    }
+
+    if (req.method === 'POST' && path === '/me/events') {
+      const event = { id: `graph-evt-${state.nextId++}`, showAs: 'busy', isCancelled: false, ...body };
+      state.events.set(event.id, event);
+      return send(res, 201, event);
+    }
+
+    const match = path.match(/^\/me\/events\/([^/]+)$/);
+    if (match) {
+      const id = decodeURIComponent(match[1]);
+      if (!state.events.has(id)) return graphError(res, 404, 'ErrorItemNotFound');
+      if (req.method === 'PATCH') {
+        const event = { ...state.events.get(id), ...body };
+        state.events.set(id, event);
+        return send(res, 200, event);
+      }
+      if (req.method === 'DELETE') {
+        state.events.delete(id);
+        res.writeHead(204);
+        return res.end();
+      }
+    }
+
+    return graphError(res, 400, 'BadRequest');
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, `http://${req.headers.host}`);
+      const isForm = (req.headers['content-type'] || '').includes('x-www-form-urlencoded');
+      const body = raw ? (isForm ? Object.fromEntries(new URLSearchParams(raw)) : JSON.parse(raw)) : undefined;
+      state.requests.push({ method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body });
+
+      if (req.method === 'POST' && /\/oauth2\/v2\.0\/token$/.test(url.pathname)) {
+        return handleToken(res, body || {});
+      }
+      return handleGraph(req, res, url, body);
+    });
+  });
+
+  return {
+    state,
+    url: null,
+    /** Add an event straight to the mailbox (times in UTC) */
+    addEvent(event) {
+      const id = `graph-evt-${state.nextId++}`;
+      state.events.set(id, { id, showAs: 'busy', isCancelled: false, ...event });
+      return id;
+    },
+    failNext(status) {
+      state.failures.push(status);
+    },
+    async start() {
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      this.url = `http://127.0.0.1:${server.address().port}`;
+      return this;
+    },
+    stop() {
+      server.closeAllConnections(); // keep-alive sockets would hold close() open
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+module.exports = { createMockGraphServer };
@@ -1,5 +1,6 @@
 // tests/routes/events.gcalCleanup.test.js
-// Phase 75 / Plan 03: dispatcher integration tests for DELETE /api/events/:id.
+// Phase 75 / Plan 03: dispatcher integration tests for DELETE /api/events/:id,
+// plus the update-job dispatch from PUT /api/events/:id.
 //
 // Verifies:
 //   - Test 8: DELETE enqueues cleanup jobs through gcalCleanupService.
@@ -24,6 +25,9 @@ const mockEventFindByPk = jest.fn();
 const mockEventRsvpFindAll = jest.fn();
 const mockEventRsvpDestroy = jest.fn();
 const mockEventParticipationDestroy = jest.fn();
+const mockEventParticipationFindAll = jest.fn();
+const mockEventParticipationBulkCreate = jest.fn();
+const mockUserFindByPk = jest.fn();
 const mockEventAuditLogCreate = jest.fn();
 const mockGameFindByPk = jest.fn();
 const mockGroupFindByPk = jest.fn();
@@ -31,13 +35,15 @@ const mockGroupFindByPk = jest.fn();
 jest.mock('../../models', () => ({
   Event: { findByPk: (...args) => mockEventFindByPk(...args) },
   Game: { findByPk: (...args) => mockGameFindByPk(...args) },
-  User: {},
+  User: { findByPk: (...args) => mockUserFindByPk(...args) },
   Group: { findByPk: (...args) => mockGroupFindByPk(...args) },
   EventParticipation: {
     destroy: (...args) => {
       callOrder.push('EventParticipation.destroy');
       return mockEventParticipationDestroy(...args);
     },
+    findAll: (...args) => mockEventParticipationFindAll(...args),
+    bulkCreate: (...args) => mockEventParticipationBulkCreate(...args),
   },
   UserGroup: {},
   EventRsvp: {
@@ -48,14 +54,24 @@ jest.mock('../../models', () => ({
   EventAuditLog: { create: (...args) => mockEventAuditLogCreate(...args) },
 }));
 
+jest.mock('../../config/database', () => ({
+  transaction: (fn) => fn({}),
+}));
+
 // ---- gcalCleanupService mock — central to this test file ----
 const mockEnqueueCleanupJobsForEvent = jest.fn();
+const mockEnqueueCleanupJobForAttendee = jest.fn();
+const mockEnqueueUpdateJobsForEvent = jest.fn();
 jest.mock('../../services/gcalCleanupService', () => ({
   enqueueCleanupJobsForEvent: (...args) => {
     callOrder.push('enqueueCleanupJobsForEvent');
     return mockEnqueueCleanupJobsForEvent(...args);
   },
-  enqueueCleanupJobForAttendee: jest.fn(),
+  enqueueCleanupJobForAttendee: (...args) => mockEnqueueCleanupJobForAttendee(...args),
+  enqueueUpdateJobsForEvent: (...args) => {
+    callOrder.push('enqueueUpdateJobsForEvent');
+    return mockEnqueueUpdateJobsForEvent(...args);
+  },
 }));
 
 // ---- Other service mocks (silence transitive deps) ----
@@ -131,6 +147,14 @@ beforeEach(() => {
   mockEventRsvpDestroy.mockResolvedValue(1);
   mockEventParticipationDestroy.mockResolvedValue(1);
   mockEventAuditLogCreate.mockResolvedValue({});
+  mockEventParticipationFindAll.mockResolvedValue([]);
+  mockEventParticipationBulkCreate.mockImplementation(async (rows) => {
+    callOrder.push('EventParticipation.bulkCreate');
+    return rows;
+  });
+  mockUserFindByPk.mockResolvedValue(null);
+  mockEnqueueUpdateJobsForEvent.mockResolvedValue({ enqueued: 0, skipped: 0, errors: 0 });
+  mockEnqueueCleanupJobForAttendee.mockResolvedValue({ enqueued: 1, skipped: 0 });
 });
 
 describe('DELETE /api/events/:id — Phase 75 / Plan 03 GCal cleanup dispatch', () => {
@@ -169,3 +193,101 @@ describe('DELETE /api/events/:id — Phase 75 / Plan 03 GCal cleanup dispatch',
     expect(enqueueIdx).toBeLessThan(destroyIdx);
   });
 });
+
+describe('PUT /api/events/:id — GCal update dispatch', () => {
+  // Mirrors Sequelize: update() writes the new values onto the instance
+  function buildEditableEvent() {
+    const event = buildEvent({ startOffsetMs: 24 * 3600 * 1000 });
+    event.updatedAt = new Date('2026-10-19T12:00:00Z');
+    event.update = jest.fn(async (values) => Object.assign(event, values));
+    return event;
+  }
+
+  function mockFindEvent(event) {
+    mockEventFindByPk
+      .mockResolvedValueOnce(event)
+      .mockResolvedValueOnce({
+        ...event,
+        EventParticipations: [],
+        toJSON: () => ({ id: event.id, custom_participants: [] }),
+      });
+  }
+
+  test('enqueues update jobs when the time changes', async () => {
+    const event = buildEditableEvent();
+    mockFindEvent(event);
+    mockEnqueueUpdateJobsForEvent.mockResolvedValueOnce({ enqueued: 2, skipped: 0, errors: 0 });
+
+    const res = await request(app)
+      .put(`/api/events/${TEST_EVENT_ID}`)
+      .send({ start_date: new Date(Date.now() + 48 * 3600 * 1000).toISOString(), duration_minutes: 60 });
+
+    expect(res.status).toBe(200);
+    expect(mockEnqueueUpdateJobsForEvent).toHaveBeenCalledWith({
+      eventId: TEST_EVENT_ID,
+      version: event.updatedAt,
+    });
+  });
+
+  test('enqueues nothing when no calendar field changed', async () => {
+    const event = buildEditableEvent();
+    mockFindEvent(event);
+
+    const res = await request(app)
+      .put(`/api/events/${TEST_EVENT_ID}`)
+      .send({ start_date: event.start_date.toISOString(), duration_minutes: 60, comments: null });
+
+    expect(res.status).toBe(200);
+    expect(mockEnqueueUpdateJobsForEvent).not.toHaveBeenCalled();
+  });
+
+  test('gcalCleanupService throws (Redis down) — PUT still returns 200', async () => {
+    const event = buildEditableEvent();
+    mockFindEvent(event);
+    mockEnqueueUpdateJobsForEvent.mockRejectedValueOnce(new Error('Redis is down'));
+
+    const res = await request(app)
+      .put(`/api/events/${TEST_EVENT_ID}`)
+      .send({ start_date: event.start_date.toISOString(), duration_minutes: 90 });
+
+    expect(res.status).toBe(200);
+    expect(mockEnqueueUpdateJobsForEvent).toHaveBeenCalled();
+  });
+
+  test('participant edits keep calendar entries and clean up removed attendees', async () => {
+    const event = buildEditableEvent();
+    mockFindEvent(event);
+    mockEventParticipationFindAll.mockResolvedValueOnce([
+      { id: 'ep-stays', user_id: 'uuid-stays', google_calendar_event_id: 'gcal-evt-1', calendar_provider: null },
+      { id: 'ep-outlook', user_id: 'uuid-outlook', google_calendar_event_id: 'graph-evt-1', calendar_provider: 'microsoft' },
+      { id: 'ep-gone', user_id: 'uuid-gone', google_calendar_event_id: 'graph-evt-2', calendar_provider: 'microsoft' },
+    ]);
+
+    const res = await request(app)
+      .put(`/api/events/${TEST_EVENT_ID}`)
+      .send({
+        start_date: new Date(Date.now() + 48 * 3600 * 1000).toISOString(),
+        duration_minutes: 60,
+        participants: [{ user_id: 'uuid-stays' }, { user_id: 'uuid-outlook' }, { user_id: 'uuid-new' }],
+      });
+
+    expect(res.status).toBe(200);
+    const rows = mockEventParticipationBulkCreate.mock.calls[0][0];
+    expect(rows.map(r => [r.user_id, r.google_calendar_event_id, r.calendar_provider])).toEqual([
+      ['uuid-stays', 'gcal-evt-1', null],
+      ['uuid-outlook', 'graph-evt-1', 'microsoft'],
+      ['uuid-new', null, null],
+    ]);
+    expect(mockEnqueueCleanupJobForAttendee).toHaveBeenCalledTimes(1);
+    expect(mockEnqueueCleanupJobForAttendee).toHaveBeenCalledWith({
+      eventId: TEST_EVENT_ID,
+      eventParticipationId: 'ep-gone',
+      userId: 'uuid-gone',
+      googleCalendarEventId: 'graph-evt-2',
+      calendarProvider: 'microsoft',
+    });
+    // Update jobs read the rewritten rows
+    expect(callOrder.indexOf('EventParticipation.bulkCreate'))
+      .toBeLessThan(callOrder.indexOf('enqueueUpdateJobsForEvent'));
+  });
+});
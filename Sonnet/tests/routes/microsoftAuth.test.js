@@ -0,0 +1,193 @@
+// tests/routes/microsoftAuth.test.js
+// Outlook connect/disconnect/status routes. The OAuth callback is public, so
+// the state it trusts must be the signed one /microsoft/url handed out.
+//
+// Models are mocked; the token exchange runs against the local mock Graph
+// server (tests/helpers/mockGraphServer.js). No DB.
+
+process.env.NODE_ENV = 'test';
+process.env.FRONTEND_URL = 'https://app.example.com';
+
+const request = require('supertest');
+const express = require('express');
+
+const mockUserFindOne = jest.fn();
+const mockUserFindOrCreate = jest.fn();
+
+jest.mock('../../models', () => ({
+  User: {
+    findOne: (...args) => mockUserFindOne(...args),
+    findOrCreate: (...args) => mockUserFindOrCreate(...args),
+  },
+}));
+
+const { createMockGraphServer } = require('../helpers/mockGraphServer');
+const microsoftAuthRoutes = require('../../routes/microsoftAuth');
+
+let graph;
+let currentUser;
+
+const app = express();
+app.use(express.json());
+app.use((req, _res, next) => {
+  if (currentUser) req.user = currentUser;
+  next();
+});
+app.use('/api/auth', microsoftAuthRoutes);
+
+beforeAll(async () => {
+  graph = await createMockGraphServer().start();
+  process.env.MICROSOFT_GRAPH_URL = `${graph.url}/v1.0`;
+  process.env.MICROSOFT_LOGIN_URL = graph.url;
+  process.env.MICROSOFT_CLIENT_ID = 'client-id';
+  process.env.MICROSOFT_CLIENT_SECRET = 'client-secret';
+  process.env.MICROSOFT_REDIRECT_URI = 'http://localhost:4000/api/auth/microsoft/callback';
+});
+
+afterAll(async () => {
+  await graph.stop();
+  delete process.env.MICROSOFT_GRAPH_URL;
+  delete process.env.MICROSOFT_LOGIN_URL;
+  delete process.env.MICROSOFT_CLIENT_ID;
+  delete process.env.MICROSOFT_CLIENT_SECRET;
+  delete process.env.MICROSOFT_REDIRECT_URI;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  currentUser = { user_id: 'auth0|sam', email: 'sam@example.com', name: 'Sam' };
+  mockUserFindOrCreate.mockResolvedValue([{}, false]);
+});
+
+async function stateFromAuthUrl(frontendUrl = 'https://app.example.com') {
+  const res = await request(app)
+    .get('/api/auth/microsoft/url')
+    .query({ frontend_url: frontendUrl });
+  expect(res.status).toBe(200);
+  return new URL(res.body.authUrl).searchParams.get('state');
+}
+
+describe('GET /api/auth/microsoft/url', () => {
+  it('creates the user on first use and returns a Microsoft consent URL', async () => {
+    const res = await request(app).get('/api/auth/microsoft/url');
+
+    expect(res.status).toBe(200);
+    expect(res.body.authUrl).toContain(`${graph.url}/common/oauth2/v2.0/authorize`);
+    expect(mockUserFindOrCreate).toHaveBeenCalledWith(expect.objectContaining({
+      where: { user_id: 'auth0|sam' },
+    }));
+  });
+
+  it('requires a signed-in user', async () => {
+    currentUser = null;
+    const res = await request(app).get('/api/auth/microsoft/url');
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('GET /api/auth/microsoft/callback', () => {
+  it('stores the tokens and redirects to the frontend that started the flow', async () => {
+    const state = await stateFromAuthUrl('https://preview.example.com');
+    const user = { update: jest.fn().mockResolvedValue() };
+    mockUserFindOne.mockResolvedValue(user);
+
+    currentUser = null; // public route
+    const res = await request(app)
+      .get('/api/auth/microsoft/callback')
+      .query({ code: 'auth-code', state });
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe('https://preview.example.com/userProfile/?microsoft_calendar=connected');
+    expect(mockUserFindOne).toHaveBeenCalledWith({ where: { user_id: 'auth0|sam' } });
+    expect(user.update).toHaveBeenCalledWith({
+      microsoft_calendar_token: 'graph-access',
+      microsoft_calendar_refresh_token: 'graph-refresh',
+      microsoft_calendar_enabled: true,
+    });
+  });
+
+  it('rejects a state whose user was swapped', async () => {
+    const state = await stateFromAuthUrl();
+    const [, signature] = state.split('.');
+    const forged = Buffer.from(JSON.stringify({ user_id: 'auth0|victim', frontend_url: 'https://app.example.com' }))
+      .toString('base64url');
+
+    const res = await request(app)
+      .get('/api/auth/microsoft/callback')
+      .query({ code: 'auth-code', state: `${forged}.${signature}` });
+
+    expect(res.status).toBe(400);
+    expect(mockUserFindOne).not.toHaveBeenCalled();
+  });
+
+  it('rejects an unsigned state', async () => {
+    const res = await request(app)
+      .get('/api/auth/microsoft/callback')
+      .query({ code: 'auth-code', state: 'not-a-state' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('redirects with the error when consent was declined', async () => {
+    const state = await stateFromAuthUrl();
+
+    const res = await request(app)
+      .get('/api/auth/microsoft/callback')
+      .query({ error: 'access_denied', error_description: 'The user declined', state });
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe(
+      'https://app.example.com/userProfile/?microsoft_calendar=error&message=The%20user%20declined'
+    );
+    expect(mockUserFindOne).not.toHaveBeenCalled();
+  });
+
+  it('redirects with the error when the code exchange fails', async () => {
+    const state = await stateFromAuthUrl();
+    const user = { update: jest.fn() };
+    mockUserFindOne.mockResolvedValue(user);
+
+    const res = await request(app)
+      .get('/api/auth/microsoft/callback')
+      .query({ code: 'stale-code', state });
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toContain('microsoft_calendar=error');
+    expect(user.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/auth/microsoft/disconnect', () => {
+  it('clears the tokens', async () => {
+    const user = { update: jest.fn().mockResolvedValue() };
+    mockUserFindOne.mockResolvedValue(user);
+
+    const res = await request(app).post('/api/auth/microsoft/disconnect');
+
+    expect(res.status).toBe(200);
+    expect(user.update).toHaveBeenCalledWith({
+      microsoft_calendar_token: null,
+      microsoft_calendar_refresh_token: null,
+      microsoft_calendar_enabled: false,
+    });
+  });
+});
+
+describe('GET /api/auth/microsoft/status/:user_id', () => {
+  it('reports connected only with the flag and a token', async () => {
+    mockUserFindOne.mockResolvedValueOnce({ microsoft_calendar_enabled: true, microsoft_calendar_token: 'graph-access' });
+    mockUserFindOne.mockResolvedValueOnce({ microsoft_calendar_enabled: true, microsoft_calendar_token: null });
+
+    const connected = await request(app).get('/api/auth/microsoft/status/auth0|sam');
+    const stale = await request(app).get('/api/auth/microsoft/status/auth0|sam');
+
+    expect(connected.body).toEqual({ connected: true });
+    expect(stale.body).toEqual({ connected: false });
+  });
+
+  it('refuses other users', async () => {
+    const res = await request(app).get('/api/auth/microsoft/status/auth0|alex');
+    expect(res.status).toBe(403);
+    expect(mockUserFindOne).not.toHaveBeenCalled();
+  });
+});
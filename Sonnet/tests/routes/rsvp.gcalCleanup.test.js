@@ -31,6 +31,8 @@ const mockUserFindOne = jest.fn();
 const mockEventParticipationFindOne = jest.fn();
 
 jest.mock('../../models', () => ({
+  // RSVP writes run in a transaction that locks the event row
+  sequelize: { transaction: (fn) => fn({ LOCK: { UPDATE: 'UPDATE' } }) },
   EventRsvp: {
     findOne: (...args) => mockEventRsvpFindOne(...args),
     findByPk: (...args) => mockEventRsvpFindByPk(...args),
@@ -0,0 +1,193 @@
+// tests/routes/rsvp.waitlist.test.js
+// RSVP route wiring for event capacity: a 'yes' past capacity is stored as
+// 'waitlist' (bring commitments dropped), and giving up a seat -- yes -> no
+// or DELETE -- kicks off waitlist promotion.
+//
+// Pattern follows tests/routes/rsvp.gcalCleanup.test.js: mock models +
+// services + middleware, drive the route via supertest. No DB, no Redis.
+
+process.env.NODE_ENV = 'test';
+process.env.MAGIC_TOKEN_SECRET = 'test-secret-for-rsvp-hmac';
+
+const request = require('supertest');
+const express = require('express');
+
+const mockEventRsvpFindOne = jest.fn();
+const mockEventRsvpFindByPk = jest.fn();
+const mockEventRsvpCreate = jest.fn();
+const mockEventRsvpCount = jest.fn();
+const mockEventBringDestroy = jest.fn();
+const mockEventFindByPk = jest.fn();
+
+jest.mock('../../models', () => ({
+  // RSVP writes run in a transaction that locks the event row
+  sequelize: { transaction: (fn) => fn({ LOCK: { UPDATE: 'UPDATE' } }) },
+  EventRsvp: {
+    findOne: (...args) => mockEventRsvpFindOne(...args),
+    findByPk: (...args) => mockEventRsvpFindByPk(...args),
+    create: (...args) => mockEventRsvpCreate(...args),
+    count: (...args) => mockEventRsvpCount(...args),
+  },
+  EventBring: {
+    destroy: (...args) => mockEventBringDestroy(...args),
+  },
+  Event: {
+    findByPk: (...args) => mockEventFindByPk(...args),
+  },
+  User: { findOne: jest.fn().mockResolvedValue(null) },
+  Game: {},
+  Group: {},
+  EventParticipation: { findOne: jest.fn() },
+}));
+
+jest.mock('../../services/gcalCleanupService', () => ({
+  enqueueCleanupJobForAttendee: jest.fn(),
+  enqueueCleanupJobsForEvent: jest.fn(),
+}));
+
+// Keep the real capacity decision, stub only the async promotion side-effect.
+const mockPromoteFromWaitlist = jest.fn();
+jest.mock('../../services/rsvpWaitlistService', () => ({
+  ...jest.requireActual('../../services/rsvpWaitlistService'),
+  promoteFromWaitlist: (...args) => mockPromoteFromWaitlist(...args),
+}));
+
+jest.mock('../../middleware/auth0', () => ({
+  verifyAuth0Token: (req, _res, next) => next(),
+}));
+
+jest.mock('../../middleware/validators', () => {
+  const passthrough = (req, res, next) => next();
+  return new Proxy({}, {
+    get() {
+      return passthrough;
+    },
+  });
+});
+
+jest.mock('../../services/authorizationService', () => ({
+  canReadEventScopedSurface: jest.fn(() => Promise.resolve({ allowed: true })),
+}));
+
+const TEST_EVENT_ID = '11111111-1111-1111-1111-111111111111';
+const TEST_USER_ID_AUTH0 = 'auth0|test-user-05';
+
+const rsvpRoutes = require('../../routes/rsvp');
+const app = express();
+app.use(express.json());
+app.use((req, _res, next) => {
+  req.user = { user_id: TEST_USER_ID_AUTH0 };
+  next();
+});
+app.use('/api/rsvp', rsvpRoutes);
+
+function buildFullEvent(extra = {}) {
+  return {
+    id: TEST_EVENT_ID,
+    group_id: 'group-uuid',
+    start_date: new Date(Date.now() + 24 * 3600 * 1000),
+    status: 'scheduled',
+    capacity: 4,
+    Game: { name: 'Catan', max_players: 4 },
+    ...extra,
+  };
+}
+
+function buildExistingRsvp(status) {
+  return {
+    id: 'rsvp-uuid-existing',
+    event_id: TEST_EVENT_ID,
+    user_id: TEST_USER_ID_AUTH0,
+    status,
+    update: jest.fn(async function (patch) {
+      Object.assign(this, patch);
+      return this;
+    }),
+    destroy: jest.fn().mockResolvedValue(true),
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockEventFindByPk.mockResolvedValue(buildFullEvent());
+  mockEventBringDestroy.mockResolvedValue(0);
+  mockPromoteFromWaitlist.mockResolvedValue({ promoted: [] });
+});
+
+describe('POST /api/rsvp/ — capacity', () => {
+  test('yes on a full event is stored as waitlist with a queue position', async () => {
+    const waitlistedAt = new Date();
+    mockEventRsvpFindOne.mockResolvedValueOnce(null);
+    mockEventRsvpCount
+      .mockResolvedValueOnce(4) // confirmed seats
+      .mockResolvedValueOnce(1); // waitlisted ahead of this user
+    mockEventRsvpCreate.mockResolvedValueOnce({ id: 'rsvp-uuid-new' });
+    mockEventRsvpFindByPk.mockResolvedValueOnce({
+      event_id: TEST_EVENT_ID,
+      status: 'waitlist',
+      waitlisted_at: waitlistedAt,
+      toJSON() {
+        return { id: 'rsvp-uuid-new', status: 'waitlist' };
+      },
+    });
+
+    const res = await request(app)
+      .post('/api/rsvp/')
+      .send({ event_id: TEST_EVENT_ID, status: 'yes' });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual({ id: 'rsvp-uuid-new', status: 'waitlist', waitlist_position: 2 });
+    expect(mockEventRsvpCreate).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'waitlist',
+      waitlisted_at: expect.any(Date),
+    }), { transaction: expect.anything() });
+    expect(mockEventBringDestroy).toHaveBeenCalled();
+  });
+
+  test('yes with a free seat is confirmed', async () => {
+    mockEventRsvpFindOne.mockResolvedValueOnce(buildExistingRsvp('maybe'));
+    mockEventRsvpCount.mockResolvedValueOnce(3);
+    mockEventRsvpFindByPk.mockResolvedValueOnce({ id: 'rsvp-uuid-existing', status: 'yes' });
+
+    const res = await request(app)
+      .post('/api/rsvp/')
+      .send({ event_id: TEST_EVENT_ID, status: 'yes' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('yes');
+    expect(mockEventBringDestroy).not.toHaveBeenCalled();
+    expect(mockPromoteFromWaitlist).not.toHaveBeenCalled();
+  });
+
+  test('yes -> no frees the seat and promotes the waitlist', async () => {
+    mockEventRsvpFindOne.mockResolvedValueOnce(buildExistingRsvp('yes'));
+    mockEventRsvpFindByPk.mockResolvedValueOnce({ id: 'rsvp-uuid-existing', status: 'no' });
+
+    const res = await request(app)
+      .post('/api/rsvp/')
+      .send({ event_id: TEST_EVENT_ID, status: 'no' });
+
+    expect(res.status).toBe(200);
+    expect(mockPromoteFromWaitlist).toHaveBeenCalledWith(TEST_EVENT_ID);
+  });
+});
+
+describe('DELETE /api/rsvp/:rsvp_id — capacity', () => {
+  test('deleting a yes RSVP promotes the waitlist', async () => {
+    mockEventRsvpFindByPk.mockResolvedValueOnce(buildExistingRsvp('yes'));
+
+    const res = await request(app).delete('/api/rsvp/rsvp-uuid-existing');
+
+    expect(res.status).toBe(200);
+    expect(mockPromoteFromWaitlist).toHaveBeenCalledWith(TEST_EVENT_ID);
+  });
+
+  test('deleting a waitlisted RSVP does not', async () => {
+    mockEventRsvpFindByPk.mockResolvedValueOnce(buildExistingRsvp('waitlist'));
+
+    const res = await request(app).delete('/api/rsvp/rsvp-uuid-existing');
+
+    expect(res.status).toBe(200);
+    expect(mockPromoteFromWaitlist).not.toHaveBeenCalled();
+  });
+});
@@ -36,8 +36,10 @@ const mockEventRsvpFindOne = jest.fn();
 const mockEventRsvpCreate = jest.fn();
 
 jest.mock('../../models', () => ({
+  // RSVP writes run in a transaction that locks the event row
+  sequelize: { transaction: (fn) => fn({ LOCK: { UPDATE: 'UPDATE' } }) },
   User: { findOne: (...args) => mockUserFindOne(...args) },
-  Event: {},
+  Event: { findByPk: jest.fn().mockResolvedValue(null) },
   EventRsvp: {
     findOne: (...args) => mockEventRsvpFindOne(...args),
     create: (...args) => mockEventRsvpCreate(...args),
@@ -131,7 +133,8 @@ describe('Twilio Inbound SMS Webhook', () => {
         event_id: 'event-uuid-1',
         user_id: 'auth0|test-user-123',
         status: 'yes',
-      })
+      }),
+      { transaction: expect.anything() }
     );
   });
 
@@ -148,7 +151,8 @@ describe('Twilio Inbound SMS Webhook', () => {
     expect(res.status).toBe(200);
     expect(res.text).toContain('RSVP recorded: No');
     expect(mockEventRsvpCreate).toHaveBeenCalledWith(
-      expect.objectContaining({ status: 'no' })
+      expect.objectContaining({ status: 'no' }),
+      { transaction: expect.anything() }
     );
   });
 
@@ -165,7 +169,8 @@ describe('Twilio Inbound SMS Webhook', () => {
     expect(res.status).toBe(200);
     expect(res.text).toContain('RSVP recorded: Maybe');
     expect(mockEventRsvpCreate).toHaveBeenCalledWith(
-      expect.objectContaining({ status: 'maybe' })
+      expect.objectContaining({ status: 'maybe' }),
+      { transaction: expect.anything() }
     );
   });
 
@@ -181,7 +186,7 @@ describe('Twilio Inbound SMS Webhook', () => {
 
     expect(res.status).toBe(200);
     expect(res.text).toContain('RSVP recorded: Yes');
-    expect(existingRsvp.update).toHaveBeenCalledWith({ status: 'yes' });
+    expect(existingRsvp.update).toHaveBeenCalledWith({ status: 'yes' }, { transaction: expect.anything() });
     expect(mockEventRsvpCreate).not.toHaveBeenCalled();
   });
 
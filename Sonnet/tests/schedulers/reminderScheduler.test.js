@@ -11,6 +11,7 @@ jest.mock('../../models', () => ({
   User: {},
   Game: {},
   Group: {},
+  Venue: {},
   Op: require('sequelize').Op
 }));
 
@@ -51,11 +52,13 @@ describe('reminderScheduler', () => {
     gameName = 'Catan',
     groupName = 'Board Gamers',
     groupId = 'group-uuid-1',
-    rsvps = []
+    rsvps = [],
+    venue = null
   }) {
     return {
       id: 'event-uuid-1',
       start_date: startDate,
+      Venue: venue,
       Game: gameName ? { name: gameName } : null,
       Group: groupName ? { id: groupId, name: groupName } : null,
       EventRsvps: rsvps.map(rsvp => ({
@@ -117,6 +120,24 @@ describe('reminderScheduler', () => {
       );
     });
 
+    test('includes the venue location in the SMS', async () => {
+      mockEventFindAll.mockResolvedValue([
+        createMockEvent({
+          startDate: new Date(Date.now() + 30 * 60000),
+          venue: { name: "Sam's place", address: '12 Elm St' },
+          rsvps: [{}]
+        })
+      ]);
+
+      await processUpcomingReminders();
+
+      expect(mockSmsServiceSend).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: expect.objectContaining({ location: "Sam's place, 12 Elm St" })
+        })
+      );
+    });
+
     test('skips users outside their reminder window', async () => {
       // Event starting in 12 hours, user with default 1hr window
       const twelveHoursFromNow = new Date(Date.now() + 12 * 3600000);
@@ -0,0 +1,183 @@
+// tests/services/achievementService.test.js
+// Badges are thresholds on SQL-aggregated stats: check the stats mapping,
+// that only new badges are awarded, progress for unearned ones, and the
+// completed-event hook that announces them.
+//
+// sequelize.query and models are mocked -- no DB.
+
+const mockQuery = jest.fn();
+const mockSend = jest.fn();
+
+jest.mock('../../models', () => ({
+  sequelize: { query: (...args) => mockQuery(...args) },
+  Event: { findByPk: jest.fn() },
+  EventParticipation: { findAll: jest.fn() },
+  User: { findAll: jest.fn() },
+  UserAchievement: { findAll: jest.fn(), bulkCreate: jest.fn() },
+  Group: {},
+  Game: {},
+}));
+
+jest.mock('../../services/notificationService', () => ({
+  send: (...args) => mockSend(...args),
+}));
+
+jest.mock('../../services/emailService', () => ({
+  generateAchievementEarnedEmailTemplate: jest.fn(() => ({ html: '<p>badge</p>', text: 'badge' })),
+}));
+
+const { Event, User, UserAchievement } = require('../../models');
+const {
+  getMemberStats, evaluateAchievements, getUserAchievements, onEventCompleted, qualifyingAchievements,
+} = require('../../services/achievementService');
+
+const GROUP_ID = 'group-uuid';
+
+// Order matches getMemberStats: plays, hosting, reviews, library
+function queueStats({ plays = [], hosted = [], reviews = [], library = [] } = {}) {
+  mockQuery
+    .mockResolvedValueOnce(plays)
+    .mockResolvedValueOnce(hosted)
+    .mockResolvedValueOnce(reviews)
+    .mockResolvedValueOnce(library);
+}
+
+beforeEach(() => {
+  mockQuery.mockReset();
+  mockSend.mockReset().mockResolvedValue({ email: { success: true }, sms: null });
+  jest.clearAllMocks();
+  UserAchievement.findAll.mockResolvedValue([]);
+  UserAchievement.bulkCreate.mockResolvedValue([]);
+});
+
+describe('getMemberStats', () => {
+  it('merges every aggregate per user and defaults missing users to zero', async () => {
+    queueStats({
+      plays: [{ user_id: 'u-ann', plays: '12', distinct_games: '10', new_game_plays: '3', wins: '4', beginner_wins: '1', heavy_wins: '0' }],
+      hosted: [{ user_id: 'u-ann', nights_hosted: '5' }],
+      reviews: [{ user_id: 'u-bob', reviews: '2' }],
+      library: [{ user_id: 'u-ann', games_owned: '61' }],
+    });
+
+    const stats = await getMemberStats(GROUP_ID, ['u-ann', 'u-bob']);
+
+    expect(stats.get('u-ann')).toEqual({
+      plays: 12, distinct_games: 10, new_game_plays: 3, wins: 4, beginner_wins: 1,
+      heavy_wins: 0, nights_hosted: 5, reviews: 0, games_owned: 61,
+    });
+    expect(stats.get('u-bob')).toMatchObject({ plays: 0, reviews: 2 });
+    const [sql, options] = mockQuery.mock.calls[0];
+    expect(sql).toContain('g.weight > :heavy');
+    expect(options.replacements).toMatchObject({ groupId: GROUP_ID, userIds: ['u-ann', 'u-bob'], heavy: 3.5 });
+  });
+
+  it('skips the queries when there is nobody to check', async () => {
+    const stats = await getMemberStats(GROUP_ID, []);
+    expect(stats.size).toBe(0);
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+});
+
+describe('qualifyingAchievements', () => {
+  it('matches thresholds exactly', () => {
+    const keys = qualifyingAchievements({ plays: 25, distinct_games: 9, wins: 1, heavy_wins: 1, nights_hosted: 5 }).map(a => a.key);
+    expect(keys).toEqual(['first_game', 'regular', 'first_win', 'heavyweight', 'host']);
+  });
+});
+
+describe('evaluateAchievements', () => {
+  it('awards only badges the member does not have yet', async () => {
+    queueStats({ plays: [{ user_id: 'u-ann', plays: '1', wins: '1' }] });
+    UserAchievement.findAll.mockResolvedValueOnce([{ user_id: 'u-ann', achievement_key: 'first_game' }]);
+
+    const earned = await evaluateAchievements(GROUP_ID, ['u-ann', null, 'u-ann'], { eventId: 'e1' });
+
+    expect(earned.map(e => e.achievement.key)).toEqual(['first_win']);
+    expect(UserAchievement.bulkCreate).toHaveBeenCalledWith([
+      expect.objectContaining({ group_id: GROUP_ID, user_id: 'u-ann', achievement_key: 'first_win', event_id: 'e1' }),
+    ], { ignoreDuplicates: true });
+  });
+
+  it('writes nothing when no new badge is earned', async () => {
+    queueStats();
+    const earned = await evaluateAchievements(GROUP_ID, ['u-ann']);
+    expect(earned).toEqual([]);
+    expect(UserAchievement.bulkCreate).not.toHaveBeenCalled();
+  });
+});
+
+describe('getUserAchievements', () => {
+  it('splits earned and unearned badges with progress', async () => {
+    queueStats({ plays: [{ user_id: 'u-ann', plays: '30', distinct_games: '4' }] });
+    const earnedAt = new Date('2026-10-01T20:00:00Z');
+    UserAchievement.findAll.mockResolvedValueOnce([
+      { achievement_key: 'first_game', earned_at: earnedAt, event_id: 'e1' },
+      { achievement_key: 'regular', earned_at: earnedAt, event_id: 'e9' },
+    ]);
+
+    const result = await getUserAchievements(GROUP_ID, 'u-ann');
+
+    expect(result.earned.map(b => b.key)).toEqual(['first_game', 'regular']);
+    expect(result.earned[1]).toMatchObject({ earned_at: earnedAt, progress: { current: 25, target: 25 } });
+    expect(result.unearned.find(b => b.key === 'explorer').progress).toEqual({ current: 4, target: 10 });
+    expect(result.unearned.find(b => b.key === 'veteran').progress).toEqual({ current: 30, target: 100 });
+  });
+});
+
+describe('onEventCompleted', () => {
+  const playedEvent = {
+    id: 'e1',
+    group_id: GROUP_ID,
+    status: 'completed',
+    start_date: new Date(Date.now() - 3600 * 1000),
+    host_user_id: 'u-bob',
+    EventParticipations: [{ user_id: 'u-ann' }, { user_id: 'u-bob' }],
+    Group: { name: 'Thursday Gamers' },
+  };
+
+  it('evaluates players and host, then notifies each user once', async () => {
+    Event.findByPk.mockResolvedValueOnce(playedEvent);
+    queueStats({
+      plays: [
+        { user_id: 'u-ann', plays: '1', wins: '1' },
+        { user_id: 'u-bob', plays: '7' },
+      ],
+      hosted: [{ user_id: 'u-bob', nights_hosted: '5' }],
+    });
+    UserAchievement.findAll.mockResolvedValueOnce([{ user_id: 'u-bob', achievement_key: 'first_game' }]);
+    User.findAll.mockResolvedValueOnce([
+      { id: 'u-ann', user_id: 'auth0|ann', username: 'ann', email: 'ann@example.com' },
+      { id: 'u-bob', user_id: 'auth0|bob', username: 'bob', email: null },
+    ]);
+
+    const earned = await onEventCompleted('e1');
+
+    expect(earned.map(e => `${e.user_id}:${e.achievement.key}`)).toEqual([
+      'u-ann:first_game', 'u-ann:first_win', 'u-bob:host',
+    ]);
+    expect(mockSend).toHaveBeenCalledTimes(2);
+    const [annUser, type, annPayload] = mockSend.mock.calls[0];
+    expect(annUser.id).toBe('u-ann');
+    expect(type).toBe('achievement_earned');
+    expect(annPayload).toMatchObject({
+      eventId: 'e1',
+      emailParams: { to: 'ann@example.com', subject: '2 badges unlocked - Thursday Gamers' },
+      data: { achievementNames: ['First Roll', 'Winner Winner'], groupName: 'Thursday Gamers' },
+    });
+    // No email address: SMS-only payload
+    expect(mockSend.mock.calls[1][2].emailParams).toBeNull();
+  });
+
+  it('ignores events that have not been played yet', async () => {
+    Event.findByPk.mockResolvedValueOnce({ ...playedEvent, start_date: new Date(Date.now() + 86400000) });
+    expect(await onEventCompleted('e1')).toEqual([]);
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  it('never throws', async () => {
+    Event.findByPk.mockRejectedValueOnce(new Error('db down'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(onEventCompleted('e1')).resolves.toEqual([]);
+    console.error.mockRestore();
+  });
+});
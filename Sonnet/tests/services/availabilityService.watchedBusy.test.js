@@ -0,0 +1,61 @@
+// tests/services/availabilityService.watchedBusy.test.js
+// Busy cache for members with a Google Calendar watch channel: no refetch
+// until a push notification invalidates it, widened when a later read asks
+// for more of the calendar.
+//
+// Models + calendarProviders are mocked -- no DB, no Google.
+
+jest.mock('../../models', () => ({ UserAvailability: {}, User: {} }));
+jest.mock('../../services/calendarProviders', () => ({
+  CALENDAR_USER_ATTRIBUTES: [],
+  getBusyTimes: jest.fn(),
+}));
+
+const calendarProviders = require('../../services/calendarProviders');
+const availabilityService = require('../../services/availabilityService');
+
+const user = { user_id: 'auth0|sam' };
+const at = (iso) => new Date(iso);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  availabilityService.invalidateGcalBusyCache(user.user_id);
+  calendarProviders.getBusyTimes.mockResolvedValue([
+    { date: '2026-10-24', startTime: '18:30', endTime: '19:00' },
+    { date: '2026-10-25', startTime: '10:00', endTime: '10:30' },
+  ]);
+});
+
+describe('getWatchedGcalBusy', () => {
+  it('serves repeat and narrower reads from the cache until invalidated', async () => {
+    const first = await availabilityService.getWatchedGcalBusy(user, at('2026-10-24T00:00:00Z'), at('2026-10-26T00:00:00Z'));
+    const narrower = await availabilityService.getWatchedGcalBusy(user, at('2026-10-24T18:00:00Z'), at('2026-10-24T19:00:00Z'));
+
+    expect(first).toHaveLength(2);
+    expect(narrower).toEqual([{ date: '2026-10-24', startTime: '18:30', endTime: '19:00' }]);
+    expect(calendarProviders.getBusyTimes).toHaveBeenCalledTimes(1);
+
+    expect(availabilityService.invalidateGcalBusyCache(user.user_id)).toBe(1);
+    await availabilityService.getWatchedGcalBusy(user, at('2026-10-24T18:00:00Z'), at('2026-10-24T19:00:00Z'));
+    expect(calendarProviders.getBusyTimes).toHaveBeenCalledTimes(2);
+  });
+
+  it('refetches the union when a read reaches past the cached range', async () => {
+    await availabilityService.getWatchedGcalBusy(user, at('2026-10-24T18:00:00Z'), at('2026-10-24T19:00:00Z'));
+    await availabilityService.getWatchedGcalBusy(user, at('2026-10-25T09:00:00Z'), at('2026-10-25T11:00:00Z'));
+    await availabilityService.getWatchedGcalBusy(user, at('2026-10-24T18:00:00Z'), at('2026-10-25T11:00:00Z'));
+
+    expect(calendarProviders.getBusyTimes).toHaveBeenCalledTimes(2);
+    const [, from, to, tz] = calendarProviders.getBusyTimes.mock.calls[1];
+    expect([from.toISOString(), to.toISOString(), tz]).toEqual(['2026-10-24T18:00:00.000Z', '2026-10-25T11:00:00.000Z', 'UTC']);
+  });
+
+  it('does not keep a failed read', async () => {
+    calendarProviders.getBusyTimes.mockRejectedValueOnce(new Error('invalid_grant'));
+    await expect(availabilityService.getWatchedGcalBusy(user, at('2026-10-24T18:00:00Z'), at('2026-10-24T19:00:00Z')))
+      .rejects.toThrow('invalid_grant');
+
+    await availabilityService.getWatchedGcalBusy(user, at('2026-10-24T18:00:00Z'), at('2026-10-24T19:00:00Z'));
+    expect(calendarProviders.getBusyTimes).toHaveBeenCalledTimes(2);
+  });
+});
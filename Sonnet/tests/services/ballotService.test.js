@@ -0,0 +1,242 @@
+// tests/services/ballotService.test.js
+// Automatic ballot closing: quorum, tie rules (organizer, random draw, group
+// rating), the atomic close claim, deadline-job scheduling and the worker
+// entry point that notifies voters.
+//
+// Models, queues and notification services are mocked -- no DB or Redis.
+
+const mockSendToMany = jest.fn();
+const mockQueue = { getJob: jest.fn(), add: jest.fn() };
+
+jest.mock('../../models', () => ({
+  Event: { update: jest.fn(), findByPk: jest.fn() },
+  EventBallotOption: {},
+  EventBallotVote: { findAll: jest.fn() },
+  Game: {},
+  GameReview: { findAll: jest.fn() },
+  Group: { findByPk: jest.fn() },
+  User: { findAll: jest.fn() },
+}));
+
+jest.mock('../../queues', () => ({ ballotQueue: mockQueue }));
+
+jest.mock('../../services/notificationService', () => ({
+  sendToMany: (...args) => mockSendToMany(...args),
+}));
+
+jest.mock('../../services/emailService', () => ({
+  generateBallotClosedEmailTemplate: jest.fn(() => ({ html: '<p>closed</p>', text: 'closed' })),
+}));
+
+const crypto = require('crypto');
+const { Event, EventBallotVote, GameReview, User } = require('../../models');
+const {
+  ballotDeadline, closeBallot, scheduleBallotClose, closeDueBallot,
+} = require('../../services/ballotService');
+
+const NOW = new Date('2026-10-19T18:00:00Z');
+
+function makeEvent(overrides = {}) {
+  return {
+    id: 'event-1',
+    group_id: 'group-1',
+    ballot_status: 'open',
+    ballot_mode: 'approval',
+    ballot_tie_rule: 'organizer',
+    ballot_quorum: null,
+    ballot_deadline: null,
+    rsvp_deadline: new Date('2026-10-19T17:00:00Z'),
+    game_id: null,
+    Group: { name: 'Thursday Gamers' },
+    save: jest.fn().mockResolvedValue(),
+    ...overrides,
+  };
+}
+
+// votes: number of approval votes per option, from distinct voters
+function makeOptions(spec) {
+  let voter = 0;
+  return spec.map(([name, votes, gameId], index) => ({
+    id: `opt-${name}`,
+    game_id: gameId === undefined ? `game-${name}` : gameId,
+    game_name: name,
+    display_order: index,
+    EventBallotVotes: Array.from({ length: votes }, () => ({ user_id: `auth0|voter-${voter++}`, rank: null })),
+  }));
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Event.update.mockResolvedValue([1]);
+  mockSendToMany.mockResolvedValue([]);
+});
+
+describe('ballotDeadline', () => {
+  it('prefers the ballot deadline and falls back to rsvp_deadline', () => {
+    const own = new Date('2026-10-20T00:00:00Z');
+    expect(ballotDeadline(makeEvent({ ballot_deadline: own }))).toEqual(own);
+    expect(ballotDeadline(makeEvent())).toEqual(new Date('2026-10-19T17:00:00Z'));
+    expect(ballotDeadline(makeEvent({ rsvp_deadline: null }))).toBeNull();
+  });
+});
+
+describe('closeBallot', () => {
+  it('sets the winning game and records the outcome', async () => {
+    const event = makeEvent();
+    const result = await closeBallot(event, makeOptions([['Azul', 1], ['Catan', 3]]), { now: NOW });
+
+    // The outcome is written by the same update that claims the close
+    expect(Event.update).toHaveBeenCalledTimes(1);
+    expect(Event.update).toHaveBeenCalledWith(
+      { ballot_status: 'closed', ballot_closed_at: NOW, ballot_outcome: 'winner', game_id: 'game-Catan' },
+      { where: { id: 'event-1', ballot_status: 'open' } }
+    );
+    expect(result).toMatchObject({ outcome: 'winner', tied: false });
+    expect(result.winner.game_name).toBe('Catan');
+    expect(event).toMatchObject({ game_id: 'game-Catan', ballot_status: 'closed', ballot_outcome: 'winner' });
+    expect(event.save).not.toHaveBeenCalled();
+  });
+
+  it('returns null when another close already claimed the ballot', async () => {
+    Event.update.mockResolvedValue([0]);
+    const event = makeEvent();
+    expect(await closeBallot(event, makeOptions([['Azul', 1]]), { now: NOW })).toBeNull();
+    expect(event).toMatchObject({ ballot_status: 'open', game_id: null });
+  });
+
+  it('leaves the ballot open for a retry when the close fails to write', async () => {
+    Event.update.mockRejectedValue(new Error('db down'));
+    const event = makeEvent();
+    await expect(closeBallot(event, makeOptions([['Azul', 1], ['Catan', 3]]), { now: NOW })).rejects.toThrow('db down');
+    expect(event).toMatchObject({ ballot_status: 'open', game_id: null });
+  });
+
+  it('leaves the pick to the organizer when quorum is not met', async () => {
+    const event = makeEvent({ ballot_quorum: 5 });
+    const result = await closeBallot(event, makeOptions([['Azul', 1], ['Catan', 3]]), { now: NOW });
+
+    expect(result).toMatchObject({ outcome: 'no_quorum', noQuorum: true, winner: null });
+    expect(event.game_id).toBeNull();
+  });
+
+  it('tallies vetoes with the group veto effect and closes an all-vetoed ballot', async () => {
+    const opts = makeOptions([['Azul', 2], ['Catan', 1]]).map(o => ({ ...o, EventBallotVetoes: [{ user_id: 'auth0|grump' }] }));
+    const event = makeEvent({ Group: { name: 'Thursday Gamers', ballot_veto_effect: 'exclude' } });
+    const result = await closeBallot(event, opts, { now: NOW });
+
+    expect(result).toMatchObject({ outcome: 'all_vetoed', allVetoed: true, winner: null });
+    expect(event.game_id).toBeNull();
+  });
+
+  it('leaves a tie for the organizer by default', async () => {
+    const event = makeEvent();
+    const result = await closeBallot(event, makeOptions([['Azul', 2], ['Catan', 2]]), { now: NOW });
+
+    expect(result).toMatchObject({ outcome: 'tie', tied: true });
+    expect(result.tiedOptions.map(o => o.game_name)).toEqual(['Azul', 'Catan']);
+    expect(event.game_id).toBeNull();
+  });
+
+  it('draws a tied option at random under the random rule', async () => {
+    const randomInt = jest.spyOn(crypto, 'randomInt').mockReturnValue(1);
+    const event = makeEvent({ ballot_tie_rule: 'random' });
+    const result = await closeBallot(event, makeOptions([['Azul', 2], ['Catan', 2]]), { now: NOW });
+
+    expect(randomInt).toHaveBeenCalledWith(2);
+    expect(result).toMatchObject({ outcome: 'random', tied: false });
+    expect(event.game_id).toBe('game-Catan');
+    randomInt.mockRestore();
+  });
+
+  it('picks the tied game the group rates highest under the group_rating rule', async () => {
+    GameReview.findAll.mockResolvedValue([
+      { game_id: 'game-Azul', avg_rating: '4.5000' },
+      { game_id: 'game-Catan', avg_rating: '3.2500' },
+    ]);
+    const event = makeEvent({ ballot_tie_rule: 'group_rating' });
+    const result = await closeBallot(event, makeOptions([['Azul', 2], ['Catan', 2], ['Root', 1]]), { now: NOW });
+
+    expect(GameReview.findAll.mock.calls[0][0].where).toMatchObject({ group_id: 'group-1' });
+    expect(result).toMatchObject({ outcome: 'group_rating' });
+    expect(event.game_id).toBe('game-Azul');
+  });
+
+  it('falls back to the organizer when ratings are level too', async () => {
+    GameReview.findAll.mockResolvedValue([
+      { game_id: 'game-Azul', avg_rating: '4.0000' },
+      { game_id: 'game-Catan', avg_rating: '4.0000' },
+    ]);
+    const event = makeEvent({ ballot_tie_rule: 'group_rating' });
+    const result = await closeBallot(event, makeOptions([['Azul', 2], ['Catan', 2]]), { now: NOW });
+
+    expect(result.outcome).toBe('tie');
+    expect(event.game_id).toBeNull();
+  });
+});
+
+describe('scheduleBallotClose', () => {
+  it('replaces any earlier job with one delayed to the deadline', async () => {
+    const oldJob = { remove: jest.fn().mockResolvedValue() };
+    mockQueue.getJob.mockResolvedValue(oldJob);
+    const deadline = new Date(Date.now() + 60 * 60 * 1000);
+
+    const result = await scheduleBallotClose(makeEvent({ ballot_deadline: deadline }));
+
+    expect(oldJob.remove).toHaveBeenCalled();
+    expect(result.scheduled).toBe(true);
+    const [name, data, opts] = mockQueue.add.mock.calls[0];
+    expect(name).toBe('close-ballot');
+    expect(data).toEqual({ eventId: 'event-1' });
+    expect(opts.jobId).toBe('ballot-close-event-1');
+    expect(opts.delay).toBeGreaterThan(59 * 60 * 1000);
+  });
+
+  it('does not queue a job for a closed ballot and never throws', async () => {
+    mockQueue.getJob.mockResolvedValue(null);
+    expect(await scheduleBallotClose(makeEvent({ ballot_status: 'closed' }))).toEqual({ scheduled: false, reason: 'no_open_ballot' });
+    expect(mockQueue.add).not.toHaveBeenCalled();
+
+    mockQueue.getJob.mockRejectedValue(new Error('redis down'));
+    expect(await scheduleBallotClose(makeEvent())).toEqual({ scheduled: false, reason: 'queue_error' });
+  });
+});
+
+describe('closeDueBallot', () => {
+  it('closes a due ballot and notifies everyone who voted', async () => {
+    const event = makeEvent({ EventBallotOptions: makeOptions([['Azul', 1], ['Catan', 2]]) });
+    Event.findByPk.mockResolvedValue(event);
+    EventBallotVote.findAll.mockResolvedValue([
+      { user_id: 'auth0|voter-0' }, { user_id: 'auth0|voter-1' }, { user_id: 'auth0|voter-1' },
+    ]);
+    const voters = [{ user_id: 'auth0|voter-0', email: 'v0@example.com' }, { user_id: 'auth0|voter-1', email: null }];
+    User.findAll.mockResolvedValue(voters);
+
+    const result = await closeDueBallot('event-1', { now: NOW });
+
+    expect(result).toEqual({ eventId: 'event-1', outcome: 'winner', game_id: 'game-Catan', total_ballots: 3 });
+    expect(User.findAll.mock.calls[0][0].where.user_id).toBeDefined();
+    const [users, type, buildPayload] = mockSendToMany.mock.calls[0];
+    expect(users).toBe(voters);
+    expect(type).toBe('ballot_closed');
+    expect(buildPayload(voters[0])).toMatchObject({
+      eventId: 'event-1',
+      emailParams: { to: 'v0@example.com', subject: 'The votes are in: Catan - Thursday Gamers' },
+      data: { groupName: 'Thursday Gamers', outcome: 'winner', gameName: 'Catan' },
+    });
+    expect(buildPayload(voters[1]).emailParams).toBeNull();
+  });
+
+  it('skips ballots that are closed, missing or no longer due', async () => {
+    Event.findByPk.mockResolvedValueOnce(null);
+    expect(await closeDueBallot('gone', { now: NOW })).toEqual({ skipped: true, reason: 'event_not_found' });
+
+    Event.findByPk.mockResolvedValueOnce(makeEvent({ ballot_status: 'closed' }));
+    expect(await closeDueBallot('event-1', { now: NOW })).toEqual({ skipped: true, reason: 'ballot_not_open' });
+
+    Event.findByPk.mockResolvedValueOnce(makeEvent({ ballot_deadline: new Date('2026-10-20T00:00:00Z') }));
+    expect(await closeDueBallot('event-1', { now: NOW })).toEqual({ skipped: true, reason: 'deadline_moved' });
+
+    expect(Event.update).not.toHaveBeenCalled();
+    expect(mockSendToMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,144 @@
+// tests/services/ballotTallyService.test.js
+// Ballot tallies per mode: plurality/approval counts, instant-runoff rounds
+// (eliminations, exhausted ballots, ties), Borda points with the
+// first-choice tie-break, and vetoes excluding or penalizing options.
+//
+// Pure functions -- no models involved.
+
+const { tallyBallot, isRankedMode, DEFAULT_MODE } = require('../../services/ballotTallyService');
+
+// ballots: one array of option ids per voter, first choice first
+function options(names, ballots, { ranked = true } = {}) {
+  return names.map((name, index) => ({
+    id: name,
+    game_name: name,
+    display_order: index,
+    EventBallotVotes: ballots.flatMap((ballot, voter) => (ballot.includes(name)
+      ? [{ user_id: `voter-${voter}`, rank: ranked ? ballot.indexOf(name) + 1 : null }]
+      : [])),
+  }));
+}
+
+const valuesOf = (round) => Object.fromEntries(round.tallies.map(t => [t.option_id, t.value]));
+
+describe('single-round modes', () => {
+  it('approval counts every approval and counts each voter once', () => {
+    const result = tallyBallot('approval', options(['Azul', 'Catan', 'Wingspan'], [
+      ['Azul', 'Catan'], ['Catan'], ['Catan', 'Wingspan'],
+    ], { ranked: false }));
+
+    expect(result).toMatchObject({ mode: 'approval', metric: 'votes', total_ballots: 3, winner_option_id: 'Catan' });
+    expect(result.rounds).toHaveLength(1);
+    expect(valuesOf(result.rounds[0])).toEqual({ Azul: 1, Catan: 3, Wingspan: 1 });
+  });
+
+  it('plurality reports a tie between leaders', () => {
+    const result = tallyBallot('plurality', options(['Azul', 'Catan'], [['Azul'], ['Catan']], { ranked: false }));
+    expect(result.winner_option_id).toBeNull();
+    expect(result.tied_option_ids).toEqual(['Azul', 'Catan']);
+  });
+
+  it('flags a ballot nobody voted on', () => {
+    const result = tallyBallot('plurality', options(['Azul', 'Catan'], []));
+    expect(result).toMatchObject({ no_votes: true, total_ballots: 0, winner_option_id: null, tied_option_ids: [] });
+  });
+
+  it('defaults to approval when no mode is stored', () => {
+    expect(DEFAULT_MODE).toBe('approval');
+    expect(tallyBallot(undefined, options(['Azul', 'Catan'], [['Azul']])).mode).toBe('approval');
+    expect(isRankedMode('borda')).toBe(true);
+    expect(isRankedMode('plurality')).toBe(false);
+  });
+});
+
+describe('ranked_choice', () => {
+  it('eliminates the last place and transfers ballots until a majority', () => {
+    const result = tallyBallot('ranked_choice', options(['A', 'B', 'C', 'D'], [
+      ['A'], ['A'], ['A'],
+      ['B'], ['B', 'C'],
+      ['C', 'B'], ['C'],
+      ['D', 'C'],
+    ]));
+
+    expect(result.winner_option_id).toBe('C');
+    expect(result.total_ballots).toBe(8);
+    expect(result.rounds.map(r => r.eliminated)).toEqual([['D'], ['B'], []]);
+    expect(valuesOf(result.rounds[1])).toEqual({ A: 3, B: 2, C: 3 });
+    // The B-only ballot has nowhere to go once B is out
+    expect(result.rounds[2]).toMatchObject({ exhausted: 1 });
+    expect(valuesOf(result.rounds[2])).toEqual({ A: 3, C: 4 });
+  });
+
+  it('wins in the first round with an outright majority', () => {
+    const result = tallyBallot('ranked_choice', options(['A', 'B', 'C'], [['A', 'B'], ['A'], ['B', 'C']]));
+    expect(result.winner_option_id).toBe('A');
+    expect(result.rounds).toHaveLength(1);
+  });
+
+  it('reports a tie when every remaining option is level', () => {
+    const result = tallyBallot('ranked_choice', options(['A', 'B'], [['A', 'B'], ['B', 'A']]));
+    expect(result.tied_option_ids).toEqual(['A', 'B']);
+    expect(result.winner_option_id).toBeNull();
+  });
+
+  it('ranks unranked votes after ranked ones', () => {
+    const opts = options(['A', 'B'], [['B', 'A']]);
+    opts[0].EventBallotVotes[0].rank = null;
+    opts[1].EventBallotVotes[0].rank = 2;
+    const result = tallyBallot('ranked_choice', opts);
+    expect(result.winner_option_id).toBe('B');
+  });
+});
+
+describe('borda', () => {
+  it('scores n - 1 points for a first choice down to 0 for last', () => {
+    const result = tallyBallot('borda', options(['A', 'B', 'C'], [['A', 'B', 'C'], ['A', 'C', 'B'], ['B', 'A', 'C']]));
+    expect(result).toMatchObject({ metric: 'points', winner_option_id: 'A' });
+    expect(valuesOf(result.rounds[0])).toEqual({ A: 5, B: 3, C: 1 });
+  });
+
+  it('breaks a points tie on first choices', () => {
+    const result = tallyBallot('borda', options(['A', 'B', 'C'], [['B', 'A'], ['B', 'A'], ['A', 'C']]));
+    expect(valuesOf(result.rounds[0])).toEqual({ A: 4, B: 4, C: 1 });
+    expect(result.rounds[1]).toMatchObject({ tie_break: 'first_choices' });
+    expect(result.winner_option_id).toBe('B');
+  });
+});
+
+describe('vetoes', () => {
+  const withVetoes = (opts, counts) => opts.map(o => ({
+    ...o,
+    EventBallotVetoes: Array.from({ length: counts[o.id] || 0 }, (_, i) => ({ user_id: `vetoer-${i}` })),
+  }));
+
+  it('excludes vetoed options and moves ranked ballots to the next choice', () => {
+    const opts = withVetoes(options(['A', 'B', 'C'], [['A', 'B'], ['A', 'C'], ['B'], ['C', 'B']]), { A: 1 });
+    const result = tallyBallot('ranked_choice', opts);
+
+    expect(result.excluded_option_ids).toEqual(['A']);
+    expect(result.vetoes).toEqual([{ option_id: 'A', game_name: 'A', count: 1 }]);
+    expect(valuesOf(result.rounds[0])).toEqual({ B: 2, C: 2 });
+    expect(result.rounds[0].tallies.map(t => t.option_id)).not.toContain('A');
+  });
+
+  it('takes one vote off per veto when penalizing', () => {
+    const opts = withVetoes(options(['Azul', 'Catan'], [['Azul'], ['Azul'], ['Azul'], ['Catan'], ['Catan']]), { Azul: 2 });
+    const result = tallyBallot('plurality', opts, { vetoEffect: 'penalize' });
+
+    expect(result.veto_effect).toBe('penalize');
+    expect(valuesOf(result.rounds[0])).toEqual({ Azul: 1, Catan: 2 });
+    expect(result.winner_option_id).toBe('Catan');
+  });
+
+  it('takes n - 1 Borda points off per veto when penalizing', () => {
+    const opts = withVetoes(options(['A', 'B', 'C'], [['A', 'B', 'C'], ['A', 'C', 'B']]), { A: 1 });
+    const result = tallyBallot('borda', opts, { vetoEffect: 'penalize' });
+    expect(valuesOf(result.rounds[0])).toEqual({ A: 2, B: 1, C: 1 });
+  });
+
+  it('flags a ballot whose every option was vetoed', () => {
+    const opts = withVetoes(options(['A', 'B'], [['A'], ['B']]), { A: 1, B: 1 });
+    const result = tallyBallot('approval', opts);
+    expect(result).toMatchObject({ all_vetoed: true, winner_option_id: null, tied_option_ids: [] });
+  });
+});
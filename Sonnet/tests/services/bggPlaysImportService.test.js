@@ -0,0 +1,228 @@
+// tests/services/bggPlaysImportService.test.js
+// BGG plays import: XML parsing, the dry-run plan (player mapping and
+// de-duplication) and applying a plan in one transaction.
+//
+// Models are mocked -- no DB, no BGG calls.
+
+const mockTransaction = { commit: jest.fn(), rollback: jest.fn() };
+
+jest.mock('../../models', () => ({
+  sequelize: { transaction: jest.fn(() => Promise.resolve(mockTransaction)) },
+  Event: { findAll: jest.fn(), create: jest.fn() },
+  EventParticipation: { bulkCreate: jest.fn() },
+  Game: { findAll: jest.fn(), findOrCreate: jest.fn() },
+  User: { findAll: jest.fn() },
+  UserGroup: { findAll: jest.fn() },
+}));
+
+const { Event, EventParticipation, Game, User, UserGroup } = require('../../models');
+const bggService = require('../../services/bggService');
+const { buildImportPlan, applyImportPlan, matchPlayer } = require('../../services/bggPlaysImportService');
+
+const GROUP_ID = 'group-uuid';
+
+const PLAYS_XML = `<?xml version="1.0" encoding="utf-8"?>
+<plays username="annplays" userid="1" total="3" page="1">
+  <play id="101" date="2026-09-12" quantity="1" length="95" incomplete="0" nowinstats="0" location="Ann's place">
+    <item name="Root" objecttype="thing" objectid="237182"><subtypes><subtype value="boardgame"/></subtypes></item>
+    <comments>Cats ran away with it</comments>
+    <players>
+      <player username="annplays" userid="1" name="Ann" startposition="" color="Marquise" score="31" new="0" rating="0" win="1"/>
+      <player username="" userid="0" name="Bob" startposition="" color="Eyrie" score="24" new="1" rating="0" win="0"/>
+      <player username="" userid="0" name="Cousin Carl" startposition="" color="" score="-2" new="1" rating="0" win="0"/>
+    </players>
+  </play>
+  <play id="102" date="2026-09-19" quantity="1" length="0" incomplete="1" nowinstats="0" location="">
+    <item name="Root" objecttype="thing" objectid="237182"></item>
+  </play>
+  <play id="103" date="2026-10-01" quantity="2" length="30" incomplete="0" nowinstats="0" location="">
+    <item name="Hanabi" objecttype="thing" objectid="98778"></item>
+    <players>
+      <player username="" userid="0" name="Ann" score="" new="0" win="1"/>
+      <player username="" userid="0" name="Bob" score="" new="0" win="1"/>
+    </players>
+  </play>
+</plays>`;
+
+const members = [
+  { id: 'u-ann', user_id: 'auth0|ann', username: 'annplays' },
+  { id: 'u-bob', user_id: 'auth0|bob', username: 'bob' },
+];
+
+function mockGroup({ games = [{ id: 'g-root', bgg_id: 237182, name: 'Root' }], events = [] } = {}) {
+  UserGroup.findAll.mockResolvedValue(members.map(m => ({ user_id: m.user_id })));
+  User.findAll.mockResolvedValue(members);
+  Game.findAll.mockResolvedValue(games);
+  Event.findAll.mockResolvedValue(events);
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('bggService.parsePlaysXml', () => {
+  it('normalises plays, items and players', async () => {
+    const { username, total, plays } = await bggService.parsePlaysXml(PLAYS_XML);
+
+    expect(username).toBe('annplays');
+    expect(total).toBe(3);
+    expect(plays[0]).toMatchObject({
+      bgg_play_id: 101,
+      date: '2026-09-12',
+      length_minutes: 95,
+      incomplete: false,
+      location: 'Ann\'s place',
+      comments: 'Cats ran away with it',
+      game: { bgg_id: 237182, name: 'Root' },
+    });
+    expect(plays[0].players).toEqual([
+      { name: 'Ann', bgg_username: 'annplays', score: 31, color: 'Marquise', is_new: false, win: true },
+      { name: 'Bob', bgg_username: null, score: 24, color: 'Eyrie', is_new: true, win: false },
+      { name: 'Cousin Carl', bgg_username: null, score: -2, color: null, is_new: true, win: false },
+    ]);
+    expect(plays[1]).toMatchObject({ incomplete: true, length_minutes: null, players: [] });
+    expect(plays[2]).toMatchObject({ quantity: 2 });
+  });
+
+  it('rejects documents that are not BGG plays', async () => {
+    await expect(bggService.parsePlaysXml('<items></items>')).rejects.toThrow('Not a BGG plays document');
+  });
+});
+
+describe('matchPlayer', () => {
+  it('prefers the player map, then BGG username, then name', () => {
+    expect(matchPlayer({ name: 'Ann', bgg_username: 'annplays' }, members).member.id).toBe('u-ann');
+    expect(matchPlayer({ name: 'BOB', bgg_username: null }, members).member.id).toBe('u-bob');
+    expect(matchPlayer({ name: 'Robert', bgg_username: null }, members, { Robert: 'auth0|bob' }).member.id).toBe('u-bob');
+    expect(matchPlayer({ name: 'Bob', bgg_username: null }, members, { Bob: null }).member).toBeNull();
+    expect(matchPlayer({ name: 'Dana', bgg_username: null }, members).member).toBeNull();
+  });
+});
+
+describe('buildImportPlan', () => {
+  it('maps players and flags new games and skipped plays', async () => {
+    mockGroup();
+    const { plays } = await bggService.parsePlaysXml(PLAYS_XML);
+
+    const plan = await buildImportPlan(GROUP_ID, plays);
+
+    expect(plan.summary).toMatchObject({ total: 3, to_create: 2, skipped: 1, skipped_by_reason: { incomplete: 1 } });
+    const [root, incomplete, hanabi] = plan.plays;
+    expect(root).toMatchObject({ action: 'create', game: { game_id: 'g-root', is_new: false } });
+    expect(root.players.map(p => [p.name, p.member && p.member.id])).toEqual([
+      ['Ann', 'u-ann'], ['Bob', 'u-bob'], ['Cousin Carl', null],
+    ]);
+    expect(incomplete).toMatchObject({ action: 'skip', reason: 'incomplete' });
+    expect(hanabi).toMatchObject({ action: 'create', game: { bgg_id: 98778, is_new: true } });
+    expect(plan.new_games).toEqual([{ bgg_id: 98778, name: 'Hanabi' }]);
+    // Bob matched by name both times; Hanabi's "Ann" has no BGG username, so that row stays a guest
+    expect(plan.players.find(p => p.member && p.member.id === 'u-bob').plays).toBe(2);
+    expect(plan.players.filter(p => p.name === 'Ann').map(p => !!p.member)).toEqual([true, false]);
+  });
+
+  it('skips plays already imported or already logged on that date', async () => {
+    mockGroup({
+      events: [
+        { id: 'e-imported', game_id: 'g-root', start_date: new Date('2026-09-12T12:00:00Z'), bgg_play_id: 101 },
+        { id: 'e-manual', game_id: 'g-hanabi', start_date: new Date('2026-10-01T19:30:00Z'), bgg_play_id: null },
+      ],
+      games: [
+        { id: 'g-root', bgg_id: 237182, name: 'Root' },
+        { id: 'g-hanabi', bgg_id: 98778, name: 'Hanabi' },
+      ],
+    });
+    const { plays } = await bggService.parsePlaysXml(PLAYS_XML);
+
+    const plan = await buildImportPlan(GROUP_ID, [...plays, plays[0]], { includeIncomplete: true });
+
+    expect(plan.plays.map(p => p.reason)).toEqual([
+      'already_imported', null, 'duplicate_event', 'duplicate_in_import',
+    ]);
+    expect(plan.plays[0].existing_event_id).toBe('e-imported');
+    expect(plan.plays[2].existing_event_id).toBe('e-manual');
+  });
+
+  it('skips plays imported into a since-cancelled event, but not plays on a cancelled night', async () => {
+    mockGroup({
+      events: [
+        { id: 'e-cancelled-import', game_id: 'g-root', start_date: new Date('2026-09-12T12:00:00Z'), bgg_play_id: 101, status: 'cancelled' },
+        { id: 'e-cancelled-night', game_id: 'g-hanabi', start_date: new Date('2026-10-01T19:30:00Z'), bgg_play_id: null, status: 'cancelled' },
+      ],
+      games: [
+        { id: 'g-root', bgg_id: 237182, name: 'Root' },
+        { id: 'g-hanabi', bgg_id: 98778, name: 'Hanabi' },
+      ],
+    });
+    const { plays } = await bggService.parsePlaysXml(PLAYS_XML);
+
+    const plan = await buildImportPlan(GROUP_ID, [plays[0], plays[2]]);
+
+    expect(plan.plays.map(p => [p.action, p.reason])).toEqual([['skip', 'already_imported'], ['create', null]]);
+    expect(plan.plays[0].existing_event_id).toBe('e-cancelled-import');
+    expect(Event.findAll.mock.calls[0][0].where.status).toBeUndefined();
+  });
+
+  it('compares dates in the requested timezone', async () => {
+    // 03:00 UTC on Oct 2 is the evening of Oct 1 in Los Angeles
+    mockGroup({
+      events: [{ id: 'e-la', game_id: 'g-hanabi', start_date: new Date('2026-10-02T03:00:00Z'), bgg_play_id: null }],
+      games: [{ id: 'g-hanabi', bgg_id: 98778, name: 'Hanabi' }],
+    });
+    const { plays } = await bggService.parsePlaysXml(PLAYS_XML);
+
+    const utc = await buildImportPlan(GROUP_ID, [plays[2]]);
+    mockGroup({
+      events: [{ id: 'e-la', game_id: 'g-hanabi', start_date: new Date('2026-10-02T03:00:00Z'), bgg_play_id: null }],
+      games: [{ id: 'g-hanabi', bgg_id: 98778, name: 'Hanabi' }],
+    });
+    const la = await buildImportPlan(GROUP_ID, [plays[2]], { timezone: 'America/Los_Angeles' });
+
+    expect(utc.plays[0].action).toBe('create');
+    expect(la.plays[0]).toMatchObject({ action: 'skip', reason: 'duplicate_event' });
+  });
+});
+
+describe('applyImportPlan', () => {
+  it('creates games, events, participations and guests in one transaction', async () => {
+    mockGroup();
+    const { plays } = await bggService.parsePlaysXml(PLAYS_XML);
+    const plan = await buildImportPlan(GROUP_ID, plays);
+    Game.findOrCreate.mockResolvedValue([{ id: 'g-hanabi' }, true]);
+    Event.create
+      .mockResolvedValueOnce({ id: 'e-new-1' })
+      .mockResolvedValueOnce({ id: 'e-new-2' });
+
+    const result = await applyImportPlan(GROUP_ID, plan, plays);
+
+    expect(result).toEqual({ created: 2, event_ids: ['e-new-1', 'e-new-2'], games_created: 1 });
+    expect(Event.create).toHaveBeenNthCalledWith(1, expect.objectContaining({
+      group_id: GROUP_ID,
+      game_id: 'g-root',
+      start_date: new Date('2026-09-12T12:00:00Z'),
+      duration_minutes: 95,
+      status: 'completed',
+      bgg_play_id: 101,
+      winner_id: 'u-ann',
+      is_group_win: false,
+      custom_participants: [{ username: 'Cousin Carl', score: -2, faction: null, is_new_player: true }],
+    }), { transaction: mockTransaction });
+    // Everyone won the Hanabi play: co-op
+    expect(Event.create.mock.calls[1][0]).toMatchObject({ game_id: 'g-hanabi', is_group_win: true, winner_id: null });
+    expect(EventParticipation.bulkCreate.mock.calls[0][0]).toEqual([
+      { event_id: 'e-new-1', user_id: 'u-ann', score: 31, faction: 'Marquise', is_new_player: false },
+      { event_id: 'e-new-1', user_id: 'u-bob', score: 24, faction: 'Eyrie', is_new_player: true },
+    ]);
+    expect(mockTransaction.commit).toHaveBeenCalled();
+  });
+
+  it('rolls back when a write fails', async () => {
+    mockGroup();
+    const { plays } = await bggService.parsePlaysXml(PLAYS_XML);
+    const plan = await buildImportPlan(GROUP_ID, [plays[0]]);
+    Event.create.mockRejectedValueOnce(new Error('unique violation'));
+
+    await expect(applyImportPlan(GROUP_ID, plan, plays)).rejects.toThrow('unique violation');
+    expect(mockTransaction.rollback).toHaveBeenCalled();
+    expect(mockTransaction.commit).not.toHaveBeenCalled();
+  });
+});
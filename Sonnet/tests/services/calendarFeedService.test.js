@@ -0,0 +1,171 @@
+// tests/services/calendarFeedService.test.js
+// Subscribable ICS feeds: which events a feed serves, SEQUENCE/STATUS for
+// keeping clients in sync, and tokens that stop working once revoked.
+//
+// Models are mocked -- no DB.
+
+jest.mock('../../models', () => ({
+  CalendarFeed: { findOne: jest.fn(), findAll: jest.fn(), create: jest.fn(), update: jest.fn() },
+  Event: { findAll: jest.fn() },
+  EventRsvp: {},
+  Game: {},
+  Group: {},
+  User: {},
+  UserGroup: { findAll: jest.fn() },
+  Venue: {},
+}));
+
+const { CalendarFeed, Event, EventRsvp, UserGroup } = require('../../models');
+const {
+  sequenceFor, toFeedEvent, feedUrls, getOrCreateFeed, revokeFeed, renderFeed,
+} = require('../../services/calendarFeedService');
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+const event = (overrides = {}) => ({
+  id: 'e1',
+  group_id: 'g1',
+  start_date: new Date('2026-10-24T18:00:00Z'),
+  duration_minutes: 180,
+  status: 'scheduled',
+  location: 'Sam\'s place',
+  createdAt: new Date('2026-10-01T10:00:00Z'),
+  updatedAt: new Date('2026-10-01T10:00:00Z'),
+  Game: { name: 'Brass' },
+  Group: { id: 'g1', name: 'Saturday Crew' },
+  Host: null,
+  Venue: null,
+  ...overrides,
+});
+
+const feedRow = (overrides = {}) => ({
+  id: 'f1',
+  token: 'abc123',
+  user_id: 'auth0|sam',
+  group_id: null,
+  revoked_at: null,
+  Group: null,
+  update: jest.fn().mockResolvedValue(),
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('sequenceFor', () => {
+  it('starts at 0 and grows with every update', () => {
+    expect(sequenceFor(event())).toBe(0);
+    expect(sequenceFor(event({ updatedAt: new Date('2026-10-01T10:05:00Z') }))).toBe(300);
+  });
+});
+
+describe('toFeedEvent', () => {
+  it('marks cancelled events and keeps the event id for the UID', () => {
+    const params = toFeedEvent(event({ status: 'cancelled' }), 'https://app.test');
+
+    expect(params).toMatchObject({
+      eventId: 'e1',
+      gameName: 'Brass',
+      groupName: 'Saturday Crew',
+      location: 'Sam\'s place',
+      cancelled: true,
+      url: 'https://app.test/gameDetail?event_id=e1&group_id=g1',
+    });
+  });
+});
+
+describe('feedUrls', () => {
+  it('gives an https and a webcal URL for the token', () => {
+    expect(feedUrls({ token: 'abc123' }, 'https://api.test')).toEqual({
+      url: 'https://api.test/api/calendar-feeds/abc123.ics',
+      webcal_url: 'webcal://api.test/api/calendar-feeds/abc123.ics',
+    });
+  });
+});
+
+describe('getOrCreateFeed', () => {
+  it('reuses the live feed for the scope', async () => {
+    const existing = feedRow();
+    CalendarFeed.findOne.mockResolvedValue(existing);
+
+    expect(await getOrCreateFeed('auth0|sam')).toEqual({ feed: existing, created: false });
+    expect(CalendarFeed.create).not.toHaveBeenCalled();
+  });
+
+  it('creates a feed with a fresh 64-character token', async () => {
+    CalendarFeed.findOne.mockResolvedValue(null);
+    CalendarFeed.create.mockImplementation(async (row) => row);
+
+    const { feed, created } = await getOrCreateFeed('auth0|sam', 'g1');
+
+    expect(created).toBe(true);
+    expect(feed).toMatchObject({ user_id: 'auth0|sam', group_id: 'g1' });
+    expect(feed.token).toMatch(/^[a-f0-9]{64}$/);
+  });
+});
+
+describe('revokeFeed', () => {
+  it('only revokes the requester\'s live feed', async () => {
+    CalendarFeed.update.mockResolvedValue([0]);
+
+    expect(await revokeFeed('auth0|other', 'f1')).toBe(false);
+    expect(CalendarFeed.update.mock.calls[0][1].where).toEqual({ id: 'f1', user_id: 'auth0|other', revoked_at: null });
+  });
+});
+
+describe('renderFeed', () => {
+  it('returns null for unknown and revoked tokens', async () => {
+    CalendarFeed.findOne.mockResolvedValueOnce(null);
+    expect(await renderFeed('nope', { now })).toBeNull();
+
+    CalendarFeed.findOne.mockResolvedValueOnce(feedRow({ revoked_at: new Date() }));
+    expect(await renderFeed('abc123', { now })).toBeNull();
+    expect(Event.findAll).not.toHaveBeenCalled();
+  });
+
+  it('serves the user\'s RSVPed events with SEQUENCE and cancellations', async () => {
+    const feed = feedRow();
+    CalendarFeed.findOne.mockResolvedValue(feed);
+    UserGroup.findAll.mockResolvedValue([{ group_id: 'g1' }, { group_id: 'g2' }]);
+    Event.findAll.mockResolvedValue([
+      event({ updatedAt: new Date('2026-10-02T10:00:00Z') }),
+      event({ id: 'e2', status: 'cancelled' }),
+    ]);
+
+    const ics = await renderFeed('abc123', { now });
+
+    const query = Event.findAll.mock.calls[0][0];
+    const rsvpInclude = query.include.find(i => i.model === EventRsvp);
+    expect(rsvpInclude.required).toBe(true);
+    expect(rsvpInclude.where.user_id).toBe('auth0|sam');
+    expect(ics).toContain('X-WR-CALNAME:My game nights');
+    expect(ics).toContain('UID:event-e1@nextgamenight.app');
+    expect(ics).toContain('SEQUENCE:86400');
+    expect(ics).toContain('STATUS:CANCELLED');
+    expect(feed.update).toHaveBeenCalledWith({ last_fetched_at: now });
+  });
+
+  it('serves nothing from a group feed once the user leaves the group', async () => {
+    CalendarFeed.findOne.mockResolvedValue(feedRow({ group_id: 'g1', Group: { id: 'g1', name: 'Saturday Crew' } }));
+    UserGroup.findAll.mockResolvedValue([{ group_id: 'g2' }]);
+
+    const ics = await renderFeed('abc123', { now });
+
+    expect(Event.findAll).not.toHaveBeenCalled();
+    expect(ics).toContain('X-WR-CALNAME:Saturday Crew game nights');
+    expect(ics).not.toContain('BEGIN:VEVENT');
+  });
+
+  it('serves every event of the group for a group feed', async () => {
+    CalendarFeed.findOne.mockResolvedValue(feedRow({ group_id: 'g1', Group: { id: 'g1', name: 'Saturday Crew' } }));
+    UserGroup.findAll.mockResolvedValue([{ group_id: 'g1' }]);
+    Event.findAll.mockResolvedValue([event()]);
+
+    await renderFeed('abc123', { now });
+
+    const query = Event.findAll.mock.calls[0][0];
+    expect(query.where.group_id).toBe('g1');
+    expect(query.include.find(i => i.model === EventRsvp)).toBeUndefined();
+  });
+});
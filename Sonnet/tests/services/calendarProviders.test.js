@@ -0,0 +1,249 @@
+// tests/services/calendarProviders.test.js
+// Picking a member's calendar provider and routing holds, busy times and
+// event sync to it. Google is mocked; Outlook runs against the local mock
+// Graph server (tests/helpers/mockGraphServer.js).
+
+jest.mock('../../models', () => ({
+  User: { update: jest.fn().mockResolvedValue([1]) },
+}));
+
+jest.mock('../../services/googleCalendarService', () => ({
+  getBusyTimesForDateRange: jest.fn(),
+  createTentativeHold: jest.fn(),
+  deleteTentativeHold: jest.fn(),
+  createCalendarEventsForGroup: jest.fn(),
+  updateCalendarEventForUser: jest.fn(),
+  deleteCalendarEventForUser: jest.fn(),
+}));
+
+const { Op } = require('sequelize');
+const googleCalendarService = require('../../services/googleCalendarService');
+const { createMockGraphServer } = require('../helpers/mockGraphServer');
+const calendarProviders = require('../../services/calendarProviders');
+
+let graph;
+
+beforeAll(async () => {
+  graph = await createMockGraphServer().start();
+  process.env.MICROSOFT_GRAPH_URL = `${graph.url}/v1.0`;
+  process.env.MICROSOFT_LOGIN_URL = graph.url;
+  process.env.MICROSOFT_CLIENT_ID = 'client-id';
+  process.env.MICROSOFT_CLIENT_SECRET = 'client-secret';
+});
+
+afterAll(async () => {
+  await graph.stop();
+  delete process.env.MICROSOFT_GRAPH_URL;
+  delete process.env.MICROSOFT_LOGIN_URL;
+  delete process.env.MICROSOFT_CLIENT_ID;
+  delete process.env.MICROSOFT_CLIENT_SECRET;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  graph.state.events.clear();
+  graph.state.requests.length = 0;
+  graph.state.validTokens = new Set(['graph-access']);
+});
+
+const user = (fields) => {
+  const u = { id: 'uuid-sam', email: 'sam@example.com', ...fields };
+  u.update = jest.fn(async (values) => Object.assign(u, values));
+  return u;
+};
+const googleUser = () => user({
+  google_calendar_enabled: true,
+  google_calendar_token: 'g-access',
+  google_calendar_refresh_token: 'g-refresh',
+});
+const outlookUser = (token = 'graph-access') => user({
+  microsoft_calendar_enabled: true,
+  microsoft_calendar_token: token,
+  microsoft_calendar_refresh_token: 'graph-refresh',
+});
+
+const holdData = {
+  groupName: 'Tuesday Crew',
+  gameName: 'Brass',
+  startDateTime: '2026-10-24T18:00:00',
+  endDateTime: '2026-10-24T21:00:00',
+  timezone: 'UTC',
+};
+
+describe('choosing a provider', () => {
+  it('needs the enabled flag and a token', () => {
+    expect(calendarProviders.getCalendarProvider(googleUser()).name).toBe('google');
+    expect(calendarProviders.getCalendarProvider(outlookUser()).name).toBe('microsoft');
+    expect(calendarProviders.getCalendarProvider(user({ microsoft_calendar_enabled: true }))).toBeNull();
+    expect(calendarProviders.getCalendarProvider(user({ google_calendar_token: 'stale' }))).toBeNull();
+    expect(calendarProviders.isCalendarConnected(null)).toBe(false);
+  });
+
+  it('prefers Google when a member connected both', () => {
+    const both = user({ ...googleUser(), ...outlookUser() });
+    expect(calendarProviders.getCalendarProvider(both).name).toBe('google');
+  });
+
+  it('treats a missing provider name as Google and rejects unknown ones', () => {
+    expect(calendarProviders.getProvider(null).name).toBe('google');
+    expect(() => calendarProviders.getProvider('caldav')).toThrow('Unknown calendar provider: caldav');
+  });
+
+  it('matches users with either calendar connected', () => {
+    expect(calendarProviders.connectedUserWhere()[Op.or]).toEqual([
+      { google_calendar_enabled: true, google_calendar_token: { [Op.ne]: null } },
+      { microsoft_calendar_enabled: true, microsoft_calendar_token: { [Op.ne]: null } },
+    ]);
+  });
+});
+
+describe('busy times', () => {
+  it('reads the connected provider', async () => {
+    graph.addEvent({ start: { dateTime: '2026-10-24T18:00:00' }, end: { dateTime: '2026-10-24T18:30:00' } });
+
+    const slots = await calendarProviders.getBusyTimes(
+      outlookUser(),
+      new Date('2026-10-24T00:00:00Z'),
+      new Date('2026-10-25T00:00:00Z')
+    );
+
+    expect(slots).toEqual([{ date: '2026-10-24', startTime: '18:00', endTime: '18:30' }]);
+    expect(googleCalendarService.getBusyTimesForDateRange).not.toHaveBeenCalled();
+  });
+
+  it('saves Outlook tokens refreshed while reading busy times', async () => {
+    graph.addEvent({ start: { dateTime: '2026-10-24T18:00:00' }, end: { dateTime: '2026-10-24T18:30:00' } });
+    const member = outlookUser('expired');
+
+    const slots = await calendarProviders.getBusyTimes(
+      member,
+      new Date('2026-10-24T00:00:00Z'),
+      new Date('2026-10-25T00:00:00Z')
+    );
+
+    expect(slots).toHaveLength(1);
+    expect(member.update).toHaveBeenCalledWith({
+      microsoft_calendar_token: 'graph-access-2',
+      microsoft_calendar_refresh_token: 'graph-refresh-rotated',
+    });
+  });
+
+  it('passes Google slots through', async () => {
+    googleCalendarService.getBusyTimesForDateRange.mockResolvedValueOnce([{ date: '2026-10-24', startTime: '09:00', endTime: '09:30' }]);
+    const member = googleUser();
+
+    expect(await calendarProviders.getBusyTimes(member, '2026-10-24', '2026-10-25'))
+      .toEqual([{ date: '2026-10-24', startTime: '09:00', endTime: '09:30' }]);
+    expect(member.update).not.toHaveBeenCalled();
+  });
+
+  it('is empty without a connected calendar', async () => {
+    expect(await calendarProviders.getBusyTimes(user({}), '2026-10-24', '2026-10-25')).toEqual([]);
+  });
+});
+
+describe('tentative holds', () => {
+  it('stores Google holds as bare ids, the original format', async () => {
+    googleCalendarService.createTentativeHold.mockResolvedValue({ id: 'gcal-hold-1' });
+
+    const hold = await calendarProviders.createTentativeHold(googleUser(), holdData);
+
+    expect(hold).toBe('gcal-hold-1');
+    expect(googleCalendarService.createTentativeHold).toHaveBeenCalledWith(holdData, 'g-access', 'g-refresh');
+  });
+
+  it('stores Outlook holds with their provider and saves refreshed tokens', async () => {
+    const member = outlookUser('expired');
+
+    const hold = await calendarProviders.createTentativeHold(member, holdData);
+
+    expect(hold).toEqual({ provider: 'microsoft', id: expect.stringMatching(/^graph-evt-/) });
+    expect(graph.state.events.get(hold.id).showAs).toBe('tentative');
+    expect(member.update).toHaveBeenCalledWith({
+      microsoft_calendar_token: 'graph-access-2',
+      microsoft_calendar_refresh_token: 'graph-refresh-rotated',
+    });
+  });
+
+  it('throws without a connected calendar', async () => {
+    await expect(calendarProviders.createTentativeHold(user({}), holdData)).rejects.toThrow('No calendar connected');
+  });
+
+  it('deletes each hold with the provider that created it', async () => {
+    googleCalendarService.deleteTentativeHold.mockResolvedValue(true);
+    const id = graph.addEvent({ start: { dateTime: '2026-10-24T18:00:00' }, end: { dateTime: '2026-10-24T21:00:00' } });
+    const both = user({ ...googleUser(), ...outlookUser() });
+
+    expect(await calendarProviders.deleteTentativeHold(both, 'gcal-hold-1')).toBe(true);
+    expect(await calendarProviders.deleteTentativeHold(both, { provider: 'microsoft', id })).toBe(true);
+
+    expect(googleCalendarService.deleteTentativeHold).toHaveBeenCalledTimes(1);
+    expect(googleCalendarService.deleteTentativeHold).toHaveBeenCalledWith('gcal-hold-1', 'g-access', 'g-refresh');
+    expect(graph.state.events.has(id)).toBe(false);
+  });
+
+  it('skips holds whose provider the member has since disconnected', async () => {
+    expect(await calendarProviders.deleteTentativeHold(outlookUser(), 'gcal-hold-1')).toBeNull();
+    expect(googleCalendarService.deleteTentativeHold).not.toHaveBeenCalled();
+  });
+});
+
+describe('events', () => {
+  const eventData = {
+    start_date: '2026-10-24T18:00:00Z',
+    duration_minutes: 120,
+    game_name: 'Brass',
+    player_count: 2,
+  };
+
+  it('creates each member\'s entry through their own provider in a mixed group', async () => {
+    googleCalendarService.createCalendarEventsForGroup.mockResolvedValue([
+      { member_id: 'uuid-alex', gcal_event_id: 'gcal-evt-1', connected_member_ids: ['uuid-alex'] },
+    ]);
+    const alex = { ...googleUser(), id: 'uuid-alex', email: 'alex@example.com' };
+    const kim = user({ id: 'uuid-kim', email: 'kim@example.com' });
+    const jo = { ...outlookUser(), id: 'uuid-jo', email: 'jo@example.com' };
+
+    const results = await calendarProviders.createEventForParticipants(eventData, [alex, outlookUser(), kim, jo]);
+
+    expect(results).toEqual([
+      { provider: 'google', calendarEventId: 'gcal-evt-1', memberIds: ['uuid-alex'] },
+      { provider: 'microsoft', calendarEventId: expect.any(String), memberIds: ['uuid-sam'] },
+      { provider: 'microsoft', calendarEventId: expect.any(String), memberIds: ['uuid-jo'] },
+    ]);
+    // Members without a calendar are invited by the Google event only
+    expect(googleCalendarService.createCalendarEventsForGroup).toHaveBeenCalledWith(eventData, [alex, kim]);
+    const outlookEntries = [results[1], results[2]].map(r => graph.state.events.get(r.calendarEventId));
+    expect(outlookEntries.map(e => e.attendees)).toEqual([[], []]);
+  });
+
+  it('invites members without a calendar from the first Outlook entry when nobody connected Google', async () => {
+    const results = await calendarProviders.createEventForParticipants(
+      eventData,
+      [user({ id: 'uuid-alex', email: 'alex@example.com' }), outlookUser(), { ...outlookUser(), id: 'uuid-jo', email: 'jo@example.com' }]
+    );
+
+    expect(results.map(r => r.memberIds)).toEqual([['uuid-sam'], ['uuid-jo']]);
+    expect(graph.state.events.get(results[0].calendarEventId).attendees).toEqual([
+      { emailAddress: { address: 'alex@example.com' }, type: 'required' },
+    ]);
+    expect(graph.state.events.get(results[1].calendarEventId).attendees).toEqual([]);
+    expect(googleCalendarService.createCalendarEventsForGroup).not.toHaveBeenCalled();
+  });
+
+  it('returns nothing when no participant has a calendar', async () => {
+    expect(await calendarProviders.createEventForParticipants(eventData, [user({})])).toEqual([]);
+  });
+
+  it('routes update and cleanup by the stored provider, Google for legacy rows', async () => {
+    googleCalendarService.deleteCalendarEventForUser.mockResolvedValue({ deleted: true, _new_access_token: 'g-access-2' });
+    const id = graph.addEvent({ start: { dateTime: '2026-10-23T18:00:00' }, end: { dateTime: '2026-10-23T19:00:00' } });
+    const both = user({ ...googleUser(), ...outlookUser() });
+
+    expect(await calendarProviders.deleteEventForUser(both, null, 'gcal-evt-1')).toEqual({ deleted: true });
+    expect(both.update).toHaveBeenCalledWith({ google_calendar_token: 'g-access-2' });
+
+    expect(await calendarProviders.updateEventForUser(both, 'microsoft', id, eventData)).toEqual({ updated: true });
+    expect(graph.state.events.get(id).subject).toBe('Board Game: Brass');
+  });
+});
@@ -0,0 +1,95 @@
+// tests/services/eventCreationService.hostRotation.test.js
+// convertSuggestionToEvent returns the suggested next host (least recently
+// hosted among the available participants) and stores an explicit host.
+//
+// Models, email and tentative-hold services are mocked -- no DB.
+
+const mockTransaction = { commit: jest.fn(), rollback: jest.fn(), LOCK: { UPDATE: 'UPDATE' } };
+const mockSuggestionFindByPk = jest.fn();
+const mockEventCreate = jest.fn();
+const mockUserFindAll = jest.fn();
+const mockSuggestHost = jest.fn();
+const mockValidateHost = jest.fn();
+
+jest.mock('../../models', () => ({
+  AvailabilitySuggestion: { findByPk: (...args) => mockSuggestionFindByPk(...args) },
+  AvailabilityPrompt: {},
+  Event: { create: (...args) => mockEventCreate(...args) },
+  EventParticipation: { bulkCreate: jest.fn().mockResolvedValue([]) },
+  User: { findAll: (...args) => mockUserFindAll(...args) },
+  Group: {},
+  Game: {},
+  sequelize: { transaction: jest.fn(async () => mockTransaction) },
+}));
+
+jest.mock('../../services/emailService', () => ({ isConfigured: jest.fn(() => false) }));
+jest.mock('../../services/tentativeHoldService', () => ({
+  cleanupHoldsOnEventCreation: jest.fn().mockResolvedValue(undefined),
+}));
+jest.mock('../../services/hostRotationService', () => ({
+  suggestHost: (...args) => mockSuggestHost(...args),
+  validateHost: (...args) => mockValidateHost(...args),
+}));
+
+const { convertSuggestionToEvent } = require('../../services/eventCreationService');
+
+const users = [
+  { id: 'u-ann', user_id: 'auth0|ann', username: 'ann' },
+  { id: 'u-bob', user_id: 'auth0|bob', username: 'bob' },
+];
+
+function buildSuggestion() {
+  return {
+    id: 'suggestion-1',
+    converted_to_event_id: null,
+    suggested_start: '2026-11-07T00:00:00.000Z',
+    suggested_end: '2026-11-07T03:00:00.000Z',
+    participant_user_ids: ['auth0|ann', 'auth0|bob'],
+    update: jest.fn().mockResolvedValue(true),
+    AvailabilityPrompt: {
+      id: 'prompt-1',
+      group_id: 'group-uuid',
+      game_id: null,
+      status: 'active',
+      update: jest.fn().mockResolvedValue(true),
+      Group: { id: 'group-uuid', name: 'Crew' },
+      Game: null,
+    },
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockSuggestionFindByPk.mockResolvedValue(buildSuggestion());
+  mockUserFindAll.mockResolvedValue(users);
+  mockEventCreate.mockImplementation(async (data) => ({ id: 'event-1', ...data }));
+  mockSuggestHost.mockResolvedValue({ id: 'u-bob', username: 'bob', hosted_count: 0, last_hosted_at: null });
+});
+
+it('returns the suggested host chosen from the available participants', async () => {
+  const result = await convertSuggestionToEvent('suggestion-1', 'auth0|admin', { sendEmails: false });
+
+  expect(result.success).toBe(true);
+  expect(result.event.suggested_host).toMatchObject({ id: 'u-bob' });
+  expect(result.event.host_user_id).toBeNull();
+  expect(mockSuggestHost).toHaveBeenCalledWith('group-uuid', users, expect.objectContaining({ excludeEventId: 'event-1' }));
+});
+
+it('stores an explicit host after validating membership', async () => {
+  mockValidateHost.mockResolvedValue(null);
+
+  const result = await convertSuggestionToEvent('suggestion-1', 'auth0|admin', { sendEmails: false, hostUserId: 'u-ann' });
+
+  expect(mockEventCreate).toHaveBeenCalledWith(expect.objectContaining({ host_user_id: 'u-ann' }), expect.any(Object));
+  expect(result.event.host_user_id).toBe('u-ann');
+});
+
+it('rejects a host who is not in the group', async () => {
+  mockValidateHost.mockResolvedValue('Host must be a member of this group');
+
+  const result = await convertSuggestionToEvent('suggestion-1', 'auth0|admin', { hostUserId: 'u-out' });
+
+  expect(result).toEqual({ success: false, message: 'Host must be a member of this group' });
+  expect(mockTransaction.rollback).toHaveBeenCalled();
+  expect(mockEventCreate).not.toHaveBeenCalled();
+});
@@ -0,0 +1,107 @@
+// tests/services/eventNotificationService.test.js
+// Cancellation / date-change notices: recipient selection (yes + maybe,
+// placeholder emails skipped, SMS-only members kept) and the payload handed
+// to notificationService.
+//
+// Models + notificationService are mocked -- no DB, no email/SMS clients.
+
+const mockRsvpFindAll = jest.fn();
+const mockGameFindByPk = jest.fn();
+const mockGroupFindByPk = jest.fn();
+const mockSendToMany = jest.fn();
+
+jest.mock('../../models', () => ({
+  EventRsvp: { findAll: (...args) => mockRsvpFindAll(...args) },
+  Game: { findByPk: (...args) => mockGameFindByPk(...args) },
+  Group: { findByPk: (...args) => mockGroupFindByPk(...args) },
+  User: {},
+}));
+
+jest.mock('../../services/notificationService', () => ({
+  sendToMany: (...args) => mockSendToMany(...args),
+}));
+
+jest.mock('../../routes/rsvp', () => ({
+  generateRsvpUrl: (base, eventId, userId, status) => `${base}/rsvp/${eventId}/${userId}/${status}`,
+}));
+
+const {
+  loadRsvpRecipients,
+  notifyEventCancelled,
+  notifyEventDateChanged,
+} = require('../../services/eventNotificationService');
+
+const event = {
+  id: 'event-1',
+  group_id: 'group-1',
+  game_id: 'game-1',
+  start_date: new Date('2026-11-05T19:00:00Z'),
+  duration_minutes: 120,
+};
+
+const rsvpFor = (values) => ({ User: { ...values, dataValues: values } });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockGameFindByPk.mockResolvedValue({ name: 'Catan' });
+  mockGroupFindByPk.mockResolvedValue({ id: 'group-1', name: 'Thursday Crew' });
+  mockSendToMany.mockResolvedValue([]);
+});
+
+describe('loadRsvpRecipients', () => {
+  it('keeps real emails and SMS-only members, drops placeholder addresses', async () => {
+    mockRsvpFindAll.mockResolvedValue([
+      rsvpFor({ user_id: 'auth0|ann', email: 'ann@example.com' }),
+      rsvpFor({ user_id: 'auth0|bob', email: 'bob@auth0.local', sms_enabled: true, phone: '+15550100' }),
+      rsvpFor({ user_id: 'auth0|cat', email: 'cat@auth0.local' }),
+      { User: null },
+    ]);
+
+    const recipients = await loadRsvpRecipients('event-1');
+
+    expect(recipients.map(r => r.user_id)).toEqual(['auth0|ann', 'auth0|bob']);
+    expect(recipients[0]._emailEligible).toBe(true);
+    expect(recipients[1]).toMatchObject({ _smsEligible: true });
+    expect(recipients[1]._emailEligible).toBeUndefined();
+    expect(mockRsvpFindAll.mock.calls[0][0].where.event_id).toBe('event-1');
+  });
+});
+
+describe('notifyEventCancelled', () => {
+  it('sends event_cancelled with a cancellation email per eligible recipient', async () => {
+    mockRsvpFindAll.mockResolvedValue([rsvpFor({ user_id: 'auth0|ann', username: 'ann', email: 'ann@example.com' })]);
+
+    expect(await notifyEventCancelled(event)).toBe(1);
+
+    const [recipients, type, buildPayload] = mockSendToMany.mock.calls[0];
+    expect(type).toBe('event_cancelled');
+    const payload = buildPayload(recipients[0]);
+    expect(payload.eventId).toBe('event-1');
+    expect(payload.emailParams).toMatchObject({ to: 'ann@example.com', subject: 'Cancelled: Catan - Thursday Crew' });
+    expect(payload.data.rsvpPrompt).toBe(false);
+  });
+
+  it('sends nothing without yes/maybe RSVPs and never throws', async () => {
+    mockRsvpFindAll.mockResolvedValueOnce([]);
+    expect(await notifyEventCancelled(event)).toBe(0);
+
+    mockRsvpFindAll.mockRejectedValueOnce(new Error('db down'));
+    expect(await notifyEventCancelled(event)).toBe(0);
+    expect(mockSendToMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('notifyEventDateChanged', () => {
+  it('sends event_updated with the new date and RSVP links', async () => {
+    mockRsvpFindAll.mockResolvedValue([rsvpFor({ user_id: 'auth0|ann', username: 'ann', email: 'ann@example.com' })]);
+
+    expect(await notifyEventDateChanged(event, { newStartDate: '2026-11-06T19:00:00Z' })).toBe(1);
+
+    const [recipients, type, buildPayload] = mockSendToMany.mock.calls[0];
+    expect(type).toBe('event_updated');
+    const payload = buildPayload(recipients[0]);
+    expect(payload.emailParams.subject).toBe('Date Changed: Catan - Thursday Crew');
+    expect(payload.emailParams.html).toContain('/rsvp/event-1/auth0|ann/yes');
+    expect(payload.data.eventUrl).toContain('event_id=event-1');
+  });
+});
@@ -0,0 +1,340 @@
+// tests/services/eventSeriesService.test.js
+// Recurring event series: rule expansion (weekly / biweekly / monthly-by-
+// weekday, exceptions, until, DST), RRULE rendering, the idempotent
+// occurrence generator, and attendee notices from series-level changes.
+//
+// Models are mocked -- no DB. The expansion helpers are pure.
+
+const { Op } = require('sequelize');
+
+const mockEventFindAll = jest.fn();
+const mockEventBulkCreate = jest.fn();
+const mockEventCount = jest.fn();
+const mockEventFindOne = jest.fn();
+const mockAuditCreate = jest.fn();
+const mockRsvpDestroy = jest.fn();
+const mockParticipationDestroy = jest.fn();
+const mockSeriesFindByPk = jest.fn();
+const mockSeriesCreate = jest.fn();
+
+jest.mock('../../models', () => ({
+  Event: {
+    findAll: (...args) => mockEventFindAll(...args),
+    findOne: (...args) => mockEventFindOne(...args),
+    bulkCreate: (...args) => mockEventBulkCreate(...args),
+    count: (...args) => mockEventCount(...args),
+  },
+  EventSeries: {
+    findByPk: (...args) => mockSeriesFindByPk(...args),
+    create: (...args) => mockSeriesCreate(...args),
+  },
+  EventRsvp: { destroy: (...args) => mockRsvpDestroy(...args) },
+  EventParticipation: { destroy: (...args) => mockParticipationDestroy(...args) },
+  EventAuditLog: { create: (...args) => mockAuditCreate(...args) },
+  sequelize: { transaction: async (fn) => fn({}) },
+}));
+
+const mockEnqueueCleanupJobsForEvent = jest.fn();
+const mockEnqueueUpdateJobsForEvent = jest.fn();
+jest.mock('../../services/gcalCleanupService', () => ({
+  enqueueCleanupJobsForEvent: (...args) => mockEnqueueCleanupJobsForEvent(...args),
+  enqueueUpdateJobsForEvent: (...args) => mockEnqueueUpdateJobsForEvent(...args),
+}));
+
+const mockNotifyEventCancelled = jest.fn();
+const mockNotifyEventDateChanged = jest.fn();
+jest.mock('../../services/eventNotificationService', () => ({
+  notifyEventCancelled: (...args) => mockNotifyEventCancelled(...args),
+  notifyEventDateChanged: (...args) => mockNotifyEventDateChanged(...args),
+}));
+
+const {
+  expandOccurrences,
+  toRrule,
+  nthWeekdayOfMonth,
+  weekOfMonthFor,
+  generateOccurrences,
+  recordException,
+  skipOccurrence,
+  cancelSeries,
+  applyToFutureOccurrences,
+} = require('../../services/eventSeriesService');
+
+function buildSeries(overrides = {}) {
+  const series = {
+    id: 'series-1',
+    group_id: 'group-1',
+    game_id: null,
+    frequency: 'weekly',
+    by_weekday: 4, // Thursday
+    week_of_month: null,
+    start_time: '19:00',
+    timezone: 'UTC',
+    starts_on: '2026-10-01', // a Thursday
+    until: null,
+    exceptions: [],
+    duration_minutes: 180,
+    comments: null,
+    horizon_days: 28,
+    status: 'active',
+    ...overrides,
+  };
+  series.update = jest.fn(async (values) => Object.assign(series, values));
+  return series;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('expandOccurrences', () => {
+  it('weekly: every Thursday inside the window', () => {
+    const dates = expandOccurrences(buildSeries(), { from: '2026-10-01', to: '2026-10-31' })
+      .map(o => o.occurrenceDate);
+    expect(dates).toEqual(['2026-10-01', '2026-10-08', '2026-10-15', '2026-10-22', '2026-10-29']);
+  });
+
+  it('biweekly: parity is anchored on starts_on, not on the window start', () => {
+    const series = buildSeries({ frequency: 'biweekly' });
+    const dates = expandOccurrences(series, { from: '2026-10-09', to: '2026-11-30' })
+      .map(o => o.occurrenceDate);
+    expect(dates).toEqual(['2026-10-15', '2026-10-29', '2026-11-12', '2026-11-26']);
+  });
+
+  it('weekly: first occurrence is the first matching weekday on/after starts_on', () => {
+    const series = buildSeries({ starts_on: '2026-10-03' }); // Saturday
+    const dates = expandOccurrences(series, { from: '2026-10-01', to: '2026-10-16' })
+      .map(o => o.occurrenceDate);
+    expect(dates).toEqual(['2026-10-08', '2026-10-15']);
+  });
+
+  it('monthly: 2nd Thursday of each month', () => {
+    const series = buildSeries({ frequency: 'monthly', week_of_month: 2 });
+    const dates = expandOccurrences(series, { from: '2026-10-01', to: '2027-01-31' })
+      .map(o => o.occurrenceDate);
+    expect(dates).toEqual(['2026-10-08', '2026-11-12', '2026-12-10', '2027-01-14']);
+  });
+
+  it('monthly: last Friday of each month', () => {
+    const series = buildSeries({ frequency: 'monthly', by_weekday: 5, week_of_month: -1 });
+    const dates = expandOccurrences(series, { from: '2026-10-01', to: '2026-12-31' })
+      .map(o => o.occurrenceDate);
+    expect(dates).toEqual(['2026-10-30', '2026-11-27', '2026-12-25']);
+  });
+
+  it('skips exception dates and stops at until', () => {
+    const series = buildSeries({ exceptions: ['2026-10-15'], until: '2026-10-22' });
+    const dates = expandOccurrences(series, { from: '2026-10-01', to: '2026-12-31' })
+      .map(o => o.occurrenceDate);
+    expect(dates).toEqual(['2026-10-01', '2026-10-08', '2026-10-22']);
+  });
+
+  it('keeps local wall-clock time across a DST transition', () => {
+    // America/New_York leaves DST on 2026-11-01.
+    const series = buildSeries({ timezone: 'America/New_York' });
+    const [before, after] = expandOccurrences(series, { from: '2026-10-29', to: '2026-11-05' });
+    expect(before.startUtc.toISOString()).toBe('2026-10-29T23:00:00.000Z'); // 19:00 EDT
+    expect(after.startUtc.toISOString()).toBe('2026-11-06T00:00:00.000Z'); // 19:00 EST
+  });
+});
+
+describe('nthWeekdayOfMonth / weekOfMonthFor', () => {
+  it('returns null when a 5th weekday does not exist', () => {
+    expect(nthWeekdayOfMonth(2026, 1, 4, 5)).toBeNull(); // no 5th Thursday in Feb 2026
+  });
+
+  it('maps a date to its nth-weekday slot', () => {
+    expect(weekOfMonthFor('2026-10-08', null)).toBe(2);
+    expect(weekOfMonthFor('2026-10-29', null)).toBe(-1); // 5th Thursday -> "last"
+    expect(weekOfMonthFor('2026-10-22', -1)).toBe(4); // not the last Thursday
+    expect(weekOfMonthFor('2026-11-26', -1)).toBe(-1); // 4th and last, series was "last"
+    expect(weekOfMonthFor('2026-11-26', 4)).toBe(4);
+  });
+});
+
+describe('toRrule', () => {
+  it('renders weekly, biweekly and monthly rules', () => {
+    expect(toRrule(buildSeries())).toBe('FREQ=WEEKLY;BYDAY=TH');
+    expect(toRrule(buildSeries({ frequency: 'biweekly' }))).toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=TH');
+    expect(toRrule(buildSeries({ frequency: 'monthly', week_of_month: -1, by_weekday: 5 })))
+      .toBe('FREQ=MONTHLY;BYDAY=-1FR');
+  });
+
+  it('renders UNTIL as a UTC date-time', () => {
+    expect(toRrule(buildSeries({ until: '2026-12-31' }))).toBe('FREQ=WEEKLY;BYDAY=TH;UNTIL=20261231T235900Z');
+  });
+});
+
+describe('generateOccurrences', () => {
+  const now = new Date('2026-10-02T12:00:00Z'); // Friday
+
+  it('creates only the missing future slots and records generated_through', async () => {
+    const series = buildSeries();
+    mockEventFindAll.mockResolvedValue([{ series_occurrence_date: '2026-10-08' }]);
+    mockEventBulkCreate.mockImplementation(async (rows) => rows.map((r, i) => ({ id: `evt-${i}`, ...r })));
+    mockEventCount.mockResolvedValue(3);
+
+    const result = await generateOccurrences(series, { now });
+
+    expect(result).toEqual({ created: 3, skipped: 1 });
+    const [rows, options] = mockEventBulkCreate.mock.calls[0];
+    expect(rows.map(r => r.series_occurrence_date)).toEqual(['2026-10-15', '2026-10-22', '2026-10-29']);
+    expect(rows[0]).toMatchObject({ group_id: 'group-1', status: 'scheduled', series_id: 'series-1', duration_minutes: 180 });
+    expect(options).toMatchObject({ ignoreDuplicates: true });
+    expect(series.update).toHaveBeenCalledWith({ generated_through: '2026-10-30' }, expect.anything());
+  });
+
+  it('counts only the rows actually inserted when a concurrent run got there first', async () => {
+    const series = buildSeries();
+    mockEventFindAll.mockResolvedValue([{ series_occurrence_date: '2026-10-08' }]);
+    mockEventBulkCreate.mockImplementation(async (rows) => rows.map((r, i) => ({ id: `evt-${i}`, ...r })));
+    // The other run inserted two of the three missing slots; ours were skipped
+    mockEventCount.mockResolvedValue(1);
+
+    const result = await generateOccurrences(series, { now });
+
+    expect(result).toEqual({ created: 1, skipped: 3 });
+    expect(mockEventCount.mock.calls[0][0].where.id[Op.in]).toEqual(['evt-0', 'evt-1', 'evt-2']);
+  });
+
+  it('does nothing for a cancelled series', async () => {
+    const series = buildSeries({ status: 'cancelled' });
+    const result = await generateOccurrences(series, { now });
+    expect(result).toEqual({ created: 0, skipped: 0 });
+    expect(mockEventFindAll).not.toHaveBeenCalled();
+  });
+});
+
+describe('exceptions', () => {
+  it('recordException appends once and keeps the list sorted', async () => {
+    const series = buildSeries({ exceptions: ['2026-10-22'] });
+    await recordException(series, '2026-10-15');
+    await recordException(series, '2026-10-15');
+    expect(series.update).toHaveBeenCalledTimes(1);
+    expect(series.exceptions).toEqual(['2026-10-15', '2026-10-22']);
+  });
+
+  it('skipOccurrence tears down a generated future slot through the audit + GCal cleanup path', async () => {
+    const series = buildSeries();
+    const occurrence = {
+      id: 'event-1',
+      group_id: 'group-1',
+      start_date: new Date('2026-10-15T19:00:00Z'),
+      series_id: 'series-1',
+      series_occurrence_date: '2026-10-15',
+      destroy: jest.fn(),
+    };
+    mockEventFindOne.mockResolvedValue(occurrence);
+
+    const result = await skipOccurrence(series, '2026-10-15', {
+      actorUserId: 'auth0|owner',
+      now: new Date('2026-10-02T12:00:00Z'),
+    });
+
+    expect(result).toEqual({ removed: true });
+    expect(mockAuditCreate).toHaveBeenCalledWith(expect.objectContaining({
+      event_id: 'event-1',
+      action: 'skip_occurrence',
+      actor_user_id: 'auth0|owner',
+      suppressed_email: false,
+    }));
+    // Attendees hear about it before their RSVPs are destroyed.
+    expect(mockNotifyEventCancelled).toHaveBeenCalledWith(occurrence);
+    expect(mockNotifyEventCancelled.mock.invocationCallOrder[0])
+      .toBeLessThan(mockRsvpDestroy.mock.invocationCallOrder[0]);
+    expect(mockEnqueueCleanupJobsForEvent).toHaveBeenCalledWith({ eventId: 'event-1' });
+    // GCal cleanup must be enqueued before participations are destroyed.
+    expect(mockEnqueueCleanupJobsForEvent.mock.invocationCallOrder[0])
+      .toBeLessThan(mockParticipationDestroy.mock.invocationCallOrder[0]);
+    expect(occurrence.destroy).toHaveBeenCalled();
+  });
+});
+
+describe('series-level notices and calendar updates', () => {
+  const now = new Date('2026-10-02T12:00:00Z');
+  const buildOccurrence = (date, overrides = {}) => {
+    const occurrence = {
+      id: `event-${date}`,
+      group_id: 'group-1',
+      start_date: new Date(`${date}T19:00:00Z`),
+      duration_minutes: 180,
+      series_id: 'series-1',
+      series_occurrence_date: date,
+      destroy: jest.fn(),
+      ...overrides,
+    };
+    occurrence.update = jest.fn(async (values) => Object.assign(occurrence, values));
+    return occurrence;
+  };
+
+  it('cancelSeries sends a cancellation notice for every upcoming occurrence', async () => {
+    const series = buildSeries();
+    const upcoming = [buildOccurrence('2026-10-08'), buildOccurrence('2026-10-15')];
+    mockEventFindAll.mockResolvedValue(upcoming);
+
+    const result = await cancelSeries(series, { actorUserId: 'auth0|owner', now });
+
+    expect(result).toEqual({ cancelled: 2 });
+    expect(mockNotifyEventCancelled).toHaveBeenCalledTimes(2);
+    expect(mockNotifyEventCancelled).toHaveBeenCalledWith(upcoming[0]);
+    expect(mockAuditCreate).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'cancel_series',
+      suppressed_email: false,
+    }));
+  });
+
+  it('applyToFutureOccurrences sends a date-change notice for each re-timed occurrence', async () => {
+    const series = buildSeries();
+    const edited = buildOccurrence('2026-10-08', { start_date: new Date('2026-10-09T19:00:00Z') });
+    const later = [buildOccurrence('2026-10-15'), buildOccurrence('2026-10-22')];
+    mockSeriesFindByPk.mockResolvedValue(series);
+    mockSeriesCreate.mockImplementation(async (values) => buildSeries({ id: 'series-2', ...values }));
+    mockEventFindAll
+      .mockResolvedValueOnce(later)
+      .mockResolvedValue([]);
+    mockEventBulkCreate.mockResolvedValue([]);
+    mockEventCount.mockResolvedValue(0);
+
+    const result = await applyToFutureOccurrences({
+      event: edited,
+      oldStartDate: new Date('2026-10-08T19:00:00Z'),
+      changes: { start_date: '2026-10-09T19:00:00Z' },
+      actorUserId: 'auth0|owner',
+      now,
+    });
+
+    expect(result).toMatchObject({ split: true, updated: 2, removed: 0 });
+    expect(mockNotifyEventDateChanged).toHaveBeenCalledTimes(2);
+    expect(mockNotifyEventDateChanged).toHaveBeenCalledWith(later[0], {
+      newStartDate: new Date('2026-10-16T19:00:00Z'),
+      durationMinutes: 180,
+    });
+    expect(mockNotifyEventCancelled).not.toHaveBeenCalled();
+    expect(mockEnqueueUpdateJobsForEvent.mock.calls.map(([args]) => args.eventId))
+      .toEqual(['event-2026-10-15', 'event-2026-10-22']);
+  });
+
+  it('applyToFutureOccurrences enqueues calendar updates for template-only edits', async () => {
+    const series = buildSeries();
+    const edited = buildOccurrence('2026-10-08');
+    const later = [buildOccurrence('2026-10-15', { updatedAt: new Date('2026-10-02T12:00:01Z') })];
+    mockSeriesFindByPk.mockResolvedValue(series);
+    mockEventFindAll.mockResolvedValueOnce(later);
+
+    const result = await applyToFutureOccurrences({
+      event: edited,
+      oldStartDate: edited.start_date,
+      changes: { comments: 'Bring snacks' },
+      actorUserId: 'auth0|owner',
+      now,
+    });
+
+    expect(result).toMatchObject({ split: false, updated: 1 });
+    expect(later[0].comments).toBe('Bring snacks');
+    expect(mockEnqueueUpdateJobsForEvent).toHaveBeenCalledWith({
+      eventId: 'event-2026-10-15',
+      version: new Date('2026-10-02T12:00:01Z'),
+    });
+    expect(mockNotifyEventDateChanged).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,114 @@
+// tests/services/gameExpansionService.test.js
+// Base game / expansion relations: linking from BGG data on import, nesting
+// expansions under their base games in game lists, and checking the
+// expansions recorded for an event.
+//
+// Models are mocked -- no DB.
+
+jest.mock('../../models', () => ({
+  Game: { findAll: jest.fn(), update: jest.fn() },
+  GameExpansion: { findAll: jest.fn(), bulkCreate: jest.fn() },
+  EventExpansion: { destroy: jest.fn(), bulkCreate: jest.fn() },
+}));
+
+const { Game, GameExpansion, EventExpansion } = require('../../models');
+const {
+  linkFromBgg, nestExpansions, invalidExpansionIds, replaceEventExpansions,
+} = require('../../services/gameExpansionService');
+
+const makeGame = (overrides = {}) => ({
+  id: 'g-catan',
+  is_expansion: false,
+  update: jest.fn().mockResolvedValue(),
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('linkFromBgg', () => {
+  it('links a base game to the expansions we already have', async () => {
+    Game.findAll.mockResolvedValue([{ id: 'g-seafarers' }]);
+    const bggData = {
+      is_expansion: false,
+      base_games: [],
+      expansions: [{ bgg_id: 325, name: 'Catan: Seafarers' }, { bgg_id: 926, name: 'Catan: Cities & Knights' }],
+    };
+
+    expect(await linkFromBgg(makeGame(), bggData)).toBe(1);
+
+    expect(Game.findAll.mock.calls[0][0].where.bgg_id).toBeDefined();
+    expect(GameExpansion.bulkCreate).toHaveBeenCalledWith(
+      [{ base_game_id: 'g-catan', expansion_game_id: 'g-seafarers' }],
+      { ignoreDuplicates: true }
+    );
+    // The linked game is an expansion even if it was imported without the flag
+    expect(Game.update).toHaveBeenCalledWith({ is_expansion: true }, expect.anything());
+  });
+
+  it('flags an expansion and links it to its base games', async () => {
+    Game.findAll.mockResolvedValue([{ id: 'g-catan' }]);
+    const game = makeGame({ id: 'g-seafarers' });
+
+    await linkFromBgg(game, { is_expansion: true, base_games: [{ bgg_id: 13, name: 'Catan' }], expansions: [] });
+
+    expect(game.update).toHaveBeenCalledWith({ is_expansion: true });
+    expect(GameExpansion.bulkCreate.mock.calls[0][0]).toEqual([{ base_game_id: 'g-catan', expansion_game_id: 'g-seafarers' }]);
+  });
+
+  it('skips the lookup without links and never throws', async () => {
+    expect(await linkFromBgg(makeGame(), { is_expansion: false, base_games: [], expansions: [] })).toBe(0);
+    expect(Game.findAll).not.toHaveBeenCalled();
+
+    Game.findAll.mockRejectedValue(new Error('db down'));
+    expect(await linkFromBgg(makeGame(), { is_expansion: false, expansions: [{ bgg_id: 325 }] })).toBe(0);
+  });
+});
+
+describe('nestExpansions', () => {
+  const games = [
+    { id: 'g-catan', name: 'Catan' },
+    { id: 'g-seafarers', name: 'Catan: Seafarers', is_expansion: true },
+    { id: 'g-azul', name: 'Azul' },
+    { id: 'g-wingspan-eu', name: 'Wingspan: European Expansion', is_expansion: true },
+  ];
+
+  it('moves expansions under their base game and keeps the order', () => {
+    const result = nestExpansions(games, [
+      { base_game_id: 'g-catan', expansion_game_id: 'g-seafarers' },
+      { base_game_id: 'g-wingspan', expansion_game_id: 'g-wingspan-eu' },
+    ]);
+
+    expect(result.map(g => g.id)).toEqual(['g-catan', 'g-azul', 'g-wingspan-eu']);
+    expect(result[0].expansions.map(e => e.name)).toEqual(['Catan: Seafarers']);
+    expect(result[1].expansions).toEqual([]);
+    // Base game not in the list: the expansion stays at the top level
+    expect(result[2]).toMatchObject({ is_expansion: true, expansions: [] });
+  });
+});
+
+describe('event expansions', () => {
+  it('reports ids that are not expansions of the base game', async () => {
+    GameExpansion.findAll.mockResolvedValue([{ expansion_game_id: 'g-seafarers' }]);
+
+    expect(await invalidExpansionIds('g-catan', ['g-seafarers', 'g-azul', 'g-seafarers'])).toEqual(['g-azul']);
+    expect(GameExpansion.findAll.mock.calls[0][0].where.base_game_id).toBe('g-catan');
+  });
+
+  it('rejects every expansion for an event without a game', async () => {
+    expect(await invalidExpansionIds(null, ['g-seafarers'])).toEqual(['g-seafarers']);
+    expect(GameExpansion.findAll).not.toHaveBeenCalled();
+  });
+
+  it('replaces the recorded expansions', async () => {
+    await replaceEventExpansions('event-1', ['g-seafarers', 'g-seafarers']);
+
+    expect(EventExpansion.destroy).toHaveBeenCalledWith({ where: { event_id: 'event-1' }, transaction: undefined });
+    expect(EventExpansion.bulkCreate).toHaveBeenCalledWith([{ event_id: 'event-1', game_id: 'g-seafarers' }], { transaction: undefined });
+
+    EventExpansion.bulkCreate.mockClear();
+    await replaceEventExpansions('event-1', []);
+    expect(EventExpansion.bulkCreate).not.toHaveBeenCalled();
+  });
+});
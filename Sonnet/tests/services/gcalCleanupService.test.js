@@ -2,15 +2,17 @@
 // Phase 75 / Plan 03: tests for the GCal-cleanup dispatcher service AND the
 // underlying googleCalendarService.deleteCalendarEventForUser helper.
 //
-// Two suites:
+// Suites:
 //   A. deleteCalendarEventForUser  - error classification contract for the worker
 //   B. gcalCleanupService          - per-attendee enqueue, null-skip, dedupe, best-effort
+//   C. update jobs                 - updateCalendarEventForUser + enqueueUpdateJobsForEvent
 
 // ---------------------------------------------------------------------------
 // Mock googleapis BEFORE requiring services that build OAuth2 clients on
 // construction. mockEventsDelete is the function we steer per-test.
 // ---------------------------------------------------------------------------
 const mockEventsDelete = jest.fn();
+const mockEventsPatch = jest.fn();
 const mockSetCredentials = jest.fn();
 const mockRefreshAccessToken = jest.fn();
 const mockOAuth2 = jest.fn().mockImplementation(() => ({
@@ -22,7 +24,7 @@ jest.mock('googleapis', () => ({
   google: {
     auth: { OAuth2: mockOAuth2 },
     calendar: jest.fn(() => ({
-      events: { delete: mockEventsDelete },
+      events: { delete: mockEventsDelete, patch: mockEventsPatch },
     })),
   },
 }));
@@ -49,6 +51,7 @@ const googleCalendarService = require('../../services/googleCalendarService');
 const {
   enqueueCleanupJobsForEvent,
   enqueueCleanupJobForAttendee,
+  enqueueUpdateJobsForEvent,
 } = require('../../services/gcalCleanupService');
 
 // Helper: build a Google-API style error with the given http code.
@@ -324,3 +327,118 @@ describe('gcalCleanupService.enqueueCleanupJobForAttendee (Phase 75 / Plan 03 
     expect(result).toMatchObject({ enqueued: 0, errors: 1 });
   });
 });
+
+// ---------------------------------------------------------------------------
+// SUITE C: update jobs
+// ---------------------------------------------------------------------------
+describe('googleCalendarService.updateCalendarEventForUser', () => {
+  const eventData = {
+    start_date: '2026-10-24T23:00:00Z',
+    duration_minutes: 90,
+    game_name: 'Brass',
+    comments: null,
+    location: null,
+    timezone: 'America/New_York',
+    player_count: 4,
+  };
+
+  test('patches time, title, description and location silently', async () => {
+    mockEventsPatch.mockResolvedValueOnce({});
+
+    const result = await googleCalendarService.updateCalendarEventForUser('gcal-1', eventData, 'token', 'refresh');
+
+    expect(result).toEqual({ updated: true });
+    expect(mockEventsPatch).toHaveBeenCalledWith({
+      calendarId: 'primary',
+      eventId: 'gcal-1',
+      sendUpdates: 'none',
+      resource: {
+        summary: 'Board Game: Brass',
+        description: 'Game session with 4 players',
+        start: { dateTime: '2026-10-24T19:00:00', timeZone: 'America/New_York' },
+        end: { dateTime: '2026-10-24T20:30:00', timeZone: 'America/New_York' },
+        location: '',
+      },
+    });
+  });
+
+  test('404 — the attendee removed the entry; resolves alreadyGone without recreating it', async () => {
+    mockEventsPatch.mockRejectedValueOnce(gcalError(404));
+
+    const result = await googleCalendarService.updateCalendarEventForUser('gcal-1', eventData, 'token', 'refresh');
+
+    expect(result).toEqual({ updated: false, alreadyGone: true });
+  });
+
+  test('401 + refresh token — refreshes and retries once, returns _new_access_token', async () => {
+    mockEventsPatch
+      .mockRejectedValueOnce(gcalError(401))
+      .mockResolvedValueOnce({});
+    mockRefreshAccessToken.mockResolvedValueOnce({
+      credentials: { access_token: 'new-access-token' },
+    });
+
+    const result = await googleCalendarService.updateCalendarEventForUser('gcal-1', eventData, 'expired', 'refresh');
+
+    expect(result).toMatchObject({ updated: true, _new_access_token: 'new-access-token' });
+    expect(mockEventsPatch).toHaveBeenCalledTimes(2);
+  });
+
+  test.each([
+    [401, null, 'GCAL_DISCONNECTED'],
+    [403, 'refresh', 'GCAL_PERMANENT'],
+    [429, 'refresh', 'GCAL_RATE_LIMITED'],
+    [400, 'refresh', 'GCAL_PERMANENT'],
+  ])('%i — throws %s-classified error', async (code, refreshToken, expected) => {
+    mockEventsPatch.mockRejectedValueOnce(gcalError(code));
+
+    await expect(
+      googleCalendarService.updateCalendarEventForUser('gcal-1', eventData, 'token', refreshToken)
+    ).rejects.toMatchObject({ code: expected });
+  });
+
+  test('5xx — throws original error so worker treats as transient', async () => {
+    const err503 = gcalError(503, 'service unavailable');
+    mockEventsPatch.mockRejectedValueOnce(err503);
+
+    await expect(
+      googleCalendarService.updateCalendarEventForUser('gcal-1', eventData, 'token', 'refresh')
+    ).rejects.toBe(err503);
+  });
+});
+
+describe('gcalCleanupService.enqueueUpdateJobsForEvent', () => {
+  const version = new Date('2026-10-19T12:00:00Z');
+
+  test('queues one update job per attendee with a GCal entry, versioned by updatedAt', async () => {
+    mockEventParticipationFindAll.mockResolvedValueOnce([
+      { id: 'ep-1', event_id: 'evt-1', user_id: 'u-1', google_calendar_event_id: 'gcal-1' },
+      { id: 'ep-2', event_id: 'evt-1', user_id: 'u-2', google_calendar_event_id: null },
+    ]);
+
+    const result = await enqueueUpdateJobsForEvent({ eventId: 'evt-1', version });
+
+    expect(result).toEqual({ enqueued: 1, skipped: 1, errors: 0 });
+    expect(mockQueueAdd).toHaveBeenCalledWith(
+      'update',
+      {
+        eventId: 'evt-1',
+        eventParticipationId: 'ep-1',
+        userId: 'u-1',
+        googleCalendarEventId: 'gcal-1',
+      },
+      { jobId: `gcal-update-ep-1-${version.getTime()}` }
+    );
+  });
+
+  test('queue.add or the query throwing — counts, never throws', async () => {
+    mockEventParticipationFindAll.mockResolvedValueOnce([
+      { id: 'ep-1', event_id: 'evt-1', user_id: 'u-1', google_calendar_event_id: 'gcal-1' },
+    ]);
+    mockQueueAdd.mockRejectedValueOnce(new Error('Redis is down'));
+    expect(await enqueueUpdateJobsForEvent({ eventId: 'evt-1', version })).toEqual({ enqueued: 0, skipped: 0, errors: 1 });
+
+    mockEventParticipationFindAll.mockRejectedValueOnce(new Error('DB down'));
+    expect(await enqueueUpdateJobsForEvent({ eventId: 'evt-1', version })).toEqual({ enqueued: 0, skipped: 0, errors: 0 });
+  });
+});
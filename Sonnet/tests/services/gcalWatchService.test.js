@@ -0,0 +1,218 @@
+// tests/services/gcalWatchService.test.js
+// Google Calendar push notifications: verifying notifications, dropping the
+// member's cached busy data, debounced re-scoring of their open polls, and
+// renewing channels before they expire.
+//
+// Models, Google and the availability/heatmap services are mocked -- no DB.
+
+const { Op } = require('sequelize');
+
+jest.mock('../../models', () => ({
+  AvailabilityPrompt: {},
+  AvailabilityResponse: { findAll: jest.fn() },
+  GoogleCalendarChannel: { findByPk: jest.fn(), findAll: jest.fn(), create: jest.fn() },
+  User: { findAll: jest.fn() },
+}));
+jest.mock('../../services/googleCalendarService', () => ({
+  watchCalendarEvents: jest.fn(),
+  stopChannel: jest.fn(),
+}));
+jest.mock('../../services/availabilityService', () => ({
+  invalidateGcalBusyCache: jest.fn(),
+}));
+jest.mock('../../services/heatmapService', () => ({
+  aggregateResponses: jest.fn(),
+}));
+
+const {
+  AvailabilityResponse,
+  GoogleCalendarChannel,
+  User,
+} = require('../../models');
+const googleCalendarService = require('../../services/googleCalendarService');
+const availabilityService = require('../../services/availabilityService');
+const heatmapService = require('../../services/heatmapService');
+const {
+  RESCORE_DEBOUNCE_MS,
+  startWatch,
+  renewExpiringChannels,
+  rescoreOpenPrompts,
+  handleNotification,
+} = require('../../services/gcalWatchService');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const CHANNEL_ID = '5b0c1c5e-3f7a-4c2e-9d1b-7a6e2f4c8d10';
+
+const member = (overrides = {}) => ({
+  user_id: 'auth0|sam',
+  google_calendar_enabled: true,
+  google_calendar_token: 'access',
+  google_calendar_refresh_token: 'refresh',
+  update: jest.fn().mockResolvedValue(),
+  ...overrides,
+});
+
+const channelRow = (overrides = {}) => ({
+  id: CHANNEL_ID,
+  user_id: 'auth0|sam',
+  resource_id: 'res-1',
+  token: 'a'.repeat(64),
+  expires_at: new Date('2026-10-20T06:00:00Z'),
+  update: jest.fn().mockResolvedValue(),
+  destroy: jest.fn().mockResolvedValue(),
+  ...overrides,
+});
+
+const headers = (overrides = {}) => ({
+  'x-goog-channel-id': CHANNEL_ID,
+  'x-goog-channel-token': 'a'.repeat(64),
+  'x-goog-resource-state': 'exists',
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  process.env.GCAL_WEBHOOK_URL = 'https://api.test/api/webhooks/google-calendar';
+  googleCalendarService.watchCalendarEvents.mockResolvedValue({
+    resourceId: 'res-2',
+    expiration: new Date('2026-10-26T12:00:00Z'),
+  });
+  googleCalendarService.stopChannel.mockResolvedValue({ stopped: true });
+  GoogleCalendarChannel.create.mockImplementation(async (row) => row);
+});
+
+afterAll(() => {
+  delete process.env.GCAL_WEBHOOK_URL;
+});
+
+describe('handleNotification', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('acknowledges notifications for channels it no longer knows', async () => {
+    GoogleCalendarChannel.findByPk.mockResolvedValue(null);
+
+    expect(await handleNotification(headers(), { now })).toEqual({ status: 'ignored' });
+    expect(availabilityService.invalidateGcalBusyCache).not.toHaveBeenCalled();
+  });
+
+  it('ignores channel ids that are not UUIDs without querying', async () => {
+    expect(await handleNotification(headers({ 'x-goog-channel-id': 'not-a-uuid' }), { now }))
+      .toEqual({ status: 'ignored' });
+    expect(GoogleCalendarChannel.findByPk).not.toHaveBeenCalled();
+  });
+
+  it('rejects a wrong channel token', async () => {
+    GoogleCalendarChannel.findByPk.mockResolvedValue(channelRow());
+
+    const result = await handleNotification(headers({ 'x-goog-channel-token': 'b'.repeat(64) }), { now });
+
+    expect(result).toEqual({ status: 'unauthorized' });
+    expect(availabilityService.invalidateGcalBusyCache).not.toHaveBeenCalled();
+  });
+
+  it('treats the opening sync message as a no-op', async () => {
+    GoogleCalendarChannel.findByPk.mockResolvedValue(channelRow());
+
+    expect(await handleNotification(headers({ 'x-goog-resource-state': 'sync' }), { now })).toEqual({ status: 'sync' });
+    expect(availabilityService.invalidateGcalBusyCache).not.toHaveBeenCalled();
+  });
+
+  it('drops the cache at once and re-scores open polls once per burst', async () => {
+    jest.useFakeTimers();
+    const channel = channelRow();
+    GoogleCalendarChannel.findByPk.mockResolvedValue(channel);
+    AvailabilityResponse.findAll.mockResolvedValue([{ prompt_id: 'p1' }]);
+
+    await handleNotification(headers(), { now });
+    await handleNotification(headers(), { now });
+
+    expect(availabilityService.invalidateGcalBusyCache).toHaveBeenCalledTimes(2);
+    expect(availabilityService.invalidateGcalBusyCache).toHaveBeenCalledWith('auth0|sam');
+    expect(channel.update).toHaveBeenCalledWith({ last_notified_at: now });
+    expect(AvailabilityResponse.findAll).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(RESCORE_DEBOUNCE_MS);
+
+    expect(AvailabilityResponse.findAll).toHaveBeenCalledTimes(1);
+    expect(heatmapService.aggregateResponses).toHaveBeenCalledWith('p1');
+  });
+});
+
+describe('rescoreOpenPrompts', () => {
+  it('re-aggregates each open prompt the member answered once', async () => {
+    AvailabilityResponse.findAll.mockResolvedValue([{ prompt_id: 'p1' }, { prompt_id: 'p2' }, { prompt_id: 'p1' }]);
+    heatmapService.aggregateResponses.mockRejectedValueOnce(new Error('boom'));
+
+    expect(await rescoreOpenPrompts('auth0|sam')).toBe(2);
+    expect(heatmapService.aggregateResponses).toHaveBeenCalledTimes(2);
+    expect(AvailabilityResponse.findAll.mock.calls[0][0].include[0].where).toBeDefined();
+  });
+});
+
+describe('startWatch', () => {
+  it('opens a channel with a fresh id and token and stores Google\'s expiry', async () => {
+    const channel = await startWatch(member());
+
+    const [params, accessToken] = googleCalendarService.watchCalendarEvents.mock.calls[0];
+    expect(params).toMatchObject({ address: 'https://api.test/api/webhooks/google-calendar' });
+    expect(params.token).toMatch(/^[a-f0-9]{64}$/);
+    expect(accessToken).toBe('access');
+    expect(channel).toMatchObject({
+      id: params.id,
+      user_id: 'auth0|sam',
+      resource_id: 'res-2',
+      token: params.token,
+      expires_at: new Date('2026-10-26T12:00:00Z'),
+    });
+  });
+
+  it('does nothing without a public webhook address', async () => {
+    delete process.env.GCAL_WEBHOOK_URL;
+
+    expect(await startWatch(member())).toBeNull();
+    expect(googleCalendarService.watchCalendarEvents).not.toHaveBeenCalled();
+  });
+});
+
+describe('renewExpiringChannels', () => {
+  it('replaces expiring channels before stopping them and drops disconnected ones', async () => {
+    const calls = [];
+    googleCalendarService.watchCalendarEvents.mockImplementation(async () => {
+      calls.push('watch');
+      return { resourceId: 'res-2', expiration: new Date('2026-10-26T12:00:00Z') };
+    });
+    googleCalendarService.stopChannel.mockImplementation(async () => {
+      calls.push('stop');
+      return { stopped: true };
+    });
+    const expiring = channelRow({ User: member() });
+    const orphaned = channelRow({ id: 'chan-2', User: member({ google_calendar_token: null }) });
+    GoogleCalendarChannel.findAll
+      .mockResolvedValueOnce([expiring, orphaned])
+      .mockResolvedValueOnce([{ user_id: 'auth0|sam' }]);
+    User.findAll.mockResolvedValue([]);
+
+    const result = await renewExpiringChannels({ now });
+
+    expect(result).toEqual({ sent: 1, skipped: 1 });
+    expect(calls).toEqual(['watch', 'stop']);
+    expect(googleCalendarService.stopChannel).toHaveBeenCalledWith({ id: CHANNEL_ID, resourceId: 'res-1' }, 'access', 'refresh');
+    expect(expiring.destroy).toHaveBeenCalled();
+    expect(orphaned.destroy).toHaveBeenCalled();
+  });
+
+  it('opens channels for connected members who have none', async () => {
+    GoogleCalendarChannel.findAll
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([{ user_id: 'auth0|sam' }]);
+    User.findAll.mockResolvedValue([member({ user_id: 'auth0|alex' })]);
+
+    const result = await renewExpiringChannels({ now });
+
+    expect(result).toEqual({ sent: 1, skipped: 0 });
+    expect(User.findAll.mock.calls[0][0].where.user_id[Op.notIn]).toEqual(['auth0|sam']);
+    expect(GoogleCalendarChannel.create).toHaveBeenCalledWith(expect.objectContaining({ user_id: 'auth0|alex' }));
+  });
+});
@@ -0,0 +1,187 @@
+// tests/services/groupExportService.test.js
+// The export streams paged rows straight to the response: check both
+// formats, that paging stops on a short page, CSV escaping, and that a
+// disconnected client stops the export.
+//
+// Models are mocked -- no DB.
+
+const { Writable } = require('stream');
+
+const mockModel = () => ({ findAll: jest.fn().mockResolvedValue([]) });
+
+jest.mock('../../models', () => ({
+  Event: mockModel(),
+  EventParticipation: mockModel(),
+  EventRsvp: mockModel(),
+  EventBring: mockModel(),
+  GameReview: mockModel(),
+  UserGame: mockModel(),
+  UserGroup: mockModel(),
+  User: mockModel(),
+  Game: {},
+  Venue: {},
+}));
+
+const models = require('../../models');
+const {
+  streamGroupExport, csvCell, exportFilename, PAGE_SIZE, ExportAbortedError,
+} = require('../../services/groupExportService');
+
+const GROUP = { id: 'group-uuid', name: 'Thursday Gamers' };
+
+// Writable that records headers and output; a tiny highWaterMark forces
+// the writer through the 'drain' path
+function createResponse() {
+  const chunks = [];
+  const res = new Writable({
+    highWaterMark: 16,
+    write(chunk, _enc, cb) {
+      chunks.push(chunk.toString());
+      setImmediate(cb);
+    },
+  });
+  res.headers = {};
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.body = () => chunks.join('');
+  return res;
+}
+
+const finished = (res) => new Promise(resolve => res.on('finish', resolve));
+
+const event = {
+  id: 'e1',
+  start_date: new Date('2026-10-01T19:00:00Z'),
+  status: 'completed',
+  game_id: 'g1',
+  Game: { name: 'Root', bgg_id: 237182 },
+  Venue: null,
+  location: 'Ann\'s place',
+  Host: null,
+  Winner: { username: 'ann' },
+  is_group_win: false,
+  comments: 'Close game, "really"',
+};
+
+beforeEach(() => {
+  for (const model of Object.values(models)) {
+    if (model.findAll) model.findAll.mockReset().mockResolvedValue([]);
+  }
+});
+
+describe('streamGroupExport', () => {
+  it('streams one JSON document with every section', async () => {
+    models.Event.findAll
+      .mockResolvedValueOnce([event])
+      .mockResolvedValueOnce([{ ...event, custom_participants: [{ username: 'Guest Gus', score: 12 }] }]);
+    models.EventParticipation.findAll.mockResolvedValueOnce([{
+      event_id: 'e1', user_id: 'u-ann', score: '30', placement: 1, is_guest: false,
+      Event: { start_date: event.start_date, Game: { name: 'Root' } },
+      User: { username: 'ann' },
+    }]);
+
+    const res = createResponse();
+    const done = finished(res);
+    const result = await streamGroupExport(res, GROUP, 'json');
+    await done;
+
+    const doc = JSON.parse(res.body());
+    expect(doc.group).toEqual({ id: 'group-uuid', name: 'Thursday Gamers' });
+    expect(Object.keys(doc)).toEqual(
+      ['group', 'exported_at', 'events', 'participations', 'reviews', 'brings', 'rsvps', 'library']
+    );
+    expect(doc.events[0]).toMatchObject({ event_id: 'e1', game_name: 'Root', winner: 'ann', location: 'Ann\'s place' });
+    expect(doc.participations).toEqual([
+      expect.objectContaining({ player_name: 'ann', score: '30', placement: 1, is_guest: false }),
+      expect.objectContaining({ player_name: 'Guest Gus', user_id: null, score: 12, is_guest: true }),
+    ]);
+    expect(result.rows).toMatchObject({ events: 1, participations: 2, reviews: 0 });
+    expect(res.headers['Content-Type']).toMatch(/application\/json/);
+    expect(res.headers['Content-Disposition']).toMatch(/attachment; filename="thursday-gamers-export-\d{4}-\d{2}-\d{2}\.json"/);
+  });
+
+  it('writes a multi-section CSV with a header per section', async () => {
+    models.Event.findAll.mockResolvedValueOnce([event]);
+
+    const res = createResponse();
+    await streamGroupExport(res, GROUP, 'csv');
+
+    const lines = res.body().split('\r\n');
+    expect(lines[0]).toBe('# group,Thursday Gamers,group-uuid');
+    const eventsAt = lines.indexOf('# events');
+    expect(lines[eventsAt + 1]).toMatch(/^event_id,start_date,status,game_id,game_name/);
+    expect(lines[eventsAt + 2]).toContain('"Close game, ""really"""');
+    for (const section of ['participations', 'reviews', 'brings', 'rsvps', 'library']) {
+      expect(lines).toContain(`# ${section}`);
+    }
+    expect(res.headers['Content-Type']).toMatch(/text\/csv/);
+  });
+
+  it('pages until a short page comes back', async () => {
+    const fullPage = Array.from({ length: PAGE_SIZE }, (_, i) => ({ ...event, id: `e${i}` }));
+    models.Event.findAll
+      .mockResolvedValueOnce(fullPage)
+      .mockResolvedValueOnce([event]);
+
+    const res = createResponse();
+    const result = await streamGroupExport(res, GROUP, 'json');
+
+    expect(result.rows.events).toBe(PAGE_SIZE + 1);
+    expect(models.Event.findAll.mock.calls[0][0]).toMatchObject({ limit: PAGE_SIZE, offset: 0 });
+    expect(models.Event.findAll.mock.calls[1][0]).toMatchObject({ limit: PAGE_SIZE, offset: PAGE_SIZE });
+  });
+
+  it('exports the library of confirmed members only', async () => {
+    models.UserGroup.findAll.mockResolvedValueOnce([{ user_id: 'auth0|ann' }]);
+    models.User.findAll.mockResolvedValueOnce([{ id: 'u-ann' }]);
+    models.UserGame.findAll.mockResolvedValueOnce([{
+      game_id: 'g1', user_id: 'u-ann', Game: { name: 'Root' }, User: { username: 'ann' },
+    }]);
+
+    const res = createResponse();
+    const result = await streamGroupExport(res, GROUP, 'json');
+
+    expect(models.UserGroup.findAll.mock.calls[0][0].where).toMatchObject({ group_id: 'group-uuid', status: 'active' });
+    expect(models.UserGame.findAll.mock.calls[0][0].where.user_id).toBeDefined();
+    expect(result.rows.library).toBe(1);
+  });
+
+  it('stops reading when the client disconnects', async () => {
+    models.Event.findAll.mockResolvedValue(Array.from({ length: PAGE_SIZE }, (_, i) => ({ ...event, id: `e${i}` })));
+
+    const res = createResponse();
+    res.destroy();
+
+    await expect(streamGroupExport(res, GROUP, 'json')).rejects.toBeInstanceOf(ExportAbortedError);
+    expect(models.Event.findAll).not.toHaveBeenCalled();
+  });
+
+  it('rejects unknown formats', async () => {
+    await expect(streamGroupExport(createResponse(), GROUP, 'xml')).rejects.toThrow('Unsupported export format');
+  });
+});
+
+describe('csvCell', () => {
+  it('quotes separators, quotes and newlines', () => {
+    expect(csvCell('a,b')).toBe('"a,b"');
+    expect(csvCell('say "hi"')).toBe('"say ""hi"""');
+    expect(csvCell('line\nbreak')).toBe('"line\nbreak"');
+    expect(csvCell(null)).toBe('');
+    expect(csvCell(false)).toBe('false');
+  });
+
+  it('neutralises formulas but keeps negative numbers', () => {
+    expect(csvCell('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    expect(csvCell('@cmd')).toBe('\'@cmd');
+    expect(csvCell('-5')).toBe('-5');
+    expect(csvCell(-2.5)).toBe('-2.5');
+  });
+});
+
+describe('exportFilename', () => {
+  it('slugs the group name and dates the file', () => {
+    expect(exportFilename({ name: 'Ann & Bob\'s Table!' }, 'csv', new Date('2026-10-19T12:00:00Z')))
+      .toBe('ann-bob-s-table-export-2026-10-19.csv');
+    expect(exportFilename({ name: '***' }, 'json', new Date('2026-10-19T12:00:00Z')))
+      .toBe('group-export-2026-10-19.json');
+  });
+});
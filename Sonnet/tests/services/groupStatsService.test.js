@@ -0,0 +1,96 @@
+// tests/services/groupStatsService.test.js
+// Group stats are SQL aggregates: assert the range filter reaches every
+// query and that raw Postgres rows (numeric strings) become the API shape.
+//
+// sequelize.query is mocked -- no DB.
+
+const mockQuery = jest.fn();
+
+jest.mock('../../models', () => ({
+  sequelize: { query: (...args) => mockQuery(...args) },
+}));
+
+const { getGroupStats } = require('../../services/groupStatsService');
+
+const GROUP_ID = 'group-uuid';
+
+function queueResults() {
+  mockQuery
+    .mockResolvedValueOnce([{ total_plays: '12', unique_games: '5', avg_session_minutes: '131.6', first_play: '2026-01-03', last_play: '2026-10-01' }])
+    .mockResolvedValueOnce([{ month: '2026-09', plays: '4' }, { month: '2026-10', plays: '1' }])
+    .mockResolvedValueOnce([{ participations: '40', new_player_participations: '6', unique_players: '7' }])
+    .mockResolvedValueOnce([{ game_id: 'g1', game_name: 'Root', participations: '12', new_player_participations: '4' }])
+    .mockResolvedValueOnce([{ game_id: 'g1', game_name: 'Root', faction: 'Marquise', plays: '3', wins: '2' }])
+    .mockResolvedValueOnce([{ game_id: 'g2', game_name: 'Scotland Yard', team: 'Detectives', plays: '4', wins: '1' }])
+    .mockResolvedValueOnce([
+      { player_id: 'u-ann', player_name: 'ann', opponent_id: 'u-bob', opponent_name: 'bob', games: '4', wins: '3' },
+      { player_id: 'u-bob', player_name: 'bob', opponent_id: 'u-ann', opponent_name: 'ann', games: '4', wins: '1' },
+    ]);
+}
+
+beforeEach(() => {
+  mockQuery.mockReset();
+});
+
+it('aggregates every section from SQL rows', async () => {
+  queueResults();
+
+  const stats = await getGroupStats(GROUP_ID);
+
+  expect(stats).toMatchObject({
+    total_plays: 12,
+    unique_games: 5,
+    avg_session_minutes: 132,
+    plays_per_month: [{ month: '2026-09', plays: 4 }, { month: '2026-10', plays: 1 }],
+    new_players: {
+      participations: 40,
+      new_player_participations: 6,
+      unique_players: 7,
+      rate: 0.15,
+      by_game: [{ game_name: 'Root', rate: 0.333 }],
+    },
+    faction_win_rates: [{ faction: 'Marquise', plays: 3, wins: 2, win_rate: 0.667 }],
+    team_win_rates: [{ game_name: 'Scotland Yard', team: 'Detectives', plays: 4, wins: 1, win_rate: 0.25 }],
+  });
+  expect(stats.win_matrix).toEqual([
+    expect.objectContaining({ player_id: 'u-ann', opponent_id: 'u-bob', games: 4, wins: 3, win_rate: 0.75 }),
+    expect.objectContaining({ player_id: 'u-bob', opponent_id: 'u-ann', games: 4, wins: 1, win_rate: 0.25 }),
+  ]);
+  expect(mockQuery).toHaveBeenCalledTimes(7);
+});
+
+it('passes the date range and timezone as replacements, never interpolated', async () => {
+  queueResults();
+
+  await getGroupStats(GROUP_ID, { from: '2026-01-01', to: '2026-06-30', timezone: 'America/Chicago' });
+
+  for (const [sql, options] of mockQuery.mock.calls) {
+    expect(sql).toContain('e.start_date >= :from');
+    expect(sql).not.toContain('2026-01-01');
+    expect(options.replacements).toMatchObject({
+      groupId: GROUP_ID,
+      from: new Date('2026-01-01'),
+      to: new Date('2026-06-30'),
+      timezone: 'America/Chicago',
+    });
+  }
+});
+
+it('caps the range at now and handles an empty group', async () => {
+  mockQuery.mockResolvedValue([]);
+  const before = Date.now();
+
+  const stats = await getGroupStats(GROUP_ID, { to: '2999-01-01' });
+
+  const { replacements } = mockQuery.mock.calls[0][1];
+  expect(replacements.to.getTime()).toBeGreaterThanOrEqual(before);
+  expect(replacements.to.getTime()).toBeLessThanOrEqual(Date.now());
+  expect(mockQuery.mock.calls[0][0]).not.toContain(':from');
+  expect(stats).toMatchObject({
+    total_plays: 0,
+    avg_session_minutes: null,
+    plays_per_month: [],
+    new_players: { rate: null },
+    win_matrix: [],
+  });
+});
@@ -0,0 +1,107 @@
+// tests/services/headToHeadService.test.js
+// Head-to-head summary between two players: members matched by Auth0 id or
+// username, guests by custom_participants name; record, per-game split,
+// score margin, streaks and recent meetings.
+//
+// Pure functions -- models are stubbed only so ratingService can load.
+
+jest.mock('../../models', () => ({}));
+
+const { findPlayer, buildHeadToHead } = require('../../services/headToHeadService');
+
+const ann = { id: 'u-ann', user_id: 'auth0|ann', username: 'ann' };
+const bob = { id: 'u-bob', user_id: 'auth0|bob', username: 'bob' };
+
+let seq = 0;
+function meeting({ annScore, bobScore, game = 'catan', annPlace = null, bobPlace = null, extra = {} }) {
+  seq++;
+  return {
+    id: `event-${seq}`,
+    start_date: new Date(2026, 0, seq),
+    game_id: game,
+    Game: { name: game === 'catan' ? 'Catan' : 'Azul' },
+    is_group_win: false,
+    custom_participants: [],
+    EventParticipations: [
+      { user_id: ann.id, score: annScore, placement: annPlace, User: ann },
+      { user_id: bob.id, score: bobScore, placement: bobPlace, User: bob },
+    ],
+    ...extra,
+  };
+}
+
+describe('findPlayer', () => {
+  it('matches members by Auth0 id or username and guests by name', () => {
+    const event = meeting({ annScore: 1, bobScore: 2, extra: { custom_participants: [{ username: 'Dana', score: 5 }] } });
+    expect(findPlayer(event, 'auth0|ann')).toMatchObject({ key: 'u-ann', name: 'ann', is_guest: false, score: 1 });
+    expect(findPlayer(event, 'bob')).toMatchObject({ key: 'u-bob', is_guest: false });
+    expect(findPlayer(event, 'dana')).toMatchObject({ key: 'guest:dana', name: 'Dana', is_guest: true, score: 5 });
+    expect(findPlayer(event, 'nobody')).toBeNull();
+  });
+});
+
+describe('buildHeadToHead', () => {
+  it('summarizes record, margins, per-game split and streaks', () => {
+    const events = [
+      meeting({ annScore: 10, bobScore: 8 }),              // ann
+      meeting({ annScore: 12, bobScore: 7 }),              // ann
+      meeting({ annScore: 9, bobScore: 9 }),               // tie
+      meeting({ annScore: 6, bobScore: 11, game: 'azul' }), // bob
+      meeting({ annScore: 15, bobScore: 3 }),              // ann
+    ];
+
+    const h2h = buildHeadToHead(events, 'auth0|ann', 'bob');
+
+    expect(h2h.player_a).toEqual({ identifier: 'auth0|ann', name: 'ann', is_guest: false });
+    expect(h2h.shared_games).toBe(5);
+    expect(h2h.record).toEqual({ meetings: 5, a_wins: 3, b_wins: 1, ties: 1, undecided: 0, avg_score_margin: 2.8 });
+    expect(h2h.per_game.map(g => [g.game_name, g.meetings, g.a_wins, g.b_wins])).toEqual([
+      ['Catan', 4, 3, 0],
+      ['Azul', 1, 0, 1],
+    ]);
+    expect(h2h.longest_win_streak).toEqual({ a: 2, b: 1 });
+    expect(h2h.current_streak).toEqual({ player: 'a', length: 1 });
+    expect(h2h.recent_meetings[0]).toMatchObject({ event_id: events[4].id, result: 'a', a_score: 15, b_score: 3 });
+  });
+
+  it('uses placements over scores and skips events missing either player', () => {
+    const events = [
+      meeting({ annScore: 1, bobScore: 50, annPlace: 1, bobPlace: 2 }),
+      { ...meeting({ annScore: 5, bobScore: 1 }), EventParticipations: [{ user_id: ann.id, score: 5, User: ann }] },
+    ];
+
+    const h2h = buildHeadToHead(events, 'ann', 'bob');
+
+    expect(h2h.shared_games).toBe(1);
+    expect(h2h.record.a_wins).toBe(1);
+    expect(h2h.record.avg_score_margin).toBe(-49);
+  });
+
+  it('works against a guest, including a guest winner without scores', () => {
+    const event = {
+      id: 'event-guest',
+      start_date: new Date(2026, 5, 1),
+      game_id: 'catan',
+      Game: { name: 'Catan' },
+      winner_name: 'Dana',
+      custom_participants: [{ username: 'Dana' }],
+      EventParticipations: [{ user_id: ann.id, User: ann }],
+    };
+
+    const h2h = buildHeadToHead([event], 'ann', 'Dana');
+
+    expect(h2h.player_b).toEqual({ identifier: 'Dana', name: 'Dana', is_guest: true });
+    expect(h2h.record).toMatchObject({ a_wins: 0, b_wins: 1, avg_score_margin: null });
+  });
+
+  it('returns an empty summary when they never met', () => {
+    const h2h = buildHeadToHead([], 'ann', 'bob');
+    expect(h2h).toMatchObject({
+      player_a: { name: null },
+      shared_games: 0,
+      per_game: [],
+      current_streak: { player: null, length: 0 },
+      recent_meetings: [],
+    });
+  });
+});
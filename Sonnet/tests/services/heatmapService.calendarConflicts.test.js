@@ -0,0 +1,108 @@
+// tests/services/heatmapService.calendarConflicts.test.js
+// Suggestion scoring with Google Calendar: responders whose calendar is busy
+// during a slot stay listed but don't count toward score or meets_minimum.
+//
+// Responders with an open watch channel read the watched busy cache instead.
+//
+// Models and availabilityService are mocked -- no DB, no Google.
+
+const mockTransaction = { commit: jest.fn(), rollback: jest.fn() };
+jest.mock('../../models', () => ({
+  AvailabilityResponse: { findAll: jest.fn() },
+  AvailabilitySuggestion: { destroy: jest.fn(), bulkCreate: jest.fn(), findAll: jest.fn() },
+  AvailabilityPrompt: { findByPk: jest.fn() },
+  Game: {},
+  GoogleCalendarChannel: { findAll: jest.fn() },
+  User: { findAll: jest.fn() },
+  sequelize: { transaction: jest.fn(() => Promise.resolve(mockTransaction)) },
+}));
+jest.mock('../../services/availabilityService', () => ({
+  getCachedGcalBusy: jest.fn(),
+  getWatchedGcalBusy: jest.fn(),
+}));
+
+const {
+  AvailabilityResponse,
+  AvailabilitySuggestion,
+  AvailabilityPrompt,
+  GoogleCalendarChannel,
+  User,
+} = require('../../models');
+const availabilityService = require('../../services/availabilityService');
+const { aggregateResponses, hasCalendarConflict } = require('../../services/heatmapService');
+
+const slot = (start, end, preference = 'available') => ({ start, end, preference });
+
+describe('hasCalendarConflict', () => {
+  const busy = [Date.parse('2026-10-24T18:30:00Z')];
+
+  it('matches busy half hours that overlap the slot', () => {
+    expect(hasCalendarConflict(busy, '2026-10-24T18:00:00Z', '2026-10-24T19:00:00Z')).toBe(true);
+    expect(hasCalendarConflict(busy, '2026-10-24T19:00:00Z', '2026-10-24T20:00:00Z')).toBe(false);
+    expect(hasCalendarConflict(busy, '2026-10-24T17:00:00Z', '2026-10-24T18:30:00Z')).toBe(false);
+  });
+});
+
+describe('aggregateResponses with calendar conflicts', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    AvailabilityPrompt.findByPk.mockResolvedValue({ id: 'p1', Game: { min_players: 2 } });
+    const responses = [
+      { user_id: 'auth0|sam', time_slots: [slot('2026-10-24T18:00:00Z', '2026-10-24T19:00:00Z', 'preferred')] },
+      { user_id: 'auth0|alex', time_slots: [slot('2026-10-24T18:00:00Z', '2026-10-24T19:00:00Z')] },
+    ];
+    AvailabilityResponse.findAll.mockResolvedValue(responses);
+    GoogleCalendarChannel.findAll.mockResolvedValue([]);
+  });
+
+  it('keeps busy responders listed but leaves them out of score and minimum', async () => {
+    User.findAll.mockResolvedValue([{ user_id: 'auth0|sam' }]);
+    availabilityService.getCachedGcalBusy.mockResolvedValue([
+      { date: '2026-10-24', startTime: '18:30', endTime: '19:00' },
+    ]);
+
+    await aggregateResponses('p1');
+
+    const [suggestion] = AvailabilitySuggestion.bulkCreate.mock.calls[0][0];
+    expect(suggestion).toMatchObject({
+      participant_count: 2,
+      participant_user_ids: ['auth0|sam', 'auth0|alex'],
+      preferred_count: 1,
+      score: 1,
+      meets_minimum: false,
+    });
+    const [, from, to] = availabilityService.getCachedGcalBusy.mock.calls[0];
+    expect([from.toISOString(), to.toISOString()]).toEqual(['2026-10-24T18:00:00.000Z', '2026-10-24T19:00:00.000Z']);
+  });
+
+  it('scores as before when calendars are free or unreadable', async () => {
+    User.findAll.mockResolvedValue([{ user_id: 'auth0|sam' }]);
+    availabilityService.getCachedGcalBusy.mockRejectedValue(new Error('invalid_grant'));
+
+    await aggregateResponses('p1');
+
+    const [suggestion] = AvailabilitySuggestion.bulkCreate.mock.calls[0][0];
+    expect(suggestion).toMatchObject({ score: 2.5, meets_minimum: true });
+  });
+
+  it('reads watched responders from the watched cache', async () => {
+    User.findAll.mockResolvedValue([{ user_id: 'auth0|sam' }, { user_id: 'auth0|alex' }]);
+    GoogleCalendarChannel.findAll.mockResolvedValue([{ user_id: 'auth0|sam' }]);
+    availabilityService.getWatchedGcalBusy.mockResolvedValue([
+      { date: '2026-10-24', startTime: '18:30', endTime: '19:00' },
+    ]);
+    availabilityService.getCachedGcalBusy.mockResolvedValue([]);
+
+    await aggregateResponses('p1');
+
+    expect(availabilityService.getWatchedGcalBusy).toHaveBeenCalledTimes(1);
+    expect(availabilityService.getWatchedGcalBusy.mock.calls[0][0].user_id).toBe('auth0|sam');
+    expect(availabilityService.getCachedGcalBusy).toHaveBeenCalledTimes(1);
+    expect(availabilityService.getCachedGcalBusy.mock.calls[0][0].user_id).toBe('auth0|alex');
+    const { where } = GoogleCalendarChannel.findAll.mock.calls[0][0];
+    expect(Object.getOwnPropertySymbols(where.expires_at)).toHaveLength(1);
+
+    const [suggestion] = AvailabilitySuggestion.bulkCreate.mock.calls[0][0];
+    expect(suggestion).toMatchObject({ score: 1, meets_minimum: false });
+  });
+});
@@ -0,0 +1,148 @@
+// tests/services/hostRotationService.test.js
+// Host rotation: per-host history from Event.host_user_id, turn order
+// (never hosted -> longest ago -> fewest -> name), and the suggestion limited
+// to yes-RSVPs when an event is given.
+//
+// Models + authorizationService are mocked -- no DB.
+
+const mockEventFindAll = jest.fn();
+const mockRsvpFindAll = jest.fn();
+const mockUserGroupFindAll = jest.fn();
+const mockUserFindByPk = jest.fn();
+const mockIsActiveMember = jest.fn();
+
+jest.mock('../../models', () => ({
+  Event: { findAll: (...args) => mockEventFindAll(...args) },
+  EventRsvp: { findAll: (...args) => mockRsvpFindAll(...args) },
+  UserGroup: { findAll: (...args) => mockUserGroupFindAll(...args) },
+  User: { findByPk: (...args) => mockUserFindByPk(...args) },
+}));
+
+jest.mock('../../services/authorizationService', () => ({
+  isActiveMember: (...args) => mockIsActiveMember(...args),
+}));
+
+const {
+  getHostHistory,
+  rankByTurn,
+  suggestHost,
+  getRotation,
+  validateHost,
+} = require('../../services/hostRotationService');
+
+const GROUP_ID = 'group-uuid';
+const ann = { id: 'u-ann', user_id: 'auth0|ann', username: 'ann' };
+const bob = { id: 'u-bob', user_id: 'auth0|bob', username: 'bob' };
+const cat = { id: 'u-cat', user_id: 'auth0|cat', username: 'cat' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('getHostHistory', () => {
+  it('aggregates non-cancelled hosted events and skips the event being planned', async () => {
+    mockEventFindAll.mockResolvedValue([
+      { host_user_id: 'u-ann', hosted_count: '3', last_hosted_at: '2026-09-01T00:00:00.000Z' },
+    ]);
+
+    const history = await getHostHistory(GROUP_ID, { excludeEventId: 'event-1' });
+
+    expect(history.get('u-ann')).toEqual({ hosted_count: 3, last_hosted_at: new Date('2026-09-01T00:00:00.000Z') });
+    const { where, group } = mockEventFindAll.mock.calls[0][0];
+    expect(where.group_id).toBe(GROUP_ID);
+    expect(where.id).toBeDefined();
+    expect(where.status).toBeDefined();
+    expect(group).toEqual(['host_user_id']);
+  });
+});
+
+describe('rankByTurn', () => {
+  it('puts never-hosted first, then least recently hosted, then fewest hosted', () => {
+    const history = new Map([
+      ['u-ann', { hosted_count: 1, last_hosted_at: new Date('2026-10-01') }],
+      ['u-bob', { hosted_count: 4, last_hosted_at: new Date('2026-08-01') }],
+    ]);
+
+    expect(rankByTurn([ann, bob, cat], history).map(r => r.username)).toEqual(['cat', 'bob', 'ann']);
+  });
+
+  it('breaks ties on count and then name', () => {
+    const same = new Date('2026-09-01');
+    const history = new Map([
+      ['u-ann', { hosted_count: 2, last_hosted_at: same }],
+      ['u-bob', { hosted_count: 1, last_hosted_at: same }],
+    ]);
+
+    expect(rankByTurn([ann, bob], history).map(r => r.username)).toEqual(['bob', 'ann']);
+    expect(rankByTurn([cat, { id: 'u-abe', username: 'abe' }], new Map()).map(r => r.username)).toEqual(['abe', 'cat']);
+  });
+});
+
+describe('suggestHost', () => {
+  it('returns null without candidates and skips the query', async () => {
+    expect(await suggestHost(GROUP_ID, [])).toBeNull();
+    expect(mockEventFindAll).not.toHaveBeenCalled();
+  });
+
+  it('picks the least-recently-hosted candidate', async () => {
+    mockEventFindAll.mockResolvedValue([
+      { host_user_id: 'u-ann', hosted_count: 1, last_hosted_at: '2026-10-01T00:00:00.000Z' },
+      { host_user_id: 'u-bob', hosted_count: 1, last_hosted_at: '2026-07-01T00:00:00.000Z' },
+    ]);
+
+    const host = await suggestHost(GROUP_ID, [ann, bob]);
+    expect(host).toMatchObject({ id: 'u-bob', hosted_count: 1 });
+  });
+});
+
+describe('getRotation', () => {
+  beforeEach(() => {
+    mockUserGroupFindAll.mockResolvedValue([{ User: ann }, { User: bob }, { User: cat }]);
+    mockEventFindAll.mockResolvedValue([
+      { host_user_id: 'u-bob', hosted_count: 2, last_hosted_at: '2026-06-01T00:00:00.000Z' },
+      { host_user_id: 'u-cat', hosted_count: 1, last_hosted_at: '2026-09-01T00:00:00.000Z' },
+    ]);
+  });
+
+  it('lists every active member in turn order and suggests the first', async () => {
+    const { suggested_host, rotation } = await getRotation(GROUP_ID);
+
+    expect(rotation.map(r => r.username)).toEqual(['ann', 'bob', 'cat']);
+    expect(rotation.every(r => r.is_candidate)).toBe(true);
+    expect(suggested_host.username).toBe('ann');
+    expect(mockRsvpFindAll).not.toHaveBeenCalled();
+  });
+
+  it('limits the suggestion to members who RSVPed yes to the event', async () => {
+    mockRsvpFindAll.mockResolvedValue([{ user_id: 'auth0|bob' }, { user_id: 'auth0|cat' }]);
+
+    const { suggested_host, rotation } = await getRotation(GROUP_ID, { eventId: 'event-1' });
+
+    expect(mockRsvpFindAll.mock.calls[0][0].where).toEqual({ event_id: 'event-1', status: 'yes' });
+    expect(rotation.find(r => r.username === 'ann').is_candidate).toBe(false);
+    expect(suggested_host.username).toBe('bob');
+  });
+
+  it('suggests nobody when no member RSVPed yes', async () => {
+    mockRsvpFindAll.mockResolvedValue([]);
+    const { suggested_host } = await getRotation(GROUP_ID, { eventId: 'event-1' });
+    expect(suggested_host).toBeNull();
+  });
+});
+
+describe('validateHost', () => {
+  it('accepts empty hosts and active members, rejects unknown users and outsiders', async () => {
+    expect(await validateHost(null, GROUP_ID)).toBeNull();
+
+    mockUserFindByPk.mockResolvedValueOnce(null);
+    expect(await validateHost('u-ghost', GROUP_ID)).toBe('Host user not found');
+
+    mockUserFindByPk.mockResolvedValue(ann);
+    mockIsActiveMember.mockResolvedValueOnce(false);
+    expect(await validateHost('u-ann', GROUP_ID)).toBe('Host must be a member of this group');
+
+    mockIsActiveMember.mockResolvedValueOnce(true);
+    expect(await validateHost('u-ann', GROUP_ID)).toBeNull();
+    expect(mockIsActiveMember).toHaveBeenLastCalledWith('auth0|ann', GROUP_ID);
+  });
+});
@@ -0,0 +1,326 @@
+// tests/services/icsCalendarService.test.js
+// Busy times from ICS calendars: parsing, recurrence expansion in the
+// event's own timezone, exceptions, URL safety, and how the slots feed
+// availabilityService.calculateUserAvailability.
+//
+// Network and models are mocked -- no DB.
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+jest.mock('../../models', () => ({
+  UserAvailability: { findAll: jest.fn().mockResolvedValue([]) },
+  User: {},
+}));
+jest.mock('../../services/googleCalendarService', () => ({
+  getBusyTimesForDateRange: jest.fn().mockResolvedValue([]),
+}));
+
+const axios = require('axios');
+const dns = require('dns').promises;
+const { UserAvailability } = require('../../models');
+const availabilityService = require('../../services/availabilityService');
+const {
+  IcsCalendarError,
+  parseIcsEvents,
+  busyPeriods,
+  getBusyTimesFromIcs,
+  validateCalendarUrl,
+  fetchCalendar,
+  _internals: { wallToUtc, expandOccurrences, isPrivateAddress, pinnedAgent },
+} = require('../../services/icsCalendarService');
+
+const calendar = (...events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VTIMEZONE',
+  'TZID:America/New_York',
+  'BEGIN:STANDARD',
+  'DTSTART:19701101T020000',
+  'END:STANDARD',
+  'END:VTIMEZONE',
+  ...events.flatMap(e => ['BEGIN:VEVENT', ...e, 'END:VEVENT']),
+  'END:VCALENDAR',
+].join('\r\n');
+
+const iso = (periods) => periods.map(p => [new Date(p.start).toISOString(), new Date(p.end).toISOString()]);
+
+// Two weeks spanning the end of US daylight saving time (Sun 2026-11-01)
+const from = new Date('2026-10-25T00:00:00Z');
+const to = new Date('2026-11-08T00:00:00Z');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('wallToUtc', () => {
+  it('applies the offset in force on that date', () => {
+    expect(new Date(wallToUtc(Date.UTC(2026, 9, 26, 19), 'America/New_York')).toISOString()).toBe('2026-10-26T23:00:00.000Z');
+    expect(new Date(wallToUtc(Date.UTC(2026, 10, 2, 19), 'America/New_York')).toISOString()).toBe('2026-11-03T00:00:00.000Z');
+  });
+});
+
+describe('parseIcsEvents', () => {
+  it('unfolds lines and reads TZID, quoted params and durations', () => {
+    const [event] = parseIcsEvents([
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:abc',
+      'DTSTART;TZID="America/New_York":20261026T190000',
+      'DURATION:PT1H30M',
+      'SUMMARY:A very long summary that a client folded',
+      ' onto a second line',
+      'BEGIN:VALARM',
+      'DTSTART:20990101T000000Z',
+      'END:VALARM',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ].join('\r\n'));
+
+    expect(event.uid).toBe('abc');
+    expect(event.start).toEqual({ wall: Date.UTC(2026, 9, 26, 19), timezone: 'America/New_York', allDay: false });
+    expect(event.duration).toBe(90 * 60 * 1000);
+  });
+});
+
+describe('busyPeriods', () => {
+  it('expands weekly rules in local time across a DST change', () => {
+    const events = parseIcsEvents(calendar([
+      'UID:weekly',
+      'DTSTART;TZID=America/New_York:20261026T190000',
+      'DTEND;TZID=America/New_York:20261026T210000',
+      'RRULE:FREQ=WEEKLY;BYDAY=MO',
+    ]));
+
+    expect(iso(busyPeriods(events, from, to))).toEqual([
+      ['2026-10-26T23:00:00.000Z', '2026-10-27T01:00:00.000Z'],
+      ['2026-11-03T00:00:00.000Z', '2026-11-03T02:00:00.000Z'],
+    ]);
+  });
+
+  it('honours COUNT, EXDATE and RECURRENCE-ID instances', () => {
+    const events = parseIcsEvents(calendar(
+      [
+        'UID:series',
+        'DTSTART:20261026T180000Z',
+        'DTEND:20261026T190000Z',
+        'RRULE:FREQ=DAILY;COUNT=4',
+        'EXDATE:20261027T180000Z',
+      ],
+      [
+        'UID:series',
+        'RECURRENCE-ID:20261028T180000Z',
+        'DTSTART:20261028T200000Z',
+        'DTEND:20261028T203000Z',
+      ]
+    ));
+
+    expect(iso(busyPeriods(events, from, to))).toEqual([
+      ['2026-10-26T18:00:00.000Z', '2026-10-26T19:00:00.000Z'],
+      ['2026-10-29T18:00:00.000Z', '2026-10-29T19:00:00.000Z'],
+      ['2026-10-28T20:00:00.000Z', '2026-10-28T20:30:00.000Z'],
+    ]);
+  });
+
+  it('supports ordinal BYDAY in monthly rules and UNTIL', () => {
+    const events = parseIcsEvents(calendar([
+      'UID:last-friday',
+      'DTSTART:20260130T100000Z',
+      'DURATION:PT1H',
+      'RRULE:FREQ=MONTHLY;BYDAY=-1FR;UNTIL=20261231T000000Z',
+    ]));
+
+    expect(iso(busyPeriods(events, new Date('2026-10-01T00:00:00Z'), new Date('2027-02-01T00:00:00Z')))).toEqual([
+      ['2026-10-30T10:00:00.000Z', '2026-10-30T11:00:00.000Z'],
+      ['2026-11-27T10:00:00.000Z', '2026-11-27T11:00:00.000Z'],
+      ['2026-12-25T10:00:00.000Z', '2026-12-25T11:00:00.000Z'],
+    ]);
+  });
+
+  it('jumps ahead to the range for rules that started decades ago', () => {
+    const events = parseIcsEvents(calendar(
+      [
+        'UID:daily-since-1990',
+        'DTSTART:19900101T120000Z',
+        'DTEND:19900101T130000Z',
+        'RRULE:FREQ=DAILY',
+      ],
+      [
+        'UID:biweekly-since-1995',
+        'DTSTART;TZID=America/New_York:19950102T190000',
+        'DTEND;TZID=America/New_York:19950102T210000',
+        'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO',
+      ]
+    ));
+
+    const periods = iso(busyPeriods(events, from, to));
+    expect(periods.filter(([start]) => start.endsWith('T12:00:00.000Z'))).toHaveLength(14);
+    // 1995-01-02 is exactly 1660 weeks before 2026-10-26
+    expect(periods.filter(([start]) => !start.endsWith('T12:00:00.000Z'))).toEqual([
+      ['2026-10-26T23:00:00.000Z', '2026-10-27T01:00:00.000Z'],
+    ]);
+  });
+
+  it('finds the same occurrences after the jump as a walk from DTSTART', () => {
+    const untilWall = Date.UTC(2028, 0, 1);
+    const fromWall = Date.UTC(2026, 9, 1);
+    for (const rule of ['FREQ=WEEKLY;INTERVAL=3;BYDAY=TU,SA', 'FREQ=MONTHLY;INTERVAL=5;BYDAY=2TH', 'FREQ=YEARLY;INTERVAL=2;BYMONTH=11;BYDAY=-1FR']) {
+      const [event] = parseIcsEvents(calendar(['UID:r', 'DTSTART:20030106T100000Z', 'DURATION:PT1H', `RRULE:${rule}`]));
+      const jumped = expandOccurrences(event, untilWall, { fromWall }).filter(wall => wall >= fromWall);
+      const walked = expandOccurrences(event, untilWall).filter(wall => wall >= fromWall);
+      expect(jumped.length).toBeGreaterThan(0);
+      expect(jumped).toEqual(walked);
+    }
+  });
+
+  it('keeps an occurrence that starts before the range but runs into it', () => {
+    const events = parseIcsEvents(calendar([
+      'UID:overnight',
+      'DTSTART:20200101T220000Z',
+      'DURATION:PT6H',
+      'RRULE:FREQ=DAILY',
+    ]));
+
+    expect(iso(busyPeriods(events, new Date('2026-10-25T00:00:00Z'), new Date('2026-10-25T12:00:00Z')))).toEqual([
+      ['2026-10-25T00:00:00.000Z', '2026-10-25T04:00:00.000Z'],
+    ]);
+  });
+
+  it('caps the periods walked per document', () => {
+    const [event] = parseIcsEvents(calendar([
+      'UID:never-matches',
+      'DTSTART:20260101T100000Z',
+      'DURATION:PT1H',
+      'RRULE:FREQ=DAILY;BYMONTH=2;BYDAY=MO;COUNT=5',
+    ]));
+    const budget = { remaining: 20 };
+
+    expandOccurrences(event, Date.UTC(2100, 0, 1), { budget });
+    expect(budget.remaining).toBe(0);
+    expect(expandOccurrences(event, Date.UTC(2100, 0, 1), { budget })).toEqual([]);
+  });
+
+  it('puts all-day and floating events in the user\'s timezone', () => {
+    const events = parseIcsEvents(calendar(
+      ['UID:trip', 'DTSTART;VALUE=DATE:20261030', 'DTEND;VALUE=DATE:20261031'],
+      ['UID:floating', 'DTSTART:20261029T120000', 'DTEND:20261029T130000']
+    ), 'America/New_York');
+
+    expect(iso(busyPeriods(events, from, to))).toEqual([
+      ['2026-10-30T04:00:00.000Z', '2026-10-31T04:00:00.000Z'],
+      ['2026-10-29T16:00:00.000Z', '2026-10-29T17:00:00.000Z'],
+    ]);
+  });
+
+  it('ignores cancelled and free (transparent) events', () => {
+    const events = parseIcsEvents(calendar(
+      ['UID:a', 'DTSTART:20261026T180000Z', 'DTEND:20261026T190000Z', 'STATUS:CANCELLED'],
+      ['UID:b', 'DTSTART:20261026T180000Z', 'DTEND:20261026T190000Z', 'TRANSP:TRANSPARENT']
+    ));
+
+    expect(busyPeriods(events, from, to)).toEqual([]);
+  });
+});
+
+describe('getBusyTimesFromIcs', () => {
+  it('returns 30-minute UTC slots, rounding outward', () => {
+    const slots = getBusyTimesFromIcs(calendar([
+      'UID:a', 'DTSTART:20261026T181500Z', 'DTEND:20261026T190500Z',
+    ]), from, to);
+
+    expect(slots).toEqual([
+      { date: '2026-10-26', startTime: '18:00', endTime: '18:30' },
+      { date: '2026-10-26', startTime: '18:30', endTime: '19:00' },
+      { date: '2026-10-26', startTime: '19:00', endTime: '19:30' },
+    ]);
+  });
+
+  it('rejects text that is not a calendar', () => {
+    expect(() => getBusyTimesFromIcs('<html></html>', from, to)).toThrow(IcsCalendarError);
+  });
+});
+
+describe('calendar URLs', () => {
+  it('recognises private and loopback addresses', () => {
+    expect(isPrivateAddress('10.1.2.3')).toBe(true);
+    expect(isPrivateAddress('169.254.169.254')).toBe(true);
+    expect(isPrivateAddress('::ffff:127.0.0.1')).toBe(true);
+    expect(isPrivateAddress('17.253.144.10')).toBe(false);
+  });
+
+  it('turns webcal:// into https:// and refuses private hosts', async () => {
+    const lookup = jest.spyOn(dns, 'lookup');
+    lookup.mockResolvedValueOnce([{ address: '17.253.144.10', family: 4 }]);
+    await expect(validateCalendarUrl('webcal://p01-caldav.icloud.com/published/2/abc'))
+      .resolves.toBe('https://p01-caldav.icloud.com/published/2/abc');
+
+    lookup.mockResolvedValueOnce([{ address: '127.0.0.1', family: 4 }]);
+    await expect(validateCalendarUrl('http://localhost:4000/admin')).rejects.toThrow('public server');
+    lookup.mockRestore();
+  });
+
+  it('checks every redirect hop', async () => {
+    const lookup = jest.spyOn(dns, 'lookup')
+      .mockResolvedValueOnce([{ address: '17.253.144.10', family: 4 }])
+      .mockResolvedValueOnce([{ address: '10.0.0.5', family: 4 }]);
+    axios.get.mockResolvedValueOnce({ status: 302, headers: { location: 'http://internal.example/secret' }, data: '' });
+
+    await expect(fetchCalendar('https://calendar.example/feed.ics')).rejects.toThrow('public server');
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    lookup.mockRestore();
+  });
+
+  it('connects to the address it checked, not a fresh lookup', async () => {
+    const lookup = jest.spyOn(dns, 'lookup').mockResolvedValueOnce([{ address: '17.253.144.10', family: 4 }]);
+    axios.get.mockResolvedValueOnce({ status: 200, headers: {}, data: 'BEGIN:VCALENDAR' });
+
+    await expect(fetchCalendar('https://calendar.example/feed.ics')).resolves.toBe('BEGIN:VCALENDAR');
+
+    const [, options] = axios.get.mock.calls[0];
+    expect(options.proxy).toBe(false);
+    const connectLookup = options.httpsAgent.options.lookup;
+    const single = jest.fn();
+    connectLookup('calendar.example', {}, single);
+    expect(single).toHaveBeenCalledWith(null, '17.253.144.10', 4);
+    const all = jest.fn();
+    connectLookup('calendar.example', { all: true }, all);
+    expect(all).toHaveBeenCalledWith(null, [{ address: '17.253.144.10', family: 4 }]);
+    expect(lookup).toHaveBeenCalledTimes(1);
+    lookup.mockRestore();
+  });
+
+  it('pins plain http the same way', () => {
+    const agent = pinnedAgent('http:', [{ address: '2606:4700::1', family: 6 }]);
+    const callback = jest.fn();
+    agent.options.lookup('calendar.example', callback);
+    expect(callback).toHaveBeenCalledWith(null, '2606:4700::1', 6);
+  });
+});
+
+describe('availabilityService.calculateUserAvailability with ICS busy slots', () => {
+  const start = new Date('2026-10-26T00:00:00Z');
+  const end = new Date('2026-10-27T00:00:00Z');
+  const user = { user_id: 'auth0|sam', google_calendar_enabled: false };
+
+  it('marks busy slots unavailable and the rest available', async () => {
+    UserAvailability.findAll.mockResolvedValue([]);
+    const busy = [{ date: '2026-10-26', startTime: '18:00', endTime: '18:30' }];
+
+    const slots = await availabilityService.calculateUserAvailability(user, start, end, 'UTC', undefined, busy);
+
+    const slot = (time) => slots.find(s => s.startTime === time);
+    expect(slot('18:00')).toMatchObject({ isAvailable: false, source: 'ics_calendar' });
+    expect(slot('19:00')).toMatchObject({ isAvailable: true, source: 'ics_calendar' });
+  });
+
+  it('leaves specific overrides alone', async () => {
+    UserAvailability.findAll.mockResolvedValue([{
+      type: 'specific_override',
+      is_available: true,
+      pattern_data: { date: '2026-10-26', startTime: '18:00', endTime: '19:00' },
+    }]);
+    const busy = [{ date: '2026-10-26', startTime: '18:00', endTime: '18:30' }];
+
+    const slots = await availabilityService.calculateUserAvailability(user, start, end, 'UTC', undefined, busy);
+
+    expect(slots.find(s => s.startTime === '18:00')).toMatchObject({ isAvailable: true, source: 'specific_override' });
+  });
+});
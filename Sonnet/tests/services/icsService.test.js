@@ -1,8 +1,9 @@
 // tests/services/icsService.test.js
 const {
   buildEventIcs,
+  buildCalendarIcs,
   buildGoogleCalendarUrl,
-  _internals: { escapeIcsText, formatIcsDate },
+  _internals: { escapeIcsText, formatIcsDate, foldLine },
 } = require('../../services/icsService');
 
 describe('icsService', () => {
@@ -75,6 +76,43 @@ describe('icsService', () => {
     });
   });
 
+  describe('buildCalendarIcs', () => {
+    const event = {
+      eventId: 'abc-123',
+      gameName: 'Brass',
+      groupName: 'Saturday Crew',
+      startUtc: new Date('2026-06-01T18:00:00.000Z'),
+      durationMinutes: 180,
+      sequence: 42,
+      lastModified: new Date('2026-05-20T09:00:00.000Z'),
+      cancelled: false,
+    };
+
+    it('wraps every event in one VCALENDAR with a name and refresh hint', () => {
+      const ics = buildCalendarIcs({
+        name: 'My game nights',
+        events: [event, { ...event, eventId: 'def-456', cancelled: true }],
+      });
+      expect(ics.match(/BEGIN:VCALENDAR/g)).toHaveLength(1);
+      expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+      expect(ics).toContain('X-WR-CALNAME:My game nights');
+      expect(ics).toContain('REFRESH-INTERVAL;VALUE=DURATION:PT1H');
+    });
+
+    it('emits the same UID as the attachment, plus SEQUENCE and STATUS', () => {
+      const ics = buildCalendarIcs({
+        name: 'My game nights',
+        events: [event, { ...event, eventId: 'def-456', cancelled: true }],
+      });
+      expect(ics).toContain('UID:event-abc-123@nextgamenight.app');
+      expect(ics).toContain('SEQUENCE:42');
+      expect(ics).toContain('DTSTAMP:20260520T090000Z');
+      expect(ics).toContain('LAST-MODIFIED:20260520T090000Z');
+      expect(ics).toContain('STATUS:CONFIRMED');
+      expect(ics).toContain('STATUS:CANCELLED');
+    });
+  });
+
   describe('buildGoogleCalendarUrl', () => {
     it('returns a properly formatted Google Calendar template URL', () => {
       const url = buildGoogleCalendarUrl({
@@ -135,6 +173,47 @@ describe('icsService', () => {
     });
   });
 
+  describe('foldLine', () => {
+    it('leaves lines of 75 octets or fewer alone', () => {
+      const line = `DESCRIPTION:${'x'.repeat(63)}`;
+      expect(foldLine(line)).toBe(line);
+    });
+
+    it('folds at 75 octets with CRLF + space, counting the space', () => {
+      const folded = foldLine(`DESCRIPTION:${'x'.repeat(200)}`);
+      const lines = folded.split('\r\n');
+      expect(lines[0]).toHaveLength(75);
+      lines.slice(1).forEach(l => {
+        expect(l.startsWith(' ')).toBe(true);
+        expect(Buffer.byteLength(l, 'utf8')).toBeLessThanOrEqual(75);
+      });
+      // Unfolding restores the original
+      expect(folded.replace(/\r\n /g, '')).toBe(`DESCRIPTION:${'x'.repeat(200)}`);
+    });
+
+    it('never splits a multi-byte UTF-8 character', () => {
+      const line = `SUMMARY:${'—'.repeat(60)}`;
+      const folded = foldLine(line);
+      folded.split('\r\n').forEach(l => {
+        expect(Buffer.byteLength(l, 'utf8')).toBeLessThanOrEqual(75);
+        expect(l.replace(/^ /, '')).toMatch(/^(SUMMARY:)?—*$/);
+      });
+      expect(folded.replace(/\r\n /g, '')).toBe(line);
+    });
+
+    it('is applied to whole attachments', () => {
+      const ics = buildEventIcs({
+        eventId: 'abc-123',
+        gameName: 'Game',
+        groupName: 'Crew',
+        startUtc: new Date('2026-06-01T18:00:00.000Z'),
+        durationMinutes: 60,
+        location: 'A very long address, '.repeat(10),
+      });
+      ics.split('\r\n').forEach(l => expect(Buffer.byteLength(l, 'utf8')).toBeLessThanOrEqual(75));
+    });
+  });
+
   describe('formatIcsDate', () => {
     it('converts JS Date to YYYYMMDDTHHMMSSZ', () => {
       expect(formatIcsDate(new Date('2026-06-01T18:30:45.123Z'))).toBe(
@@ -0,0 +1,270 @@
+// tests/services/microsoftCalendarService.test.js
+// Outlook calendars over Microsoft Graph, against a local mock Graph server
+// (tests/helpers/mockGraphServer.js): free/busy from calendarView, token
+// refresh, tentative holds, and event create/patch/delete with the same
+// GCAL_* error codes the gcal-sync worker handles for Google.
+
+jest.mock('../../models', () => ({
+  User: { update: jest.fn().mockResolvedValue([1]) },
+}));
+
+const { User } = require('../../models');
+const { createMockGraphServer } = require('../helpers/mockGraphServer');
+const microsoftCalendarService = require('../../services/microsoftCalendarService');
+
+let graph;
+
+beforeAll(async () => {
+  graph = await createMockGraphServer().start();
+  process.env.MICROSOFT_GRAPH_URL = `${graph.url}/v1.0`;
+  process.env.MICROSOFT_LOGIN_URL = graph.url;
+  process.env.MICROSOFT_CLIENT_ID = 'client-id';
+  process.env.MICROSOFT_CLIENT_SECRET = 'client-secret';
+  process.env.MICROSOFT_REDIRECT_URI = 'http://localhost:4000/api/auth/microsoft/callback';
+});
+
+afterAll(async () => {
+  await graph.stop();
+  delete process.env.MICROSOFT_GRAPH_URL;
+  delete process.env.MICROSOFT_LOGIN_URL;
+  delete process.env.MICROSOFT_CLIENT_ID;
+  delete process.env.MICROSOFT_CLIENT_SECRET;
+  delete process.env.MICROSOFT_REDIRECT_URI;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  graph.state.events.clear();
+  graph.state.requests.length = 0;
+  graph.state.failures.length = 0;
+  graph.state.validTokens = new Set(['graph-access']);
+});
+
+const outlookUser = (overrides = {}) => ({
+  id: 'uuid-sam',
+  user_id: 'auth0|sam',
+  email: 'sam@example.com',
+  microsoft_calendar_enabled: true,
+  microsoft_calendar_token: 'graph-access',
+  microsoft_calendar_refresh_token: 'graph-refresh',
+  ...overrides,
+});
+
+describe('OAuth', () => {
+  it('builds the consent URL with offline access and calendar scopes', () => {
+    const url = new URL(microsoftCalendarService.getAuthUrl('signed-state'));
+
+    expect(url.origin + url.pathname).toBe(`${graph.url}/common/oauth2/v2.0/authorize`);
+    expect(url.searchParams.get('client_id')).toBe('client-id');
+    expect(url.searchParams.get('state')).toBe('signed-state');
+    expect(url.searchParams.get('scope').split(' ')).toEqual(
+      expect.arrayContaining(['offline_access', 'Calendars.ReadWrite'])
+    );
+  });
+
+  it('exchanges the authorization code for tokens', async () => {
+    const tokens = await microsoftCalendarService.getTokensFromCode('auth-code');
+
+    expect(tokens).toMatchObject({ access_token: 'graph-access', refresh_token: 'graph-refresh' });
+    expect(graph.state.requests[0].body).toMatchObject({
+      grant_type: 'authorization_code',
+      code: 'auth-code',
+      client_secret: 'client-secret',
+    });
+  });
+
+  it('reports a rejected code', async () => {
+    await expect(microsoftCalendarService.getTokensFromCode('stale-code'))
+      .rejects.toThrow(/invalid grant/);
+  });
+});
+
+describe('getBusyTimesForDateRange', () => {
+  it('turns calendarView events into 30-minute UTC slots across pages', async () => {
+    graph.addEvent({ start: { dateTime: '2026-10-24T18:10:00.0000000' }, end: { dateTime: '2026-10-24T19:00:00.0000000' } });
+    graph.addEvent({ start: { dateTime: '2026-10-25T09:00:00.0000000' }, end: { dateTime: '2026-10-25T09:30:00.0000000' }, showAs: 'tentative' });
+    graph.addEvent({ start: { dateTime: '2026-10-25T12:00:00.0000000' }, end: { dateTime: '2026-10-25T13:00:00.0000000' }, showAs: 'free' });
+    graph.addEvent({ start: { dateTime: '2026-10-25T15:00:00.0000000' }, end: { dateTime: '2026-10-25T16:00:00.0000000' }, isCancelled: true });
+    // Runs past the end of the range: clamped
+    graph.addEvent({ start: { dateTime: '2026-10-25T23:30:00.0000000' }, end: { dateTime: '2026-10-26T02:00:00.0000000' } });
+
+    const { slots, _new_access_token: newToken } = await microsoftCalendarService.getBusyTimesForDateRange(
+      outlookUser(),
+      new Date('2026-10-24T00:00:00Z'),
+      new Date('2026-10-26T00:00:00Z')
+    );
+
+    expect(newToken).toBeUndefined();
+    expect(slots).toEqual([
+      { date: '2026-10-24', startTime: '18:00', endTime: '18:30' },
+      { date: '2026-10-24', startTime: '18:30', endTime: '19:00' },
+      { date: '2026-10-25', startTime: '09:00', endTime: '09:30' },
+      { date: '2026-10-25', startTime: '23:30', endTime: '00:00' },
+    ]);
+    const views = graph.state.requests.filter(r => r.path.endsWith('/me/calendarView'));
+    expect(views).toHaveLength(3);
+    expect(views[0].headers.authorization).toBe('Bearer graph-access');
+    expect(views[0].headers.prefer).toBe('outlook.timezone="UTC"');
+  });
+
+  it('refreshes an expired token, retries, and returns both new tokens', async () => {
+    graph.addEvent({ start: { dateTime: '2026-10-24T18:00:00' }, end: { dateTime: '2026-10-24T18:30:00' } });
+    const user = outlookUser({ microsoft_calendar_token: 'expired' });
+
+    const result = await microsoftCalendarService.getBusyTimesForDateRange(
+      user,
+      new Date('2026-10-24T00:00:00Z'),
+      new Date('2026-10-25T00:00:00Z')
+    );
+
+    expect(result.slots).toHaveLength(1);
+    expect(result._new_access_token).toBe('graph-access-2');
+    expect(result._new_refresh_token).toBe('graph-refresh-rotated');
+  });
+
+  it('returns nothing for users without a token', async () => {
+    const result = await microsoftCalendarService.getBusyTimesForDateRange(
+      outlookUser({ microsoft_calendar_token: null }),
+      new Date('2026-10-24T00:00:00Z'),
+      new Date('2026-10-25T00:00:00Z')
+    );
+
+    expect(result).toEqual({ slots: [] });
+    expect(graph.state.requests).toHaveLength(0);
+  });
+});
+
+describe('tentative holds', () => {
+  it('creates a tentative event without reminders and deletes it again', async () => {
+    const hold = await microsoftCalendarService.createTentativeHold(
+      {
+        groupName: 'Tuesday Crew',
+        gameName: 'Brass',
+        startDateTime: '2026-10-24T18:00:00',
+        endDateTime: '2026-10-24T21:00:00',
+        timezone: 'UTC',
+      },
+      'graph-access',
+      'graph-refresh'
+    );
+
+    expect(graph.state.events.get(hold.id)).toMatchObject({
+      subject: 'Tuesday Crew - Brass (tentative)',
+      showAs: 'tentative',
+      isReminderOn: false,
+      start: { dateTime: '2026-10-24T18:00:00', timeZone: 'UTC' },
+    });
+
+    expect(await microsoftCalendarService.deleteTentativeHold(hold.id, 'graph-access', 'graph-refresh')).toBe(true);
+    expect(graph.state.events.has(hold.id)).toBe(false);
+    // Deleting again: already gone counts as done
+    expect(await microsoftCalendarService.deleteTentativeHold(hold.id, 'graph-access', 'graph-refresh')).toBe(true);
+  });
+});
+
+describe('events', () => {
+  const eventData = {
+    start_date: '2026-10-24T18:00:00Z',
+    duration_minutes: 120,
+    game_name: 'Brass',
+    comments: '',
+    location: 'Sam\'s place',
+    player_count: 3,
+  };
+
+  it('creates the game in the first connected member\'s calendar and invites the rest', async () => {
+    const members = [
+      { id: 'uuid-alex', email: 'alex@example.com' },
+      outlookUser(),
+      { id: 'uuid-kim', email: 'kim@example.com', microsoft_calendar_enabled: true, microsoft_calendar_token: 'other' },
+      { id: 'uuid-bot', email: 'auth0|bot' },
+    ];
+
+    const [result] = await microsoftCalendarService.createCalendarEventsForGroup(eventData, members);
+
+    expect(result).toMatchObject({
+      member_id: 'uuid-sam',
+      connected_member_ids: ['uuid-sam'],
+      invitations_sent_to: ['alex@example.com', 'kim@example.com'],
+    });
+    expect(graph.state.events.get(result.calendar_event_id)).toMatchObject({
+      subject: 'Board Game: Brass',
+      start: { dateTime: '2026-10-24T18:00:00', timeZone: 'UTC' },
+      end: { dateTime: '2026-10-24T20:00:00', timeZone: 'UTC' },
+      location: { displayName: 'Sam\'s place' },
+      attendees: [
+        { emailAddress: { address: 'alex@example.com' }, type: 'required' },
+        { emailAddress: { address: 'kim@example.com' }, type: 'required' },
+      ],
+    });
+  });
+
+  it('persists tokens refreshed while creating the event', async () => {
+    const members = [outlookUser({ microsoft_calendar_token: 'expired' })];
+
+    const [result] = await microsoftCalendarService.createCalendarEventsForGroup(eventData, members);
+
+    expect(result.calendar_event._new_access_token).toBeUndefined();
+    expect(User.update).toHaveBeenCalledWith(
+      { microsoft_calendar_token: 'graph-access-2', microsoft_calendar_refresh_token: 'graph-refresh-rotated' },
+      { where: { id: 'uuid-sam' } }
+    );
+  });
+
+  it('returns no results when nobody connected Outlook', async () => {
+    const results = await microsoftCalendarService.createCalendarEventsForGroup(eventData, [{ id: 'uuid-alex', email: 'alex@example.com' }]);
+
+    expect(results).toEqual([]);
+  });
+
+  it('patches and deletes an entry; missing entries count as already gone', async () => {
+    const id = graph.addEvent({ subject: 'Board Game: Catan', start: { dateTime: '2026-10-23T18:00:00' }, end: { dateTime: '2026-10-23T19:00:00' } });
+
+    expect(await microsoftCalendarService.updateCalendarEventForUser(id, { ...eventData, location: null }, 'graph-access', 'graph-refresh'))
+      .toEqual({ updated: true });
+    expect(graph.state.events.get(id)).toMatchObject({
+      subject: 'Board Game: Brass',
+      body: { contentType: 'text', content: 'Game session with 3 players' },
+      start: { dateTime: '2026-10-24T18:00:00', timeZone: 'UTC' },
+      location: { displayName: '' },
+    });
+
+    expect(await microsoftCalendarService.deleteCalendarEventForUser(id, 'graph-access', 'graph-refresh'))
+      .toEqual({ deleted: true });
+    expect(await microsoftCalendarService.deleteCalendarEventForUser(id, 'graph-access', 'graph-refresh'))
+      .toEqual({ deleted: true, alreadyGone: true });
+    expect(await microsoftCalendarService.updateCalendarEventForUser(id, eventData, 'graph-access', 'graph-refresh'))
+      .toEqual({ updated: false, alreadyGone: true });
+  });
+
+  it('returns rotated tokens after a refresh', async () => {
+    const id = graph.addEvent({ start: { dateTime: '2026-10-23T18:00:00' }, end: { dateTime: '2026-10-23T19:00:00' } });
+
+    expect(await microsoftCalendarService.deleteCalendarEventForUser(id, 'expired', 'graph-refresh')).toEqual({
+      deleted: true,
+      _new_access_token: 'graph-access-2',
+      _new_refresh_token: 'graph-refresh-rotated',
+    });
+  });
+
+  it('classifies failures with the gcal-sync error codes', async () => {
+    const id = graph.addEvent({ start: { dateTime: '2026-10-23T18:00:00' }, end: { dateTime: '2026-10-23T19:00:00' } });
+
+    graph.failNext(429);
+    await expect(microsoftCalendarService.deleteCalendarEventForUser(id, 'graph-access', null))
+      .rejects.toMatchObject({ code: 'GCAL_RATE_LIMITED' });
+
+    graph.failNext(403);
+    await expect(microsoftCalendarService.updateCalendarEventForUser(id, eventData, 'graph-access', null))
+      .rejects.toMatchObject({ code: 'GCAL_PERMANENT' });
+
+    graph.failNext(503);
+    await expect(microsoftCalendarService.deleteCalendarEventForUser(id, 'graph-access', null))
+      .rejects.toMatchObject({ response: { status: 503 } });
+
+    await expect(microsoftCalendarService.deleteCalendarEventForUser(id, 'expired', 'revoked-refresh'))
+      .rejects.toMatchObject({ code: 'GCAL_DISCONNECTED' });
+    await expect(microsoftCalendarService.deleteCalendarEventForUser(id, 'expired', null))
+      .rejects.toMatchObject({ code: 'GCAL_DISCONNECTED' });
+  });
+});
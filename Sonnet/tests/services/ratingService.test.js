@@ -0,0 +1,298 @@
+// tests/services/ratingService.test.js
+// Player ratings: finishing order from placement / score / winner, ties,
+// cooperative and team wins, guests, multiplayer and team Elo deltas,
+// chronological rebuild and
+// the incremental-vs-rebuild decision for newly logged events.
+//
+// Models + queues are mocked -- no DB, no Redis.
+
+const mockEventFindAll = jest.fn();
+const mockEventFindByPk = jest.fn();
+const mockRatingFindAll = jest.fn();
+const mockRatingDestroy = jest.fn();
+const mockRatingBulkCreate = jest.fn();
+const mockRatingUpsert = jest.fn();
+const mockGroupFindByPk = jest.fn();
+const mockHistoryFindOne = jest.fn();
+const mockHistoryDestroy = jest.fn();
+const mockHistoryBulkCreate = jest.fn();
+const mockQueueAdd = jest.fn();
+const mockTransaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+jest.mock('../../models', () => ({
+  Event: {
+    findAll: (...args) => mockEventFindAll(...args),
+    findByPk: (...args) => mockEventFindByPk(...args),
+  },
+  EventParticipation: {},
+  Group: { findByPk: (...args) => mockGroupFindByPk(...args) },
+  User: {},
+  PlayerRating: {
+    findAll: (...args) => mockRatingFindAll(...args),
+    destroy: (...args) => mockRatingDestroy(...args),
+    bulkCreate: (...args) => mockRatingBulkCreate(...args),
+    upsert: (...args) => mockRatingUpsert(...args),
+  },
+  RatingHistory: {
+    findOne: (...args) => mockHistoryFindOne(...args),
+    destroy: (...args) => mockHistoryDestroy(...args),
+    bulkCreate: (...args) => mockHistoryBulkCreate(...args),
+  },
+  sequelize: { transaction: jest.fn(async (fn) => fn(mockTransaction)) },
+}));
+
+jest.mock('../../queues', () => ({
+  ratingQueue: { add: (...args) => mockQueueAdd(...args) },
+}));
+
+const {
+  rankParticipants,
+  computeEloDeltas,
+  computeTeamEloDeltas,
+  applyEvent,
+  rebuildGroupRatings,
+  recordEvent,
+  scheduleRebuild,
+  getLeaderboard,
+} = require('../../services/ratingService');
+
+const GROUP_ID = 'group-uuid';
+const past = (days) => new Date(Date.now() - days * 24 * 3600 * 1000);
+
+function buildEvent(overrides = {}) {
+  return {
+    id: 'event-1',
+    group_id: GROUP_ID,
+    game_id: 'game-catan',
+    status: 'completed',
+    start_date: past(1),
+    is_group_win: false,
+    winner_id: null,
+    winner_name: null,
+    custom_participants: [],
+    EventParticipations: [
+      { user_id: 'u-ann', score: '10', placement: null, User: { username: 'ann' } },
+      { user_id: 'u-bob', score: '7', placement: null, User: { username: 'bob' } },
+    ],
+    ...overrides,
+  };
+}
+
+const ranks = (ranking) => Object.fromEntries(ranking.map(r => [r.player_key, r.rank]));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('rankParticipants', () => {
+  it('orders by placement, ranking unplaced players last together', () => {
+    const event = buildEvent({
+      EventParticipations: [
+        { user_id: 'u-ann', placement: 2 },
+        { user_id: 'u-bob', placement: 1 },
+        { user_id: 'u-cat', placement: null },
+      ],
+    });
+    expect(ranks(rankParticipants(event))).toEqual({ 'u-ann': 2, 'u-bob': 1, 'u-cat': 3 });
+  });
+
+  it('falls back to score (higher wins) with equal scores tied', () => {
+    const event = buildEvent({
+      EventParticipations: [
+        { user_id: 'u-ann', score: '10' },
+        { user_id: 'u-bob', score: '10' },
+        { user_id: 'u-cat', score: '4' },
+      ],
+    });
+    expect(ranks(rankParticipants(event))).toEqual({ 'u-ann': 1, 'u-bob': 1, 'u-cat': 3 });
+  });
+
+  it('falls back to the recorded winner, including a guest winner by name', () => {
+    const event = buildEvent({
+      winner_name: 'Dana',
+      EventParticipations: [{ user_id: 'u-ann' }],
+      custom_participants: [{ username: 'Dana' }],
+    });
+    expect(ranks(rankParticipants(event))).toEqual({ 'u-ann': 2, 'guest:dana': 1 });
+  });
+
+  it('shares rank 1 for cooperative wins', () => {
+    const event = buildEvent({ is_group_win: true });
+    expect(ranks(rankParticipants(event))).toEqual({ 'u-ann': 1, 'u-bob': 1 });
+  });
+
+  it('ranks the winning team first, guests included', () => {
+    const event = buildEvent({
+      winning_team: 'Detectives',
+      EventParticipations: [
+        { user_id: 'u-ann', team: 'Mr. X', placement: 1 },
+        { user_id: 'u-bob', team: ' Detectives ' },
+      ],
+      custom_participants: [{ username: 'Dana', team: 'Detectives' }],
+    });
+    expect(ranks(rankParticipants(event))).toEqual({ 'u-ann': 2, 'u-bob': 1, 'guest:dana': 1 });
+  });
+
+  it('returns null without a result or with a single player', () => {
+    expect(rankParticipants(buildEvent({
+      EventParticipations: [{ user_id: 'u-ann' }, { user_id: 'u-bob' }],
+    }))).toBeNull();
+    expect(rankParticipants(buildEvent({ EventParticipations: [{ user_id: 'u-ann', score: 3 }] }))).toBeNull();
+  });
+});
+
+describe('computeEloDeltas', () => {
+  it('moves equal players by K/2 and conserves rating', () => {
+    expect(computeEloDeltas([{ rating: 1500, rank: 1 }, { rating: 1500, rank: 2 }])).toEqual([16, -16]);
+
+    const deltas = computeEloDeltas([
+      { rating: 1600, rank: 1 },
+      { rating: 1500, rank: 2 },
+      { rating: 1400, rank: 3 },
+    ]);
+    expect(deltas[0]).toBeGreaterThan(0);
+    expect(deltas[2]).toBeLessThan(0);
+    expect(deltas.reduce((a, b) => a + b, 0)).toBeCloseTo(0, 1);
+  });
+
+  it('treats equal ranks as draws (no change between equals)', () => {
+    expect(computeEloDeltas([{ rating: 1500, rank: 1 }, { rating: 1500, rank: 1 }])).toEqual([0, 0]);
+    const [weak, strong] = computeEloDeltas([{ rating: 1400, rank: 1 }, { rating: 1600, rank: 1 }]);
+    expect(weak).toBeGreaterThan(0);
+    expect(strong).toBeLessThan(0);
+  });
+});
+
+describe('computeTeamEloDeltas', () => {
+  it('rates teams at their average and gives every member the team change', () => {
+    const deltas = computeTeamEloDeltas([
+      { rating: 1500, rank: 2, team: 'Mr. X' },
+      { rating: 1400, rank: 1, team: 'Detectives' },
+      { rating: 1600, rank: 1, team: 'Detectives' },
+      { rating: 1500, rank: 1, team: 'Detectives' },
+    ]);
+    // 1500 vs 1500 on average: a plain two-player match
+    expect(deltas).toEqual([-16, 16, 16, 16]);
+  });
+
+  it('is plain multiplayer Elo with a single team', () => {
+    const players = [{ rating: 1500, rank: 1, team: 'All' }, { rating: 1500, rank: 2, team: 'All' }];
+    expect(computeTeamEloDeltas(players)).toEqual(computeEloDeltas(players));
+  });
+});
+
+describe('applyEvent', () => {
+  it('updates group-wide and per-game scopes and returns history rows', () => {
+    const state = new Map();
+    const event = buildEvent();
+    const history = applyEvent(state, event, rankParticipants(event));
+
+    expect(history).toHaveLength(4);
+    expect(state.get('all|u-ann')).toMatchObject({ rating: 1516, games_played: 1, wins: 1 });
+    expect(state.get('game-catan|u-bob')).toMatchObject({ rating: 1484, games_played: 1, wins: 0 });
+    expect(history[0]).toMatchObject({ event_id: 'event-1', rating_before: 1500, rating_after: 1516, rank: 1 });
+  });
+});
+
+describe('rebuildGroupRatings', () => {
+  it('replays events in order and replaces the group rows', async () => {
+    mockEventFindAll.mockResolvedValue([
+      buildEvent({ id: 'e1', start_date: past(10) }),
+      buildEvent({ id: 'e2', start_date: past(5), EventParticipations: [{ user_id: 'u-ann' }, { user_id: 'u-bob' }] }),
+      buildEvent({ id: 'e3', start_date: past(2) }),
+    ]);
+
+    const result = await rebuildGroupRatings(GROUP_ID);
+
+    expect(result).toEqual({ events_rated: 2, ratings: 4 });
+    expect(mockEventFindAll.mock.calls[0][0].order).toEqual([['start_date', 'ASC'], ['id', 'ASC']]);
+    expect(mockHistoryDestroy).toHaveBeenCalledWith(expect.objectContaining({ where: { group_id: GROUP_ID } }));
+    expect(mockRatingDestroy).toHaveBeenCalledWith(expect.objectContaining({ where: { group_id: GROUP_ID } }));
+    const ann = mockRatingBulkCreate.mock.calls[0][0].find(r => r.game_id === null && r.player_key === 'u-ann');
+    expect(ann.games_played).toBe(2);
+    expect(ann.rating).toBeGreaterThan(1516);
+    expect(mockHistoryBulkCreate.mock.calls[0][0]).toHaveLength(8);
+  });
+});
+
+describe('recordEvent', () => {
+  it('applies the newest event incrementally', async () => {
+    const annAll = { group_id: GROUP_ID, game_id: null, player_key: 'u-ann', rating: 1500, games_played: 3, wins: 1 };
+    mockEventFindByPk.mockResolvedValue(buildEvent());
+    mockHistoryFindOne.mockResolvedValue(null);
+    mockRatingFindAll.mockResolvedValue([annAll]);
+
+    expect(await recordEvent('event-1')).toEqual({ rated: true });
+
+    expect(annAll.games_played).toBe(4);
+    expect(mockRatingUpsert).toHaveBeenCalledTimes(4); // ann + bob, both scopes
+    expect(mockRatingUpsert).toHaveBeenCalledWith(
+      expect.objectContaining({ group_id: GROUP_ID, game_id: null, player_key: 'u-ann', games_played: 4 }),
+      expect.objectContaining({
+        conflictFields: ['group_id', 'player_key'],
+        conflictWhere: { game_id: null },
+        transaction: mockTransaction,
+      })
+    );
+    expect(mockRatingUpsert).toHaveBeenCalledWith(
+      expect.objectContaining({ game_id: 'game-catan', player_key: 'u-ann', games_played: 1 }),
+      expect.objectContaining({ conflictFields: ['group_id', 'game_id', 'player_key'] })
+    );
+    expect(mockGroupFindByPk).toHaveBeenCalledWith(GROUP_ID, {
+      attributes: ['id'],
+      lock: 'UPDATE',
+      transaction: mockTransaction,
+    });
+    expect(mockHistoryBulkCreate.mock.calls[0][0]).toHaveLength(4);
+    expect(mockQueueAdd).not.toHaveBeenCalled();
+  });
+
+  it('queues a rebuild for a back-dated event', async () => {
+    mockEventFindByPk.mockResolvedValue(buildEvent({ start_date: past(30) }));
+    mockHistoryFindOne.mockResolvedValue({ id: 'later-history' });
+    mockQueueAdd.mockResolvedValue({ id: 'job-1' });
+
+    expect(await recordEvent('event-1')).toEqual({ rated: false, rebuild: true });
+    expect(mockQueueAdd).toHaveBeenCalledWith('rebuild', { groupId: GROUP_ID, reason: 'backdated_event' });
+    expect(mockHistoryBulkCreate).not.toHaveBeenCalled();
+  });
+
+  it('skips future, unfinished or result-less events and never throws', async () => {
+    mockEventFindByPk.mockResolvedValueOnce(buildEvent({ start_date: new Date(Date.now() + 3600 * 1000) }));
+    expect(await recordEvent('event-1')).toEqual({ rated: false });
+
+    mockEventFindByPk.mockResolvedValueOnce(buildEvent({ status: 'scheduled' }));
+    expect(await recordEvent('event-1')).toEqual({ rated: false });
+
+    mockEventFindByPk.mockRejectedValueOnce(new Error('db down'));
+    expect(await recordEvent('event-1')).toEqual({ rated: false });
+    expect(mockHistoryFindOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('scheduleRebuild', () => {
+  it('returns false instead of throwing when the queue is down', async () => {
+    mockQueueAdd.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+    expect(await scheduleRebuild(GROUP_ID)).toBe(false);
+  });
+});
+
+describe('getLeaderboard', () => {
+  it('hides guests by default and ranks by rating', async () => {
+    mockRatingFindAll.mockResolvedValue([
+      { player_key: 'u-ann', user_id: 'u-ann', rating: 1532.4, games_played: 3, wins: 2, User: { username: 'ann' } },
+      { player_key: 'u-bob', user_id: 'u-bob', rating: 1467.6, games_played: 3, wins: 1, User: { username: 'bob' } },
+    ]);
+
+    const board = await getLeaderboard(GROUP_ID, { gameId: 'game-catan' });
+
+    const { where } = mockRatingFindAll.mock.calls[0][0];
+    expect(where.game_id).toBe('game-catan');
+    expect(where.user_id).toBeDefined();
+    expect(board.map(r => [r.rank, r.username, r.rating])).toEqual([[1, 'ann', 1532], [2, 'bob', 1468]]);
+
+    await getLeaderboard(GROUP_ID, { includeGuests: true });
+    expect(mockRatingFindAll.mock.calls[1][0].where.user_id).toBeUndefined();
+    expect(mockRatingFindAll.mock.calls[1][0].where.game_id).toBeNull();
+  });
+});
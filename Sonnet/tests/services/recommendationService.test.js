@@ -0,0 +1,139 @@
+// tests/services/recommendationService.test.js
+// Cross-group recommendations: affinities from reviews and plays, neighbour
+// similarity (the nightly batch) and predictions at request time.
+//
+// Models are mocked -- no DB.
+
+jest.mock('../../models', () => ({
+  sequelize: { transaction: jest.fn() },
+  Event: { findAll: jest.fn() },
+  Game: { findAll: jest.fn() },
+  GameReview: { findAll: jest.fn() },
+  GroupSimilarity: { findAll: jest.fn(), destroy: jest.fn(), bulkCreate: jest.fn() },
+  User: { findAll: jest.fn() },
+  UserGame: { findAll: jest.fn() },
+  UserGroup: { findAll: jest.fn() },
+}));
+
+const {
+  Event, Game, GameReview, GroupSimilarity, User, UserGame, UserGroup,
+} = require('../../models');
+const {
+  buildAffinities, computeSimilarities, predict, getDiscoverRecommendations,
+} = require('../../services/recommendationService');
+
+// group -> game -> rating (0-5); one review row each
+const ratings = {
+  us: { brass: 5, ark: 4.5, catan: 1, azul: 2 },
+  twin: { brass: 4.5, ark: 5, catan: 1.5, azul: 2, gaia: 5, uno: 1 },
+  cousin: { brass: 4, ark: 4.5, catan: 1, gaia: 4.5, spirit: 4 },
+  opposite: { brass: 1, ark: 1.5, catan: 5, azul: 4.5, uno: 5 },
+};
+const reviewRows = Object.entries(ratings).flatMap(([group, games]) =>
+  Object.entries(games).map(([game, rating]) => ({ group_id: group, game_id: game, avg_rating: String(rating), recommended: '0', recommend_votes: '0' })));
+
+const affinities = () => new Map(Object.entries(ratings).map(([group, games]) =>
+  [group, new Map(Object.entries(games).map(([game, r]) => [game, r / 5]))]));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('buildAffinities', () => {
+  it('blends rating, recommendations and plays with whatever signals exist', () => {
+    const result = buildAffinities(
+      [{ group_id: 'g1', game_id: 'brass', avg_rating: '4.0000', recommended: '1', recommend_votes: '2' }],
+      [{ group_id: 'g1', game_id: 'brass', plays: '10' }, { group_id: 'g1', game_id: 'azul', plays: '1' }]
+    );
+
+    // 0.5 * 0.8 + 0.3 * 0.5 + 0.2 * 1
+    expect(result.get('g1').get('brass')).toBeCloseTo(0.75);
+    // plays only: log2(2) / log2(11)
+    expect(result.get('g1').get('azul')).toBeCloseTo(1 / Math.log2(11));
+  });
+});
+
+describe('computeSimilarities', () => {
+  it('keeps positively similar groups with enough games in common', () => {
+    const rows = computeSimilarities(affinities());
+    const neighboursOf = (group) => rows.filter(r => r.group_id === group).map(r => r.similar_group_id);
+
+    expect(neighboursOf('us').sort()).toEqual(['cousin', 'twin']);
+    expect(neighboursOf('opposite')).toEqual([]);
+    expect(rows.find(r => r.group_id === 'us' && r.similar_group_id === 'twin').shared_games).toBe(4);
+  });
+
+  it('scores a pair the same from either side', () => {
+    const rows = computeSimilarities(affinities());
+    const row = (from, to) => rows.find(r => r.group_id === from && r.similar_group_id === to);
+
+    for (const [a, b] of [['us', 'twin'], ['us', 'cousin'], ['twin', 'cousin']]) {
+      expect(row(a, b).similarity).toBeCloseTo(row(b, a).similarity, 12);
+      expect(row(a, b).shared_games).toBe(row(b, a).shared_games);
+    }
+  });
+
+  it('caps neighbours per group', () => {
+    const rows = computeSimilarities(affinities(), { maxNeighbours: 1 });
+    expect(rows.filter(r => r.group_id === 'us')).toHaveLength(1);
+  });
+});
+
+describe('predict', () => {
+  const neighbours = [
+    { similar_group_id: 'twin', similarity: 0.9 },
+    { similar_group_id: 'cousin', similarity: 0.8 },
+  ];
+
+  it('recommends games several neighbours like more than usual', () => {
+    const result = predict('us', neighbours, affinities(), new Set(['brass', 'ark', 'catan', 'azul']));
+
+    // gaia: both neighbours love it; uno (disliked) and spirit (one group) are left out
+    expect(result.map(p => p.game_id)).toEqual(['gaia']);
+    expect(result[0].similar_groups).toBe(2);
+    expect(result[0].match).toBeGreaterThan(70);
+  });
+
+  it('leaves out excluded games', () => {
+    expect(predict('us', neighbours, affinities(), new Set(['gaia']))
+      .map(p => p.game_id)).not.toContain('gaia');
+  });
+});
+
+describe('getDiscoverRecommendations', () => {
+  it('returns nothing until similarity has been computed', async () => {
+    GroupSimilarity.findAll.mockResolvedValue([]);
+
+    expect(await getDiscoverRecommendations('us')).toEqual({ recommendations: [], similarGroups: 0, computedAt: null });
+    expect(GameReview.findAll).not.toHaveBeenCalled();
+  });
+
+  it('recommends unowned games without naming the similar groups', async () => {
+    const computedAt = new Date('2026-10-19T04:00:00Z');
+    GroupSimilarity.findAll.mockResolvedValue([
+      { similar_group_id: 'twin', similarity: 0.9, updatedAt: computedAt },
+      { similar_group_id: 'cousin', similarity: 0.8, updatedAt: computedAt },
+    ]);
+    GameReview.findAll.mockResolvedValue(reviewRows.filter(r => r.group_id !== 'opposite'));
+    Event.findAll.mockResolvedValue([]);
+    UserGroup.findAll.mockResolvedValue([{ user_id: 'auth0|ann' }]);
+    User.findAll.mockResolvedValue([{ id: 'u-ann' }]);
+    UserGame.findAll.mockResolvedValue(['brass', 'ark', 'catan', 'azul'].map(game_id => ({ game_id })));
+    Game.findAll.mockResolvedValue([{ id: 'gaia', bgg_id: 220308, name: 'Gaia Project', weight: '4.4' }]);
+
+    const result = await getDiscoverRecommendations('us', { limit: 5 });
+
+    expect(GameReview.findAll.mock.calls[0][0].where.group_id).toBeDefined();
+    expect(result.similarGroups).toBe(2);
+    expect(result.computedAt).toBe(computedAt);
+    expect(result.recommendations).toHaveLength(1);
+    expect(result.recommendations[0]).toMatchObject({
+      id: 'gaia',
+      name: 'Gaia Project',
+      weight: 4.4,
+      similar_groups: 2,
+      explanation: 'Loved by 2 groups with tastes like yours',
+    });
+    expect(JSON.stringify(result)).not.toMatch(/twin|cousin/);
+  });
+});
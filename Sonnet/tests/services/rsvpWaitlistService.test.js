@@ -0,0 +1,236 @@
+// tests/services/rsvpWaitlistService.test.js
+// Event capacity + RSVP waitlist: capacity fallback to Game.max_players,
+// 'yes' -> 'waitlist' past capacity, queue-order promotion with notification.
+//
+// Models + notificationService are mocked -- no DB, no email/SMS.
+
+const mockEventFindByPk = jest.fn();
+const mockRsvpCount = jest.fn();
+const mockRsvpFindOne = jest.fn();
+const mockRsvpUpdate = jest.fn();
+const mockRsvpCreate = jest.fn();
+const mockUserFindOne = jest.fn();
+const mockTransaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+jest.mock('../../models', () => ({
+  Event: { findByPk: (...args) => mockEventFindByPk(...args) },
+  EventRsvp: {
+    count: (...args) => mockRsvpCount(...args),
+    findOne: (...args) => mockRsvpFindOne(...args),
+    update: (...args) => mockRsvpUpdate(...args),
+    create: (...args) => mockRsvpCreate(...args),
+  },
+  User: { findOne: (...args) => mockUserFindOne(...args) },
+  Game: {},
+  Group: {},
+  sequelize: { transaction: (fn) => fn(mockTransaction) },
+}));
+
+const mockNotificationSend = jest.fn();
+jest.mock('../../services/notificationService', () => ({
+  send: (...args) => mockNotificationSend(...args),
+}));
+
+jest.mock('../../services/emailService', () => ({
+  generateWaitlistPromotedEmailTemplate: jest.fn(() => ({ html: '<p>in</p>', text: 'in' })),
+}));
+
+const {
+  getEffectiveCapacity,
+  resolveStatus,
+  waitlistFields,
+  saveRsvp,
+  promoteFromWaitlist,
+} = require('../../services/rsvpWaitlistService');
+
+const EVENT_ID = '11111111-1111-1111-1111-111111111111';
+
+function buildEvent(overrides = {}) {
+  return {
+    id: EVENT_ID,
+    group_id: 'group-uuid',
+    start_date: new Date(Date.now() + 48 * 3600 * 1000),
+    status: 'scheduled',
+    capacity: null,
+    Game: { name: 'Catan', max_players: 4 },
+    Group: { id: 'group-uuid', name: 'Tuesday Crew' },
+    ...overrides,
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('getEffectiveCapacity', () => {
+  it('prefers Event.capacity, falls back to Game.max_players, else unlimited', () => {
+    expect(getEffectiveCapacity(buildEvent({ capacity: 6 }))).toBe(6);
+    expect(getEffectiveCapacity(buildEvent())).toBe(4);
+    expect(getEffectiveCapacity(buildEvent({ Game: null }))).toBeNull();
+    expect(getEffectiveCapacity(buildEvent({ Game: { name: 'Custom', max_players: null } }))).toBeNull();
+  });
+});
+
+describe('resolveStatus', () => {
+  it('waitlists a new yes when the event is full', async () => {
+    mockRsvpCount.mockResolvedValue(4);
+    const result = await resolveStatus({ event: buildEvent(), userId: 'auth0|late', requestedStatus: 'yes', oldStatus: null });
+    expect(result).toEqual({ status: 'waitlist', capacity: 4 });
+    // The responder's own row is excluded from the count
+    expect(mockRsvpCount.mock.calls[0][0].where.user_id).toBeDefined();
+  });
+
+  it('confirms a yes while seats remain', async () => {
+    mockRsvpCount.mockResolvedValue(3);
+    const result = await resolveStatus({ event: buildEvent(), userId: 'auth0|u', requestedStatus: 'yes', oldStatus: 'maybe' });
+    expect(result.status).toBe('yes');
+  });
+
+  it('never re-checks capacity for someone already holding a seat', async () => {
+    const result = await resolveStatus({ event: buildEvent(), userId: 'auth0|u', requestedStatus: 'yes', oldStatus: 'yes' });
+    expect(result.status).toBe('yes');
+    expect(mockRsvpCount).not.toHaveBeenCalled();
+  });
+
+  it('passes no/maybe through and skips counting for unlimited events', async () => {
+    expect((await resolveStatus({ event: buildEvent(), userId: 'u', requestedStatus: 'no', oldStatus: 'yes' })).status).toBe('no');
+    expect((await resolveStatus({ event: buildEvent({ Game: null }), userId: 'u', requestedStatus: 'yes', oldStatus: null })).status).toBe('yes');
+    expect(mockRsvpCount).not.toHaveBeenCalled();
+  });
+});
+
+describe('waitlistFields', () => {
+  it('stamps on entry, keeps the original place on a repeat yes, clears on exit', () => {
+    const placed = new Date('2026-10-01T00:00:00Z');
+    expect(waitlistFields('waitlist', null).waitlisted_at).toBeInstanceOf(Date);
+    expect(waitlistFields('waitlist', { status: 'waitlist', waitlisted_at: placed })).toEqual({ waitlisted_at: placed });
+    expect(waitlistFields('no', { status: 'waitlist', waitlisted_at: placed })).toEqual({ waitlisted_at: null });
+    expect(waitlistFields('yes', { status: 'maybe' })).toEqual({});
+  });
+});
+
+describe('saveRsvp', () => {
+  it('locks the event row and decides the seat inside the same transaction', async () => {
+    mockEventFindByPk.mockResolvedValue({ id: EVENT_ID });
+    mockRsvpFindOne.mockResolvedValue(null);
+    mockRsvpCount.mockResolvedValue(4);
+    mockRsvpCreate.mockImplementation(async (row) => ({ id: 'rsvp-new', ...row }));
+
+    const result = await saveRsvp({ event: buildEvent(), userId: 'auth0|late', requestedStatus: 'yes', fields: { note: 'hi' } });
+
+    expect(mockEventFindByPk).toHaveBeenCalledWith(EVENT_ID, {
+      attributes: ['id'],
+      lock: 'UPDATE',
+      transaction: mockTransaction,
+    });
+    expect(mockRsvpFindOne.mock.calls[0][0].transaction).toBe(mockTransaction);
+    expect(mockRsvpCount.mock.calls[0][0].transaction).toBe(mockTransaction);
+    expect(mockRsvpCreate).toHaveBeenCalledWith(
+      expect.objectContaining({ event_id: EVENT_ID, user_id: 'auth0|late', status: 'waitlist', note: 'hi' }),
+      { transaction: mockTransaction }
+    );
+    expect(result).toMatchObject({ created: true, oldStatus: null, status: 'waitlist' });
+  });
+
+  it('updates the existing RSVP re-read under the lock', async () => {
+    const existing = { status: 'yes', update: jest.fn().mockResolvedValue() };
+    mockEventFindByPk.mockResolvedValue({ id: EVENT_ID });
+    mockRsvpFindOne.mockResolvedValue(existing);
+
+    const result = await saveRsvp({ event: buildEvent(), userId: 'auth0|u', requestedStatus: 'no' });
+
+    expect(existing.update).toHaveBeenCalledWith({ status: 'no' }, { transaction: mockTransaction });
+    expect(result).toEqual({ rsvp: existing, created: false, oldStatus: 'yes', status: 'no' });
+  });
+});
+
+describe('promoteFromWaitlist', () => {
+  const user = { id: 'user-uuid', user_id: 'auth0|next', email: 'next@example.com', username: 'next', timezone: 'UTC' };
+
+  it('promotes the earliest waitlisted RSVP into a freed seat and notifies them', async () => {
+    mockEventFindByPk.mockResolvedValue(buildEvent());
+    mockRsvpCount.mockResolvedValue(3);
+    mockRsvpFindOne.mockResolvedValue({ id: 'rsvp-next', user_id: 'auth0|next' });
+    mockRsvpUpdate.mockResolvedValue([1]);
+    mockUserFindOne.mockResolvedValue(user);
+
+    const result = await promoteFromWaitlist(EVENT_ID);
+
+    expect(result).toEqual({ promoted: ['auth0|next'] });
+    expect(mockRsvpFindOne.mock.calls[0][0].order[0]).toEqual(['waitlisted_at', 'ASC']);
+    expect(mockRsvpUpdate).toHaveBeenCalledTimes(1);
+    expect(mockRsvpUpdate).toHaveBeenCalledWith(
+      { status: 'yes', waitlisted_at: null },
+      { where: { id: 'rsvp-next', status: 'waitlist' }, transaction: mockTransaction }
+    );
+    expect(mockNotificationSend).toHaveBeenCalledWith(
+      user,
+      'waitlist_promoted',
+      expect.objectContaining({
+        eventId: EVENT_ID,
+        emailParams: expect.objectContaining({ to: 'next@example.com' }),
+        data: expect.objectContaining({ eventName: 'Catan', groupName: 'Tuesday Crew' }),
+      })
+    );
+  });
+
+  it('notifies without email when the user only has an Auth0 placeholder address', async () => {
+    mockEventFindByPk.mockResolvedValue(buildEvent());
+    mockRsvpCount.mockResolvedValue(3);
+    mockRsvpFindOne.mockResolvedValue({ id: 'rsvp-next', user_id: 'auth0|next' });
+    mockRsvpUpdate.mockResolvedValue([1]);
+    mockUserFindOne.mockResolvedValue({ ...user, email: 'auth0-next@auth0.local' });
+
+    await promoteFromWaitlist(EVENT_ID);
+
+    expect(mockNotificationSend).toHaveBeenCalledWith(
+      expect.anything(),
+      'waitlist_promoted',
+      expect.objectContaining({ emailParams: null })
+    );
+  });
+
+  it('counts and fills seats under the event row lock, notifying after', async () => {
+    mockEventFindByPk.mockResolvedValue(buildEvent());
+    mockRsvpCount.mockResolvedValue(2);
+    mockRsvpFindOne
+      .mockResolvedValueOnce({ id: 'rsvp-1', user_id: 'auth0|first' })
+      .mockResolvedValueOnce({ id: 'rsvp-2', user_id: 'auth0|second' });
+    mockRsvpUpdate.mockResolvedValue([1]);
+    mockUserFindOne.mockResolvedValue(user);
+
+    const result = await promoteFromWaitlist(EVENT_ID);
+
+    expect(result).toEqual({ promoted: ['auth0|first', 'auth0|second'] });
+    expect(mockEventFindByPk).toHaveBeenCalledWith(EVENT_ID, {
+      attributes: ['id'],
+      lock: 'UPDATE',
+      transaction: mockTransaction,
+    });
+    expect(mockRsvpCount.mock.calls[0][0].transaction).toBe(mockTransaction);
+    expect(mockRsvpFindOne.mock.calls.every(([opts]) => opts.transaction === mockTransaction)).toBe(true);
+    expect(mockNotificationSend).toHaveBeenCalledTimes(2);
+  });
+
+  it('does nothing when the event is still full, unlimited, cancelled or past', async () => {
+    mockEventFindByPk.mockResolvedValueOnce(buildEvent());
+    mockRsvpCount.mockResolvedValue(4);
+    expect(await promoteFromWaitlist(EVENT_ID)).toEqual({ promoted: [] });
+
+    mockEventFindByPk.mockResolvedValueOnce(buildEvent({ Game: null }));
+    expect(await promoteFromWaitlist(EVENT_ID)).toEqual({ promoted: [] });
+
+    mockEventFindByPk.mockResolvedValueOnce(buildEvent({ status: 'cancelled' }));
+    expect(await promoteFromWaitlist(EVENT_ID)).toEqual({ promoted: [] });
+
+    mockEventFindByPk.mockResolvedValueOnce(buildEvent({ start_date: new Date(Date.now() - 3600 * 1000) }));
+    expect(await promoteFromWaitlist(EVENT_ID)).toEqual({ promoted: [] });
+
+    expect(mockRsvpFindOne).not.toHaveBeenCalled();
+  });
+
+  it('never throws, even when the lookup fails', async () => {
+    mockEventFindByPk.mockRejectedValue(new Error('db down'));
+    await expect(promoteFromWaitlist(EVENT_ID)).resolves.toEqual({ promoted: [] });
+  });
+});
@@ -0,0 +1,197 @@
+// tests/services/scoringService.test.js
+// Scoring sheets: template normalization, totals and placements from category
+// breakdowns (win direction, tiebreakers, shared places), applying a sheet to
+// an event's participants and category stats.
+//
+// Models are mocked -- no DB.
+
+jest.mock('../../models', () => ({
+  Event: { findAll: jest.fn() },
+  EventParticipation: { findAll: jest.fn() },
+  ScoringTemplate: { findOne: jest.fn() },
+  User: {},
+}));
+
+const { Event, EventParticipation, ScoringTemplate } = require('../../models');
+const {
+  ScoringSheetError, normalizeTemplate, scoreEntries, applyScoringSheet, getCategoryStats,
+} = require('../../services/scoringService');
+
+const wingspan = {
+  categories: [
+    { key: 'birds', name: 'Birds' },
+    { key: 'bonus_cards', name: 'Bonus cards' },
+    { key: 'eggs', name: 'Eggs' },
+  ],
+  lower_wins: false,
+  tiebreakers: [{ category: 'eggs', lower_wins: false }],
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('normalizeTemplate', () => {
+  it('derives keys from names and defaults the rules', () => {
+    expect(normalizeTemplate({ categories: [{ name: 'Bonus cards' }, { name: ' Eggs ' }] })).toEqual({
+      categories: [{ key: 'bonus_cards', name: 'Bonus cards' }, { key: 'eggs', name: 'Eggs' }],
+      lower_wins: false,
+      tiebreakers: [],
+    });
+  });
+
+  it('rejects duplicate keys and tiebreakers on unknown categories', () => {
+    expect(() => normalizeTemplate({ categories: [{ name: 'Eggs' }, { name: 'eggs' }] })).toThrow(ScoringSheetError);
+
+    try {
+      normalizeTemplate({ categories: [{ name: 'Eggs' }], tiebreakers: [{ category: 'food' }] });
+    } catch (error) {
+      expect(error.details).toEqual({ unknown_categories: ['food'] });
+    }
+  });
+});
+
+describe('scoreEntries', () => {
+  it('totals the categories and ranks highest first', () => {
+    const result = scoreEntries(wingspan, [
+      { user_id: 'u-ann', score_breakdown: { birds: 40, bonus_cards: 10, eggs: 8 } },
+      { user_id: 'u-bob', score_breakdown: { birds: 50, eggs: 12 } },
+    ]);
+
+    expect(result.map(r => [r.score, r.placement])).toEqual([[58, 2], [62, 1]]);
+    // Missing categories are filled in as 0
+    expect(result[1].score_breakdown).toEqual({ birds: 50, bonus_cards: 0, eggs: 12 });
+  });
+
+  it('breaks ties with the tiebreakers and shares places that stay level', () => {
+    const result = scoreEntries(wingspan, [
+      { username: 'ann', score_breakdown: { birds: 50, eggs: 10 } },
+      { username: 'bob', score_breakdown: { birds: 48, eggs: 12 } },
+      { username: 'cy', score_breakdown: { birds: 50, eggs: 10 } },
+      { username: 'dee', score: null },
+    ]);
+
+    expect(result.map(r => r.placement)).toEqual([2, 1, 2, null]);
+  });
+
+  it('ranks lowest first when lower wins and keeps plain scores', () => {
+    const golf = { categories: [{ key: 'strokes', name: 'Strokes' }], lower_wins: true, tiebreakers: [] };
+    const result = scoreEntries(golf, [
+      { username: 'ann', score_breakdown: { strokes: 30 } },
+      { username: 'bob', score: '25' },
+    ]);
+
+    expect(result.map(r => r.placement)).toEqual([2, 1]);
+    expect(result[1].score).toBe(25);
+  });
+
+  it('rejects categories that are not on the sheet', () => {
+    expect(() => scoreEntries(wingspan, [{ score_breakdown: { food: 3 } }])).toThrow(/not on the scoring sheet/);
+  });
+});
+
+describe('applyScoringSheet', () => {
+  it('leaves participants alone without breakdowns', async () => {
+    const participants = [{ user_id: 'u-ann', score: 10, placement: 1 }];
+    const result = await applyScoringSheet({ groupId: 'group-1', gameId: 'g-wingspan', participants });
+
+    expect(result).toEqual({ participants, customParticipants: undefined, scored: false });
+    expect(ScoringTemplate.findOne).not.toHaveBeenCalled();
+  });
+
+  it('ranks registered and custom participants together', async () => {
+    ScoringTemplate.findOne.mockResolvedValue(wingspan);
+
+    const result = await applyScoringSheet({
+      groupId: 'group-1',
+      gameId: 'g-wingspan',
+      participants: [{ user_id: 'u-ann', score_breakdown: { birds: 30 } }],
+      customParticipants: [{ username: 'guest', score_breakdown: { birds: 35 } }],
+    });
+
+    expect(ScoringTemplate.findOne).toHaveBeenCalledWith({ where: { group_id: 'group-1', game_id: 'g-wingspan' } });
+    expect(result.scored).toBe(true);
+    expect(result.participants[0]).toMatchObject({ score: 30, placement: 2 });
+    expect(result.customParticipants[0]).toMatchObject({ score: 35, placement: 1 });
+    expect(EventParticipation.findAll).not.toHaveBeenCalled();
+  });
+
+  it('ranks custom-only edits against the saved registered participants', async () => {
+    ScoringTemplate.findOne.mockResolvedValue(wingspan);
+    EventParticipation.findAll.mockResolvedValue([
+      { id: 'ep-ann', user_id: 'u-ann', score: '40.00', placement: 1, score_breakdown: { birds: 40 } },
+      { id: 'ep-bob', user_id: 'u-bob', score: '12.00', placement: 2, score_breakdown: null },
+    ]);
+
+    const result = await applyScoringSheet({
+      groupId: 'group-1',
+      gameId: 'g-wingspan',
+      eventId: 'event-1',
+      customParticipants: [{ username: 'guest', score_breakdown: { birds: 35 } }],
+    });
+
+    expect(EventParticipation.findAll.mock.calls[0][0].where).toEqual({ event_id: 'event-1' });
+    expect(result.participants).toBeUndefined();
+    expect(result.storedParticipants).toEqual([
+      expect.objectContaining({ id: 'ep-ann', score: 40, placement: 1 }),
+      expect.objectContaining({ id: 'ep-bob', score: 12, placement: 3 }),
+    ]);
+    expect(result.customParticipants[0]).toMatchObject({ score: 35, placement: 2 });
+  });
+});
+
+describe('getCategoryStats', () => {
+  it('returns null without a scoring sheet', async () => {
+    ScoringTemplate.findOne.mockResolvedValue(null);
+    expect(await getCategoryStats('group-1', 'g-wingspan')).toBeNull();
+    expect(Event.findAll).not.toHaveBeenCalled();
+  });
+
+  it('summarizes each category across registered and custom sheets', async () => {
+    ScoringTemplate.findOne.mockResolvedValue(wingspan);
+    Event.findAll.mockResolvedValue([{
+      id: 'event-1',
+      start_date: new Date('2026-10-01T19:00:00Z'),
+      custom_participants: [
+        { username: 'guest', score: 50, placement: 2, score_breakdown: { birds: 30, bonus_cards: 10, eggs: 10 } },
+        { username: 'walk-in', score: 20, placement: 3 },
+      ],
+      EventParticipations: [
+        { user_id: 'u-ann', score: '70.00', placement: 1, score_breakdown: { birds: 50, bonus_cards: 0, eggs: 20 }, User: { username: 'ann' } },
+      ],
+    }]);
+
+    const stats = await getCategoryStats('group-1', 'g-wingspan');
+
+    expect(stats).toMatchObject({ sheets: 2, plays: 1, average_total: 60 });
+    expect(stats.categories[0]).toEqual({
+      key: 'birds',
+      name: 'Birds',
+      average: 40,
+      winner_average: 50,
+      share_of_total: 0.67,
+      high: { points: 50, username: 'ann', event_id: 'event-1', start_date: new Date('2026-10-01T19:00:00Z') },
+    });
+    expect(stats.players.map(p => p.username)).toEqual(['ann', 'guest']);
+    expect(stats.players[0].averages).toEqual({ birds: 50, bonus_cards: 0, eggs: 20 });
+  });
+
+  it('sorts players whose account was deleted', async () => {
+    ScoringTemplate.findOne.mockResolvedValue(wingspan);
+    Event.findAll.mockResolvedValue([{
+      id: 'event-1',
+      start_date: new Date('2026-10-01T19:00:00Z'),
+      custom_participants: [],
+      EventParticipations: [
+        { user_id: 'u-cal', score: 50, placement: 1, score_breakdown: { birds: 50 }, User: { username: 'cal' } },
+        { user_id: 'u-zed', score: 40, placement: 2, score_breakdown: { birds: 40 }, User: null },
+        { user_id: 'u-bea', score: 30, placement: 3, score_breakdown: { birds: 30 }, User: { username: 'bea' } },
+        { user_id: 'u-abe', score: 20, placement: 4, score_breakdown: { birds: 20 }, User: null },
+      ],
+    }]);
+
+    const stats = await getCategoryStats('group-1', 'g-wingspan');
+
+    expect(stats.players.map(p => p.username || p.user_id)).toEqual(['bea', 'cal', 'u-abe', 'u-zed']);
+  });
+});
@@ -290,6 +290,44 @@ describe('smsService', () => {
         const msg = smsService.buildMessage('reminder', baseData);
         expect(msg.length).toBeLessThanOrEqual(306);
       });
+
+      it('includes the location when one is set', () => {
+        const msg = smsService.buildMessage('reminder', { ...baseData, location: "Sam's place, 12 Elm St" });
+        expect(msg).toContain("At Sam's place, 12 Elm St.");
+        expect(smsService.buildMessage('reminder', baseData)).not.toContain(' At ');
+      });
+    });
+
+    describe('achievement_earned', () => {
+
+      const data = { groupName: 'Thursday Gamers', achievementsUrl: 'https://example.com/g/1' };
+
+      it('names a single badge', () => {
+        const msg = smsService.buildMessage('achievement_earned', { ...data, achievementNames: ['Explorer'] });
+        expect(msg).toContain('You earned the Explorer badge in Thursday Gamers.');
+        expect(msg).toContain('https://example.com/g/1');
+      });
+
+      it('counts and lists several badges', () => {
+        const msg = smsService.buildMessage('achievement_earned', { ...data, achievementNames: ['First Roll', 'Winner Winner'] });
+        expect(msg).toContain('2 badges (First Roll, Winner Winner)');
+      });
+    });
+
+    describe('ballot_closed', () => {
+
+      const data = { groupName: 'Thursday Gamers', eventUrl: 'https://example.com/e/1' };
+
+      it('announces the winning game and how a tie was broken', () => {
+        const msg = smsService.buildMessage('ballot_closed', { ...data, outcome: 'random', gameName: 'Azul' });
+        expect(msg).toContain('Thursday Gamers is playing Azul (tie broken by random draw).');
+        expect(msg).toContain('https://example.com/e/1');
+      });
+
+      it('hands an unsettled ballot to the organizer', () => {
+        const msg = smsService.buildMessage('ballot_closed', { ...data, outcome: 'no_quorum', gameName: null });
+        expect(msg).toContain("didn't reach quorum - the organizer will pick the game");
+      });
     });
 
     // --- Character budget with long realistic data ---
@@ -323,6 +361,12 @@ describe('smsService', () => {
         const msg = smsService.buildMessage('reminder', longData);
         expect(msg.length).toBeLessThanOrEqual(306);
       });
+
+      it('reminder with a long location stays within 306 chars', () => {
+        const location = 'The Back Room at Cardboard Kingdom Games, 4521 Southeast Hawthorne Boulevard, Portland OR 97215';
+        const msg = smsService.buildMessage('reminder', { ...longData, location });
+        expect(msg.length).toBeLessThanOrEqual(306);
+      });
     });
   });
 
@@ -0,0 +1,226 @@
+// tests/services/suggestionService.test.js
+// Game suggestions from members' collections: player-count filtering comes
+// from the query, won't-play preferences are applied here. Ballot seeding
+// puts brought games first and caps each weight band. Score sorting blends
+// rating, recency, novelty, ownership, weight fit and want-to-play flags
+// with an explanation. Expansions are never candidates.
+//
+// Models are mocked -- no DB.
+
+jest.mock('../../models', () => ({
+  User: { findAll: jest.fn() },
+  Game: {},
+  Event: { findAll: jest.fn() },
+  EventParticipation: { findAll: jest.fn() },
+  UserGame: { findAll: jest.fn() },
+  UserGroup: { findAll: jest.fn() },
+  UserWontPlay: { findAll: jest.fn() },
+  EventRsvp: { findAll: jest.fn() },
+  EventBring: { findAll: jest.fn() },
+  GameReview: { findAll: jest.fn() },
+}));
+
+const {
+  User, Event, EventParticipation, UserGame, UserGroup, UserWontPlay, EventRsvp, EventBring, GameReview,
+} = require('../../models');
+const {
+  getSuggestions, scoreSuggestions, pickBallotOptions, getBallotSuggestions,
+} = require('../../services/suggestionService');
+
+const game = (id, name, weight = '2.0') => ({ id, name, min_players: 2, max_players: 4, playing_time: 45, weight });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  UserGroup.findAll.mockResolvedValue([{ user_id: 'auth0|ann' }, { user_id: 'auth0|bob' }]);
+  User.findAll.mockResolvedValue([
+    { id: 'u-ann', user_id: 'auth0|ann', username: 'ann' },
+    { id: 'u-bob', user_id: 'auth0|bob', username: 'bob' },
+  ]);
+  UserGame.findAll.mockResolvedValue([
+    { user_id: 'u-ann', game_id: 'g-azul', owned: true, Game: game('g-azul', 'Azul') },
+    { user_id: 'u-bob', game_id: 'g-catan', owned: true, Game: game('g-catan', 'Catan') },
+    { user_id: 'u-bob', game_id: 'g-root', owned: true, Game: game('g-root', 'Root') },
+  ]);
+  GameReview.findAll.mockResolvedValue([]);
+});
+
+test('leaves out games any player marked won\'t play', async () => {
+  UserWontPlay.findAll.mockResolvedValue([{ game_id: 'g-catan' }]);
+
+  const result = await getSuggestions({ groupId: 'group-1', playerCount: 3 });
+
+  expect(UserWontPlay.findAll.mock.calls[0][0].where.user_id).toBeDefined();
+  expect(result.suggestions.map(s => s.name)).toEqual(['Azul', 'Root']);
+  expect(result.wontPlayExcluded).toBe(1);
+  expect(GameReview.findAll.mock.calls[0][0].where.game_id).toBeDefined();
+});
+
+test('never suggests expansions on their own', async () => {
+  UserWontPlay.findAll.mockResolvedValue([]);
+
+  await getSuggestions({ groupId: 'group-1', playerCount: 3 });
+
+  expect(UserGame.findAll.mock.calls[0][0].include[0].where).toMatchObject({ is_expansion: false });
+});
+
+test('boosts games players want to play without making unowned games candidates', async () => {
+  UserWontPlay.findAll.mockResolvedValue([]);
+  UserGame.findAll.mockResolvedValue([
+    { user_id: 'u-ann', game_id: 'g-azul', owned: true, want_to_play: false, Game: game('g-azul', 'Azul') },
+    { user_id: 'u-bob', game_id: 'g-root', owned: true, want_to_play: false, Game: game('g-root', 'Root') },
+    { user_id: 'u-ann', game_id: 'g-root', owned: false, want_to_play: true, Game: game('g-root', 'Root') },
+    { user_id: 'u-ann', game_id: 'g-gaia', owned: false, want_to_play: true, Game: game('g-gaia', 'Gaia Project') },
+  ]);
+
+  const result = await getSuggestions({ groupId: 'group-1', playerCount: 3 });
+
+  // Both unrated: the wanted game wins the tie ahead of name order
+  expect(result.suggestions.map(s => [s.name, s.wanted_by])).toEqual([['Root', ['ann']], ['Azul', []]]);
+  expect(result.suggestions[0].owners).toEqual(['bob']);
+});
+
+test('returns nothing when every candidate is excluded', async () => {
+  UserWontPlay.findAll.mockResolvedValue([{ game_id: 'g-azul' }, { game_id: 'g-catan' }, { game_id: 'g-root' }]);
+
+  const result = await getSuggestions({ groupId: 'group-1', playerCount: 3 });
+
+  expect(result).toEqual({ suggestions: [], playerCount: 3, wontPlayExcluded: 3 });
+  expect(GameReview.findAll).not.toHaveBeenCalled();
+});
+
+describe('pickBallotOptions', () => {
+  const ranked = [
+    { id: 'brass', weight: 3.9 },
+    { id: 'gaia', weight: 4.4 },
+    { id: 'spirit', weight: 4.1 },
+    { id: 'wingspan', weight: 2.4 },
+    { id: 'azul', weight: 1.8 },
+    { id: 'custom', weight: null },
+  ];
+
+  it('caps each weight band and keeps rank order', () => {
+    const { picked, relaxed } = pickBallotOptions(ranked, { count: 4, maxPerWeightBand: 2 });
+    expect(picked.map(s => s.id)).toEqual(['brass', 'gaia', 'wingspan', 'azul']);
+    expect(relaxed).toBe(false);
+  });
+
+  it('relaxes the cap only when the ballot would come up short', () => {
+    const { picked, relaxed } = pickBallotOptions(ranked.slice(0, 4), { count: 4, maxPerWeightBand: 1 });
+    expect(picked.map(s => s.id)).toEqual(['brass', 'gaia', 'spirit', 'wingspan']);
+    expect(relaxed).toBe(true);
+  });
+});
+
+describe('getBallotSuggestions', () => {
+  beforeEach(() => {
+    UserWontPlay.findAll.mockResolvedValue([]);
+    EventRsvp.findAll.mockResolvedValue([{ user_id: 'auth0|ann' }, { user_id: 'auth0|bob' }]);
+    UserGame.findAll.mockResolvedValue([
+      { user_id: 'u-ann', game_id: 'g-azul', owned: true, Game: game('g-azul', 'Azul', '1.8') },
+      { user_id: 'u-bob', game_id: 'g-brass', owned: true, Game: game('g-brass', 'Brass', '3.9') },
+      { user_id: 'u-bob', game_id: 'g-root', owned: true, Game: game('g-root', 'Root', '3.7') },
+    ]);
+    EventBring.findAll.mockResolvedValue([{ game_id: 'g-root' }]);
+  });
+
+  it('puts games attendees are bringing first', async () => {
+    const result = await getBallotSuggestions({ groupId: 'group-1', eventId: 'event-1', count: 3 });
+
+    expect(EventBring.findAll.mock.calls[0][0].where).toEqual({ event_id: 'event-1' });
+    expect(result.playerCount).toBe(2);
+    expect(result.options.map(s => [s.name, s.brought, s.weight_band])).toEqual([
+      ['Root', true, 'heavy'], ['Azul', false, 'light'], ['Brass', false, 'heavy'],
+    ]);
+  });
+
+  it('only offers brought games for the bringing source', async () => {
+    const result = await getBallotSuggestions({ groupId: 'group-1', eventId: 'event-1', source: 'bringing' });
+
+    expect(result.options.map(s => s.name)).toEqual(['Root']);
+    expect(result.candidates).toBe(1);
+  });
+});
+
+describe('score sorting', () => {
+  const NOW = new Date('2026-10-19T18:00:00Z');
+  const daysAgo = (n) => new Date(NOW.getTime() - n * 24 * 60 * 60 * 1000);
+
+  it('blends the factors and explains each suggestion', async () => {
+    UserWontPlay.findAll.mockResolvedValue([]);
+    EventRsvp.findAll.mockResolvedValue([
+      { user_id: 'auth0|ann', status: 'yes' },
+      { user_id: 'auth0|bob', status: 'maybe' },
+    ]);
+    GameReview.findAll.mockResolvedValue([
+      { game_id: 'g-catan', rating: '4.5' },
+      { game_id: 'g-azul', rating: '4.0' },
+    ]);
+    Event.findAll
+      .mockResolvedValueOnce([{ game_id: 'g-catan', last_played: daysAgo(3).toISOString() }])
+      .mockResolvedValueOnce([{ id: 'e1', Game: { weight: '2.0' } }, { id: 'e2', Game: { weight: '2.4' } }]);
+    EventParticipation.findAll.mockResolvedValue([
+      { user_id: 'u-ann', Event: { game_id: 'g-catan' } },
+      { user_id: 'u-bob', Event: { game_id: 'g-catan' } },
+      { user_id: 'u-ann', Event: { game_id: 'g-azul' } },
+    ]);
+
+    const { suggestions } = await getSuggestions({ groupId: 'group-1', eventId: 'event-1', sort: 'score', now: NOW });
+
+    // Catan is rated best but was played 3 days ago by everyone, and only a maybe owns it
+    expect(suggestions.map(s => [s.name, s.score.rank])).toEqual([['Azul', 1], ['Root', 2], ['Catan', 3]]);
+    const azul = suggestions[0].score;
+    expect(azul.factors.recency).toMatchObject({ value: 1, reason: 'The group has never played it' });
+    expect(azul.factors.novelty.reason).toBe('1 of 2 players have never played it');
+    expect(azul.factors.ownership.reason).toBe('Owned by ann, who is coming');
+    expect(azul.explanation[0]).toBe('The group rates it 4/5 (1 review)');
+    expect(suggestions[2].score.factors.ownership).toMatchObject({ value: 0.5, reason: 'Owned by bob, who is only a maybe' });
+  });
+
+  it('counts players who have only played a game while being taught as half new', async () => {
+    UserWontPlay.findAll.mockResolvedValue([]);
+    EventRsvp.findAll.mockResolvedValue([
+      { user_id: 'auth0|ann', status: 'yes' },
+      { user_id: 'auth0|bob', status: 'yes' },
+    ]);
+    GameReview.findAll.mockResolvedValue([]);
+    Event.findAll.mockResolvedValueOnce([]).mockResolvedValueOnce([]);
+    EventParticipation.findAll.mockResolvedValue([
+      // ann learned Azul, then played it again
+      { user_id: 'u-ann', is_new_player: true, Event: { game_id: 'g-azul' } },
+      { user_id: 'u-ann', is_new_player: false, Event: { game_id: 'g-azul' } },
+      // bob has only played it the once, as a new player
+      { user_id: 'u-bob', is_new_player: true, Event: { game_id: 'g-azul' } },
+    ]);
+
+    const { suggestions } = await getSuggestions({ groupId: 'group-1', eventId: 'event-1', sort: 'score', now: NOW });
+
+    expect(EventParticipation.findAll.mock.calls[0][0].attributes).toEqual(['user_id', 'is_new_player']);
+    const azul = suggestions.find(s => s.name === 'Azul').score;
+    expect(azul.factors.novelty).toMatchObject({
+      value: 0.25,
+      reason: '0 of 2 players have never played it, 1 only as a new player',
+    });
+  });
+
+  it('scores a game on every factor', () => {
+    const [scored] = scoreSuggestions(
+      [{ id: 'g1', name: 'Brass', weight: 3.9, avg_group_rating: 5, review_count: 2, owners: ['ann'], wanted_by: ['ann'] }],
+      {
+        lastPlayed: new Map(),
+        playedBy: new Map(),
+        usualWeight: 3.9,
+        ownerIdsByGame: new Map([['g1', new Set(['u-ann'])]]),
+        yesUuids: new Set(['u-ann']),
+        uuidToUsername: { 'u-ann': 'ann' },
+        playerTotal: 1,
+        eventScoped: false,
+        now: NOW,
+      }
+    );
+
+    expect(scored.score.total).toBe(100);
+    expect(scored.score.factors.weight_fit.reason).toBe("Weight 3.9 is close to the group's usual 3.9");
+    expect(scored.score.factors.want_to_play.reason).toBe('ann wants to play it');
+    expect(scored.score.explanation).toHaveLength(6);
+  });
+});
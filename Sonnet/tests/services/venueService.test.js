@@ -0,0 +1,72 @@
+// tests/services/venueService.test.js
+// Venue -> location string resolution shared by ICS, Google Calendar, email
+// and SMS, plus the group-scoped venue lookup used when creating events.
+//
+// Models are mocked -- no DB.
+
+const mockVenueFindByPk = jest.fn();
+
+jest.mock('../../models', () => ({
+  Venue: { findByPk: (...args) => mockVenueFindByPk(...args) },
+  User: {},
+}));
+
+const {
+  formatVenueLocation,
+  resolveEventLocation,
+  loadEventLocation,
+  findUsableVenue,
+} = require('../../services/venueService');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('formatVenueLocation', () => {
+  it('joins name and address, skipping blanks', () => {
+    expect(formatVenueLocation({ name: "Sam's place", address: '12 Elm St' })).toBe("Sam's place, 12 Elm St");
+    expect(formatVenueLocation({ name: 'Game Cafe', address: '  ' })).toBe('Game Cafe');
+    expect(formatVenueLocation(null)).toBeNull();
+  });
+});
+
+describe('resolveEventLocation', () => {
+  it('prefers the venue, then free-text location, else null', () => {
+    expect(resolveEventLocation({ Venue: { name: 'Cafe', address: '1 Main' }, location: 'ignored' })).toBe('Cafe, 1 Main');
+    expect(resolveEventLocation({ Venue: null, location: ' Park pavilion ' })).toBe('Park pavilion');
+    expect(resolveEventLocation({ location: '' })).toBeNull();
+  });
+});
+
+describe('loadEventLocation', () => {
+  it('fetches the venue when the query did not include it', async () => {
+    const venue = { name: 'Cafe', address: '1 Main', Host: { username: 'sam' } };
+    mockVenueFindByPk.mockResolvedValueOnce(venue);
+
+    const result = await loadEventLocation({ venue_id: 'venue-uuid', location: null });
+
+    expect(mockVenueFindByPk).toHaveBeenCalledWith('venue-uuid', expect.any(Object));
+    expect(result).toEqual({ location: 'Cafe, 1 Main', venue });
+  });
+
+  it('falls back to free text without touching the DB', async () => {
+    const result = await loadEventLocation({ venue_id: null, location: 'Library' });
+    expect(mockVenueFindByPk).not.toHaveBeenCalled();
+    expect(result).toEqual({ location: 'Library', venue: null });
+  });
+});
+
+describe('findUsableVenue', () => {
+  it('returns only active venues of the same group', async () => {
+    const venue = { id: 'v1', group_id: 'g1', is_archived: false };
+    mockVenueFindByPk.mockResolvedValue(venue);
+    expect(await findUsableVenue('v1', 'g1')).toBe(venue);
+    expect(await findUsableVenue('v1', 'other-group')).toBeNull();
+
+    mockVenueFindByPk.mockResolvedValue({ ...venue, is_archived: true });
+    expect(await findUsableVenue('v1', 'g1')).toBeNull();
+
+    mockVenueFindByPk.mockResolvedValue(null);
+    expect(await findUsableVenue('missing', 'g1')).toBeNull();
+  });
+});
@@ -0,0 +1,43 @@
+// tests/workers/ballotWorker.test.js
+// ballot-close worker handler in isolation (no Redis / BullMQ runtime).
+
+const mockCloseDueBallot = jest.fn();
+jest.mock('../../services/ballotService', () => ({
+  closeDueBallot: (...args) => mockCloseDueBallot(...args),
+}));
+
+jest.mock('bullmq', () => ({
+  Worker: jest.fn().mockImplementation(function () {
+    this.on = jest.fn();
+    this.close = jest.fn().mockResolvedValue();
+  }),
+}));
+jest.mock('ioredis', () => jest.fn().mockImplementation(() => ({
+  on: jest.fn(),
+  disconnect: jest.fn(),
+})));
+
+const { processBallotCloseJob } = require('../../workers/ballotWorker');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+test('closes the ballot of the event named in the job', async () => {
+  mockCloseDueBallot.mockResolvedValue({ eventId: 'event-uuid', outcome: 'winner', game_id: 'game-1', total_ballots: 4 });
+
+  const result = await processBallotCloseJob({ id: 'job-1', data: { eventId: 'event-uuid' } });
+
+  expect(mockCloseDueBallot).toHaveBeenCalledWith('event-uuid');
+  expect(result).toMatchObject({ outcome: 'winner', game_id: 'game-1' });
+});
+
+test('skips jobs without an event', async () => {
+  expect(await processBallotCloseJob({ id: 'job-2', data: {} })).toEqual({ skipped: true, reason: 'missing_event_id' });
+  expect(mockCloseDueBallot).not.toHaveBeenCalled();
+});
+
+test('lets close errors propagate so BullMQ retries', async () => {
+  mockCloseDueBallot.mockRejectedValue(new Error('db down'));
+  await expect(processBallotCloseJob({ id: 'job-3', data: { eventId: 'event-uuid' } })).rejects.toThrow('db down');
+});
@@ -10,19 +10,32 @@
 //   - on disconnect, return skip + Sentry breadcrumb (no throw)
 //   - on transient/permanent errors, re-throw so BullMQ retries / exhausts
 //   - persist refreshed access token if delete returned _new_access_token
+//   - `update` jobs: reload the event and patch via updateCalendarEventForUser
 
 // ---------------------------------------------------------------------------
 // Mocks BEFORE requiring the worker
 // ---------------------------------------------------------------------------
 const mockDeleteCalendarEventForUser = jest.fn();
+const mockUpdateCalendarEventForUser = jest.fn();
 jest.mock('../../services/googleCalendarService', () => ({
   deleteCalendarEventForUser: (...args) => mockDeleteCalendarEventForUser(...args),
+  updateCalendarEventForUser: (...args) => mockUpdateCalendarEventForUser(...args),
 }));
 
 const mockUserFindByPk = jest.fn();
 const mockUserUpdateInstance = jest.fn();
+const mockEventFindByPk = jest.fn();
+const mockEventParticipationCount = jest.fn();
 jest.mock('../../models', () => ({
   User: { findByPk: (...args) => mockUserFindByPk(...args) },
+  Event: { findByPk: (...args) => mockEventFindByPk(...args) },
+  EventParticipation: { count: (...args) => mockEventParticipationCount(...args) },
+  Game: {},
+}));
+
+jest.mock('../../services/venueService', () => ({
+  venueInclude: () => ({ model: 'Venue' }),
+  resolveEventLocation: (event) => event.location || null,
 }));
 
 // Don't actually boot Redis / BullMQ Worker -- mock the bullmq Worker
@@ -313,3 +326,90 @@ describe('gcalSyncWorker.processGcalSyncJob (Phase 75 / Plan 03)', () => {
     expect(result).toMatchObject({ ok: true, alreadyGone: true });
   });
 });
+
+describe('gcalSyncWorker.processGcalSyncJob — update jobs', () => {
+  const connectedUser = () => ({
+    id: 'u-1',
+    timezone: 'Europe/Berlin',
+    google_calendar_token: 'access-token',
+    google_calendar_refresh_token: 'refresh-token',
+    update: mockUserUpdateInstance,
+  });
+
+  function makeUpdateJob() {
+    return {
+      ...makeJob({
+        eventId: 'evt-1',
+        eventParticipationId: 'ep-1',
+        userId: 'u-1',
+        googleCalendarEventId: 'gcal-1',
+      }),
+      name: 'update',
+    };
+  }
+
+  test('patches the entry with the event as it is now, in the attendee\'s timezone', async () => {
+    mockUserFindByPk.mockResolvedValueOnce(connectedUser());
+    mockEventFindByPk.mockResolvedValueOnce({
+      id: 'evt-1',
+      status: 'scheduled',
+      start_date: new Date('2026-10-24T18:00:00Z'),
+      duration_minutes: 120,
+      comments: 'Bring snacks',
+      location: 'Sam\'s place',
+      Game: { name: 'Brass' },
+    });
+    mockEventParticipationCount.mockResolvedValueOnce(4);
+    mockUpdateCalendarEventForUser.mockResolvedValueOnce({ updated: true, _new_access_token: 'fresh' });
+
+    const result = await processGcalSyncJob(makeUpdateJob());
+
+    expect(mockUpdateCalendarEventForUser).toHaveBeenCalledWith(
+      'gcal-1',
+      {
+        start_date: new Date('2026-10-24T18:00:00Z'),
+        duration_minutes: 120,
+        game_name: 'Brass',
+        comments: 'Bring snacks',
+        location: 'Sam\'s place',
+        timezone: 'Europe/Berlin',
+        player_count: 4,
+      },
+      'access-token',
+      'refresh-token'
+    );
+    expect(mockDeleteCalendarEventForUser).not.toHaveBeenCalled();
+    expect(mockUserUpdateInstance).toHaveBeenCalledWith({ google_calendar_token: 'fresh' });
+    expect(result).toMatchObject({ ok: true, eventParticipationId: 'ep-1' });
+  });
+
+  test('skips events that were deleted or cancelled since the job was queued', async () => {
+    mockUserFindByPk.mockResolvedValueOnce(connectedUser());
+    mockEventFindByPk.mockResolvedValueOnce({ id: 'evt-1', status: 'cancelled' });
+
+    const result = await processGcalSyncJob(makeUpdateJob());
+
+    expect(result).toMatchObject({ skipped: true, reason: 'event_not_found' });
+    expect(mockUpdateCalendarEventForUser).not.toHaveBeenCalled();
+  });
+
+  test('GCAL_DISCONNECTED is skipped; rate limits re-throw for BullMQ to retry', async () => {
+    const event = { id: 'evt-1', status: 'scheduled', start_date: new Date(), duration_minutes: 60 };
+    mockEventFindByPk.mockResolvedValue(event);
+    mockEventParticipationCount.mockResolvedValue(2);
+
+    mockUserFindByPk.mockResolvedValueOnce(connectedUser());
+    mockUpdateCalendarEventForUser.mockRejectedValueOnce(
+      Object.assign(new Error('disconnected'), { code: 'GCAL_DISCONNECTED' })
+    );
+    expect(await processGcalSyncJob(makeUpdateJob())).toMatchObject({
+      skipped: true,
+      reason: 'skipped_due_to_disconnect',
+    });
+
+    mockUserFindByPk.mockResolvedValueOnce(connectedUser());
+    const rateLimitErr = Object.assign(new Error('rate limited'), { code: 'GCAL_RATE_LIMITED' });
+    mockUpdateCalendarEventForUser.mockRejectedValueOnce(rateLimitErr);
+    await expect(processGcalSyncJob(makeUpdateJob())).rejects.toBe(rateLimitErr);
+  });
+});
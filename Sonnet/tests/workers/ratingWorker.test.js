@@ -0,0 +1,43 @@
+// tests/workers/ratingWorker.test.js
+// rating-rebuild worker handler in isolation (no Redis / BullMQ runtime).
+
+const mockRebuildGroupRatings = jest.fn();
+jest.mock('../../services/ratingService', () => ({
+  rebuildGroupRatings: (...args) => mockRebuildGroupRatings(...args),
+}));
+
+jest.mock('bullmq', () => ({
+  Worker: jest.fn().mockImplementation(function () {
+    this.on = jest.fn();
+    this.close = jest.fn().mockResolvedValue();
+  }),
+}));
+jest.mock('ioredis', () => jest.fn().mockImplementation(() => ({
+  on: jest.fn(),
+  disconnect: jest.fn(),
+})));
+
+const { processRatingJob } = require('../../workers/ratingWorker');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+test('rebuilds the group named in the job', async () => {
+  mockRebuildGroupRatings.mockResolvedValue({ events_rated: 12, ratings: 30 });
+
+  const result = await processRatingJob({ id: 'job-1', data: { groupId: 'group-uuid', reason: 'event_edited' } });
+
+  expect(mockRebuildGroupRatings).toHaveBeenCalledWith('group-uuid');
+  expect(result).toEqual({ ok: true, groupId: 'group-uuid', events_rated: 12, ratings: 30 });
+});
+
+test('skips jobs without a group', async () => {
+  expect(await processRatingJob({ id: 'job-2', data: {} })).toEqual({ skipped: true, reason: 'missing_group_id' });
+  expect(mockRebuildGroupRatings).not.toHaveBeenCalled();
+});
+
+test('lets rebuild errors propagate so BullMQ retries', async () => {
+  mockRebuildGroupRatings.mockRejectedValue(new Error('db down'));
+  await expect(processRatingJob({ id: 'job-3', data: { groupId: 'group-uuid' } })).rejects.toThrow('db down');
+});
@@ -0,0 +1,48 @@
+// workers/ballotWorker.js
+// Closes ballots whose deadline has passed (ballot-close queue): tallies,
+// applies the event's quorum and tie rule, sets the winning game and
+// notifies voters. See services/ballotService.js.
+//
+// The handler is exported as `processBallotCloseJob` so tests can drive it
+// without booting BullMQ + Redis.
+
+const { Worker } = require('bullmq');
+const Redis = require('ioredis');
+
+const connection = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', {
+  maxRetriesPerRequest: null,
+  enableReadyCheck: false,
+});
+
+/**
+ * @param {{ id: string, data: { eventId: string } }} job
+ * @returns {Promise<object>}
+ */
+async function processBallotCloseJob(job) {
+  const { eventId } = job.data || {};
+  if (!eventId) {
+    return { skipped: true, reason: 'missing_event_id' };
+  }
+
+  // Lazy-require so tests can mock the service without import-time hoisting issues.
+  const ballotService = require('../services/ballotService');
+
+  console.log(`[BallotWorker] Job ${job.id}: closing ballot for event ${eventId}`);
+  return ballotService.closeDueBallot(eventId);
+}
+
+const ballotWorker = new Worker('ballot-close', processBallotCloseJob, {
+  connection,
+  concurrency: 5,
+});
+
+ballotWorker.on('failed', (job, err) => {
+  console.error(`[BallotWorker] Job ${job && job.id} failed:`, err && err.message);
+});
+
+ballotWorker.on('completed', (job, result) => {
+  console.log(`[BallotWorker] Job ${job.id} completed:`, result);
+});
+
+module.exports = ballotWorker;
+module.exports.processBallotCloseJob = processBallotCloseJob;
@@ -1,22 +1,27 @@
 // workers/gcalSyncWorker.js
-// Phase 75 / GCAL-01 (Plan 75-03): outbound Google Calendar removal worker.
+// Phase 75 / GCAL-01 (Plan 75-03): outbound calendar sync worker.
 //
 // Triggered by jobs enqueued from services/gcalCleanupService.js via the
 // `gcal-sync` BullMQ queue (Plan 75-02). Each job is one (event,
 // event_participation, user) triple and corresponds to a single attendee's
-// ghost GCal entry that needs to be removed.
+// calendar entry: `cleanup` jobs remove a ghost entry, `update` jobs patch it
+// after the event was edited (time, game, notes, location). The entry lives
+// in Google Calendar or Outlook per the job's calendarProvider (null =
+// Google); services/calendarProviders.js routes the call.
 //
 // Flow:
 //   1. Load user. If missing -> skipped:user_not_found (no throw, no alert).
-//   2. If user has no google_calendar_token -> skipped_due_to_disconnect
-//      (Sentry breadcrumb, NOT alert; user disconnected GCal mid-flight).
-//   3. Call googleCalendarService.deleteCalendarEventForUser, which
-//      classifies Google API errors via err.code:
+//   2. If user has no token for that provider -> skipped_due_to_disconnect
+//      (Sentry breadcrumb, NOT alert; user disconnected mid-flight).
+//   3. Call calendarProviders.deleteEventForUser (or, for update jobs, load
+//      the event fresh -- skipping it if it is gone or cancelled -- and call
+//      updateEventForUser). Both providers classify API errors via err.code:
 //        - GCAL_DISCONNECTED  -> skip + breadcrumb (no retry)
 //        - GCAL_RATE_LIMITED  -> re-throw (BullMQ retries with backoff)
 //        - GCAL_PERMANENT     -> re-throw; on attempts-exhausted, Sentry alert
 //        - 5xx (no code)      -> re-throw (transient; BullMQ retries)
-//   4. If the helper auto-refreshed the access token, persist it back to User.
+//   4. If the provider auto-refreshed the access token, calendarProviders
+//      persists it back to User.
 //
 // The handler function is exported as `processGcalSyncJob` so tests can drive
 // it directly without booting BullMQ + Redis. The failed-event hook is
@@ -42,6 +47,38 @@ const connection = new Redis(process.env.REDIS_URL || 'redis://localhost:6379',
   enableReadyCheck: false,
 });
 
+/**
+ * The event as updateCalendarEventForUser needs it, read at run time so a
+ * job that ran late (retries, backlog) still writes the latest values.
+ *
+ * @param {string} eventId
+ * @param {object} user - attendee; their timezone is used for the entry
+ * @returns {Promise<object|null>} null when the event is gone or cancelled
+ */
+async function loadCalendarEventData(eventId, user) {
+  const { Event, EventParticipation, Game } = require('../models');
+  const venueService = require('../services/venueService');
+
+  const event = await Event.findByPk(eventId, {
+    include: [
+      { model: Game, attributes: ['name'] },
+      venueService.venueInclude(),
+    ],
+  });
+  if (!event || event.status === 'cancelled') return null;
+
+  const playerCount = await EventParticipation.count({ where: { event_id: eventId } });
+  return {
+    start_date: event.start_date,
+    duration_minutes: event.duration_minutes || 60,
+    game_name: event.Game ? event.Game.name : null,
+    comments: event.comments,
+    location: venueService.resolveEventLocation(event),
+    timezone: user.timezone || 'UTC',
+    player_count: playerCount,
+  };
+}
+
 /**
  * Pure handler — exported so tests can invoke it directly with mocked deps.
  *
@@ -49,11 +86,12 @@ const connection = new Redis(process.env.REDIS_URL || 'redis://localhost:6379',
  * @returns {Promise<object>}
  */
 async function processGcalSyncJob(job) {
-  const { eventId, eventParticipationId, userId, googleCalendarEventId } = job.data || {};
+  const { eventId, eventParticipationId, userId, googleCalendarEventId, calendarProvider } = job.data || {};
 
   // Lazy-require so tests can mock these without import-time hoisting issues.
   const { User } = require('../models');
-  const googleCalendarService = require('../services/googleCalendarService');
+  const calendarProviders = require('../services/calendarProviders');
+  const provider = calendarProviders.getProvider(calendarProvider);
 
   // 1. Load user. If gone (deleted between event-add and cleanup), silently skip.
   const user = await User.findByPk(userId);
@@ -64,10 +102,10 @@ async function processGcalSyncJob(job) {
     return { skipped: true, reason: 'user_not_found', eventParticipationId };
   }
 
-  // 2. Token presence check -> user disconnected GCal between event-add and cleanup.
-  if (!user.google_calendar_token) {
+  // 2. Token presence check -> user disconnected the calendar between event-add and cleanup.
+  if (!user[provider.tokenField]) {
     console.log(
-      `[GcalSyncWorker] Job ${job.id}: user ${userId} has no GCal token, skipped_due_to_disconnect`
+      `[GcalSyncWorker] Job ${job.id}: user ${userId} has no ${provider.name} calendar token, skipped_due_to_disconnect`
     );
     if (Sentry) {
       Sentry.addBreadcrumb({
@@ -80,21 +118,34 @@ async function processGcalSyncJob(job) {
     return { skipped: true, reason: 'skipped_due_to_disconnect', eventParticipationId };
   }
 
-  // 3. Call Google.
+  // 3. Call the provider.
+  const isUpdate = job.name === 'update';
   try {
-    const result = await googleCalendarService.deleteCalendarEventForUser(
-      googleCalendarEventId,
-      user.google_calendar_token,
-      user.google_calendar_refresh_token
-    );
-
-    // Persist refreshed access token, if the helper rotated it mid-call.
-    if (result && result._new_access_token) {
-      await user.update({ google_calendar_token: result._new_access_token });
+    let result;
+    if (isUpdate) {
+      const eventData = await loadCalendarEventData(eventId, user);
+      if (!eventData) {
+        console.log(
+          `[GcalSyncWorker] Job ${job.id}: event ${eventId} is gone or cancelled, skipping update`
+        );
+        return { skipped: true, reason: 'event_not_found', eventParticipationId };
+      }
+      result = await calendarProviders.updateEventForUser(
+        user,
+        provider.name,
+        googleCalendarEventId,
+        eventData
+      );
+    } else {
+      result = await calendarProviders.deleteEventForUser(
+        user,
+        provider.name,
+        googleCalendarEventId
+      );
     }
 
     console.log(
-      `[GcalSyncWorker] Job ${job.id}: deleted gcal event for user ${userId} (alreadyGone=${!!(result && result.alreadyGone)})`
+      `[GcalSyncWorker] Job ${job.id}: ${isUpdate ? 'updated' : 'deleted'} ${provider.name} calendar event for user ${userId} (alreadyGone=${!!(result && result.alreadyGone)})`
     );
     return {
       ok: true,
@@ -103,11 +154,11 @@ async function processGcalSyncJob(job) {
     };
   } catch (err) {
     // GCAL_DISCONNECTED is the ONLY error code we swallow -- it means the user
-    // revoked GCal access between event-add and cleanup. Breadcrumb + return
+    // revoked calendar access between event-add and cleanup/update. Breadcrumb + return
     // skip; do NOT throw, do NOT retry, do NOT alert.
     if (err && err.code === 'GCAL_DISCONNECTED') {
       console.log(
-        `[GcalSyncWorker] Job ${job.id}: GCal disconnected for user ${userId} (${err.message}); skipping (no retry)`
+        `[GcalSyncWorker] Job ${job.id}: ${provider.name} calendar disconnected for user ${userId} (${err.message}); skipping (no retry)`
       );
       if (Sentry) {
         Sentry.addBreadcrumb({
@@ -4,6 +4,8 @@ const promptWorker = require('./promptWorker');
 const deadlineWorker = require('./deadlineWorker');
 const reminderWorker = require('./reminderWorker');
 const gcalSyncWorker = require('./gcalSyncWorker');
+const ratingWorker = require('./ratingWorker');
+const ballotWorker = require('./ballotWorker');
 
 async function gracefulShutdown(signal) {
   console.log(`\n${signal} received, closing BullMQ workers gracefully...`);
@@ -18,7 +20,9 @@ async function gracefulShutdown(signal) {
       promptWorker.close(),
       deadlineWorker.close(),
       reminderWorker.close(),
-      gcalSyncWorker.close()
+      gcalSyncWorker.close(),
+      ratingWorker.close(),
+      ballotWorker.close()
     ]);
 
     clearTimeout(timeout);
@@ -34,6 +38,6 @@ async function gracefulShutdown(signal) {
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
-console.log('BullMQ workers started (prompts, deadlines, reminders, gcal-sync)');
+console.log('BullMQ workers started (prompts, deadlines, reminders, gcal-sync, rating-rebuild, ballot-close)');
 
-module.exports = { promptWorker, deadlineWorker, reminderWorker, gcalSyncWorker };
+module.exports = { promptWorker, deadlineWorker, reminderWorker, gcalSyncWorker, ratingWorker, ballotWorker };
@@ -0,0 +1,50 @@
+// workers/ratingWorker.js
+// Rebuilds a group's player ratings (rating-rebuild queue). Jobs come from
+// services/ratingService.scheduleRebuild and the admin rebuild endpoint.
+//
+// The handler is exported as `processRatingJob` so tests can drive it
+// without booting BullMQ + Redis.
+
+const { Worker } = require('bullmq');
+const Redis = require('ioredis');
+
+const connection = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', {
+  maxRetriesPerRequest: null,
+  enableReadyCheck: false,
+});
+
+/**
+ * @param {{ id: string, data: { groupId: string, reason?: string } }} job
+ * @returns {Promise<object>}
+ */
+async function processRatingJob(job) {
+  const { groupId, reason } = job.data || {};
+  if (!groupId) {
+    return { skipped: true, reason: 'missing_group_id' };
+  }
+
+  // Lazy-require so tests can mock the service without import-time hoisting issues.
+  const ratingService = require('../services/ratingService');
+
+  console.log(`[RatingWorker] Job ${job.id}: rebuilding ratings for group ${groupId} (${reason || 'unspecified'})`);
+  const result = await ratingService.rebuildGroupRatings(groupId);
+  return { ok: true, groupId, ...result };
+}
+
+// One rebuild at a time: each replays a group's whole history and two
+// overlapping rebuilds of the same group would race on delete + insert.
+const ratingWorker = new Worker('rating-rebuild', processRatingJob, {
+  connection,
+  concurrency: 1,
+});
+
+ratingWorker.on('failed', (job, err) => {
+  console.error(`[RatingWorker] Job ${job && job.id} failed:`, err && err.message);
+});
+
+ratingWorker.on('completed', (job, result) => {
+  console.log(`[RatingWorker] Job ${job.id} completed:`, result);
+});
+
+module.exports = ratingWorker;
+module.exports.processRatingJob = processRatingJob;